@@ -8,13 +8,12 @@ const dotenv = require('dotenv');
 const chalk = require('chalk');
 const ora = require('ora');
 const { table } = require('table');
-const BankingCommandService = require('../services/banking-command.service');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize service
-const bankingCommandService = new BankingCommandService();
+// The service module exports a ready-to-use instance
+const bankingCommandService = require('../services/banking-command.service');
 
 /**
  * Banking Intelligence Command CLI tool
@@ -58,11 +57,17 @@ async function main() {
 		})
 		.command('analyze-statement', 'Analyze a bank statement file', {
 			file: {
-				description: 'Path to statement file (PDF or CSV)',
+				description: 'Path to statement file (OFX/QFX, CSV, CAMT.053 XML or structured JSON)',
 				alias: 'f',
 				type: 'string',
 				demandOption: true
 			},
+			statementFormat: {
+				description: 'Statement format (detected from the file when omitted)',
+				alias: 's',
+				type: 'string',
+				choices: ['ofx', 'qfx', 'csv', 'camt053']
+			},
 			userId: {
 				description: 'User ID',
 				alias: 'u',
@@ -82,7 +87,8 @@ async function main() {
 			}
 		})
 		.example('$0 generate -u user123 -t 90d -f html -o report.html', 'Generate an HTML report for the last 90 days')
-		.example('$0 analyze-statement -f statement.pdf -u user123 -o analysis.json', 'Analyze a bank statement and output to JSON')
+		.example('$0 analyze-statement -f statement.ofx -u user123 -o analysis.json', 'Analyze a bank statement and output to JSON')
+		.example('$0 analyze-statement -f export.csv -u user123', 'Analyze a CSV export (columns are auto-detected)')
 		.help()
 		.alias('help', 'h')
 		.version()
@@ -166,7 +172,7 @@ async function generateReport(args) {
  * @param {Object} args - Command arguments
  */
 async function analyzeStatement(args) {
-	const { file, userId, detailed, output } = args;
+	const { file, userId, detailed, output, statementFormat } = args;
 	const requestId = `cli-stmt-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
 
 	// Start spinner
@@ -180,16 +186,34 @@ async function analyzeStatement(args) {
 			return;
 		}
 
-		// Read the file
-		const statementData = fs.readFileSync(file, 'utf8');
+		// Read the file; JSON files are already structured statement data
+		const content = fs.readFileSync(file, 'utf8');
+		const isJson = path.extname(file).toLowerCase() === '.json';
+
+		spinner.text = 'Parsing statement file...';
+		const statementData = await bankingCommandService.prepareStatementData(
+			isJson ? JSON.parse(content) : { content, format: statementFormat, filename: path.basename(file) }
+		);
+
+		if (statementData.statementImport) {
+			const { format, transactionCount, rejectedRows, parseErrors, warnings } = statementData.statementImport;
+			spinner.info(`Parsed ${transactionCount} transactions from ${format.toUpperCase()} statement`);
 
-		// In a real implementation, we would parse the statement file based on its format
-		// For now, we'll assume it's already in a compatible format
+			if (rejectedRows > 0) {
+				console.log(chalk.yellow(`Skipped ${rejectedRows} unparseable rows:`));
+				parseErrors.slice(0, 10).forEach(error => {
+					console.log(chalk.yellow(`  line ${error.line}: ${error.message}`));
+				});
+			}
+			warnings.forEach(warning => console.log(chalk.yellow(`Warning: ${warning}`)));
+
+			spinner.start('Analyzing bank statement...');
+		}
 
 		// Generate report based on statement data
 		const report = await bankingCommandService.generateReport({
 			userId,
-			statementData, // This would be passed to a special method that handles statement data
+			statementData,
 			requestId,
 			includeDetailed: detailed,
 			format: 'json'
@@ -210,6 +234,11 @@ async function analyzeStatement(args) {
 		// Handle error
 		spinner.fail('Failed to analyze statement');
 		console.error(chalk.red(`Error: ${error.message}`));
+		if (Array.isArray(error.details)) {
+			error.details.slice(0, 10).forEach(detail => {
+				console.error(chalk.red(`  line ${detail.line}: ${detail.message}`));
+			});
+		}
 	}
 }
 
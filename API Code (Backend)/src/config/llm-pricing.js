@@ -0,0 +1,31 @@
+// src/config/llm-pricing.js
+const logger = require('../utils/logger');
+
+/**
+ * LLM prices in USD per million tokens, keyed by model name. Set
+ * LLM_PRICE_TABLE to a JSON object of the same shape to change or add
+ * prices, e.g. {"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}.
+ * Usage of a model with no price is recorded without a cost.
+ */
+const DEFAULT_PRICES = {
+	'command-r-plus-08-2024': { input: 2.5, output: 10 },
+	'command-r-08-2024': { input: 0.15, output: 0.6 },
+	'command-a-03-2025': { input: 2.5, output: 10 },
+	'meta-llama/llama-4-scout-17b-16e-instruct': { input: 0.11, output: 0.34 },
+	'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+	'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+	'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+	'gemini-2.5-pro': { input: 1.25, output: 10 },
+	'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+let overrides = {};
+if (process.env.LLM_PRICE_TABLE) {
+	try {
+		overrides = JSON.parse(process.env.LLM_PRICE_TABLE);
+	} catch (error) {
+		logger.error(`LLM_PRICE_TABLE is not valid JSON, using default prices: ${error.message}`);
+	}
+}
+
+module.exports = { ...DEFAULT_PRICES, ...overrides };
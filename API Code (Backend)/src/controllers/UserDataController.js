@@ -104,45 +104,6 @@ class UserDataController {
 			});
 		}
 	}
-
-	/**
-	 * Reconnect bank accounts with clean state
-	 * @param {Object} req - Express request object
-	 * @param {Object} res - Express response object
-	 */
-	async reconnectBankAccounts(req, res) {
-		try {
-			const { userId } = req.auth;
-
-			if (!userId) {
-				return res.status(401).json({
-					success: false,
-					message: 'Authentication required'
-				});
-			}
-
-			// Prepare for reconnection (mark existing connections as disconnected)
-			await dataService.reconnectBankAccounts(userId);
-
-			logger.info(`User ${userId} initiated bank reconnection process`);
-
-			return res.status(200).json({
-				success: true,
-				message: 'Ready for bank reconnection',
-				data: {
-					userId,
-					timestamp: new Date().toISOString()
-				}
-			});
-		} catch (error) {
-			logger.error('Error preparing for bank reconnection:', error);
-			return res.status(500).json({
-				success: false,
-				message: 'Failed to prepare for bank reconnection',
-				error: error.message
-			});
-		}
-	}
 }
 
 module.exports = new UserDataController();
\ No newline at end of file
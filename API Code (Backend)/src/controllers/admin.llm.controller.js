@@ -0,0 +1,167 @@
+// src/controllers/admin.llm.controller.js
+const llmFactory = require('../services/llm-factory.service');
+const llmUsage = require('../services/llm-usage.service');
+const guardrails = require('../services/guardrail.service');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for LLM provider health, runtime provider overrides and
+ * token/cost usage
+ */
+class AdminLlmController {
+	/**
+	 * Get health, circuit state and mode of every LLM provider
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getProviderHealth(req, res) {
+		try {
+			return res.status(200).json({
+				success: true,
+				data: llmFactory.getProviderHealth()
+			});
+		} catch (error) {
+			logger.error('Error getting LLM provider health:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve LLM provider health',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Drain, force or restore a provider. Body: { mode: 'auto' | 'drained' | 'forced' }
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async setProviderMode(req, res) {
+		try {
+			const { provider } = req.params;
+			const health = llmFactory.setProviderMode(provider, req.body.mode);
+
+			logger.info(`Admin ${req.auth.userId} set LLM provider ${provider} to ${req.body.mode}`);
+
+			return res.status(200).json({
+				success: true,
+				data: health
+			});
+		} catch (error) {
+			logger.error('Error setting LLM provider mode:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to update LLM provider',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Close a provider's circuit and clear its health window
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async resetProvider(req, res) {
+		try {
+			const { provider } = req.params;
+			const health = llmFactory.resetProviderHealth(provider);
+
+			logger.info(`Admin ${req.auth.userId} reset LLM provider ${provider} circuit`);
+
+			return res.status(200).json({
+				success: true,
+				data: health
+			});
+		} catch (error) {
+			logger.error('Error resetting LLM provider:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to reset LLM provider',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Token and cost totals for a period, optionally grouped
+	 * Query: from, to, clientId, groupBy (client, bankUser, user, queryType,
+	 * reportSection, provider, model, operation, prompt), limit
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getUsage(req, res) {
+		try {
+			const { from, to, clientId, groupBy } = req.query;
+			const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+			const summary = await llmUsage.getSummary({ from, to, clientId, groupBy, limit });
+
+			return res.status(200).json({
+				success: true,
+				data: summary
+			});
+		} catch (error) {
+			logger.error('Error getting LLM usage:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to retrieve LLM usage',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Spend and tokens over time. Query: from, to, clientId, interval (hour, day, week, month)
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getUsageTimeseries(req, res) {
+		try {
+			const { from, to, clientId, interval } = req.query;
+
+			const timeseries = await llmUsage.getTimeseries({ from, to, clientId, interval });
+
+			return res.status(200).json({
+				success: true,
+				data: timeseries
+			});
+		} catch (error) {
+			logger.error('Error getting LLM usage timeseries:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to retrieve LLM usage',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Guardrail verdicts on LLM responses, newest first.
+	 * Query: action, operation, clientId, requestId, from, to, limit, offset
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getGuardrailVerdicts(req, res) {
+		try {
+			const { action, operation, clientId, requestId, from, to } = req.query;
+			const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+			const offset = parseInt(req.query.offset) || 0;
+
+			const verdicts = await guardrails.listVerdicts({ action, operation, clientId, requestId, from, to, limit, offset });
+
+			return res.status(200).json({
+				success: true,
+				data: verdicts
+			});
+		} catch (error) {
+			logger.error('Error getting guardrail verdicts:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to retrieve guardrail verdicts',
+				error: error.message
+			});
+		}
+	}
+}
+
+module.exports = new AdminLlmController();
@@ -0,0 +1,229 @@
+// src/controllers/admin.merchants.controller.js
+const merchantNormalization = require('../services/merchant-normalization.service');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for canonical merchants and merchant normalization overrides
+ */
+class AdminMerchantsController {
+	/**
+	 * List canonical merchants (built-in catalog plus admin-defined)
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listMerchants(req, res) {
+		try {
+			const merchants = await merchantNormalization.listMerchants();
+
+			return res.status(200).json({
+				success: true,
+				data: merchants
+			});
+		} catch (error) {
+			logger.error('Error listing merchants:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve merchants',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Create or update a canonical merchant
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async upsertMerchant(req, res) {
+		try {
+			const merchant = await merchantNormalization.upsertMerchant(
+				{ ...req.body, id: req.params.merchantId },
+				req.auth.userId
+			);
+
+			logger.info(`Admin ${req.auth.userId} saved merchant ${req.params.merchantId}`);
+
+			return res.status(200).json({
+				success: true,
+				data: merchant
+			});
+		} catch (error) {
+			logger.error('Error saving merchant:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to save merchant',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * List merchant override rules
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listRules(req, res) {
+		try {
+			const rules = await merchantNormalization.listRules({
+				merchantId: req.query.merchantId,
+				clientId: req.query.clientId
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: rules
+			});
+		} catch (error) {
+			logger.error('Error listing merchant rules:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve merchant rules',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Create a merchant override rule
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async createRule(req, res) {
+		try {
+			const rule = await merchantNormalization.createRule(req.body, req.auth.userId);
+
+			logger.info(`Admin ${req.auth.userId} created merchant rule ${rule.id} -> ${rule.merchantId}`);
+
+			return res.status(201).json({
+				success: true,
+				data: rule
+			});
+		} catch (error) {
+			logger.error('Error creating merchant rule:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to create merchant rule',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Update a merchant override rule
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async updateRule(req, res) {
+		try {
+			const rule = await merchantNormalization.updateRule(req.params.ruleId, req.body);
+
+			if (!rule) {
+				return res.status(404).json({
+					success: false,
+					message: 'Merchant rule not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} updated merchant rule ${req.params.ruleId}`);
+
+			return res.status(200).json({
+				success: true,
+				data: rule
+			});
+		} catch (error) {
+			logger.error('Error updating merchant rule:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to update merchant rule',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Delete a merchant override rule
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async deleteRule(req, res) {
+		try {
+			const removed = await merchantNormalization.deleteRule(req.params.ruleId);
+
+			if (!removed) {
+				return res.status(404).json({
+					success: false,
+					message: 'Merchant rule not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} deleted merchant rule ${req.params.ruleId}`);
+
+			return res.status(200).json({
+				success: true,
+				message: 'Merchant rule deleted'
+			});
+		} catch (error) {
+			logger.error('Error deleting merchant rule:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to delete merchant rule',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Show how a descriptor would be normalized with the current rules
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async testDescriptor(req, res) {
+		try {
+			const { description, merchantName, clientId } = req.body;
+
+			if (!description && !merchantName) {
+				return res.status(400).json({
+					success: false,
+					message: 'description or merchantName is required'
+				});
+			}
+
+			await merchantNormalization.loadRules();
+			const result = merchantNormalization.normalizeSync({ description, merchantName }, clientId);
+
+			return res.status(200).json({
+				success: true,
+				data: result
+			});
+		} catch (error) {
+			logger.error('Error testing merchant descriptor:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to test descriptor',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Re-apply normalization to stored transactions in the background
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async reprocessTransactions(req, res) {
+		const { clientId, bankUserId } = req.body;
+
+		merchantNormalization.reprocessStored({ clientId, bankUserId }).catch(error => {
+			logger.error('Error reprocessing merchant normalization:', error);
+		});
+
+		logger.info(`Admin ${req.auth.userId} started merchant reprocessing`, { clientId, bankUserId });
+
+		return res.status(202).json({
+			success: true,
+			message: 'Merchant reprocessing started'
+		});
+	}
+}
+
+module.exports = new AdminMerchantsController();
@@ -0,0 +1,248 @@
+// src/controllers/admin.prompts.controller.js
+const promptRegistry = require('../services/prompt-registry.service');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for prompt templates, their versions and prompt experiments
+ */
+class AdminPromptsController {
+	/**
+	 * List prompt names that accept templates, with their variables
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listDefinitions(req, res) {
+		return res.status(200).json({
+			success: true,
+			data: promptRegistry.listDefinitions()
+		});
+	}
+
+	/**
+	 * List templates. Query: name, status
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listTemplates(req, res) {
+		try {
+			const templates = await promptRegistry.listTemplates({
+				name: req.query.name,
+				status: req.query.status
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: templates
+			});
+		} catch (error) {
+			logger.error('Error listing prompt templates:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve prompt templates',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Get one template
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getTemplate(req, res) {
+		try {
+			const template = await promptRegistry.getTemplate(req.params.templateId);
+
+			if (!template) {
+				return res.status(404).json({
+					success: false,
+					message: 'Prompt template not found'
+				});
+			}
+
+			return res.status(200).json({
+				success: true,
+				data: template
+			});
+		} catch (error) {
+			logger.error('Error getting prompt template:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve prompt template',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Create the next version of a prompt
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async createTemplate(req, res) {
+		try {
+			const template = await promptRegistry.createTemplate(req.body, req.auth.userId);
+
+			logger.info(`Admin ${req.auth.userId} created ${template.name} prompt v${template.version} (${template.status})`);
+
+			return res.status(201).json({
+				success: true,
+				data: template
+			});
+		} catch (error) {
+			logger.error('Error creating prompt template:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to create prompt template',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Activate, archive or describe a template. Body: { status, description }
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async updateTemplate(req, res) {
+		try {
+			const template = await promptRegistry.updateTemplate(req.params.templateId, req.body);
+
+			if (!template) {
+				return res.status(404).json({
+					success: false,
+					message: 'Prompt template not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} updated ${template.name} prompt v${template.version} (${template.status})`);
+
+			return res.status(200).json({
+				success: true,
+				data: template
+			});
+		} catch (error) {
+			logger.error('Error updating prompt template:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to update prompt template',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * List experiments. Query: promptName, status
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listExperiments(req, res) {
+		try {
+			const experiments = await promptRegistry.listExperiments({
+				promptName: req.query.promptName,
+				status: req.query.status
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: experiments
+			});
+		} catch (error) {
+			logger.error('Error listing prompt experiments:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve prompt experiments',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Start an experiment that splits a prompt's traffic between versions
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async createExperiment(req, res) {
+		try {
+			const experiment = await promptRegistry.createExperiment(req.body, req.auth.userId);
+
+			logger.info(`Admin ${req.auth.userId} created prompt experiment ${experiment.id} on ${experiment.promptName}`);
+
+			return res.status(201).json({
+				success: true,
+				data: experiment
+			});
+		} catch (error) {
+			logger.error('Error creating prompt experiment:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to create prompt experiment',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Pause, resume or complete an experiment. Body: { status, variants, description }
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async updateExperiment(req, res) {
+		try {
+			const experiment = await promptRegistry.updateExperiment(req.params.experimentId, req.body);
+
+			if (!experiment) {
+				return res.status(404).json({
+					success: false,
+					message: 'Prompt experiment not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} set prompt experiment ${experiment.id} to ${experiment.status}`);
+
+			return res.status(200).json({
+				success: true,
+				data: experiment
+			});
+		} catch (error) {
+			logger.error('Error updating prompt experiment:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to update prompt experiment',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Requests, success rate, response time and cost per variant
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getExperimentResults(req, res) {
+		try {
+			const results = await promptRegistry.getExperimentResults(req.params.experimentId);
+
+			if (!results) {
+				return res.status(404).json({
+					success: false,
+					message: 'Prompt experiment not found'
+				});
+			}
+
+			return res.status(200).json({
+				success: true,
+				data: results
+			});
+		} catch (error) {
+			logger.error('Error getting prompt experiment results:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve prompt experiment results',
+				error: error.message
+			});
+		}
+	}
+}
+
+module.exports = new AdminPromptsController();
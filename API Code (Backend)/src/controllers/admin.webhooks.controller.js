@@ -0,0 +1,206 @@
+// src/controllers/admin.webhooks.controller.js
+const webhookDeliveryService = require('../services/webhook-delivery.service');
+const plaidWebhookService = require('../services/plaid-webhook.service');
+const logger = require('../utils/logger');
+
+/**
+ * Controller for inspecting and replaying client webhook deliveries and
+ * inbound Plaid webhook events
+ */
+class AdminWebhooksController {
+	/**
+	 * List webhook deliveries with pagination and filtering
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listDeliveries(req, res) {
+		try {
+			const page = parseInt(req.query.page) || 1;
+			const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+			const { clientId, status, jobId, event } = req.query;
+
+			const result = await webhookDeliveryService.listDeliveries({
+				clientId,
+				status,
+				jobId,
+				event,
+				page,
+				limit
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: result
+			});
+		} catch (error) {
+			logger.error('Error listing webhook deliveries:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve webhook deliveries',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Get a single delivery including its attempt log
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getDelivery(req, res) {
+		try {
+			const delivery = await webhookDeliveryService.getDelivery(req.params.deliveryId);
+
+			if (!delivery) {
+				return res.status(404).json({
+					success: false,
+					message: 'Webhook delivery not found'
+				});
+			}
+
+			return res.status(200).json({
+				success: true,
+				data: delivery
+			});
+		} catch (error) {
+			logger.error('Error getting webhook delivery:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve webhook delivery',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Re-send a delivery as a new, freshly signed delivery
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async replayDelivery(req, res) {
+		try {
+			const delivery = await webhookDeliveryService.replay(req.params.deliveryId);
+
+			if (!delivery) {
+				return res.status(404).json({
+					success: false,
+					message: 'Webhook delivery not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} replayed webhook delivery ${req.params.deliveryId}`);
+
+			return res.status(202).json({
+				success: true,
+				message: 'Webhook delivery replay queued',
+				data: delivery
+			});
+		} catch (error) {
+			logger.error('Error replaying webhook delivery:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to replay webhook delivery',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * List inbound Plaid webhook events with pagination and filtering
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listPlaidEvents(req, res) {
+		try {
+			const page = parseInt(req.query.page) || 1;
+			const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+			const { status, webhookType, webhookCode, itemId } = req.query;
+
+			const result = await plaidWebhookService.listEvents({
+				status,
+				webhookType,
+				webhookCode,
+				itemId,
+				page,
+				limit
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: result
+			});
+		} catch (error) {
+			logger.error('Error listing Plaid webhook events:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to retrieve Plaid webhook events',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Get a single Plaid webhook event including its payload and attempt log
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getPlaidEvent(req, res) {
+		try {
+			const event = await plaidWebhookService.getEvent(req.params.eventId);
+
+			if (!event) {
+				return res.status(404).json({
+					success: false,
+					message: 'Plaid webhook event not found'
+				});
+			}
+
+			return res.status(200).json({
+				success: true,
+				data: event
+			});
+		} catch (error) {
+			logger.error('Error getting Plaid webhook event:', error);
+			return res.status(500).json({
+				success: false,
+				message: 'Failed to retrieve Plaid webhook event',
+				error: error.message
+			});
+		}
+	}
+
+	/**
+	 * Process a Plaid webhook event again from its stored payload
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async replayPlaidEvent(req, res) {
+		try {
+			const event = await plaidWebhookService.replay(req.params.eventId, req.auth.userId);
+
+			if (!event) {
+				return res.status(404).json({
+					success: false,
+					message: 'Plaid webhook event not found'
+				});
+			}
+
+			logger.info(`Admin ${req.auth.userId} replayed Plaid webhook event ${req.params.eventId}`);
+
+			return res.status(200).json({
+				success: true,
+				message: `Plaid webhook event replayed: ${event.status}`,
+				data: event
+			});
+		} catch (error) {
+			logger.error('Error replaying Plaid webhook event:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to replay Plaid webhook event',
+				error: error.message
+			});
+		}
+	}
+}
+
+module.exports = new AdminWebhooksController();
@@ -693,8 +693,11 @@ const bankingCommandController = {
 				statementData
 			};
 
+			// Key taken now so a report built while the user's data changes isn't cached as current
+			const cacheKey = await reportCache.resolveKey(cacheParams).catch(() => null);
+
 			// Try to get from cache first
-			let report = reportCache.get(cacheParams);
+			let report = await reportCache.get(cacheParams);
 			let fromCache = false;
 
 			if (report) {
@@ -709,6 +712,7 @@ const bankingCommandController = {
 
 				report = await bankingCommandService.generateReport({
 					userId,
+					clientId: req.auth.clientId,
 					timeframe,
 					requestId,
 					includeDetailed: includeDetailed !== false,
@@ -717,7 +721,7 @@ const bankingCommandController = {
 				});
 
 				// Cache the report for future use
-				reportCache.set(cacheParams, report);
+				await reportCache.set(cacheParams, report, null, cacheKey);
 
 				logger.info('New report generated and cached', {
 					userId, requestId, generationTime: Date.now() - startTime
@@ -774,7 +778,7 @@ const bankingCommandController = {
 							pdf: req.originalUrl.replace(/[?&]format=[^&]*/, '') +
 								(req.originalUrl.includes('?') ? '&' : '?') + 'format=pdf'
 						},
-						cacheStats: reportCache.getStats()
+						cacheStats: await reportCache.getStats()
 					}
 				});
 
@@ -810,7 +814,7 @@ const bankingCommandController = {
 	 */
 	getCacheStats: async (req, res) => {
 		try {
-			const stats = reportCache.getStats();
+			const stats = await reportCache.getStats();
 			return res.status(200).json(formatResponse(stats, 'Cache statistics retrieved successfully'));
 		} catch (error) {
 			logger.error('Error retrieving cache stats:', error);
@@ -823,8 +827,8 @@ const bankingCommandController = {
 	 */
 	clearCache: async (req, res) => {
 		try {
-			const stats = reportCache.getStats();
-			reportCache.clear();
+			const stats = await reportCache.getStats();
+			await reportCache.clear();
 
 			logger.info('Cache cleared manually', { previousSize: stats.size });
 			return res.status(200).json(formatResponse({
@@ -840,12 +844,18 @@ const bankingCommandController = {
 	 * Analyze a bank statement and generate insights
 	 */
 	analyzeStatement: async (req, res) => {
-		const { userId, statementData, includeDetailed, format } = req.body;
+		// Statement files can be uploaded as the raw request body, with parameters in the query string
+		const rawUpload = typeof req.body === 'string';
+		const params = rawUpload ? req.query : (req.body || {});
+		const { userId, includeDetailed, format } = params;
+		const statementData = rawUpload
+			? { content: req.body, format: req.query.statementFormat, filename: req.query.filename }
+			: params.statementData;
 		const requestId = `stmt-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
 
 		try {
 			logger.info('Banking Intelligence Command statement analysis requested', {
-				userId, requestId, includeDetailed, format, hasStatementData: !!statementData
+				userId, requestId, includeDetailed, format, hasStatementData: !!statementData, rawUpload
 			});
 
 			if (!userId) {
@@ -856,15 +866,32 @@ const bankingCommandController = {
 				return res.status(400).json(formatError('Missing required parameter: statementData'));
 			}
 
+			// Parse OFX/QFX, CSV or CAMT.053 files into accounts and transactions
+			let preparedData;
+			try {
+				preparedData = await bankingCommandService.prepareStatementData(statementData, {
+					clientId: req.auth && req.auth.clientId
+				});
+			} catch (error) {
+				if (!error.statusCode) throw error;
+				logger.warn('Statement file could not be parsed', { requestId, error: error.message });
+				return res.status(error.statusCode).json(formatError(error.message, error.details || null));
+			}
+
 			// Generate report based on statement data (not cached)
 			const report = await bankingCommandService.generateReport({
 				userId,
-				statementData,
+				clientId: req.auth && req.auth.clientId,
+				statementData: preparedData,
 				requestId,
-				includeDetailed: includeDetailed !== false,
+				includeDetailed: includeDetailed !== false && includeDetailed !== 'false',
 				format: 'json'
 			});
 
+			if (preparedData.statementImport) {
+				report.statementImport = preparedData.statementImport;
+			}
+
 			// Handle format response
 			if (format === 'html') {
 				const htmlContent = generateHTMLReport(report);
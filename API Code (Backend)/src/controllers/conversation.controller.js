@@ -0,0 +1,137 @@
+// src/controllers/conversation.controller.js
+const conversationService = require('../services/conversation.service');
+const logger = require('../utils/logger');
+
+/**
+ * Owner and bank-user scope for a request
+ * @param {Object} req - Express request object
+ * @returns {{userId: string, subUserId: string|null}}
+ */
+function conversationScope(req) {
+	const { bankUserId } = req.params;
+
+	return {
+		userId: req.auth.userId,
+		subUserId: bankUserId ? `${req.clientId}_bank_${bankUserId}` : null
+	};
+}
+
+/**
+ * Controller for listing, resuming and deleting persisted insight
+ * conversations. Mounted for the authenticated user (/api/insights) and for
+ * bank users (/api/bank/users/:bankUserId), where conversations are scoped to
+ * the bank user.
+ */
+class ConversationController {
+	/**
+	 * List conversations, most recently active first
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async listConversations(req, res) {
+		try {
+			const { userId, subUserId } = conversationScope(req);
+			const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+			const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+			const result = await conversationService.listConversations(userId, { subUserId, limit, offset });
+
+			return res.status(200).json({
+				success: true,
+				data: result
+			});
+		} catch (error) {
+			logger.error('Error listing conversations:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to list conversations'
+			});
+		}
+	}
+
+	/**
+	 * Get a conversation with its turns. Pass the returned conversationId with
+	 * the next insights request to continue it.
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async getConversation(req, res) {
+		try {
+			const { userId, subUserId } = conversationScope(req);
+			const turnLimit = Math.min(parseInt(req.query.turnLimit) || 50, 200);
+			const turnOffset = Math.max(parseInt(req.query.turnOffset) || 0, 0);
+
+			const conversation = await conversationService.getConversation(userId, req.params.conversationId, {
+				subUserId,
+				turnLimit,
+				turnOffset
+			});
+
+			return res.status(200).json({
+				success: true,
+				data: conversation
+			});
+		} catch (error) {
+			if (!error.statusCode) {
+				logger.error('Error getting conversation:', error);
+			}
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to retrieve conversation'
+			});
+		}
+	}
+
+	/**
+	 * Delete one conversation
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async deleteConversation(req, res) {
+		try {
+			const { userId, subUserId } = conversationScope(req);
+
+			await conversationService.deleteConversation(userId, req.params.conversationId, { subUserId });
+
+			return res.status(200).json({
+				success: true,
+				message: 'Conversation deleted'
+			});
+		} catch (error) {
+			if (!error.statusCode) {
+				logger.error('Error deleting conversation:', error);
+			}
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to delete conversation'
+			});
+		}
+	}
+
+	/**
+	 * Delete all conversations in scope
+	 * @param {Object} req - Express request object
+	 * @param {Object} res - Express response object
+	 */
+	async deleteConversations(req, res) {
+		try {
+			const { userId, subUserId } = conversationScope(req);
+
+			const deleted = await conversationService.deleteConversations(userId, { subUserId });
+
+			return res.status(200).json({
+				success: true,
+				message: 'Conversations deleted',
+				data: { deleted }
+			});
+		} catch (error) {
+			logger.error('Error deleting conversations:', error);
+			return res.status(error.statusCode || 500).json({
+				success: false,
+				message: error.statusCode ? error.message : 'Failed to delete conversations'
+			});
+		}
+	}
+}
+
+module.exports = new ConversationController();
@@ -1,6 +1,7 @@
 // src/jobs/job-scheduler.js
 const cron = require('node-cron');
 const { resetQuotasJob } = require('./quota-reset.job');
+const { plaidSyncJob, plaidProductsSyncJob } = require('./plaid-sync.job');
 const logger = require('../utils/logger');
 
 /**
@@ -20,6 +21,26 @@ const initializeJobs = () => {
 			}
 		});
 
+		// Catch up Plaid items whose SYNC_UPDATES_AVAILABLE webhooks were missed (every 6 hours by default)
+		cron.schedule(process.env.PLAID_SYNC_CRON || '0 */6 * * *', async () => {
+			try {
+				logger.info('Running scheduled Plaid transaction sync');
+				await plaidSyncJob();
+			} catch (error) {
+				logger.error('Error executing scheduled Plaid transaction sync:', error);
+			}
+		});
+
+		// Refresh liabilities, investments and identity daily; their webhooks cover changes in between
+		cron.schedule(process.env.PLAID_PRODUCTS_SYNC_CRON || '30 3 * * *', async () => {
+			try {
+				logger.info('Running scheduled Plaid products sync');
+				await plaidProductsSyncJob();
+			} catch (error) {
+				logger.error('Error executing scheduled Plaid products sync:', error);
+			}
+		});
+
 		// Schedule a job to run the quota reset at startup as well (in case it was missed)
 		// This will check for any clients that should have been reset but weren't
 		setTimeout(async () => {
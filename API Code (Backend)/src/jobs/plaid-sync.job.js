@@ -0,0 +1,33 @@
+// src/jobs/plaid-sync.job.js
+const plaidSync = require('../services/plaid-sync.service');
+const plaidProducts = require('../services/plaid-products.service');
+const logger = require('../utils/logger');
+
+/**
+ * Job to pull pending transaction changes for every active Plaid item
+ * @returns {Promise<Object>} - Counts of synced and failed items
+ */
+const plaidSyncJob = async () => {
+	const startTime = Date.now();
+	const result = await plaidSync.syncAll();
+
+	logger.info(`Plaid sync job completed in ${Date.now() - startTime}ms`, result);
+	return result;
+};
+
+/**
+ * Job to refresh liabilities, investments and identity for every active Plaid item
+ * @returns {Promise<Object>} - Counts of synced and failed items
+ */
+const plaidProductsSyncJob = async () => {
+	const startTime = Date.now();
+	const result = await plaidProducts.syncAll();
+
+	logger.info(`Plaid products sync job completed in ${Date.now() - startTime}ms`, result);
+	return result;
+};
+
+module.exports = {
+	plaidSyncJob,
+	plaidProductsSyncJob
+};
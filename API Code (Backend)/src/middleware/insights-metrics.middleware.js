@@ -3,6 +3,7 @@ const logger = require('../utils/logger');
 const { sequelize } = require('../config/database');
 const { DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const intentClassifier = require('../services/intent-classifier.service');
 
 // Initialize metrics storage
 let InsightMetricsModel;
@@ -47,6 +48,18 @@ const initializeMetricsModel = async () => {
           type: DataTypes.TEXT,
           allowNull: true
         },
+        promptName: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+        promptVersion: {
+          type: DataTypes.STRING(20),
+          allowNull: true
+        },
+        experimentId: {
+          type: DataTypes.UUID,
+          allowNull: true
+        },
         createdAt: {
           type: DataTypes.DATE,
           defaultValue: DataTypes.NOW
@@ -134,7 +147,7 @@ async function processInsightMetrics(req, responseBody, statusCode) {
       const insightData = responseBody.data;
       const userId = req.auth?.userId;
       const query = req.body?.query;
-      const queryType = req.body?.queryType || classifyQuery(query);
+      const queryType = req.body?.queryType || intentClassifier.classify(query).intent;
       const requestId = req.body?.requestId || `req_${Date.now()}`;
 
       logger.info(`Insight Metrics: Processing metrics for userId ${userId}, query "${query}"`);
@@ -145,6 +158,7 @@ async function processInsightMetrics(req, responseBody, statusCode) {
         (insightData.insights && insightData.insights.processingTime) ||
         0;
       const errorMessage = !success ? (responseBody.message || 'Unknown error') : null;
+      const prompt = insightData.prompt || (insightData.insights && insightData.insights.prompt) || null;
 
       // Log detailed information about the extracted metrics
       logger.info(`Insight Metrics: Extracted data - success: ${success}, responseTime: ${responseTime}ms`, {
@@ -154,7 +168,7 @@ async function processInsightMetrics(req, responseBody, statusCode) {
       });
 
       // Now store in database
-      await storeMetricsInDatabase(userId, requestId, query, queryType, success, responseTime, errorMessage);
+      await storeMetricsInDatabase(userId, requestId, query, queryType, success, responseTime, errorMessage, prompt);
 
       // Update in-memory stats (fallback)
       inMemoryMetrics.total++;
@@ -205,7 +219,7 @@ async function processInsightMetrics(req, responseBody, statusCode) {
 }
 
 // Function to store metrics in database
-async function storeMetricsInDatabase(userId, requestId, query, queryType, success, responseTime, errorMessage = null) {
+async function storeMetricsInDatabase(userId, requestId, query, queryType, success, responseTime, errorMessage = null, prompt = null) {
   try {
     const metricsModel = await initializeMetricsModel();
 
@@ -227,7 +241,10 @@ async function storeMetricsInDatabase(userId, requestId, query, queryType, succe
         queryType: queryType || 'unknown',
         responseTime,
         success,
-        errorMessage
+        errorMessage,
+        promptName: prompt ? prompt.name : null,
+        promptVersion: prompt && prompt.version ? String(prompt.version) : null,
+        experimentId: prompt ? prompt.experimentId : null
       });
 
       logger.info(`Insight Metrics: Successfully stored metrics with ID ${record.id}`);
@@ -250,117 +267,6 @@ async function storeMetricsInDatabase(userId, requestId, query, queryType, succe
   }
 }
 
-// Helper function to classify queries
-function classifyQuery(query) {
-  if (!query) return 'general';
-
-  const normalizedQuery = query.toString().trim().toLowerCase();
-
-  // Check for harmful patterns first
-  const harmfulPatterns = [
-    /\b(cocaine|heroin|meth|methamphetamine|fentanyl|drug dealer|drug price|buy drugs|sell drugs|marijuana|cannabis|weed)\b/i,
-    /\b(hack|hacking|ddos|phishing|steal|stealing|launder|laundering|money laundering|illegal)\b/i,
-    /\b(make bomb|bomb making|gun dealer|illegal weapon|mass shooting|kill|murder)\b/i,
-    /\b(child porn|cp|csam|underage|minor sex|pedophilia)\b/i,
-    /\b(credit card fraud|identity theft|steal identity|fake id|counterfeit|pyramid scheme)\b/i,
-    /\b(terrorism|terrorist|radicalize|jihad|extremist)\b/i
-  ];
-
-  if (normalizedQuery && harmfulPatterns.some(pattern => pattern.test(normalizedQuery))) {
-    return 'harmful';
-  }
-
-  // Existing classifications for greeting/joke
-  if (/^(hi|hello|hey|howdy|hola|yo|sup|greetings)$/i.test(normalizedQuery) ||
-    /^(good\s+(morning|afternoon|evening))(\s+clau)?(\s*[!,.?]*)$/i.test(normalizedQuery)) {
-    return 'greeting';
-  }
-
-  if (/joke|funny|make me laugh|tell me a joke/i.test(normalizedQuery)) {
-    return 'joke';
-  }
-
-  // Financial categories
-  if (/budget|how\s+to\s+budget|budgeting|create\s+a\s+budget|manage\s+budget|budget\s+plan|monthly\s+budget/i.test(normalizedQuery)) {
-    return 'budgeting';
-  }
-
-  if (/spend|spending|how\s+much\s+did\s+i\s+spend|spent|where\s+is\s+my\s+money\s+going|expenses|expense|track\s+spending|spending\s+habits/i.test(normalizedQuery)) {
-    return 'spending';
-  }
-
-  if (/save|saving|savings|how\s+to\s+save|save\s+money|save\s+more|increase\s+savings/i.test(normalizedQuery)) {
-    return 'saving';
-  }
-
-  if (/invest|investing|investment|stock|stocks|etf|mutual\s+fund|portfolio|retirement/i.test(normalizedQuery)) {
-    return 'investing';
-  }
-
-  if (/debt|loan|credit\s+card|mortgage|pay\s+off|interest\s+rate|refinance/i.test(normalizedQuery)) {
-    return 'debt';
-  }
-
-  if (/tax|taxes|tax\s+return|tax\s+refund|tax\s+deduction|tax\s+credit|irs|filing\s+taxes/i.test(normalizedQuery)) {
-    return 'tax';
-  }
-
-  if (/insurance|insure|policy|coverage|premium|deductible|life\s+insurance|health\s+insurance|auto\s+insurance/i.test(normalizedQuery)) {
-    return 'insurance';
-  }
-
-  if (/retirement|retire|401k|ira|pension|social\s+security|retirement\s+planning/i.test(normalizedQuery)) {
-    return 'retirement';
-  }
-
-  if (/bank\s+account|checking|savings\s+account|deposit|withdraw|atm|transfer\s+money|bank\s+fee|overdraft/i.test(normalizedQuery)) {
-    return 'banking';
-  }
-
-  if (/credit\s+score|credit\s+report|fico|credit\s+history|credit\s+bureau|improve\s+credit|bad\s+credit/i.test(normalizedQuery)) {
-    return 'credit';
-  }
-
-  if (/financial\s+plan|financial\s+goal|financial\s+advisor|finance\s+management|wealth\s+management/i.test(normalizedQuery)) {
-    return 'planning';
-  }
-
-  if (/real\s+estate|housing|home\s+buying|mortgage|rent|property|down\s+payment/i.test(normalizedQuery)) {
-    return 'real_estate';
-  }
-
-  if (/crypto|cryptocurrency|bitcoin|ethereum|blockchain|nft|token|defi/i.test(normalizedQuery)) {
-    return 'crypto';
-  }
-
-  if (/market\s+trend|stock\s+market|bear\s+market|bull\s+market|market\s+analysis|forecast/i.test(normalizedQuery)) {
-    return 'market_analysis';
-  }
-
-  if (/learn|explain|how\s+does|what\s+is|define|financial\s+literacy|basics\s+of/i.test(normalizedQuery)) {
-    return 'education';
-  }
-
-  if (/income|salary|wage|earn|earning|paycheck|side\s+hustle|passive\s+income/i.test(normalizedQuery)) {
-    return 'income';
-  }
-
-  if (/transaction|purchase|payment|receipt|invoice|refund|charge|statement|bill/i.test(normalizedQuery)) {
-    return 'transactions';
-  }
-
-  if (/fraud|scam|security|protect|identity|phishing|suspicious|fraud\s+alert|unauthorized/i.test(normalizedQuery)) {
-    return 'security';
-  }
-
-  if (/currency|foreign\s+exchange|forex|exchange\s+rate|conversion|dollar|euro|yuan|yen|pound/i.test(normalizedQuery)) {
-    return 'forex';
-  }
-
-  // Default to general for any other financial queries
-  return 'general';
-}
-
 /**
  * Get system-wide insight metrics
  * @returns {Object} Insight metrics
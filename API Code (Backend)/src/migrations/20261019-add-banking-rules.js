@@ -0,0 +1,133 @@
+// migrations/20261019-add-banking-rules.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('BankingRules', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				references: {
+					model: 'Clients',
+					key: 'clientId'
+				},
+				onDelete: 'CASCADE'
+			},
+			key: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			description: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			condition: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			actions: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			priority: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 100
+			},
+			isActive: {
+				type: Sequelize.BOOLEAN,
+				defaultValue: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('BankingRules', ['clientId', 'key'], {
+			unique: true,
+			name: 'banking_rules_client_key_unique'
+		});
+
+		await queryInterface.createTable('RuleEvaluations', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			bankUserId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			ruleId: {
+				type: Sequelize.UUID,
+				allowNull: true
+			},
+			ruleKey: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			condition: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			fired: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			actions: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			metrics: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			error: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			trigger: {
+				type: Sequelize.STRING(20),
+				allowNull: false,
+				defaultValue: 'api'
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('RuleEvaluations', ['clientId', 'bankUserId', 'createdAt'], {
+			name: 'rule_evaluations_client_user_idx'
+		});
+		await queryInterface.addIndex('RuleEvaluations', ['clientId', 'ruleKey', 'fired'], {
+			name: 'rule_evaluations_client_rule_idx'
+		});
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('RuleEvaluations');
+		await queryInterface.dropTable('BankingRules');
+	}
+};
@@ -0,0 +1,145 @@
+// migrations/20261019-add-categorization.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('CategoryTaxonomies', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true,
+				references: {
+					model: 'Clients',
+					key: 'clientId'
+				},
+				onDelete: 'CASCADE'
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				defaultValue: 'Custom'
+			},
+			categories: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			fallbackCategoryId: {
+				type: Sequelize.STRING(100),
+				allowNull: false,
+				defaultValue: 'uncategorized'
+			},
+			version: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 1
+			},
+			updatedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.createTable('CategoryRules', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				references: {
+					model: 'Clients',
+					key: 'clientId'
+				},
+				onDelete: 'CASCADE'
+			},
+			categoryId: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			matchType: {
+				type: Sequelize.ENUM('keyword', 'regex', 'mcc', 'source_category', 'merchant'),
+				allowNull: false,
+				defaultValue: 'keyword'
+			},
+			pattern: {
+				type: Sequelize.STRING(500),
+				allowNull: false
+			},
+			priority: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 100
+			},
+			isActive: {
+				type: Sequelize.BOOLEAN,
+				defaultValue: true
+			},
+			notes: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('CategoryRules', ['clientId', 'isActive'], {
+			name: 'category_rules_client_active_idx'
+		});
+
+		await queryInterface.addColumn('Transactions', 'categoryId', {
+			type: Sequelize.STRING(100),
+			allowNull: true
+		});
+		await queryInterface.addColumn('Transactions', 'sourceCategory', {
+			type: Sequelize.STRING,
+			allowNull: true
+		});
+		await queryInterface.addColumn('Transactions', 'categoryRuleId', {
+			type: Sequelize.STRING(100),
+			allowNull: true
+		});
+		await queryInterface.addIndex('Transactions', ['clientId', 'categoryId'], {
+			name: 'transactions_client_id_category_id'
+		});
+
+		// Existing categories came straight from the source; keep them as the source value
+		await queryInterface.sequelize.query(
+			'UPDATE "Transactions" SET "sourceCategory" = "category" WHERE "sourceCategory" IS NULL'
+		);
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeIndex('Transactions', 'transactions_client_id_category_id');
+		await queryInterface.removeColumn('Transactions', 'categoryRuleId');
+		await queryInterface.removeColumn('Transactions', 'sourceCategory');
+		await queryInterface.removeColumn('Transactions', 'categoryId');
+		await queryInterface.dropTable('CategoryRules');
+		await queryInterface.dropTable('CategoryTaxonomies');
+	}
+};
@@ -0,0 +1,122 @@
+// migrations/20261019-add-merchant-normalization.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('Merchants', {
+			id: {
+				type: Sequelize.STRING(100),
+				primaryKey: true
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			category: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			website: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			logoUrl: {
+				type: Sequelize.STRING(1024),
+				allowNull: true
+			},
+			isActive: {
+				type: Sequelize.BOOLEAN,
+				defaultValue: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.createTable('MerchantRules', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			merchantId: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			matchType: {
+				type: Sequelize.ENUM('regex', 'alias', 'exact'),
+				allowNull: false,
+				defaultValue: 'alias'
+			},
+			pattern: {
+				type: Sequelize.STRING(500),
+				allowNull: false
+			},
+			priority: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 100
+			},
+			isActive: {
+				type: Sequelize.BOOLEAN,
+				defaultValue: true
+			},
+			notes: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('MerchantRules', ['merchantId'], {
+			name: 'merchant_rules_merchant_idx'
+		});
+		await queryInterface.addIndex('MerchantRules', ['clientId', 'isActive'], {
+			name: 'merchant_rules_client_active_idx'
+		});
+
+		await queryInterface.addColumn('Transactions', 'canonicalMerchantId', {
+			type: Sequelize.STRING(100),
+			allowNull: true
+		});
+		await queryInterface.addColumn('Transactions', 'canonicalMerchantName', {
+			type: Sequelize.STRING,
+			allowNull: true
+		});
+		await queryInterface.addIndex('Transactions', ['canonicalMerchantId'], {
+			name: 'transactions_canonical_merchant_id'
+		});
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeIndex('Transactions', 'transactions_canonical_merchant_id');
+		await queryInterface.removeColumn('Transactions', 'canonicalMerchantName');
+		await queryInterface.removeColumn('Transactions', 'canonicalMerchantId');
+		await queryInterface.dropTable('MerchantRules');
+		await queryInterface.dropTable('Merchants');
+	}
+};
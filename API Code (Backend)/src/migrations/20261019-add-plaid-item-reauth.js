@@ -0,0 +1,26 @@
+// migrations/20261019-add-plaid-item-reauth.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn('PlaidItems', 'reauthRequired', {
+			type: Sequelize.BOOLEAN,
+			allowNull: false,
+			defaultValue: false
+		});
+		await queryInterface.addColumn('PlaidItems', 'reauthReason', {
+			type: Sequelize.STRING(100),
+			allowNull: true
+		});
+		await queryInterface.addColumn('PlaidItems', 'reauthNotifiedAt', {
+			type: Sequelize.DATE,
+			allowNull: true
+		});
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn('PlaidItems', 'reauthNotifiedAt');
+		await queryInterface.removeColumn('PlaidItems', 'reauthReason');
+		await queryInterface.removeColumn('PlaidItems', 'reauthRequired');
+	}
+};
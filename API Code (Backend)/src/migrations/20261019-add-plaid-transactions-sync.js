@@ -0,0 +1,15 @@
+// migrations/20261019-add-plaid-transactions-sync.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn('PlaidItems', 'transactionsCursor', {
+			type: Sequelize.TEXT,
+			allowNull: true
+		});
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.removeColumn('PlaidItems', 'transactionsCursor');
+	}
+};
@@ -0,0 +1,134 @@
+// migrations/20261019-create-conversations.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('Conversations', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			userId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			subUserId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			sessionKey: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			title: {
+				type: Sequelize.STRING(200),
+				allowNull: true
+			},
+			topics: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			summary: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			summarizedTurns: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			turnCount: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			lastQueryType: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			lastActivityAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: Sequelize.NOW
+			},
+			expiresAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('Conversations', ['userId', 'subUserId', 'lastActivityAt'], {
+			name: 'conversations_user_activity_idx'
+		});
+		await queryInterface.addIndex('Conversations', ['userId', 'sessionKey'], {
+			name: 'conversations_user_session_idx'
+		});
+		await queryInterface.addIndex('Conversations', ['expiresAt'], {
+			name: 'conversations_expires_at_idx'
+		});
+
+		await queryInterface.createTable('ConversationTurns', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			conversationId: {
+				type: Sequelize.UUID,
+				allowNull: false,
+				references: {
+					model: 'Conversations',
+					key: 'id'
+				},
+				onDelete: 'CASCADE'
+			},
+			sequence: {
+				type: Sequelize.INTEGER,
+				allowNull: false
+			},
+			query: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			response: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			queryType: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			topics: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			metadata: {
+				type: Sequelize.JSON,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('ConversationTurns', ['conversationId', 'sequence'], {
+			unique: true,
+			name: 'conversation_turns_conversation_sequence_unique'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('ConversationTurns');
+		await queryInterface.dropTable('Conversations');
+	}
+};
@@ -0,0 +1,75 @@
+// migrations/20261019-create-guardrail-verdicts.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('GuardrailVerdicts', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			action: {
+				type: Sequelize.ENUM('pass', 'flagged', 'modified', 'blocked'),
+				allowNull: false
+			},
+			findingCount: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			checks: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			operation: {
+				type: Sequelize.STRING(50),
+				allowNull: false
+			},
+			reportSection: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			queryType: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			provider: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			userId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			requestId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('GuardrailVerdicts', ['createdAt'], {
+			name: 'guardrail_verdicts_created_at_idx'
+		});
+		await queryInterface.addIndex('GuardrailVerdicts', ['action', 'createdAt'], {
+			name: 'guardrail_verdicts_action_created_at_idx'
+		});
+		await queryInterface.addIndex('GuardrailVerdicts', ['requestId'], {
+			name: 'guardrail_verdicts_request_id_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('GuardrailVerdicts');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_GuardrailVerdicts_action";');
+	}
+};
@@ -0,0 +1,135 @@
+// migrations/20261019-create-ingestion-jobs.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('IngestionJobs', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			jobId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			requestedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			format: {
+				type: Sequelize.ENUM('ndjson', 'csv'),
+				allowNull: false
+			},
+			contentHash: {
+				type: Sequelize.STRING(64),
+				allowNull: false
+			},
+			idempotencyKey: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			status: {
+				type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+				allowNull: false,
+				defaultValue: 'pending'
+			},
+			payload: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			totals: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			results: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			rowErrors: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			errorCount: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			error: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			progress: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			progressMessage: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			maxAttempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 3
+			},
+			nextRunAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: Sequelize.NOW
+			},
+			lockedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			lockedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			requestedAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: Sequelize.NOW
+			},
+			startedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			completedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('IngestionJobs', ['clientId', 'idempotencyKey'], {
+			unique: true,
+			name: 'ingestion_jobs_client_idempotency_unique'
+		});
+		await queryInterface.addIndex('IngestionJobs', ['clientId', 'contentHash'], {
+			name: 'ingestion_jobs_client_hash_idx'
+		});
+		await queryInterface.addIndex('IngestionJobs', ['status', 'nextRunAt'], {
+			name: 'ingestion_jobs_status_next_run_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('IngestionJobs');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_IngestionJobs_format";');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_IngestionJobs_status";');
+	}
+};
@@ -0,0 +1,92 @@
+// migrations/20261019-create-llm-usages.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('LlmUsages', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			provider: {
+				type: Sequelize.STRING(50),
+				allowNull: false
+			},
+			model: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			operation: {
+				type: Sequelize.STRING(50),
+				allowNull: false
+			},
+			calls: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 1
+			},
+			promptTokens: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			completionTokens: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			totalTokens: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			costUsd: {
+				type: Sequelize.DECIMAL(12, 6),
+				allowNull: true
+			},
+			queryType: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			reportSection: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			userId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			bankUserId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			requestId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('LlmUsages', ['createdAt'], {
+			name: 'llm_usages_created_at_idx'
+		});
+		await queryInterface.addIndex('LlmUsages', ['clientId', 'createdAt'], {
+			name: 'llm_usages_client_created_at_idx'
+		});
+		await queryInterface.addIndex('LlmUsages', ['userId', 'createdAt'], {
+			name: 'llm_usages_user_created_at_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('LlmUsages');
+	}
+};
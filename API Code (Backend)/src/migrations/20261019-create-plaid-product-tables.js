@@ -0,0 +1,280 @@
+// migrations/20261019-create-plaid-product-tables.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		const timestamps = {
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		};
+		const ownership = {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			userId: {
+				type: Sequelize.UUID,
+				allowNull: false,
+				references: {
+					model: 'Users',
+					key: 'id'
+				},
+				onDelete: 'CASCADE'
+			},
+			itemId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			}
+		};
+
+		await queryInterface.addColumn('PlaidItems', 'productStatus', {
+			type: Sequelize.JSON,
+			allowNull: true
+		});
+
+		await queryInterface.createTable('PlaidLiabilities', {
+			...ownership,
+			accountId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			liabilityType: {
+				type: Sequelize.ENUM('credit', 'student', 'mortgage'),
+				allowNull: false
+			},
+			currentBalance: {
+				type: Sequelize.DECIMAL(12, 2),
+				allowNull: true
+			},
+			currency: {
+				type: Sequelize.STRING(3),
+				defaultValue: 'USD'
+			},
+			interestRate: {
+				type: Sequelize.DECIMAL(6, 3),
+				allowNull: true
+			},
+			minimumPaymentAmount: {
+				type: Sequelize.DECIMAL(12, 2),
+				allowNull: true
+			},
+			nextPaymentDueDate: {
+				type: Sequelize.DATEONLY,
+				allowNull: true
+			},
+			lastPaymentAmount: {
+				type: Sequelize.DECIMAL(12, 2),
+				allowNull: true
+			},
+			lastPaymentDate: {
+				type: Sequelize.DATEONLY,
+				allowNull: true
+			},
+			isOverdue: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			details: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			...timestamps
+		});
+
+		await queryInterface.createTable('PlaidSecurities', {
+			...ownership,
+			securityId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			tickerSymbol: {
+				type: Sequelize.STRING(20),
+				allowNull: true
+			},
+			type: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			closePrice: {
+				type: Sequelize.DECIMAL(18, 6),
+				allowNull: true
+			},
+			closePriceAsOf: {
+				type: Sequelize.DATEONLY,
+				allowNull: true
+			},
+			isCashEquivalent: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			currency: {
+				type: Sequelize.STRING(3),
+				defaultValue: 'USD'
+			},
+			...timestamps
+		});
+
+		await queryInterface.createTable('PlaidHoldings', {
+			...ownership,
+			accountId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			securityId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			quantity: {
+				type: Sequelize.DECIMAL(18, 6),
+				allowNull: true
+			},
+			institutionPrice: {
+				type: Sequelize.DECIMAL(18, 6),
+				allowNull: true
+			},
+			institutionPriceAsOf: {
+				type: Sequelize.DATEONLY,
+				allowNull: true
+			},
+			institutionValue: {
+				type: Sequelize.DECIMAL(14, 2),
+				allowNull: true
+			},
+			costBasis: {
+				type: Sequelize.DECIMAL(14, 2),
+				allowNull: true
+			},
+			currency: {
+				type: Sequelize.STRING(3),
+				defaultValue: 'USD'
+			},
+			...timestamps
+		});
+
+		await queryInterface.createTable('PlaidInvestmentTransactions', {
+			...ownership,
+			accountId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			investmentTransactionId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			},
+			securityId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			date: {
+				type: Sequelize.DATEONLY,
+				allowNull: false
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			type: {
+				type: Sequelize.STRING(20),
+				allowNull: false
+			},
+			subtype: {
+				type: Sequelize.STRING(50),
+				allowNull: true
+			},
+			quantity: {
+				type: Sequelize.DECIMAL(18, 6),
+				allowNull: true
+			},
+			price: {
+				type: Sequelize.DECIMAL(18, 6),
+				allowNull: true
+			},
+			amount: {
+				type: Sequelize.DECIMAL(14, 2),
+				allowNull: true
+			},
+			fees: {
+				type: Sequelize.DECIMAL(12, 2),
+				allowNull: true
+			},
+			currency: {
+				type: Sequelize.STRING(3),
+				defaultValue: 'USD'
+			},
+			...timestamps
+		});
+
+		await queryInterface.createTable('PlaidIdentities', {
+			...ownership,
+			accountId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			owners: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			...timestamps
+		});
+
+		await queryInterface.addIndex('PlaidLiabilities', ['userId'], {
+			name: 'plaid_liabilities_user_idx'
+		});
+		await queryInterface.addIndex('PlaidLiabilities', ['itemId', 'accountId'], {
+			name: 'plaid_liabilities_item_account_idx',
+			unique: true
+		});
+		await queryInterface.addIndex('PlaidSecurities', ['userId'], {
+			name: 'plaid_securities_user_idx'
+		});
+		await queryInterface.addIndex('PlaidSecurities', ['itemId', 'securityId'], {
+			name: 'plaid_securities_item_security_idx',
+			unique: true
+		});
+		await queryInterface.addIndex('PlaidHoldings', ['userId'], {
+			name: 'plaid_holdings_user_idx'
+		});
+		await queryInterface.addIndex('PlaidHoldings', ['itemId', 'accountId', 'securityId'], {
+			name: 'plaid_holdings_item_account_security_idx',
+			unique: true
+		});
+		await queryInterface.addIndex('PlaidInvestmentTransactions', ['userId', 'date'], {
+			name: 'plaid_investment_transactions_user_date_idx'
+		});
+		await queryInterface.addIndex('PlaidInvestmentTransactions', ['itemId'], {
+			name: 'plaid_investment_transactions_item_idx'
+		});
+		await queryInterface.addIndex('PlaidIdentities', ['userId'], {
+			name: 'plaid_identities_user_idx'
+		});
+		await queryInterface.addIndex('PlaidIdentities', ['itemId', 'accountId'], {
+			name: 'plaid_identities_item_account_idx',
+			unique: true
+		});
+	},
+
+	down: async (queryInterface) => {
+		await queryInterface.dropTable('PlaidIdentities');
+		await queryInterface.dropTable('PlaidInvestmentTransactions');
+		await queryInterface.dropTable('PlaidHoldings');
+		await queryInterface.dropTable('PlaidSecurities');
+		await queryInterface.dropTable('PlaidLiabilities');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PlaidLiabilities_liabilityType";');
+		await queryInterface.removeColumn('PlaidItems', 'productStatus');
+	}
+};
@@ -0,0 +1,107 @@
+// migrations/20261019-create-plaid-webhook-events.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('PlaidWebhookEvents', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			eventKey: {
+				type: Sequelize.STRING(64),
+				allowNull: false
+			},
+			webhookType: {
+				type: Sequelize.STRING(50),
+				allowNull: false
+			},
+			webhookCode: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			itemId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			payload: {
+				type: Sequelize.JSONB,
+				allowNull: false
+			},
+			verified: {
+				type: Sequelize.BOOLEAN,
+				allowNull: false,
+				defaultValue: false
+			},
+			status: {
+				type: Sequelize.ENUM('pending', 'processing', 'processed', 'ignored', 'failed'),
+				allowNull: false,
+				defaultValue: 'pending'
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			maxAttempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 6
+			},
+			nextAttemptAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			processedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			lockedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			lockedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			duplicateCount: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			result: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			lastError: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			attemptLog: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('PlaidWebhookEvents', ['eventKey', 'createdAt'], {
+			name: 'plaid_webhook_events_key_created_idx'
+		});
+		await queryInterface.addIndex('PlaidWebhookEvents', ['status', 'nextAttemptAt'], {
+			name: 'plaid_webhook_events_status_next_attempt_idx'
+		});
+		await queryInterface.addIndex('PlaidWebhookEvents', ['itemId'], {
+			name: 'plaid_webhook_events_item_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('PlaidWebhookEvents');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PlaidWebhookEvents_status";');
+	}
+};
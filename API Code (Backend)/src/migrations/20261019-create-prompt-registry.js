@@ -0,0 +1,173 @@
+// migrations/20261019-create-prompt-registry.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('PromptTemplates', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			name: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			version: {
+				type: Sequelize.INTEGER,
+				allowNull: false
+			},
+			queryTypes: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			system: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			template: {
+				type: Sequelize.TEXT,
+				allowNull: false
+			},
+			variables: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			temperature: {
+				type: Sequelize.FLOAT,
+				allowNull: true
+			},
+			maxTokens: {
+				type: Sequelize.INTEGER,
+				allowNull: true
+			},
+			status: {
+				type: Sequelize.ENUM('draft', 'active', 'archived'),
+				allowNull: false,
+				defaultValue: 'draft'
+			},
+			description: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('PromptTemplates', ['name', 'version'], {
+			unique: true,
+			name: 'prompt_templates_name_version_unique'
+		});
+		await queryInterface.addIndex('PromptTemplates', ['status'], {
+			name: 'prompt_templates_status_idx'
+		});
+
+		await queryInterface.createTable('PromptExperiments', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			name: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			promptName: {
+				type: Sequelize.STRING(100),
+				allowNull: false
+			},
+			queryTypes: {
+				type: Sequelize.JSONB,
+				allowNull: true
+			},
+			variants: {
+				type: Sequelize.JSONB,
+				allowNull: false,
+				defaultValue: []
+			},
+			status: {
+				type: Sequelize.ENUM('running', 'paused', 'completed'),
+				allowNull: false,
+				defaultValue: 'running'
+			},
+			description: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			startedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			endedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			createdAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			updatedAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			}
+		});
+
+		await queryInterface.addIndex('PromptExperiments', ['promptName', 'status'], {
+			name: 'prompt_experiments_prompt_status_idx'
+		});
+
+		// Outcome tracking: which prompt version produced each answer and its tokens
+		for (const table of ['InsightMetrics', 'LlmUsages']) {
+			await queryInterface.addColumn(table, 'promptName', {
+				type: Sequelize.STRING(100),
+				allowNull: true
+			});
+			await queryInterface.addColumn(table, 'promptVersion', {
+				type: Sequelize.STRING(20),
+				allowNull: true
+			});
+			await queryInterface.addColumn(table, 'experimentId', {
+				type: Sequelize.UUID,
+				allowNull: true
+			});
+		}
+
+		await queryInterface.addIndex('InsightMetrics', ['experimentId', 'promptVersion'], {
+			name: 'insight_metrics_experiment_idx'
+		});
+		await queryInterface.addIndex('LlmUsages', ['experimentId', 'promptVersion'], {
+			name: 'llm_usages_experiment_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.removeIndex('LlmUsages', 'llm_usages_experiment_idx');
+		await queryInterface.removeIndex('InsightMetrics', 'insight_metrics_experiment_idx');
+
+		for (const table of ['InsightMetrics', 'LlmUsages']) {
+			await queryInterface.removeColumn(table, 'experimentId');
+			await queryInterface.removeColumn(table, 'promptVersion');
+			await queryInterface.removeColumn(table, 'promptName');
+		}
+
+		await queryInterface.dropTable('PromptExperiments');
+		await queryInterface.dropTable('PromptTemplates');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PromptExperiments_status";');
+		await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PromptTemplates_status";');
+	}
+};
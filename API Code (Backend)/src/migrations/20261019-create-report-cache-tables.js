@@ -0,0 +1,76 @@
+// migrations/20261019-create-report-cache-tables.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('ReportCacheEntries', {
+			cacheKey: {
+				type: Sequelize.STRING,
+				primaryKey: true
+			},
+			userId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			report: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			expiresAt: {
+				type: Sequelize.DATE,
+				allowNull: false
+			},
+			accessCount: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			lastAccessedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('ReportCacheEntries', ['userId'], {
+			name: 'report_cache_entries_user_idx'
+		});
+		await queryInterface.addIndex('ReportCacheEntries', ['expiresAt'], {
+			name: 'report_cache_entries_expires_idx'
+		});
+		await queryInterface.addIndex('ReportCacheEntries', ['lastAccessedAt'], {
+			name: 'report_cache_entries_last_accessed_idx'
+		});
+
+		await queryInterface.createTable('ReportCacheVersions', {
+			userId: {
+				type: Sequelize.STRING,
+				primaryKey: true
+			},
+			version: {
+				type: Sequelize.INTEGER,
+				allowNull: false,
+				defaultValue: 0
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('ReportCacheVersions');
+		await queryInterface.dropTable('ReportCacheEntries');
+	}
+};
@@ -0,0 +1,117 @@
+// migrations/20261019-create-report-jobs.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.createTable('ReportJobs', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			jobId: {
+				type: Sequelize.STRING,
+				allowNull: false,
+				unique: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			requestedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			userId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			status: {
+				type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+				allowNull: false,
+				defaultValue: 'pending'
+			},
+			parameters: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			result: {
+				type: Sequelize.JSON,
+				allowNull: true
+			},
+			error: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			progress: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			progressMessage: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			fromCache: {
+				type: Sequelize.BOOLEAN,
+				defaultValue: false
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			maxAttempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 3
+			},
+			nextRunAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: Sequelize.NOW
+			},
+			lockedBy: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			lockedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			requestedAt: {
+				type: Sequelize.DATE,
+				allowNull: false,
+				defaultValue: Sequelize.NOW
+			},
+			startedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			completedAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			cancelledAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('ReportJobs', ['status', 'nextRunAt'], {
+			name: 'report_jobs_status_next_run_idx'
+		});
+		await queryInterface.addIndex('ReportJobs', ['clientId', 'status'], {
+			name: 'report_jobs_client_status_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('ReportJobs');
+	}
+};
@@ -0,0 +1,113 @@
+// migrations/20261019-create-webhook-deliveries.js
+'use strict';
+
+module.exports = {
+	up: async (queryInterface, Sequelize) => {
+		await queryInterface.addColumn('Clients', 'webhookUrl', {
+			type: Sequelize.STRING(2048),
+			allowNull: true
+		});
+
+		await queryInterface.addColumn('ReportJobs', 'callbackUrl', {
+			type: Sequelize.STRING(2048),
+			allowNull: true
+		});
+
+		await queryInterface.createTable('WebhookDeliveries', {
+			id: {
+				type: Sequelize.UUID,
+				defaultValue: Sequelize.UUIDV4,
+				primaryKey: true
+			},
+			clientId: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			event: {
+				type: Sequelize.STRING,
+				allowNull: false
+			},
+			jobId: {
+				type: Sequelize.STRING,
+				allowNull: true
+			},
+			url: {
+				type: Sequelize.STRING(2048),
+				allowNull: false
+			},
+			payload: {
+				type: Sequelize.JSON,
+				allowNull: false
+			},
+			status: {
+				type: Sequelize.ENUM('pending', 'delivered', 'failed'),
+				allowNull: false,
+				defaultValue: 'pending'
+			},
+			attempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 0
+			},
+			maxAttempts: {
+				type: Sequelize.INTEGER,
+				defaultValue: 6
+			},
+			nextAttemptAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			lastAttemptAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			deliveredAt: {
+				type: Sequelize.DATE,
+				allowNull: true
+			},
+			responseStatus: {
+				type: Sequelize.INTEGER,
+				allowNull: true
+			},
+			responseBody: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			lastError: {
+				type: Sequelize.TEXT,
+				allowNull: true
+			},
+			attemptLog: {
+				type: Sequelize.JSON,
+				allowNull: true
+			},
+			replayOf: {
+				type: Sequelize.UUID,
+				allowNull: true
+			},
+			createdAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			},
+			updatedAt: {
+				allowNull: false,
+				type: Sequelize.DATE
+			}
+		});
+
+		await queryInterface.addIndex('WebhookDeliveries', ['status', 'nextAttemptAt'], {
+			name: 'webhook_deliveries_status_next_attempt_idx'
+		});
+		await queryInterface.addIndex('WebhookDeliveries', ['clientId'], {
+			name: 'webhook_deliveries_client_idx'
+		});
+		await queryInterface.addIndex('WebhookDeliveries', ['jobId'], {
+			name: 'webhook_deliveries_job_idx'
+		});
+	},
+
+	down: async (queryInterface, Sequelize) => {
+		await queryInterface.dropTable('WebhookDeliveries');
+		await queryInterface.removeColumn('ReportJobs', 'callbackUrl');
+		await queryInterface.removeColumn('Clients', 'webhookUrl');
+	}
+};
@@ -0,0 +1,65 @@
+// src/models/BankingRule.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const BankingRule = sequelize.define('BankingRule', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			references: {
+				model: 'Clients',
+				key: 'clientId'
+			}
+		},
+		key: {
+			type: DataTypes.STRING(100),
+			allowNull: false,
+			comment: 'Snake-case rule name, unique per client (e.g. liquidity_guardrail)'
+		},
+		description: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		condition: {
+			type: DataTypes.TEXT,
+			allowNull: false,
+			comment: 'Rule expression over user metrics (see utils/rule-expression.js)'
+		},
+		actions: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Action codes produced when the condition holds'
+		},
+		priority: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 100
+		},
+		isActive: {
+			type: DataTypes.BOOLEAN,
+			defaultValue: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'BankingRules',
+		timestamps: true,
+		indexes: [
+			{
+				unique: true,
+				fields: ['clientId', 'key'],
+				name: 'banking_rules_client_key_unique'
+			}
+		]
+	});
+
+	return BankingRule;
+};
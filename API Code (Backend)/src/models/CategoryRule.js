@@ -0,0 +1,63 @@
+// src/models/CategoryRule.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const CategoryRule = sequelize.define('CategoryRule', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			references: {
+				model: 'Clients',
+				key: 'clientId'
+			}
+		},
+		categoryId: {
+			type: DataTypes.STRING(100),
+			allowNull: false,
+			comment: 'Category in the client taxonomy the rule assigns'
+		},
+		matchType: {
+			type: DataTypes.ENUM('keyword', 'regex', 'mcc', 'source_category', 'merchant'),
+			allowNull: false,
+			defaultValue: 'keyword'
+		},
+		pattern: {
+			type: DataTypes.STRING(500),
+			allowNull: false,
+			comment: 'Keywords (| separated), regex source, MCC codes/ranges, source categories or merchant IDs'
+		},
+		priority: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 100
+		},
+		isActive: {
+			type: DataTypes.BOOLEAN,
+			defaultValue: true
+		},
+		notes: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'CategoryRules',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['clientId', 'isActive'],
+				name: 'category_rules_client_active_idx'
+			}
+		]
+	});
+
+	return CategoryRule;
+};
@@ -0,0 +1,51 @@
+// src/models/CategoryTaxonomy.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const CategoryTaxonomy = sequelize.define('CategoryTaxonomy', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true,
+			references: {
+				model: 'Clients',
+				key: 'clientId'
+			}
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			defaultValue: 'Custom'
+		},
+		categories: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Array of { id, name, parentId, mapsFrom[] } where mapsFrom lists default taxonomy IDs'
+		},
+		fallbackCategoryId: {
+			type: DataTypes.STRING(100),
+			allowNull: false,
+			defaultValue: 'uncategorized'
+		},
+		version: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 1
+		},
+		updatedBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'CategoryTaxonomies',
+		timestamps: true
+	});
+
+	return CategoryTaxonomy;
+};
@@ -0,0 +1,106 @@
+// src/models/Conversation.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const Conversation = sequelize.define('Conversation', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true,
+			comment: 'Public conversation identifier (also returned as sessionId)'
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Authenticated user that owns the conversation'
+		},
+		subUserId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Bank user the conversation is about ("<clientId>_bank_<bankUserId>"); null for the user\'s own conversations'
+		},
+		sessionKey: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Login session the conversation was started from, so clients that only send a session ID keep their context'
+		},
+		title: {
+			type: DataTypes.STRING(200),
+			allowNull: true,
+			comment: 'First query of the conversation, truncated'
+		},
+		topics: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Financial topics discussed, most recent first'
+		},
+		summary: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'Condensed history of turns no longer sent verbatim'
+		},
+		summarizedTurns: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0,
+			comment: 'Number of leading turns folded into the summary'
+		},
+		turnCount: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		},
+		lastQueryType: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		lastActivityAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW
+		},
+		expiresAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			comment: 'Conversation and its turns are deleted after this time (extended on every turn)'
+		}
+	}, {
+		tableName: 'Conversations',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId', 'subUserId', 'lastActivityAt'],
+				name: 'conversations_user_activity_idx'
+			},
+			{
+				fields: ['userId', 'sessionKey'],
+				name: 'conversations_user_session_idx'
+			},
+			{
+				fields: ['expiresAt'],
+				name: 'conversations_expires_at_idx'
+			}
+		]
+	});
+
+	/**
+	 * Shape used by the conversation endpoints
+	 * @returns {Object}
+	 */
+	Conversation.prototype.toSummaryResponse = function () {
+		return {
+			conversationId: this.id,
+			title: this.title,
+			topics: this.topics || [],
+			turnCount: this.turnCount,
+			lastQueryType: this.lastQueryType,
+			summary: this.summary,
+			createdAt: this.createdAt,
+			lastActivityAt: this.lastActivityAt,
+			expiresAt: this.expiresAt
+		};
+	};
+
+	return Conversation;
+};
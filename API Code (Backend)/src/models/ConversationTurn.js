@@ -0,0 +1,61 @@
+// src/models/ConversationTurn.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ConversationTurn = sequelize.define('ConversationTurn', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		conversationId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Conversations',
+				key: 'id'
+			},
+			onDelete: 'CASCADE'
+		},
+		sequence: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			comment: '1-based position of the turn in its conversation'
+		},
+		query: {
+			type: DataTypes.TEXT,
+			allowNull: false
+		},
+		response: {
+			type: DataTypes.TEXT,
+			allowNull: false
+		},
+		queryType: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		topics: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: []
+		},
+		metadata: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'Provider, model and tool usage for the response'
+		}
+	}, {
+		tableName: 'ConversationTurns',
+		timestamps: true,
+		updatedAt: false,
+		indexes: [
+			{
+				unique: true,
+				fields: ['conversationId', 'sequence'],
+				name: 'conversation_turns_conversation_sequence_unique'
+			}
+		]
+	});
+
+	return ConversationTurn;
+};
@@ -0,0 +1,77 @@
+// src/models/GuardrailVerdict.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const GuardrailVerdict = sequelize.define('GuardrailVerdict', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		action: {
+			type: DataTypes.ENUM('pass', 'flagged', 'modified', 'blocked'),
+			allowNull: false,
+			comment: 'Most severe outcome across the guardrail steps'
+		},
+		findingCount: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		},
+		checks: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Per step: name, status and findings (redacted values are never stored)'
+		},
+		operation: {
+			type: DataTypes.STRING(50),
+			allowNull: false,
+			comment: 'insights or report_section'
+		},
+		reportSection: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		queryType: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		provider: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		requestId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'GuardrailVerdicts',
+		timestamps: true,
+		updatedAt: false,
+		indexes: [
+			{
+				fields: ['createdAt'],
+				name: 'guardrail_verdicts_created_at_idx'
+			},
+			{
+				fields: ['action', 'createdAt'],
+				name: 'guardrail_verdicts_action_created_at_idx'
+			},
+			{
+				fields: ['requestId'],
+				name: 'guardrail_verdicts_request_id_idx'
+			}
+		]
+	});
+
+	return GuardrailVerdict;
+};
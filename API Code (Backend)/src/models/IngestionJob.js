@@ -0,0 +1,187 @@
+// src/models/IngestionJob.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const IngestionJob = sequelize.define('IngestionJob', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		jobId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true,
+			comment: 'Public job identifier returned by the bulk ingestion endpoint'
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false
+		},
+		requestedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Authenticated user that uploaded the file'
+		},
+		format: {
+			type: DataTypes.ENUM('ndjson', 'csv'),
+			allowNull: false
+		},
+		contentHash: {
+			type: DataTypes.STRING(64),
+			allowNull: false,
+			comment: 'SHA-256 of the upload; identical re-uploads return the existing job'
+		},
+		idempotencyKey: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Idempotency-Key header supplied by the client, if any'
+		},
+		status: {
+			type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+			allowNull: false,
+			defaultValue: 'pending'
+		},
+		payload: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'Raw upload; cleared once the job has finished'
+		},
+		totals: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: {},
+			comment: 'Row counts per record type found in the upload'
+		},
+		results: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: {},
+			comment: 'Rows upserted per record type'
+		},
+		rowErrors: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Per-row validation errors ({ line, type, id, errors }), capped'
+		},
+		errorCount: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0,
+			comment: 'Total rejected rows, including any beyond the rowErrors cap'
+		},
+		error: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		progress: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		progressMessage: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		attempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		maxAttempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 3
+		},
+		nextRunAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+			comment: 'Earliest time the worker may pick the job up (used for retry backoff)'
+		},
+		lockedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Worker instance currently processing the job'
+		},
+		lockedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+			comment: 'Last heartbeat from the worker processing the job'
+		},
+		requestedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		completedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		}
+	}, {
+		tableName: 'IngestionJobs',
+		timestamps: true,
+		indexes: [
+			{
+				unique: true,
+				fields: ['jobId']
+			},
+			{
+				unique: true,
+				fields: ['clientId', 'idempotencyKey'],
+				name: 'ingestion_jobs_client_idempotency_unique'
+			},
+			{
+				fields: ['clientId', 'contentHash'],
+				name: 'ingestion_jobs_client_hash_idx'
+			},
+			{
+				fields: ['status', 'nextRunAt'],
+				name: 'ingestion_jobs_status_next_run_idx'
+			}
+		]
+	});
+
+	/**
+	 * Shape used by the ingestion status endpoint
+	 * @param {Object} options
+	 * @param {number} options.errorOffset - First row error to include
+	 * @param {number} options.errorLimit - Maximum row errors to include (0 leaves them out)
+	 * @returns {Object}
+	 */
+	IngestionJob.prototype.toStatusResponse = function ({ errorOffset = 0, errorLimit = 100 } = {}) {
+		const response = {
+			jobId: this.jobId,
+			status: this.status,
+			format: this.format,
+			requestedAt: this.requestedAt,
+			progress: this.progress,
+			progressMessage: this.progressMessage,
+			attempts: this.attempts,
+			totals: this.totals || {},
+			results: this.results || {},
+			errorCount: this.errorCount || 0
+		};
+
+		if (errorLimit > 0) {
+			const rowErrors = this.rowErrors || [];
+			response.rowErrors = rowErrors.slice(errorOffset, errorOffset + errorLimit);
+			response.rowErrorsTruncated = response.errorCount > rowErrors.length;
+		}
+
+		if (this.status === 'completed') {
+			response.completedAt = this.completedAt;
+		} else if (this.status === 'failed') {
+			response.completedAt = this.completedAt;
+			response.error = this.error;
+		} else if (this.status === 'pending' && this.attempts > 0) {
+			response.error = this.error;
+			response.nextRunAt = this.nextRunAt;
+		}
+
+		return response;
+	};
+
+	return IngestionJob;
+};
@@ -48,6 +48,22 @@ module.exports = (sequelize) => {
 			allowNull: true,
 			defaultValue: null
 		},
+		promptName: {
+			type: DataTypes.STRING(100),
+			allowNull: true,
+			defaultValue: null
+		},
+		promptVersion: {
+			type: DataTypes.STRING(20),
+			allowNull: true,
+			defaultValue: null,
+			comment: 'Template version, or "builtin" for the hardcoded prompt'
+		},
+		experimentId: {
+			type: DataTypes.UUID,
+			allowNull: true,
+			defaultValue: null
+		},
 		createdAt: {
 			type: DataTypes.DATE,
 			allowNull: false,
@@ -82,6 +98,10 @@ module.exports = (sequelize) => {
 			{
 				fields: ['success'],
 				name: 'insight_metrics_success_idx'
+			},
+			{
+				fields: ['experimentId', 'promptVersion'],
+				name: 'insight_metrics_experiment_idx'
 			}
 		]
 	});
@@ -0,0 +1,111 @@
+// src/models/LlmUsage.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const LlmUsage = sequelize.define('LlmUsage', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		provider: {
+			type: DataTypes.STRING(50),
+			allowNull: false
+		},
+		model: {
+			type: DataTypes.STRING(100),
+			allowNull: false
+		},
+		operation: {
+			type: DataTypes.STRING(50),
+			allowNull: false,
+			comment: 'insights or report_section'
+		},
+		calls: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 1,
+			comment: 'Provider API calls behind the record (tool-calling rounds)'
+		},
+		promptTokens: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		},
+		completionTokens: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		},
+		totalTokens: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0
+		},
+		costUsd: {
+			type: DataTypes.DECIMAL(12, 6),
+			allowNull: true,
+			comment: 'Cost at the prices in effect when recorded; null when the model has no price'
+		},
+		queryType: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		reportSection: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		bankUserId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		requestId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		promptName: {
+			type: DataTypes.STRING(100),
+			allowNull: true
+		},
+		promptVersion: {
+			type: DataTypes.STRING(20),
+			allowNull: true
+		},
+		experimentId: {
+			type: DataTypes.UUID,
+			allowNull: true
+		}
+	}, {
+		tableName: 'LlmUsages',
+		timestamps: true,
+		updatedAt: false,
+		indexes: [
+			{
+				fields: ['createdAt'],
+				name: 'llm_usages_created_at_idx'
+			},
+			{
+				fields: ['clientId', 'createdAt'],
+				name: 'llm_usages_client_created_at_idx'
+			},
+			{
+				fields: ['userId', 'createdAt'],
+				name: 'llm_usages_user_created_at_idx'
+			},
+			{
+				fields: ['experimentId', 'promptVersion'],
+				name: 'llm_usages_experiment_idx'
+			}
+		]
+	});
+
+	return LlmUsage;
+};
@@ -0,0 +1,43 @@
+// src/models/Merchant.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const Merchant = sequelize.define('Merchant', {
+		id: {
+			type: DataTypes.STRING(100),
+			primaryKey: true,
+			comment: 'Canonical merchant ID (slug), e.g. "amazon"'
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Display name stored on normalized transactions'
+		},
+		category: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		website: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		logoUrl: {
+			type: DataTypes.STRING(1024),
+			allowNull: true
+		},
+		isActive: {
+			type: DataTypes.BOOLEAN,
+			defaultValue: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Admin who created or last edited the merchant'
+		}
+	}, {
+		tableName: 'Merchants',
+		timestamps: true
+	});
+
+	return Merchant;
+};
@@ -0,0 +1,64 @@
+// src/models/MerchantRule.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const MerchantRule = sequelize.define('MerchantRule', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		merchantId: {
+			type: DataTypes.STRING(100),
+			allowNull: false,
+			comment: 'Canonical merchant the rule maps to (Merchant row or built-in catalog entry)'
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Limit the override to one client; null applies to every client'
+		},
+		matchType: {
+			type: DataTypes.ENUM('regex', 'alias', 'exact'),
+			allowNull: false,
+			defaultValue: 'alias'
+		},
+		pattern: {
+			type: DataTypes.STRING(500),
+			allowNull: false,
+			comment: 'Regex source, alias substring or exact cleaned descriptor'
+		},
+		priority: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 100
+		},
+		isActive: {
+			type: DataTypes.BOOLEAN,
+			defaultValue: true
+		},
+		notes: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'MerchantRules',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['merchantId'],
+				name: 'merchant_rules_merchant_idx'
+			},
+			{
+				fields: ['clientId', 'isActive'],
+				name: 'merchant_rules_client_active_idx'
+			}
+		]
+	});
+
+	return MerchantRule;
+};
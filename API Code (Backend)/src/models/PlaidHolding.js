@@ -0,0 +1,75 @@
+// src/models/PlaidHolding.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PlaidHolding = sequelize.define('PlaidHolding', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Users',
+				key: 'id'
+			}
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid item ID'
+		},
+		accountId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid account ID'
+		},
+		securityId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'PlaidSecurity securityId within the same item'
+		},
+		quantity: {
+			type: DataTypes.DECIMAL(18, 6),
+			allowNull: true
+		},
+		institutionPrice: {
+			type: DataTypes.DECIMAL(18, 6),
+			allowNull: true
+		},
+		institutionPriceAsOf: {
+			type: DataTypes.DATEONLY,
+			allowNull: true
+		},
+		institutionValue: {
+			type: DataTypes.DECIMAL(14, 2),
+			allowNull: true
+		},
+		costBasis: {
+			type: DataTypes.DECIMAL(14, 2),
+			allowNull: true
+		},
+		currency: {
+			type: DataTypes.STRING(3),
+			defaultValue: 'USD'
+		}
+	}, {
+		tableName: 'PlaidHoldings',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId'],
+				name: 'plaid_holdings_user_idx'
+			},
+			{
+				fields: ['itemId', 'accountId', 'securityId'],
+				unique: true,
+				name: 'plaid_holdings_item_account_security_idx'
+			}
+		]
+	});
+
+	return PlaidHolding;
+};
@@ -0,0 +1,54 @@
+// src/models/PlaidIdentity.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	// Account holder details from /identity/get. Personal data: only returned to
+	// the user it belongs to and never passed to LLM prompts.
+	const PlaidIdentity = sequelize.define('PlaidIdentity', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Users',
+				key: 'id'
+			}
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid item ID'
+		},
+		accountId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid account ID'
+		},
+		owners: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Names, emails, phone numbers and addresses of each account owner'
+		}
+	}, {
+		tableName: 'PlaidIdentities',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId'],
+				name: 'plaid_identities_user_idx'
+			},
+			{
+				fields: ['itemId', 'accountId'],
+				unique: true,
+				name: 'plaid_identities_item_account_idx'
+			}
+		]
+	});
+
+	return PlaidIdentity;
+};
@@ -0,0 +1,92 @@
+// src/models/PlaidInvestmentTransaction.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PlaidInvestmentTransaction = sequelize.define('PlaidInvestmentTransaction', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Users',
+				key: 'id'
+			}
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid item ID'
+		},
+		accountId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid account ID'
+		},
+		investmentTransactionId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true
+		},
+		securityId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		date: {
+			type: DataTypes.DATEONLY,
+			allowNull: false
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		type: {
+			type: DataTypes.STRING(20),
+			allowNull: false,
+			comment: 'Plaid type: buy, sell, cash, fee, transfer, cancel'
+		},
+		subtype: {
+			type: DataTypes.STRING(50),
+			allowNull: true
+		},
+		quantity: {
+			type: DataTypes.DECIMAL(18, 6),
+			allowNull: true
+		},
+		price: {
+			type: DataTypes.DECIMAL(18, 6),
+			allowNull: true
+		},
+		amount: {
+			type: DataTypes.DECIMAL(14, 2),
+			allowNull: true,
+			comment: 'Negative when cash left the account, like Transaction.amount'
+		},
+		fees: {
+			type: DataTypes.DECIMAL(12, 2),
+			allowNull: true
+		},
+		currency: {
+			type: DataTypes.STRING(3),
+			defaultValue: 'USD'
+		}
+	}, {
+		tableName: 'PlaidInvestmentTransactions',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId', 'date'],
+				name: 'plaid_investment_transactions_user_date_idx'
+			},
+			{
+				fields: ['itemId'],
+				name: 'plaid_investment_transactions_item_idx'
+			}
+		]
+	});
+
+	return PlaidInvestmentTransaction;
+};
@@ -45,6 +45,31 @@ module.exports = (sequelize) => {
 			type: DataTypes.DATE,
 			allowNull: true
 		},
+		reauthRequired: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false,
+			comment: 'User must go through Plaid Link update mode for this item'
+		},
+		reauthReason: {
+			type: DataTypes.STRING(100),
+			allowNull: true,
+			comment: 'Plaid error code or webhook code that required re-authentication'
+		},
+		reauthNotifiedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		transactionsCursor: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'Plaid /transactions/sync cursor; null until the first sync'
+		},
+		productStatus: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'Per product (liabilities, investments, identity): status, last sync time and error'
+		},
 		// Add fields for data retention
 		disconnectedAt: {
 			type: DataTypes.DATE,
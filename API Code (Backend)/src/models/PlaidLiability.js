@@ -0,0 +1,90 @@
+// src/models/PlaidLiability.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PlaidLiability = sequelize.define('PlaidLiability', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Users',
+				key: 'id'
+			}
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid item ID'
+		},
+		accountId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid account ID'
+		},
+		liabilityType: {
+			type: DataTypes.ENUM('credit', 'student', 'mortgage'),
+			allowNull: false
+		},
+		currentBalance: {
+			type: DataTypes.DECIMAL(12, 2),
+			allowNull: true
+		},
+		currency: {
+			type: DataTypes.STRING(3),
+			defaultValue: 'USD'
+		},
+		interestRate: {
+			type: DataTypes.DECIMAL(6, 3),
+			allowNull: true,
+			comment: 'Purchase APR for cards, interest rate for loans, in percent'
+		},
+		minimumPaymentAmount: {
+			type: DataTypes.DECIMAL(12, 2),
+			allowNull: true,
+			comment: 'Minimum payment for cards and student loans, next monthly payment for mortgages'
+		},
+		nextPaymentDueDate: {
+			type: DataTypes.DATEONLY,
+			allowNull: true
+		},
+		lastPaymentAmount: {
+			type: DataTypes.DECIMAL(12, 2),
+			allowNull: true
+		},
+		lastPaymentDate: {
+			type: DataTypes.DATEONLY,
+			allowNull: true
+		},
+		isOverdue: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false
+		},
+		details: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'Type-specific fields (APRs, loan status, repayment plan, escrow, ...)'
+		}
+	}, {
+		tableName: 'PlaidLiabilities',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId'],
+				name: 'plaid_liabilities_user_idx'
+			},
+			{
+				fields: ['itemId', 'accountId'],
+				unique: true,
+				name: 'plaid_liabilities_item_account_idx'
+			}
+		]
+	});
+
+	return PlaidLiability;
+};
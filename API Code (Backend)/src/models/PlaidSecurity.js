@@ -0,0 +1,78 @@
+// src/models/PlaidSecurity.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	// Securities are stored per item because Plaid security IDs for
+	// institution-specific securities are only meaningful within that item
+	const PlaidSecurity = sequelize.define('PlaidSecurity', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		userId: {
+			type: DataTypes.UUID,
+			allowNull: false,
+			references: {
+				model: 'Users',
+				key: 'id'
+			}
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid item ID'
+		},
+		securityId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Plaid security ID'
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		tickerSymbol: {
+			type: DataTypes.STRING(20),
+			allowNull: true
+		},
+		type: {
+			type: DataTypes.STRING(50),
+			allowNull: true,
+			comment: 'Plaid security type: equity, etf, mutual fund, fixed income, cash, ...'
+		},
+		closePrice: {
+			type: DataTypes.DECIMAL(18, 6),
+			allowNull: true
+		},
+		closePriceAsOf: {
+			type: DataTypes.DATEONLY,
+			allowNull: true
+		},
+		isCashEquivalent: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false
+		},
+		currency: {
+			type: DataTypes.STRING(3),
+			defaultValue: 'USD'
+		}
+	}, {
+		tableName: 'PlaidSecurities',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId'],
+				name: 'plaid_securities_user_idx'
+			},
+			{
+				fields: ['itemId', 'securityId'],
+				unique: true,
+				name: 'plaid_securities_item_security_idx'
+			}
+		]
+	});
+
+	return PlaidSecurity;
+};
@@ -0,0 +1,108 @@
+// src/models/PlaidWebhookEvent.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PlaidWebhookEvent = sequelize.define('PlaidWebhookEvent', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		eventKey: {
+			type: DataTypes.STRING(64),
+			allowNull: false,
+			comment: 'SHA-256 of the raw body; repeated deliveries of the same event share it'
+		},
+		webhookType: {
+			type: DataTypes.STRING(50),
+			allowNull: false
+		},
+		webhookCode: {
+			type: DataTypes.STRING(100),
+			allowNull: false
+		},
+		itemId: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		payload: {
+			type: DataTypes.JSONB,
+			allowNull: false
+		},
+		verified: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false,
+			comment: 'Whether the Plaid-Verification JWT was checked (false when verification is disabled)'
+		},
+		status: {
+			type: DataTypes.ENUM('pending', 'processing', 'processed', 'ignored', 'failed'),
+			allowNull: false,
+			defaultValue: 'pending'
+		},
+		attempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		maxAttempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 6
+		},
+		nextAttemptAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		processedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		lockedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Worker instance currently processing the event'
+		},
+		lockedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+			comment: 'Last heartbeat from the worker processing the event'
+		},
+		duplicateCount: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0,
+			comment: 'Repeated deliveries acknowledged without processing'
+		},
+		result: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'Summary of what processing changed'
+		},
+		lastError: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		attemptLog: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'One entry per attempt: time, outcome, duration, error and who replayed it'
+		}
+	}, {
+		tableName: 'PlaidWebhookEvents',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['eventKey', 'createdAt'],
+				name: 'plaid_webhook_events_key_created_idx'
+			},
+			{
+				fields: ['status', 'nextAttemptAt'],
+				name: 'plaid_webhook_events_status_next_attempt_idx'
+			},
+			{
+				fields: ['itemId'],
+				name: 'plaid_webhook_events_item_idx'
+			}
+		]
+	});
+
+	return PlaidWebhookEvent;
+};
@@ -0,0 +1,63 @@
+// src/models/PromptExperiment.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PromptExperiment = sequelize.define('PromptExperiment', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		name: {
+			type: DataTypes.STRING,
+			allowNull: false
+		},
+		promptName: {
+			type: DataTypes.STRING(100),
+			allowNull: false
+		},
+		queryTypes: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'Query types whose traffic is split; null for all'
+		},
+		variants: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Array of { version, weight }; version "builtin" is the hardcoded prompt'
+		},
+		status: {
+			type: DataTypes.ENUM('running', 'paused', 'completed'),
+			allowNull: false,
+			defaultValue: 'running'
+		},
+		description: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		endedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'PromptExperiments',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['promptName', 'status'],
+				name: 'prompt_experiments_prompt_status_idx'
+			}
+		]
+	});
+
+	return PromptExperiment;
+};
@@ -0,0 +1,80 @@
+// src/models/PromptTemplate.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const PromptTemplate = sequelize.define('PromptTemplate', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		name: {
+			type: DataTypes.STRING(100),
+			allowNull: false,
+			comment: 'Prompt the template replaces (e.g. insights, banking_command.account_summary)'
+		},
+		version: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			comment: 'Assigned on create, increasing per name; templates are not edited in place'
+		},
+		queryTypes: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'Query types the template applies to; null for all'
+		},
+		system: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'System instruction; the built-in one is used when null'
+		},
+		template: {
+			type: DataTypes.TEXT,
+			allowNull: false,
+			comment: 'Prompt text with {{variable}} placeholders'
+		},
+		variables: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: [],
+			comment: 'Variables referenced by system and template'
+		},
+		temperature: {
+			type: DataTypes.FLOAT,
+			allowNull: true
+		},
+		maxTokens: {
+			type: DataTypes.INTEGER,
+			allowNull: true
+		},
+		status: {
+			type: DataTypes.ENUM('draft', 'active', 'archived'),
+			allowNull: false,
+			defaultValue: 'draft'
+		},
+		description: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		createdBy: {
+			type: DataTypes.STRING,
+			allowNull: true
+		}
+	}, {
+		tableName: 'PromptTemplates',
+		timestamps: true,
+		indexes: [
+			{
+				unique: true,
+				fields: ['name', 'version'],
+				name: 'prompt_templates_name_version_unique'
+			},
+			{
+				fields: ['status'],
+				name: 'prompt_templates_status_idx'
+			}
+		]
+	});
+
+	return PromptTemplate;
+};
@@ -0,0 +1,52 @@
+// src/models/ReportCacheEntry.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ReportCacheEntry = sequelize.define('ReportCacheEntry', {
+		cacheKey: {
+			type: DataTypes.STRING,
+			primaryKey: true,
+			comment: 'Content-derived key from ReportCache.generateKey'
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Bank user the cached report belongs to'
+		},
+		report: {
+			type: DataTypes.JSON,
+			allowNull: false
+		},
+		expiresAt: {
+			type: DataTypes.DATE,
+			allowNull: false
+		},
+		accessCount: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		lastAccessedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		}
+	}, {
+		tableName: 'ReportCacheEntries',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['userId'],
+				name: 'report_cache_entries_user_idx'
+			},
+			{
+				fields: ['expiresAt'],
+				name: 'report_cache_entries_expires_idx'
+			},
+			{
+				fields: ['lastAccessedAt'],
+				name: 'report_cache_entries_last_accessed_idx'
+			}
+		]
+	});
+
+	return ReportCacheEntry;
+};
@@ -0,0 +1,23 @@
+// src/models/ReportCacheVersion.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ReportCacheVersion = sequelize.define('ReportCacheVersion', {
+		userId: {
+			type: DataTypes.STRING,
+			primaryKey: true,
+			comment: 'Bank user whose stored data the version describes'
+		},
+		version: {
+			type: DataTypes.INTEGER,
+			allowNull: false,
+			defaultValue: 0,
+			comment: 'Bumped whenever accounts or transactions are written for the user'
+		}
+	}, {
+		tableName: 'ReportCacheVersions',
+		timestamps: true
+	});
+
+	return ReportCacheVersion;
+};
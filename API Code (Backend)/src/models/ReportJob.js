@@ -0,0 +1,167 @@
+// src/models/ReportJob.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const ReportJob = sequelize.define('ReportJob', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		jobId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			unique: true,
+			comment: 'Public job identifier returned by the async-report endpoint'
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Client the job is billed and throttled against'
+		},
+		requestedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Authenticated user that requested the report'
+		},
+		userId: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Bank user the report is generated for'
+		},
+		callbackUrl: {
+			type: DataTypes.STRING(2048),
+			allowNull: true,
+			comment: 'Per-request webhook URL; overrides the client default'
+		},
+		status: {
+			type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed', 'cancelled'),
+			allowNull: false,
+			defaultValue: 'pending'
+		},
+		parameters: {
+			type: DataTypes.JSON,
+			allowNull: false,
+			defaultValue: {}
+		},
+		result: {
+			type: DataTypes.JSON,
+			allowNull: true
+		},
+		error: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		progress: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		progressMessage: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
+		fromCache: {
+			type: DataTypes.BOOLEAN,
+			defaultValue: false
+		},
+		attempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		maxAttempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 3
+		},
+		nextRunAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW,
+			comment: 'Earliest time the worker may pick the job up (used for retry backoff)'
+		},
+		lockedBy: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Worker instance currently processing the job'
+		},
+		lockedAt: {
+			type: DataTypes.DATE,
+			allowNull: true,
+			comment: 'Last heartbeat from the worker processing the job'
+		},
+		requestedAt: {
+			type: DataTypes.DATE,
+			allowNull: false,
+			defaultValue: DataTypes.NOW
+		},
+		startedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		completedAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		cancelledAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		}
+	}, {
+		tableName: 'ReportJobs',
+		timestamps: true,
+		indexes: [
+			{
+				unique: true,
+				fields: ['jobId']
+			},
+			{
+				fields: ['status', 'nextRunAt'],
+				name: 'report_jobs_status_next_run_idx'
+			},
+			{
+				fields: ['clientId', 'status'],
+				name: 'report_jobs_client_status_idx'
+			}
+		]
+	});
+
+	/**
+	 * Whether the job has reached a state the worker will never leave
+	 * @returns {boolean}
+	 */
+	ReportJob.prototype.isFinished = function () {
+		return ['completed', 'failed', 'cancelled'].includes(this.status);
+	};
+
+	/**
+	 * Shape used by the report-status endpoint
+	 * @returns {Object}
+	 */
+	ReportJob.prototype.toStatusResponse = function () {
+		const response = {
+			jobId: this.jobId,
+			status: this.status,
+			userId: this.userId,
+			requestedAt: this.requestedAt,
+			progress: this.progress,
+			progressMessage: this.progressMessage,
+			fromCache: this.fromCache || false,
+			attempts: this.attempts
+		};
+
+		if (this.status === 'completed') {
+			response.completedAt = this.completedAt;
+			response.resultUrl = `/api/banking-command/report-result/${this.jobId}`;
+		} else if (this.status === 'failed') {
+			response.error = this.error;
+		} else if (this.status === 'cancelled') {
+			response.cancelledAt = this.cancelledAt;
+		} else if (this.status === 'pending' && this.attempts > 0) {
+			response.error = this.error;
+			response.nextRunAt = this.nextRunAt;
+		}
+
+		return response;
+	};
+
+	return ReportJob;
+};
@@ -0,0 +1,75 @@
+// src/models/RuleEvaluation.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const RuleEvaluation = sequelize.define('RuleEvaluation', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false
+		},
+		bankUserId: {
+			type: DataTypes.STRING,
+			allowNull: false
+		},
+		ruleId: {
+			type: DataTypes.UUID,
+			allowNull: true,
+			comment: 'BankingRule row; null for built-in default rules'
+		},
+		ruleKey: {
+			type: DataTypes.STRING(100),
+			allowNull: false
+		},
+		condition: {
+			type: DataTypes.TEXT,
+			allowNull: false,
+			comment: 'Condition as evaluated, so the log stays meaningful after the rule is edited'
+		},
+		fired: {
+			type: DataTypes.BOOLEAN,
+			allowNull: false,
+			defaultValue: false
+		},
+		actions: {
+			type: DataTypes.JSONB,
+			allowNull: false,
+			defaultValue: []
+		},
+		metrics: {
+			type: DataTypes.JSONB,
+			allowNull: true,
+			comment: 'Values of the metrics the condition referenced'
+		},
+		error: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		trigger: {
+			type: DataTypes.STRING(20),
+			allowNull: false,
+			defaultValue: 'api',
+			comment: 'api | report'
+		}
+	}, {
+		tableName: 'RuleEvaluations',
+		timestamps: true,
+		updatedAt: false,
+		indexes: [
+			{
+				fields: ['clientId', 'bankUserId', 'createdAt'],
+				name: 'rule_evaluations_client_user_idx'
+			},
+			{
+				fields: ['clientId', 'ruleKey', 'fired'],
+				name: 'rule_evaluations_client_rule_idx'
+			}
+		]
+	});
+
+	return RuleEvaluation;
+};
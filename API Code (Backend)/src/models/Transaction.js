@@ -42,7 +42,23 @@ module.exports = (sequelize) => {
 		},
 		category: {
 			type: DataTypes.STRING,
-			allowNull: true
+			allowNull: true,
+			comment: 'Display name of the category in the client taxonomy'
+		},
+		categoryId: {
+			type: DataTypes.STRING(100),
+			allowNull: true,
+			comment: 'Category ID in the client taxonomy assigned by the categorization engine'
+		},
+		sourceCategory: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Category as supplied by the bank or Plaid'
+		},
+		categoryRuleId: {
+			type: DataTypes.STRING(100),
+			allowNull: true,
+			comment: 'Rule that assigned the category (CategoryRule ID or system:* for built-ins)'
 		},
 		type: {
 			type: DataTypes.STRING,
@@ -56,6 +72,15 @@ module.exports = (sequelize) => {
 			type: DataTypes.STRING,
 			allowNull: true
 		},
+		canonicalMerchantId: {
+			type: DataTypes.STRING(100),
+			allowNull: true,
+			comment: 'Normalized merchant ID assigned at ingestion'
+		},
+		canonicalMerchantName: {
+			type: DataTypes.STRING,
+			allowNull: true
+		},
 		metadata: {
 			type: DataTypes.JSONB,
 			allowNull: true
@@ -75,6 +100,12 @@ module.exports = (sequelize) => {
 			{
 				fields: ['date']
 			},
+			{
+				fields: ['canonicalMerchantId']
+			},
+			{
+				fields: ['clientId', 'categoryId']
+			},
 			{
 				unique: true,
 				fields: ['clientId', 'bankUserId', 'transactionId']
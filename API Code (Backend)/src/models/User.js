@@ -210,6 +210,11 @@ module.exports = (sequelize) => {
         model: 'Users',
         key: 'id'
       }
+    },
+    webhookUrl: {
+      type: DataTypes.STRING(2048),
+      allowNull: true,
+      comment: 'Default callback URL for async report webhooks'
     }
   }, {
     timestamps: true,
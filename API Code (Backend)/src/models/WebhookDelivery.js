@@ -0,0 +1,101 @@
+// src/models/WebhookDelivery.js
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+	const WebhookDelivery = sequelize.define('WebhookDelivery', {
+		id: {
+			type: DataTypes.UUID,
+			defaultValue: DataTypes.UUIDV4,
+			primaryKey: true
+		},
+		clientId: {
+			type: DataTypes.STRING,
+			allowNull: false
+		},
+		event: {
+			type: DataTypes.STRING,
+			allowNull: false,
+			comment: 'Event name, e.g. report.completed or report.failed'
+		},
+		jobId: {
+			type: DataTypes.STRING,
+			allowNull: true,
+			comment: 'Report job that triggered the delivery'
+		},
+		url: {
+			type: DataTypes.STRING(2048),
+			allowNull: false
+		},
+		payload: {
+			type: DataTypes.JSON,
+			allowNull: false
+		},
+		status: {
+			type: DataTypes.ENUM('pending', 'delivered', 'failed'),
+			allowNull: false,
+			defaultValue: 'pending'
+		},
+		attempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 0
+		},
+		maxAttempts: {
+			type: DataTypes.INTEGER,
+			defaultValue: 6
+		},
+		nextAttemptAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		lastAttemptAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		deliveredAt: {
+			type: DataTypes.DATE,
+			allowNull: true
+		},
+		responseStatus: {
+			type: DataTypes.INTEGER,
+			allowNull: true
+		},
+		responseBody: {
+			type: DataTypes.TEXT,
+			allowNull: true,
+			comment: 'First 2KB of the last response body'
+		},
+		lastError: {
+			type: DataTypes.TEXT,
+			allowNull: true
+		},
+		attemptLog: {
+			type: DataTypes.JSON,
+			allowNull: true,
+			comment: 'One entry per attempt: time, status code, duration and error'
+		},
+		replayOf: {
+			type: DataTypes.UUID,
+			allowNull: true,
+			comment: 'Original delivery when this one was created by an admin replay'
+		}
+	}, {
+		tableName: 'WebhookDeliveries',
+		timestamps: true,
+		indexes: [
+			{
+				fields: ['status', 'nextAttemptAt'],
+				name: 'webhook_deliveries_status_next_attempt_idx'
+			},
+			{
+				fields: ['clientId'],
+				name: 'webhook_deliveries_client_idx'
+			},
+			{
+				fields: ['jobId'],
+				name: 'webhook_deliveries_job_idx'
+			}
+		]
+	});
+
+	return WebhookDelivery;
+};
@@ -9,16 +9,39 @@ const modelFiles = [
 	'User',
 	'Account',
 	'AdminLog',
+	'BankingRule',
 	'BankUser',
+	'CategoryRule',
+	'CategoryTaxonomy',
 	'ContactSubmission',
+	'Conversation',
+	'ConversationTurn',
 	'EmailSuppression',
+	'GuardrailVerdict',
+	'IngestionJob',
 	'InsightMetrics',
+	'LlmUsage',
+	'Merchant',
+	'MerchantRule',
 	'NotificationPreference',
+	'PlaidHolding',
+	'PlaidIdentity',
+	'PlaidInvestmentTransaction',
 	'PlaidItem',
+	'PlaidLiability',
+	'PlaidSecurity',
+	'PlaidWebhookEvent',
+	'PromptExperiment',
+	'PromptTemplate',
+	'ReportCacheEntry',
+	'ReportCacheVersion',
+	'ReportJob',
 	'RetentionLog',
+	'RuleEvaluation',
 	'Token',
 	'Transaction',
-	'UserAnalysis'
+	'UserAnalysis',
+	'WebhookDelivery'
 ];
 
 modelFiles.forEach(modelName => {
@@ -72,7 +95,9 @@ const setupAssociations = () => {
 		Account,
 		Transaction,
 		RetentionLog,
-		UserAnalysis
+		UserAnalysis,
+		Conversation,
+		ConversationTurn
 	} = models;
 
 	try {
@@ -160,6 +185,12 @@ const setupAssociations = () => {
 			// Transaction.belongsTo(Account, { foreignKey: 'accountId', targetKey: 'accountId' });
 		}
 
+		// Conversation -> ConversationTurn
+		if (Conversation && ConversationTurn) {
+			Conversation.hasMany(ConversationTurn, { foreignKey: 'conversationId', as: 'turns', onDelete: 'CASCADE' });
+			ConversationTurn.belongsTo(Conversation, { foreignKey: 'conversationId' });
+		}
+
 		// UserAnalysis associations
 		if (UserAnalysis && User) {
 			UserAnalysis.associate(models);
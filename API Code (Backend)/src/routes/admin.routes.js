@@ -1,6 +1,10 @@
 // src/routes/admin.routes.js
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
+const adminWebhooksController = require('../controllers/admin.webhooks.controller');
+const adminMerchantsController = require('../controllers/admin.merchants.controller');
+const adminLlmController = require('../controllers/admin.llm.controller');
+const adminPromptsController = require('../controllers/admin.prompts.controller');
 const { authMiddleware, authorize } = require('../middleware/auth');
 const bodyParser = require('body-parser');
 
@@ -126,4 +130,217 @@ router.post('/send-test-email', adminController.sendTestEmail);
  */
 router.get('/contact-form-stats', adminController.getContactFormStats);
 
+// ====== WEBHOOK DELIVERY ROUTES ======
+
+/**
+ * @route GET /api/admin/webhook-deliveries
+ * @desc List client webhook deliveries (filter by clientId, status, jobId, event)
+ * @access Private (Admin only)
+ */
+router.get('/webhook-deliveries', adminWebhooksController.listDeliveries);
+
+/**
+ * @route GET /api/admin/webhook-deliveries/:deliveryId
+ * @desc Get a webhook delivery with its attempt log
+ * @access Private (Admin only)
+ */
+router.get('/webhook-deliveries/:deliveryId', adminWebhooksController.getDelivery);
+
+/**
+ * @route POST /api/admin/webhook-deliveries/:deliveryId/replay
+ * @desc Re-send a webhook delivery
+ * @access Private (Admin only)
+ */
+router.post('/webhook-deliveries/:deliveryId/replay', adminWebhooksController.replayDelivery);
+
+// ====== PLAID WEBHOOK EVENT ROUTES ======
+
+/**
+ * @route GET /api/admin/plaid-webhooks
+ * @desc List inbound Plaid webhook events (filter by status, webhookType, webhookCode, itemId)
+ * @access Private (Admin only)
+ */
+router.get('/plaid-webhooks', adminWebhooksController.listPlaidEvents);
+
+/**
+ * @route GET /api/admin/plaid-webhooks/:eventId
+ * @desc Get a Plaid webhook event with its payload and attempt log
+ * @access Private (Admin only)
+ */
+router.get('/plaid-webhooks/:eventId', adminWebhooksController.getPlaidEvent);
+
+/**
+ * @route POST /api/admin/plaid-webhooks/:eventId/replay
+ * @desc Process a Plaid webhook event again
+ * @access Private (Admin only)
+ */
+router.post('/plaid-webhooks/:eventId/replay', adminWebhooksController.replayPlaidEvent);
+
+// ====== MERCHANT NORMALIZATION ROUTES ======
+
+/**
+ * @route GET /api/admin/merchants
+ * @desc List canonical merchants
+ * @access Private (Admin only)
+ */
+router.get('/merchants', adminMerchantsController.listMerchants);
+
+/**
+ * @route PUT /api/admin/merchants/:merchantId
+ * @desc Create or update a canonical merchant
+ * @access Private (Admin only)
+ */
+router.put('/merchants/:merchantId', adminMerchantsController.upsertMerchant);
+
+/**
+ * @route GET /api/admin/merchant-rules
+ * @desc List merchant override rules
+ * @access Private (Admin only)
+ */
+router.get('/merchant-rules', adminMerchantsController.listRules);
+
+/**
+ * @route POST /api/admin/merchant-rules
+ * @desc Create a merchant override rule (regex, alias or exact)
+ * @access Private (Admin only)
+ */
+router.post('/merchant-rules', adminMerchantsController.createRule);
+
+/**
+ * @route POST /api/admin/merchant-rules/test
+ * @desc Preview how a descriptor is normalized
+ * @access Private (Admin only)
+ */
+router.post('/merchant-rules/test', adminMerchantsController.testDescriptor);
+
+/**
+ * @route POST /api/admin/merchant-rules/reprocess
+ * @desc Re-apply merchant normalization to stored transactions
+ * @access Private (Admin only)
+ */
+router.post('/merchant-rules/reprocess', adminMerchantsController.reprocessTransactions);
+
+/**
+ * @route PUT /api/admin/merchant-rules/:ruleId
+ * @desc Update a merchant override rule
+ * @access Private (Admin only)
+ */
+router.put('/merchant-rules/:ruleId', adminMerchantsController.updateRule);
+
+/**
+ * @route DELETE /api/admin/merchant-rules/:ruleId
+ * @desc Delete a merchant override rule
+ * @access Private (Admin only)
+ */
+router.delete('/merchant-rules/:ruleId', adminMerchantsController.deleteRule);
+
+// ====== LLM PROVIDER ROUTES ======
+
+/**
+ * @route GET /api/admin/llm/providers
+ * @desc Get LLM provider health (error rate, latency percentiles, circuit state) and the fallback chain
+ * @access Private (Admin only)
+ */
+router.get('/llm/providers', adminLlmController.getProviderHealth);
+
+/**
+ * @route PUT /api/admin/llm/providers/:provider/mode
+ * @desc Drain, force or restore an LLM provider at runtime (mode: auto, drained or forced)
+ * @access Private (Admin only)
+ */
+router.put('/llm/providers/:provider/mode', adminLlmController.setProviderMode);
+
+/**
+ * @route POST /api/admin/llm/providers/:provider/reset
+ * @desc Close an LLM provider's circuit and clear its health window
+ * @access Private (Admin only)
+ */
+router.post('/llm/providers/:provider/reset', adminLlmController.resetProvider);
+
+/**
+ * @route GET /api/admin/llm/usage
+ * @desc Get LLM token and cost totals, grouped by client, bank user, query type, report section, provider, model or prompt version
+ * @access Private (Admin only)
+ */
+router.get('/llm/usage', adminLlmController.getUsage);
+
+/**
+ * @route GET /api/admin/llm/usage/timeseries
+ * @desc Get LLM spend and tokens per hour, day, week or month
+ * @access Private (Admin only)
+ */
+router.get('/llm/usage/timeseries', adminLlmController.getUsageTimeseries);
+
+/**
+ * @route GET /api/admin/guardrails/verdicts
+ * @desc Get guardrail verdicts on LLM responses (PII removed, advice blocked, unverified figures) with counts by action
+ * @access Private (Admin only)
+ */
+router.get('/guardrails/verdicts', adminLlmController.getGuardrailVerdicts);
+
+// ====== PROMPT REGISTRY ROUTES ======
+
+/**
+ * @route GET /api/admin/prompts/definitions
+ * @desc List prompt names that accept templates and their variables
+ * @access Private (Admin only)
+ */
+router.get('/prompts/definitions', adminPromptsController.listDefinitions);
+
+/**
+ * @route GET /api/admin/prompts/templates
+ * @desc List prompt template versions
+ * @access Private (Admin only)
+ */
+router.get('/prompts/templates', adminPromptsController.listTemplates);
+
+/**
+ * @route POST /api/admin/prompts/templates
+ * @desc Create the next version of a prompt
+ * @access Private (Admin only)
+ */
+router.post('/prompts/templates', adminPromptsController.createTemplate);
+
+/**
+ * @route GET /api/admin/prompts/templates/:templateId
+ * @desc Get a prompt template version
+ * @access Private (Admin only)
+ */
+router.get('/prompts/templates/:templateId', adminPromptsController.getTemplate);
+
+/**
+ * @route PUT /api/admin/prompts/templates/:templateId
+ * @desc Activate, archive or describe a prompt template version
+ * @access Private (Admin only)
+ */
+router.put('/prompts/templates/:templateId', adminPromptsController.updateTemplate);
+
+/**
+ * @route GET /api/admin/prompts/experiments
+ * @desc List prompt experiments
+ * @access Private (Admin only)
+ */
+router.get('/prompts/experiments', adminPromptsController.listExperiments);
+
+/**
+ * @route POST /api/admin/prompts/experiments
+ * @desc Start an experiment splitting a prompt's traffic between versions
+ * @access Private (Admin only)
+ */
+router.post('/prompts/experiments', adminPromptsController.createExperiment);
+
+/**
+ * @route PUT /api/admin/prompts/experiments/:experimentId
+ * @desc Pause, resume or complete a prompt experiment
+ * @access Private (Admin only)
+ */
+router.put('/prompts/experiments/:experimentId', adminPromptsController.updateExperiment);
+
+/**
+ * @route GET /api/admin/prompts/experiments/:experimentId/results
+ * @desc Compare success rate, response time and cost per experiment variant
+ * @access Private (Admin only)
+ */
+router.get('/prompts/experiments/:experimentId/results', adminPromptsController.getExperimentResults);
+
 module.exports = router;
\ No newline at end of file
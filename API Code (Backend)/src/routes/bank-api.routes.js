@@ -2,13 +2,27 @@
 const express = require('express');
 const { authMiddleware } = require('../middleware/auth');
 const bankUserService = require('../services/bank-user.service');
+const recurrenceDetector = require('../services/recurrence-detector.service');
+const cashFlowForecast = require('../services/cash-flow-forecast.service');
+const rulesEngine = require('../services/rules-engine.service');
+const bulkIngestion = require('../services/bulk-ingestion.service');
 const insightsController = require('../controllers/insights.controller');
-const sessionManager = require('../services/session.service'); // Add session manager
+const conversationService = require('../services/conversation.service');
+const conversationController = require('../controllers/conversation.controller');
 const geminiService = require('../services/gemini.service'); // Direct access for isolated insights
+const llmUsage = require('../services/llm-usage.service');
+const intentClassifier = require('../services/intent-classifier.service');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Bulk uploads arrive as raw NDJSON or CSV rather than JSON
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+const bulkIngestBody = express.text({
+	type: [...NDJSON_TYPES, 'text/csv', 'application/csv', 'text/plain'],
+	limit: process.env.BULK_INGEST_MAX_BYTES || '50mb'
+});
+
 /**
  * Middleware to get client ID from auth token
  */
@@ -177,6 +191,110 @@ router.post('/users/:bankUserId/transactions', authMiddleware, getClientIdMiddle
 	}
 });
 
+/**
+ * @route POST /api/bank/ingest
+ * @desc Bulk upload users, accounts and transactions as NDJSON or CSV (one record per row, with a record_type field).
+ *       Processed in the background; re-uploading the same file or Idempotency-Key returns the original job.
+ * @access Private
+ */
+router.post('/ingest', authMiddleware, getClientIdMiddleware, bulkIngestBody, async (req, res) => {
+	try {
+		let format = req.query.format;
+		if (!format) {
+			if (req.is(NDJSON_TYPES)) format = 'ndjson';
+			else if (req.is(['text/csv', 'application/csv'])) format = 'csv';
+		}
+
+		if (!format || typeof req.body !== 'string') {
+			return res.status(415).json({
+				success: false,
+				message: 'Send the upload as application/x-ndjson or text/csv (or text/plain with ?format=ndjson|csv)'
+			});
+		}
+
+		const { job, duplicate } = await bulkIngestion.enqueue({
+			clientId: req.clientId,
+			requestedBy: req.auth.userId,
+			format: String(format).toLowerCase(),
+			payload: req.body,
+			idempotencyKey: req.get('Idempotency-Key')
+		});
+
+		return res.status(duplicate ? 200 : 202).json({
+			success: true,
+			message: duplicate ? 'Upload already received' : 'Upload queued for processing',
+			data: {
+				...job.toStatusResponse({ errorLimit: 0 }),
+				duplicate,
+				statusUrl: `/api/bank/ingest/${job.jobId}`
+			}
+		});
+	} catch (error) {
+		logger.error('Error queueing bulk upload:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to queue bulk upload'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/ingest
+ * @desc List recent bulk uploads
+ * @access Private
+ */
+router.get('/ingest', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const result = await bulkIngestion.listJobs(req.clientId, {
+			limit: parseInt(req.query.limit) || 20,
+			offset: parseInt(req.query.offset) || 0
+		});
+
+		return res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error('Error listing bulk uploads:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to list bulk uploads'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/ingest/:jobId
+ * @desc Status, counts and per-row errors of a bulk upload (?errorOffset=&errorLimit= to page errors)
+ * @access Private
+ */
+router.get('/ingest/:jobId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const job = await bulkIngestion.getJob(req.clientId, req.params.jobId);
+
+		if (!job) {
+			return res.status(404).json({
+				success: false,
+				message: 'Ingestion job not found'
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			data: job.toStatusResponse({
+				errorOffset: Math.max(parseInt(req.query.errorOffset) || 0, 0),
+				errorLimit: Math.min(Math.max(parseInt(req.query.errorLimit) || 100, 1), 1000)
+			})
+		});
+	} catch (error) {
+		logger.error('Error getting bulk upload status:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to get bulk upload status'
+		});
+	}
+});
+
 /**
  * @route GET /api/bank/users/:bankUserId/financial-data
  * @desc Get financial data for a bank user
@@ -217,6 +335,340 @@ router.get('/users/:bankUserId/financial-data', authMiddleware, getClientIdMiddl
 	}
 });
 
+/**
+ * @route GET /api/bank/users/:bankUserId/recurring
+ * @desc Detect recurring charges and income (cadence, next expected charge, price increases, missed charges)
+ * @access Private
+ */
+router.get('/users/:bankUserId/recurring', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const { clientId } = req;
+		const { bankUserId } = req.params;
+		const { lookbackDays, asOf, includeInactive } = req.query;
+
+		const options = {
+			includeInactive: includeInactive === 'true'
+		};
+		if (lookbackDays) options.lookbackDays = Math.min(Math.max(parseInt(lookbackDays) || 0, 30), 1095);
+		if (asOf) {
+			options.asOf = new Date(asOf);
+			if (isNaN(options.asOf.getTime())) {
+				return res.status(400).json({
+					success: false,
+					message: 'Invalid asOf date'
+				});
+			}
+		}
+
+		const result = await recurrenceDetector.getRecurringForUser(clientId, bankUserId, options);
+
+		return res.status(200).json({
+			success: true,
+			data: {
+				bankUserId,
+				...result
+			}
+		});
+	} catch (error) {
+		logger.error('Error detecting recurring transactions:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.message || 'Failed to detect recurring transactions'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/users/:bankUserId/forecast
+ * @desc Project daily balances per account for the next 30/60/90 days with confidence bands and overdraft dates
+ * @access Private
+ */
+router.get('/users/:bankUserId/forecast', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const { clientId } = req;
+		const { bankUserId } = req.params;
+		const horizonDays = parseInt(req.query.horizon || req.query.horizonDays || '30');
+
+		if (!cashFlowForecast.supportedHorizons.includes(horizonDays)) {
+			return res.status(400).json({
+				success: false,
+				message: `horizon must be one of ${cashFlowForecast.supportedHorizons.join(', ')}`
+			});
+		}
+
+		const forecast = await cashFlowForecast.getForecastForUser(clientId, bankUserId, { horizonDays });
+
+		return res.status(200).json({
+			success: true,
+			data: {
+				bankUserId,
+				...forecast
+			}
+		});
+	} catch (error) {
+		logger.error('Error generating cash-flow forecast:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.message || 'Failed to generate cash-flow forecast'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/rules/metrics
+ * @desc List the metrics, functions and default rules available to rule conditions
+ * @access Private
+ */
+router.get('/rules/metrics', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	return res.status(200).json({
+		success: true,
+		data: {
+			metrics: rulesEngine.metricCatalog,
+			functions: rulesEngine.functionCatalog,
+			operators: ['+', '-', '*', '/', '%', '<', '<=', '>', '>=', '==', '!=', 'and', 'or', 'not', 'in'],
+			defaultRules: rulesEngine.defaultRules
+		}
+	});
+});
+
+/**
+ * @route GET /api/bank/rules/evaluations
+ * @desc Evaluation log: which rules fired for which users and the actions produced
+ * @access Private
+ */
+router.get('/rules/evaluations', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const { bankUserId, ruleKey, fired, since, limit, offset } = req.query;
+
+		const filters = {
+			bankUserId,
+			ruleKey,
+			limit: parseInt(limit) || 50,
+			offset: parseInt(offset) || 0
+		};
+		if (fired !== undefined) filters.fired = fired === 'true';
+		if (since) {
+			filters.since = new Date(since);
+			if (isNaN(filters.since.getTime())) {
+				return res.status(400).json({
+					success: false,
+					message: 'Invalid since date'
+				});
+			}
+		}
+
+		const result = await rulesEngine.listEvaluations(req.clientId, filters);
+
+		return res.status(200).json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error('Error listing rule evaluations:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to list rule evaluations'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/rules
+ * @desc List the client's banking rules
+ * @access Private
+ */
+router.get('/rules', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rules = await rulesEngine.listRules(req.clientId);
+
+		return res.status(200).json({
+			success: true,
+			data: rules
+		});
+	} catch (error) {
+		logger.error('Error listing banking rules:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to list banking rules'
+		});
+	}
+});
+
+/**
+ * @route POST /api/bank/rules
+ * @desc Create a banking rule ({ key, condition, actions, priority, description })
+ * @access Private
+ */
+router.post('/rules', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rule = await rulesEngine.createRule(req.clientId, req.body, req.auth.userId);
+
+		logger.info(`Client ${req.clientId} created banking rule ${rule.key}`);
+
+		return res.status(201).json({
+			success: true,
+			data: rule
+		});
+	} catch (error) {
+		logger.error('Error creating banking rule:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to create banking rule'
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank/rules/:ruleId
+ * @desc Get a banking rule
+ * @access Private
+ */
+router.get('/rules/:ruleId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rule = await rulesEngine.getRule(req.clientId, req.params.ruleId);
+
+		if (!rule) {
+			return res.status(404).json({
+				success: false,
+				message: 'Banking rule not found'
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			data: rule
+		});
+	} catch (error) {
+		logger.error('Error getting banking rule:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to get banking rule'
+		});
+	}
+});
+
+/**
+ * @route PUT /api/bank/rules/:ruleId
+ * @desc Update a banking rule
+ * @access Private
+ */
+router.put('/rules/:ruleId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rule = await rulesEngine.updateRule(req.clientId, req.params.ruleId, req.body);
+
+		if (!rule) {
+			return res.status(404).json({
+				success: false,
+				message: 'Banking rule not found'
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			data: rule
+		});
+	} catch (error) {
+		logger.error('Error updating banking rule:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to update banking rule'
+		});
+	}
+});
+
+/**
+ * @route DELETE /api/bank/rules/:ruleId
+ * @desc Delete a banking rule (its evaluation log is kept)
+ * @access Private
+ */
+router.delete('/rules/:ruleId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const removed = await rulesEngine.deleteRule(req.clientId, req.params.ruleId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: 'Banking rule not found'
+			});
+		}
+
+		return res.status(200).json({
+			success: true,
+			message: 'Banking rule deleted'
+		});
+	} catch (error) {
+		logger.error('Error deleting banking rule:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to delete banking rule'
+		});
+	}
+});
+
+/**
+ * @route POST /api/bank/users/:bankUserId/rules/dry-run
+ * @desc Evaluate saved rules, or ad-hoc { rules: [...] }, against a bank user without logging
+ * @access Private
+ */
+router.post('/users/:bankUserId/rules/dry-run', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	return evaluateRulesHandler(req, res, true);
+});
+
+/**
+ * @route POST /api/bank/users/:bankUserId/rules/evaluate
+ * @desc Evaluate the client's rules for a bank user and record the results in the evaluation log
+ * @access Private
+ */
+router.post('/users/:bankUserId/rules/evaluate', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	return evaluateRulesHandler(req, res, false);
+});
+
+/**
+ * Shared handler for rule evaluation and dry runs
+ */
+async function evaluateRulesHandler(req, res, dryRun) {
+	try {
+		const { clientId } = req;
+		const { bankUserId } = req.params;
+		const { rules, ruleKeys, asOf, periodDays } = req.body || {};
+
+		if (rules !== undefined && (!Array.isArray(rules) || rules.length === 0 || rules.length > 50)) {
+			return res.status(400).json({
+				success: false,
+				message: 'rules must be an array of 1-50 rule definitions'
+			});
+		}
+
+		const options = { dryRun, rules, ruleKeys: Array.isArray(ruleKeys) ? ruleKeys : undefined };
+		if (periodDays !== undefined) options.periodDays = Math.min(Math.max(parseInt(periodDays) || 0, 1), 365);
+		if (asOf) {
+			options.asOf = new Date(asOf);
+			if (isNaN(options.asOf.getTime())) {
+				return res.status(400).json({
+					success: false,
+					message: 'Invalid asOf date'
+				});
+			}
+		}
+
+		const result = await rulesEngine.evaluateForUser(clientId, bankUserId, options);
+
+		return res.status(200).json({
+			success: true,
+			data: {
+				bankUserId,
+				...result
+			}
+		});
+	} catch (error) {
+		logger.error('Error evaluating banking rules:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to evaluate banking rules'
+		});
+	}
+}
+
 /**
  * @route POST /api/bank/users/:bankUserId/insights
  * @desc Generate insights for a bank user with isolated session
@@ -227,7 +679,7 @@ router.post('/users/:bankUserId/insights', authMiddleware, getClientIdMiddleware
 		const { clientId } = req;
 		const userId = req.auth.userId;
 		const { bankUserId } = req.params;
-		const { query, requestId, sessionId: providedSessionId } = req.body;
+		const { query, requestId, sessionId: providedSessionId, conversationId: providedConversationId } = req.body;
 
 		if (!bankUserId || !query) {
 			return res.status(400).json({
@@ -239,23 +691,14 @@ router.post('/users/:bankUserId/insights', authMiddleware, getClientIdMiddleware
 		// Create a unique identifier for this bank user
 		const subUserId = `${clientId}_bank_${bankUserId}`;
 
-		// Get or create session for this specific bank user
-		let sessionId = providedSessionId;
-		if (!sessionId) {
-			// Check if we already have a session for this bank user
-			sessionId = sessionManager.getOrCreateSubUserSession(userId, subUserId);
-		} else {
-			// Validate the provided session belongs to this bank user
-			const session = sessionManager.getSession(sessionId);
-			if (!session || session.subUserId !== subUserId) {
-				// Invalid or wrong session, create new one
-				sessionId = sessionManager.getOrCreateSubUserSession(userId, subUserId);
-				logger.warn('Invalid session provided for bank user, created new session', {
-					bankUserId,
-					newSessionId: sessionId
-				});
-			}
-		}
+		// Resume this bank user's persisted conversation (or start one); the
+		// conversation ID doubles as the session ID returned to the client
+		const conversation = await conversationService.resolveConversation({
+			userId,
+			subUserId,
+			conversationId: providedConversationId || providedSessionId
+		});
+		const sessionId = conversation.id;
 
 		logger.info('Processing bank user insight request', {
 			clientId,
@@ -271,11 +714,12 @@ router.post('/users/:bankUserId/insights', authMiddleware, getClientIdMiddleware
 		// Prepare the request data with session isolation
 		const insightData = {
 			query,
-			queryType: classifyQuery(query),
+			queryType: intentClassifier.classify(query).intent,
 			requestId: requestId || `bank-${clientId}-${bankUserId}-${Date.now()}`,
 			userId: userId, // Main user ID
 			subUserId: subUserId, // Bank user identifier
 			sessionId: sessionId, // Bank user's specific session
+			conversationId: sessionId,
 			accounts: financialData.accounts || [],
 			transactions: financialData.transactions || [],
 			userProfile: {
@@ -288,6 +732,15 @@ router.post('/users/:bankUserId/insights', authMiddleware, getClientIdMiddleware
 		// Generate insights using Gemini directly with session isolation
 		const insights = await geminiService.generateInsights(insightData);
 
+		llmUsage.record(insights.usage, {
+			operation: 'insights',
+			queryType: insightData.queryType,
+			userId,
+			clientId,
+			bankUserId,
+			requestId: insightData.requestId
+		});
+
 		return res.status(200).json({
 			success: true,
 			data: {
@@ -295,6 +748,7 @@ router.post('/users/:bankUserId/insights', authMiddleware, getClientIdMiddleware
 				query,
 				insights: insights.insight,
 				sessionId: sessionId, // Return session for future requests
+				conversationId: sessionId,
 				timestamp: new Date().toISOString(),
 				queryType: insights.queryType
 			}
@@ -329,26 +783,28 @@ router.delete('/users/:bankUserId/session', authMiddleware, getClientIdMiddlewar
 
 		const subUserId = `${clientId}_bank_${bankUserId}`;
 
-		// Delete the session for this bank user
+		// Delete the conversation for this bank user
 		if (sessionId) {
-			const deleted = sessionManager.deleteSession(sessionId);
-			if (deleted) {
+			try {
+				await conversationService.deleteConversation(userId, sessionId, { subUserId });
 				logger.info('Deleted session for bank user', {
 					bankUserId,
 					sessionId
 				});
+			} catch (error) {
+				if (error.statusCode !== 404) throw error;
 			}
 		} else {
-			// Find and delete all sessions for this bank user
-			const deletedCount = sessionManager.deleteSubUserSessions(userId, subUserId);
+			// Delete all conversations for this bank user
+			const deletedCount = await conversationService.deleteConversations(userId, { subUserId });
 			logger.info('Deleted all sessions for bank user', {
 				bankUserId,
 				count: deletedCount
 			});
 		}
 
-		// Create a new session for future requests
-		const newSessionId = sessionManager.createSubUserSession(userId, subUserId);
+		// Start a new conversation for future requests
+		const newSessionId = (await conversationService.startConversation({ userId, subUserId })).id;
 
 		return res.status(200).json({
 			success: true,
@@ -382,19 +838,21 @@ router.get('/users/:bankUserId/session-status', authMiddleware, getClientIdMiddl
 		const subUserId = `${clientId}_bank_${bankUserId}`;
 
 		if (sessionId) {
-			const session = sessionManager.getSession(sessionId);
-			if (session && session.subUserId === subUserId) {
+			try {
+				const conversation = await conversationService.getConversation(userId, sessionId, { subUserId, turnLimit: 1 });
 				return res.status(200).json({
 					success: true,
 					data: {
 						hasSession: true,
 						sessionId: sessionId,
 						bankUserId: bankUserId,
-						createdAt: session.createdAt,
-						lastAccessed: session.lastAccessed,
-						queryCount: session.conversationHistory?.recentQueries?.length || 0
+						createdAt: conversation.createdAt,
+						lastAccessed: conversation.lastActivityAt,
+						queryCount: conversation.turnCount
 					}
 				});
+			} catch (error) {
+				if (error.statusCode !== 404) throw error;
 			}
 		}
 
@@ -417,24 +875,24 @@ router.get('/users/:bankUserId/session-status', authMiddleware, getClientIdMiddl
 });
 
 /**
- * Helper function to classify query type
+ * @route GET /api/bank/users/:bankUserId/conversations
+ * @desc List saved insight conversations for a bank user
+ * @access Private
  */
-function classifyQuery(query) {
-	if (!query) return 'general';
-	const normalizedQuery = query.trim().toLowerCase();
+router.get('/users/:bankUserId/conversations', authMiddleware, getClientIdMiddleware, conversationController.listConversations);
 
-	if (/\b(cocaine|heroin|hack|bomb|illegal|drug|weapon)\b/.test(normalizedQuery)) {
-		return 'harmful';
-	}
-	if (/^(hi|hello|hey)/.test(normalizedQuery)) return 'greeting';
-	if (/joke|funny/.test(normalizedQuery)) return 'joke';
-	if (/budget/.test(normalizedQuery)) return 'budgeting';
-	if (/spend/.test(normalizedQuery)) return 'spending';
-	if (/save|saving/.test(normalizedQuery)) return 'saving';
-	if (/invest/.test(normalizedQuery)) return 'investing';
-	if (/debt|loan/.test(normalizedQuery)) return 'debt';
-
-	return 'general';
-}
+/**
+ * @route GET /api/bank/users/:bankUserId/conversations/:conversationId
+ * @desc Get a bank user's conversation with its turns; send its ID as sessionId to resume it
+ * @access Private
+ */
+router.get('/users/:bankUserId/conversations/:conversationId', authMiddleware, getClientIdMiddleware, conversationController.getConversation);
+
+/**
+ * @route DELETE /api/bank/users/:bankUserId/conversations/:conversationId
+ * @desc Delete a bank user's conversation
+ * @access Private
+ */
+router.delete('/users/:bankUserId/conversations/:conversationId', authMiddleware, getClientIdMiddleware, conversationController.deleteConversation);
 
 module.exports = router;
\ No newline at end of file
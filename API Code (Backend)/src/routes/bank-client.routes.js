@@ -9,6 +9,8 @@ const { BankUser } = require('../models');
 const { Account } = require('../models');
 const { Transaction } = require('../models');
 const AccountDataService = require('../services/account-data.service');
+const categorization = require('../services/categorization.service');
+const merchantNormalization = require('../services/merchant-normalization.service');
 const router = express.Router();
 
 /**
@@ -520,4 +522,234 @@ router.get('/data-quality/detailed', authMiddleware, getClientIdMiddleware, asyn
 	}
 });
 
+/**
+ * @route GET /api/bank-client/taxonomy
+ * @desc Get the category taxonomy used for this client's transactions
+ * @access Private (Bank Client only)
+ */
+router.get('/taxonomy', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const taxonomy = await categorization.getTaxonomy(req.clientId);
+
+		return res.json({
+			success: true,
+			data: taxonomy
+		});
+	} catch (error) {
+		logger.error('Error getting category taxonomy:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to get category taxonomy',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route PUT /api/bank-client/taxonomy
+ * @desc Replace this client's category taxonomy
+ * @access Private (Bank Client only)
+ */
+router.put('/taxonomy', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const taxonomy = await categorization.updateTaxonomy(req.clientId, req.body, req.auth.userId);
+
+		logger.info(`Client ${req.clientId} updated category taxonomy to version ${taxonomy.version}`);
+
+		return res.json({
+			success: true,
+			message: 'Taxonomy updated. Run POST /api/bank-client/recategorize to apply it to stored transactions.',
+			data: taxonomy
+		});
+	} catch (error) {
+		logger.error('Error updating category taxonomy:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to update category taxonomy',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route GET /api/bank-client/category-rules
+ * @desc List this client's categorization rules
+ * @access Private (Bank Client only)
+ */
+router.get('/category-rules', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rules = await categorization.listRules(req.clientId);
+
+		return res.json({
+			success: true,
+			data: rules
+		});
+	} catch (error) {
+		logger.error('Error listing category rules:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to list category rules',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route POST /api/bank-client/category-rules
+ * @desc Create a categorization rule (keyword, regex, mcc, source_category or merchant)
+ * @access Private (Bank Client only)
+ */
+router.post('/category-rules', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rule = await categorization.createRule(req.clientId, req.body, req.auth.userId);
+
+		logger.info(`Client ${req.clientId} created category rule ${rule.id} -> ${rule.categoryId}`);
+
+		return res.status(201).json({
+			success: true,
+			data: rule
+		});
+	} catch (error) {
+		logger.error('Error creating category rule:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to create category rule',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route POST /api/bank-client/category-rules/test
+ * @desc Show how a transaction would be categorized with the current rules
+ * @access Private (Bank Client only)
+ */
+router.post('/category-rules/test', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const { description, merchantName, category, mcc } = req.body;
+
+		if (!description && !merchantName && !category && !mcc) {
+			return res.status(400).json({
+				success: false,
+				message: 'description, merchantName, category or mcc is required'
+			});
+		}
+
+		await Promise.all([categorization.loadRules(), merchantNormalization.loadRules()]);
+		const result = categorization.categorizeSync({ description, merchantName, category, mcc }, req.clientId);
+
+		return res.json({
+			success: true,
+			data: result
+		});
+	} catch (error) {
+		logger.error('Error testing category rules:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to test category rules',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route PUT /api/bank-client/category-rules/:ruleId
+ * @desc Update a categorization rule
+ * @access Private (Bank Client only)
+ */
+router.put('/category-rules/:ruleId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const rule = await categorization.updateRule(req.clientId, req.params.ruleId, req.body);
+
+		if (!rule) {
+			return res.status(404).json({
+				success: false,
+				message: 'Category rule not found'
+			});
+		}
+
+		return res.json({
+			success: true,
+			data: rule
+		});
+	} catch (error) {
+		logger.error('Error updating category rule:', error);
+		return res.status(error.statusCode || 500).json({
+			success: false,
+			message: error.statusCode ? error.message : 'Failed to update category rule',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route DELETE /api/bank-client/category-rules/:ruleId
+ * @desc Delete a categorization rule
+ * @access Private (Bank Client only)
+ */
+router.delete('/category-rules/:ruleId', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const removed = await categorization.deleteRule(req.clientId, req.params.ruleId);
+
+		if (!removed) {
+			return res.status(404).json({
+				success: false,
+				message: 'Category rule not found'
+			});
+		}
+
+		return res.json({
+			success: true,
+			message: 'Category rule deleted'
+		});
+	} catch (error) {
+		logger.error('Error deleting category rule:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to delete category rule',
+			details: error.message
+		});
+	}
+});
+
+/**
+ * @route POST /api/bank-client/recategorize
+ * @desc Re-apply the taxonomy and rules to stored transactions (all users, or one via bankUserId)
+ * @access Private (Bank Client only)
+ */
+router.post('/recategorize', authMiddleware, getClientIdMiddleware, async (req, res) => {
+	try {
+		const { clientId } = req;
+		const { bankUserId } = req.body || {};
+
+		if (bankUserId) {
+			const bankUser = await BankUser.findOne({ where: { clientId, bankUserId } });
+			if (!bankUser) {
+				return res.status(404).json({
+					success: false,
+					message: 'Bank user not found'
+				});
+			}
+		}
+
+		categorization.recategorize({ clientId, bankUserId }).catch(error => {
+			logger.error('Error recategorizing transactions:', error);
+		});
+
+		logger.info(`Client ${clientId} started recategorization`, { bankUserId });
+
+		return res.status(202).json({
+			success: true,
+			message: 'Recategorization started'
+		});
+	} catch (error) {
+		logger.error('Error starting recategorization:', error);
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to start recategorization',
+			details: error.message
+		});
+	}
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,9 +2,11 @@
 const express = require('express');
 const bankingCommandController = require('../controllers/banking-command.controller');
 const router = express.Router();
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, authorize } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const reportCache = require('../utils/report-cache');
+const reportJobService = require('../services/report-job.service');
+const { validateCallbackUrl } = require('../utils/validation');
 
 // Log route initialization
 logger.info('Initializing Banking Command routes with caching support');
@@ -56,9 +58,14 @@ const setExtendedTimeout = (req, res, next) => {
  * @desc Health check for Banking Command routes
  * @access Public
  */
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
 	logger.info('Banking Command health check');
-	const cacheStats = reportCache.getStats();
+	let cacheStats = null;
+	try {
+		cacheStats = await reportCache.getStats();
+	} catch (error) {
+		logger.warn(`Report cache stats unavailable: ${error.message}`);
+	}
 	res.status(200).json(formatResponse({
 		status: 'healthy',
 		cache: cacheStats
@@ -178,12 +185,20 @@ router.post('/pdf-report', authMiddleware, setExtendedTimeout, (req, res, next)
 	bankingCommandController.generateReport(req, res);
 });
 
+// Raw statement uploads (OFX/QFX, CSV, CAMT.053 XML); JSON bodies are handled by the global parser
+const statementFileBody = express.text({
+	type: ['text/csv', 'application/csv', 'application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx', 'application/xml', 'text/xml', 'text/plain'],
+	limit: process.env.STATEMENT_MAX_BYTES || '10mb'
+});
+
 /**
  * @route POST /api/banking-command/statement-analysis
- * @desc Analyze a bank statement and generate insights
+ * @desc Analyze a bank statement and generate insights. Accepts structured JSON statementData,
+ *       a raw file as statementData ({ content, format, filename, encoding }), or the file itself
+ *       as the request body with ?userId=&statementFormat=&filename= in the query string.
  * @access Private
  */
-router.post('/statement-analysis', authMiddleware, setExtendedTimeout, bankingCommandController.analyzeStatement);
+router.post('/statement-analysis', authMiddleware, setExtendedTimeout, statementFileBody, bankingCommandController.analyzeStatement);
 
 /**
  * @route GET /api/banking-command/cache/stats
@@ -204,21 +219,19 @@ router.post('/cache/clear', authMiddleware, bankingCommandController.clearCache)
  * @desc Clear cache entries for a specific user
  * @access Private
  */
-router.delete('/cache/:userId', authMiddleware, (req, res) => {
+router.delete('/cache/:userId', authMiddleware, async (req, res) => {
 	try {
 		const { userId } = req.params;
 
-		// This is a simplified approach - in a more sophisticated implementation,
-		// you'd iterate through cache keys and delete matching ones
 		logger.info(`Cache invalidation requested for user: ${userId}`);
 
-		// For now, we'll just clear the entire cache
-		// In production, implement user-specific cache invalidation
-		reportCache.clear();
+		const { dataVersion, removed } = await reportCache.invalidateUser(userId);
 
 		res.status(200).json(formatResponse({
 			userId,
-			action: 'cache_cleared'
+			action: 'cache_cleared',
+			removedEntries: removed,
+			dataVersion
 		}, 'User cache entries cleared'));
 	} catch (error) {
 		logger.error('Error clearing user cache:', error);
@@ -226,24 +239,9 @@ router.delete('/cache/:userId', authMiddleware, (req, res) => {
 	}
 });
 
-// Legacy async endpoints (keeping for backward compatibility)
-const reportJobs = {};
-
-// Clean up old jobs periodically (every hour)
-setInterval(() => {
-	const oneHourAgo = Date.now() - (60 * 60 * 1000);
-	Object.keys(reportJobs).forEach(jobId => {
-		const job = reportJobs[jobId];
-		if (job.requestedAt && new Date(job.requestedAt).getTime() < oneHourAgo) {
-			delete reportJobs[jobId];
-			logger.info(`Cleaned up old job: ${jobId}`);
-		}
-	});
-}, 60 * 60 * 1000);
-
 /**
  * @route POST /api/banking-command/async-report
- * @desc Asynchronously generate a banking intelligence report
+ * @desc Queue a banking intelligence report for background generation
  * @access Private
  */
 router.post('/async-report', authMiddleware, async (req, res) => {
@@ -252,51 +250,51 @@ router.post('/async-report', authMiddleware, async (req, res) => {
 			userId: req.body.userId
 		});
 
-		const { userId, timeframe, includeDetailed, format, statementData } = req.body;
-		const jobId = `job-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+		const { userId, timeframe, includeDetailed, format, statementData, callbackUrl } = req.body;
 
 		// Validate required parameters
 		if (!userId) {
 			return res.status(400).json(formatError('Missing required parameter: userId'));
 		}
 
+		if (callbackUrl && !(await validateCallbackUrl(callbackUrl))) {
+			return res.status(400).json(formatError('Invalid callbackUrl'));
+		}
+
 		// Check if report is already cached
 		const cacheParams = { userId, timeframe, includeDetailed, statementData };
-		if (reportCache.has(cacheParams)) {
-			// Return immediately if cached
-			const cachedReport = reportCache.get(cacheParams);
-			logger.info(`Async request served immediately from cache: ${jobId}`);
+		const cachedReport = await reportCache.get(cacheParams);
+		if (cachedReport) {
+			// Store a completed job so report-status and report-result work for this jobId too
+			const job = await reportJobService.recordCompleted(
+				{ userId, timeframe, includeDetailed, format, statementData, callbackUrl },
+				cachedReport,
+				{ clientId: req.auth.clientId, requestedBy: req.auth.userId }
+			);
+			logger.info(`Async request served immediately from cache: ${job.jobId}`);
 
 			return res.status(200).json(formatResponse({
-				jobId,
-				status: 'completed',
+				jobId: job.jobId,
+				status: job.status,
 				data: cachedReport,
 				fromCache: true,
-				resultUrl: `/api/banking-command/report-result/${jobId}`
+				checkStatusUrl: `/api/banking-command/report-status/${job.jobId}`,
+				resultUrl: `/api/banking-command/report-result/${job.jobId}`
 			}, 'Report available immediately from cache'));
 		}
 
-		// Store job info
-		reportJobs[jobId] = {
-			status: 'pending',
-			userId,
-			requestedAt: new Date(),
-			parameters: { userId, timeframe, includeDetailed, format, statementData },
-			result: null,
-			error: null,
-			progress: 0,
-			progressMessage: 'Queued for processing'
-		};
-
-		// Start background processing
-		generateReportAsync(jobId);
+		const job = await reportJobService.enqueue(
+			{ userId, timeframe, includeDetailed, format, statementData, callbackUrl },
+			{ clientId: req.auth.clientId, requestedBy: req.auth.userId }
+		);
 
 		// Return job ID immediately
 		return res.status(202).json(formatResponse({
-			jobId,
-			status: 'pending',
-			checkStatusUrl: `/api/banking-command/report-status/${jobId}`,
-			resultUrl: `/api/banking-command/report-result/${jobId}`
+			jobId: job.jobId,
+			status: job.status,
+			checkStatusUrl: `/api/banking-command/report-status/${job.jobId}`,
+			resultUrl: `/api/banking-command/report-result/${job.jobId}`,
+			cancelUrl: `/api/banking-command/report-cancel/${job.jobId}`
 		}, 'Report generation started. Use the job ID to check status.'));
 	} catch (error) {
 		logger.error('Error initiating Banking Intelligence Command report', {
@@ -308,129 +306,20 @@ router.post('/async-report', authMiddleware, async (req, res) => {
 	}
 });
 
-/**
- * Background report generation function with caching integration
- * @param {string} jobId - Job ID
- */
-async function generateReportAsync(jobId) {
-	const job = reportJobs[jobId];
-
-	try {
-		// Update status
-		job.status = 'processing';
-		job.progress = 10;
-		job.progressMessage = 'Checking cache...';
-
-		// Check cache first
-		const cacheParams = {
-			userId: job.parameters.userId,
-			timeframe: job.parameters.timeframe,
-			includeDetailed: job.parameters.includeDetailed,
-			statementData: job.parameters.statementData
-		};
-
-		let report = reportCache.get(cacheParams);
-
-		if (report) {
-			// Serve from cache
-			job.result = report;
-			job.status = 'completed';
-			job.completedAt = new Date();
-			job.progress = 100;
-			job.progressMessage = 'Report served from cache';
-			job.fromCache = true;
-
-			logger.info('Async report served from cache', {
-				jobId,
-				userId: job.parameters.userId
-			});
-		} else {
-			// Generate new report
-			job.progress = 20;
-			job.progressMessage = 'Generating new report...';
-
-			const bankingCommandService = require('../services/banking-command.service');
-
-			// Add progress callback to parameters
-			const paramsWithProgress = {
-				...job.parameters,
-				requestId: jobId,
-				format: 'json', // Always generate JSON for caching
-				onProgress: (progress, message) => {
-					job.progress = Math.max(20, Math.min(90, progress)); // Keep within 20-90 range
-					job.progressMessage = message;
-					logger.debug(`Job ${jobId} progress: ${job.progress}% - ${message}`);
-				}
-			};
-
-			// Generate report
-			report = await bankingCommandService.generateReport(paramsWithProgress);
-
-			// Cache the new report
-			reportCache.set(cacheParams, report);
-
-			// Store result and update status
-			job.result = report;
-			job.status = 'completed';
-			job.completedAt = new Date();
-			job.progress = 100;
-			job.progressMessage = 'Report generation completed';
-			job.fromCache = false;
-
-			logger.info('Async report generation completed and cached', {
-				jobId,
-				userId: job.parameters.userId,
-				duration: new Date() - job.requestedAt
-			});
-		}
-	} catch (error) {
-		// Handle failure
-		job.status = 'failed';
-		job.error = error.message;
-		job.progress = 0;
-		job.progressMessage = `Failed: ${error.message}`;
-
-		logger.error('Async report generation failed', {
-			jobId,
-			userId: job.parameters.userId,
-			error: error.message
-		});
-	}
-}
-
 /**
  * @route GET /api/banking-command/report-status/:jobId
  * @desc Check the status of an asynchronous report
  * @access Private
  */
-router.get('/report-status/:jobId', authMiddleware, (req, res) => {
+router.get('/report-status/:jobId', authMiddleware, async (req, res) => {
 	try {
-		const { jobId } = req.params;
-		const job = reportJobs[jobId];
+		const job = await reportJobService.getJob(req.params.jobId, req.auth);
 
 		if (!job) {
 			return res.status(404).json(formatError('Report job not found'));
 		}
 
-		// Create response
-		const response = {
-			jobId,
-			status: job.status,
-			userId: job.userId,
-			requestedAt: job.requestedAt,
-			progress: job.progress,
-			progressMessage: job.progressMessage,
-			fromCache: job.fromCache || false
-		};
-
-		if (job.status === 'completed') {
-			response.completedAt = job.completedAt;
-			response.resultUrl = `/api/banking-command/report-result/${jobId}`;
-		} else if (job.status === 'failed') {
-			response.error = job.error;
-		}
-
-		return res.status(200).json(formatResponse(response));
+		return res.status(200).json(formatResponse(job.toStatusResponse()));
 	} catch (error) {
 		logger.error('Error checking report status', {
 			error: error.message
@@ -445,10 +334,9 @@ router.get('/report-status/:jobId', authMiddleware, (req, res) => {
  * @desc Get the result of a completed report
  * @access Private
  */
-router.get('/report-result/:jobId', authMiddleware, (req, res) => {
+router.get('/report-result/:jobId', authMiddleware, async (req, res) => {
 	try {
-		const { jobId } = req.params;
-		const job = reportJobs[jobId];
+		const job = await reportJobService.getJob(req.params.jobId, req.auth);
 
 		if (!job) {
 			return res.status(404).json(formatError('Report job not found'));
@@ -461,17 +349,16 @@ router.get('/report-result/:jobId', authMiddleware, (req, res) => {
 			));
 		}
 
-		// Clean up job after successful retrieval (optional)
 		const result = {
 			...job.result,
 			_metadata: {
 				fromCache: job.fromCache || false,
 				completedAt: job.completedAt,
 				requestedAt: job.requestedAt,
-				duration: job.completedAt - job.requestedAt
+				duration: new Date(job.completedAt) - new Date(job.requestedAt),
+				attempts: job.attempts
 			}
 		};
-		delete reportJobs[jobId];
 
 		return res.status(200).json(formatResponse(result));
 	} catch (error) {
@@ -483,6 +370,48 @@ router.get('/report-result/:jobId', authMiddleware, (req, res) => {
 	}
 });
 
+/**
+ * @route POST /api/banking-command/report-cancel/:jobId
+ * @desc Cancel a pending or in-progress asynchronous report
+ * @access Private
+ */
+router.post('/report-cancel/:jobId', authMiddleware, async (req, res) => {
+	try {
+		const job = await reportJobService.cancelJob(req.params.jobId, req.auth);
+
+		if (!job) {
+			return res.status(404).json(formatError('Report job not found'));
+		}
+
+		return res.status(200).json(formatResponse(job.toStatusResponse(), 'Report job cancelled'));
+	} catch (error) {
+		if (error.statusCode === 409) {
+			return res.status(409).json(formatError(error.message));
+		}
+
+		logger.error('Error cancelling report job', {
+			error: error.message
+		});
+
+		return res.status(500).json(formatError('Failed to cancel report job', error.message));
+	}
+});
+
+/**
+ * @route GET /api/banking-command/report-jobs/stats
+ * @desc Get report job queue statistics across all clients
+ * @access Private (Admin only)
+ */
+router.get('/report-jobs/stats', authMiddleware, authorize('admin'), async (req, res) => {
+	try {
+		const stats = await reportJobService.getStats();
+		return res.status(200).json(formatResponse(stats, 'Report job statistics retrieved successfully'));
+	} catch (error) {
+		logger.error('Error retrieving report job stats:', error);
+		return res.status(500).json(formatError('Failed to retrieve report job statistics'));
+	}
+});
+
 // For debugging, log all routes
 logger.info(`Banking Command routes defined: ${router.stack
 	.filter(r => r.route)
@@ -2,6 +2,7 @@
 const express = require('express');
 const { authMiddleware } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const { validateCallbackUrl } = require('../utils/validation');
 
 // Create a router object
 const router = express.Router();
@@ -143,5 +144,163 @@ router.get('/status/:clientId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/clients/webhook/:clientId
+ * @desc Get the default webhook URL for report callbacks
+ * @access Private
+ */
+router.get('/webhook/:clientId', authMiddleware, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { Client } = require('../models');
+
+    const client = await Client.findOne({ where: { clientId } });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (client.userId !== req.auth.userId && req.auth.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this client'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        clientId: client.clientId,
+        webhookUrl: client.webhookUrl
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting client webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get client webhook',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/clients/webhook/:clientId
+ * @desc Set or clear (webhookUrl: null) the default webhook URL for report callbacks
+ * @access Private
+ */
+router.put('/webhook/:clientId', authMiddleware, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { webhookUrl } = req.body;
+    const { Client } = require('../models');
+
+    if (webhookUrl && !(await validateCallbackUrl(webhookUrl))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhookUrl'
+      });
+    }
+
+    const client = await Client.findOne({ where: { clientId } });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (client.userId !== req.auth.userId && req.auth.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this client'
+      });
+    }
+
+    await client.update({ webhookUrl: webhookUrl || null });
+
+    logger.info(`Webhook URL ${webhookUrl ? 'updated' : 'cleared'} for client ${clientId}`);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        clientId: client.clientId,
+        webhookUrl: client.webhookUrl
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating client webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update client webhook',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/clients/llm-usage/:clientId
+ * @desc Get LLM token and cost usage for a client, with a daily breakdown
+ * Query: from, to, groupBy (bankUser, queryType, reportSection, provider, model, operation)
+ * @access Private
+ */
+router.get('/llm-usage/:clientId', authMiddleware, async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { from, to, groupBy = 'bankUser' } = req.query;
+
+    if (!['bankUser', 'queryType', 'reportSection', 'provider', 'model', 'operation'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be one of: bankUser, queryType, reportSection, provider, model, operation'
+      });
+    }
+
+    const { Client } = require('../models');
+    const llmUsage = require('../services/llm-usage.service');
+
+    const client = await Client.findOne({
+      where: { clientId }
+    });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    // Only allow the client owner or admins to see usage
+    if (client.userId !== req.auth.userId && req.auth.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this client'
+      });
+    }
+
+    const summary = await llmUsage.getSummary({ from, to, clientId, groupBy });
+    const timeseries = await llmUsage.getTimeseries({ from, to, clientId, interval: 'day' });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        points: timeseries.points
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting client LLM usage:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to get LLM usage',
+      error: error.message
+    });
+  }
+});
+
 // Export the router
 module.exports = router;
\ No newline at end of file
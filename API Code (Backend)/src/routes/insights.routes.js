@@ -7,13 +7,17 @@ const { InsightMetrics } = require('../models');
 const logger = require('../utils/logger');
 const databaseService = require('../services/data.service');
 const llmFactory = require('../services/llm-factory.service');
+const intentClassifier = require('../services/intent-classifier.service');
+const conversationService = require('../services/conversation.service');
+const conversationController = require('../controllers/conversation.controller');
+const insightStream = require('../services/insight-stream.service');
 
 // Add direct database storage function
 const { sequelize } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 
 // Direct metrics storage function
-async function storeQueryMetrics(userId, query, queryType, success, responseTime, errorMessage = null) {
+async function storeQueryMetrics(userId, query, queryType, success, responseTime, errorMessage = null, prompt = null) {
   try {
     const requestId = `manual_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -33,7 +37,10 @@ async function storeQueryMetrics(userId, query, queryType, success, responseTime
       queryType: queryType || 'unknown',
       responseTime: responseTime || 0,
       success,
-      errorMessage
+      errorMessage,
+      promptName: prompt ? prompt.name : null,
+      promptVersion: prompt && prompt.version ? String(prompt.version) : null,
+      experimentId: prompt ? prompt.experimentId : null
     });
 
     logger.info('✅ METRICS: Successfully stored metrics with ID', record.id);
@@ -44,7 +51,7 @@ async function storeQueryMetrics(userId, query, queryType, success, responseTime
   }
 }
 
-// In-memory storage for streaming queries
+// Prepared streaming queries, waiting for GET /stream to start them
 const streamingQueries = new Map();
 
 const router = express.Router();
@@ -52,28 +59,6 @@ const router = express.Router();
 // Apply session middleware to all routes
 router.use(sessionMiddleware);
 
-/**
- * Classify query
- */
-function classifyQuery(query) {
-  if (!query) return 'general';
-
-  const normalizedQuery = query.trim().toLowerCase();
-
-  if (/\b(cocaine|heroin|hack|bomb|illegal|drug|weapon)\b/.test(normalizedQuery)) {
-    return 'harmful';
-  }
-
-  if (/^(hi|hello|hey)/.test(normalizedQuery)) return 'greeting';
-  if (/joke|funny/.test(normalizedQuery)) return 'joke';
-  if (/budget/.test(normalizedQuery)) return 'budgeting';
-  if (/spend/.test(normalizedQuery)) return 'spending';
-  if (/save|saving/.test(normalizedQuery)) return 'saving';
-  if (/invest/.test(normalizedQuery)) return 'investing';
-
-  return 'general';
-}
-
 /**
  * @route POST /api/insights/generate
  */
@@ -84,8 +69,20 @@ router.post('/generate', authMiddleware, insightsController.generateInsights);
  */
 router.get('/summary', authMiddleware, insightsController.getFinancialSummary);
 
+/**
+ * @route POST /api/insights/search
+ * @desc Search transactions with a natural-language question ("how much did I
+ * spend at Costco in March?"). Returns the parsed filter (merchant, category,
+ * date range, amount range, account, direction), matching transactions and
+ * totals. Send an edited filter back to refine the search.
+ * @access Private
+ */
+router.post('/search', authMiddleware, insightsController.searchTransactions);
+
 /**
  * @route POST /api/insights/stream-prepare
+ * @desc Register a query to stream; GET /stream with the same requestId starts it
+ * @access Private
  */
 router.post('/stream-prepare', authMiddleware, (req, res) => {
   try {
@@ -97,7 +94,8 @@ router.post('/stream-prepare', authMiddleware, (req, res) => {
       integrationMode,
       dataSourceMode,
       financialData,
-      provider
+      provider,
+      conversationId
     } = req.body;
 
     const userId = req.auth.userId;
@@ -110,7 +108,8 @@ router.post('/stream-prepare', authMiddleware, (req, res) => {
       });
     }
 
-    const queryType = classifyQuery(query);
+    const classification = intentClassifier.classify(query);
+    const queryType = classification.intent;
 
     logger.info('🎯 STREAM PREP: Preparing streaming request', {
       userId: userId.substring(0, 8) + '...',
@@ -118,6 +117,8 @@ router.post('/stream-prepare', authMiddleware, (req, res) => {
       requestId,
       query: query.substring(0, 50) + '...',
       queryType,
+      intents: classification.intents,
+      entities: classification.entities,
       integrationMode,
       dataSourceMode,
       useConnectedData: !!useConnectedData,
@@ -137,9 +138,10 @@ router.post('/stream-prepare', authMiddleware, (req, res) => {
       useDirectData: !!useDirectData,
       financialData,
       provider,
+      conversationId,
+      clientId: req.auth.clientId,
       timestamp: Date.now(),
-      startTime: Date.now(),
-      processed: false
+      startTime: Date.now()
     });
 
     // Clean up old entries
@@ -166,18 +168,19 @@ router.post('/stream-prepare', authMiddleware, (req, res) => {
 
 /**
  * @route GET /api/insights/stream
+ * @desc Stream a prepared insight request as server-sent events. Each event
+ * has an id and a JSON body with a type: session, data_source, provider,
+ * token, tool_call, done, error or cancelled. After a dropped connection,
+ * reconnect with the Last-Event-ID header (or lastEventId query parameter)
+ * to receive the missed events and continue.
+ * @access Private
  */
 router.get('/stream', authMiddleware, (req, res) => {
   try {
     const requestId = req.query.requestId;
     const userId = req.auth.userId;
     const sessionId = req.sessionId || req.headers['x-session-id'] || req.query.sessionId;
-
-    logger.info('🌊 STREAM: Starting streaming response', {
-      requestId,
-      userId: userId.substring(0, 8) + '...',
-      sessionId
-    });
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
 
     if (!requestId) {
       return res.status(400).json({
@@ -186,145 +189,59 @@ router.get('/stream', authMiddleware, (req, res) => {
       });
     }
 
-    const queryData = streamingQueries.get(requestId);
+    let stream = insightStream.get(requestId);
 
-    if (!queryData) {
-      return res.status(404).json({
-        success: false,
-        message: 'Request not found. Please prepare the stream first.'
-      });
-    }
-
-    if (queryData.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Unauthorized: User ID mismatch'
-      });
-    }
-
-    queryData.processed = true;
-    streamingQueries.set(requestId, queryData);
-
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-
-    res.write(': connected\n\n');
-
-    if (sessionId) {
-      res.write(`data: ${JSON.stringify({
-        type: 'session',
-        sessionId: sessionId
-      })}\n\n`);
-    }
+    if (stream) {
+      if (stream.userId !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized: User ID mismatch'
+        });
+      }
 
-    // Check for harmful content
-    if (queryData.queryType === 'harmful') {
-      const errorMsg = "I cannot provide information about potentially harmful or illegal topics. Please ask about legitimate financial matters instead.";
-
-      // FIXED: Use direct storage instead of trackInsightManually
-      storeQueryMetrics(
-        userId,
-        queryData.query,
-        queryData.queryType,
-        false,
-        Date.now() - queryData.startTime,
-        'Harmful content blocked'
-      ).catch(err => {
-        logger.error('🚨 METRICS: Error storing harmful query:', err);
+      logger.info('🌊 STREAM: Resuming streaming response', {
+        requestId,
+        userId: userId.substring(0, 8) + '...',
+        lastEventId,
+        status: stream.status
       });
+    } else {
+      const queryData = streamingQueries.get(requestId);
 
-      res.write(`data: ${JSON.stringify({
-        chunk: errorMsg,
-        isComplete: true
-      })}\n\n`);
-
-      streamingQueries.delete(requestId);
-      res.end();
-      return;
-    }
-
-    // Process insights with direct metrics tracking
-    processStreamingInsight(queryData, userId, requestId, sessionId, (chunk, isComplete) => {
-      res.write(`data: ${JSON.stringify({
-        chunk,
-        isComplete
-      })}\n\n`);
-
-      // FIXED: Store metrics when streaming is complete
-      if (isComplete) {
-        const responseTime = Date.now() - queryData.startTime;
-
-        storeQueryMetrics(
-          userId,
-          queryData.query,
-          queryData.queryType,
-          true,
-          responseTime,
-          null
-        ).then(() => {
-          logger.info('✅ METRICS: Successfully tracked streaming query', {
-            requestId,
-            userId: userId.substring(0, 8) + '...',
-            queryType: queryData.queryType,
-            responseTime
-          });
-        }).catch(err => {
-          logger.error('🚨 METRICS: Error tracking successful streaming query:', err);
+      if (!queryData) {
+        return res.status(404).json({
+          success: false,
+          message: 'Request not found. Please prepare the stream first.'
         });
+      }
 
-        streamingQueries.delete(requestId);
-        res.end();
+      if (queryData.userId !== userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unauthorized: User ID mismatch'
+        });
       }
-    }).catch(error => {
-      logger.error('🚨 STREAM: Error in streaming insights', error);
-
-      const responseTime = Date.now() - queryData.startTime;
-
-      // FIXED: Store failed query metrics
-      storeQueryMetrics(
-        userId,
-        queryData.query,
-        queryData.queryType,
-        false,
-        responseTime,
-        error.message || 'Streaming error'
-      ).catch(err => {
-        logger.error('🚨 METRICS: Error tracking failed streaming query:', err);
-      });
 
-      res.write(`data: ${JSON.stringify({
-        chunk: `I'm sorry, I encountered an error. Please try again.`,
-        isComplete: true
-      })}\n\n`);
+      logger.info('🌊 STREAM: Starting streaming response', {
+        requestId,
+        userId: userId.substring(0, 8) + '...',
+        sessionId
+      });
 
       streamingQueries.delete(requestId);
-      res.end();
-    });
-
-    // Handle client disconnection
-    req.on('close', () => {
-      logger.info('🔌 STREAM: Client disconnected', { requestId, sessionId });
+      stream = insightStream.start(requestId, userId, signal =>
+        streamInsightEvents(queryData, userId, requestId, sessionId, signal)
+      );
+    }
 
-      if (streamingQueries.has(requestId)) {
-        const queryData = streamingQueries.get(requestId);
-        const responseTime = Date.now() - queryData.startTime;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
 
-        storeQueryMetrics(
-          userId,
-          queryData.query,
-          queryData.queryType,
-          false,
-          responseTime,
-          'Client disconnected'
-        ).catch(err => {
-          logger.error('🚨 METRICS: Error tracking disconnected query:', err);
-        });
-      }
+    res.write(': connected\n\n');
 
-      streamingQueries.delete(requestId);
-    });
+    insightStream.attach(stream, res, lastEventId);
   } catch (error) {
     logger.error('🚨 STREAM: Stream setup error', error);
     return res.status(500).json({
@@ -335,14 +252,86 @@ router.get('/stream', authMiddleware, (req, res) => {
 });
 
 /**
- * Process streaming insights
+ * @route DELETE /api/insights/stream/:requestId
+ * @desc Cancel a streaming request, aborting the upstream LLM call
+ * @access Private
+ */
+router.delete('/stream/:requestId', authMiddleware, (req, res) => {
+  const { requestId } = req.params;
+  const userId = req.auth.userId;
+  const stream = insightStream.get(requestId);
+  const prepared = streamingQueries.get(requestId);
+
+  if (!stream && !prepared) {
+    return res.status(404).json({
+      success: false,
+      message: 'Request not found'
+    });
+  }
+
+  if ((stream || prepared).userId !== userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'Unauthorized: User ID mismatch'
+    });
+  }
+
+  // Prepared but never started: nothing upstream to abort
+  if (!stream) {
+    streamingQueries.delete(requestId);
+  }
+
+  const cancelled = stream ? insightStream.cancel(stream) : true;
+
+  logger.info('🛑 STREAM: Cancel requested', { requestId, cancelled });
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      requestId,
+      cancelled
+    }
+  });
+});
+
+/**
+ * Events for a streaming insight: data source, then the LLM factory's
+ * provider, token, tool_call and done events. Metrics are stored when the
+ * stream finishes, fails or is cancelled.
  */
-async function processStreamingInsight(queryData, userId, requestId, sessionId, callback) {
+async function* streamInsightEvents(queryData, userId, requestId, sessionId, signal) {
   const integrationMode = queryData.integrationMode || 'plaid';
   const useConnectedData = queryData.useConnectedData || false;
   const useDirectData = queryData.useDirectData || false;
   const providedFinancialData = queryData.financialData;
   const provider = queryData.provider || null;
+  const startTime = queryData.startTime || Date.now();
+
+  if (sessionId) {
+    yield { type: 'session', sessionId };
+  }
+
+  // Check for harmful content
+  if (queryData.queryType === 'harmful') {
+    storeQueryMetrics(
+      userId,
+      queryData.query,
+      queryData.queryType,
+      false,
+      Date.now() - startTime,
+      'Harmful content blocked'
+    ).catch(err => {
+      logger.error('🚨 METRICS: Error storing harmful query:', err);
+    });
+
+    yield {
+      type: 'done',
+      insight: 'I cannot provide information about potentially harmful or illegal topics. Please ask about legitimate financial matters instead.',
+      queryType: queryData.queryType,
+      timestamp: new Date().toISOString()
+    };
+    return;
+  }
 
   logger.info('🔮 PROCESSING: Processing streaming insight', {
     requestId,
@@ -355,118 +344,120 @@ async function processStreamingInsight(queryData, userId, requestId, sessionId,
   });
 
   let userData;
+  let dataSource;
   try {
     if (useDirectData && providedFinancialData) {
       userData = providedFinancialData;
-      logger.info('📊 DATA: Using PROVIDED financial data for streaming (Direct mode)', {
-        requestId,
-        userId: userId.substring(0, 8) + '...',
-        sessionId,
-        dataSource: 'client-provided'
-      });
+      dataSource = 'client-provided';
     } else if (useConnectedData) {
       userData = await databaseService.getUserFinancialData(userId);
-      logger.info('🏦 DATA: Using REAL connected financial data for streaming (Plaid mode)', {
-        requestId,
-        userId: userId.substring(0, 8) + '...',
-        sessionId,
-        dataSource: 'plaid-connected'
-      });
-
-      callback('<using-real-data>', false);
+      dataSource = 'plaid-connected';
     } else {
       userData = await databaseService.getUserFinancialData(userId);
-      logger.info('📈 DATA: Using default financial data for streaming', {
-        requestId,
-        userId: userId.substring(0, 8) + '...',
-        sessionId,
-        dataSource: 'default-fallback'
-      });
+      dataSource = 'default-fallback';
     }
   } catch (error) {
     logger.warn('⚠️ DATA: Error getting user data', error);
 
     if (process.env.NODE_ENV !== 'production') {
       userData = databaseService.getMockUserData(userId);
-      logger.info('🎭 DATA: Using mock data for streaming (after data fetch error)', {
-        requestId,
-        userId: userId.substring(0, 8) + '...',
-        sessionId,
-        dataSource: 'mock-fallback'
-      });
+      dataSource = 'mock-fallback';
     } else {
       throw error;
     }
   }
 
+  logger.info('📊 DATA: Financial data for streaming', {
+    requestId,
+    userId: userId.substring(0, 8) + '...',
+    sessionId,
+    dataSource
+  });
+
+  yield { type: 'data_source', source: dataSource, usingRealData: dataSource === 'plaid-connected' };
+
   try {
-    const insight = await llmFactory.generateInsights({
+    const events = llmFactory.streamInsights({
       ...userData,
       query: queryData.query,
       queryType: queryData.queryType,
       requestId,
       sessionId,
+      conversationId: queryData.conversationId,
+      clientId: queryData.clientId,
       useConnectedData,
       useDirectData,
       integrationMode,
       userId
-    }, provider);
-
-    if (insight.llmProvider) {
-      logger.info(`🤖 LLM: Using ${insight.llmProvider} service for request ${requestId} with session ${sessionId}`);
-    }
-
-    if (insight.usingBackupService) {
-      logger.info(`🔄 LLM: Using backup service for request ${requestId} with session ${sessionId}`);
-    }
+    }, provider, { signal });
 
-    const content = insight.insight || '';
+    for await (const event of events) {
+      if (event.type === 'done') {
+        // Recorded with the streaming metrics so experiments see this answer
+        queryData.prompt = event.prompt || null;
 
-    if (content.length < 100) {
-      callback(content, true);
-    } else if (['greeting', 'joke'].includes(queryData.queryType)) {
-      const chunkSize = 5;
-      for (let i = 0; i < content.length; i += chunkSize) {
-        const chunk = content.slice(i, Math.min(i + chunkSize, content.length));
-        const isLast = i + chunkSize >= content.length;
-
-        if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, 30));
-        }
+        logger.info(`🤖 LLM: Streamed ${event.llmProvider} answer for request ${requestId}`, {
+          usingBackup: event.usingBackupService,
+          toolCalls: (event.toolCalls || []).length,
+          guardrails: event.guardrails ? event.guardrails.action : null
+        });
 
-        callback(chunk, isLast);
-      }
-    } else {
-      const paragraphs = content.split('\n\n').filter(p => p.trim());
-
-      if (paragraphs.length > 1) {
-        for (let i = 0; i < paragraphs.length; i++) {
-          if (i > 0) {
-            await new Promise(resolve => setTimeout(resolve, 150));
-          }
-
-          const isLast = i === paragraphs.length - 1;
-          callback(paragraphs[i] + (isLast ? '' : '\n\n'), isLast);
-        }
-      } else {
-        const sentences = content.match(/[^.!?]+[.!?]+/g) || [content];
-
-        for (let i = 0; i < sentences.length; i++) {
-          if (i > 0) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-          }
-
-          const isLast = i === sentences.length - 1;
-          callback(sentences[i], isLast);
-        }
+        storeQueryMetrics(
+          userId,
+          queryData.query,
+          queryData.queryType,
+          true,
+          Date.now() - startTime,
+          null,
+          queryData.prompt
+        ).catch(err => {
+          logger.error('🚨 METRICS: Error tracking successful streaming query:', err);
+        });
       }
+
+      yield event;
     }
   } catch (error) {
-    logger.error('🚨 PROCESSING: Error generating streaming insight', error);
+    storeQueryMetrics(
+      userId,
+      queryData.query,
+      queryData.queryType,
+      false,
+      Date.now() - startTime,
+      signal.aborted ? 'Stream cancelled' : (error.message || 'Streaming error'),
+      queryData.prompt
+    ).catch(err => {
+      logger.error('🚨 METRICS: Error tracking failed streaming query:', err);
+    });
+
     throw error;
   }
 }
 
+/**
+ * @route GET /api/insights/conversations
+ * @desc List the user's saved conversations
+ */
+router.get('/conversations', authMiddleware, conversationController.listConversations);
+
+/**
+ * @route GET /api/insights/conversations/:conversationId
+ * @desc Get a conversation with its turns; send its conversationId to /generate to resume it
+ */
+router.get('/conversations/:conversationId', authMiddleware, conversationController.getConversation);
+
+/**
+ * @route DELETE /api/insights/conversations/:conversationId
+ * @desc Delete a conversation
+ */
+router.delete('/conversations/:conversationId', authMiddleware, conversationController.deleteConversation);
+
+/**
+ * @route DELETE /api/insights/conversations
+ * @desc Delete all of the user's conversations
+ */
+router.delete('/conversations', authMiddleware, conversationController.deleteConversations);
+
 /**
  * @route DELETE /api/insights/session
  */
@@ -486,6 +477,11 @@ router.delete('/session', authMiddleware, async (req, res) => {
 
     const sessionManager = require('../services/session.service');
 
+    // Conversation history started from this session goes with it
+    if (userId) {
+      await conversationService.deleteConversations(userId, { sessionKey: sessionId });
+    }
+
     sessionManager.deleteSession(sessionId);
     const newSessionId = sessionManager.createSession(userId);
 
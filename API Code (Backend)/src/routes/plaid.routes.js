@@ -5,6 +5,9 @@ const { authMiddleware } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const plaidService = require('../services/plaid.service');
 const dataService = require('../services/data.service');
+const plaidReauth = require('../services/plaid-reauth.service');
+const plaidSync = require('../services/plaid-sync.service');
+const plaidProducts = require('../services/plaid-products.service');
 const userDataController = require('../controllers/UserDataController');
 
 /**
@@ -32,13 +35,19 @@ router.get('/status', authMiddleware, async (req, res) => {
       institution = userPlaidItems[0].institutionName;
     }
 
+    // Connections the user has to sign in to again through Link update mode
+    const userItems = await plaidReauth.listItems(req.auth.userId);
+    const reauthItems = userItems.filter(item => item.reauthRequired);
+
     // Simple health check
     const status = {
       available: true,
       environment: process.env.PLAID_ENV || 'sandbox',
       credentialsConfigured: hasPlaidCredentials,
       connected: isConnected,
-      institution: institution
+      institution: institution,
+      reauthRequired: reauthItems.length > 0,
+      reauthItems: reauthItems.map(item => ({ itemId: item.itemId, institutionName: item.institutionName }))
     };
 
     logger.info('Plaid service status check', {
@@ -177,6 +186,11 @@ router.post('/exchange-public-token', authMiddleware, async (req, res) => {
     await dataService.storeToken(userId, tokenExchange, metadata || {});
     logger.info(`Exchanged and stored Plaid token for user ${userId}`);
 
+    // Liabilities, investments and identity are optional products; fetch whichever the bank offers
+    plaidProducts.syncItem(tokenExchange.itemId).catch(error => {
+      logger.error(`Product sync after linking failed for item ${tokenExchange.itemId}: ${error.message}`);
+    });
+
     // Return success to the client
     return res.status(200).json({
       success: true,
@@ -331,12 +345,204 @@ router.get('/transactions', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/plaid/products
+ * @desc Get the user's liabilities, investment holdings and allocation, and which
+ *       products each bank connection offers
+ * @access Private
+ */
+router.get('/products', authMiddleware, async (req, res) => {
+  try {
+    const data = await plaidProducts.getUserProductData(req.auth.userId);
+
+    return res.status(200).json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting Plaid product data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get liabilities and investments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/plaid/products/refresh
+ * @desc Re-fetch liabilities, investments and identity from Plaid
+ * @access Private
+ */
+router.post('/products/refresh', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const { itemId, products } = req.body || {};
+    const options = Array.isArray(products) && products.length > 0 ? { products } : {};
+
+    let results;
+    if (itemId) {
+      const items = await plaidReauth.listItems(userId);
+      if (!items.some(item => item.itemId === itemId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bank connection not found'
+        });
+      }
+      results = [await plaidProducts.syncItem(itemId, options)];
+    } else {
+      results = await plaidProducts.syncUser(userId, options);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error refreshing Plaid products:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to refresh liabilities and investments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/plaid/identity
+ * @desc Get the account holder details the user's banks have on file
+ * @access Private
+ */
+router.get('/identity', authMiddleware, async (req, res) => {
+  try {
+    const identity = await plaidProducts.getUserIdentity(req.auth.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: identity
+    });
+  } catch (error) {
+    logger.error('Error getting Plaid identity:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get account holder details',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/plaid/reconnect
- * @desc Prepare for reconnection of bank accounts
+ * @desc Create update-mode Link tokens for the connections that need re-authentication
+ *       (or for body.itemId); finish each with POST /items/:itemId/reauth-complete
  * @access Private
  */
-router.post('/reconnect', authMiddleware, userDataController.reconnectBankAccounts);
+router.post('/reconnect', authMiddleware, async (req, res) => {
+  try {
+    const items = await plaidReauth.createReconnectLinkTokens(req.auth.userId, req.body.itemId || null);
+
+    return res.status(200).json({
+      success: true,
+      message: items.length > 0 ? 'Ready for bank reconnection' : 'No bank connections need reconnecting',
+      data: { items }
+    });
+  } catch (error) {
+    logger.error('Error preparing for bank reconnection:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to prepare bank reconnection',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/plaid/items
+ * @desc List the user's bank connections and whether they need re-authentication
+ * @access Private
+ */
+router.get('/items', authMiddleware, async (req, res) => {
+  try {
+    const items = await plaidReauth.listItems(req.auth.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    logger.error('Error listing Plaid items:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to list bank connections',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/plaid/items/:itemId/link-token
+ * @desc Create a Link token in update mode to re-authenticate an existing item
+ * @access Private
+ */
+router.post('/items/:itemId/link-token', authMiddleware, async (req, res) => {
+  try {
+    const linkToken = await plaidReauth.createUpdateLinkToken(req.auth.userId, req.params.itemId);
+
+    return res.status(200).json({
+      success: true,
+      data: linkToken
+    });
+  } catch (error) {
+    logger.error('Error creating update-mode link token:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create link token',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/plaid/items/:itemId/reauth-complete
+ * @desc Mark an item as restored after Link update mode succeeded
+ * @access Private
+ */
+router.post('/items/:itemId/reauth-complete', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.auth;
+    const plaidItem = await plaidReauth.completeReauth(userId, req.params.itemId);
+
+    // Catch up on whatever changed while the login was broken
+    if (plaidSync.enabled) {
+      plaidSync.syncItem(plaidItem).catch(error => {
+        logger.error(`Sync after re-authentication failed for item ${plaidItem.itemId}: ${error.message}`);
+      });
+    }
+    plaidProducts.syncItem(plaidItem, { skipUnavailable: true }).catch(error => {
+      logger.error(`Product sync after re-authentication failed for item ${plaidItem.itemId}: ${error.message}`);
+    });
+
+    logger.info(`User ${userId} re-authenticated Plaid item ${plaidItem.itemId}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Bank account reconnected successfully',
+      data: {
+        itemId: plaidItem.itemId,
+        institutionName: plaidItem.institutionName,
+        status: plaidItem.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error completing Plaid re-authentication:', error);
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to reconnect bank account',
+      error: error.message
+    });
+  }
+});
 
 /**
  * @route DELETE /api/plaid/items/:itemId
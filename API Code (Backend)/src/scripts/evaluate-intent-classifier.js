@@ -0,0 +1,149 @@
+// src/scripts/evaluate-intent-classifier.js
+// Reports intent classifier accuracy on a labeled fixture file.
+//
+// Usage: node src/scripts/evaluate-intent-classifier.js [fixture.json] [--model name] [--min-accuracy 0.85] [--verbose]
+// Exits with 1 when top-intent accuracy is below --min-accuracy.
+
+const fs = require('fs');
+const path = require('path');
+const intentClassifier = require('../services/intent-classifier.service');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../tests/fixtures/intent-eval.json');
+
+function parseArgs(argv) {
+	const options = { fixture: DEFAULT_FIXTURE, model: null, minAccuracy: 0, verbose: false };
+
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i] === '--model') options.model = argv[++i];
+		else if (argv[i] === '--min-accuracy') options.minAccuracy = parseFloat(argv[++i]);
+		else if (argv[i] === '--verbose') options.verbose = true;
+		else options.fixture = path.resolve(argv[i]);
+	}
+	return options;
+}
+
+function percent(value) {
+	return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Compare expected entities (merchant/category IDs, amount values, period
+ * dates) with what was extracted. Returns the names of mismatched fields.
+ */
+function entityMismatches(expected, actual) {
+	const mismatches = [];
+	const sameSet = (a, b) => a.length === b.length && a.every(value => b.includes(value));
+
+	if (expected.merchants && !sameSet(expected.merchants, actual.merchants.map(m => m.id))) mismatches.push('merchants');
+	if (expected.categories && !sameSet(expected.categories, actual.categories.map(c => c.id))) mismatches.push('categories');
+	if (expected.amounts && !sameSet(expected.amounts, actual.amounts.map(a => a.value))) mismatches.push('amounts');
+	if (expected.timePeriod && (!actual.timePeriod ||
+		actual.timePeriod.start !== expected.timePeriod.start ||
+		actual.timePeriod.end !== expected.timePeriod.end)) {
+		mismatches.push('timePeriod');
+	}
+	return mismatches;
+}
+
+function evaluate(options) {
+	const fixture = JSON.parse(fs.readFileSync(options.fixture, 'utf8'));
+	const now = fixture.now ? new Date(fixture.now) : new Date();
+
+	if (options.model) {
+		intentClassifier.configure({ model: options.model });
+	}
+
+	const perLabel = new Map();
+	const label = name => {
+		if (!perLabel.has(name)) perLabel.set(name, { tp: 0, fp: 0, fn: 0 });
+		return perLabel.get(name);
+	};
+
+	let topCorrect = 0;
+	let exactSets = 0;
+	let entityCases = 0;
+	let entityCorrect = 0;
+	const failures = [];
+
+	fixture.cases.forEach(testCase => {
+		const result = intentClassifier.classify(testCase.query, { now });
+		const predicted = result.intents.map(intent => intent.label);
+		if (predicted.length === 0) predicted.push(result.intent);
+
+		const topOk = testCase.labels.includes(result.intent);
+		if (topOk) topCorrect++;
+
+		const exact = predicted.length === testCase.labels.length && predicted.every(name => testCase.labels.includes(name));
+		if (exact) exactSets++;
+
+		predicted.forEach(name => {
+			if (testCase.labels.includes(name)) label(name).tp++;
+			else label(name).fp++;
+		});
+		testCase.labels.filter(name => !predicted.includes(name)).forEach(name => label(name).fn++);
+
+		let mismatches = [];
+		if (testCase.entities) {
+			entityCases++;
+			mismatches = entityMismatches(testCase.entities, result.entities);
+			if (mismatches.length === 0) entityCorrect++;
+		}
+
+		if (!topOk || mismatches.length > 0 || (options.verbose && !exact)) {
+			failures.push({
+				query: testCase.query,
+				expected: testCase.labels,
+				predicted: result.intents,
+				entities: mismatches.length > 0 ? { mismatched: mismatches, extracted: result.entities } : undefined
+			});
+		}
+	});
+
+	const total = fixture.cases.length;
+	const accuracy = topCorrect / total;
+
+	console.log(`Intent classifier: ${intentClassifier.modelName}`);
+	console.log(`Fixture: ${path.relative(process.cwd(), options.fixture)} (${total} queries)\n`);
+	console.log(`Top-intent accuracy:   ${percent(accuracy)} (${topCorrect}/${total})`);
+	console.log(`Exact label-set match: ${percent(exactSets / total)} (${exactSets}/${total})`);
+	if (entityCases > 0) {
+		console.log(`Entity extraction:     ${percent(entityCorrect / entityCases)} (${entityCorrect}/${entityCases})`);
+	}
+
+	console.log('\nLabel               Precision  Recall     F1');
+	Array.from(perLabel.entries())
+		.sort(([a], [b]) => a.localeCompare(b))
+		.forEach(([name, counts]) => {
+			const precision = counts.tp / ((counts.tp + counts.fp) || 1);
+			const recall = counts.tp / ((counts.tp + counts.fn) || 1);
+			const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+			console.log(`${name.padEnd(20)}${percent(precision).padStart(9)}${percent(recall).padStart(9)}${percent(f1).padStart(9)}`);
+		});
+
+	if (failures.length > 0) {
+		console.log(`\n${options.verbose ? 'Misses and partial matches' : 'Misses'}:`);
+		failures.forEach(failure => {
+			const predicted = failure.predicted.map(intent => `${intent.label} (${intent.confidence})`).join(', ') || 'none';
+			console.log(`- "${failure.query}"\n    expected: ${failure.expected.join(', ')}\n    got:      ${predicted}`);
+			if (failure.entities) {
+				console.log(`    entities: ${failure.entities.mismatched.join(', ')} -> ${JSON.stringify(failure.entities.extracted)}`);
+			}
+		});
+	}
+
+	return accuracy;
+}
+
+try {
+	const options = parseArgs(process.argv.slice(2));
+	const accuracy = evaluate(options);
+
+	if (accuracy < options.minAccuracy) {
+		console.error(`\nAccuracy ${percent(accuracy)} is below the required ${percent(options.minAccuracy)}`);
+		process.exit(1);
+	}
+	process.exit(0);
+} catch (error) {
+	console.error('Intent evaluation failed:', error.message);
+	process.exit(1);
+}
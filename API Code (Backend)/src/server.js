@@ -178,6 +178,36 @@ app.use((req, res, next) => {
   }
 })();
 
+// Initialize report job worker (resumes jobs left unfinished by a restart)
+const reportJobService = require('./services/report-job.service');
+(async () => {
+  try {
+    await reportJobService.initialize();
+  } catch (error) {
+    logger.error('Error initializing report job service:', error);
+  }
+})();
+
+// Initialize webhook delivery retries for report callbacks
+const webhookDeliveryService = require('./services/webhook-delivery.service');
+(async () => {
+  try {
+    await webhookDeliveryService.initialize();
+  } catch (error) {
+    logger.error('Error initializing webhook delivery service:', error);
+  }
+})();
+
+// Initialize retries for inbound Plaid webhook events
+const plaidWebhookService = require('./services/plaid-webhook.service');
+(async () => {
+  try {
+    await plaidWebhookService.initialize();
+  } catch (error) {
+    logger.error('Error initializing Plaid webhook service:', error);
+  }
+})();
+
 // Initialize email notification service
 const emailNotificationService = require('./services/email.notification.service');
 (async () => {
@@ -357,6 +387,26 @@ const { initializeJobs } = require('./jobs/job-scheduler');
 initializeJobs();
 
 // Start server
+// Initialize bulk ingestion worker (resumes uploads left unfinished by a restart)
+const bulkIngestionService = require('./services/bulk-ingestion.service');
+(async () => {
+  try {
+    await bulkIngestionService.initialize();
+  } catch (error) {
+    logger.error('Error initializing bulk ingestion service:', error);
+  }
+})();
+
+// Initialize conversation retention cleanup
+const conversationService = require('./services/conversation.service');
+(async () => {
+  try {
+    await conversationService.initialize();
+  } catch (error) {
+    logger.error('Error initializing conversation service:', error);
+  }
+})();
+
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
   logger.info('Trust proxy setting:', app.get('trust proxy'));
@@ -365,6 +415,11 @@ const server = app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  reportJobService.stop();
+  webhookDeliveryService.stop();
+  plaidWebhookService.stop();
+  bulkIngestionService.stop();
+  conversationService.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -7,6 +7,9 @@ const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
 
 const AccountDataService = require('./account-data.service');
+const reportCache = require('../utils/report-cache');
+const merchantNormalization = require('./merchant-normalization.service');
+const categorization = require('./categorization.service');
 
 class BankUserService {
 	/**
@@ -113,6 +116,11 @@ class BankUserService {
 			}
 
 			logger.info(`Successfully stored ${storedAccounts.length} accounts for bank user ${bankUserId}`);
+
+			if (storedAccounts.length > 0) {
+				await this._invalidateReportCache(bankUserId);
+			}
+
 			return storedAccounts;
 		} catch (error) {
 			logger.error(`Error storing accounts: ${error.message}`, { clientId, bankUserId });
@@ -137,8 +145,14 @@ class BankUserService {
 
 			const storedTransactions = [];
 
+			// Resolve canonical merchants, then map categories into the client taxonomy
+			const normalizedTransactions = await categorization.categorizeTransactions(
+				await merchantNormalization.normalizeTransactions(transactionsData, clientId),
+				clientId
+			);
+
 			// Process each transaction
-			for (const txData of transactionsData) {
+			for (const txData of normalizedTransactions) {
 				// Validate required fields
 				if (!txData.transactionId || !txData.accountId) {
 					logger.warn('Transaction missing required fields, skipping', txData);
@@ -158,10 +172,15 @@ class BankUserService {
 						description: txData.description || 'Unknown Transaction',
 						amount: txData.amount || 0,
 						category: txData.category,
+						categoryId: txData.categoryId,
+						sourceCategory: txData.sourceCategory,
+						categoryRuleId: txData.categoryRuleId,
 						type: txData.type || (txData.amount >= 0 ? 'income' : 'expense'),
 						pending: txData.pending || false,
 						merchantName: txData.merchantName,
-						metadata: txData.metadata || {}
+						canonicalMerchantId: txData.canonicalMerchantId,
+						canonicalMerchantName: txData.canonicalMerchantName,
+						metadata: this._transactionMetadata(txData)
 					}
 				});
 
@@ -172,15 +191,20 @@ class BankUserService {
 					transaction.description = txData.description || transaction.description;
 					transaction.amount = txData.amount !== undefined ? txData.amount : transaction.amount;
 					transaction.category = txData.category || transaction.category;
+					transaction.categoryId = txData.categoryId || transaction.categoryId;
+					transaction.sourceCategory = txData.sourceCategory || transaction.sourceCategory;
+					transaction.categoryRuleId = txData.categoryRuleId !== undefined ? txData.categoryRuleId : transaction.categoryRuleId;
 					transaction.type = txData.type || transaction.type;
 					transaction.pending = false;
 					transaction.merchantName = txData.merchantName || transaction.merchantName;
+					transaction.canonicalMerchantId = txData.canonicalMerchantId || transaction.canonicalMerchantId;
+					transaction.canonicalMerchantName = txData.canonicalMerchantName || transaction.canonicalMerchantName;
 
 					// Merge metadata if provided
-					if (txData.metadata) {
+					if (txData.metadata || txData.mcc) {
 						transaction.metadata = {
 							...(transaction.metadata || {}),
-							...txData.metadata
+							...this._transactionMetadata(txData)
 						};
 					}
 
@@ -191,6 +215,11 @@ class BankUserService {
 			}
 
 			logger.info(`Successfully stored ${storedTransactions.length} transactions for bank user ${bankUserId}`);
+
+			if (storedTransactions.length > 0) {
+				await this._invalidateReportCache(bankUserId);
+			}
+
 			return storedTransactions;
 		} catch (error) {
 			logger.error(`Error storing transactions: ${error.message}`, { clientId, bankUserId });
@@ -287,6 +316,30 @@ class BankUserService {
 			throw error;
 		}
 	}
+
+	/**
+	 * Metadata to persist with a transaction; keeps the MCC so it can be recategorized later
+	 * @private
+	 */
+	_transactionMetadata(txData) {
+		const metadata = { ...(txData.metadata || {}) };
+		if (txData.mcc) metadata.mcc = String(txData.mcc);
+		return metadata;
+	}
+
+	/**
+	 * Invalidate cached Banking Command reports after a user's data changed
+	 * @param {string} bankUserId - Bank user ID
+	 * @private
+	 */
+	async _invalidateReportCache(bankUserId) {
+		try {
+			await reportCache.invalidateUser(bankUserId);
+		} catch (error) {
+			// Stale cache entries expire on their own; never fail the write
+			logger.warn(`Failed to invalidate report cache for bank user ${bankUserId}: ${error.message}`);
+		}
+	}
 }
 
 module.exports = new BankUserService();
\ No newline at end of file
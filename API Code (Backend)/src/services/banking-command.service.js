@@ -14,7 +14,23 @@ const logger = require('../utils/logger');
 const { Transaction } = require('../models');
 const { Account } = require('../models');
 const { BankUser } = require('../models');
+const { Client } = require('../models');
 const { Op } = require('sequelize');
+const recurrenceDetector = require('./recurrence-detector.service');
+const cashFlowForecast = require('./cash-flow-forecast.service');
+const merchantNormalization = require('./merchant-normalization.service');
+const categorization = require('./categorization.service');
+const rulesEngine = require('./rules-engine.service');
+const statementParser = require('../utils/statement-parser');
+const localLlmService = require('./local-llm.service');
+const llmUsage = require('./llm-usage.service');
+const promptRegistry = require('./prompt-registry.service');
+const guardrails = require('./guardrail.service');
+const plaidProducts = require('./plaid-products.service');
+const { formatProductContext } = require('../utils/plaid-product-context');
+
+// System instruction for report sections unless a registry template sets one
+const SECTION_SYSTEM_INSTRUCTION = `You are a banking intelligence analysis system. Provide clear, concise financial insights based on transaction and account data. CRITICALLY IMPORTANT: When provided with specific merchants, categories, or other entities in the prompt, you MUST reference those EXACT entities in your analysis rather than using generic examples. NEVER use generic placeholder merchants or categories. ALWAYS use the specific merchant names, transaction categories, and numerical data provided in the prompt. Be informative and data-driven, focusing on patterns, risks, and actionable recommendations.`;
 
 /**
  * Rate-limited queue system for Gemini API calls
@@ -204,7 +220,11 @@ class BankingCommandService {
 		this.apiKey = process.env.GEMINI_API_KEY;
 		this.modelName = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
 		this.client = null;
-		this.initialize();
+		// "local" writes report sections with the offline provider (no network)
+		this.provider = process.env.BANKING_COMMAND_LLM_PROVIDER || 'gemini';
+		if (this.provider !== 'local') {
+			this.initialize();
+		}
 		this.geminiQueue = new GeminiRateLimitedQueue();
 	}
 
@@ -241,7 +261,8 @@ class BankingCommandService {
 			requestId = `cmd-${Date.now()}`,
 			includeDetailed = true,
 			format = 'json',
-			statementData = null
+			statementData = null,
+			clientId = null
 		} = params;
 
 		try {
@@ -253,16 +274,22 @@ class BankingCommandService {
 				hasStatementData: !!statementData
 			});
 
+			// Merchant overrides are applied synchronously while sections are built
+			await merchantNormalization.loadRules();
+
 			// Step 1: Collect financial data
 			let financialData = statementData
-				? this._processStatementData(statementData)
+				? this._processStatementData(await this.prepareStatementData(statementData))
 				: await this._collectFinancialData(userId, timeframe);
 
 			// Ensure all numeric fields are normalized
 			financialData = this._normalizeNumericFields(financialData);
 
 			// Step 2: Generate report sections
-			const reportSections = await this._generateReportSections(financialData, requestId, includeDetailed);
+			const reportSections = await llmUsage.runWithContext(
+				{ operation: 'report_section', userId, clientId, requestId },
+				() => this._generateReportSections(financialData, requestId, includeDetailed)
+			);
 
 			// Step 3: Compile final report
 			const report = this._compileReport(reportSections, financialData, format);
@@ -286,6 +313,58 @@ class BankingCommandService {
 		}
 	}
 
+	/**
+	 * Turn a raw statement file (OFX/QFX, CSV or CAMT.053) into structured statement data.
+	 * Structured statementData is returned unchanged.
+	 * @param {string|Object} statementData - Raw file content, { content, format, filename, encoding } or structured data
+	 * @param {Object} options
+	 * @param {string} options.clientId - Client whose taxonomy is used to categorize transactions
+	 * @returns {Promise<Object>} - { accounts, transactions, dateRange, timeframe, statementImport }
+	 */
+	async prepareStatementData(statementData, { clientId = null } = {}) {
+		if (!statementParser.isRawStatement(statementData)) {
+			return statementData;
+		}
+
+		const file = typeof statementData === 'string' ? { content: statementData } : statementData;
+		const content = file.encoding === 'base64'
+			? Buffer.from(file.content, 'base64').toString('utf8')
+			: file.content;
+
+		const parsed = statementParser.parseStatement(content, {
+			format: file.format,
+			filename: file.filename
+		});
+
+		// Statement files carry no categories we can rely on; classify like ingested transactions
+		const transactions = await categorization.categorizeTransactions(
+			await merchantNormalization.normalizeTransactions(parsed.transactions, clientId),
+			clientId
+		);
+
+		logger.info('Parsed statement file', {
+			format: parsed.format,
+			accounts: parsed.accounts.length,
+			transactions: transactions.length,
+			rejectedRows: parsed.parseErrors.length
+		});
+
+		return {
+			accounts: parsed.accounts,
+			transactions,
+			dateRange: parsed.dateRange,
+			timeframe: parsed.timeframe,
+			statementImport: {
+				format: parsed.format,
+				accountCount: parsed.accounts.length,
+				transactionCount: transactions.length,
+				rejectedRows: parsed.parseErrors.length,
+				parseErrors: parsed.parseErrors,
+				warnings: parsed.warnings
+			}
+		};
+	}
+
 	/**
 	 * Process uploaded statement data
 	 * @param {Object} statementData - Statement data
@@ -679,6 +758,7 @@ class BankingCommandService {
 				user: bankUser,
 				accounts,
 				transactions: finalTransactions,
+				...(await this._collectPlaidProducts(bankUser)),
 				dateRange: { startDate, endDate },
 				timeframe
 			};
@@ -714,7 +794,8 @@ class BankingCommandService {
 			const batchPromises = batch.map(async (task) => {
 				try {
 					const startTime = Date.now();
-					const result = await task.generator();
+					// Tokens used by the section are recorded against it
+					const result = await llmUsage.runWithContext({ reportSection: task.key }, task.generator);
 					const duration = Date.now() - startTime;
 
 					logger.info(`Section ${task.key} completed`, { duration });
@@ -758,14 +839,47 @@ class BankingCommandService {
 
 	/**
 	 * Generate content using the rate-limited queue
-	 * @param {string} prompt - The prompt to send to Gemini
+	 * @param {string} prompt - The built-in prompt to send to Gemini
 	 * @param {string} requestId - Request ID for logging
 	 * @param {string} queryType - Type of query for logging
+	 * @param {Object} [template] - Registry prompt that may replace the built-in one ({ name, variables })
 	 * @returns {Promise<string>} - Generated text
 	 * @private
 	 */
-	async _generateContent(prompt, requestId, queryType) {
-		return await this._generateContentDirect(prompt, requestId, queryType);
+	async _generateContent(prompt, requestId, queryType, template = null) {
+		if (!template) {
+			return await this._generateSelectedContent({ prompt }, requestId, queryType);
+		}
+
+		const context = llmUsage.getContext();
+		const selected = await promptRegistry.select(template.name, {
+			queryType,
+			assignmentKey: context.userId || requestId,
+			variables: template.variables,
+			builtin: { prompt }
+		});
+
+		// Tokens are recorded against the prompt version that produced the section
+		return await llmUsage.runWithContext(
+			{ promptName: selected.info.name, promptVersion: selected.info.version, experimentId: selected.info.experimentId },
+			() => this._generateSelectedContent(selected, requestId, queryType)
+		);
+	}
+
+	/**
+	 * @private
+	 */
+	async _generateSelectedContent(selected, requestId, queryType) {
+		if (this.provider === 'local') {
+			logger.info('Generating content with local LLM service', { requestId, queryType });
+			return await localLlmService.generateText({
+				prompt: selected.prompt,
+				title: `${queryType.charAt(0).toUpperCase()}${queryType.slice(1)} analysis`,
+				maxTokens: selected.maxTokens || (queryType === 'education' ? 1500 : 1000)
+			});
+		}
+
+		return await this._generateContentDirect(selected.prompt, requestId, queryType, selected);
 	}
 
 	/**
@@ -786,21 +900,38 @@ class BankingCommandService {
 			riskCompliance: 'Risk, Churn & Compliance',
 			cadenceRoutines: 'Cadence & Routines',
 			recurringSubscriptions: 'Recurring & Subscriptions',
+			cashFlowForecast: 'Cash-Flow Forecast',
 			travelEvents: 'Travel & Events',
 			backendRules: 'Appendix — Backend Rules, Triggers & Scoring'
 		};
 		return titles[sectionKey] || 'Analysis Section';
 	}
 
+	/**
+	 * Token counts from a generateContent response. Thinking tokens are billed
+	 * as output.
+	 * @private
+	 */
+	_extractUsage(response) {
+		const usage = (response && (response.usageMetadata || (response.response && response.response.usageMetadata))) || {};
+		return {
+			provider: 'gemini',
+			model: this.modelName,
+			promptTokens: usage.promptTokenCount || 0,
+			completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+		};
+	}
+
 	/**
 	 * Generate content using Google's Gemini API
 	 * @param {string} prompt - The prompt to send to Gemini
 	 * @param {string} requestId - Request ID for logging
 	 * @param {string} queryType - Type of query for logging
+	 * @param {Object} [overrides] - system, temperature and maxTokens from a registry template
 	 * @returns {Promise<string>} - Generated text
 	 * @private
 	 */
-	async _generateContentDirect(prompt, requestId, queryType) {
+	async _generateContentDirect(prompt, requestId, queryType, overrides = {}) {
 		if (!this.client) {
 			this.initialize();
 			if (!this.client) {
@@ -837,6 +968,13 @@ class BankingCommandService {
 				generationConfig.temperature = 0.1; // Reduced for transaction analysis
 			}
 
+			if (overrides.temperature !== undefined && overrides.temperature !== null) {
+				generationConfig.temperature = overrides.temperature;
+			}
+			if (overrides.maxTokens) {
+				generationConfig.maxOutputTokens = overrides.maxTokens;
+			}
+
 			// Define the grounding tool
 			const groundingTool = {
 				googleSearch: {}
@@ -848,7 +986,7 @@ class BankingCommandService {
 			};
 
 			// Enhanced system instruction that emphasizes using specific entity names
-			const enhancedSystemInstruction = `You are a banking intelligence analysis system. Provide clear, concise financial insights based on transaction and account data. CRITICALLY IMPORTANT: When provided with specific merchants, categories, or other entities in the prompt, you MUST reference those EXACT entities in your analysis rather than using generic examples. NEVER use generic placeholder merchants or categories. ALWAYS use the specific merchant names, transaction categories, and numerical data provided in the prompt. Be informative and data-driven, focusing on patterns, risks, and actionable recommendations.`;
+			const enhancedSystemInstruction = overrides.system || SECTION_SYSTEM_INSTRUCTION;
 
 			// Generate content using the correct API structure
 			const response = await this.client.models.generateContent({
@@ -879,6 +1017,8 @@ class BankingCommandService {
 				generatedText = response.response.candidates[0].content.parts[0].text || '';
 			}
 
+			llmUsage.record(this._extractUsage(response), { queryType });
+
 			if (generatedText) {
 				logger.info('Google GenAI response received', {
 					requestId,
@@ -954,6 +1094,11 @@ class BankingCommandService {
 					priority: 2,
 					generator: () => this._generateRecurringSubscriptions(financialData, financialContext, requestId)
 				},
+				{
+					key: 'cashFlowForecast',
+					priority: 2,
+					generator: () => this._generateCashFlowForecast(financialData, financialContext, requestId)
+				},
 				{
 					key: 'travelEvents',
 					priority: 2,
@@ -988,6 +1133,8 @@ class BankingCommandService {
 				requestId
 			});
 
+			this._applySectionGuardrails(sections, financialData, requestId);
+
 			return sections;
 
 		} catch (error) {
@@ -1000,6 +1147,48 @@ class BankingCommandService {
 		}
 	}
 
+	/**
+	 * Run each section's narrative through the guardrail pipeline. Figures are
+	 * checked against the report data and the section's own computed metrics.
+	 * @param {Object} sections - Generated sections, updated in place
+	 * @param {Object} financialData - Financial data
+	 * @param {string} requestId - Request ID
+	 * @private
+	 */
+	_applySectionGuardrails(sections, financialData, requestId) {
+		const attribution = llmUsage.getContext();
+
+		Object.entries(sections).forEach(([key, section]) => {
+			if (!section || typeof section.content !== 'string') return;
+
+			const { content, ...figures } = section;
+			const { text, verdict } = guardrails.check(content, {
+				accounts: financialData.accounts,
+				transactions: financialData.transactions,
+				figures
+			});
+			if (!verdict) return;
+
+			section.content = text;
+			section.guardrails = verdict;
+
+			if (verdict.action !== 'pass') {
+				logger.warn(`Guardrails ${verdict.action} report section ${key}`, { requestId });
+			}
+
+			// record() never rejects
+			guardrails.record(verdict, {
+				operation: 'report_section',
+				reportSection: key,
+				queryType: 'banking',
+				provider: this.provider,
+				userId: attribution.userId,
+				clientId: attribution.clientId,
+				requestId: attribution.requestId || requestId
+			});
+		});
+	}
+
 	/**
 	 * Generate Account Summary section
 	 * @param {Object} data - Financial data
@@ -1080,7 +1269,18 @@ class BankingCommandService {
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-account-summary`,
-				'banking'
+				'banking',
+				{
+					name: 'banking_command.account_summary',
+					variables: {
+						totalBalance: totalBalance.toFixed(2),
+						income: income.toFixed(2),
+						expenses: expenses.toFixed(2),
+						netChange: netChange.toFixed(2),
+						daysInPeriod,
+						averageDailySpend: averageDailySpend.toFixed(2)
+					}
+				}
 			);
 
 			// Return formatted section
@@ -1250,7 +1450,14 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				const content = await this._generateContent(
 					prompt,
 					`${requestId}-behavior`,
-					'spending'
+					'spending',
+					{
+						name: 'banking_command.behavior_preferences',
+						variables: {
+							transactions: allTransactionDetails,
+							categories: realCategoriesText
+						}
+					}
 				);
 
 				return {
@@ -1300,7 +1507,7 @@ Tone should be analytical, data-driven, and geared toward financial professional
 		const allTransactionDetails = transactions.slice(0, 10).map(tx => {
 			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
 			const type = amount > 0 ? 'Income' : amount < 0 ? 'Expense' : 'Transfer';
-			return `  - ${tx.merchantName || 'N/A'}: $${Math.abs(amount).toFixed(2)}, Type: ${type}, Category: ${tx.category || 'Uncategorized'}, Date: ${new Date(tx.date).toLocaleDateString()}`;
+			return `  - ${tx.canonicalMerchantName || tx.merchantName || 'N/A'}: $${Math.abs(amount).toFixed(2)}, Type: ${type}, Category: ${tx.category || 'Uncategorized'}, Date: ${new Date(tx.date).toLocaleDateString()}`;
 		}).join('\n');
 
 		// Get only expense transactions
@@ -1325,7 +1532,7 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const realMerchants = {};
 
 			expenseTransactions.forEach(tx => {
-				const merchant = tx.merchantName || 'Unknown';
+				const merchant = this._merchantFor(tx);
 				const amount = Math.abs(typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0));
 
 				if (!realMerchants[merchant]) {
@@ -1395,7 +1602,14 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				const content = await this._generateContent(
 					prompt,
 					`${requestId}-merchants`,
-					'transactions'
+					'transactions',
+					{
+						name: 'banking_command.merchant_analysis',
+						variables: {
+							transactions: allTransactionDetails,
+							merchants: realMerchantsText
+						}
+					}
 				);
 
 				return {
@@ -1544,7 +1758,16 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-risk`,
-				'risk'
+				'risk',
+				{
+					name: 'banking_command.risk_compliance',
+					variables: {
+						totalBalance: totalBalance.toFixed(2),
+						averageDailySpend: averageDailySpend.toFixed(2),
+						daysOfRunway: daysOfRunway.toFixed(1),
+						risks: risksText
+					}
+				}
 			);
 
 			// Return formatted section
@@ -1672,7 +1895,18 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-cadence`,
-				'spending'
+				'spending',
+				{
+					name: 'banking_command.cadence_routines',
+					variables: {
+						cadence: cadenceText,
+						weekdayPercent: weekdayPercent.toFixed(1),
+						weekendPercent: weekendPercent.toFixed(1),
+						morningPercent: morningPercent.toFixed(1),
+						afternoonPercent: afternoonPercent.toFixed(1),
+						eveningPercent: eveningPercent.toFixed(1)
+					}
+				}
 			);
 
 			// Return formatted section
@@ -1719,84 +1953,56 @@ Tone should be analytical, data-driven, and geared toward financial professional
 	 * @private
 	 */
 	async _generateRecurringSubscriptions(data, financialContext, requestId) {
-		// Find potential subscriptions and recurring payments
+		// Find subscriptions, bills and income streams with the recurrence detector
 		const transactions = data.transactions || [];
+		const { recurring, summary } = await this._detectRecurring(data);
 
 		// Skip if not enough transactions
-		if (transactions.length < 5) {
+		if (recurring.length === 0 && transactions.length < 5) {
 			return {
 				title: 'Recurring & Subscriptions',
 				content: 'Insufficient transaction data to identify recurring patterns.',
-				subscriptions: []
+				subscriptions: [],
+				recurring: [],
+				recurringSummary: summary
 			};
 		}
 
-		// Common subscription services
-		const subscriptionKeywords = [
-			'NETFLIX', 'SPOTIFY', 'APPLE', 'AMAZON', 'PRIME', 'HBO', 'DISNEY',
-			'HULU', 'YOUTUBE', 'SUBSCRIPTION', 'MONTHLY', 'ANNUAL'
-		];
-
-		// Find potential subscriptions
-		const subscriptions = [];
-		const merchantMap = new Map();
-
-		// Group transactions by merchant
-		transactions.forEach(tx => {
-			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
-			if (amount < 0) { // Only expenses
-				const merchant = tx.merchantName || this._extractMerchantName(tx.description) || 'Unknown';
-
-				if (!merchantMap.has(merchant)) {
-					merchantMap.set(merchant, []);
-				}
-
-				merchantMap.get(merchant).push({
-					date: new Date(tx.date),
-					amount: Math.abs(amount)
-				});
-			}
-		});
-
-		// Analyze each merchant's transactions
-		merchantMap.forEach((txList, merchant) => {
-			// Skip if fewer than 2 transactions
-			if (txList.length < 2) return;
-
-			// Sort by date
-			txList.sort((a, b) => a.date - b.date);
-
-			// Check if amounts are consistent (subscription-like)
-			const amounts = txList.map(t => t.amount);
-			const avgAmount = amounts.reduce((sum, a) => sum + a, 0) / amounts.length;
-			const maxDeviation = Math.max(...amounts.map(a => Math.abs(a - avgAmount) / avgAmount));
-
-			// Check if it's a known subscription service
-			const isKnownSubscription = subscriptionKeywords.some(keyword =>
-				merchant.toUpperCase().includes(keyword)
-			);
-
-			// If amounts are consistent (less than 10% variation) or it's a known service
-			if (maxDeviation < 0.1 || isKnownSubscription) {
-				subscriptions.push({
-					merchant,
-					averageAmount: avgAmount,
-					frequency: txList.length > 2 ? 'monthly' : 'periodic',
-					lastDate: txList[txList.length - 1].date,
-					count: txList.length,
-					type: maxDeviation < 0.1 ? 'subscription' : 'recurring'
-				});
-			}
-		});
+		const subscriptions = recurring
+			.filter(series => series.direction === 'outflow')
+			.map(series => ({
+				merchant: series.merchant,
+				averageAmount: series.averageAmount,
+				frequency: series.cadence,
+				lastDate: series.lastDate,
+				count: series.occurrences,
+				type: series.type,
+				nextExpectedDate: series.nextExpectedDate,
+				nextExpectedAmount: series.nextExpectedAmount,
+				monthlyAmount: series.monthlyAmount,
+				status: series.status,
+				priceChange: series.priceChange,
+				confidence: series.confidence
+			}));
 
 		// Sort subscriptions by average amount
 		subscriptions.sort((a, b) => b.averageAmount - a.averageAmount);
 
 		// Format subscriptions for prompt
 		const subscriptionsText = subscriptions.length > 0
-			? subscriptions.map(s => `- ${s.merchant} (${s.frequency}, avg $${s.averageAmount.toFixed(2)})`).join('\n')
+			? subscriptions.map(s => {
+				let line = `- ${s.merchant} (${s.type}, ${s.frequency}, avg $${s.averageAmount.toFixed(2)}, next ~${s.nextExpectedDate.substring(0, 10)} for $${s.nextExpectedAmount.toFixed(2)})`;
+				if (s.priceChange) line += ` PRICE INCREASE ${s.priceChange.changePercent}% from $${s.priceChange.previousAmount.toFixed(2)}`;
+				if (s.status === 'missed') line += ' MISSED EXPECTED CHARGE';
+				return line;
+			}).join('\n')
 			: '- No clear subscription patterns detected';
 
+		const incomeText = recurring
+			.filter(series => series.direction === 'inflow')
+			.map(series => `- ${series.merchant} (${series.cadence}, ~$${series.nextExpectedAmount.toFixed(2)})`)
+			.join('\n') || '- No recurring income detected';
+
 		// Identify tech/utility subscriptions
 		const techKeywords = ['APPLE', 'GOOGLE', 'AMAZON', 'MICROSOFT', 'ADOBE', 'GITHUB', 'AWS', 'CLOUD', 'HOSTING', 'DOMAIN'];
 		const techSubscriptions = subscriptions.filter(s =>
@@ -1813,12 +2019,19 @@ Tone should be analytical, data-driven, and geared toward financial professional
       
       ${subscriptionsText}
       
+      Recurring income:
+      ${incomeText}
+      
+      Recurring outflow: $${summary.monthlyOutflow.toFixed(2)}/month across ${subscriptions.length} merchants; ${summary.priceIncreases} price increase(s); ${summary.missed} missed charge(s).
+      
       ${techText}
       
       Format your response with detected merchants and a signal analysis, as in this example:
       "Detected recurring tech/utility merchants: Apple.com/Bill, GoDaddy, AWS (Amazon Web Services).
       Signal: tech-forward user with entrepreneurial patterns (domain + cloud + app store). Fit for business/creator bundles, bookkeeping add-ons, and SaaS-linked credit."
       
+      Call out any price increases and missed charges explicitly.
+      
       If no clear subscription patterns are detected, analyze what this absence might indicate about the customer's financial behavior.
       
       You MUST include all merchant names if any are detected. Be specific and avoid generic references.
@@ -1831,7 +2044,19 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-subscriptions`,
-				'subscriptions'
+				'subscriptions',
+				{
+					name: 'banking_command.recurring_subscriptions',
+					variables: {
+						subscriptions: subscriptionsText,
+						recurringIncome: incomeText,
+						monthlyOutflow: summary.monthlyOutflow.toFixed(2),
+						merchantCount: subscriptions.length,
+						priceIncreases: summary.priceIncreases,
+						missedCharges: summary.missed,
+						techMerchants: techText
+					}
+				}
 			);
 
 			// Return formatted section
@@ -1839,7 +2064,9 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				title: 'Recurring & Subscriptions',
 				content,
 				subscriptions: subscriptions,
-				techSubscriptions: techSubscriptions
+				techSubscriptions: techSubscriptions,
+				recurring,
+				recurringSummary: summary
 			};
 		} catch (error) {
 			logger.error('Error generating Recurring & Subscriptions section', {
@@ -1852,11 +2079,141 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				title: 'Recurring & Subscriptions',
 				content: techText,
 				subscriptions: subscriptions,
-				techSubscriptions: techSubscriptions
+				techSubscriptions: techSubscriptions,
+				recurring,
+				recurringSummary: summary
 			};
 		}
 	}
 
+	/**
+	 * Run recurrence detection, using the stored history when the report is for a bank user
+	 * @param {Object} data - Financial data
+	 * @returns {Promise<Object>} - Detection result
+	 * @private
+	 */
+	async _detectRecurring(data) {
+		const user = data.user;
+
+		// Report timeframes are usually too short to see monthly or annual cadences
+		if (user && user.clientId && user.bankUserId) {
+			try {
+				return await recurrenceDetector.getRecurringForUser(user.clientId, user.bankUserId);
+			} catch (error) {
+				logger.warn(`Recurrence detection on stored history failed, using report transactions: ${error.message}`);
+			}
+		}
+
+		const transactions = data.transactions || [];
+		return recurrenceDetector.detect(transactions, { asOf: recurrenceDetector.latestTransactionDate(transactions) });
+	}
+
+	/**
+	 * Generate Cash-Flow Forecast section
+	 * @param {Object} data - Financial data
+	 * @param {string} financialContext - Financial context
+	 * @param {string} requestId - Request ID
+	 * @returns {Promise<Object>} - Generated section
+	 * @private
+	 */
+	async _generateCashFlowForecast(data, financialContext, requestId) {
+		const horizonDays = 30;
+		let forecast;
+
+		try {
+			const user = data.user;
+			forecast = user && user.clientId && user.bankUserId
+				? await cashFlowForecast.getForecastForUser(user.clientId, user.bankUserId, { horizonDays })
+				: cashFlowForecast.forecast({ accounts: data.accounts, transactions: data.transactions, horizonDays });
+		} catch (error) {
+			logger.error('Error computing cash-flow forecast', {
+				requestId,
+				error: error.message
+			});
+
+			return {
+				title: 'Cash-Flow Forecast',
+				content: 'Insufficient data to project cash flow.',
+				forecast: null,
+				projectedOverdraftDate: null
+			};
+		}
+
+		const { combined, assumptions } = forecast;
+		const asOfDate = forecast.asOf.substring(0, 10);
+
+		if (forecast.accounts.length === 0) {
+			return {
+				title: 'Cash-Flow Forecast',
+				content: 'No checking or savings accounts available to project cash flow.',
+				forecast,
+				projectedOverdraftDate: null
+			};
+		}
+
+		const accountsText = forecast.accounts.map(account =>
+			`- ${account.name || account.accountId}: $${account.startingBalance.toFixed(2)} on ${asOfDate}, $${account.endingBalance.toFixed(2)} projected in ${horizonDays} days, low point $${account.minBalance.amount.toFixed(2)} on ${account.minBalance.date}` +
+			(account.projectedOverdraftDate ? `, projected overdraft on ${account.projectedOverdraftDate}` : '') +
+			(!account.projectedOverdraftDate && account.overdraftRiskDate ? `, overdraft possible from ${account.overdraftRiskDate} (${(account.overdraftProbability * 100).toFixed(0)}% peak probability)` : '')
+		).join('\n');
+
+		const prompt = `
+      Generate a professional Banking Intelligence 'Cash-Flow Forecast' analysis section based on this ${horizonDays}-day projection:
+      
+      Accounts:
+      ${accountsText}
+      
+      Combined: $${combined.startingBalance.toFixed(2)} on ${asOfDate}, $${combined.endingBalance.toFixed(2)} projected, low point $${combined.minBalance ? combined.minBalance.amount.toFixed(2) : combined.startingBalance.toFixed(2)}${combined.projectedOverdraftDate ? `, projected overdraft on ${combined.projectedOverdraftDate}` : ''}.
+      
+      Drivers:
+      - Recurring income: $${assumptions.recurringIncomeMonthly.toFixed(2)}/month
+      - Recurring bills and subscriptions: $${assumptions.recurringBillsMonthly.toFixed(2)}/month
+      
+      Format your response with Outlook, Pressure Points and Bank Actions sections. Name the exact dates and amounts provided to you.
+      
+      Tone should be analytical, data-driven, and focused on liquidity products (overdraft protection, early pay, savings sweeps) for financial professionals.
+    `;
+
+		const section = {
+			title: 'Cash-Flow Forecast',
+			forecast,
+			projectedOverdraftDate: combined.projectedOverdraftDate,
+			overdraftRiskDate: combined.overdraftRiskDate
+		};
+
+		try {
+			section.content = await this._generateContent(
+				prompt,
+				`${requestId}-forecast`,
+				'forecast',
+				{
+					name: 'banking_command.cash_flow_forecast',
+					variables: {
+						horizonDays,
+						accounts: accountsText,
+						startingBalance: combined.startingBalance.toFixed(2),
+						endingBalance: combined.endingBalance.toFixed(2),
+						lowBalance: (combined.minBalance ? combined.minBalance.amount : combined.startingBalance).toFixed(2),
+						projectedOverdraftDate: combined.projectedOverdraftDate || 'none',
+						recurringIncome: assumptions.recurringIncomeMonthly.toFixed(2),
+						recurringBills: assumptions.recurringBillsMonthly.toFixed(2)
+					}
+				}
+			);
+		} catch (error) {
+			logger.error('Error generating Cash-Flow Forecast section', {
+				requestId,
+				error: error.message
+			});
+
+			// Return fallback content if generation fails
+			section.content = `Projected combined balance moves from $${combined.startingBalance.toFixed(2)} to $${combined.endingBalance.toFixed(2)} over ${horizonDays} days` +
+				(combined.projectedOverdraftDate ? `, with a projected overdraft on ${combined.projectedOverdraftDate}.` : '.');
+		}
+
+		return section;
+	}
+
 	/**
 	 * Generate Travel & Events section
 	 * @param {Object} data - Financial data
@@ -1974,7 +2331,13 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-travel`,
-				'travel'
+				'travel',
+				{
+					name: 'banking_command.travel_events',
+					variables: {
+						travel: travelText
+					}
+				}
 			);
 
 			// Return formatted section
@@ -2015,108 +2378,28 @@ Tone should be analytical, data-driven, and geared toward financial professional
 	 * @private
 	 */
 	async _generateBackendRules(data, financialContext, requestId) {
-		// Create example rules based on the data
-		const rules = [];
-		const actions = [];
+		// Evaluate the client's rules (or the built-in defaults) against this user's metrics
+		const evaluation = await rulesEngine.evaluateData(data, { trigger: 'report' });
+		const firedRules = evaluation.results.filter(result => result.fired);
+		const daysInPeriod = evaluation.periodDays;
 
-		// Get account and transaction data
-		const accounts = data.accounts || [];
-		const transactions = data.transactions || [];
-
-		// Calculate total balance
-		const totalBalance = accounts.reduce((sum, account) => {
-			const balance = typeof account.balance === 'number' ? account.balance : Number(account.balance || 0);
-			return sum + balance;
-		}, 0);
-
-		// Calculate expenses
-		const expenses = transactions
-			.filter(tx => {
-				const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
-				return amount < 0;
-			})
-			.reduce((sum, tx) => {
-				const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
-				return sum + Math.abs(amount);
-			}, 0);
-
-		// Calculate average daily spend
-		const daysInPeriod = Math.ceil((data.dateRange.endDate - data.dateRange.startDate) / (1000 * 60 * 60 * 24)) || 30;
-		const averageDailySpend = expenses / daysInPeriod;
-
-		// Calculate days of runway
-		const daysOfRunway = averageDailySpend > 0 ? totalBalance / averageDailySpend : 999;
-
-		// Rule 1: Liquidity guardrail
-		if (daysOfRunway < 30) {
-			rules.push(`{ "liquidity_guardrail": { "if": "end_balance < 1.5 * avg_daily_spend", "then": ["enable_overdraft_grace", "offer_loc_1500"] } }`);
-			actions.push(`${actions.length + 1}) Liquidity guardrail (overdraft grace + LOC) — prevents attrition.`);
-		}
-
-		// Rule 2: Analyze categories for targeted rules
-		const categoryMap = new Map();
-		transactions.forEach(tx => {
-			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
-			if (amount < 0) {
-				const category = tx.category || 'Uncategorized';
-				if (!categoryMap.has(category)) {
-					categoryMap.set(category, {
-						count: 0,
-						total: 0
-					});
-				}
-
-				const categoryData = categoryMap.get(category);
-				categoryData.count++;
-				categoryData.total += Math.abs(amount);
-			}
-		});
-
-		// Convert categoryMap to an array of categories - ADD THIS LINE TO FIX THE ERROR
-		const categories = Array.from(categoryMap.entries())
-			.map(([name, data]) => ({
-				name,
-				count: data.count,
-				total: data.total
-			}))
-			.sort((a, b) => b.count - a.count);
-
-		// Check for coffee category
-		const coffeeCategory = categories.find(c =>
-			c.name.toUpperCase().includes('COFFEE') || c.name.toUpperCase().includes('CAFE')
+		const rules = firedRules.map(result =>
+			JSON.stringify({ [result.key]: { if: result.condition, then: result.actions } })
 		);
-
-		if (coffeeCategory && coffeeCategory.count >= 3) {
-			rules.push(`{ "coffee_rewards": { "if": "coffee_freq >= 5", "then": ["activate_5pct_cafe_cashback", "boost_favorite_brands_8pct_90d"] } }`);
-			actions.push(`${actions.length + 1}) Coffee rewards activation — daily engagement anchor.`);
-		}
-
-		// Check for transit category
-		const transitCategory = categories.find(c =>
-			c.name.toUpperCase().includes('TRANSIT') || c.name.toUpperCase().includes('TRANSPORTATION')
+		const actions = firedRules.map((result, index) =>
+			`${index + 1}) ${result.description || result.key} — ${result.actions.join(', ')}.`
 		);
 
-		if (transitCategory && transitCategory.count >= 3) {
-			rules.push(`{ "transit_bundle": { "if": "transit_freq >= 5", "then": ["activate_transit_rewards", "offer_commuter_benefits"] } }`);
-			actions.push(`${actions.length + 1}) Transit & rideshare bundle — inelastic + convenience value.`);
-		}
-
-		// Check for gambling
-		const gamblingKeywords = ['CASINO', 'POKER', 'BETTING', 'GAMBLE', 'DRAFTKINGS', 'FANDUEL'];
-		const gamblingTransactions = transactions.filter(tx => {
-			return gamblingKeywords.some(keyword =>
-				(tx.description || '').toUpperCase().includes(keyword)
-			);
-		});
-
-		if (gamblingTransactions.length > 0) {
-			rules.push(`{ "gambling_cap": { "if": "gambling_ratio > 0.15", "then": ["set_betting_cap", "alerts@[50,75,100]"] } }`);
-			actions.push(`${actions.length + 1}) Gambling cap & alerts — risk mitigation and wellness.`);
-		}
-
 		// Format rules and actions for prompt
-		const rulesText = rules.length > 0 ? rules.join(',\n') : '{ "example_rule": { "if": "condition", "then": ["action1", "action2"] } }';
-		const actionsText = actions.length > 0 ? actions.join('\n') : '1) Default action — placeholder.';
+		const rulesText = rules.length > 0 ? rules.join(',\n') : 'No rules fired for this user.';
+		const actionsText = actions.length > 0 ? actions.join('\n') : '1) No action required — all rule conditions are within thresholds.';
+
+		// Only the metrics the evaluated conditions referenced, so the model describes real values
+		const referencedMetrics = {};
+		evaluation.results.forEach(result => Object.assign(referencedMetrics, result.metrics));
+		const metricsText = Object.entries(referencedMetrics)
+			.map(([name, value]) => `- ${name} = ${value === null ? 'n/a' : value}`)
+			.join('\n');
 
 		// Create prompt with examples and explicit formatting
 		const prompt = `
@@ -2128,6 +2411,9 @@ Tone should be analytical, data-driven, and geared toward financial professional
       Next-Best-Action (Priority Stack):
       ${actionsText}
       
+      Evaluated Metrics (${evaluation.results.length} rules over ${daysInPeriod} days):
+      ${metricsText}
+      
       Format your response with feature definitions, example rules, scoring sketch, and next-best-action priority stack, similar to this example:
       "Feature Definitions
       - avg_daily_spend = total_outflows / 33
@@ -2157,7 +2443,17 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			const content = await this._generateContent(
 				prompt,
 				`${requestId}-backend-rules`,
-				'planning'
+				'planning',
+				{
+					name: 'banking_command.backend_rules',
+					variables: {
+						rules: rulesText,
+						actions: actionsText,
+						metrics: metricsText,
+						ruleCount: evaluation.results.length,
+						daysInPeriod
+					}
+				}
 			);
 
 			// Return formatted section
@@ -2165,7 +2461,10 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				title: 'Appendix — Backend Rules, Triggers & Scoring',
 				content,
 				rules: rules,
-				actions: actions
+				actions: actions,
+				firedRules: firedRules,
+				recommendedActions: evaluation.actions,
+				metrics: referencedMetrics
 			};
 		} catch (error) {
 			logger.error('Error generating Backend Rules section', {
@@ -2176,9 +2475,12 @@ Tone should be analytical, data-driven, and geared toward financial professional
 			// Return fallback content if generation fails
 			return {
 				title: 'Appendix — Backend Rules, Triggers & Scoring',
-				content: `Feature Definitions\n- avg_daily_spend = total_outflows / ${daysInPeriod}\n- liquidity_floor = 2 × avg_daily_spend\n\nExample Rules (JSON-like)\n${rulesText}\n\nNext-Best-Action (Priority Stack)\n${actionsText}`,
+				content: `Feature Definitions\n- avg_daily_spend = total_outflows / ${daysInPeriod}\n- liquidity_floor = 2 × avg_daily_spend\n${metricsText}\n\nExample Rules (JSON-like)\n${rulesText}\n\nNext-Best-Action (Priority Stack)\n${actionsText}`,
 				rules: rules,
-				actions: actions
+				actions: actions,
+				firedRules: firedRules,
+				recommendedActions: evaluation.actions,
+				metrics: referencedMetrics
 			};
 		}
 	}
@@ -2210,13 +2512,18 @@ Tone should be analytical, data-driven, and geared toward financial professional
 					return sum + balance;
 				}, 0) : 0,
 				transactionCount: data.transactions ? data.transactions.length : 0,
+				// Plaid liabilities and investments, when the user linked banks that offer them
+				totalLiabilities: (data.liabilities || []).reduce((sum, liability) => sum + Math.abs(liability.currentBalance || 0), 0),
+				investmentValue: data.investments ? data.investments.totalValue : 0,
+				investmentAllocation: data.investments ? data.investments.allocation : [],
 				dateRange: data.dateRange,
 				// Include section summaries if they exist
 				accountSummary: sections.accountSummary ? sections.accountSummary.metrics : null,
 				topCategories: sections.behaviorPreferences ? sections.behaviorPreferences.categories.slice(0, 5) : [],
 				topMerchants: sections.merchantAnalysis ? sections.merchantAnalysis.merchants.slice(0, 5) : [],
 				riskCount: sections.riskCompliance ? sections.riskCompliance.riskCount : 0,
-				hasCriticalRisks: sections.riskCompliance ? sections.riskCompliance.hasCriticalRisks : false
+				hasCriticalRisks: sections.riskCompliance ? sections.riskCompliance.hasCriticalRisks : false,
+				projectedOverdraftDate: sections.cashFlowForecast ? sections.cashFlowForecast.projectedOverdraftDate : null
 			}
 		};
 
@@ -2381,21 +2688,47 @@ Tone should be analytical, data-driven, and geared toward financial professional
 	}
 
 	/**
-	 * Extract merchant name from transaction description
-	 * @param {string} description - Transaction description
-	 * @returns {string} - Extracted merchant name
+	 * Canonical merchant name for grouping, normalizing on the fly for data
+	 * that was not stored through the ingestion pipeline (e.g. uploaded statements).
+	 * Relies on generateReport() having loaded the merchant rules.
+	 * @param {Object} tx - Transaction
+	 * @returns {string} - Merchant name
 	 * @private
 	 */
-	_extractMerchantName(description) {
-		if (!description) return 'Unknown';
+	_merchantFor(tx) {
+		if (tx.canonicalMerchantName) return tx.canonicalMerchantName;
+		return merchantNormalization.normalizeSync(tx, tx.clientId || null).canonicalMerchantName || tx.merchantName || 'Unknown';
+	}
 
-		// Enhanced merchant name extraction with more comprehensive prefix removal
-		const cleanDesc = description
-			.replace(/^(POS |ACH |DEBIT |CREDIT |PMT |PYMT |PUR |PURCH |PURCHASE |PMNT |CHK |CHECK |DEPOSIT |DEB |CRED |ATM |ONLINE |WEB |MOBILE |APP |BILL |PAYMENT |AUTOPAY |)/i, '')
-			.replace(/\s+\d+\/\d+\/\d+$/, '') // Remove dates at the end
-			.replace(/\s+\d{4,}$/, ''); // Remove long numbers (like reference numbers) at the end
+	/**
+	 * Liabilities and investments of a bank user linked through Plaid. Plaid
+	 * items belong to platform users, whose transactions are synced into a bank
+	 * user with their own ID under a client they own. Clients choose bank user
+	 * IDs freely, so any other bank user gets nothing even if its ID is a
+	 * platform user's.
+	 * @param {Object} bankUser - Bank user record
+	 * @returns {Promise<Object>} - { liabilities, investments }, empty when unavailable
+	 * @private
+	 */
+	async _collectPlaidProducts(bankUser) {
+		const empty = { liabilities: [], investments: null };
+		const { bankUserId, clientId } = bankUser;
+		if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(bankUserId)) {
+			return empty;
+		}
+
+		try {
+			const ownClient = await Client.findOne({ where: { clientId, userId: bankUserId } });
+			if (!ownClient) {
+				return empty;
+			}
 
-		return cleanDesc.trim() || 'Unknown';
+			const { liabilities, investments } = await plaidProducts.getUserProductData(bankUserId);
+			return { liabilities, investments };
+		} catch (error) {
+			logger.warn(`Could not load Plaid liabilities and investments for ${bankUserId}: ${error.message}`);
+			return empty;
+		}
 	}
 
 	/**
@@ -2479,7 +2812,7 @@ Tone should be analytical, data-driven, and geared toward financial professional
 				return amount < 0;
 			})
 			.forEach(tx => {
-				const merchant = tx.merchantName || 'Unknown';
+				const merchant = this._merchantFor(tx);
 				const amount = Math.abs(typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0));
 
 				if (!merchantMap.has(merchant)) {
@@ -2516,7 +2849,7 @@ Net Change: $${netChange.toFixed(2)}
 
 ACCOUNTS:
 ${accountsSummary || 'No account information available'}
-
+${formatProductContext(data)}
 TOP SPENDING CATEGORIES:
 ${categoryAnalysis || 'No category information available'}
 
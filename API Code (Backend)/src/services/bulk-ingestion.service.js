@@ -0,0 +1,964 @@
+// src/services/bulk-ingestion.service.js
+const os = require('os');
+const crypto = require('crypto');
+const validator = require('validator');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { IngestionJob, BankUser, Account, Transaction } = require('../models');
+const AccountDataService = require('./account-data.service');
+const merchantNormalization = require('./merchant-normalization.service');
+const categorization = require('./categorization.service');
+const reportCache = require('../utils/report-cache');
+const csvParser = require('../utils/csv-parser');
+const logger = require('../utils/logger');
+
+const RECORD_TYPES = {
+	user: 'user',
+	users: 'user',
+	bank_user: 'user',
+	account: 'account',
+	accounts: 'account',
+	transaction: 'transaction',
+	transactions: 'transaction'
+};
+
+const MAX_ID_LENGTH = 255;
+
+/**
+ * Bulk upload of bank users, accounts and transactions.
+ * Uploads are stored as jobs and processed by a database-backed worker
+ * (same claim/heartbeat/retry model as report jobs). Rows are upserted on
+ * their natural keys, so re-processing an upload never creates duplicates.
+ */
+class BulkIngestionService {
+	constructor() {
+		this.initialized = false;
+		this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+		this.pollInterval = parseInt(process.env.BULK_INGEST_POLL_INTERVAL || '5000', 10);
+		this.maxConcurrent = parseInt(process.env.BULK_INGEST_CONCURRENCY || '1', 10);
+		this.batchSize = parseInt(process.env.BULK_INGEST_BATCH_SIZE || '500', 10);
+		this.maxRows = parseInt(process.env.BULK_INGEST_MAX_ROWS || '200000', 10);
+		this.maxStoredErrors = parseInt(process.env.BULK_INGEST_MAX_ERRORS || '1000', 10);
+		this.maxAttempts = parseInt(process.env.BULK_INGEST_MAX_ATTEMPTS || '3', 10);
+		this.retryBaseDelay = parseInt(process.env.BULK_INGEST_RETRY_DELAY || '30000', 10); // 30 seconds
+		this.staleAfter = parseInt(process.env.BULK_INGEST_STALE_AFTER || '300000', 10); // 5 minutes without heartbeat
+		this.retentionHours = parseInt(process.env.BULK_INGEST_RETENTION_HOURS || '168', 10); // 7 days
+		this.heartbeatInterval = 30000;
+
+		this.running = new Map(); // jobId -> { heartbeat }
+		this.pollTimer = null;
+		this.ticking = false;
+		this.lastCleanupAt = 0;
+	}
+
+	/**
+	 * Start the worker loop and resume unfinished uploads
+	 */
+	async initialize() {
+		if (this.initialized) {
+			logger.info('Bulk ingestion service already initialized');
+			return;
+		}
+
+		logger.info('Initializing bulk ingestion service', {
+			workerId: this.workerId,
+			maxConcurrent: this.maxConcurrent,
+			batchSize: this.batchSize
+		});
+
+		try {
+			const resumed = await this.recoverStaleJobs();
+			const pending = await IngestionJob.count({ where: { status: 'pending' } });
+
+			logger.info(`Bulk ingestion service resuming ${pending} pending jobs (${resumed} recovered from interrupted workers)`);
+
+			this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+			this.initialized = true;
+
+			setImmediate(() => this.tick());
+		} catch (error) {
+			logger.error('Error initializing bulk ingestion service:', error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Stop polling for new uploads (running jobs are left to finish or be recovered)
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+
+		for (const { heartbeat } of this.running.values()) {
+			clearInterval(heartbeat);
+		}
+
+		this.initialized = false;
+		logger.info('Bulk ingestion service stopped', { runningJobs: this.running.size });
+	}
+
+	/**
+	 * Queue an upload. Uploads repeating an earlier Idempotency-Key, or the exact
+	 * content of an earlier upload that did not fail, return the existing job.
+	 * @param {Object} params
+	 * @param {string} params.clientId - Client the data belongs to
+	 * @param {string} params.requestedBy - Authenticated user ID
+	 * @param {string} params.format - 'ndjson' or 'csv'
+	 * @param {string} params.payload - Raw upload
+	 * @param {string} params.idempotencyKey - Optional Idempotency-Key header
+	 * @returns {Promise<{job: Object, duplicate: boolean}>}
+	 */
+	async enqueue({ clientId, requestedBy, format, payload, idempotencyKey }) {
+		if (!['ndjson', 'csv'].includes(format)) {
+			const error = new Error('Format must be ndjson or csv');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		if (typeof payload !== 'string' || payload.trim() === '') {
+			const error = new Error('Upload is empty');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		if (format === 'csv') {
+			this._checkCsvHeader(payload);
+		}
+
+		const contentHash = crypto.createHash('sha256').update(payload).digest('hex');
+		const key = idempotencyKey ? String(idempotencyKey).trim().substring(0, 255) : null;
+
+		if (key) {
+			const existing = await IngestionJob.findOne({
+				where: { clientId, idempotencyKey: key },
+				attributes: { exclude: ['payload'] }
+			});
+			if (existing) {
+				return this._reuseJob(existing, contentHash, payload);
+			}
+		} else {
+			const existing = await IngestionJob.findOne({
+				where: {
+					clientId,
+					contentHash,
+					status: { [Op.ne]: 'failed' }
+				},
+				attributes: { exclude: ['payload'] },
+				order: [['requestedAt', 'DESC']]
+			});
+			if (existing) {
+				logger.info('Bulk upload matches an earlier upload, returning existing job', { jobId: existing.jobId, clientId });
+				return { job: existing, duplicate: true };
+			}
+		}
+
+		const jobId = `ingest-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+
+		try {
+			const job = await IngestionJob.create({
+				jobId,
+				clientId,
+				requestedBy: requestedBy || null,
+				format,
+				contentHash,
+				idempotencyKey: key,
+				status: 'pending',
+				payload,
+				progress: 0,
+				progressMessage: 'Queued for processing',
+				maxAttempts: this.maxAttempts,
+				nextRunAt: new Date(),
+				requestedAt: new Date()
+			});
+
+			logger.info('Bulk ingestion job queued', { jobId, clientId, format, bytes: Buffer.byteLength(payload) });
+
+			if (this.initialized) {
+				setImmediate(() => this.tick());
+			}
+
+			return { job, duplicate: false };
+		} catch (error) {
+			// Concurrent request with the same Idempotency-Key won the insert
+			if (error instanceof UniqueConstraintError && key) {
+				const existing = await IngestionJob.findOne({
+					where: { clientId, idempotencyKey: key },
+					attributes: { exclude: ['payload'] }
+				});
+				if (existing) return this._reuseJob(existing, contentHash, payload);
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Find an ingestion job owned by the client
+	 * @param {string} clientId - Client ID
+	 * @param {string} jobId - Public job ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getJob(clientId, jobId) {
+		return IngestionJob.findOne({
+			where: { clientId, jobId },
+			attributes: { exclude: ['payload'] }
+		});
+	}
+
+	/**
+	 * Most recent ingestion jobs for a client
+	 * @param {string} clientId - Client ID
+	 * @param {Object} options
+	 * @param {number} options.limit - Page size
+	 * @param {number} options.offset - Page offset
+	 * @returns {Promise<{total: number, jobs: Array}>}
+	 */
+	async listJobs(clientId, { limit = 20, offset = 0 } = {}) {
+		const { count, rows } = await IngestionJob.findAndCountAll({
+			where: { clientId },
+			attributes: { exclude: ['payload', 'rowErrors'] },
+			order: [['requestedAt', 'DESC']],
+			limit: Math.min(Math.max(limit, 1), 100),
+			offset: Math.max(offset, 0)
+		});
+
+		return {
+			total: count,
+			jobs: rows.map(job => job.toStatusResponse({ errorLimit: 0 }))
+		};
+	}
+
+	/**
+	 * Put jobs whose worker stopped sending heartbeats back on the queue
+	 * @returns {Promise<number>} - Number of jobs recovered
+	 */
+	async recoverStaleJobs() {
+		const staleBefore = new Date(Date.now() - this.staleAfter);
+		const conditions = [
+			{ lockedAt: { [Op.lt]: staleBefore } },
+			{ lockedAt: null }
+		];
+
+		const [recovered] = await IngestionJob.update({
+			status: 'pending',
+			lockedBy: null,
+			lockedAt: null,
+			nextRunAt: new Date(),
+			progressMessage: 'Requeued after worker interruption'
+		}, {
+			where: {
+				status: 'processing',
+				lockedBy: { [Op.ne]: this.workerId },
+				[Op.or]: conditions
+			}
+		});
+
+		if (recovered > 0) {
+			logger.warn(`Recovered ${recovered} interrupted bulk ingestion jobs`);
+		}
+
+		return recovered;
+	}
+
+	/**
+	 * One pass of the worker loop: recover, clean up and claim due jobs
+	 */
+	async tick() {
+		if (this.ticking) return;
+		this.ticking = true;
+
+		try {
+			await this.recoverStaleJobs();
+			await this._cleanupOldJobs();
+
+			const freeSlots = this.maxConcurrent - this.running.size;
+			if (freeSlots <= 0) return;
+
+			const candidates = await IngestionJob.findAll({
+				where: {
+					status: 'pending',
+					nextRunAt: { [Op.lte]: new Date() }
+				},
+				attributes: ['id', 'jobId', 'attempts', 'startedAt'],
+				order: [['nextRunAt', 'ASC'], ['requestedAt', 'ASC']],
+				limit: freeSlots
+			});
+
+			for (const candidate of candidates) {
+				const claimed = await this._claim(candidate);
+				if (!claimed) continue;
+
+				// Run without awaiting so other jobs can start in this tick
+				this._run(claimed);
+			}
+		} catch (error) {
+			logger.error('Bulk ingestion worker tick failed:', error);
+		} finally {
+			this.ticking = false;
+		}
+	}
+
+	/**
+	 * Parse, validate and upsert one upload
+	 * @param {Object} job - Claimed IngestionJob (with payload)
+	 * @returns {Promise<Object>} - { totals, results, rowErrors, errorCount }
+	 */
+	async process(job) {
+		const { clientId } = job;
+		const errors = new RowErrorCollector(this.maxStoredErrors);
+		const rows = this._parsePayload(job.format, job.payload, errors);
+
+		if (rows.length > this.maxRows) {
+			const error = new Error(`Upload has ${rows.length} rows; the limit is ${this.maxRows}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		// Validate every row and keep the last occurrence of each natural key
+		const users = new Map();
+		const accounts = new Map();
+		const transactions = new Map();
+		const totals = { rows: rows.length + errors.count, users: 0, accounts: 0, transactions: 0 };
+		let duplicateRows = 0;
+
+		for (const { line, record } of rows) {
+			const recordType = RECORD_TYPES[String(record.recordType || '').trim().toLowerCase()];
+			if (!recordType) {
+				errors.add(line, record.recordType || null, null, ['recordType must be one of user, account, transaction']);
+				continue;
+			}
+
+			totals[`${recordType}s`]++;
+			const { data, errors: fieldErrors } = this._validate(recordType, record);
+
+			if (fieldErrors.length > 0) {
+				errors.add(line, recordType, this._recordKey(recordType, record), fieldErrors);
+				continue;
+			}
+
+			const [target, key] = recordType === 'user'
+				? [users, data.bankUserId]
+				: recordType === 'account'
+					? [accounts, `${data.bankUserId}\u0000${data.accountId}`]
+					: [transactions, `${data.bankUserId}\u0000${data.transactionId}`];
+
+			// Later rows for the same record win
+			if (target.has(key)) duplicateRows++;
+			target.set(key, { line, data });
+		}
+
+		const results = {
+			users: 0,
+			accounts: 0,
+			transactions: 0,
+			duplicateRows
+		};
+		const affectedUsers = new Set();
+
+		// Users
+		await this._progress(job, 10, `Upserting ${users.size} users`);
+		for (const batch of chunk([...users.values()], this.batchSize)) {
+			await this._upsert(BankUser, batch.map(({ data }) => ({ clientId, ...data })), ['clientId', 'bankUserId']);
+			results.users += batch.length;
+			batch.forEach(({ data }) => affectedUsers.add(data.bankUserId));
+		}
+
+		// Accounts need their user in this upload or already stored
+		await this._progress(job, 30, `Upserting ${accounts.size} accounts`);
+		const knownUsers = new Set(users.keys());
+		for (const batch of chunk([...accounts.values()], this.batchSize)) {
+			await this._loadKnownUsers(clientId, batch, knownUsers);
+
+			const valid = batch.filter(({ line, data }) => {
+				if (knownUsers.has(data.bankUserId)) return true;
+				errors.add(line, 'account', data.accountId, [`Unknown bankUserId ${data.bankUserId}`]);
+				return false;
+			});
+
+			await this._upsert(
+				Account,
+				valid.map(({ data }) => ({
+					...AccountDataService.normalizeAccountData(data, clientId, data.bankUserId),
+					lastUpdated: new Date()
+				})),
+				['clientId', 'bankUserId', 'accountId']
+			);
+			results.accounts += valid.length;
+			valid.forEach(({ data }) => affectedUsers.add(data.bankUserId));
+		}
+
+		// Transactions need their account in this upload or already stored
+		const knownAccounts = new Set(accounts.keys());
+		const transactionBatches = chunk([...transactions.values()], this.batchSize);
+		for (let i = 0; i < transactionBatches.length; i++) {
+			const batch = transactionBatches[i];
+			await this._progress(job, 50 + Math.floor((i / transactionBatches.length) * 45), `Upserting transactions (batch ${i + 1} of ${transactionBatches.length})`);
+			await this._loadKnownAccounts(clientId, batch, knownAccounts);
+
+			const valid = batch.filter(({ line, data }) => {
+				if (knownAccounts.has(`${data.bankUserId}\u0000${data.accountId}`)) return true;
+				errors.add(line, 'transaction', data.transactionId, [`Unknown accountId ${data.accountId} for bankUserId ${data.bankUserId}`]);
+				return false;
+			});
+
+			// Resolve canonical merchants, then map categories into the client taxonomy
+			const enriched = await categorization.categorizeTransactions(
+				await merchantNormalization.normalizeTransactions(valid.map(({ data }) => data), clientId),
+				clientId
+			);
+
+			await this._upsert(Transaction, enriched.map(tx => this._transactionRow(clientId, tx)), ['clientId', 'bankUserId', 'transactionId']);
+			results.transactions += valid.length;
+			valid.forEach(({ data }) => affectedUsers.add(data.bankUserId));
+		}
+
+		await this._progress(job, 95, `Invalidating cached reports for ${affectedUsers.size} users`);
+		for (const bankUserId of affectedUsers) {
+			try {
+				await reportCache.invalidateUser(bankUserId);
+			} catch (error) {
+				// Stale cache entries expire on their own; never fail the upload
+				logger.warn(`Failed to invalidate report cache for bank user ${bankUserId}: ${error.message}`);
+			}
+		}
+
+		return {
+			totals,
+			results,
+			rowErrors: errors.list(),
+			errorCount: errors.count
+		};
+	}
+
+	/**
+	 * Atomically move a pending job to processing for this worker
+	 * @private
+	 */
+	async _claim(job) {
+		const now = new Date();
+		const [claimed] = await IngestionJob.update({
+			status: 'processing',
+			lockedBy: this.workerId,
+			lockedAt: now,
+			startedAt: job.startedAt || now,
+			attempts: job.attempts + 1,
+			progress: 5,
+			progressMessage: 'Parsing upload'
+		}, {
+			where: { id: job.id, status: 'pending' }
+		});
+
+		if (!claimed) return null;
+		return IngestionJob.findByPk(job.id);
+	}
+
+	/**
+	 * Process a claimed job and record the outcome
+	 * @private
+	 */
+	async _run(job) {
+		const { jobId } = job;
+		const heartbeat = setInterval(() => {
+			this._update(job, { lockedAt: new Date() }).catch(error => {
+				logger.warn(`Bulk ingestion heartbeat failed for ${jobId}: ${error.message}`);
+			});
+		}, this.heartbeatInterval);
+
+		this.running.set(jobId, { heartbeat });
+		const startedAt = Date.now();
+
+		try {
+			const outcome = await this.process(job);
+
+			await this._update(job, {
+				status: 'completed',
+				totals: outcome.totals,
+				results: outcome.results,
+				rowErrors: outcome.rowErrors,
+				errorCount: outcome.errorCount,
+				payload: null,
+				error: null,
+				completedAt: new Date(),
+				progress: 100,
+				progressMessage: outcome.errorCount > 0
+					? `Completed with ${outcome.errorCount} rejected rows`
+					: 'Completed',
+				lockedBy: null,
+				lockedAt: null
+			});
+
+			logger.info('Bulk ingestion job completed', {
+				jobId,
+				clientId: job.clientId,
+				...outcome.results,
+				errorCount: outcome.errorCount,
+				duration: Date.now() - startedAt
+			});
+		} catch (error) {
+			await this._handleFailure(job, error);
+		} finally {
+			clearInterval(heartbeat);
+			this.running.delete(jobId);
+		}
+	}
+
+	/**
+	 * Retry database failures with exponential backoff; malformed uploads fail immediately
+	 * @private
+	 */
+	async _handleFailure(job, error) {
+		const canRetry = !error.statusCode && job.attempts < job.maxAttempts;
+
+		if (canRetry) {
+			const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+			await this._update(job, {
+				status: 'pending',
+				error: error.message,
+				nextRunAt: new Date(Date.now() + delay),
+				progress: 0,
+				progressMessage: `Attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s`,
+				lockedBy: null,
+				lockedAt: null
+			});
+
+			logger.warn('Bulk ingestion job failed, retry scheduled', {
+				jobId: job.jobId,
+				attempt: job.attempts,
+				maxAttempts: job.maxAttempts,
+				retryInMs: delay,
+				error: error.message
+			});
+			return;
+		}
+
+		await this._update(job, {
+			status: 'failed',
+			error: error.message,
+			payload: null,
+			progress: 0,
+			progressMessage: `Failed: ${error.message}`,
+			completedAt: new Date(),
+			lockedBy: null,
+			lockedAt: null
+		});
+
+		logger.error('Bulk ingestion job failed', {
+			jobId: job.jobId,
+			clientId: job.clientId,
+			attempts: job.attempts,
+			error: error.message
+		});
+	}
+
+	/**
+	 * Update a job this worker owns
+	 * @private
+	 * @returns {Promise<boolean>} - Whether the row was updated
+	 */
+	async _update(job, fields) {
+		const [updated] = await IngestionJob.update(fields, {
+			where: {
+				id: job.id,
+				status: 'processing',
+				lockedBy: this.workerId
+			}
+		});
+
+		if (!updated) {
+			logger.info(`Bulk ingestion job ${job.jobId} is no longer owned by this worker, dropping update`);
+		}
+
+		return updated > 0;
+	}
+
+	/**
+	 * @private
+	 */
+	async _progress(job, progress, progressMessage) {
+		await this._update(job, { progress, progressMessage, lockedAt: new Date() });
+	}
+
+	/**
+	 * Return a job found by Idempotency-Key, re-queueing it when it had failed
+	 * @private
+	 */
+	async _reuseJob(job, contentHash, payload) {
+		if (job.contentHash !== contentHash) {
+			const error = new Error('Idempotency-Key was already used for a different upload');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		if (job.status === 'failed') {
+			const [requeued] = await IngestionJob.update({
+				status: 'pending',
+				payload,
+				attempts: 0,
+				error: null,
+				progress: 0,
+				progressMessage: 'Queued for processing',
+				nextRunAt: new Date(),
+				completedAt: null
+			}, {
+				where: { id: job.id, status: 'failed' }
+			});
+
+			if (requeued) {
+				logger.info('Failed bulk ingestion job re-queued by repeated upload', { jobId: job.jobId });
+				if (this.initialized) setImmediate(() => this.tick());
+			}
+
+			return { job: await job.reload(), duplicate: false };
+		}
+
+		return { job, duplicate: true };
+	}
+
+	/**
+	 * Reject CSV uploads without a record type column before queueing them
+	 * @private
+	 */
+	_checkCsvHeader(payload) {
+		const delimiter = csvParser.detectDelimiter(payload);
+		const [header] = csvParser.parseRows(payload.split(/\r?\n/, 1)[0], { delimiter });
+		const columns = header ? header.values.map(toCamelCase) : [];
+
+		if (!columns.includes('recordType')) {
+			const error = new Error('CSV uploads need a record_type column (user, account or transaction)');
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	/**
+	 * Turn an upload into { line, record } rows with camelCase keys
+	 * @private
+	 */
+	_parsePayload(format, payload, errors) {
+		if (format === 'csv') {
+			const { records } = csvParser.parse(payload, {
+				delimiter: csvParser.detectDelimiter(payload),
+				transformHeader: toCamelCase
+			});
+
+			return records.map(({ line, record }) => {
+				const cleaned = {};
+				for (const [key, value] of Object.entries(record)) {
+					// Empty cells mean "not supplied"
+					if (value.trim() !== '') cleaned[key] = value.trim();
+				}
+				return { line, record: cleaned };
+			});
+		}
+
+		const rows = [];
+		payload.split(/\r?\n/).forEach((text, index) => {
+			if (text.trim() === '') return;
+			const line = index + 1;
+
+			let parsed;
+			try {
+				parsed = JSON.parse(text);
+			} catch (error) {
+				errors.add(line, null, null, [`Invalid JSON: ${error.message}`]);
+				return;
+			}
+
+			if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+				errors.add(line, null, null, ['Each line must be a JSON object']);
+				return;
+			}
+
+			const record = {};
+			for (const [key, value] of Object.entries(parsed)) {
+				if (value !== null && value !== undefined && value !== '') record[toCamelCase(key)] = value;
+			}
+			rows.push({ line, record });
+		});
+
+		return rows;
+	}
+
+	/**
+	 * Validate one record and pick the fields stored for its type
+	 * @private
+	 * @returns {{data: Object, errors: string[]}}
+	 */
+	_validate(recordType, record) {
+		const errors = [];
+		const data = {};
+
+		const id = (field) => {
+			const value = record[field];
+			if (value === undefined) {
+				errors.push(`${field} is required`);
+			} else if (typeof value !== 'string' && typeof value !== 'number') {
+				errors.push(`${field} must be a string`);
+			} else if (String(value).trim().length > MAX_ID_LENGTH) {
+				errors.push(`${field} must be at most ${MAX_ID_LENGTH} characters`);
+			} else {
+				data[field] = String(value).trim();
+			}
+		};
+		const text = (field, maxLength = 255) => {
+			if (record[field] === undefined) return;
+			data[field] = String(record[field]).substring(0, maxLength);
+		};
+		const number = (field) => {
+			if (record[field] === undefined) return;
+			const value = Number(record[field]);
+			if (!Number.isFinite(value)) {
+				errors.push(`${field} must be a number`);
+			} else {
+				data[field] = value;
+			}
+		};
+		const boolean = (field) => {
+			if (record[field] === undefined) return;
+			const value = String(record[field]).toLowerCase();
+			if (['true', '1', 'yes'].includes(value)) data[field] = true;
+			else if (['false', '0', 'no'].includes(value)) data[field] = false;
+			else errors.push(`${field} must be true or false`);
+		};
+		const json = (field) => {
+			if (record[field] === undefined) return;
+			let value = record[field];
+			if (typeof value === 'string') {
+				try {
+					value = JSON.parse(value);
+				} catch (error) {
+					errors.push(`${field} must be a JSON object`);
+					return;
+				}
+			}
+			if (!value || typeof value !== 'object' || Array.isArray(value)) {
+				errors.push(`${field} must be a JSON object`);
+			} else {
+				data[field] = value;
+			}
+		};
+
+		id('bankUserId');
+
+		if (recordType === 'user') {
+			text('name');
+			if (record.email !== undefined) {
+				if (!validator.isEmail(String(record.email))) errors.push('email is invalid');
+				else data.email = String(record.email).toLowerCase();
+			}
+			text('status', 50);
+			json('metadata');
+		} else if (recordType === 'account') {
+			id('accountId');
+			text('name');
+			text('type', 100);
+			text('subtype', 100);
+			number('balance');
+			number('availableBalance');
+			number('creditLimit');
+			if (record.currency !== undefined) {
+				const currency = String(record.currency).toUpperCase();
+				if (!/^[A-Z]{3}$/.test(currency)) errors.push('currency must be a 3-letter ISO code');
+				else data.currency = currency;
+			}
+			boolean('isActive');
+			json('metadata');
+		} else {
+			id('accountId');
+			id('transactionId');
+
+			if (record.date === undefined) {
+				errors.push('date is required');
+			} else {
+				const date = new Date(record.date);
+				if (isNaN(date.getTime())) errors.push('date is invalid');
+				else data.date = date;
+			}
+
+			if (record.amount === undefined) errors.push('amount is required');
+			number('amount');
+			text('description', 1000);
+			text('category');
+			text('type', 50);
+			boolean('pending');
+			text('merchantName');
+			if (record.mcc !== undefined) {
+				if (!/^\d{4}$/.test(String(record.mcc))) errors.push('mcc must be a 4-digit code');
+				else data.mcc = String(record.mcc);
+			}
+			json('metadata');
+		}
+
+		return { data, errors };
+	}
+
+	/**
+	 * Identifier to report alongside a row error
+	 * @private
+	 */
+	_recordKey(recordType, record) {
+		const field = { user: 'bankUserId', account: 'accountId', transaction: 'transactionId' }[recordType];
+		return record[field] !== undefined ? String(record[field]).substring(0, MAX_ID_LENGTH) : null;
+	}
+
+	/**
+	 * Column values for an upserted transaction (defaults match storeTransactions)
+	 * @private
+	 */
+	_transactionRow(clientId, tx) {
+		const metadata = { ...(tx.metadata || {}) };
+		if (tx.mcc) metadata.mcc = String(tx.mcc);
+
+		return {
+			clientId,
+			bankUserId: tx.bankUserId,
+			accountId: tx.accountId,
+			transactionId: tx.transactionId,
+			date: tx.date,
+			description: tx.description || 'Unknown Transaction',
+			amount: tx.amount,
+			category: tx.category,
+			categoryId: tx.categoryId,
+			sourceCategory: tx.sourceCategory,
+			categoryRuleId: tx.categoryRuleId,
+			type: tx.type || (tx.amount >= 0 ? 'income' : 'expense'),
+			pending: tx.pending || false,
+			merchantName: tx.merchantName || null,
+			canonicalMerchantId: tx.canonicalMerchantId,
+			canonicalMerchantName: tx.canonicalMerchantName,
+			metadata
+		};
+	}
+
+	/**
+	 * Insert or update rows on their natural key. Columns a row does not supply
+	 * keep their stored values, so rows are grouped by the set of columns present.
+	 * @private
+	 */
+	async _upsert(Model, rows, conflictAttributes) {
+		if (rows.length === 0) return;
+
+		const groups = new Map();
+		for (const row of rows) {
+			const columns = Object.keys(row).filter(key => row[key] !== undefined).sort();
+			const signature = columns.join(',');
+			if (!groups.has(signature)) groups.set(signature, { columns, rows: [] });
+			groups.get(signature).rows.push(row);
+		}
+
+		for (const { columns, rows: groupRows } of groups.values()) {
+			const updateOnDuplicate = columns.filter(column => !conflictAttributes.includes(column));
+			updateOnDuplicate.push('updatedAt');
+
+			await Model.bulkCreate(groupRows, {
+				fields: ['id', ...columns, 'createdAt', 'updatedAt'],
+				updateOnDuplicate,
+				conflictAttributes
+			});
+		}
+	}
+
+	/**
+	 * Add users of a batch that already exist in the database to knownUsers
+	 * @private
+	 */
+	async _loadKnownUsers(clientId, batch, knownUsers) {
+		const missing = [...new Set(batch.map(({ data }) => data.bankUserId).filter(id => !knownUsers.has(id)))];
+		if (missing.length === 0) return;
+
+		const stored = await BankUser.findAll({
+			where: { clientId, bankUserId: { [Op.in]: missing } },
+			attributes: ['bankUserId'],
+			raw: true
+		});
+		stored.forEach(({ bankUserId }) => knownUsers.add(bankUserId));
+	}
+
+	/**
+	 * Add accounts of a batch that already exist in the database to knownAccounts
+	 * @private
+	 */
+	async _loadKnownAccounts(clientId, batch, knownAccounts) {
+		const missing = batch
+			.map(({ data }) => data)
+			.filter(data => !knownAccounts.has(`${data.bankUserId}\u0000${data.accountId}`));
+		if (missing.length === 0) return;
+
+		const stored = await Account.findAll({
+			where: {
+				clientId,
+				bankUserId: { [Op.in]: [...new Set(missing.map(data => data.bankUserId))] },
+				accountId: { [Op.in]: [...new Set(missing.map(data => data.accountId))] }
+			},
+			attributes: ['bankUserId', 'accountId'],
+			raw: true
+		});
+		stored.forEach(({ bankUserId, accountId }) => knownAccounts.add(`${bankUserId}\u0000${accountId}`));
+	}
+
+	/**
+	 * Remove finished jobs older than the retention window (at most hourly)
+	 * @private
+	 */
+	async _cleanupOldJobs() {
+		if (Date.now() - this.lastCleanupAt < 60 * 60 * 1000) return;
+		this.lastCleanupAt = Date.now();
+
+		const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000);
+		const removed = await IngestionJob.destroy({
+			where: {
+				status: { [Op.in]: ['completed', 'failed'] },
+				updatedAt: { [Op.lt]: cutoff }
+			}
+		});
+
+		if (removed > 0) {
+			logger.info(`Cleaned up ${removed} old bulk ingestion jobs`);
+		}
+	}
+}
+
+/**
+ * Collects per-row errors, keeping the first `limit` in full and counting the rest
+ */
+class RowErrorCollector {
+	constructor(limit) {
+		this.limit = limit;
+		this.errors = [];
+		this.count = 0;
+	}
+
+	add(line, type, id, messages) {
+		this.count++;
+		if (this.errors.length < this.limit) {
+			this.errors.push({ line, type, id, errors: messages });
+		}
+	}
+
+	list() {
+		return this.errors.sort((a, b) => a.line - b.line);
+	}
+}
+
+/**
+ * "bank_user_id", "Bank User ID" and "bankUserId" all become "bankUserId"
+ */
+function toCamelCase(key) {
+	const words = String(key).trim().split(/[_\s-]+/).filter(Boolean);
+	if (words.length === 1) return words[0].charAt(0).toLowerCase() + words[0].slice(1);
+
+	return words.map((word, index) => {
+		const lower = word.toLowerCase();
+		return index === 0 ? lower : lower.charAt(0).toUpperCase() + lower.slice(1);
+	}).join('');
+}
+
+function chunk(items, size) {
+	const chunks = [];
+	for (let i = 0; i < items.length; i += size) {
+		chunks.push(items.slice(i, i + size));
+	}
+	return chunks;
+}
+
+module.exports = new BulkIngestionService();
@@ -0,0 +1,400 @@
+// src/services/cash-flow-forecast.service.js
+const { Op } = require('sequelize');
+const { Transaction, Account, BankUser } = require('../models');
+const recurrenceDetector = require('./recurrence-detector.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUPPORTED_HORIZONS = [30, 60, 90];
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+// Account types whose balance is spendable cash (credit and loan balances are excluded)
+const CASH_ACCOUNT_TYPES = ['checking', 'savings', 'depository', 'cash', 'money market', 'prepaid'];
+
+// Bounds on how far one calendar month's discretionary spend may move the forecast
+const MIN_SEASONAL_INDEX = 0.5;
+const MAX_SEASONAL_INDEX = 2;
+
+/**
+ * Projects daily balances per account from detected recurring income and
+ * bills plus the remaining (discretionary) spend. Discretionary spend is a
+ * day-of-week profile of the recent lookback window, scaled by a
+ * month-of-year index when a full year of history is available. Holidays,
+ * paydays within the month and other day-of-month effects are not modelled.
+ */
+class CashFlowForecastService {
+	constructor() {
+		this.recurringLookbackDays = parseInt(process.env.RECURRENCE_LOOKBACK_DAYS || '400', 10);
+		this.discretionaryLookbackDays = parseInt(process.env.FORECAST_DISCRETIONARY_LOOKBACK_DAYS || '91', 10);
+	}
+
+	/**
+	 * Horizons accepted by the forecast endpoint
+	 * @returns {Array<number>}
+	 */
+	get supportedHorizons() {
+		return SUPPORTED_HORIZONS;
+	}
+
+	/**
+	 * Forecast balances for a stored bank user
+	 * @param {string} clientId - Client ID (bank)
+	 * @param {string} bankUserId - Bank user ID
+	 * @param {Object} options - horizonDays, asOf
+	 * @returns {Promise<Object>} - Forecast
+	 */
+	async getForecastForUser(clientId, bankUserId, options = {}) {
+		const asOf = options.asOf ? new Date(options.asOf) : new Date();
+
+		const bankUser = await BankUser.findOne({ where: { clientId, bankUserId } });
+		if (!bankUser) {
+			const error = new Error(`Bank user ${bankUserId} not found for client ${clientId}`);
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const [accounts, transactions] = await Promise.all([
+			Account.findAll({ where: { clientId, bankUserId, isActive: true } }),
+			Transaction.findAll({
+				where: {
+					clientId,
+					bankUserId,
+					date: {
+						[Op.between]: [new Date(asOf.getTime() - this.recurringLookbackDays * DAY_MS), asOf]
+					}
+				},
+				order: [['date', 'ASC']]
+			})
+		]);
+
+		logger.info(`Forecasting cash flow for bank user ${bankUserId}`, {
+			clientId,
+			horizonDays: options.horizonDays,
+			accounts: accounts.length,
+			transactions: transactions.length
+		});
+
+		return this.forecast({ accounts, transactions, horizonDays: options.horizonDays, asOf });
+	}
+
+	/**
+	 * Forecast balances from in-memory accounts and transactions
+	 * @param {Object} input
+	 * @param {Array} input.accounts - Accounts with current balances
+	 * @param {Array} input.transactions - Transaction history
+	 * @param {number} input.horizonDays - 30, 60 or 90
+	 * @param {Date} [input.asOf] - Forecast start date; defaults to the latest transaction
+	 *   date, since balances of uploaded statements are as of the statement's end
+	 * @returns {Object} - Per-account and combined daily projections
+	 */
+	forecast({ accounts = [], transactions = [], horizonDays = 30, asOf = null }) {
+		const start = this._startOfDay(asOf ? new Date(asOf) : recurrenceDetector.latestTransactionDate(transactions));
+		const until = new Date(start.getTime() + horizonDays * DAY_MS);
+
+		const cashAccounts = accounts
+			.map(account => account.dataValues ? account.dataValues : account)
+			.filter(account => this._isCashAccount(account));
+
+		const { recurring } = recurrenceDetector.detect(transactions, { asOf: start });
+		const activeSeries = recurring.filter(series => series.status !== 'inactive');
+		const recurringKeys = new Set(activeSeries.map(series => series.merchantKey));
+		const primaryAccountId = this._primaryAccountId(cashAccounts);
+		const seasonality = this._seasonalIndex(transactions, recurringKeys, start);
+
+		const accountForecasts = cashAccounts.map(account => {
+			const ownSeries = activeSeries.filter(series =>
+				(series.accountId || primaryAccountId) === account.accountId
+			);
+			const discretionary = this._discretionaryProfile(
+				transactions.filter(tx => (tx.accountId || primaryAccountId) === account.accountId),
+				recurringKeys,
+				start
+			);
+
+			return this._projectAccount(account, ownSeries, discretionary, seasonality, start, until, horizonDays);
+		});
+
+		const combined = this._combine(accountForecasts, horizonDays);
+
+		return {
+			asOf: start.toISOString(),
+			horizonDays,
+			confidenceLevels: { band: 0.8, outerBand: 0.95 },
+			accounts: accountForecasts,
+			combined,
+			assumptions: {
+				recurringIncomeMonthly: this._monthlyTotal(activeSeries, 'inflow'),
+				recurringBillsMonthly: this._monthlyTotal(activeSeries, 'outflow'),
+				recurringSeries: activeSeries.length,
+				discretionaryLookbackDays: this.discretionaryLookbackDays,
+				seasonality: seasonality.applied ? 'month-of-year' : 'none',
+				seasonalIndex: seasonality.applied ? seasonality.byMonth.map(value => Number(value.toFixed(2))) : null,
+				excludedAccounts: accounts.length - cashAccounts.length
+			}
+		};
+	}
+
+	/**
+	 * Project one account day by day
+	 * @private
+	 */
+	_projectAccount(account, series, discretionary, seasonality, start, until, horizonDays) {
+		const startingBalance = Number(account.balance || 0);
+
+		// Expected recurring events keyed by day offset
+		const events = new Map();
+		series.forEach(item => {
+			const sign = item.direction === 'inflow' ? 1 : -1;
+			// Uncertainty grows with price drift and with doubt that the series is real
+			const sd = item.nextExpectedAmount * Math.max(item.amountVariation, 1 - item.confidence);
+
+			recurrenceDetector.projectOccurrences(item, until, start).forEach(date => {
+				const offset = Math.ceil((this._startOfDay(date) - start) / DAY_MS);
+				if (offset < 1 || offset > horizonDays) return;
+
+				if (!events.has(offset)) events.set(offset, []);
+				events.get(offset).push({
+					merchant: item.merchant,
+					type: item.type,
+					amount: Number((sign * item.nextExpectedAmount).toFixed(2)),
+					variance: sd * sd
+				});
+			});
+		});
+
+		const days = [];
+		let expected = startingBalance;
+		let variance = 0;
+		let minBalance = { date: start.toISOString().substring(0, 10), amount: startingBalance };
+		let projectedOverdraftDate = null;
+		let overdraftRiskDate = null;
+		let maxOverdraftProbability = 0;
+
+		for (let offset = 1; offset <= horizonDays; offset++) {
+			const date = new Date(start.getTime() + offset * DAY_MS);
+			const weekday = discretionary.byWeekday[date.getUTCDay()];
+			const season = seasonality.byMonth[date.getUTCMonth()] / seasonality.baseline;
+			const dayEvents = events.get(offset) || [];
+
+			expected += weekday.mean * season;
+			variance += weekday.variance * season * season;
+			dayEvents.forEach(event => {
+				expected += event.amount;
+				variance += event.variance;
+			});
+
+			const sd = Math.sqrt(variance);
+			const dateKey = date.toISOString().substring(0, 10);
+			const overdraftProbability = sd > 0
+				? this._normalCdf(-expected / sd)
+				: (expected < 0 ? 1 : 0);
+
+			if (expected < minBalance.amount) {
+				minBalance = { date: dateKey, amount: expected };
+			}
+			if (!projectedOverdraftDate && expected < 0) {
+				projectedOverdraftDate = dateKey;
+			}
+			if (!overdraftRiskDate && expected - Z_80 * sd < 0) {
+				overdraftRiskDate = dateKey;
+			}
+			maxOverdraftProbability = Math.max(maxOverdraftProbability, overdraftProbability);
+
+			days.push({
+				date: dateKey,
+				expected: this._round(expected),
+				low: this._round(expected - Z_80 * sd),
+				high: this._round(expected + Z_80 * sd),
+				low95: this._round(expected - Z_95 * sd),
+				high95: this._round(expected + Z_95 * sd),
+				variance,
+				events: dayEvents.map(({ merchant, type, amount }) => ({ merchant, type, amount }))
+			});
+		}
+
+		return {
+			accountId: account.accountId,
+			name: account.name,
+			type: account.type,
+			startingBalance: this._round(startingBalance),
+			endingBalance: days.length ? days[days.length - 1].expected : this._round(startingBalance),
+			minBalance: { date: minBalance.date, amount: this._round(minBalance.amount) },
+			projectedOverdraftDate,
+			overdraftRiskDate,
+			overdraftProbability: Number(maxOverdraftProbability.toFixed(3)),
+			discretionaryDailyAverage: this._round(discretionary.dailyAverage),
+			days
+		};
+	}
+
+	/**
+	 * Sum account projections into a single series (accounts treated as independent)
+	 * @private
+	 */
+	_combine(accountForecasts, horizonDays) {
+		const days = [];
+		let projectedOverdraftDate = null;
+		let overdraftRiskDate = null;
+
+		for (let i = 0; i < horizonDays; i++) {
+			const dayEntries = accountForecasts.map(account => account.days[i]).filter(Boolean);
+			if (dayEntries.length === 0) break;
+
+			const expected = dayEntries.reduce((sum, day) => sum + day.expected, 0);
+			const sd = Math.sqrt(dayEntries.reduce((sum, day) => sum + day.variance, 0));
+			const date = dayEntries[0].date;
+
+			if (!projectedOverdraftDate && expected < 0) projectedOverdraftDate = date;
+			if (!overdraftRiskDate && expected - Z_80 * sd < 0) overdraftRiskDate = date;
+
+			days.push({
+				date,
+				expected: this._round(expected),
+				low: this._round(expected - Z_80 * sd),
+				high: this._round(expected + Z_80 * sd),
+				low95: this._round(expected - Z_95 * sd),
+				high95: this._round(expected + Z_95 * sd)
+			});
+		}
+
+		// Variance is only needed for combining; keep the response compact
+		accountForecasts.forEach(account => account.days.forEach(day => delete day.variance));
+
+		const startingBalance = accountForecasts.reduce((sum, account) => sum + account.startingBalance, 0);
+		const minDay = days.reduce((min, day) => (!min || day.expected < min.expected ? day : min), null);
+
+		return {
+			startingBalance: this._round(startingBalance),
+			endingBalance: days.length ? days[days.length - 1].expected : this._round(startingBalance),
+			minBalance: minDay ? { date: minDay.date, amount: minDay.expected } : null,
+			projectedOverdraftDate,
+			overdraftRiskDate,
+			accountsAtRisk: accountForecasts.filter(account => account.overdraftRiskDate).map(account => account.accountId),
+			days
+		};
+	}
+
+	/**
+	 * Day-of-week mean and variance of non-recurring net flow over the lookback window
+	 * @private
+	 */
+	_discretionaryProfile(transactions, recurringKeys, start) {
+		const windowStart = new Date(start.getTime() - this.discretionaryLookbackDays * DAY_MS);
+		const dailyTotals = new Map();
+
+		transactions.forEach(tx => {
+			const date = new Date(tx.date);
+			if (tx.pending || date < windowStart || date >= start) return;
+			if (recurringKeys.has(recurrenceDetector.seriesKey(tx))) return;
+
+			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
+			const key = this._startOfDay(date).getTime();
+			dailyTotals.set(key, (dailyTotals.get(key) || 0) + amount);
+		});
+
+		// Fill days without activity with zero so quiet days pull the mean down
+		const byWeekday = Array.from({ length: 7 }, () => []);
+		const days = Math.round((start - windowStart) / DAY_MS);
+		for (let i = 0; i < days; i++) {
+			const day = new Date(windowStart.getTime() + i * DAY_MS);
+			const key = this._startOfDay(day).getTime();
+			byWeekday[new Date(key).getUTCDay()].push(dailyTotals.get(key) || 0);
+		}
+
+		const profile = byWeekday.map(values => {
+			if (values.length === 0) return { mean: 0, variance: 0 };
+			const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+			const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+			return { mean, variance };
+		});
+
+		return {
+			byWeekday: profile,
+			dailyAverage: profile.reduce((sum, day) => sum + day.mean, 0) / 7
+		};
+	}
+
+	/**
+	 * Discretionary outflow per calendar month over the last 12 complete months,
+	 * relative to the average month. The baseline is the index averaged over the
+	 * weekday profile's window, so months already reflected in it aren't counted twice.
+	 * @private
+	 */
+	_seasonalIndex(transactions, recurringKeys, start) {
+		const windowStart = new Date(start.getTime() - this.discretionaryLookbackDays * DAY_MS);
+		const yearEnd = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1);
+		const yearStart = Date.UTC(start.getUTCFullYear() - 1, start.getUTCMonth(), 1);
+		const flat = { applied: false, byMonth: new Array(12).fill(1), baseline: 1 };
+
+		const earliest = transactions.reduce((min, tx) => {
+			const time = new Date(tx.date).getTime();
+			return isNaN(time) || time >= min ? min : time;
+		}, Infinity);
+		if (earliest > yearStart + 7 * DAY_MS) {
+			return flat;
+		}
+
+		const totals = new Array(12).fill(0);
+		transactions.forEach(tx => {
+			const date = new Date(tx.date);
+			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
+			if (tx.pending || amount >= 0 || date < yearStart || date >= yearEnd) return;
+			if (recurringKeys.has(recurrenceDetector.seriesKey(tx))) return;
+
+			totals[date.getUTCMonth()] += -amount;
+		});
+
+		const average = totals.reduce((sum, total) => sum + total, 0) / 12;
+		if (average <= 0) return flat;
+
+		const byMonth = totals.map(total => Math.min(MAX_SEASONAL_INDEX, Math.max(MIN_SEASONAL_INDEX, total / average)));
+
+		let baselineSum = 0;
+		const days = Math.round((start - windowStart) / DAY_MS);
+		for (let i = 0; i < days; i++) {
+			baselineSum += byMonth[new Date(windowStart.getTime() + i * DAY_MS).getUTCMonth()];
+		}
+
+		return { applied: true, byMonth, baseline: days > 0 ? baselineSum / days : 1 };
+	}
+
+	_isCashAccount(account) {
+		const type = (account.type || '').toLowerCase();
+		const subtype = (account.subtype || '').toLowerCase();
+		return CASH_ACCOUNT_TYPES.includes(type) || CASH_ACCOUNT_TYPES.includes(subtype);
+	}
+
+	_primaryAccountId(accounts) {
+		const preferred = accounts.find(account => (account.type || '').toLowerCase() === 'checking') ||
+			[...accounts].sort((a, b) => Number(b.balance || 0) - Number(a.balance || 0))[0];
+		return preferred ? preferred.accountId : null;
+	}
+
+	_monthlyTotal(series, direction) {
+		return this._round(series
+			.filter(item => item.direction === direction)
+			.reduce((sum, item) => sum + item.monthlyAmount, 0));
+	}
+
+	_startOfDay(date) {
+		return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+	}
+
+	_round(value) {
+		return Math.round(value * 100) / 100;
+	}
+
+	/**
+	 * Standard normal CDF (Abramowitz-Stegun approximation)
+	 * @private
+	 */
+	_normalCdf(z) {
+		const t = 1 / (1 + 0.2316419 * Math.abs(z));
+		const d = 0.3989423 * Math.exp(-z * z / 2);
+		const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+		return z > 0 ? 1 - p : p;
+	}
+}
+
+module.exports = new CashFlowForecastService();
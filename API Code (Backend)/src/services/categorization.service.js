@@ -0,0 +1,618 @@
+// src/services/categorization.service.js
+const { Op } = require('sequelize');
+const { CategoryRule, CategoryTaxonomy, Transaction } = require('../models');
+const { DEFAULT_TAXONOMY, DEFAULT_CATEGORY_RULES } = require('../utils/category-taxonomy');
+const merchantNormalization = require('./merchant-normalization.service');
+const { findUnsafeRegexReason } = require('../utils/safe-regex');
+const reportCache = require('../utils/report-cache');
+const logger = require('../utils/logger');
+
+const MATCH_TYPES = ['keyword', 'regex', 'mcc', 'source_category', 'merchant'];
+const CATEGORY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,99}$/;
+const MAX_PATTERN_LENGTH = 500;
+const MAX_REGEX_LENGTH = 200;
+const MAX_CATEGORIES = 200;
+
+/**
+ * Assigns every transaction a category from its client's taxonomy.
+ * Client rules are tried first (highest priority wins). Otherwise the
+ * built-in MCC / merchant / source category / keyword rules pick a default
+ * category, which is translated into the client taxonomy through `mapsFrom`.
+ * The rule that fired is recorded so results can be explained and replayed.
+ */
+class CategorizationService {
+	constructor() {
+		this.cacheTTL = parseInt(process.env.CATEGORY_RULES_CACHE_TTL || '60000', 10);
+		this.defaultTaxonomy = this._compileTaxonomy({ ...DEFAULT_TAXONOMY, fallbackCategoryId: 'uncategorized', version: 0 }, true);
+		this.builtInRules = this._compileBuiltIns();
+		this.clientRules = new Map();
+		this.taxonomies = new Map();
+		this.loadedAt = 0;
+		this.loading = null;
+	}
+
+	/**
+	 * Load client rules and taxonomies from the database (cached)
+	 * @param {boolean} force - Bypass the cache
+	 */
+	async loadRules(force = false) {
+		if (!force && Date.now() - this.loadedAt < this.cacheTTL) return;
+		if (this.loading) return this.loading;
+
+		this.loading = (async () => {
+			try {
+				const [rules, taxonomies] = await Promise.all([
+					CategoryRule.findAll({ where: { isActive: true } }),
+					CategoryTaxonomy.findAll()
+				]);
+
+				const clientRules = new Map();
+				rules.forEach(rule => {
+					const compiled = this._compileRule(rule, 'client');
+					if (!compiled) return;
+					if (!clientRules.has(rule.clientId)) clientRules.set(rule.clientId, []);
+					clientRules.get(rule.clientId).push(compiled);
+				});
+				clientRules.forEach(list => list.sort((a, b) => b.priority - a.priority));
+
+				this.clientRules = clientRules;
+				this.taxonomies = new Map(taxonomies.map(t => [t.clientId, this._compileTaxonomy(t)]));
+				this.loadedAt = Date.now();
+
+				logger.debug(`Loaded ${rules.length} category rules and ${taxonomies.length} client taxonomies`);
+			} catch (error) {
+				// Built-in rules keep working if the tables are unavailable
+				logger.warn(`Failed to load category rules, using default taxonomy only: ${error.message}`);
+				this.loadedAt = Date.now();
+			} finally {
+				this.loading = null;
+			}
+		})();
+
+		return this.loading;
+	}
+
+	/**
+	 * Categorize one transaction with the currently cached rules
+	 * @param {Object} tx - Transaction (description, merchantName, category, mcc, canonicalMerchantId...)
+	 * @param {string} clientId - Client whose taxonomy and rules apply
+	 * @returns {Object} - categoryId, category, parentCategoryId, sourceCategory, categoryRuleId, matchedRule
+	 */
+	categorizeSync(tx, clientId = null) {
+		const taxonomy = (clientId && this.taxonomies.get(clientId)) || this.defaultTaxonomy;
+		const context = this._buildContext(tx);
+
+		// Client rules target the client taxonomy directly
+		const clientRule = (this.clientRules.get(clientId) || [])
+			.find(rule => taxonomy.byId.has(rule.categoryId) && this._test(rule, context));
+		if (clientRule) {
+			return this._result(taxonomy, clientRule.categoryId, clientRule, context);
+		}
+
+		// Built-in rules resolve to the default taxonomy, then map across
+		const builtInRule = this.builtInRules.find(rule => this._test(rule, context));
+		if (builtInRule) {
+			const categoryId = taxonomy.fromDefault.get(builtInRule.categoryId);
+			if (categoryId) {
+				return this._result(taxonomy, categoryId, builtInRule, context);
+			}
+		}
+
+		return this._result(taxonomy, taxonomy.fallbackCategoryId, null, context);
+	}
+
+	/**
+	 * Categorize a batch of incoming transactions
+	 * @param {Array} transactions - Incoming transaction objects
+	 * @param {string} clientId - Client whose taxonomy and rules apply
+	 * @returns {Promise<Array>} - Transactions with category, categoryId, sourceCategory and categoryRuleId
+	 */
+	async categorizeTransactions(transactions, clientId = null) {
+		await Promise.all([this.loadRules(), merchantNormalization.loadRules()]);
+
+		return transactions.map(tx => {
+			const result = this.categorizeSync(tx, clientId);
+			return {
+				...tx,
+				category: result.category,
+				categoryId: result.categoryId,
+				sourceCategory: result.sourceCategory,
+				categoryRuleId: result.categoryRuleId
+			};
+		});
+	}
+
+	/**
+	 * Re-run categorization over stored transactions (after rules or the taxonomy change)
+	 * @param {Object} filters - clientId, bankUserId
+	 * @returns {Promise<Object>} - Counts of scanned and updated rows
+	 */
+	async recategorize({ clientId, bankUserId } = {}) {
+		await Promise.all([this.loadRules(true), merchantNormalization.loadRules()]);
+
+		const where = {};
+		if (clientId) where.clientId = clientId;
+		if (bankUserId) where.bankUserId = bankUserId;
+
+		const batchSize = 500;
+		const affectedUsers = new Set();
+		let lastId = null;
+		let scanned = 0;
+		let updated = 0;
+
+		// Keyset pagination keeps memory flat on large tables
+		while (true) {
+			const batch = await Transaction.findAll({
+				where: lastId ? { ...where, id: { [Op.gt]: lastId } } : where,
+				attributes: [
+					'id', 'clientId', 'bankUserId', 'description', 'merchantName', 'canonicalMerchantId',
+					'category', 'categoryId', 'sourceCategory', 'categoryRuleId', 'metadata'
+				],
+				order: [['id', 'ASC']],
+				limit: batchSize
+			});
+
+			if (batch.length === 0) break;
+
+			for (const tx of batch) {
+				// Rows stored before categorization keep their original category as the source
+				const sourceCategory = tx.sourceCategory !== null ? tx.sourceCategory : tx.category;
+				const result = this.categorizeSync({
+					description: tx.description,
+					merchantName: tx.merchantName,
+					canonicalMerchantId: tx.canonicalMerchantId,
+					sourceCategory,
+					metadata: tx.metadata
+				}, tx.clientId);
+
+				if (result.categoryId !== tx.categoryId ||
+					result.category !== tx.category ||
+					result.categoryRuleId !== tx.categoryRuleId ||
+					result.sourceCategory !== tx.sourceCategory) {
+					await Transaction.update({
+						category: result.category,
+						categoryId: result.categoryId,
+						sourceCategory: result.sourceCategory,
+						categoryRuleId: result.categoryRuleId
+					}, { where: { id: tx.id } });
+					affectedUsers.add(tx.bankUserId);
+					updated++;
+				}
+			}
+
+			scanned += batch.length;
+			lastId = batch[batch.length - 1].id;
+		}
+
+		for (const userId of affectedUsers) {
+			try {
+				await reportCache.invalidateUser(userId);
+			} catch (error) {
+				logger.warn(`Failed to invalidate report cache for bank user ${userId}: ${error.message}`);
+			}
+		}
+
+		logger.info('Recategorized stored transactions', { clientId, bankUserId, scanned, updated, bankUsers: affectedUsers.size });
+		return { scanned, updated, bankUsers: affectedUsers.size };
+	}
+
+	/**
+	 * Taxonomy in effect for a client
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<Object>} - name, categories, fallbackCategoryId, version, isDefault
+	 */
+	async getTaxonomy(clientId) {
+		await this.loadRules();
+		const taxonomy = this.taxonomies.get(clientId) || this.defaultTaxonomy;
+
+		return {
+			name: taxonomy.name,
+			categories: taxonomy.categories,
+			fallbackCategoryId: taxonomy.fallbackCategoryId,
+			version: taxonomy.version,
+			isDefault: taxonomy.isDefault,
+			defaultCategories: DEFAULT_TAXONOMY.categories
+		};
+	}
+
+	/**
+	 * Replace a client's taxonomy
+	 * @param {string} clientId - Client ID
+	 * @param {Object} data - name, categories, fallbackCategoryId
+	 * @param {string} updatedBy - User ID
+	 * @returns {Promise<Object>} - Saved taxonomy
+	 */
+	async updateTaxonomy(clientId, data, updatedBy) {
+		const categories = this._validateTaxonomy(data);
+		const fallbackCategoryId = data.fallbackCategoryId || 'uncategorized';
+
+		const existing = await CategoryTaxonomy.findOne({ where: { clientId } });
+		let taxonomy;
+
+		if (existing) {
+			taxonomy = await existing.update({
+				name: data.name || existing.name,
+				categories,
+				fallbackCategoryId,
+				version: existing.version + 1,
+				updatedBy
+			});
+		} else {
+			taxonomy = await CategoryTaxonomy.create({
+				clientId,
+				name: data.name || 'Custom',
+				categories,
+				fallbackCategoryId,
+				updatedBy
+			});
+		}
+
+		await this.loadRules(true);
+		return taxonomy;
+	}
+
+	/**
+	 * Validate and create a client rule
+	 * @param {string} clientId - Client ID
+	 * @param {Object} data - Rule fields
+	 * @param {string} createdBy - User ID
+	 * @returns {Promise<Object>} - Created rule
+	 */
+	async createRule(clientId, data, createdBy) {
+		await this.loadRules();
+		this._validateRule(clientId, data);
+
+		const rule = await CategoryRule.create({
+			clientId,
+			categoryId: data.categoryId,
+			matchType: data.matchType || 'keyword',
+			pattern: data.pattern,
+			priority: data.priority !== undefined ? data.priority : 100,
+			isActive: data.isActive !== false,
+			notes: data.notes || null,
+			createdBy
+		});
+
+		await this.loadRules(true);
+		return rule;
+	}
+
+	/**
+	 * Update a client rule
+	 * @param {string} clientId - Client ID
+	 * @param {string} id - Rule ID
+	 * @param {Object} data - Fields to change
+	 * @returns {Promise<Object|null>} - Updated rule, or null when missing
+	 */
+	async updateRule(clientId, id, data) {
+		const rule = await CategoryRule.findOne({ where: { id, clientId } });
+		if (!rule) return null;
+
+		const allowed = ['categoryId', 'matchType', 'pattern', 'priority', 'isActive', 'notes'];
+		const changes = {};
+		allowed.forEach(field => {
+			if (data[field] !== undefined) changes[field] = data[field];
+		});
+
+		await this.loadRules();
+		this._validateRule(clientId, { ...rule.toJSON(), ...changes });
+
+		await rule.update(changes);
+		await this.loadRules(true);
+		return rule;
+	}
+
+	/**
+	 * Delete a client rule
+	 * @param {string} clientId - Client ID
+	 * @param {string} id - Rule ID
+	 * @returns {Promise<boolean>} - Whether a rule was removed
+	 */
+	async deleteRule(clientId, id) {
+		const removed = await CategoryRule.destroy({ where: { id, clientId } });
+		await this.loadRules(true);
+		return removed > 0;
+	}
+
+	/**
+	 * List a client's rules
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<Array>}
+	 */
+	async listRules(clientId) {
+		return CategoryRule.findAll({
+			where: { clientId },
+			order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+		});
+	}
+
+	/**
+	 * Gather the values rules match against
+	 * @private
+	 */
+	_buildContext(tx) {
+		const metadata = tx.metadata || {};
+		const rawSource = tx.sourceCategory !== undefined ? tx.sourceCategory : tx.category;
+		const sourceCategory = Array.isArray(rawSource) ? (rawSource[0] || null) : (rawSource || null);
+
+		const sources = [
+			...(Array.isArray(rawSource) ? rawSource : [rawSource]),
+			tx.subCategory,
+			...(Array.isArray(tx.categoryDetail) ? tx.categoryDetail : []),
+			...(Array.isArray(metadata.categoryDetail) ? metadata.categoryDetail : [])
+		]
+			.filter(value => typeof value === 'string' && value.trim())
+			.map(value => value.trim().toLowerCase());
+
+		let merchantId = tx.canonicalMerchantId || null;
+		if (!merchantId && (tx.merchantName || tx.description)) {
+			merchantId = merchantNormalization.normalizeSync(tx).canonicalMerchantId;
+		}
+		const merchant = merchantNormalization.getMerchant(merchantId);
+		const merchantValues = [merchantId, merchant && merchant.category]
+			.filter(Boolean)
+			.map(value => value.toLowerCase());
+
+		const mccValue = tx.mcc !== undefined && tx.mcc !== null ? tx.mcc : metadata.mcc;
+		const mcc = mccValue !== undefined && mccValue !== null && /^\d{4}$/.test(String(mccValue).trim())
+			? parseInt(String(mccValue).trim(), 10)
+			: null;
+
+		return {
+			text: [tx.merchantName, tx.description].filter(Boolean).join(' '),
+			sources,
+			sourceCategory: sourceCategory ? String(sourceCategory).substring(0, 255) : null,
+			merchantValues,
+			mcc
+		};
+	}
+
+	_result(taxonomy, categoryId, rule, context) {
+		const category = taxonomy.byId.get(categoryId) || { id: categoryId, name: categoryId, parentId: null };
+
+		return {
+			categoryId: category.id,
+			category: category.name,
+			parentCategoryId: category.parentId || null,
+			sourceCategory: context.sourceCategory,
+			categoryRuleId: rule ? rule.id : null,
+			matchedRule: rule
+				? { id: rule.id, source: rule.source, matchType: rule.matchType, pattern: rule.pattern, priority: rule.priority }
+				: null,
+			taxonomyVersion: taxonomy.version
+		};
+	}
+
+	_test(rule, context) {
+		switch (rule.matchType) {
+			case 'keyword':
+			case 'regex':
+				return rule.regex.test(context.text);
+			case 'mcc':
+				return context.mcc !== null && rule.ranges.some(([start, end]) => context.mcc >= start && context.mcc <= end);
+			case 'source_category':
+				return context.sources.some(value => rule.values.includes(value));
+			case 'merchant':
+				return context.merchantValues.some(value => rule.values.includes(value));
+			default:
+				return false;
+		}
+	}
+
+	_compileBuiltIns() {
+		const counters = {};
+
+		return DEFAULT_CATEGORY_RULES
+			.map(rule => {
+				// Stable IDs so stored categoryRuleId values survive reordering of other rules
+				const key = `${rule.categoryId}:${rule.matchType}`;
+				counters[key] = (counters[key] || 0) + 1;
+				return this._compileRule({ ...rule, id: `system:${key}:${counters[key]}` }, 'system');
+			})
+			.filter(Boolean)
+			.sort((a, b) => b.priority - a.priority);
+	}
+
+	_compileRule(rule, source) {
+		try {
+			const compiled = {
+				id: rule.id,
+				categoryId: rule.categoryId,
+				matchType: rule.matchType,
+				pattern: rule.pattern,
+				priority: rule.priority,
+				source
+			};
+
+			const alternatives = this._splitPattern(rule.pattern, rule.matchType === 'mcc' ? /[|,]/ : /\|/);
+
+			switch (rule.matchType) {
+				case 'keyword': {
+					const escaped = alternatives.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+					compiled.regex = new RegExp(`(^|[^A-Z0-9])(${escaped.join('|')})(?=$|[^A-Z0-9])`, 'i');
+					break;
+				}
+				case 'regex': {
+					// Client regexes run on every ingested transaction; never load one that could stall the event loop
+					const unsafe = source === 'client' && this._unsafeRegexReason(rule.pattern);
+					if (unsafe) throw new Error(unsafe);
+					compiled.regex = new RegExp(rule.pattern, 'i');
+					break;
+				}
+				case 'mcc':
+					compiled.ranges = alternatives.map(part => this._parseMccRange(part));
+					break;
+				case 'source_category':
+				case 'merchant':
+					compiled.values = alternatives.map(value => value.toLowerCase());
+					break;
+				default:
+					throw new Error(`unknown matchType ${rule.matchType}`);
+			}
+
+			return compiled;
+		} catch (error) {
+			logger.warn(`Skipping invalid category rule ${rule.id}: ${error.message}`);
+			return null;
+		}
+	}
+
+	_compileTaxonomy(taxonomy, isDefault = false) {
+		const categories = (taxonomy.categories || []).map(category => ({
+			id: category.id,
+			name: category.name,
+			parentId: category.parentId || null,
+			mapsFrom: Array.isArray(category.mapsFrom) ? category.mapsFrom : []
+		}));
+
+		const byId = new Map(categories.map(category => [category.id, category]));
+		const fromDefault = new Map();
+
+		// Explicit mapsFrom entries win over categories that reuse a default ID
+		categories.forEach(category => {
+			category.mapsFrom.forEach(defaultId => {
+				if (!fromDefault.has(defaultId)) fromDefault.set(defaultId, category.id);
+			});
+		});
+		categories.forEach(category => {
+			if (!fromDefault.has(category.id)) fromDefault.set(category.id, category.id);
+		});
+
+		return {
+			name: taxonomy.name,
+			categories,
+			byId,
+			fromDefault,
+			fallbackCategoryId: byId.has(taxonomy.fallbackCategoryId) ? taxonomy.fallbackCategoryId : 'uncategorized',
+			version: taxonomy.version,
+			isDefault
+		};
+	}
+
+	_splitPattern(pattern, separator) {
+		return String(pattern)
+			.split(separator)
+			.map(part => part.trim())
+			.filter(Boolean);
+	}
+
+	_parseMccRange(part) {
+		const match = /^(\d{4})(?:\s*-\s*(\d{4}))?$/.exec(part);
+		if (!match) throw new Error(`invalid MCC "${part}"`);
+
+		const start = parseInt(match[1], 10);
+		const end = match[2] ? parseInt(match[2], 10) : start;
+		if (end < start) throw new Error(`invalid MCC range "${part}"`);
+
+		return [start, end];
+	}
+
+	/**
+	 * Why a client regex could backtrack badly, or null when it is safe to run
+	 * @private
+	 */
+	_unsafeRegexReason(pattern) {
+		if (String(pattern).length > MAX_REGEX_LENGTH) {
+			return `regex patterns must be at most ${MAX_REGEX_LENGTH} characters`;
+		}
+		return findUnsafeRegexReason(pattern);
+	}
+
+	_validateRule(clientId, data) {
+		const fail = (message) => {
+			const error = new Error(message);
+			error.statusCode = 400;
+			throw error;
+		};
+
+		const taxonomy = this.taxonomies.get(clientId) || this.defaultTaxonomy;
+		const matchType = data.matchType || 'keyword';
+
+		if (!data.categoryId) fail('categoryId is required');
+		if (!taxonomy.byId.has(data.categoryId)) fail(`categoryId "${data.categoryId}" is not in the client taxonomy`);
+		if (!data.pattern || typeof data.pattern !== 'string') fail('pattern is required');
+		if (data.pattern.length > MAX_PATTERN_LENGTH) fail(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+		if (!MATCH_TYPES.includes(matchType)) fail(`matchType must be one of ${MATCH_TYPES.join(', ')}`);
+		if (data.priority !== undefined && !Number.isInteger(data.priority)) fail('priority must be an integer');
+
+		if (matchType === 'regex') {
+			try {
+				new RegExp(data.pattern, 'i');
+			} catch (error) {
+				fail(`Invalid regex: ${error.message}`);
+			}
+
+			const unsafe = this._unsafeRegexReason(data.pattern);
+			if (unsafe) fail(`Unsafe regex: ${unsafe}`);
+		} else if (matchType === 'mcc') {
+			try {
+				this._splitPattern(data.pattern, /[|,]/).forEach(part => this._parseMccRange(part));
+			} catch (error) {
+				fail(`Invalid mcc pattern: ${error.message}`);
+			}
+		} else if (this._splitPattern(data.pattern, /\|/).length === 0) {
+			fail('pattern is empty');
+		}
+	}
+
+	_validateTaxonomy(data) {
+		const fail = (message) => {
+			const error = new Error(message);
+			error.statusCode = 400;
+			throw error;
+		};
+
+		if (!data || !Array.isArray(data.categories) || data.categories.length === 0) {
+			fail('categories must be a non-empty array');
+		}
+		if (data.categories.length > MAX_CATEGORIES) fail(`A taxonomy can have at most ${MAX_CATEGORIES} categories`);
+
+		const defaultIds = new Set(DEFAULT_TAXONOMY.categories.map(category => category.id));
+		const ids = new Set();
+		const categories = data.categories.map(category => {
+			if (!category || !CATEGORY_ID_PATTERN.test(category.id || '')) {
+				fail('Category id must be a lower-case slug (a-z, 0-9, -)');
+			}
+			if (ids.has(category.id)) fail(`Duplicate category id "${category.id}"`);
+			if (!category.name || typeof category.name !== 'string' || category.name.length > 100) {
+				fail(`Category "${category.id}" needs a name of at most 100 characters`);
+			}
+
+			const mapsFrom = category.mapsFrom || [];
+			if (!Array.isArray(mapsFrom)) fail(`mapsFrom for "${category.id}" must be an array`);
+			mapsFrom.forEach(defaultId => {
+				if (!defaultIds.has(defaultId)) fail(`mapsFrom for "${category.id}" references unknown default category "${defaultId}"`);
+			});
+
+			ids.add(category.id);
+			return {
+				id: category.id,
+				name: category.name.trim(),
+				parentId: category.parentId || null,
+				mapsFrom
+			};
+		});
+
+		const byId = new Map(categories.map(category => [category.id, category]));
+		categories.forEach(category => {
+			// Walk up the parent chain to catch unknown parents and cycles
+			const seen = new Set([category.id]);
+			let parentId = category.parentId;
+			while (parentId) {
+				if (!byId.has(parentId)) fail(`parentId "${parentId}" of "${category.id}" does not exist`);
+				if (seen.has(parentId)) fail(`Category "${category.id}" has a circular parent chain`);
+				seen.add(parentId);
+				parentId = byId.get(parentId).parentId;
+			}
+		});
+
+		const fallbackCategoryId = data.fallbackCategoryId || 'uncategorized';
+		if (!byId.has(fallbackCategoryId)) {
+			fail(`fallbackCategoryId "${fallbackCategoryId}" must be one of the taxonomy categories`);
+		}
+
+		return categories;
+	}
+}
+
+module.exports = new CategorizationService();
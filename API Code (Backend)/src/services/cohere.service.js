@@ -2,6 +2,7 @@
 const dotenv = require('dotenv');
 const logger = require('../utils/logger');
 const fetch = require('node-fetch');
+const promptRegistry = require('./prompt-registry.service');
 
 dotenv.config();
 
@@ -16,128 +17,7 @@ class CohereService {
       // Extract query and queryType
       const { query, queryType } = userData;
 
-      // Select the appropriate prompt based on query type
-      let prompt;
-      let maxTokens = 800;  // Default token limit
-      let temperature = 0.3; // Default temperature
-
-      switch (queryType) {
-        case 'harmful':
-          prompt = this._createHarmfulContentPrompt(userData);
-          maxTokens = 200;  // Shorter for harm refusals
-          temperature = 0.1; // Very consistent for harm refusals
-          break;
-        case 'greeting':
-          prompt = this._createGreetingPrompt(userData);
-          maxTokens = 200;  // Shorter for greetings
-          temperature = 0.2; // More consistency for greetings
-          break;
-        case 'joke':
-          prompt = this._createJokePrompt(userData);
-          maxTokens = 300;  // Medium length for jokes
-          temperature = 0.7; // Higher variety for jokes
-          break;
-        case 'budgeting':
-          prompt = this._createBudgetingPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'spending':
-          prompt = this._createSpendingPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'saving':
-          prompt = this._createSavingPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'investing':
-          prompt = this._createInvestingPrompt(userData);
-          maxTokens = 900;  // Slightly longer for investment advice
-          temperature = 0.3;
-          break;
-        case 'debt':
-          prompt = this._createDebtPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'tax':
-          prompt = this._createTaxPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'insurance':
-          prompt = this._createInsurancePrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'retirement':
-          prompt = this._createRetirementPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'banking':
-          prompt = this._createBankingPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'credit':
-          prompt = this._createCreditPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'planning':
-          prompt = this._createPlanningPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'real_estate':
-          prompt = this._createRealEstatePrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'crypto':
-          prompt = this._createCryptoPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'market_analysis':
-          prompt = this._createMarketAnalysisPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'education':
-          prompt = this._createEducationPrompt(userData);
-          maxTokens = 900;  // Longer for educational content
-          temperature = 0.3;
-          break;
-        case 'income':
-          prompt = this._createIncomePrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'transactions':
-          prompt = this._createTransactionsPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'security':
-          prompt = this._createSecurityPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        case 'forex':
-          prompt = this._createForexPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-          break;
-        default:
-          // Default to general financial insights prompt
-          prompt = this._createGeneralPrompt(userData);
-          maxTokens = 800;
-          temperature = 0.3;
-      }
+      const selected = await this._selectPrompt(userData);
 
       // Log the API call
       logger.info('Calling Cohere API for insights', {
@@ -151,11 +31,15 @@ class CohereService {
       // Configure API call based on query type
       const apiConfig = {
         model: 'command-r-plus-08-2024',
-        message: prompt,
-        max_tokens: maxTokens,
-        temperature: temperature
+        message: selected.prompt,
+        max_tokens: selected.maxTokens,
+        temperature: selected.temperature
       };
 
+      if (selected.system) {
+        apiConfig.preamble = selected.system;
+      }
+
       // Call the Cohere API
       const response = await fetch('https://api.cohere.ai/v1/chat', {
         method: 'POST',
@@ -234,7 +118,11 @@ class CohereService {
       }
 
       // Process the response
-      return this._processResponse(generatedText, queryType);
+      return {
+        ...this._processResponse(generatedText, queryType),
+        prompt: selected.info,
+        usage: this._extractUsage(data.meta, apiConfig.model)
+      };
     } catch (error) {
       // Enhanced error logging with more context
       logger.error('Error generating insights:', {
@@ -263,6 +151,388 @@ class CohereService {
     }
   }
 
+  /**
+   * Pick the prompt and generation settings for the query type. A registry
+   * template or experiment variant replaces the built-in prompt when one applies.
+   * @param {Object} userData - User data including query and context
+   * @returns {Promise<Object>} - Selection from the prompt registry
+   * @private
+   */
+  async _selectPrompt(userData) {
+    const { query, queryType } = userData;
+
+    // Select the appropriate prompt based on query type
+    let prompt;
+    let maxTokens = 800;  // Default token limit
+    let temperature = 0.3; // Default temperature
+
+    switch (queryType) {
+      case 'harmful':
+        prompt = this._createHarmfulContentPrompt(userData);
+        maxTokens = 200;  // Shorter for harm refusals
+        temperature = 0.1; // Very consistent for harm refusals
+        break;
+      case 'greeting':
+        prompt = this._createGreetingPrompt(userData);
+        maxTokens = 200;  // Shorter for greetings
+        temperature = 0.2; // More consistency for greetings
+        break;
+      case 'joke':
+        prompt = this._createJokePrompt(userData);
+        maxTokens = 300;  // Medium length for jokes
+        temperature = 0.7; // Higher variety for jokes
+        break;
+      case 'budgeting':
+        prompt = this._createBudgetingPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'spending':
+        prompt = this._createSpendingPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'saving':
+        prompt = this._createSavingPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'investing':
+        prompt = this._createInvestingPrompt(userData);
+        maxTokens = 900;  // Slightly longer for investment advice
+        temperature = 0.3;
+        break;
+      case 'debt':
+        prompt = this._createDebtPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'tax':
+        prompt = this._createTaxPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'insurance':
+        prompt = this._createInsurancePrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'retirement':
+        prompt = this._createRetirementPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'banking':
+        prompt = this._createBankingPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'credit':
+        prompt = this._createCreditPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'planning':
+        prompt = this._createPlanningPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'real_estate':
+        prompt = this._createRealEstatePrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'crypto':
+        prompt = this._createCryptoPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'market_analysis':
+        prompt = this._createMarketAnalysisPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'education':
+        prompt = this._createEducationPrompt(userData);
+        maxTokens = 900;  // Longer for educational content
+        temperature = 0.3;
+        break;
+      case 'income':
+        prompt = this._createIncomePrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'transactions':
+        prompt = this._createTransactionsPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'security':
+        prompt = this._createSecurityPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      case 'forex':
+        prompt = this._createForexPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+        break;
+      default:
+        // Default to general financial insights prompt
+        prompt = this._createGeneralPrompt(userData);
+        maxTokens = 800;
+        temperature = 0.3;
+    }
+
+    return promptRegistry.select('insights', {
+      queryType,
+      assignmentKey: userData.userId,
+      variables: {
+        query,
+        queryType,
+        userName: userData.userProfile?.name || '',
+        financialContext: this._formatUserDataSummary(userData)
+      },
+      builtin: { prompt, system: null, temperature, maxTokens }
+    });
+  }
+
+  /**
+   * Run one turn of a tool-calling conversation (Cohere v2 chat API)
+   * @param {Object} options
+   * @param {string} options.system - System instruction
+   * @param {Array<Object>} options.messages - Provider-neutral messages ({ role, content, toolCalls, toolCallId, name })
+   * @param {Array<Object>} options.tools - Tool definitions ({ name, description, parameters })
+   * @param {number} options.temperature
+   * @param {number} options.maxTokens
+   * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>, usage: Object}>}
+   */
+  async chatWithTools({ system, messages, tools = [], temperature = 0.2, maxTokens = 800 }) {
+    const apiConfig = this._chatRequest({ system, messages, tools, temperature, maxTokens });
+    const response = await this._postChat(apiConfig);
+
+    const data = await response.json();
+    const message = data.message || {};
+
+    return {
+      text: (message.content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join(''),
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this._parseToolArguments(call.function.arguments)
+      })),
+      usage: this._extractUsage(data.usage, apiConfig.model)
+    };
+  }
+
+  /**
+   * Stream insights token by token. Yields { type: 'token', text } events,
+   * then one { type: 'done', ...insights } event shaped like the result of
+   * generateInsights.
+   * @param {Object} userData - User data including query and context
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upstream request
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamInsights(userData, { signal } = {}) {
+    const selected = await this._selectPrompt(userData);
+    let result = null;
+
+    for await (const event of this.streamChat({
+      system: selected.system,
+      messages: [{ role: 'user', content: selected.prompt }],
+      temperature: selected.temperature,
+      maxTokens: selected.maxTokens,
+      signal
+    })) {
+      if (event.type === 'done') {
+        result = event;
+      } else {
+        yield event;
+      }
+    }
+
+    yield {
+      type: 'done',
+      ...this._processResponse(result.text, userData.queryType),
+      source: 'cohere',
+      prompt: selected.info,
+      usage: result.usage
+    };
+  }
+
+  /**
+   * Streaming variant of chatWithTools (v2 chat API with stream: true).
+   * Yields { type: 'token', text } as text arrives, then
+   * { type: 'done', text, toolCalls, usage }.
+   * @param {Object} options - As chatWithTools, plus signal (AbortSignal) to cancel
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *streamChat({ system, messages, tools = [], temperature = 0.2, maxTokens = 800, signal }) {
+    const apiConfig = { ...this._chatRequest({ system, messages, tools, temperature, maxTokens }), stream: true };
+    const response = await this._postChat(apiConfig, signal);
+    const calls = [];
+    let text = '';
+    let usage = null;
+    let buffered = '';
+
+    // Server-sent events: one JSON payload per "data:" line
+    for await (const bytes of response.body) {
+      buffered += bytes.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        let event;
+        try {
+          event = JSON.parse(line.slice(5).trim());
+        } catch (parseError) {
+          continue;
+        }
+
+        const delta = (event.delta && event.delta.message) || {};
+
+        if (event.type === 'content-delta' && delta.content && delta.content.text) {
+          text += delta.content.text;
+          yield { type: 'token', text: delta.content.text };
+        } else if (event.type === 'tool-call-start' && delta.tool_calls) {
+          calls.push({
+            id: delta.tool_calls.id,
+            name: delta.tool_calls.function.name,
+            arguments: delta.tool_calls.function.arguments || ''
+          });
+        } else if (event.type === 'tool-call-delta' && delta.tool_calls && calls.length) {
+          calls[calls.length - 1].arguments += delta.tool_calls.function.arguments || '';
+        } else if (event.type === 'message-end' && event.delta) {
+          usage = event.delta.usage;
+        }
+      }
+    }
+
+    yield {
+      type: 'done',
+      text,
+      toolCalls: calls.map(call => ({ ...call, arguments: this._parseToolArguments(call.arguments) })),
+      usage: this._extractUsage(usage, apiConfig.model)
+    };
+  }
+
+  /**
+   * v2 chat request body from provider-neutral messages
+   * @private
+   */
+  _chatRequest({ system, messages, tools, temperature, maxTokens }) {
+    const apiConfig = {
+      model: process.env.COHERE_TOOL_MODEL || 'command-r-plus-08-2024',
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => {
+          if (message.role === 'tool') {
+            return {
+              role: 'tool',
+              tool_call_id: message.toolCallId,
+              content: [{ type: 'document', document: { data: message.content } }]
+            };
+          }
+          if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length) {
+            return {
+              role: 'assistant',
+              tool_plan: message.content || 'Looking up the figures needed to answer.',
+              tool_calls: message.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+              }))
+            };
+          }
+          return { role: message.role, content: message.content };
+        })
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (tools.length) {
+      apiConfig.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+
+    return apiConfig;
+  }
+
+  /**
+   * POST to the v2 chat endpoint; throws with Cohere's message on a non-2xx response
+   * @private
+   */
+  async _postChat(apiConfig, signal) {
+    if (!this.apiKey) {
+      throw new Error('Cohere API key is not configured');
+    }
+
+    const response = await fetch('https://api.cohere.com/v2/chat', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(apiConfig),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let errorMessage = response.statusText;
+      try {
+        const errorDetails = errorText ? JSON.parse(errorText) : {};
+        errorMessage = errorDetails.message || errorMessage;
+      } catch (parseError) {
+        errorMessage = errorText || errorMessage;
+      }
+
+      logger.error('Cohere chat request failed', {
+        status: response.status,
+        error: errorMessage
+      });
+      throw new Error(`Cohere API error (${response.status}): ${errorMessage}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Tool arguments arrive as a JSON string; leave unparseable arguments as-is
+   * so the tool reports the problem back
+   * @private
+   */
+  _parseToolArguments(args) {
+    try {
+      return typeof args === 'string' ? JSON.parse(args) : (args || {});
+    } catch (parseError) {
+      return args;
+    }
+  }
+
+  /**
+   * Token counts from a chat response (meta in v1, usage in v2)
+   * @private
+   */
+  _extractUsage(usage, model) {
+    const tokens = (usage && (usage.billed_units || usage.tokens)) || {};
+    return {
+      provider: 'cohere',
+      model,
+      promptTokens: tokens.input_tokens || 0,
+      completionTokens: tokens.output_tokens || 0
+    };
+  }
+
   _createHarmfulContentPrompt(userData) {
     return `
       You are CLAU, an advanced AI banking assistant with deep financial expertise that follows strict ethical guidelines.
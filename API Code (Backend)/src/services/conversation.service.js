@@ -1,106 +1,490 @@
 // src/services/conversation.service.js
+const { Op } = require('sequelize');
+const { sequelize, Conversation, ConversationTurn } = require('../models');
 const logger = require('../utils/logger');
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TOPICS = 10;
+
+/**
+ * Persistent conversation store for multi-turn insights. Conversations and
+ * their turns live in the database so context survives restarts and is shared
+ * by every API instance behind the load balancer.
+ *
+ * Context sent to a model is bounded: the most recent turns are returned
+ * verbatim and older turns are folded into a running summary.
+ */
 class ConversationService {
 	constructor() {
-		// In-memory store for conversations
-		// In production, use Redis or a database
-		this.conversations = new Map();
-		this.maxHistoryLength = 10; // Keep last 10 messages
-		this.expiration = 30 * 60 * 1000; // 30 minutes in milliseconds
+		this.retentionDays = parseInt(process.env.CONVERSATION_RETENTION_DAYS || '30', 10);
+		this.resumeWindowMinutes = parseInt(process.env.CONVERSATION_RESUME_MINUTES || '30', 10);
+		this.maxPerUser = parseInt(process.env.CONVERSATION_MAX_PER_USER || '50', 10);
+		this.contextTurns = parseInt(process.env.CONVERSATION_CONTEXT_TURNS || '6', 10);
+		this.summarizeAfter = parseInt(process.env.CONVERSATION_SUMMARIZE_AFTER || '10', 10);
+		this.maxSummaryLength = parseInt(process.env.CONVERSATION_MAX_SUMMARY_CHARS || '2000', 10);
+		this.cleanupInterval = parseInt(process.env.CONVERSATION_CLEANUP_INTERVAL || String(60 * 60 * 1000), 10);
+		this.timer = null;
 	}
 
 	/**
-	 * Get conversation history for a user
-	 * @param {string} userId - User ID
-	 * @returns {Array} - Conversation history
+	 * Start the hourly retention cleanup
 	 */
-	getConversation(userId) {
-		const conversation = this.conversations.get(userId);
+	async initialize() {
+		if (this.timer) return;
 
-		if (!conversation) {
-			return [];
+		await this.cleanup().catch(error => {
+			logger.error('Error running initial conversation cleanup:', error);
+		});
+
+		this.timer = setInterval(() => {
+			this.cleanup().catch(error => {
+				logger.error('Error cleaning up conversations:', error);
+			});
+		}, this.cleanupInterval);
+
+		if (this.timer.unref) this.timer.unref();
+
+		logger.info('Conversation service initialized', {
+			retentionDays: this.retentionDays,
+			contextTurns: this.contextTurns,
+			summarizeAfter: this.summarizeAfter
+		});
+	}
+
+	/**
+	 * Stop the retention cleanup
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Find the conversation a request belongs to, or start a new one.
+	 * Lookup order: explicit conversation ID, then the login session the
+	 * client sent, then (for bank users) the most recent conversation still
+	 * inside the resume window.
+	 * @param {Object} options
+	 * @param {string} options.userId - Owner of the conversation
+	 * @param {string} options.subUserId - Bank user scope, if any
+	 * @param {string} options.conversationId - Conversation to resume
+	 * @param {string} options.sessionKey - Login session ID sent by the client
+	 * @returns {Promise<Object>} - Conversation instance
+	 */
+	async resolveConversation({ userId, subUserId = null, conversationId = null, sessionKey = null }) {
+		if (!userId) {
+			throw new Error('User ID is required to resolve a conversation');
+		}
+
+		const scope = this._scopeWhere(userId, subUserId);
+		const active = { ...scope, expiresAt: { [Op.gt]: new Date() } };
+
+		if (conversationId && UUID_PATTERN.test(conversationId)) {
+			const conversation = await Conversation.findOne({ where: { ...active, id: conversationId } });
+			if (conversation) return conversation;
+		}
+
+		if (sessionKey) {
+			const conversation = await Conversation.findOne({
+				where: { ...active, sessionKey },
+				order: [['lastActivityAt', 'DESC']]
+			});
+			if (conversation) return conversation;
+		}
+
+		if (subUserId && !conversationId && !sessionKey) {
+			const conversation = await Conversation.findOne({
+				where: {
+					...active,
+					lastActivityAt: { [Op.gt]: new Date(Date.now() - this.resumeWindowMinutes * 60 * 1000) }
+				},
+				order: [['lastActivityAt', 'DESC']]
+			});
+			if (conversation) return conversation;
 		}
 
-		// Check if conversation has expired
-		if (Date.now() - conversation.lastUpdated > this.expiration) {
-			logger.info(`Conversation for user ${userId} has expired`);
-			this.conversations.delete(userId);
-			return [];
+		if (conversationId) {
+			logger.warn('Conversation not found for user, starting a new one', {
+				conversationId,
+				subUserId
+			});
 		}
 
-		return conversation.messages;
+		return this.startConversation({ userId, subUserId, sessionKey });
 	}
 
 	/**
-	 * Add a message to the conversation history
-	 * @param {string} userId - User ID
-	 * @param {string} role - Message role (user/assistant)
-	 * @param {string} content - Message content
+	 * Start an empty conversation
+	 * @param {Object} options - userId, subUserId, sessionKey
+	 * @returns {Promise<Object>} - Conversation instance
 	 */
-	addMessage(userId, role, content) {
-		let conversation = this.conversations.get(userId);
+	async startConversation({ userId, subUserId = null, sessionKey = null }) {
+		const conversation = await Conversation.create({
+			userId,
+			subUserId,
+			sessionKey,
+			topics: [],
+			lastActivityAt: new Date(),
+			expiresAt: this._expiry()
+		});
 
-		if (!conversation) {
-			conversation = {
-				messages: [],
-				lastUpdated: Date.now()
-			};
-			this.conversations.set(userId, conversation);
+		logger.info('Started conversation', { conversationId: conversation.id, userId, subUserId });
+
+		await this._pruneOldest(userId, subUserId).catch(error => {
+			logger.warn(`Failed to prune old conversations: ${error.message}`, { userId });
+		});
+
+		return conversation;
+	}
+
+	/**
+	 * Context for the next model call: running summary, topics and the most
+	 * recent turns. Also exposes recentQueries/responseHistory (newest first)
+	 * in the shape the Gemini follow-up helpers expect.
+	 * @param {Object} conversation - Conversation instance
+	 * @returns {Promise<Object>}
+	 */
+	async getContext(conversation) {
+		const recent = await ConversationTurn.findAll({
+			where: { conversationId: conversation.id },
+			order: [['sequence', 'DESC']],
+			limit: this.contextTurns
+		});
+
+		return {
+			conversationId: conversation.id,
+			summary: conversation.summary,
+			turns: recent.slice().reverse().map(turn => ({
+				sequence: turn.sequence,
+				query: turn.query,
+				response: turn.response,
+				queryType: turn.queryType
+			})),
+			conversationHistory: {
+				recentQueries: recent.map(turn => ({
+					query: turn.query,
+					queryType: turn.queryType,
+					timestamp: new Date(turn.createdAt).getTime()
+				})),
+				recentTopics: [...(conversation.topics || [])],
+				lastInteraction: new Date(conversation.lastActivityAt).getTime()
+			},
+			responseHistory: recent.map(turn => ({
+				response: turn.response,
+				queryType: turn.queryType,
+				timestamp: new Date(turn.createdAt).getTime()
+			}))
+		};
+	}
+
+	/**
+	 * Append a query/response turn and summarize older turns when the
+	 * unsummarized history grows past the threshold
+	 * @param {Object} conversation - Conversation instance
+	 * @param {Object} turn - { query, response, queryType, topics, metadata }
+	 * @returns {Promise<Object>} - Created turn
+	 */
+	async recordTurn(conversation, { query, response, queryType = null, topics = [], metadata = null }) {
+		const created = await sequelize.transaction(async (transaction) => {
+			// Lock the row so concurrent requests on the same conversation get distinct sequences
+			const locked = await Conversation.findByPk(conversation.id, {
+				transaction,
+				lock: transaction.LOCK.UPDATE
+			});
+
+			if (!locked) {
+				const error = new Error('Conversation not found');
+				error.statusCode = 404;
+				throw error;
+			}
+
+			const sequence = locked.turnCount + 1;
+			const turn = await ConversationTurn.create({
+				conversationId: locked.id,
+				sequence,
+				query,
+				response,
+				queryType,
+				topics,
+				metadata
+			}, { transaction });
+
+			await locked.update({
+				turnCount: sequence,
+				title: locked.title || this._truncate(query, 200),
+				topics: [...new Set([...topics, ...(locked.topics || [])])].slice(0, MAX_TOPICS),
+				lastQueryType: queryType,
+				lastActivityAt: new Date(),
+				expiresAt: this._expiry()
+			}, { transaction });
+
+			return { turn, conversation: locked };
+		});
+
+		if (created.conversation.turnCount - created.conversation.summarizedTurns > this.summarizeAfter) {
+			await this.summarize(created.conversation).catch(error => {
+				logger.warn(`Failed to summarize conversation ${conversation.id}: ${error.message}`);
+			});
 		}
 
-		// Add new message
-		conversation.messages.push({
-			role,
-			content,
-			timestamp: new Date().toISOString()
+		return created.turn;
+	}
+
+	/**
+	 * Fold every turn except the most recent contextTurns into the summary.
+	 * Each folded turn becomes one line (query type, question, first sentence
+	 * of the answer); the oldest lines are dropped once the summary exceeds
+	 * maxSummaryLength so the context stays bounded.
+	 * @param {Object} conversation - Conversation instance
+	 * @returns {Promise<Object>} - Updated conversation
+	 */
+	async summarize(conversation) {
+		const foldThrough = conversation.turnCount - this.contextTurns;
+		if (foldThrough <= conversation.summarizedTurns) {
+			return conversation;
+		}
+
+		const turns = await ConversationTurn.findAll({
+			where: {
+				conversationId: conversation.id,
+				sequence: { [Op.gt]: conversation.summarizedTurns, [Op.lte]: foldThrough }
+			},
+			order: [['sequence', 'ASC']]
 		});
 
-		// Limit conversation history length
-		if (conversation.messages.length > this.maxHistoryLength) {
-			conversation.messages = conversation.messages.slice(-this.maxHistoryLength);
+		const lines = turns.map(turn =>
+			`- [${turn.queryType || 'general'}] User asked "${this._truncate(turn.query, 120)}"; answer: ${this._firstSentence(turn.response, 200)}`
+		);
+
+		let summaryLines = [
+			...(conversation.summary ? conversation.summary.split('\n') : []),
+			...lines
+		].filter(line => line && line !== '- (earlier turns omitted)');
+
+		let truncated = false;
+		while (summaryLines.length > 1 && summaryLines.join('\n').length > this.maxSummaryLength) {
+			summaryLines.shift();
+			truncated = true;
+		}
+		if (truncated || (conversation.summary || '').startsWith('- (earlier turns omitted)')) {
+			summaryLines.unshift('- (earlier turns omitted)');
 		}
 
-		// Update timestamp
-		conversation.lastUpdated = Date.now();
+		await conversation.update({
+			summary: summaryLines.join('\n'),
+			summarizedTurns: foldThrough
+		});
+
+		logger.info('Summarized conversation history', {
+			conversationId: conversation.id,
+			summarizedTurns: foldThrough,
+			summaryLength: conversation.summary.length
+		});
+
+		return conversation;
+	}
+
+	/**
+	 * List a user's conversations, most recently active first
+	 * @param {string} userId - Owner
+	 * @param {Object} options - subUserId, limit, offset
+	 * @returns {Promise<Object>} - { conversations, total, limit, offset }
+	 */
+	async listConversations(userId, { subUserId = null, limit = 20, offset = 0 } = {}) {
+		const { rows, count } = await Conversation.findAndCountAll({
+			where: {
+				...this._scopeWhere(userId, subUserId),
+				expiresAt: { [Op.gt]: new Date() },
+				turnCount: { [Op.gt]: 0 }
+			},
+			order: [['lastActivityAt', 'DESC']],
+			limit,
+			offset
+		});
+
+		return {
+			conversations: rows.map(conversation => conversation.toSummaryResponse()),
+			total: count,
+			limit,
+			offset
+		};
 	}
 
 	/**
-	 * Clear conversation history for a user
-	 * @param {string} userId - User ID
+	 * Get a conversation with its turns so a client can resume it
+	 * @param {string} userId - Owner
+	 * @param {string} conversationId - Conversation ID
+	 * @param {Object} options - subUserId, turnLimit, turnOffset
+	 * @returns {Promise<Object>}
 	 */
-	clearConversation(userId) {
-		this.conversations.delete(userId);
-		logger.info(`Cleared conversation history for user ${userId}`);
+	async getConversation(userId, conversationId, { subUserId = null, turnLimit = 50, turnOffset = 0 } = {}) {
+		const conversation = await this._findOwned(userId, conversationId, subUserId);
+
+		const turns = await ConversationTurn.findAll({
+			where: { conversationId: conversation.id },
+			order: [['sequence', 'ASC']],
+			limit: turnLimit,
+			offset: turnOffset
+		});
+
+		return {
+			...conversation.toSummaryResponse(),
+			turns: turns.map(turn => ({
+				sequence: turn.sequence,
+				query: turn.query,
+				response: turn.response,
+				queryType: turn.queryType,
+				topics: turn.topics || [],
+				metadata: turn.metadata,
+				createdAt: turn.createdAt
+			}))
+		};
 	}
 
 	/**
-	 * Perform regular cleanup of expired conversations
-	 * Called by a scheduled job
+	 * Delete one conversation and its turns
+	 * @param {string} userId - Owner
+	 * @param {string} conversationId - Conversation ID
+	 * @param {Object} options - subUserId
+	 * @returns {Promise<void>}
 	 */
-	cleanup() {
-		const now = Date.now();
-		let expiredCount = 0;
+	async deleteConversation(userId, conversationId, { subUserId = null } = {}) {
+		const conversation = await this._findOwned(userId, conversationId, subUserId);
+		await this._destroy([conversation.id]);
 
-		for (const [userId, conversation] of this.conversations.entries()) {
-			if (now - conversation.lastUpdated > this.expiration) {
-				this.conversations.delete(userId);
-				expiredCount++;
-			}
+		logger.info('Deleted conversation', { conversationId, userId, subUserId });
+	}
+
+	/**
+	 * Delete all of a user's conversations in a scope
+	 * @param {string} userId - Owner
+	 * @param {Object} options - subUserId, sessionKey (only conversations started from that session)
+	 * @returns {Promise<number>} - Conversations deleted
+	 */
+	async deleteConversations(userId, { subUserId = null, sessionKey = null } = {}) {
+		const where = this._scopeWhere(userId, subUserId);
+		if (sessionKey) where.sessionKey = sessionKey;
+
+		const conversations = await Conversation.findAll({ where, attributes: ['id'] });
+		const deleted = await this._destroy(conversations.map(conversation => conversation.id));
+
+		logger.info('Deleted conversations', { userId, subUserId, count: deleted });
+		return deleted;
+	}
+
+	/**
+	 * Delete every conversation owned by a user, including bank-user scopes
+	 * (account deletion)
+	 * @param {string} userId - Owner
+	 * @returns {Promise<number>} - Conversations deleted
+	 */
+	async deleteAllForUser(userId) {
+		const conversations = await Conversation.findAll({ where: { userId }, attributes: ['id'] });
+		return this._destroy(conversations.map(conversation => conversation.id));
+	}
+
+	/**
+	 * Retention: delete conversations past their expiry
+	 * @returns {Promise<number>} - Conversations deleted
+	 */
+	async cleanup() {
+		const expired = await Conversation.findAll({
+			where: { expiresAt: { [Op.lte]: new Date() } },
+			attributes: ['id'],
+			limit: 1000
+		});
+
+		const deleted = await this._destroy(expired.map(conversation => conversation.id));
+		if (deleted > 0) {
+			logger.info(`Cleaned up ${deleted} expired conversations`);
 		}
+		return deleted;
+	}
+
+	/**
+	 * Keep at most maxPerUser conversations per scope, dropping the least recently active
+	 * @private
+	 */
+	async _pruneOldest(userId, subUserId) {
+		const stale = await Conversation.findAll({
+			where: this._scopeWhere(userId, subUserId),
+			order: [['lastActivityAt', 'DESC']],
+			offset: this.maxPerUser,
+			attributes: ['id']
+		});
 
-		if (expiredCount > 0) {
-			logger.info(`Cleaned up ${expiredCount} expired conversations`);
+		return this._destroy(stale.map(conversation => conversation.id));
+	}
+
+	/**
+	 * @private
+	 */
+	async _findOwned(userId, conversationId, subUserId) {
+		const conversation = UUID_PATTERN.test(conversationId || '')
+			? await Conversation.findOne({
+				where: {
+					...this._scopeWhere(userId, subUserId),
+					id: conversationId,
+					expiresAt: { [Op.gt]: new Date() }
+				}
+			})
+			: null;
+
+		if (!conversation) {
+			const error = new Error(`Conversation ${conversationId} not found`);
+			error.statusCode = 404;
+			throw error;
 		}
+
+		return conversation;
 	}
-}
 
-// Create singleton instance
-const conversationService = new ConversationService();
+	/**
+	 * Turns are removed explicitly as well as by the foreign key cascade, so
+	 * deletion also works on databases created by sync()
+	 * @private
+	 */
+	async _destroy(ids) {
+		if (ids.length === 0) return 0;
 
-// Set up cleanup interval (every 15 minutes)
-setInterval(() => {
-	conversationService.cleanup();
-}, 15 * 60 * 1000);
+		return sequelize.transaction(async (transaction) => {
+			await ConversationTurn.destroy({ where: { conversationId: { [Op.in]: ids } }, transaction });
+			return Conversation.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+		});
+	}
+
+	/**
+	 * @private
+	 */
+	_scopeWhere(userId, subUserId) {
+		return { userId, subUserId: subUserId || null };
+	}
+
+	/**
+	 * @private
+	 */
+	_expiry() {
+		return new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000);
+	}
+
+	/**
+	 * @private
+	 */
+	_truncate(text, maxLength) {
+		const value = String(text || '').replace(/\s+/g, ' ').trim();
+		return value.length > maxLength ? `${value.slice(0, maxLength - 3)}...` : value;
+	}
+
+	/**
+	 * @private
+	 */
+	_firstSentence(text, maxLength) {
+		const value = String(text || '').replace(/\s+/g, ' ').trim();
+		const match = value.match(/^.+?[.!?](\s|$)/);
+		return this._truncate(match ? match[0] : value, maxLength);
+	}
+}
 
-module.exports = conversationService;
\ No newline at end of file
+module.exports = new ConversationService();
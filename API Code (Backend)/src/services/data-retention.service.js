@@ -8,6 +8,7 @@ const { PlaidItem } = require('../models');
 const logger = require('../utils/logger');
 const dataService = require('./data.service');
 const cryptoService = require('./crypto.service');
+const plaidProducts = require('./plaid-products.service');
 
 /**
  * Service responsible for implementing data retention and deletion policies
@@ -410,6 +411,52 @@ class DataRetentionService {
 				deletionResults.errors.push({ table: 'InsightMetrics', error: error.message });
 			}
 
+			// Delete insight conversations and their turns (linked by userId)
+			try {
+				await sequelize.query(
+					'DELETE FROM "ConversationTurns" WHERE "conversationId" IN (SELECT id FROM "Conversations" WHERE "userId" = :userId)',
+					{
+						replacements: { userId },
+						type: sequelize.QueryTypes.DELETE,
+						transaction: t
+					}
+				);
+				const conversationsDeleted = await sequelize.query(
+					'DELETE FROM "Conversations" WHERE "userId" = :userId',
+					{
+						replacements: { userId },
+						type: sequelize.QueryTypes.DELETE,
+						transaction: t
+					}
+				);
+				deletionResults.deletedCounts.conversations = conversationsDeleted[1] || 0;
+				logger.info(`Deleted ${deletionResults.deletedCounts.conversations} conversations`);
+			} catch (error) {
+				logger.warn('Failed to delete conversations:', error.message);
+				deletionResults.errors.push({ table: 'Conversations', error: error.message });
+			}
+
+			// 2f-2. Delete Plaid liabilities, investments and identity
+			const plaidProductTables = ['PlaidLiabilities', 'PlaidHoldings', 'PlaidSecurities', 'PlaidInvestmentTransactions', 'PlaidIdentities'];
+			deletionResults.deletedCounts.plaidProducts = 0;
+			for (const table of plaidProductTables) {
+				try {
+					const productRowsDeleted = await sequelize.query(
+						`DELETE FROM "${table}" WHERE "userId" = :userId`,
+						{
+							replacements: { userId },
+							type: sequelize.QueryTypes.DELETE,
+							transaction: t
+						}
+					);
+					deletionResults.deletedCounts.plaidProducts += productRowsDeleted[1] || 0;
+				} catch (error) {
+					logger.warn(`Failed to delete ${table}:`, error.message);
+					deletionResults.errors.push({ table, error: error.message });
+				}
+			}
+			logger.info(`Deleted ${deletionResults.deletedCounts.plaidProducts} Plaid product records`);
+
 			// 2g. Delete PlaidItems (cascades automatically)
 			try {
 				const plaidItemsDeleted = await sequelize.query(
@@ -695,6 +742,11 @@ class DataRetentionService {
 				{ table: 'Clients', column: 'userId', description: 'Client records' },
 				{ table: 'Tokens', column: 'userId', description: 'Token records' },
 				{ table: 'PlaidItems', column: 'userId', description: 'Plaid items' },
+				{ table: 'PlaidLiability', column: 'userId', description: 'Plaid liabilities' },
+				{ table: 'PlaidHolding', column: 'userId', description: 'Plaid investment holdings' },
+				{ table: 'PlaidSecurity', column: 'userId', description: 'Plaid securities' },
+				{ table: 'PlaidInvestmentTransaction', column: 'userId', description: 'Plaid investment transactions' },
+				{ table: 'PlaidIdentity', column: 'userId', description: 'Plaid account holder details' },
 				{ table: 'NotificationPreferences', column: 'userId', description: 'Notification preferences' },
 				{ table: 'InsightMetrics', column: 'userId', description: 'Insight metrics' }
 			];
@@ -891,6 +943,7 @@ class DataRetentionService {
 					reason: 'retention_policy'
 				}, transaction);
 
+				await plaidProducts.deleteItemData(item.itemId, { transaction });
 				await item.destroy({ transaction });
 			}
 
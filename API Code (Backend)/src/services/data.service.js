@@ -2,6 +2,8 @@
 const logger = require('../utils/logger');
 const { PlaidItem } = require('../models');
 const plaidService = require('./plaid.service');
+const plaidSync = require('./plaid-sync.service');
+const plaidProducts = require('./plaid-products.service');
 const { sequelize } = require('../config/database');
 
 class DataService {
@@ -141,9 +143,12 @@ class DataService {
    * Get user's financial data - either from Plaid or mock data
    * with strict user isolation
    * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {Date|string} [options.startDate] - Earliest transaction date (default 30 days ago)
+   * @param {Date|string} [options.endDate] - Latest transaction date (default today)
    * @returns {Object} - User financial data
    */
-  async getUserFinancialData(userId) {
+  async getUserFinancialData(userId, options = {}) {
     logger.info(`Getting financial data for user: ${userId}`);
 
     try {
@@ -156,7 +161,7 @@ class DataService {
 
       if (plaidTokens && plaidTokens.length > 0) {
         logger.info(`Using Plaid data for user ${userId} (${plaidTokens.length} connected institutions)`);
-        return this.getPlaidData(userId, plaidTokens);
+        return this.getPlaidData(userId, plaidTokens, options);
       } else {
         logger.info(`Using mock data for user ${userId} (no Plaid tokens)`);
         return this.getMockUserData(userId);
@@ -170,12 +175,16 @@ class DataService {
   }
 
   /**
-   * Get financial data from Plaid APIs with strict user isolation
+   * Get financial data from Plaid with strict user isolation. Balances come
+   * from Plaid live; transactions come from the locally synced store (see
+   * plaid-sync.service) unless sync is disabled or the store can't be read;
+   * liabilities and investments come from plaid-products.service.
    * @param {string} userId - User ID
    * @param {Array} plaidTokens - Plaid access tokens for this specific user
+   * @param {Object} [options] - { startDate, endDate } for transactions
    * @returns {Object} - User financial data from Plaid
    */
-  async getPlaidData(userId, plaidTokens) {
+  async getPlaidData(userId, plaidTokens, options = {}) {
     try {
       const accounts = [];
       const transactions = [];
@@ -185,8 +194,7 @@ class DataService {
         where: {
           userId,
           status: 'active'
-        },
-        attributes: ['itemId']
+        }
       });
 
       const userItemIds = userItems.map(item => item.itemId);
@@ -200,6 +208,28 @@ class DataService {
         logger.warn(`Security alert: Filtered out ${plaidTokens.length - validTokens.length} invalid tokens for user ${userId}`);
       }
 
+      // Transactions for the last 30 days unless a range was requested
+      const endDate = options.endDate ? new Date(options.endDate) : new Date();
+      const startDate = options.startDate ? new Date(options.startDate) : new Date(endDate);
+      if (!options.startDate) {
+        startDate.setDate(endDate.getDate() - 30);
+      }
+
+      let useLocalStore = plaidSync.enabled;
+      if (useLocalStore) {
+        try {
+          const validItems = userItems.filter(item =>
+            validTokens.some(token => token.itemId === item.itemId)
+          );
+          const storedTransactions = await plaidSync.getTransactions(userId, validItems, { startDate, endDate });
+          transactions.push(...storedTransactions);
+          logger.info(`Read ${storedTransactions.length} synced transactions for user ${userId}`);
+        } catch (storeError) {
+          logger.warn(`Falling back to live Plaid transactions for user ${userId}: ${storeError.message}`);
+          useLocalStore = false;
+        }
+      }
+
       // Get data from each Plaid connection
       for (const tokenInfo of validTokens) {
         const { accessToken, itemId } = tokenInfo;
@@ -239,12 +269,12 @@ class DataService {
           logger.error(`Error getting accounts for token: ${accessToken.substring(0, 10)}...`, accountError);
         }
 
-        // Get transactions (last 30 days)
-        try {
-          const endDate = new Date();
-          const startDate = new Date();
-          startDate.setDate(endDate.getDate() - 30);
+        if (useLocalStore) {
+          continue;
+        }
 
+        // Get transactions live
+        try {
           const plaidTransactions = await plaidService.getTransactions(
             accessToken,
             startDate,
@@ -257,6 +287,14 @@ class DataService {
         }
       }
 
+      // Liabilities, investments and identity are stored by plaid-products; absent for banks without them
+      let productData = { liabilities: [], investments: null, identity: null };
+      try {
+        productData = await plaidProducts.getUserProductData(userId);
+      } catch (productError) {
+        logger.warn(`Could not read Plaid liabilities and investments for user ${userId}: ${productError.message}`);
+      }
+
       // Generate some summary data
       const userProfile = {
         userId,
@@ -271,6 +309,9 @@ class DataService {
         userProfile,
         accounts,
         transactions,
+        liabilities: productData.liabilities,
+        investments: productData.investments,
+        identity: productData.identity,
         // Add a unique timestamp to ensure fresh data
         timestamp: new Date().toISOString()
       };
@@ -417,50 +458,6 @@ class DataService {
     return mockData;
   }
 
-  /**
-   * Reconnect bank accounts by clearing existing connections and redirecting to Link
-   * @param {string} userId - User ID
-   * @returns {boolean} - Success status
-   */
-  async reconnectBankAccounts(userId) {
-    const transaction = await sequelize.transaction();
-
-    try {
-      // Validate user ID
-      if (!userId) {
-        throw new Error('User ID is required');
-      }
-
-      logger.info(`Initiating bank reconnection for user ${userId}`);
-
-      // Find existing Plaid connections for this user
-      const existingConnections = await PlaidItem.findAll({
-        where: { userId },
-        transaction
-      });
-
-      logger.info(`Found ${existingConnections.length} existing Plaid connections for user ${userId}`);
-
-      // Mark connections as inactive to preserve history but prevent duplicates
-      for (const connection of existingConnections) {
-        connection.status = 'disconnected';
-        connection.disconnectedAt = new Date();
-        await connection.save({ transaction });
-
-        logger.info(`Marked Plaid connection ${connection.itemId} as disconnected for user ${userId}`);
-      }
-
-      await transaction.commit();
-      logger.info(`Successfully prepared bank reconnection for user ${userId}`);
-
-      return true;
-    } catch (error) {
-      await transaction.rollback();
-      logger.error(`Error during bank reconnection preparation for user ${userId}:`, error);
-      throw error;
-    }
-  }
-
   /**
    * Disconnect a specific Plaid item
    * @param {string} userId - User ID
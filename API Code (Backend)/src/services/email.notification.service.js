@@ -540,6 +540,68 @@ class EmailNotificationService {
     });
   }
 
+  /**
+   * Send a request to re-authenticate a bank connection
+   * @param {Object} user - User object
+   * @param {Object} data - itemId, institutionName, reason and consentExpiresAt
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendBankReconnectNotification(user, data) {
+    const institution = data.institutionName || 'your bank';
+    const reconnectUrl = process.env.FRONTEND_URL
+      ? `${process.env.FRONTEND_URL.replace(/\/+$/, '')}/connect-accounts?reconnect=${encodeURIComponent(data.itemId)}`
+      : null;
+    const explanation = data.consentExpiresAt
+      ? `Your access to ${institution} expires on ${new Date(data.consentExpiresAt).toLocaleDateString()}. Sign in again before then to keep your financial data up to date.`
+      : `Your connection to ${institution} stopped working because the bank needs you to sign in again. Until you do, your financial data will not be updated.`;
+    const action = reconnectUrl
+      ? `Reconnect here: ${reconnectUrl}`
+      : 'Sign in to your dashboard and choose "Reconnect your bank".';
+
+    const actionHtml = reconnectUrl
+      ? `<p><a href="${reconnectUrl}" style="background-color: #007bff; color: white; padding: 10px 20px; border-radius: 5px; text-decoration: none;">Reconnect ${institution}</a></p>`
+      : '<p>Sign in to your dashboard and choose <strong>Reconnect your bank</strong>.</p>';
+
+    const subject = `Action needed: reconnect ${institution}`;
+
+    const text = `
+      Hello ${user.name || user.email},
+      
+      ${explanation}
+      
+      ${action}
+      
+      Reconnecting restores your existing connection; you will not need to set it up from scratch.
+      
+      Thank you,
+      API Service Team
+    `;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Reconnect Your Bank</h2>
+        <p>Hello ${user.name || user.email},</p>
+        
+        <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #ffc107;">
+          <p>${explanation}</p>
+        </div>
+        
+        ${actionHtml}
+        
+        <p>Reconnecting restores your existing connection; you will not need to set it up from scratch.</p>
+        
+        <p>Thank you,<br>API Service Team</p>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to: user.email,
+      subject,
+      text,
+      html
+    });
+  }
+
   /**
    * Send monthly usage summary
    * @param {Object} user - User object
@@ -0,0 +1,612 @@
+// src/services/financial-tools.service.js
+const recurrenceDetector = require('./recurrence-detector.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TRANSFER_PATTERN = /transfer/i;
+const MAX_SOURCE_IDS = 200;
+
+/**
+ * Tool definitions exposed to the LLM. Parameters are JSON Schema so every
+ * provider adapter can pass them through unchanged.
+ */
+const TOOL_DEFINITIONS = [
+	{
+		name: 'sum_spending',
+		description: 'Total the user\'s spending (outflows, excluding transfers) over a date range, optionally grouped by category, merchant or month and optionally filtered to one category or merchant.',
+		parameters: {
+			type: 'object',
+			properties: {
+				startDate: { type: 'string', description: 'First day to include (YYYY-MM-DD). Defaults to 30 days ago.' },
+				endDate: { type: 'string', description: 'Last day to include (YYYY-MM-DD). Defaults to today.' },
+				groupBy: { type: 'string', enum: ['none', 'category', 'merchant', 'month'], description: 'How to break the total down.' },
+				category: { type: 'string', description: 'Only include transactions in this category (case-insensitive).' },
+				merchant: { type: 'string', description: 'Only include transactions whose merchant or description contains this text.' },
+				accountId: { type: 'string', description: 'Only include transactions from this account.' },
+				limit: { type: 'integer', description: 'Maximum groups to return, largest first (default 10).' }
+			}
+		}
+	},
+	{
+		name: 'list_recurring_charges',
+		description: 'List recurring charges (subscriptions and bills) and, optionally, recurring income detected from the user\'s transaction history, with cadence and monthly cost.',
+		parameters: {
+			type: 'object',
+			properties: {
+				includeIncome: { type: 'boolean', description: 'Also return recurring deposits such as payroll.' },
+				includeInactive: { type: 'boolean', description: 'Also return series that appear to have stopped.' }
+			}
+		}
+	},
+	{
+		name: 'get_balance_history',
+		description: 'Reconstruct the end-of-period balance of one or all accounts from the current balance and transaction history.',
+		parameters: {
+			type: 'object',
+			properties: {
+				accountId: { type: 'string', description: 'Account to report on. Omit for the combined balance of all accounts.' },
+				startDate: { type: 'string', description: 'First day of the history (YYYY-MM-DD). Defaults to 30 days ago.' },
+				endDate: { type: 'string', description: 'Last day of the history (YYYY-MM-DD). Defaults to today.' },
+				interval: { type: 'string', enum: ['day', 'week', 'month'], description: 'Spacing of the returned points (default week).' }
+			}
+		}
+	},
+	{
+		name: 'compare_months',
+		description: 'Compare income, spending and net cash flow between two calendar months, with the largest category changes.',
+		parameters: {
+			type: 'object',
+			properties: {
+				month: { type: 'string', description: 'Month to analyse (YYYY-MM). Defaults to the current month.' },
+				compareTo: { type: 'string', description: 'Month to compare against (YYYY-MM). Defaults to the month before "month".' },
+				limit: { type: 'integer', description: 'Maximum category changes to return (default 5).' }
+			}
+		}
+	}
+];
+
+/**
+ * Deterministic financial calculations the LLM can call instead of doing
+ * arithmetic over raw transaction lists. Every result is computed here from
+ * the user's accounts and transactions, and each call reports the IDs of the
+ * transactions it used so figures in an insight can be traced back.
+ */
+class FinancialToolsService {
+	constructor() {
+		this.handlers = {
+			sum_spending: this.sumSpending.bind(this),
+			list_recurring_charges: this.listRecurringCharges.bind(this),
+			get_balance_history: this.getBalanceHistory.bind(this),
+			compare_months: this.compareMonths.bind(this)
+		};
+	}
+
+	/**
+	 * Tool definitions (name, description, JSON Schema parameters)
+	 * @returns {Array<Object>}
+	 */
+	getDefinitions() {
+		return TOOL_DEFINITIONS;
+	}
+
+	/**
+	 * Check whether a tool exists
+	 * @param {string} name - Tool name
+	 * @returns {boolean}
+	 */
+	hasTool(name) {
+		return Object.prototype.hasOwnProperty.call(this.handlers, name);
+	}
+
+	/**
+	 * Run a tool against the user's data. Invalid arguments and unknown tools
+	 * are reported in the result rather than thrown so the model can correct
+	 * itself on the next turn.
+	 * @param {string} name - Tool name
+	 * @param {Object|string} args - Arguments (object or JSON string)
+	 * @param {Object} context - { accounts, transactions, asOf }
+	 * @returns {{result: Object, sources: Array<string>, error: string|null}}
+	 */
+	execute(name, args, context = {}) {
+		if (!this.hasTool(name)) {
+			return { result: { error: `Unknown tool "${name}"` }, sources: [], error: `Unknown tool "${name}"` };
+		}
+
+		try {
+			const parsedArgs = this._parseArgs(args);
+			const { result, sources = [] } = this.handlers[name](parsedArgs, this._prepareContext(context));
+
+			return {
+				result,
+				sources: sources.slice(0, MAX_SOURCE_IDS),
+				error: null
+			};
+		} catch (error) {
+			if (!error.statusCode) {
+				logger.error(`Financial tool ${name} failed:`, error);
+			}
+			const message = error.statusCode ? error.message : 'Tool execution failed';
+			return { result: { error: message }, sources: [], error: message };
+		}
+	}
+
+	/**
+	 * sum_spending tool
+	 * @param {Object} args - Tool arguments
+	 * @param {Object} context - Prepared context
+	 * @returns {{result: Object, sources: Array<string>}}
+	 */
+	sumSpending(args, context) {
+		const { start, end } = this._resolveRange(args, context.asOf);
+		const groupBy = args.groupBy || 'none';
+		if (!['none', 'category', 'merchant', 'month'].includes(groupBy)) {
+			throw this._argumentError('groupBy must be one of none, category, merchant, month');
+		}
+		const limit = this._resolveLimit(args.limit, 10);
+		const category = args.category ? String(args.category).toLowerCase() : null;
+		const merchant = args.merchant ? String(args.merchant).toLowerCase() : null;
+
+		const matching = context.transactions.filter(tx =>
+			this._isSpending(tx) &&
+			tx.date >= start && tx.date <= end &&
+			(!args.accountId || tx.accountId === args.accountId) &&
+			(!category || (tx.category || '').toLowerCase() === category) &&
+			(!merchant || this._merchantLabel(tx).toLowerCase().includes(merchant) ||
+				(tx.description || '').toLowerCase().includes(merchant))
+		);
+
+		const total = matching.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+		const result = {
+			startDate: this._formatDate(start),
+			endDate: this._formatDate(end),
+			filters: {
+				category: args.category || null,
+				merchant: args.merchant || null,
+				accountId: args.accountId || null
+			},
+			total: this._round(total),
+			transactionCount: matching.length,
+			excludes: 'transfers and inflows'
+		};
+
+		if (groupBy !== 'none') {
+			const keyOf = {
+				category: tx => tx.category || 'Uncategorized',
+				merchant: tx => this._merchantLabel(tx) || 'Unknown',
+				month: tx => this._monthKey(tx.date)
+			}[groupBy];
+
+			const groups = this._group(matching, keyOf);
+			const rows = Object.entries(groups).map(([key, items]) => ({
+				[groupBy]: key,
+				total: this._round(items.reduce((sum, tx) => sum + Math.abs(tx.amount), 0)),
+				transactionCount: items.length,
+				share: total ? this._round(items.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / total * 100) : 0
+			}));
+
+			// Months read best in calendar order, everything else largest first
+			if (groupBy === 'month') {
+				rows.sort((a, b) => a.month.localeCompare(b.month));
+			} else {
+				rows.sort((a, b) => b.total - a.total);
+			}
+
+			result.groupBy = groupBy;
+			result.groups = rows.slice(0, limit);
+			result.groupsOmitted = Math.max(0, rows.length - limit);
+		}
+
+		return { result, sources: matching.map(tx => tx.transactionId).filter(Boolean) };
+	}
+
+	/**
+	 * list_recurring_charges tool
+	 * @param {Object} args - Tool arguments
+	 * @param {Object} context - Prepared context
+	 * @returns {{result: Object, sources: Array<string>}}
+	 */
+	listRecurringCharges(args, context) {
+		const detected = recurrenceDetector.detect(context.transactions, {
+			asOf: context.asOf,
+			includeInactive: !!args.includeInactive
+		});
+
+		const series = detected.recurring.filter(item => args.includeIncome || item.direction === 'outflow');
+		const keys = new Set(series.map(item => item.merchantKey));
+
+		return {
+			result: {
+				asOf: detected.asOf,
+				recurring: series.map(item => ({
+					merchant: item.merchant,
+					type: item.type,
+					cadence: item.cadence,
+					status: item.status,
+					occurrences: item.occurrences,
+					lastAmount: item.lastAmount,
+					lastDate: item.lastDate.slice(0, 10),
+					nextExpectedDate: item.nextExpectedDate.slice(0, 10),
+					nextExpectedAmount: item.nextExpectedAmount,
+					monthlyAmount: item.monthlyAmount,
+					priceChange: item.priceChange,
+					category: item.category || null
+				})),
+				summary: detected.summary,
+				historyDays: context.historyDays
+			},
+			sources: context.transactions
+				.filter(tx => keys.has(recurrenceDetector.seriesKey(tx)))
+				.map(tx => tx.transactionId)
+				.filter(Boolean)
+		};
+	}
+
+	/**
+	 * get_balance_history tool. Balances are walked backwards from the current
+	 * balance, so the history is only as complete as the transaction list.
+	 * @param {Object} args - Tool arguments
+	 * @param {Object} context - Prepared context
+	 * @returns {{result: Object, sources: Array<string>}}
+	 */
+	getBalanceHistory(args, context) {
+		const { start, end } = this._resolveRange(args, context.asOf);
+		const interval = args.interval || 'week';
+		if (!['day', 'week', 'month'].includes(interval)) {
+			throw this._argumentError('interval must be one of day, week, month');
+		}
+
+		let accounts = context.accounts;
+		if (args.accountId) {
+			accounts = accounts.filter(account => account.accountId === args.accountId);
+			if (accounts.length === 0) {
+				throw this._argumentError(`Unknown accountId "${args.accountId}". Known accounts: ${context.accounts.map(account => account.accountId).join(', ') || 'none'}`);
+			}
+		}
+
+		const accountIds = new Set(accounts.map(account => account.accountId));
+		const currentBalance = accounts.reduce((sum, account) => sum + account.balance, 0);
+		const posted = context.transactions
+			.filter(tx => !tx.pending && accountIds.has(tx.accountId))
+			.sort((a, b) => b.date - a.date);
+
+		// Balance at the end of a day = current balance minus everything posted after it
+		const balanceAt = (date) => {
+			const cutoff = this._endOfDay(date);
+			const after = posted.filter(tx => tx.date > cutoff);
+			return currentBalance - after.reduce((sum, tx) => sum + tx.amount, 0);
+		};
+
+		const points = this._intervalEnds(start, end, interval).map(date => ({
+			date: this._formatDate(date),
+			balance: this._round(balanceAt(date))
+		}));
+
+		const inRange = posted.filter(tx => tx.date >= start && tx.date <= end);
+		const first = points[0];
+		const last = points[points.length - 1];
+
+		return {
+			result: {
+				accountId: args.accountId || null,
+				accounts: accounts.map(account => ({ accountId: account.accountId, name: account.name, type: account.type })),
+				currentBalance: this._round(currentBalance),
+				interval,
+				points,
+				change: first && last ? this._round(last.balance - first.balance) : 0,
+				lowest: points.length ? points.reduce((min, point) => (point.balance < min.balance ? point : min), points[0]) : null,
+				highest: points.length ? points.reduce((max, point) => (point.balance > max.balance ? point : max), points[0]) : null,
+				historyStart: context.historyStart ? this._formatDate(context.historyStart) : null
+			},
+			sources: inRange.map(tx => tx.transactionId).filter(Boolean)
+		};
+	}
+
+	/**
+	 * compare_months tool
+	 * @param {Object} args - Tool arguments
+	 * @param {Object} context - Prepared context
+	 * @returns {{result: Object, sources: Array<string>}}
+	 */
+	compareMonths(args, context) {
+		const month = args.month || this._monthKey(context.asOf);
+		if (!MONTH_PATTERN.test(month)) {
+			throw this._argumentError('month must be formatted YYYY-MM');
+		}
+		const compareTo = args.compareTo || this._previousMonth(month);
+		if (!MONTH_PATTERN.test(compareTo)) {
+			throw this._argumentError('compareTo must be formatted YYYY-MM');
+		}
+		const limit = this._resolveLimit(args.limit, 5);
+
+		const current = this._monthSummary(context.transactions, month);
+		const previous = this._monthSummary(context.transactions, compareTo);
+
+		const categories = new Set([...Object.keys(current.byCategory), ...Object.keys(previous.byCategory)]);
+		const categoryChanges = [...categories]
+			.map(category => {
+				const now = current.byCategory[category] || 0;
+				const before = previous.byCategory[category] || 0;
+				return {
+					category,
+					[month]: this._round(now),
+					[compareTo]: this._round(before),
+					change: this._round(now - before),
+					changePercent: before ? this._round((now - before) / before * 100) : null
+				};
+			})
+			.filter(row => row.change !== 0)
+			.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+
+		const delta = (field) => ({
+			change: this._round(current[field] - previous[field]),
+			changePercent: previous[field] ? this._round((current[field] - previous[field]) / Math.abs(previous[field]) * 100) : null
+		});
+
+		return {
+			result: {
+				current: this._publicSummary(current),
+				previous: this._publicSummary(previous),
+				income: delta('income'),
+				spending: delta('spending'),
+				net: delta('net'),
+				categoryChanges: categoryChanges.slice(0, limit),
+				partialMonth: month === this._monthKey(context.asOf)
+					? `${month} is in progress (data up to ${this._formatDate(context.asOf)})`
+					: null
+			},
+			sources: [...current.transactionIds, ...previous.transactionIds]
+		};
+	}
+
+	/**
+	 * Normalize accounts and transactions once per call
+	 * @private
+	 */
+	_prepareContext(context) {
+		const asOf = context.asOf ? new Date(context.asOf) : new Date();
+
+		const transactions = (context.transactions || [])
+			.map(tx => ({
+				...tx,
+				transactionId: tx.transactionId || tx.id || null,
+				amount: typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0),
+				date: new Date(tx.date)
+			}))
+			.filter(tx => !isNaN(tx.date.getTime()) && !isNaN(tx.amount));
+
+		const accounts = (context.accounts || []).map(account => ({
+			...account,
+			balance: typeof account.balance === 'number' ? account.balance : Number(account.balance || 0)
+		}));
+
+		const historyStart = transactions.length
+			? new Date(Math.min(...transactions.map(tx => tx.date.getTime())))
+			: null;
+
+		return {
+			asOf,
+			accounts,
+			transactions,
+			historyStart,
+			historyDays: historyStart ? Math.ceil((asOf - historyStart) / DAY_MS) : 0
+		};
+	}
+
+	/**
+	 * Income/spending totals for one calendar month
+	 * @private
+	 */
+	_monthSummary(transactions, month) {
+		const items = transactions.filter(tx => this._monthKey(tx.date) === month && !this._isTransfer(tx));
+		const spending = items.filter(tx => tx.amount < 0);
+		const income = items.filter(tx => tx.amount > 0);
+
+		const byCategory = {};
+		spending.forEach(tx => {
+			const category = tx.category || 'Uncategorized';
+			byCategory[category] = (byCategory[category] || 0) + Math.abs(tx.amount);
+		});
+
+		const incomeTotal = income.reduce((sum, tx) => sum + tx.amount, 0);
+		const spendingTotal = spending.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+
+		return {
+			key: month,
+			income: incomeTotal,
+			spending: spendingTotal,
+			net: incomeTotal - spendingTotal,
+			transactionCount: items.length,
+			byCategory,
+			transactionIds: items.map(tx => tx.transactionId).filter(Boolean)
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_publicSummary(summary) {
+		return {
+			month: summary.key,
+			income: this._round(summary.income),
+			spending: this._round(summary.spending),
+			net: this._round(summary.net),
+			transactionCount: summary.transactionCount
+		};
+	}
+
+	/**
+	 * End dates of each interval between start and end (inclusive of end)
+	 * @private
+	 */
+	_intervalEnds(start, end, interval) {
+		const points = [];
+		const cursor = new Date(start);
+
+		while (cursor <= end && points.length < 400) {
+			if (interval === 'day') {
+				points.push(new Date(cursor));
+				cursor.setUTCDate(cursor.getUTCDate() + 1);
+			} else if (interval === 'week') {
+				cursor.setUTCDate(cursor.getUTCDate() + 6);
+				points.push(new Date(Math.min(cursor.getTime(), end.getTime())));
+				cursor.setUTCDate(cursor.getUTCDate() + 1);
+			} else {
+				const monthEnd = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 0));
+				points.push(new Date(Math.min(monthEnd.getTime(), end.getTime())));
+				cursor.setTime(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+			}
+		}
+
+		const last = points[points.length - 1];
+		if (!last || this._formatDate(last) !== this._formatDate(end)) {
+			points.push(new Date(end));
+		}
+
+		return points;
+	}
+
+	/**
+	 * Resolve startDate/endDate arguments into a UTC day range
+	 * @private
+	 */
+	_resolveRange(args, asOf) {
+		const end = args.endDate ? this._parseDate(args.endDate, 'endDate') : this._endOfDay(asOf);
+		const start = args.startDate
+			? this._parseDate(args.startDate, 'startDate')
+			: this._startOfDay(new Date(end.getTime() - 29 * DAY_MS));
+
+		if (start > end) {
+			throw this._argumentError('startDate must be on or before endDate');
+		}
+
+		return { start, end: this._endOfDay(end) };
+	}
+
+	/**
+	 * @private
+	 */
+	_parseDate(value, field) {
+		if (!DATE_PATTERN.test(String(value))) {
+			throw this._argumentError(`${field} must be formatted YYYY-MM-DD`);
+		}
+		const date = new Date(`${value}T00:00:00.000Z`);
+		if (isNaN(date.getTime())) {
+			throw this._argumentError(`${field} is not a valid date`);
+		}
+		return date;
+	}
+
+	/**
+	 * @private
+	 */
+	_parseArgs(args) {
+		if (!args) return {};
+		if (typeof args === 'string') {
+			try {
+				return args.trim() ? JSON.parse(args) : {};
+			} catch (error) {
+				throw this._argumentError('Arguments must be valid JSON');
+			}
+		}
+		if (typeof args !== 'object' || Array.isArray(args)) {
+			throw this._argumentError('Arguments must be an object');
+		}
+		return args;
+	}
+
+	/**
+	 * @private
+	 */
+	_resolveLimit(value, fallback) {
+		const limit = parseInt(value, 10);
+		return Number.isInteger(limit) && limit > 0 ? Math.min(limit, 50) : fallback;
+	}
+
+	/**
+	 * @private
+	 */
+	_argumentError(message) {
+		const error = new Error(message);
+		error.statusCode = 400;
+		return error;
+	}
+
+	/**
+	 * @private
+	 */
+	_isSpending(tx) {
+		return tx.amount < 0 && !this._isTransfer(tx);
+	}
+
+	/**
+	 * @private
+	 */
+	_isTransfer(tx) {
+		return TRANSFER_PATTERN.test(tx.category || '');
+	}
+
+	/**
+	 * @private
+	 */
+	_merchantLabel(tx) {
+		return tx.merchantName || tx.merchant || tx.description || '';
+	}
+
+	/**
+	 * @private
+	 */
+	_group(items, keyOf) {
+		return items.reduce((groups, item) => {
+			const key = keyOf(item);
+			(groups[key] = groups[key] || []).push(item);
+			return groups;
+		}, {});
+	}
+
+	/**
+	 * @private
+	 */
+	_monthKey(date) {
+		return date.toISOString().slice(0, 7);
+	}
+
+	/**
+	 * @private
+	 */
+	_previousMonth(month) {
+		const [year, monthIndex] = month.split('-').map(Number);
+		return new Date(Date.UTC(year, monthIndex - 2, 1)).toISOString().slice(0, 7);
+	}
+
+	/**
+	 * @private
+	 */
+	_startOfDay(date) {
+		return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+	}
+
+	/**
+	 * @private
+	 */
+	_endOfDay(date) {
+		return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 23, 59, 59, 999));
+	}
+
+	/**
+	 * @private
+	 */
+	_formatDate(date) {
+		return date.toISOString().slice(0, 10);
+	}
+
+	/**
+	 * @private
+	 */
+	_round(value) {
+		return Math.round(value * 100) / 100;
+	}
+}
+
+module.exports = new FinancialToolsService();
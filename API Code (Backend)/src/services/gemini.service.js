@@ -8,7 +8,11 @@ global.Response = Response;
 
 const { GoogleGenAI } = require('@google/genai');
 const logger = require('../utils/logger');
-const sessionManager = require('./session.service');
+const conversationService = require('./conversation.service');
+const promptRegistry = require('./prompt-registry.service');
+const { formatProductContext } = require('../utils/plaid-product-context');
+
+const SYSTEM_PROMPT = "You are a helpful financial assistant. Provide clear, concise insights based on the user's financial data. Be informative but not verbose.";
 
 /**
  * Service for generating insights using Google's Gemini API
@@ -55,171 +59,291 @@ class GeminiService {
 			}
 		}
 
-		const { query, queryType, requestId, userId, sessionId } = userData;
+		const { requestId } = userData;
+		let prepared = null;
 
-		// Get or create session
-		let currentSessionId = sessionId;
-		let session = null;
+		try {
+			prepared = await this._prepareInsights(userData);
 
-		if (currentSessionId) {
-			session = sessionManager.getSession(currentSessionId);
-		}
+			// Generate content using Gemini API
+			const response = await this.client.models.generateContent(prepared.request);
+			const generatedText = this._extractText(response);
 
-		// If no session exists or invalid sessionId, create new one
-		if (!session && userId) {
-			currentSessionId = sessionManager.createSession(userId);
-			session = sessionManager.getSession(currentSessionId);
-		}
+			if (generatedText) {
+				logger.info('Gemini API response received', {
+					requestId,
+					responseLength: generatedText.length,
+					model: this.modelName,
+					isEducationalResponse: prepared.isExplanationRequest,
+					sessionId: prepared.sessionId
+				});
 
-		try {
-			logger.info('Generating insights with Gemini service', {
-				queryType,
-				model: this.modelName,
+				return await this._completeInsights(prepared, generatedText, this._extractUsage(response));
+			} else {
+				logger.warn('Empty response from Gemini API, falling back', {
+					requestId
+				});
+				return this._getFallbackResponse(userData);
+			}
+		} catch (error) {
+			logger.error('Error generating insights with Gemini:', {
+				errorMessage: error.message,
+				errorName: error.name,
+				errorStack: error.stack,
+				query: userData.query,
+				queryType: userData.queryType,
 				requestId,
-				sessionId: currentSessionId
+				sessionId: prepared ? prepared.sessionId : userData.sessionId
 			});
 
-			// Check if this is a short follow-up query that needs context
-			const isFollowUp = session ? this._isFollowUpQuery(query, session) : false;
-			let contextEnrichedQueryType = queryType;
-			let contextEnrichedQuery = query;
-
-			// Track conversation context if session is available
-			if (session) {
-				this._updateConversationContext(session, query, queryType);
-
-				// If this is a follow-up query, enrich it with context
-				if (isFollowUp) {
-					const enrichedContext = this._getEnrichedContext(session, query);
-					if (enrichedContext) {
-						contextEnrichedQueryType = enrichedContext.contextType || queryType;
-						contextEnrichedQuery = `${query} (in reference to: ${enrichedContext.contextQuery})`;
-
-						logger.info('Enhanced query with conversation context', {
-							originalQuery: query,
-							enhancedQuery: contextEnrichedQuery,
-							originalType: queryType,
-							enhancedType: contextEnrichedQueryType,
-							requestId,
-							sessionId: currentSessionId
-						});
-					}
-				}
+			return this._getFallbackResponse(userData);
+		}
+	}
+
+	/**
+	 * Stream insights token by token. Yields { type: 'token', text } events,
+	 * then one { type: 'done', ...insights } event shaped like the result of
+	 * generateInsights. Unlike generateInsights, failures throw so the caller
+	 * can try another provider.
+	 * @param {Object} userData - User data including query and context
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels the upstream request
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *streamInsights(userData, { signal } = {}) {
+		if (!this.client) {
+			this.initialize();
+			if (!this.client) {
+				throw new Error('Gemini client not initialized. Check your API key.');
 			}
+		}
 
-			// Detect if this is a follow-up explanation request
-			const isExplanationRequest = this._isExplanationRequest(contextEnrichedQuery, session);
-
-			// Select appropriate prompt based on query type
-			let promptText;
-			let temperature = 0.3;
-			let maxTokens = 800;
-
-			// If this is an explanation request, override with educational prompt
-			if (isExplanationRequest) {
-				const topicsToExplain = this._extractTopicsFromQuery(contextEnrichedQuery, session);
-				promptText = this._createEnhancedEducationPrompt(userData, topicsToExplain);
-				temperature = 0.2;
-				maxTokens = 1500;
-				logger.info('Using enhanced education prompt for explanation request', {
-					topics: topicsToExplain,
-					requestId
+		const prepared = await this._prepareInsights(userData);
+		const stream = await this.client.models.generateContentStream({
+			...prepared.request,
+			config: { ...prepared.request.config, abortSignal: signal }
+		});
+
+		let generatedText = '';
+		let usage = null;
+
+		for await (const chunk of stream) {
+			if (chunk.text) {
+				generatedText += chunk.text;
+				yield { type: 'token', text: chunk.text };
+			}
+			if (chunk.usageMetadata) {
+				usage = this._extractUsage(chunk);
+			}
+		}
+
+		if (!generatedText) {
+			throw new Error('Empty response from Gemini API');
+		}
+
+		yield { type: 'done', ...(await this._completeInsights(prepared, generatedText, usage || this._extractUsage(null))) };
+	}
+
+	/**
+	 * Load the conversation, pick the prompt (follow-up enrichment, explanation
+	 * requests, registry templates) and build the generateContent request
+	 * @param {Object} userData - User data including query and context
+	 * @returns {Promise<Object>} - The request and the context needed to finish it
+	 * @private
+	 */
+	async _prepareInsights(userData) {
+		const { query, queryType, requestId, userId, subUserId, sessionId, conversationId } = userData;
+
+		// Load the persisted conversation so follow-ups work on any instance
+		let conversation = null;
+		let session = null;
+
+		if (userId) {
+			try {
+				conversation = await conversationService.resolveConversation({
+					userId,
+					subUserId,
+					conversationId: conversationId || sessionId,
+					sessionKey: sessionId
 				});
-			} else {
-				// Select prompt based on enriched query type
-				switch (contextEnrichedQueryType) {
-					case 'harmful':
-						promptText = this._createHarmfulContentPrompt(userData);
-						temperature = 0.1;
-						break;
-					case 'greeting':
-						promptText = this._createGreetingPrompt(userData);
-						temperature = 0.2;
-						break;
-					case 'joke':
-						promptText = this._createJokePrompt(userData);
-						temperature = 0.7; // Higher variety for jokes
-						break;
-					case 'budgeting':
-						promptText = this._createBudgetingPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'spending':
-						promptText = this._createSpendingPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'saving':
-						promptText = this._createSavingPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'investing':
-						promptText = this._createInvestingPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'debt':
-						promptText = this._createDebtPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'tax':
-						promptText = this._createTaxPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'insurance':
-						promptText = this._createInsurancePrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'retirement':
-						promptText = this._createRetirementPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'banking':
-						promptText = this._createBankingPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'credit':
-						promptText = this._createCreditPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'planning':
-						promptText = this._createPlanningPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'real_estate':
-						promptText = this._createRealEstatePrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'crypto':
-						promptText = this._createCryptoPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'market_analysis':
-						promptText = this._createMarketAnalysisPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'education':
-						promptText = this._createEducationPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'income':
-						promptText = this._createIncomePrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'transactions':
-						promptText = this._createTransactionsPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'security':
-						promptText = this._createSecurityPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'forex':
-						promptText = this._createForexPrompt({ ...userData, query: contextEnrichedQuery });
-						break;
-					case 'general':
-					default:
-						promptText = this._createGeneralPrompt({ ...userData, query: contextEnrichedQuery });
+				session = await conversationService.getContext(conversation);
+			} catch (error) {
+				logger.warn(`Continuing without conversation context: ${error.message}`, { requestId });
+			}
+		}
+
+		const currentSessionId = conversation ? conversation.id : sessionId;
+
+		logger.info('Generating insights with Gemini service', {
+			queryType,
+			model: this.modelName,
+			requestId,
+			sessionId: currentSessionId
+		});
+
+		// Check if this is a short follow-up query that needs context
+		const isFollowUp = session ? this._isFollowUpQuery(query, session) : false;
+		let contextEnrichedQueryType = queryType;
+		let contextEnrichedQuery = query;
+
+		// Track conversation context if session is available
+		if (session) {
+			this._updateConversationContext(session, query, queryType);
+
+			// If this is a follow-up query, enrich it with context
+			if (isFollowUp) {
+				const enrichedContext = this._getEnrichedContext(session, query);
+				if (enrichedContext) {
+					contextEnrichedQueryType = enrichedContext.contextType || queryType;
+					contextEnrichedQuery = `${query} (in reference to: ${enrichedContext.contextQuery})`;
+
+					logger.info('Enhanced query with conversation context', {
+						originalQuery: query,
+						enhancedQuery: contextEnrichedQuery,
+						originalType: queryType,
+						enhancedType: contextEnrichedQueryType,
+						requestId,
+						sessionId: currentSessionId
+					});
 				}
 			}
+		}
+
+		// Detect if this is a follow-up explanation request
+		const isExplanationRequest = this._isExplanationRequest(contextEnrichedQuery, session);
+
+		// Select appropriate prompt based on query type
+		let promptText;
+		let temperature = 0.3;
+		let maxTokens = 800;
 
-			// Enhance the prompt with conversation context if this is a follow-up
-			if (isFollowUp && session) {
-				promptText = this._enhancePromptWithContext(promptText, session, query);
+		// If this is an explanation request, override with educational prompt
+		if (isExplanationRequest) {
+			const topicsToExplain = this._extractTopicsFromQuery(contextEnrichedQuery, session);
+			promptText = this._createEnhancedEducationPrompt(userData, topicsToExplain);
+			temperature = 0.2;
+			maxTokens = 1500;
+			logger.info('Using enhanced education prompt for explanation request', {
+				topics: topicsToExplain,
+				requestId
+			});
+		} else {
+			// Select prompt based on enriched query type
+			switch (contextEnrichedQueryType) {
+				case 'harmful':
+					promptText = this._createHarmfulContentPrompt(userData);
+					temperature = 0.1;
+					break;
+				case 'greeting':
+					promptText = this._createGreetingPrompt(userData);
+					temperature = 0.2;
+					break;
+				case 'joke':
+					promptText = this._createJokePrompt(userData);
+					temperature = 0.7; // Higher variety for jokes
+					break;
+				case 'budgeting':
+					promptText = this._createBudgetingPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'spending':
+					promptText = this._createSpendingPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'saving':
+					promptText = this._createSavingPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'investing':
+					promptText = this._createInvestingPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'debt':
+					promptText = this._createDebtPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'tax':
+					promptText = this._createTaxPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'insurance':
+					promptText = this._createInsurancePrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'retirement':
+					promptText = this._createRetirementPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'banking':
+					promptText = this._createBankingPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'credit':
+					promptText = this._createCreditPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'planning':
+					promptText = this._createPlanningPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'real_estate':
+					promptText = this._createRealEstatePrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'crypto':
+					promptText = this._createCryptoPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'market_analysis':
+					promptText = this._createMarketAnalysisPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'education':
+					promptText = this._createEducationPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'income':
+					promptText = this._createIncomePrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'transactions':
+					promptText = this._createTransactionsPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'security':
+					promptText = this._createSecurityPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'forex':
+					promptText = this._createForexPrompt({ ...userData, query: contextEnrichedQuery });
+					break;
+				case 'general':
+				default:
+					promptText = this._createGeneralPrompt({ ...userData, query: contextEnrichedQuery });
 			}
+		}
 
-			// Define the grounding tool
-			const groundingTool = {
-				googleSearch: {},
-			};
+		// A registry template or experiment variant replaces the prompt above when one applies
+		const selected = await promptRegistry.select('insights', {
+			queryType: contextEnrichedQueryType,
+			assignmentKey: userId,
+			variables: {
+				query: contextEnrichedQuery,
+				queryType: contextEnrichedQueryType,
+				userName: userData.userProfile?.name || '',
+				financialContext: this._createFinancialContext(userData)
+			},
+			builtin: { prompt: promptText, system: SYSTEM_PROMPT, temperature, maxTokens }
+		});
+		promptText = selected.prompt;
 
-			// Configure generation settings
-			const config = {
-				tools: [groundingTool],
-			};
+		// Enhance the prompt with conversation context if this is a follow-up
+		if (isFollowUp && session) {
+			promptText = this._enhancePromptWithContext(promptText, session, query);
+		}
 
-			// Generate content using Gemini API
-			const response = await this.client.models.generateContent({
+		// Define the grounding tool
+		const groundingTool = {
+			googleSearch: {},
+		};
+
+		// Configure generation settings
+		const config = {
+			tools: [groundingTool],
+		};
+
+		return {
+			conversation,
+			sessionId: currentSessionId,
+			requestId,
+			query,
+			queryType: contextEnrichedQueryType,
+			isFollowUp,
+			isExplanationRequest,
+			selected,
+			request: {
 				model: this.modelName,
 				contents: [
 					{
@@ -228,93 +352,228 @@ class GeminiService {
 					}
 				],
 				generationConfig: {
-					temperature: temperature,
+					temperature: selected.temperature,
 					topP: 0.95,
 					topK: 40,
-					maxOutputTokens: maxTokens
+					maxOutputTokens: selected.maxTokens
 				},
-				systemInstruction: "You are a helpful financial assistant. Provide clear, concise insights based on the user's financial data. Be informative but not verbose.",
+				systemInstruction: selected.system,
 				config,
-			});
-
-			// Extract generated text
-			let generatedText = '';
-
-			if (response && response.text) {
-				generatedText = response.text;
-			} else if (response && response.response && response.response.text) {
-				generatedText = response.response.text;
-			} else if (response && response.response && response.response.candidates &&
-				response.response.candidates.length > 0 &&
-				response.response.candidates[0].content &&
-				response.response.candidates[0].content.parts &&
-				response.response.candidates[0].content.parts.length > 0) {
-				generatedText = response.response.candidates[0].content.parts[0].text || '';
 			}
+		};
+	}
 
-			if (generatedText) {
-				logger.info('Gemini API response received', {
-					requestId,
-					responseLength: generatedText.length,
-					model: this.modelName,
-					isEducationalResponse: isExplanationRequest,
-					sessionId: currentSessionId
-				});
+	/**
+	 * Persist the turn so the next request can follow up on it, and shape the result
+	 * @param {Object} prepared - From _prepareInsights
+	 * @param {string} generatedText - Model output
+	 * @param {Object} usage - Token usage
+	 * @returns {Promise<Object>} - Generated insights
+	 * @private
+	 */
+	async _completeInsights(prepared, generatedText, usage) {
+		const { conversation, requestId, query, queryType, isFollowUp, isExplanationRequest, sessionId, selected } = prepared;
 
-				// Store the response in session history
-				if (session) {
-					this._storeResponse(session, generatedText, contextEnrichedQueryType);
-				}
+		if (conversation) {
+			await conversationService.recordTurn(conversation, {
+				query,
+				response: generatedText,
+				queryType,
+				topics: this._extractFinancialTopics(query, queryType),
+				metadata: { source: 'gemini', model: this.modelName, isFollowUp }
+			}).catch(error => {
+				logger.warn(`Failed to record conversation turn: ${error.message}`, { requestId });
+			});
+		}
 
-				return {
-					insight: generatedText,
-					timestamp: new Date().toISOString(),
-					queryType: isExplanationRequest ? 'enhanced_education' : contextEnrichedQueryType,
-					source: 'gemini',
-					sessionId: currentSessionId // Include sessionId in response
-				};
-			} else {
-				logger.warn('Empty response from Gemini API, falling back', {
-					requestId
-				});
-				return this._getFallbackResponse(userData);
+		return {
+			insight: generatedText,
+			timestamp: new Date().toISOString(),
+			queryType: isExplanationRequest ? 'enhanced_education' : queryType,
+			source: 'gemini',
+			sessionId, // Include sessionId in response
+			conversationId: sessionId,
+			prompt: selected.info,
+			usage
+		};
+	}
+
+	/**
+	 * Text from a generateContent response, across SDK response shapes
+	 * @private
+	 */
+	_extractText(response) {
+		if (response && response.text) {
+			return response.text;
+		}
+		if (response && response.response && response.response.text) {
+			return response.response.text;
+		}
+		if (response && response.response && response.response.candidates &&
+			response.response.candidates.length > 0 &&
+			response.response.candidates[0].content &&
+			response.response.candidates[0].content.parts &&
+			response.response.candidates[0].content.parts.length > 0) {
+			return response.response.candidates[0].content.parts[0].text || '';
+		}
+		return '';
+	}
+
+	/**
+	 * Run one turn of a tool-calling conversation
+	 * @param {Object} options
+	 * @param {string} options.system - System instruction
+	 * @param {Array<Object>} options.messages - Provider-neutral messages ({ role, content, toolCalls, toolCallId, name })
+	 * @param {Array<Object>} options.tools - Tool definitions ({ name, description, parameters })
+	 * @param {number} options.temperature
+	 * @param {number} options.maxTokens
+	 * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>, usage: Object}>}
+	 */
+	async chatWithTools({ system, messages, tools = [], temperature = 0.2, maxTokens = 800 }) {
+		if (!this.client) {
+			this.initialize();
+			if (!this.client) {
+				throw new Error('Gemini client not initialized. Check your API key.');
 			}
+		}
+
+		try {
+			const response = await this.client.models.generateContent(
+				this._toolRequest({ system, messages, tools, temperature, maxTokens })
+			);
+
+			const functionCalls = response.functionCalls || [];
+
+			return {
+				text: functionCalls.length ? '' : (response.text || ''),
+				toolCalls: functionCalls.map((call, index) => ({
+					id: call.id || `call_${Date.now()}_${index}`,
+					name: call.name,
+					arguments: call.args || {}
+				})),
+				usage: this._extractUsage(response)
+			};
 		} catch (error) {
-			logger.error('Error generating insights with Gemini:', {
+			logger.error('Error in Gemini tool-calling request:', {
 				errorMessage: error.message,
-				errorName: error.name,
-				errorStack: error.stack,
-				query: userData.query,
-				queryType: userData.queryType,
-				requestId,
-				sessionId: currentSessionId
+				model: this.modelName
 			});
+			throw new Error(`Gemini API error: ${error.message}`);
+		}
+	}
 
-			return this._getFallbackResponse(userData);
+	/**
+	 * Streaming variant of chatWithTools. Yields { type: 'token', text } as text
+	 * arrives, then { type: 'done', text, toolCalls, usage }.
+	 * @param {Object} options - As chatWithTools, plus signal (AbortSignal) to cancel
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *streamChat({ system, messages, tools = [], temperature = 0.2, maxTokens = 800, signal }) {
+		if (!this.client) {
+			this.initialize();
+			if (!this.client) {
+				throw new Error('Gemini client not initialized. Check your API key.');
+			}
+		}
+
+		const request = this._toolRequest({ system, messages, tools, temperature, maxTokens });
+		request.config.abortSignal = signal;
+
+		const stream = await this.client.models.generateContentStream(request);
+		const functionCalls = [];
+		let text = '';
+		let usage = null;
+
+		for await (const chunk of stream) {
+			if (chunk.functionCalls && chunk.functionCalls.length) {
+				functionCalls.push(...chunk.functionCalls);
+			} else if (chunk.text) {
+				text += chunk.text;
+				yield { type: 'token', text: chunk.text };
+			}
+			if (chunk.usageMetadata) {
+				usage = this._extractUsage(chunk);
+			}
 		}
+
+		yield {
+			type: 'done',
+			text: functionCalls.length ? '' : text,
+			toolCalls: functionCalls.map((call, index) => ({
+				id: call.id || `call_${Date.now()}_${index}`,
+				name: call.name,
+				arguments: call.args || {}
+			})),
+			usage: usage || this._extractUsage(null)
+		};
 	}
 
 	/**
-	 * Store AI response in session history
-	 * @param {Object} session - Session object
-	 * @param {string} response - AI response
-	 * @param {string} queryType - Query type
+	 * generateContent request for a tool-calling turn
 	 * @private
 	 */
-	_storeResponse(session, response, queryType) {
-		const responseHistory = session.responseHistory;
-
-		// Add new response at the beginning
-		responseHistory.unshift({
-			response,
-			queryType,
-			timestamp: Date.now()
+	_toolRequest({ system, messages, tools, temperature, maxTokens }) {
+		// Gemini takes tool results as user-role functionResponse parts
+		const contents = messages.map(message => {
+			if (message.role === 'tool') {
+				let response;
+				try {
+					response = JSON.parse(message.content);
+				} catch (error) {
+					response = { output: message.content };
+				}
+				return {
+					role: 'user',
+					parts: [{ functionResponse: { id: message.toolCallId, name: message.name, response } }]
+				};
+			}
+			if (message.role === 'assistant') {
+				const parts = [];
+				if (message.content) parts.push({ text: message.content });
+				(message.toolCalls || []).forEach(call => {
+					parts.push({ functionCall: { id: call.id, name: call.name, args: call.arguments || {} } });
+				});
+				return { role: 'model', parts };
+			}
+			return { role: 'user', parts: [{ text: message.content }] };
 		});
 
-		// Keep only the 5 most recent responses
-		if (responseHistory.length > 5) {
-			responseHistory.pop();
+		const config = {
+			systemInstruction: system,
+			temperature,
+			maxOutputTokens: maxTokens
+		};
+
+		if (tools.length) {
+			config.tools = [{
+				functionDeclarations: tools.map(tool => ({
+					name: tool.name,
+					description: tool.description,
+					parametersJsonSchema: tool.parameters
+				}))
+			}];
 		}
+
+		return {
+			model: this.modelName,
+			contents,
+			config
+		};
+	}
+
+	/**
+	 * Token counts from a generateContent response. Thinking tokens are billed
+	 * as output.
+	 * @private
+	 */
+	_extractUsage(response) {
+		const usage = (response && (response.usageMetadata || (response.response && response.response.usageMetadata))) || {};
+		return {
+			provider: 'gemini',
+			model: this.modelName,
+			promptTokens: usage.promptTokenCount || 0,
+			completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+		};
 	}
 
 	/**
@@ -376,13 +635,12 @@ class GeminiService {
 		};
 	}
 
-	clearUserHistory(userId) {
+	async clearUserHistory(userId) {
 		if (userId) {
-			// Use sessionManager instead
-			const deletedCount = sessionManager.deleteUserSessions(userId);
+			const deletedCount = await conversationService.deleteAllForUser(userId);
 			logger.info('Cleared conversation history for user', {
 				userId,
-				sessionsDeleted: deletedCount
+				conversationsDeleted: deletedCount
 			});
 		}
 	}
@@ -416,8 +674,13 @@ class GeminiService {
 		// Get previous response (index 0 is the most recent)
 		const previousResponse = responseHistory[0];
 
+		// Older turns are only available as a summary
+		const earlierContext = session.summary
+			? `\nEARLIER IN THIS CONVERSATION:\n${session.summary}\n`
+			: '';
+
 		// Create conversation context section
-		const conversationContext = `
+		const conversationContext = `${earlierContext}
 CONVERSATION CONTEXT:
 Previous user query: "${previousQuery.query}"
 Your previous response: "${this._summarizeText(previousResponse.response, 150)}"
@@ -489,25 +752,6 @@ If the current query is brief or vague (like "show me how", "tell me more"), int
 		conversationHistory.lastInteraction = Date.now();
 	}
 
-	/**
-	 * Clean up conversation history older than 30 minutes
-	 * @private
-	 */
-	_cleanupConversationHistory() {
-		const thirtyMinutesAgo = Date.now() - 30 * 60 * 1000;
-
-		for (const [userId, context] of this.conversationHistory.entries()) {
-			if (context.lastInteraction < thirtyMinutesAgo) {
-				this.conversationHistory.delete(userId);
-
-				// Also clean up response history
-				if (this.responseHistory.has(userId)) {
-					this.responseHistory.delete(userId);
-				}
-			}
-		}
-	}
-
 	/**
 	 * Extract financial topics from a query
 	 * @param {string} query - User query
@@ -982,7 +1226,7 @@ Top Expense Categories: ${topCategories.join(', ') || 'Not enough data'}
 
 ACCOUNTS:
 ${accountsSummary || 'No account information available'}
-
+${formatProductContext(userData)}
 RECENT TRANSACTIONS:
 ${transactionsSummary || 'No transaction history available'}
 `;
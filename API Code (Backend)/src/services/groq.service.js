@@ -1,7 +1,11 @@
 // src/services/groq.service.js
 const Groq = require('groq-sdk'); // Use groq-sdk instead of groq
+const promptRegistry = require('./prompt-registry.service');
+const { formatProductContext } = require('../utils/plaid-product-context');
 const logger = require('../utils/logger');
 
+const SYSTEM_PROMPT = "You are a helpful financial assistant. Provide clear, concise insights based on the user's financial data. Be informative but not verbose.";
+
 /**
  * Service for generating insights using Groq API as a backup
  * when Cohere API is unavailable
@@ -46,7 +50,7 @@ class GroqService {
 			}
 		}
 
-		const { query, queryType, requestId } = userData;
+		const { queryType, requestId } = userData;
 
 		try {
 			logger.info('Generating insights with Groq backup service', {
@@ -55,128 +59,7 @@ class GroqService {
 				requestId
 			});
 
-			// Select appropriate prompt and parameters based on query type
-			let prompt;
-			let maxTokens = 800;  // Default token limit
-			let temperature = 0.3; // Default temperature
-
-			switch (queryType) {
-				case 'harmful':
-					prompt = this._createHarmfulContentPrompt(userData);
-					maxTokens = 200;  // Shorter for harm refusals
-					temperature = 0.1; // Very consistent for harm refusals
-					break;
-				case 'greeting':
-					prompt = this._createGreetingPrompt(userData);
-					maxTokens = 200;  // Shorter for greetings
-					temperature = 0.2; // More consistency for greetings
-					break;
-				case 'joke':
-					prompt = this._createJokePrompt(userData);
-					maxTokens = 300;  // Medium length for jokes
-					temperature = 0.7; // Higher variety for jokes
-					break;
-				case 'budgeting':
-					prompt = this._createBudgetingPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'spending':
-					prompt = this._createSpendingPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'saving':
-					prompt = this._createSavingPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'investing':
-					prompt = this._createInvestingPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'debt':
-					prompt = this._createDebtPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'tax':
-					prompt = this._createTaxPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'insurance':
-					prompt = this._createInsurancePrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'retirement':
-					prompt = this._createRetirementPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'banking':
-					prompt = this._createBankingPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'credit':
-					prompt = this._createCreditPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'planning':
-					prompt = this._createPlanningPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'real_estate':
-					prompt = this._createRealEstatePrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'crypto':
-					prompt = this._createCryptoPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'market_analysis':
-					prompt = this._createMarketAnalysisPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'education':
-					prompt = this._createEducationPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'income':
-					prompt = this._createIncomePrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'transactions':
-					prompt = this._createTransactionsPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'security':
-					prompt = this._createSecurityPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'forex':
-					prompt = this._createForexPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-					break;
-				case 'general':
-				default:
-					prompt = this._createGeneralPrompt(userData);
-					maxTokens = 800;
-					temperature = 0.3;
-			}
+			const selected = await this._selectPrompt(userData);
 
 			// Call Groq API using the groq-sdk format
 			const completion = await this.client.chat.completions.create({
@@ -184,15 +67,15 @@ class GroqService {
 				messages: [
 					{
 						role: "system",
-						content: "You are a helpful financial assistant. Provide clear, concise insights based on the user's financial data. Be informative but not verbose."
+						content: selected.system
 					},
 					{
 						role: "user",
-						content: prompt
+						content: selected.prompt
 					}
 				],
-				temperature: temperature,
-				max_tokens: maxTokens, // Note: groq-sdk might use max_tokens instead of max_completion_tokens
+				temperature: selected.temperature,
+				max_tokens: selected.maxTokens, // Note: groq-sdk might use max_tokens instead of max_completion_tokens
 				top_p: 1,
 				stream: false
 			});
@@ -209,7 +92,9 @@ class GroqService {
 				insight: generatedText,
 				timestamp: new Date().toISOString(),
 				queryType,
-				source: 'groq-backup'
+				source: 'groq-backup',
+				prompt: selected.info,
+				usage: this._extractUsage(completion)
 			};
 		} catch (error) {
 			logger.error('Error generating insights with Groq:', {
@@ -226,6 +111,356 @@ class GroqService {
 		}
 	}
 
+	/**
+	 * Stream insights token by token. Yields { type: 'token', text } events,
+	 * then one { type: 'done', ...insights } event shaped like the result of
+	 * generateInsights.
+	 * @param {Object} userData - User data including query and context
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels the upstream request
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *streamInsights(userData, { signal } = {}) {
+		const selected = await this._selectPrompt(userData);
+		let result = null;
+
+		for await (const event of this.streamChat({
+			system: selected.system,
+			messages: [{ role: 'user', content: selected.prompt }],
+			temperature: selected.temperature,
+			maxTokens: selected.maxTokens,
+			signal
+		})) {
+			if (event.type === 'done') {
+				result = event;
+			} else {
+				yield event;
+			}
+		}
+
+		yield {
+			type: 'done',
+			insight: result.text,
+			timestamp: new Date().toISOString(),
+			queryType: userData.queryType,
+			source: 'groq-backup',
+			prompt: selected.info,
+			usage: result.usage
+		};
+	}
+
+	/**
+	 * Pick the prompt and generation settings for the query type. A registry
+	 * template or experiment variant replaces the built-in prompt when one applies.
+	 * @param {Object} userData - User data including query and context
+	 * @returns {Promise<Object>} - Selection from the prompt registry
+	 * @private
+	 */
+	async _selectPrompt(userData) {
+		const { query, queryType } = userData;
+
+		// Select appropriate prompt and parameters based on query type
+		let prompt;
+		let maxTokens = 800;  // Default token limit
+		let temperature = 0.3; // Default temperature
+
+		switch (queryType) {
+			case 'harmful':
+				prompt = this._createHarmfulContentPrompt(userData);
+				maxTokens = 200;  // Shorter for harm refusals
+				temperature = 0.1; // Very consistent for harm refusals
+				break;
+			case 'greeting':
+				prompt = this._createGreetingPrompt(userData);
+				maxTokens = 200;  // Shorter for greetings
+				temperature = 0.2; // More consistency for greetings
+				break;
+			case 'joke':
+				prompt = this._createJokePrompt(userData);
+				maxTokens = 300;  // Medium length for jokes
+				temperature = 0.7; // Higher variety for jokes
+				break;
+			case 'budgeting':
+				prompt = this._createBudgetingPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'spending':
+				prompt = this._createSpendingPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'saving':
+				prompt = this._createSavingPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'investing':
+				prompt = this._createInvestingPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'debt':
+				prompt = this._createDebtPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'tax':
+				prompt = this._createTaxPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'insurance':
+				prompt = this._createInsurancePrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'retirement':
+				prompt = this._createRetirementPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'banking':
+				prompt = this._createBankingPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'credit':
+				prompt = this._createCreditPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'planning':
+				prompt = this._createPlanningPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'real_estate':
+				prompt = this._createRealEstatePrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'crypto':
+				prompt = this._createCryptoPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'market_analysis':
+				prompt = this._createMarketAnalysisPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'education':
+				prompt = this._createEducationPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'income':
+				prompt = this._createIncomePrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'transactions':
+				prompt = this._createTransactionsPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'security':
+				prompt = this._createSecurityPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'forex':
+				prompt = this._createForexPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+				break;
+			case 'general':
+			default:
+				prompt = this._createGeneralPrompt(userData);
+				maxTokens = 800;
+				temperature = 0.3;
+		}
+
+		return promptRegistry.select('insights', {
+			queryType,
+			assignmentKey: userData.userId,
+			variables: {
+				query,
+				queryType,
+				userName: userData.userProfile?.name || '',
+				financialContext: this._createFinancialContext(userData)
+			},
+			builtin: { prompt, system: SYSTEM_PROMPT, temperature, maxTokens }
+		});
+	}
+
+	/**
+	 * Run one turn of a tool-calling conversation
+	 * @param {Object} options
+	 * @param {string} options.system - System instruction
+	 * @param {Array<Object>} options.messages - Provider-neutral messages ({ role, content, toolCalls, toolCallId, name })
+	 * @param {Array<Object>} options.tools - Tool definitions ({ name, description, parameters })
+	 * @param {number} options.temperature
+	 * @param {number} options.maxTokens
+	 * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>, usage: Object}>}
+	 */
+	async chatWithTools({ system, messages, tools = [], temperature = 0.2, maxTokens = 800 }) {
+		if (!this.client) {
+			this.initialize();
+			if (!this.client) {
+				throw new Error('Groq client not initialized. Check your API key.');
+			}
+		}
+
+		const request = this._chatRequest({ system, messages, tools, temperature, maxTokens });
+
+		try {
+			const completion = await this.client.chat.completions.create(request);
+			const message = completion.choices[0].message || {};
+
+			return {
+				text: message.content || '',
+				toolCalls: (message.tool_calls || []).map(call => ({
+					id: call.id,
+					name: call.function.name,
+					arguments: this._parseToolArguments(call.function.arguments)
+				})),
+				usage: this._extractUsage(completion)
+			};
+		} catch (error) {
+			logger.error('Error in Groq tool-calling request:', {
+				errorMessage: error.message,
+				model: this.model
+			});
+			throw new Error(`Groq API error: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Streaming variant of chatWithTools. Yields { type: 'token', text } as text
+	 * arrives, then { type: 'done', text, toolCalls, usage }. Tool call names
+	 * and arguments arrive in fragments and are assembled by index.
+	 * @param {Object} options - As chatWithTools, plus signal (AbortSignal) to cancel
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *streamChat({ system, messages, tools = [], temperature = 0.2, maxTokens = 800, signal }) {
+		if (!this.client) {
+			this.initialize();
+			if (!this.client) {
+				throw new Error('Groq client not initialized. Check your API key.');
+			}
+		}
+
+		const request = { ...this._chatRequest({ system, messages, tools, temperature, maxTokens }), stream: true };
+		const stream = await this.client.chat.completions.create(request, { signal });
+		const calls = [];
+		let text = '';
+		let completion = { model: this.model };
+
+		for await (const chunk of stream) {
+			const delta = (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) || {};
+
+			if (delta.content) {
+				text += delta.content;
+				yield { type: 'token', text: delta.content };
+			}
+
+			(delta.tool_calls || []).forEach(fragment => {
+				const call = calls[fragment.index] || (calls[fragment.index] = { id: null, name: '', arguments: '' });
+				if (fragment.id) call.id = fragment.id;
+				if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+				if (fragment.function && fragment.function.arguments) call.arguments += fragment.function.arguments;
+			});
+
+			// Groq reports usage on the last chunk under x_groq
+			const usage = (chunk.x_groq && chunk.x_groq.usage) || chunk.usage;
+			if (usage) completion = { model: chunk.model || this.model, usage };
+		}
+
+		yield {
+			type: 'done',
+			text,
+			toolCalls: calls.filter(Boolean).map(call => ({
+				id: call.id,
+				name: call.name,
+				arguments: this._parseToolArguments(call.arguments)
+			})),
+			usage: this._extractUsage(completion)
+		};
+	}
+
+	/**
+	 * Chat completion request for a tool-calling turn
+	 * @private
+	 */
+	_chatRequest({ system, messages, tools, temperature, maxTokens }) {
+		const request = {
+			model: this.model,
+			messages: [
+				{ role: 'system', content: system },
+				...messages.map(message => {
+					if (message.role === 'tool') {
+						return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+					}
+					if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length) {
+						return {
+							role: 'assistant',
+							content: message.content || null,
+							tool_calls: message.toolCalls.map(call => ({
+								id: call.id,
+								type: 'function',
+								function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+							}))
+						};
+					}
+					return { role: message.role, content: message.content };
+				})
+			],
+			temperature,
+			max_tokens: maxTokens,
+			stream: false
+		};
+
+		if (tools.length) {
+			request.tools = tools.map(tool => ({
+				type: 'function',
+				function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+			}));
+			request.tool_choice = 'auto';
+		}
+
+		return request;
+	}
+
+	/**
+	 * Token counts reported with a completion
+	 * @private
+	 */
+	_extractUsage(completion) {
+		const usage = completion.usage || {};
+		return {
+			provider: 'groq',
+			model: completion.model || this.model,
+			promptTokens: usage.prompt_tokens || 0,
+			completionTokens: usage.completion_tokens || 0
+		};
+	}
+
+	/**
+	 * Tool arguments arrive as a JSON string; keep the raw value if it does not parse
+	 * so the tool can report the problem back to the model
+	 * @private
+	 */
+	_parseToolArguments(value) {
+		if (!value || typeof value !== 'string') return value || {};
+		try {
+			return JSON.parse(value);
+		} catch (error) {
+			return value;
+		}
+	}
+
 	// All your existing prompt methods remain the same
 	_createHarmfulContentPrompt(userData) {
 		return `I cannot and will not provide information about potentially harmful or illegal activities. 
@@ -308,7 +543,7 @@ Top Expense Categories: ${topCategories.join(', ') || 'Not enough data'}
 
 ACCOUNTS:
 ${accountsSummary || 'No account information available'}
-
+${formatProductContext(userData)}
 RECENT TRANSACTIONS:
 ${transactionsSummary || 'No transaction history available'}
 `;
@@ -0,0 +1,502 @@
+// src/services/guardrail.service.js
+const { Op } = require('sequelize');
+const { GuardrailVerdict } = require('../models');
+const {
+	PII_PATTERNS,
+	INVESTMENT_ADVICE_PATTERNS,
+	INVESTMENT_ADVICE_DISCLAIMER,
+	APPROXIMATION_PATTERN,
+	GUIDANCE_PATTERN
+} = require('../utils/guardrail-rules');
+const logger = require('../utils/logger');
+
+const AMOUNT_PATTERN = /([-−]\s?)?\$\s?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)(?:\s?(k|K|thousand|million|M)\b)?/g;
+const PERCENT_PATTERN = /(\d+(?:\.\d+)?)\s?(?:%|percent\b)/g;
+const QUERY_NUMBER_PATTERN = /\d+(?:,\d{3})*(?:\.\d+)?/g;
+const MULTIPLIERS = { k: 1000, K: 1000, thousand: 1000, million: 1000000, M: 1000000 };
+const SENTENCE_PATTERN = /[^.!?\n]*[.!?]+\s*|[^.!?\n]+|\n+/g;
+// End of a sentence or line: where streamed text can be released
+const BOUNDARY_PATTERN = /[.!?]+(?=\s)|\n+/g;
+// Streamed text without a boundary is released at whitespace past this length
+const MAX_PENDING_LENGTH = 400;
+
+// Most severe status wins the verdict
+const SEVERITY = ['pass', 'skipped', 'flagged', 'modified', 'blocked'];
+const VERDICT_ACTIONS = ['pass', 'flagged', 'modified', 'blocked'];
+
+/**
+ * Guardrail Service
+ * Post-processing pipeline for LLM output. Each response passes through PII
+ * scrubbing, removal of personalized investment advice, and verification of
+ * dollar amounts and percentages against figures computed from the user's
+ * data. The verdict says what each step found and changed.
+ */
+class GuardrailService {
+	constructor() {
+		this.enabled = process.env.GUARDRAILS_ENABLED !== 'false';
+		// flag: report figures that match nothing; rewrite: also correct near-misses
+		this.numberMode = process.env.GUARDRAIL_NUMBER_MODE === 'rewrite' ? 'rewrite' : 'flag';
+		this.amountTolerance = parseFloat(process.env.GUARDRAIL_AMOUNT_TOLERANCE || '0.01');
+		this.rewriteTolerance = parseFloat(process.env.GUARDRAIL_REWRITE_TOLERANCE || '0.1');
+
+		this.steps = [
+			{ name: 'pii', run: (text, context) => this._scrubPii(text, context) },
+			{ name: 'investment_advice', run: text => this._removeInvestmentAdvice(text) },
+			{ name: 'numbers', run: (text, context) => this._verifyNumbers(text, context) }
+		];
+	}
+
+	/**
+	 * Run the pipeline over a response
+	 * @param {string} text - LLM output
+	 * @param {Object} [context] - Data the response was generated from
+	 * @param {string} [context.query] - User question (its figures count as known)
+	 * @param {Array} [context.accounts] - Accounts with balances
+	 * @param {Array} [context.transactions] - Transactions (negative amounts are spending)
+	 * @param {Array} [context.toolCalls] - Tool calls whose results back the figures
+	 * @param {*} [context.figures] - Other computed values (numbers anywhere inside count)
+	 * @param {Object} [context.userProfile] - Profile whose email/phone must not be echoed
+	 * @returns {{text: string, verdict: Object}}
+	 */
+	check(text, context = {}) {
+		if (!this.enabled || typeof text !== 'string' || !text) {
+			return { text, verdict: null };
+		}
+
+		const startTime = Date.now();
+		const checks = [];
+		let output = text;
+
+		for (const step of this.steps) {
+			try {
+				const result = step.run(output, context);
+				output = result.text;
+				checks.push({ name: step.name, status: result.status, findings: result.findings });
+			} catch (error) {
+				// A broken step must not take the response down with it
+				logger.error(`Guardrail step ${step.name} failed: ${error.message}`);
+				checks.push({ name: step.name, status: 'skipped', findings: [{ type: 'error', message: error.message }] });
+			}
+		}
+
+		const action = checks.reduce(
+			(worst, check) => (SEVERITY.indexOf(check.status) > SEVERITY.indexOf(worst) ? check.status : worst),
+			'pass'
+		);
+
+		return {
+			text: output,
+			verdict: {
+				action: action === 'skipped' ? 'pass' : action,
+				checks,
+				durationMs: Date.now() - startTime
+			}
+		};
+	}
+
+	/**
+	 * Guard a response while it streams. push() returns the text that is safe
+	 * to send so far: whole sentences, scrubbed of PII and investment advice,
+	 * so a value split across chunks is checked once it is complete. finish()
+	 * runs the full pipeline over the whole response; its text replaces what
+	 * was streamed (it adds the disclaimer and, in rewrite mode, corrections).
+	 * @param {Object} [context] - As check()
+	 * @returns {{push: function(string): string, flush: function(): string, finish: function(): Object}}
+	 */
+	createStream(context = {}) {
+		let raw = '';
+		let pending = '';
+
+		const release = text => (text ? this._streamSafe(text, context) : '');
+
+		return {
+			push: chunk => {
+				raw += chunk;
+				if (!this.enabled) return chunk;
+
+				pending += chunk;
+				let cut = -1;
+				let match;
+				const boundary = new RegExp(BOUNDARY_PATTERN.source, 'g');
+				while ((match = boundary.exec(pending)) !== null) {
+					cut = match.index + match[0].length;
+				}
+				if (cut === -1 && pending.length > MAX_PENDING_LENGTH) {
+					cut = pending.lastIndexOf(' ') + 1;
+				}
+				if (cut <= 0) return '';
+
+				const ready = pending.slice(0, cut);
+				pending = pending.slice(cut);
+				return release(ready);
+			},
+			flush: () => {
+				const rest = pending;
+				pending = '';
+				return release(rest);
+			},
+			finish: () => this.check(raw, context)
+		};
+	}
+
+	/**
+	 * Store a verdict. Never throws: a failed write is logged so the audit
+	 * trail cannot break the response it belongs to.
+	 * @param {Object} verdict - From check()
+	 * @param {Object} [attribution] - { operation, reportSection, queryType, provider, clientId, userId, requestId }
+	 * @returns {Promise<Object|null>}
+	 */
+	async record(verdict, attribution = {}) {
+		if (!verdict) return null;
+
+		const findingCount = verdict.checks.reduce((sum, check) => sum + check.findings.length, 0);
+
+		try {
+			return await GuardrailVerdict.create({
+				action: verdict.action,
+				findingCount,
+				checks: verdict.checks,
+				operation: attribution.operation || 'insights',
+				reportSection: attribution.reportSection || null,
+				queryType: attribution.queryType || null,
+				provider: attribution.provider || null,
+				clientId: attribution.clientId || null,
+				userId: attribution.userId ? String(attribution.userId) : null,
+				requestId: attribution.requestId || null
+			});
+		} catch (error) {
+			logger.warn(`Failed to record guardrail verdict: ${error.message}`, {
+				requestId: attribution.requestId,
+				action: verdict.action
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Query stored verdicts
+	 * @param {Object} filters - action, operation, clientId, requestId, from, to, limit, offset
+	 * @returns {Promise<Object>} - total, counts by action and verdicts
+	 */
+	async listVerdicts(filters = {}) {
+		if (filters.action && !VERDICT_ACTIONS.includes(filters.action)) {
+			const error = new Error(`action must be one of: ${VERDICT_ACTIONS.join(', ')}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const where = {};
+		if (filters.action) where.action = filters.action;
+		if (filters.operation) where.operation = filters.operation;
+		if (filters.clientId) where.clientId = filters.clientId;
+		if (filters.requestId) where.requestId = filters.requestId;
+		if (filters.from || filters.to) {
+			where.createdAt = {};
+			if (filters.from) where.createdAt[Op.gte] = new Date(filters.from);
+			if (filters.to) where.createdAt[Op.lte] = new Date(filters.to);
+		}
+
+		const [{ count, rows }, byAction] = await Promise.all([
+			GuardrailVerdict.findAndCountAll({
+				where,
+				order: [['createdAt', 'DESC']],
+				limit: Math.min(filters.limit || 50, 500),
+				offset: filters.offset || 0
+			}),
+			GuardrailVerdict.count({ where, group: ['action'] })
+		]);
+
+		return {
+			total: count,
+			byAction: byAction.reduce((counts, row) => ({ ...counts, [row.action]: parseInt(row.count, 10) }), {}),
+			verdicts: rows
+		};
+	}
+
+	/**
+	 * Redact personal data: values from the user's own profile and accounts
+	 * first, then generic patterns. Findings hold types and counts, never the
+	 * redacted values.
+	 * @private
+	 */
+	_scrubPii(text, context) {
+		const counts = {};
+		let output = text;
+
+		this._contextSecrets(context).forEach(({ type, value, replacement }) => {
+			const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+			output = output.replace(new RegExp(escaped, 'gi'), () => {
+				counts[type] = (counts[type] || 0) + 1;
+				return replacement;
+			});
+		});
+
+		PII_PATTERNS.forEach(({ type, pattern, replacement, validate }) => {
+			output = output.replace(new RegExp(pattern.source, pattern.flags), (match, ...args) => {
+				const offset = args[args.length - 2];
+				const source = args[args.length - 1];
+
+				// Figures like $12345678 or 12345678.90 are amounts, not identifiers
+				if (type !== 'email' && (/[$.]/.test(source[offset - 1] || '') || /^\.\d/.test(source.slice(offset + match.length)))) {
+					return match;
+				}
+				if (validate && !validate(match)) return match;
+
+				counts[type] = (counts[type] || 0) + 1;
+				return replacement;
+			});
+		});
+
+		const findings = Object.entries(counts).map(([type, count]) => ({ type, count }));
+		return { text: output, status: findings.length > 0 ? 'modified' : 'pass', findings };
+	}
+
+	/**
+	 * Sensitive values present in the data the model was given
+	 * @private
+	 */
+	_contextSecrets(context) {
+		const secrets = [];
+		const add = (type, value, replacement) => {
+			if (value && String(value).trim().length >= 6) {
+				secrets.push({ type, value: String(value).trim(), replacement });
+			}
+		};
+
+		(context.accounts || []).forEach(account => {
+			add('account_number', account.accountNumber, '[account number removed]');
+			add('routing_number', account.routingNumber, '[routing number removed]');
+		});
+
+		const profile = context.userProfile || {};
+		add('email', profile.email, '[email removed]');
+		add('phone', profile.phone || profile.phoneNumber, '[phone number removed]');
+
+		return secrets;
+	}
+
+	/**
+	 * Remove sentences phrased as personalized investment advice
+	 * @private
+	 */
+	_removeInvestmentAdvice(text) {
+		const findings = [];
+		const sentences = text.match(SENTENCE_PATTERN) || [text];
+
+		const kept = sentences.filter(sentence => {
+			const pattern = INVESTMENT_ADVICE_PATTERNS.find(candidate => candidate.test(sentence));
+			if (!pattern) return true;
+
+			findings.push({ type: 'investment_advice', sentence: sentence.trim() });
+			return false;
+		});
+
+		if (findings.length === 0) {
+			return { text, status: 'pass', findings };
+		}
+
+		const remaining = kept.join('').trim();
+
+		// Nothing useful left: replace the whole answer
+		if (remaining.replace(/[^A-Za-z]/g, '').length < 20) {
+			return { text: INVESTMENT_ADVICE_DISCLAIMER, status: 'blocked', findings };
+		}
+
+		return { text: `${remaining}\n\n${INVESTMENT_ADVICE_DISCLAIMER}`, status: 'modified', findings };
+	}
+
+	/**
+	 * PII scrubbing and advice removal for a streamed fragment. No disclaimer
+	 * or number checks: those need the whole response.
+	 * @private
+	 */
+	_streamSafe(text, context) {
+		const scrubbed = this._scrubPii(text, context).text;
+		return (scrubbed.match(SENTENCE_PATTERN) || [scrubbed])
+			.filter(sentence => !INVESTMENT_ADVICE_PATTERNS.some(pattern => pattern.test(sentence)))
+			.join('');
+	}
+
+	/**
+	 * Check dollar amounts and percentages against figures computed from the
+	 * user's data. Percentages in general guidance ("aim to save 20%") are
+	 * not checked. In rewrite mode an amount within GUARDRAIL_REWRITE_TOLERANCE
+	 * of a known figure is replaced by it; percentages are only flagged.
+	 * @private
+	 */
+	_verifyNumbers(text, context) {
+		const known = this._knownFigures(context);
+
+		if (known.amounts.length === 0 && known.percentages.length === 0) {
+			return { text, status: 'skipped', findings: [] };
+		}
+
+		const findings = [];
+		let modified = false;
+
+		let output = text.replace(new RegExp(AMOUNT_PATTERN.source, 'g'), (match, sign, digits, unit, offset, source) => {
+			const value = parseFloat(digits.replace(/,/g, '')) * (unit ? MULTIPLIERS[unit] : 1);
+			if (value < 1) return match;
+
+			const approximate = !!unit || APPROXIMATION_PATTERN.test(source.slice(Math.max(0, offset - 20), offset));
+			const tolerance = approximate ? Math.max(this.amountTolerance, 0.05) : this.amountTolerance;
+			const nearest = this._nearest(known.amounts, value);
+
+			if (nearest !== null && Math.abs(nearest - value) <= Math.max(tolerance * nearest, 0.5)) {
+				return match;
+			}
+
+			if (this.numberMode === 'rewrite' && !approximate && nearest !== null &&
+				Math.abs(nearest - value) <= this.rewriteTolerance * nearest) {
+				const corrected = `${sign || ''}$${nearest.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+				findings.push({ type: 'corrected_amount', text: match.trim(), value, correctedTo: nearest });
+				modified = true;
+				return corrected;
+			}
+
+			findings.push({ type: 'unverified_amount', text: match.trim(), value, nearest });
+			return match;
+		});
+
+		let percentMatch;
+		const percentPattern = new RegExp(PERCENT_PATTERN.source, 'g');
+		while ((percentMatch = percentPattern.exec(output)) !== null) {
+			const value = parseFloat(percentMatch[1]);
+			const sentence = this._sentenceAt(output, percentMatch.index);
+			if (GUIDANCE_PATTERN.test(sentence)) continue;
+
+			const approximate = APPROXIMATION_PATTERN.test(output.slice(Math.max(0, percentMatch.index - 20), percentMatch.index));
+			const nearest = this._nearest(known.percentages, value);
+			if (nearest !== null && Math.abs(nearest - value) <= (approximate ? 2 : 0.5)) continue;
+
+			findings.push({ type: 'unverified_percentage', text: percentMatch[0], value, nearest });
+		}
+
+		const status = modified ? 'modified' : (findings.length > 0 ? 'flagged' : 'pass');
+		return { text: output, status, findings };
+	}
+
+	/**
+	 * Amounts and percentages the response may legitimately state: balances,
+	 * transaction amounts, totals by category, merchant and month, shares of
+	 * spending, tool results and figures in the question itself
+	 * @private
+	 */
+	_knownFigures(context) {
+		const amounts = new Set();
+		const percentages = new Set();
+		const addAmount = value => {
+			const number = Number(value);
+			if (Number.isFinite(number) && number !== 0) amounts.add(Math.round(Math.abs(number) * 100) / 100);
+		};
+		const addPercentage = value => {
+			const number = Number(value);
+			if (Number.isFinite(number)) percentages.add(Math.round(Math.abs(number) * 100) / 100);
+		};
+		const addLeaves = value => {
+			if (typeof value === 'number') {
+				addAmount(value);
+				addPercentage(value);
+				if (Math.abs(value) <= 1) addPercentage(value * 100);
+			} else if (Array.isArray(value)) {
+				value.forEach(addLeaves);
+			} else if (value && typeof value === 'object') {
+				Object.values(value).forEach(addLeaves);
+			} else if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+				addLeaves(parseFloat(value));
+			}
+		};
+
+		const accounts = context.accounts || [];
+		let totalBalance = 0;
+		let netWorth = 0;
+		accounts.forEach(account => {
+			const balance = Number(account.balance || 0);
+			[account.balance, account.availableBalance, account.currentBalance, account.limit, account.creditLimit].forEach(addAmount);
+			if (account.balances) addLeaves(account.balances);
+			totalBalance += balance;
+			netWorth += /credit/i.test(account.type || '') ? -Math.abs(balance) : balance;
+		});
+		if (accounts.length > 0) {
+			addAmount(totalBalance);
+			addAmount(netWorth);
+		}
+
+		const transactions = context.transactions || [];
+		if (transactions.length > 0) {
+			let income = 0;
+			let spending = 0;
+			const byCategory = new Map();
+			const byMerchant = new Map();
+			const byMonth = new Map();
+			const bump = (map, key, value) => key && map.set(key, (map.get(key) || 0) + value);
+
+			transactions.forEach(tx => {
+				const amount = Number(tx.amount || 0);
+				addAmount(amount);
+
+				const month = tx.date ? String(tx.date instanceof Date ? tx.date.toISOString() : tx.date).slice(0, 7) : null;
+				if (amount > 0) {
+					income += amount;
+					bump(byMonth, `${month}:in`, amount);
+				} else {
+					spending += Math.abs(amount);
+					bump(byCategory, tx.category, Math.abs(amount));
+					bump(byMerchant, tx.merchantName || tx.merchant, Math.abs(amount));
+					bump(byMonth, `${month}:out`, Math.abs(amount));
+				}
+			});
+
+			[income, spending, income - spending].forEach(addAmount);
+			[byCategory, byMerchant, byMonth].forEach(map => map.forEach(addAmount));
+
+			const months = new Set([...byMonth.keys()].map(key => key.split(':')[0])).size || 1;
+			addAmount(spending / months);
+			addAmount(income / months);
+
+			if (spending > 0) {
+				[byCategory, byMerchant].forEach(map => map.forEach(value => addPercentage((value / spending) * 100)));
+			}
+			if (income > 0) {
+				addPercentage(((income - spending) / income) * 100);
+				addPercentage((spending / income) * 100);
+			}
+		}
+
+		(context.toolCalls || []).forEach(call => addLeaves(call.result));
+		if (context.figures) addLeaves(context.figures);
+
+		(String(context.query || '').match(QUERY_NUMBER_PATTERN) || [])
+			.map(value => parseFloat(value.replace(/,/g, '')))
+			.forEach(value => {
+				addAmount(value);
+				addPercentage(value);
+			});
+
+		return { amounts: [...amounts], percentages: [...percentages] };
+	}
+
+	/**
+	 * @private
+	 */
+	_nearest(values, target) {
+		let nearest = null;
+		values.forEach(value => {
+			if (nearest === null || Math.abs(value - target) < Math.abs(nearest - target)) nearest = value;
+		});
+		return nearest;
+	}
+
+	/**
+	 * @private
+	 */
+	_sentenceAt(text, index) {
+		const before = text.slice(0, index);
+		const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n'), before.lastIndexOf('! '), before.lastIndexOf('? ')) + 1;
+		const rest = text.slice(index);
+		const endMatch = rest.search(/[.!?](\s|$)|\n/);
+		return text.slice(start, endMatch === -1 ? text.length : index + endMatch + 1);
+	}
+}
+
+module.exports = new GuardrailService();
@@ -0,0 +1,184 @@
+// src/services/insight-stream.service.js
+const logger = require('../utils/logger');
+
+/**
+ * Insight Stream Service
+ * Runs streamed insight requests independently of the HTTP connection that
+ * started them. Every event gets a sequential id and is kept, so a client
+ * whose connection drops can reconnect with Last-Event-ID and receive what it
+ * missed. A stream nobody is listening to is cancelled after the resume
+ * window; an explicit cancel aborts the upstream LLM call immediately.
+ */
+class InsightStreamService {
+	constructor() {
+		this.streams = new Map();
+		// How long a running stream waits for its client to reconnect
+		this.resumeWindowMs = parseInt(process.env.STREAM_RESUME_WINDOW_MS || '30000', 10);
+		// How long a finished stream stays available for replay
+		this.retentionMs = parseInt(process.env.STREAM_RETENTION_MS || '300000', 10);
+		this.heartbeatMs = parseInt(process.env.STREAM_HEARTBEAT_MS || '15000', 10);
+	}
+
+	/**
+	 * Start a stream
+	 * @param {string} requestId - Client-generated request id
+	 * @param {string} userId - Owner; only they can attach or cancel
+	 * @param {function(AbortSignal): AsyncIterable<Object>} producer - Yields events ({ type, ... })
+	 * @returns {Object} - The stream
+	 */
+	start(requestId, userId, producer) {
+		const stream = {
+			requestId,
+			userId,
+			status: 'running',
+			events: [],
+			clients: new Set(),
+			controller: new AbortController(),
+			detachTimer: null,
+			cleanupTimer: null
+		};
+
+		this.streams.set(requestId, stream);
+		this._run(stream, producer);
+
+		return stream;
+	}
+
+	/**
+	 * @param {string} requestId
+	 * @returns {Object|undefined}
+	 */
+	get(requestId) {
+		return this.streams.get(requestId);
+	}
+
+	/**
+	 * Send a stream to an SSE response: replay the events after lastEventId,
+	 * then follow live events until the stream ends
+	 * @param {Object} stream - From start() or get()
+	 * @param {Object} res - Express response with SSE headers written
+	 * @param {number} [lastEventId] - Last event the client received
+	 */
+	attach(stream, res, lastEventId = 0) {
+		clearTimeout(stream.detachTimer);
+		stream.detachTimer = null;
+
+		stream.events
+			.filter(event => event.id > lastEventId)
+			.forEach(event => this._write(res, event));
+
+		if (stream.status !== 'running') {
+			res.end();
+			return;
+		}
+
+		const client = {
+			res,
+			heartbeat: setInterval(() => res.write(': ping\n\n'), this.heartbeatMs)
+		};
+		stream.clients.add(client);
+
+		res.on('close', () => {
+			clearInterval(client.heartbeat);
+			stream.clients.delete(client);
+
+			if (stream.status === 'running' && stream.clients.size === 0) {
+				logger.info('Stream client disconnected, waiting for it to resume', {
+					requestId: stream.requestId,
+					resumeWindowMs: this.resumeWindowMs
+				});
+				stream.detachTimer = setTimeout(() => this.cancel(stream, 'not resumed'), this.resumeWindowMs);
+			}
+		});
+	}
+
+	/**
+	 * Abort a running stream and its upstream LLM call
+	 * @param {Object} stream
+	 * @param {string} [reason]
+	 * @returns {boolean} - Whether the stream was still running
+	 */
+	cancel(stream, reason = 'cancelled by client') {
+		if (stream.status !== 'running') {
+			return false;
+		}
+
+		logger.info('Cancelling stream', { requestId: stream.requestId, reason });
+		stream.cancelReason = reason;
+		stream.controller.abort();
+		return true;
+	}
+
+	/**
+	 * Pull events from the producer until it finishes, fails or is aborted
+	 * @private
+	 */
+	async _run(stream, producer) {
+		const { signal } = stream.controller;
+
+		try {
+			for await (const event of producer(signal)) {
+				if (signal.aborted) break;
+				this._emit(stream, event);
+			}
+
+			if (signal.aborted) {
+				this._finish(stream, 'cancelled', { type: 'cancelled', reason: stream.cancelReason });
+			} else {
+				this._finish(stream, 'completed');
+			}
+		} catch (error) {
+			if (signal.aborted) {
+				this._finish(stream, 'cancelled', { type: 'cancelled', reason: stream.cancelReason });
+			} else {
+				logger.error('Stream failed', { requestId: stream.requestId, error: error.message });
+				this._finish(stream, 'failed', {
+					type: 'error',
+					message: 'I\'m sorry, I encountered an error. Please try again.',
+					statusCode: error.statusCode || 500
+				});
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_emit(stream, event) {
+		const numbered = { ...event, id: stream.events.length + 1 };
+		stream.events.push(numbered);
+		stream.clients.forEach(client => this._write(client.res, numbered));
+	}
+
+	/**
+	 * Emit the closing event, end every client and keep the events for replay
+	 * @private
+	 */
+	_finish(stream, status, event = null) {
+		if (event) {
+			this._emit(stream, event);
+		}
+
+		stream.status = status;
+		clearTimeout(stream.detachTimer);
+
+		stream.clients.forEach(client => {
+			clearInterval(client.heartbeat);
+			client.res.end();
+		});
+		stream.clients.clear();
+
+		stream.cleanupTimer = setTimeout(() => this.streams.delete(stream.requestId), this.retentionMs);
+		if (stream.cleanupTimer.unref) stream.cleanupTimer.unref();
+	}
+
+	/**
+	 * @private
+	 */
+	_write(res, event) {
+		const { id, ...data } = event;
+		res.write(`id: ${id}\ndata: ${JSON.stringify(data)}\n\n`);
+	}
+}
+
+module.exports = new InsightStreamService();
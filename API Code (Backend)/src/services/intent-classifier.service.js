@@ -0,0 +1,538 @@
+// src/services/intent-classifier.service.js
+const { DEFAULT_MERCHANTS } = require('../utils/merchant-catalog');
+const { DEFAULT_TAXONOMY } = require('../utils/category-taxonomy');
+const { INTENT_TRAINING_SET } = require('../utils/intent-training-set');
+const logger = require('../utils/logger');
+
+const STOPWORDS = new Set([
+	'a', 'an', 'the', 'i', 'me', 'my', 'mine', 'we', 'our', 'you', 'your', 'it', 'its', 'this', 'that', 'these',
+	'those', 'is', 'am', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'have', 'has', 'had', 'to',
+	'of', 'for', 'in', 'on', 'at', 'by', 'with', 'and', 'or', 'so', 'there', 'some', 'any', 'can', 'could',
+	'would', 'will', 'should', 'please', 'just', 'really', 'much', 'many', 'about', 'from', 'into', 'up', 'out',
+	'all', 'get', 'got', 'tell', 'show', 'give', 'let', 'know', 'clau'
+]);
+
+// Irregular forms the suffix stemmer can't reach
+const IRREGULAR_STEMS = {
+	spent: 'spend',
+	paid: 'pay',
+	earned: 'earn',
+	stole: 'steal',
+	stolen: 'steal',
+	bought: 'buy',
+	sold: 'sell'
+};
+
+// Terms and phrases that make a query harmful in any context. The bare words
+// "drug", "hack" and "steal" are left to the model, which has seen them in
+// benign financial queries such as "drugstore spending" or "my account got
+// hacked"; only unambiguous drug phrases ("buy drugs", "drug dealer") are here.
+const HARMFUL_TERMS = /\b(cocaine|heroin|fentanyl|meth(amphetamine)?|launder(ing)?|money laundering|(buy(ing)?|bought|sell(ing)?|sold|purchas(e|ing)) (some )?(illegal )?drugs|drug deal(er|ers|ing)?|illegal drugs|bomb making|make a bomb|child porn|csam|hitman|terrorist financing|fund (a )?terror(ist|ism)|counterfeit (money|bills|cash))\b/i;
+
+// Intents answered without the user's data; a wrong guess here drops the data the
+// question needed, so these need a confident, clear-cut prediction
+const CONVERSATIONAL_INTENTS = new Set(['greeting', 'joke']);
+
+// Merchants whose names are ordinary words ("savings target") only match when capitalized
+const AMBIGUOUS_MERCHANTS = new Set(['target', 'shell', 'delta', 'united-airlines', 'southwest', 'apple']);
+
+// Words people use for each taxonomy category
+const CATEGORY_SYNONYMS = {
+	income: ['income', 'salary', 'paycheck', 'paychecks', 'wages'],
+	transfer: ['transfers', 'transfer'],
+	housing: ['rent', 'mortgage', 'housing', 'hoa'],
+	utilities: ['utilities', 'utility', 'electric', 'electricity', 'water bill', 'internet', 'phone bill'],
+	groceries: ['groceries', 'grocery', 'supermarket', 'supermarkets'],
+	dining: ['dining', 'restaurants', 'restaurant', 'eating out', 'takeout', 'take out', 'food delivery', 'coffee', 'fast food'],
+	transportation: ['transportation', 'rideshare', 'rideshares', 'uber rides', 'parking', 'public transit', 'transit'],
+	gas: ['gas', 'fuel', 'gasoline'],
+	travel: ['travel', 'flights', 'hotels', 'hotel', 'vacation', 'airfare'],
+	shopping: ['shopping', 'clothes', 'clothing', 'online shopping'],
+	entertainment: ['entertainment', 'streaming', 'movies', 'subscriptions', 'concerts'],
+	software: ['software', 'cloud', 'saas'],
+	health: ['health', 'healthcare', 'medical', 'pharmacy', 'pharmacies', 'drugstore', 'drugstores', 'drug store', 'prescriptions', 'doctor', 'dentist'],
+	'home-improvement': ['home improvement', 'hardware store', 'renovation'],
+	fees: ['bank fees', 'fees', 'overdraft fees'],
+	cash: ['cash withdrawals', 'atm'],
+	'loan-payment': ['loan payments', 'car payment', 'student loan payments'],
+	gambling: ['gambling', 'casino', 'betting', 'lottery'],
+	education: ['tuition', 'school', 'textbooks'],
+	'personal-care': ['personal care', 'haircut', 'salon', 'gym', 'spa']
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const AMBIGUOUS_MONTHS = new Set(['may', 'mar', 'apr']);
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+const AMOUNT_PATTERN = /(?:(more than|over|above|greater than|at least|less than|under|below|at most|around|about|roughly|exactly)\s+)?(?:\$\s?(\d[\d,]*(?:\.\d+)?)\s?(k)?|(\d[\d,]*(?:\.\d+)?)\s?(k)?\s?(?:dollars|usd|bucks)\b)/gi;
+const COMPARATORS = {
+	'more than': 'gt', over: 'gt', above: 'gt', 'greater than': 'gt',
+	'at least': 'gte',
+	'less than': 'lt', under: 'lt', below: 'lt',
+	'at most': 'lte',
+	around: 'approx', about: 'approx', roughly: 'approx',
+	exactly: 'eq'
+};
+
+/**
+ * Reduce a word to a crude stem so "budgeting", "budgets" and "budget" share a feature
+ * @param {string} word - Lower-case word
+ * @returns {string}
+ */
+function stem(word) {
+	if (IRREGULAR_STEMS[word]) return IRREGULAR_STEMS[word];
+
+	let result = word;
+	if (result.length > 4 && result.endsWith('ies')) result = `${result.slice(0, -3)}y`;
+	else if (result.length > 3 && result.endsWith('s') && !result.endsWith('ss')) result = result.slice(0, -1);
+
+	if (result.length > 5 && result.endsWith('ing')) result = result.slice(0, -3);
+	else if (result.length > 4 && result.endsWith('ed')) result = result.slice(0, -2);
+	else if (result.length > 7 && result.endsWith('ment')) result = result.slice(0, -4);
+
+	if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+	return result;
+}
+
+/**
+ * Stemmed unigrams and bigrams of a query
+ * @param {string} text - Query with entities replaced by placeholders
+ * @returns {Array<string>}
+ */
+function featurize(text) {
+	const tokens = text
+		.toLowerCase()
+		.replace(/'s\b/g, '')
+		.replace(/[^a-z0-9/]+/g, ' ')
+		.split(/\s+/)
+		.filter(token => token && !STOPWORDS.has(token))
+		.map(stem);
+
+	const features = [...tokens];
+	for (let i = 1; i < tokens.length; i++) {
+		features.push(`${tokens[i - 1]}_${tokens[i]}`);
+	}
+	return features;
+}
+
+/**
+ * Default model: TF-IDF vectors with a similarity-weighted vote of the
+ * nearest training examples. Multi-label examples vote for all their labels,
+ * so a query close to "did I go over my dining budget" scores for both
+ * budgeting and spending.
+ */
+class TfidfKnnModel {
+	constructor({ neighbors = 7, strongSimilarity = 0.5 } = {}) {
+		this.neighbors = neighbors;
+		this.strongSimilarity = strongSimilarity;
+		this.idf = new Map();
+		this.examples = [];
+	}
+
+	/**
+	 * @param {Array<{text: string, labels: Array<string>}>} examples
+	 */
+	train(examples) {
+		const documents = examples.map(example => featurize(example.text));
+
+		const documentFrequency = new Map();
+		documents.forEach(features => {
+			new Set(features).forEach(feature => {
+				documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+			});
+		});
+
+		this.idf = new Map();
+		documentFrequency.forEach((count, feature) => {
+			this.idf.set(feature, Math.log((documents.length + 1) / (count + 1)) + 1);
+		});
+
+		this.examples = documents.map((features, index) => ({
+			vector: this._vectorize(features),
+			labels: examples[index].labels
+		}));
+	}
+
+	/**
+	 * Scores per label, highest first. A score is the share of the nearest
+	 * neighbours' similarity that went to the label, scaled down when even the
+	 * nearest example is a weak match.
+	 * @param {string} text - Query with entities replaced by placeholders
+	 * @returns {Array<{label: string, score: number}>}
+	 */
+	predict(text) {
+		const vector = this._vectorize(featurize(text));
+		if (vector.size === 0) return [];
+
+		const nearest = this.examples
+			.map(example => ({ labels: example.labels, similarity: this._cosine(vector, example.vector) }))
+			.filter(match => match.similarity > 0)
+			.sort((a, b) => b.similarity - a.similarity)
+			.slice(0, this.neighbors);
+
+		if (nearest.length === 0) return [];
+
+		const totalSimilarity = nearest.reduce((sum, match) => sum + match.similarity, 0);
+		const strength = Math.min(1, nearest[0].similarity / this.strongSimilarity);
+
+		const votes = new Map();
+		nearest.forEach(match => {
+			match.labels.forEach(label => {
+				votes.set(label, (votes.get(label) || 0) + match.similarity);
+			});
+		});
+
+		return Array.from(votes.entries())
+			.map(([label, weight]) => ({ label, score: (weight / totalSimilarity) * strength }))
+			.sort((a, b) => b.score - a.score);
+	}
+
+	_vectorize(features) {
+		const counts = new Map();
+		features.forEach(feature => {
+			if (this.idf.has(feature)) counts.set(feature, (counts.get(feature) || 0) + 1);
+		});
+
+		let norm = 0;
+		counts.forEach((count, feature) => {
+			const weight = count * this.idf.get(feature);
+			counts.set(feature, weight);
+			norm += weight * weight;
+		});
+
+		norm = Math.sqrt(norm);
+		counts.forEach((weight, feature) => counts.set(feature, weight / norm));
+		return counts;
+	}
+
+	_cosine(a, b) {
+		const [small, large] = a.size < b.size ? [a, b] : [b, a];
+		let dot = 0;
+		small.forEach((weight, feature) => {
+			if (large.has(feature)) dot += weight * large.get(feature);
+		});
+		return dot;
+	}
+}
+
+/**
+ * Intent Classifier Service
+ * Classifies insight queries into one or more intents with confidence and
+ * extracts the merchants, categories, time period and amounts they mention.
+ * Models are pluggable: anything with train(examples) and predict(text)
+ * returning [{ label, score }] can be registered and selected with
+ * INTENT_CLASSIFIER_MODEL.
+ */
+class IntentClassifierService {
+	constructor() {
+		this.modelFactories = new Map([['tfidf-knn', () => new TfidfKnnModel()]]);
+		this.modelName = process.env.INTENT_CLASSIFIER_MODEL || 'tfidf-knn';
+		this.minConfidence = parseFloat(process.env.INTENT_MIN_CONFIDENCE || '0.2');
+		this.secondaryRatio = parseFloat(process.env.INTENT_SECONDARY_RATIO || '0.5');
+		this.harmfulConfidence = parseFloat(process.env.INTENT_HARMFUL_CONFIDENCE || '0.5');
+		this.conversationalConfidence = parseFloat(process.env.INTENT_CONVERSATIONAL_CONFIDENCE || '0.6');
+		this.conversationalMargin = parseFloat(process.env.INTENT_CONVERSATIONAL_MARGIN || '0.4');
+		this.trainingSet = INTENT_TRAINING_SET;
+		this.model = null;
+		this.merchants = this._compileMerchants();
+		this.categories = this._compileCategories();
+	}
+
+	/**
+	 * Register a model implementation
+	 * @param {string} name - Model name, used by INTENT_CLASSIFIER_MODEL
+	 * @param {Function} factory - Returns an object with train(examples) and predict(text)
+	 */
+	registerModel(name, factory) {
+		this.modelFactories.set(name, factory);
+		if (name === this.modelName) this.model = null;
+	}
+
+	/**
+	 * Switch model and/or training set; the model is retrained on next use
+	 * @param {Object} options
+	 * @param {string} [options.model] - Registered model name
+	 * @param {Array} [options.trainingSet] - Labeled examples
+	 */
+	configure({ model, trainingSet } = {}) {
+		if (model) {
+			if (!this.modelFactories.has(model)) {
+				throw new Error(`Unknown intent model "${model}". Registered: ${Array.from(this.modelFactories.keys()).join(', ')}`);
+			}
+			this.modelName = model;
+		}
+		if (trainingSet) this.trainingSet = trainingSet;
+		this.model = null;
+	}
+
+	/**
+	 * Classify a query
+	 * @param {string} query - The user's query
+	 * @param {Object} [options]
+	 * @param {Date} [options.now] - Reference date for relative time periods
+	 * @returns {Object} - { intent, confidence, intents: [{ label, confidence }], harmful, entities, model }
+	 */
+	classify(query, { now = new Date() } = {}) {
+		const text = (query || '').toString().trim();
+		const entities = this.extractEntities(text, { now });
+
+		if (!text) {
+			return this._result('general', [], false, entities);
+		}
+
+		if (HARMFUL_TERMS.test(text)) {
+			return this._result('harmful', [{ label: 'harmful', confidence: 1 }], true, entities);
+		}
+
+		const predictions = this._getModel()
+			.predict(this._maskEntities(text, entities))
+			.map(prediction => ({ label: prediction.label, confidence: Math.round(prediction.score * 1000) / 1000 }));
+
+		const top = predictions[0];
+		// Too uncertain to name any intent, so none is listed alongside 'general'
+		if (!top || top.confidence < this.minConfidence) {
+			return this._result('general', [], false, entities);
+		}
+
+		const harmful = top.label === 'harmful' && top.confidence >= this.harmfulConfidence;
+		const intents = predictions.filter(prediction =>
+			prediction.label !== 'harmful' || harmful
+		).filter((prediction, index) =>
+			index === 0 || (prediction.confidence >= this.minConfidence && prediction.confidence >= top.confidence * this.secondaryRatio)
+		);
+
+		if (intents.length === 0 || !this._isConfidentConversational(intents[0], predictions)) {
+			return this._result('general', [], false, entities);
+		}
+
+		return this._result(intents[0].label, intents, harmful, entities);
+	}
+
+	/**
+	 * Merchants, spending categories, time period and amounts mentioned in a query
+	 * @param {string} query - The user's query
+	 * @param {Object} [options]
+	 * @param {Date} [options.now] - Reference date for relative time periods
+	 * @returns {Object} - { merchants, categories, timePeriod, amounts }
+	 */
+	extractEntities(query, { now = new Date() } = {}) {
+		const text = (query || '').toString();
+
+		return {
+			merchants: this._extractMerchants(text),
+			categories: this._extractCategories(text),
+			timePeriod: this._extractTimePeriod(text, now),
+			amounts: this._extractAmounts(text)
+		};
+	}
+
+	/**
+	 * A greeting or joke must be likely on its own or well ahead of the
+	 * runner-up; other intents always pass
+	 * @private
+	 */
+	_isConfidentConversational(top, predictions) {
+		if (!CONVERSATIONAL_INTENTS.has(top.label)) return true;
+
+		const runnerUp = predictions.find(prediction => prediction.label !== top.label);
+		return top.confidence >= this.conversationalConfidence ||
+			top.confidence - (runnerUp ? runnerUp.confidence : 0) >= this.conversationalMargin;
+	}
+
+	_result(intent, intents, harmful, entities) {
+		return {
+			intent,
+			confidence: intents.length > 0 ? intents[0].confidence : 0,
+			intents,
+			harmful,
+			entities,
+			model: this.modelName
+		};
+	}
+
+	_getModel() {
+		if (!this.model) {
+			const factory = this.modelFactories.get(this.modelName);
+			if (!factory) {
+				logger.warn(`Unknown intent model "${this.modelName}", using tfidf-knn`);
+				this.modelName = 'tfidf-knn';
+			}
+
+			const startTime = Date.now();
+			this.model = this.modelFactories.get(this.modelName)();
+			this.model.train(this.trainingSet.map(example => ({
+				text: this._maskEntities(example.text, this.extractEntities(example.text)),
+				labels: example.labels
+			})));
+			logger.info(`Intent classifier ${this.modelName} trained on ${this.trainingSet.length} examples in ${Date.now() - startTime}ms`);
+		}
+		return this.model;
+	}
+
+	/**
+	 * Replace entity mentions with placeholders so "spend at Starbucks" and
+	 * "spend at Costco" look the same to the model
+	 * @private
+	 */
+	_maskEntities(text, entities) {
+		let masked = text;
+		const replace = (mention, placeholder) => {
+			if (mention) masked = masked.split(mention).join(` ${placeholder} `);
+		};
+
+		entities.merchants.forEach(merchant => replace(merchant.text, 'merchant'));
+		entities.amounts.forEach(amount => replace(amount.text, 'amount'));
+		if (entities.timePeriod) replace(entities.timePeriod.text, 'period');
+		return masked;
+	}
+
+	_compileMerchants() {
+		return DEFAULT_MERCHANTS.map(merchant => {
+			const name = merchant.name
+				.replace(/\s*\(.*\)$/, '')
+				.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+				.replace(/'/g, '\'?')
+				.replace(/\s+/g, '\\s*');
+
+			return {
+				id: merchant.id,
+				name: merchant.name,
+				category: merchant.category,
+				regex: new RegExp(`\\b${name}(?![\\w])`, AMBIGUOUS_MERCHANTS.has(merchant.id) ? '' : 'i'),
+				patterns: merchant.patterns.map(pattern => new RegExp(pattern.replace(/^\^/, '\\b'), 'i'))
+			};
+		});
+	}
+
+	_extractMerchants(text) {
+		const found = [];
+		this.merchants.forEach(merchant => {
+			let match = text.match(merchant.regex);
+			if (!match && !AMBIGUOUS_MERCHANTS.has(merchant.id)) {
+				match = merchant.patterns.map(pattern => text.match(pattern)).find(Boolean);
+			}
+			// Skip a brand already covered by a longer match ("Amazon" inside "Amazon Web Services")
+			if (match && !found.some(other => other.text.toLowerCase().includes(match[0].toLowerCase()))) {
+				found.push({ id: merchant.id, name: merchant.name, category: merchant.category, text: match[0] });
+			}
+		});
+		return found;
+	}
+
+	_compileCategories() {
+		const names = new Map(DEFAULT_TAXONOMY.categories.map(category => [category.id, category.name]));
+		return Object.entries(CATEGORY_SYNONYMS).map(([id, words]) => ({
+			id,
+			name: names.get(id) || id,
+			regex: new RegExp(`\\b(${words.map(word => word.replace(/\s+/g, '\\s+')).join('|')})\\b`, 'i')
+		}));
+	}
+
+	_extractCategories(text) {
+		return this.categories
+			.map(category => {
+				const match = text.match(category.regex);
+				return match ? { id: category.id, name: category.name, text: match[0] } : null;
+			})
+			.filter(Boolean);
+	}
+
+	/**
+	 * First time period in the query as an inclusive date range (YYYY-MM-DD)
+	 * @private
+	 */
+	_extractTimePeriod(text, now) {
+		const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+		const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+		const monthStart = (year, month) => new Date(Date.UTC(year, month, 1));
+		const monthEnd = (year, month) => new Date(Date.UTC(year, month + 1, 0));
+		const period = (match, start, end) => ({
+			text: match[0],
+			start: start.toISOString().slice(0, 10),
+			end: end.toISOString().slice(0, 10)
+		});
+
+		let match = text.match(/\b(?:last|past|previous)\s+(\d+)\s+(day|week|month|year)s?\b/i);
+		if (match) {
+			return period(match, addDays(today, -parseInt(match[1], 10) * UNIT_DAYS[match[2].toLowerCase()]), today);
+		}
+
+		match = text.match(/\b(today|yesterday)\b/i);
+		if (match) {
+			const day = match[1].toLowerCase() === 'today' ? today : addDays(today, -1);
+			return period(match, day, day);
+		}
+
+		match = text.match(/\b(this|last|past|previous)\s+(week|month|quarter|year)\b/i);
+		if (match) {
+			const current = match[1].toLowerCase() === 'this';
+			const year = today.getUTCFullYear();
+			const month = today.getUTCMonth();
+
+			switch (match[2].toLowerCase()) {
+				case 'week': {
+					const weekStart = addDays(today, -((today.getUTCDay() + 6) % 7));
+					return current
+						? period(match, weekStart, today)
+						: period(match, addDays(weekStart, -7), addDays(weekStart, -1));
+				}
+				case 'month':
+					return current
+						? period(match, monthStart(year, month), today)
+						: period(match, monthStart(year, month - 1), monthEnd(year, month - 1));
+				case 'quarter': {
+					const quarterMonth = month - (month % 3);
+					return current
+						? period(match, monthStart(year, quarterMonth), today)
+						: period(match, monthStart(year, quarterMonth - 3), monthEnd(year, quarterMonth - 1));
+				}
+				default:
+					return current
+						? period(match, monthStart(year, 0), today)
+						: period(match, monthStart(year - 1, 0), monthEnd(year - 1, 11));
+			}
+		}
+
+		match = text.match(/\b(year to date|ytd)\b/i);
+		if (match) {
+			return period(match, monthStart(today.getUTCFullYear(), 0), today);
+		}
+
+		match = text.match(new RegExp(`\\b(since\\s+)?${MONTH_PATTERN}(?:\\s+(\\d{4}))?\\b`, 'i'));
+		// "may", "mar" and "apr" are also ordinary words, so alone they need "since" or a year
+		if (match && (match[1] || match[3] || !AMBIGUOUS_MONTHS.has(match[2].toLowerCase()))) {
+			const month = MONTHS.findIndex(name => name.startsWith(match[2].toLowerCase().slice(0, 3)));
+			let year = match[3] ? parseInt(match[3], 10) : today.getUTCFullYear();
+			if (!match[3] && month > today.getUTCMonth()) year -= 1;
+
+			return match[1]
+				? period(match, monthStart(year, month), today)
+				: period(match, monthStart(year, month), monthEnd(year, month));
+		}
+
+		return null;
+	}
+
+	_extractAmounts(text) {
+		const amounts = [];
+		let match;
+		AMOUNT_PATTERN.lastIndex = 0;
+
+		while ((match = AMOUNT_PATTERN.exec(text)) !== null) {
+			const raw = match[2] || match[4];
+			const thousands = match[3] || match[5];
+			const value = parseFloat(raw.replace(/,/g, '')) * (thousands ? 1000 : 1);
+
+			amounts.push({
+				value,
+				currency: 'USD',
+				comparator: match[1] ? COMPARATORS[match[1].toLowerCase().replace(/\s+/g, ' ')] : null,
+				text: match[0]
+			});
+		}
+		return amounts;
+	}
+}
+
+module.exports = new IntentClassifierService();
@@ -2,8 +2,26 @@
 const cohereService = require('./cohere.service');
 const groqService = require('./groq.service');
 const geminiService = require('./gemini.service');
+const localLlmService = require('./local-llm.service');
+const financialTools = require('./financial-tools.service');
+const conversationService = require('./conversation.service');
+const providerHealth = require('./provider-health.service');
+const llmUsage = require('./llm-usage.service');
+const promptRegistry = require('./prompt-registry.service');
+const guardrails = require('./guardrail.service');
+const { formatProductContext } = require('../utils/plaid-product-context');
 const logger = require('../utils/logger');
 
+// Query types answered conversationally, without looking at the user's data
+const CONVERSATIONAL_QUERY_TYPES = ['greeting', 'joke', 'harmful'];
+
+const TOOL_SYSTEM_PROMPT = `You are CLAU, a helpful financial assistant. Answer the user's question about their finances clearly and concisely.
+You have tools that compute figures from the user's accounts and transactions. Rules:
+- Every amount, total, count, percentage or balance you state must come from a tool result. Never add, subtract or estimate figures yourself.
+- Call as many tools as you need before answering. If a tool returns an error, fix the arguments and call it again.
+- If the tools cannot answer part of the question, say so instead of guessing.
+- Mention the period a figure covers (for example "from 2024-05-01 to 2024-05-31").`;
+
 /**
  * LLM Factory Service
  * Service for selecting and using different LLM providers based on configuration
@@ -13,121 +31,654 @@ class LLMFactoryService {
 		this.providers = {
 			cohere: cohereService,
 			groq: groqService,
-			gemini: geminiService
+			gemini: geminiService,
+			local: localLlmService
 		};
 
 		// Get configured providers from environment variables
 		this.primaryProvider = process.env.PRIMARY_LLM_PROVIDER || 'cohere';
 		this.backupProvider = process.env.BACKUP_LLM_PROVIDER || 'groq';
 		this.forcedProvider = process.env.FORCE_LLM_PROVIDER || null;
+		this.providerChain = this._buildProviderChain();
+
+		// Tool calling: let the model request computed figures instead of reading raw data
+		this.toolsEnabled = process.env.LLM_TOOLS_ENABLED !== 'false';
+		this.maxToolRounds = parseInt(process.env.LLM_TOOL_MAX_ROUNDS || '4', 10);
+		this.maxToolCallsPerRound = parseInt(process.env.LLM_TOOL_MAX_CALLS_PER_ROUND || '6', 10);
 
 		logger.info('LLM Factory Service initialized', {
 			primaryProvider: this.primaryProvider,
 			backupProvider: this.backupProvider,
+			providerChain: this.providerChain,
 			forcedProvider: this.forcedProvider,
+			toolsEnabled: this.toolsEnabled,
 			availableProviders: Object.keys(this.providers)
 		});
 	}
 
 	/**
-	 * Generate insights using the configured LLM provider(s)
+	 * Generate insights using the configured LLM provider(s). Providers are
+	 * tried in fallback-chain order; providers whose circuit is open or that an
+	 * admin has drained are skipped without a request.
 	 * @param {Object} userData - User data including query and financial context
 	 * @param {string} [requestedProvider] - Optionally request a specific provider
 	 * @returns {Promise<Object>} - Generated insights with provider metadata
 	 */
 	async generateInsights(userData, requestedProvider = null) {
-		// Track which provider was actually used
-		let usedProvider = null;
-		let usingBackup = false;
-
-		// Determine which provider to use
-		// Priority: 1. Forced provider 2. Requested provider 3. Primary provider
-		const providerToUse = this.forcedProvider || requestedProvider || this.primaryProvider;
-
-		// Verify the requested provider exists
-		if (!this.providers[providerToUse]) {
-			logger.warn(`Requested provider "${providerToUse}" not available, falling back to "${this.primaryProvider}"`, {
-				requestedProvider: providerToUse,
-				availableProviders: Object.keys(this.providers),
-				requestId: userData.requestId
-			});
-			usedProvider = this.primaryProvider;
-		} else {
-			usedProvider = providerToUse;
-		}
+		const { chain, allowFallback, bypassCircuit } = this._resolveProviderChain(userData, requestedProvider);
+		const failures = [];
 
-		try {
-			// Log which provider we're using
-			logger.info(`Generating insights with ${usedProvider} service`, {
+		for (const providerName of chain) {
+			if (!bypassCircuit && !providerHealth.canAttempt(providerName)) {
+				logger.info(`Skipping ${providerName} service, circuit is open`, {
+					requestId: userData.requestId,
+					provider: providerName
+				});
+				failures.push({ provider: providerName, skipped: true, message: 'circuit open' });
+				continue;
+			}
+
+			const usingBackup = providerName !== chain[0];
+
+			logger.info(`${usingBackup ? 'Trying backup' : 'Generating insights with'} ${providerName} service`, {
 				queryType: userData.queryType,
 				requestId: userData.requestId,
-				provider: usedProvider,
-				forced: !!this.forcedProvider,
+				provider: providerName,
+				forced: bypassCircuit,
 				requested: !!requestedProvider
 			});
 
-			// Call the selected provider
-			const insights = await this.providers[usedProvider].generateInsights(userData);
+			const startTime = Date.now();
 
-			// Add provider metadata
-			return {
-				...insights,
-				llmProvider: usedProvider,
-				usingBackupService: usingBackup
-			};
+			try {
+				const insights = await this._generateWithProvider(providerName, userData);
+				providerHealth.recordSuccess(providerName, Date.now() - startTime);
+				this._recordUsage(insights.usage, userData, insights.prompt);
 
-		} catch (error) {
-			// If a provider was forced or specifically requested, don't use backup
-			if (this.forcedProvider || requestedProvider) {
-				logger.error(`Error with ${usedProvider} service and no fallback allowed:`, error, {
+				// Add provider metadata
+				return {
+					...insights,
+					...this._applyGuardrails(insights, userData, providerName),
+					llmProvider: providerName,
+					usingBackupService: usingBackup
+				};
+			} catch (error) {
+				providerHealth.recordFailure(providerName, Date.now() - startTime, error);
+
+				if (!allowFallback) {
+					logger.error(`Error with ${providerName} service and no fallback allowed:`, error, {
+						requestId: userData.requestId,
+						forced: bypassCircuit,
+						requested: !!requestedProvider
+					});
+					throw error;
+				}
+
+				logger.warn(`${providerName} service failed: ${error.message}`, {
+					requestId: userData.requestId,
+					provider: providerName
+				});
+				failures.push({ provider: providerName, skipped: false, message: error.message });
+			}
+		}
+
+		throw this._chainError(chain, failures, userData);
+	}
+
+	/**
+	 * Stream insights from the configured LLM provider(s). Same provider
+	 * selection and circuit handling as generateInsights. Yields:
+	 * - { type: 'provider', provider, usingBackupService } when a provider starts
+	 * - { type: 'token', text } answer text, released a sentence at a time
+	 *   once it passes PII and investment-advice guardrails
+	 * - { type: 'tool_call', ... } each financial tool call and its result; text
+	 *   streamed earlier in the same round was the model thinking aloud
+	 * - { type: 'done', ...insights } the result generateInsights would return,
+	 *   whose insight text is authoritative
+	 * A provider that fails before sending text falls back to the next one; once
+	 * text has been sent the error is thrown.
+	 * @param {Object} userData - User data including query and financial context
+	 * @param {string} [requestedProvider] - Optionally request a specific provider
+	 * @param {Object} [options]
+	 * @param {AbortSignal} [options.signal] - Cancels the upstream call
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *streamInsights(userData, requestedProvider = null, { signal } = {}) {
+		const { chain, allowFallback, bypassCircuit } = this._resolveProviderChain(userData, requestedProvider);
+		const failures = [];
+		const guardContext = {
+			query: userData.query,
+			accounts: userData.accounts,
+			transactions: userData.transactions,
+			userProfile: userData.userProfile
+		};
+
+		for (const providerName of chain) {
+			if (!bypassCircuit && !providerHealth.canAttempt(providerName)) {
+				logger.info(`Skipping ${providerName} service, circuit is open`, {
 					requestId: userData.requestId,
-					forced: !!this.forcedProvider,
-					requested: !!requestedProvider
+					provider: providerName
 				});
-				throw error;
+				failures.push({ provider: providerName, skipped: true, message: 'circuit open' });
+				continue;
 			}
 
-			// Try the backup provider
+			const usingBackup = providerName !== chain[0];
+			const startTime = Date.now();
+			let guard = guardrails.createStream(guardContext);
+			let streamed = false;
+			let sentText = false;
+			let settled = false;
+
+			logger.info(`Streaming insights with ${providerName} service`, {
+				queryType: userData.queryType,
+				requestId: userData.requestId,
+				provider: providerName,
+				usingBackup
+			});
+
 			try {
-				usingBackup = true;
-				usedProvider = this.backupProvider;
+				yield { type: 'provider', provider: providerName, usingBackupService: usingBackup };
+
+				let insights = null;
+
+				for await (const event of this._streamWithProvider(providerName, userData, signal)) {
+					if (event.type === 'token') {
+						streamed = true;
+						const text = guard.push(event.text);
+						if (text) {
+							sentText = true;
+							yield { type: 'token', text };
+						}
+					} else if (event.type === 'tool_call') {
+						// Text held back from this round is not part of the answer
+						guard = guardrails.createStream(guardContext);
+						yield event;
+					} else if (event.type === 'done') {
+						const { type, ...result } = event;
+						insights = result;
+					}
+				}
+
+				// Providers without streaming hand over the whole answer at the end
+				const rest = streamed ? guard.flush() : guard.push(insights.insight || '') + guard.flush();
+				if (rest) {
+					yield { type: 'token', text: rest };
+				}
+
+				providerHealth.recordSuccess(providerName, Date.now() - startTime);
+				settled = true;
+				this._recordUsage(insights.usage, userData, insights.prompt);
+
+				yield {
+					type: 'done',
+					...insights,
+					...this._applyGuardrails(insights, userData, providerName),
+					llmProvider: providerName,
+					usingBackupService: usingBackup
+				};
+				return;
+			} catch (error) {
+				// A cancelled request says nothing about the provider's health
+				if (signal && signal.aborted) {
+					throw error;
+				}
+
+				providerHealth.recordFailure(providerName, Date.now() - startTime, error);
+				settled = true;
 
-				// Check if backup provider exists
-				if (!this.providers[usedProvider]) {
-					logger.error(`Backup provider "${usedProvider}" not available`, {
+				if (!allowFallback || sentText) {
+					logger.error(`Error streaming from ${providerName} service:`, error, {
 						requestId: userData.requestId,
-						availableProviders: Object.keys(this.providers)
+						sentText
 					});
-					throw error; // Throw the original error
+					throw error;
 				}
 
-				logger.info(`Trying backup ${usedProvider} service`, {
-					requestId: userData.requestId
+				logger.warn(`${providerName} service failed before streaming: ${error.message}`, {
+					requestId: userData.requestId,
+					provider: providerName
 				});
+				failures.push({ provider: providerName, skipped: false, message: error.message });
+			} finally {
+				// Cancelled, or the consumer stopped reading: a half-open probe
+				// that never reports an outcome would block the provider for good
+				if (!settled && !bypassCircuit) {
+					providerHealth.releaseProbe(providerName);
+				}
+			}
+		}
 
-				// Call the backup provider
-				const backupInsights = await this.providers[usedProvider].generateInsights(userData);
+		throw this._chainError(chain, failures, userData);
+	}
 
-				// Add provider metadata
-				return {
-					...backupInsights,
-					llmProvider: usedProvider,
-					usingBackupService: true
+	/**
+	 * Error for a request every provider in the chain failed or skipped
+	 * @private
+	 */
+	_chainError(chain, failures, userData) {
+		logger.error('Failed with every LLM provider in the fallback chain:', {
+			chain,
+			failures,
+			requestId: userData.requestId
+		});
+
+		const attempted = failures.filter(failure => !failure.skipped);
+		const details = failures
+			.map(failure => `${failure.provider} ${failure.skipped ? 'skipped (circuit open)' : `error: ${failure.message}`}`)
+			.join('. ');
+
+		const error = new Error(chain.length === 0
+			? 'No LLM providers are available'
+			: `Failed with all LLM services. ${details}`);
+
+		// Nothing was attempted: every provider is drained or tripped
+		if (attempted.length === 0) {
+			error.statusCode = 503;
+		}
+		return error;
+	}
+
+	/**
+	 * Run the answer through the guardrail pipeline against the data it was
+	 * generated from, and record the verdict
+	 * @param {Object} insights - Provider result
+	 * @param {Object} userData - Request data
+	 * @param {string} providerName - Provider that answered
+	 * @returns {Object} - { insight, guardrails }
+	 * @private
+	 */
+	_applyGuardrails(insights, userData, providerName) {
+		const { text, verdict } = guardrails.check(insights.insight, {
+			query: userData.query,
+			accounts: userData.accounts,
+			transactions: userData.transactions,
+			toolCalls: insights.toolCalls,
+			userProfile: userData.userProfile
+		});
+
+		if (verdict && verdict.action !== 'pass') {
+			logger.warn(`Guardrails ${verdict.action} ${providerName} answer`, {
+				requestId: userData.requestId,
+				checks: verdict.checks.filter(check => check.findings.length > 0).map(check => check.name)
+			});
+		}
+
+		// record() never rejects; don't hold the response for the audit write
+		guardrails.record(verdict, {
+			operation: 'insights',
+			queryType: userData.queryType,
+			provider: providerName,
+			userId: userData.userId,
+			clientId: userData.clientId,
+			requestId: userData.requestId
+		});
+
+		return { insight: text, guardrails: verdict };
+	}
+
+	/**
+	 * Record the tokens a request used, attributed to its user, client and
+	 * bank user, and to the prompt version that produced the answer
+	 * @param {Object} usage - Usage reported by the provider
+	 * @param {Object} userData - Request data
+	 * @param {Object} [prompt] - Prompt registry selection ({ name, version, experimentId })
+	 * @private
+	 */
+	_recordUsage(usage, userData, prompt = null) {
+		// record() never rejects; don't hold the response for the ledger write
+		llmUsage.record(usage, {
+			operation: 'insights',
+			queryType: userData.queryType,
+			userId: userData.userId,
+			clientId: userData.clientId,
+			bankUserId: userData.bankUserId || (userData.userProfile && userData.userProfile.bankUserId),
+			requestId: userData.requestId,
+			promptName: prompt && prompt.name,
+			promptVersion: prompt && prompt.version,
+			experimentId: prompt && prompt.experimentId
+		});
+	}
+
+	/**
+	 * Work out which providers to try, in order
+	 * Priority: 1. Forced provider (admin, then FORCE_LLM_PROVIDER) 2. Requested
+	 * provider 3. Fallback chain minus drained providers
+	 * @param {Object} userData - User data (for logging)
+	 * @param {string} [requestedProvider] - Provider requested by the caller
+	 * @returns {{chain: Array<string>, allowFallback: boolean, bypassCircuit: boolean}}
+	 * @private
+	 */
+	_resolveProviderChain(userData, requestedProvider) {
+		const forcedProvider = providerHealth.getForcedProvider() || this.forcedProvider;
+
+		// A forced provider is an operator decision, so it is tried even with an open circuit
+		if (forcedProvider && this.providers[forcedProvider]) {
+			return { chain: [forcedProvider], allowFallback: false, bypassCircuit: true };
+		}
+
+		if (requestedProvider) {
+			if (this.providers[requestedProvider]) {
+				return { chain: [requestedProvider], allowFallback: false, bypassCircuit: false };
+			}
+
+			logger.warn(`Requested provider "${requestedProvider}" not available, using the fallback chain`, {
+				requestedProvider,
+				availableProviders: Object.keys(this.providers),
+				requestId: userData.requestId
+			});
+		}
+
+		const chain = this.providerChain.filter(name => !providerHealth.isDrained(name));
+
+		return { chain, allowFallback: true, bypassCircuit: false };
+	}
+
+	/**
+	 * Build the fallback chain from LLM_PROVIDER_CHAIN (comma separated), or
+	 * from the primary and backup providers when it is not set
+	 * @returns {Array<string>}
+	 * @private
+	 */
+	_buildProviderChain() {
+		const configured = process.env.LLM_PROVIDER_CHAIN
+			? process.env.LLM_PROVIDER_CHAIN.split(',').map(name => name.trim().toLowerCase())
+			: [this.primaryProvider, this.backupProvider];
+
+		const chain = [];
+		for (const name of configured) {
+			if (!this.providers[name]) {
+				logger.warn(`Ignoring unknown LLM provider "${name}" in the fallback chain`);
+			} else if (!chain.includes(name)) {
+				chain.push(name);
+			}
+		}
+
+		return chain;
+	}
+
+	/**
+	 * Generate insights with one provider, through the tool-calling loop when
+	 * the provider supports it and the query needs the user's figures
+	 * @param {string} providerName - Provider to use
+	 * @param {Object} userData - User data including query and financial context
+	 * @returns {Promise<Object>} - Generated insights
+	 * @private
+	 */
+	async _generateWithProvider(providerName, userData) {
+		const provider = this.providers[providerName];
+
+		if (this._shouldUseTools(provider, userData)) {
+			return this._generateWithTools(providerName, userData);
+		}
+
+		return provider.generateInsights(userData);
+	}
+
+	/**
+	 * Event stream from one provider: the tool loop (streamed when the
+	 * provider has streamChat), the provider's streamInsights, or a single
+	 * done event for providers that cannot stream
+	 * @private
+	 */
+	_streamWithProvider(providerName, userData, signal) {
+		const provider = this.providers[providerName];
+
+		if (this._shouldUseTools(provider, userData)) {
+			return this._toolLoop(providerName, userData, {
+				stream: typeof provider.streamChat === 'function',
+				signal
+			});
+		}
+
+		if (typeof provider.streamInsights === 'function') {
+			return provider.streamInsights(userData, { signal });
+		}
+
+		return (async function* buffered() {
+			yield { type: 'done', ...(await provider.generateInsights(userData)) };
+		})();
+	}
+
+	/**
+	 * @private
+	 */
+	_shouldUseTools(provider, userData) {
+		return this.toolsEnabled &&
+			typeof provider.chatWithTools === 'function' &&
+			!CONVERSATIONAL_QUERY_TYPES.includes(userData.queryType) &&
+			((userData.transactions || []).length > 0 || (userData.accounts || []).length > 0);
+	}
+
+	/**
+	 * Tool-calling loop: the model sees the question and an account list, asks
+	 * for figures through financial tools, and answers from the results. Every
+	 * call is returned in toolCalls so each number in the insight can be traced
+	 * to the tool and transactions that produced it.
+	 * @param {string} providerName - Provider to use
+	 * @param {Object} userData - User data including query and financial context
+	 * @returns {Promise<Object>} - Generated insights with toolCalls
+	 * @private
+	 */
+	async _generateWithTools(providerName, userData) {
+		let result = null;
+
+		for await (const event of this._toolLoop(providerName, userData)) {
+			if (event.type === 'done') result = event;
+		}
+
+		const { type, ...insights } = result;
+		return insights;
+	}
+
+	/**
+	 * The tool-calling loop as a stream of events: token (answer text, only
+	 * when streaming), tool_call (each executed call with its result) and a
+	 * final done event carrying the insights.
+	 * @param {string} providerName - Provider to use
+	 * @param {Object} userData - User data including query and financial context
+	 * @param {Object} [options]
+	 * @param {boolean} [options.stream] - Use the provider's streamChat for token output
+	 * @param {AbortSignal} [options.signal] - Cancels the upstream call
+	 * @returns {AsyncGenerator<Object>}
+	 * @private
+	 */
+	async *_toolLoop(providerName, userData, { stream = false, signal } = {}) {
+		const provider = this.providers[providerName];
+		const { queryType, requestId } = userData;
+		const tools = financialTools.getDefinitions();
+		const context = {
+			accounts: userData.accounts || [],
+			transactions: userData.transactions || [],
+			asOf: new Date()
+		};
+		const conversation = await this._loadConversation(userData);
+		const history = conversation ? await conversationService.getContext(conversation) : null;
+		const selected = await promptRegistry.select('insights.tools', {
+			queryType,
+			assignmentKey: userData.userId,
+			variables: this._toolPromptVariables(userData, context.asOf),
+			builtin: {
+				prompt: this._createToolPrompt(userData, context.asOf),
+				system: TOOL_SYSTEM_PROMPT,
+				temperature: 0.2,
+				maxTokens: 800
+			}
+		});
+		const system = history && history.summary
+			? `${selected.system}\n\nEarlier in this conversation:\n${history.summary}`
+			: selected.system;
+
+		// Recent turns are replayed verbatim; figures in them were already tool-computed
+		const messages = [
+			...(history ? history.turns : []).flatMap(turn => [
+				{ role: 'user', content: turn.query },
+				{ role: 'assistant', content: turn.response }
+			]),
+			{ role: 'user', content: selected.prompt }
+		];
+		const toolCalls = [];
+		let answer = '';
+		let usage = null;
+
+		for (let round = 0; round <= this.maxToolRounds; round++) {
+			// The last round withholds the tools so the model has to answer
+			const request = {
+				system,
+				messages,
+				tools: round < this.maxToolRounds ? tools : [],
+				temperature: selected.temperature,
+				maxTokens: selected.maxTokens
+			};
+			let reply = null;
+
+			if (stream) {
+				for await (const event of provider.streamChat({ ...request, signal })) {
+					if (event.type === 'done') {
+						reply = event;
+					} else {
+						yield event;
+					}
+				}
+			} else {
+				reply = await provider.chatWithTools(request);
+			}
+			usage = llmUsage.combine(usage, reply.usage);
+
+			if (!reply.toolCalls || reply.toolCalls.length === 0) {
+				answer = reply.text;
+				break;
+			}
+
+			const calls = reply.toolCalls.slice(0, this.maxToolCallsPerRound);
+			messages.push({ role: 'assistant', content: reply.text, toolCalls: calls });
+
+			for (const call of calls) {
+				const startTime = Date.now();
+				const { result, sources, error } = financialTools.execute(call.name, call.arguments, context);
+				const toolCall = {
+					id: call.id,
+					round: round + 1,
+					name: call.name,
+					arguments: call.arguments,
+					result,
+					sourceTransactionIds: sources,
+					error,
+					durationMs: Date.now() - startTime
 				};
 
-			} catch (backupError) {
-				// Both primary and backup failed
-				logger.error(`Failed with both primary and backup services:`, {
-					primaryError: error.message,
-					backupError: backupError.message,
-					requestId: userData.requestId
-				});
+				toolCalls.push(toolCall);
+				messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
 
-				throw new Error(`Failed with both primary and backup LLM services. Primary (${this.primaryProvider}) error: ${error.message}. Backup (${this.backupProvider}) error: ${backupError.message}`);
+				yield { type: 'tool_call', ...toolCall };
 			}
+
+			logger.info(`Executed ${calls.length} tool call(s) for ${providerName}`, {
+				requestId,
+				round: round + 1,
+				tools: calls.map(call => call.name)
+			});
+		}
+
+		if (!answer) {
+			throw new Error(`${providerName} did not return an answer after ${toolCalls.length} tool call(s)`);
+		}
+
+		if (conversation) {
+			await conversationService.recordTurn(conversation, {
+				query: userData.query,
+				response: answer,
+				queryType,
+				topics: queryType && queryType !== 'general' ? [queryType] : [],
+				metadata: { source: providerName, tools: toolCalls.map(call => call.name) }
+			}).catch(error => {
+				logger.warn(`Failed to record conversation turn: ${error.message}`, { requestId });
+			});
+		}
+
+		yield {
+			type: 'done',
+			insight: answer,
+			timestamp: new Date().toISOString(),
+			queryType,
+			source: providerName,
+			groundedWithTools: true,
+			toolCalls,
+			prompt: selected.info,
+			usage,
+			sessionId: conversation ? conversation.id : userData.sessionId,
+			conversationId: conversation ? conversation.id : null
+		};
+	}
+
+	/**
+	 * Persisted conversation for the request, if the caller is identified.
+	 * Conversation storage problems never block an answer.
+	 * @private
+	 */
+	async _loadConversation(userData) {
+		if (!userData.userId) return null;
+
+		try {
+			return await conversationService.resolveConversation({
+				userId: userData.userId,
+				subUserId: userData.subUserId,
+				conversationId: userData.conversationId || userData.sessionId,
+				sessionKey: userData.sessionId
+			});
+		} catch (error) {
+			logger.warn(`Continuing without conversation context: ${error.message}`, {
+				requestId: userData.requestId
+			});
+			return null;
 		}
 	}
 
+	/**
+	 * Question plus the reference data the model needs to pick tool arguments.
+	 * Transactions are deliberately left out; figures come from the tools.
+	 * @private
+	 */
+	_createToolPrompt(userData, asOf) {
+		const { today, accounts, liabilitiesAndInvestments, transactionCoverage, query } = this._toolPromptVariables(userData, asOf);
+
+		return `Today is ${today}.
+
+ACCOUNTS:
+${accounts}
+${liabilitiesAndInvestments}
+TRANSACTION HISTORY: ${transactionCoverage}
+
+QUESTION: ${query}`;
+	}
+
+	/**
+	 * Values for the tool prompt, shared with registry templates
+	 * @private
+	 */
+	_toolPromptVariables(userData, asOf) {
+		const accounts = (userData.accounts || []).map(account =>
+			`- ${account.accountId}: ${account.name || 'Account'} (${account.type || 'Unknown type'}), current balance ${account.balance} ${account.currency || 'USD'}`
+		).join('\n');
+
+		const dates = (userData.transactions || [])
+			.map(tx => new Date(tx.date))
+			.filter(date => !isNaN(date.getTime()))
+			.sort((a, b) => a - b);
+
+		return {
+			query: userData.query,
+			queryType: userData.queryType,
+			today: asOf.toISOString().slice(0, 10),
+			accounts: accounts || 'No account information available',
+			// APRs, loan terms and holdings the tools don't compute
+			liabilitiesAndInvestments: formatProductContext(userData),
+			transactionCoverage: dates.length
+				? `${dates.length} transactions from ${dates[0].toISOString().slice(0, 10)} to ${dates[dates.length - 1].toISOString().slice(0, 10)}`
+				: 'No transactions available'
+		};
+	}
+
 	/**
 	 * Get a list of available LLM providers
 	 * @returns {Array<string>} - List of provider names
@@ -144,6 +695,59 @@ class LLMFactoryService {
 	isProviderAvailable(providerName) {
 		return !!this.providers[providerName];
 	}
+
+	/**
+	 * Health, circuit state and runtime mode of every provider
+	 * @returns {Object}
+	 */
+	getProviderHealth() {
+		const forcedProvider = providerHealth.getForcedProvider() || this.forcedProvider;
+
+		return {
+			providerChain: this.providerChain,
+			forcedProvider,
+			forcedBy: providerHealth.getForcedProvider() ? 'admin' : (this.forcedProvider ? 'environment' : null),
+			breaker: providerHealth.getSettings(),
+			providers: Object.keys(this.providers).map(name => ({
+				...providerHealth.getHealth(name),
+				inChain: this.providerChain.includes(name)
+			}))
+		};
+	}
+
+	/**
+	 * Drain, force or restore a provider at runtime
+	 * @param {string} providerName - Provider name
+	 * @param {string} mode - auto, drained or forced
+	 * @returns {Object} - The provider's health after the change
+	 */
+	setProviderMode(providerName, mode) {
+		this._assertProvider(providerName);
+		providerHealth.setMode(providerName, mode);
+		return providerHealth.getHealth(providerName);
+	}
+
+	/**
+	 * Close a provider's circuit and clear its health window
+	 * @param {string} providerName - Provider name
+	 * @returns {Object} - The provider's health after the reset
+	 */
+	resetProviderHealth(providerName) {
+		this._assertProvider(providerName);
+		providerHealth.reset(providerName);
+		return providerHealth.getHealth(providerName);
+	}
+
+	/**
+	 * @private
+	 */
+	_assertProvider(providerName) {
+		if (!this.providers[providerName]) {
+			const error = new Error(`Unknown LLM provider "${providerName}"`);
+			error.statusCode = 404;
+			throw error;
+		}
+	}
 }
 
 module.exports = new LLMFactoryService();
\ No newline at end of file
@@ -0,0 +1,300 @@
+// src/services/llm-usage.service.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { Op } = require('sequelize');
+const { sequelize, LlmUsage } = require('../models');
+const prices = require('../config/llm-pricing');
+const logger = require('../utils/logger');
+
+const GROUP_COLUMNS = {
+	client: ['clientId'],
+	bankUser: ['clientId', 'bankUserId'],
+	user: ['userId'],
+	queryType: ['queryType'],
+	reportSection: ['reportSection'],
+	provider: ['provider'],
+	model: ['model'],
+	operation: ['operation'],
+	prompt: ['promptName', 'promptVersion']
+};
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+
+// Attribution for calls made deep inside a flow (e.g. Banking Command report sections)
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * LLM Usage Service
+ * Ledger of tokens and cost per LLM call. Provider adapters return a usage
+ * object ({ provider, model, promptTokens, completionTokens, calls }) with
+ * their results; callers record it here with who the call was made for.
+ * Cost is computed from config/llm-pricing.js when the call is recorded.
+ */
+class LlmUsageService {
+	/**
+	 * Run fn with attribution (userId, clientId, bankUserId, requestId,
+	 * reportSection, ...) applied to every usage recorded inside it. Nested
+	 * calls add to the outer attribution.
+	 * @param {Object} context - Attribution fields
+	 * @param {Function} fn - Function to run
+	 * @returns {*} - fn's return value
+	 */
+	runWithContext(context, fn) {
+		return usageContext.run({ ...(usageContext.getStore() || {}), ...context }, fn);
+	}
+
+	/**
+	 * Attribution applied by the enclosing runWithContext calls
+	 * @returns {Object}
+	 */
+	getContext() {
+		return { ...(usageContext.getStore() || {}) };
+	}
+
+	/**
+	 * Cost of a call in USD, or null when the model has no price
+	 * @param {string} model - Model name
+	 * @param {number} promptTokens
+	 * @param {number} completionTokens
+	 * @returns {number|null}
+	 */
+	calculateCost(model, promptTokens, completionTokens) {
+		const price = prices[model];
+		if (!price) return null;
+
+		const cost = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+		return Math.round(cost * 1000000) / 1000000;
+	}
+
+	/**
+	 * Add usage objects together (tool-calling rounds of one request)
+	 * @param {Object|null} total - Running total
+	 * @param {Object|null} usage - Usage to add
+	 * @returns {Object|null}
+	 */
+	combine(total, usage) {
+		if (!usage) return total;
+		if (!total) return { ...usage, calls: usage.calls || 1 };
+
+		return {
+			...total,
+			promptTokens: total.promptTokens + (usage.promptTokens || 0),
+			completionTokens: total.completionTokens + (usage.completionTokens || 0),
+			calls: total.calls + (usage.calls || 1)
+		};
+	}
+
+	/**
+	 * Record a call in the ledger. Never throws: a failed write is logged so
+	 * accounting cannot break the request it belongs to.
+	 * @param {Object} usage - { provider, model, promptTokens, completionTokens, calls }
+	 * @param {Object} [attribution] - { operation, queryType, reportSection, clientId, userId, bankUserId, requestId, promptName, promptVersion, experimentId }
+	 * @returns {Promise<Object|null>} - The ledger record
+	 */
+	async record(usage, attribution = {}) {
+		if (!usage || !usage.model) {
+			return null;
+		}
+
+		const context = { ...(usageContext.getStore() || {}) };
+		Object.entries(attribution).forEach(([key, value]) => {
+			if (value !== undefined && value !== null) context[key] = value;
+		});
+
+		const promptTokens = Math.max(0, Math.round(usage.promptTokens || 0));
+		const completionTokens = Math.max(0, Math.round(usage.completionTokens || 0));
+
+		try {
+			return await LlmUsage.create({
+				provider: usage.provider || 'unknown',
+				model: usage.model,
+				operation: context.operation || 'insights',
+				calls: usage.calls || 1,
+				promptTokens,
+				completionTokens,
+				totalTokens: promptTokens + completionTokens,
+				costUsd: this.calculateCost(usage.model, promptTokens, completionTokens),
+				queryType: context.queryType || null,
+				reportSection: context.reportSection || null,
+				clientId: context.clientId || null,
+				userId: context.userId ? String(context.userId) : null,
+				bankUserId: context.bankUserId ? String(context.bankUserId) : null,
+				requestId: context.requestId || null,
+				promptName: context.promptName || null,
+				promptVersion: context.promptVersion ? String(context.promptVersion) : null,
+				experimentId: context.experimentId || null
+			});
+		} catch (error) {
+			logger.warn(`Failed to record LLM usage: ${error.message}`, {
+				provider: usage.provider,
+				model: usage.model,
+				requestId: context.requestId
+			});
+			return null;
+		}
+	}
+
+	/**
+	 * Totals for a period, optionally broken down by a dimension
+	 * @param {Object} options
+	 * @param {string|Date} [options.from] - Start (default 30 days ago)
+	 * @param {string|Date} [options.to] - End (default now)
+	 * @param {string} [options.clientId] - Only this client's usage
+	 * @param {string} [options.groupBy] - client, bankUser, user, queryType, reportSection, provider, model, operation or prompt
+	 * @param {number} [options.limit] - Max groups, largest cost first
+	 * @returns {Promise<Object>}
+	 */
+	async getSummary({ from, to, clientId, groupBy, limit = 20 } = {}) {
+		const range = this._range(from, to);
+		const where = this._where(range, clientId);
+
+		const totals = await LlmUsage.findOne({
+			attributes: this._aggregates(),
+			where,
+			raw: true
+		});
+
+		const result = {
+			from: range.from,
+			to: range.to,
+			clientId: clientId || null,
+			totals: this._formatTotals(totals)
+		};
+
+		if (groupBy) {
+			const columns = GROUP_COLUMNS[groupBy];
+			if (!columns) {
+				throw this._badRequest(`groupBy must be one of: ${Object.keys(GROUP_COLUMNS).join(', ')}`);
+			}
+
+			const rows = await LlmUsage.findAll({
+				attributes: [...columns, ...this._aggregates()],
+				where,
+				group: columns,
+				order: [[sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('costUsd')), 0), 'DESC']],
+				limit,
+				raw: true
+			});
+
+			result.groupBy = groupBy;
+			result.groups = rows.map(row => ({
+				...columns.reduce((keys, column) => ({ ...keys, [column]: row[column] }), {}),
+				...this._formatTotals(row)
+			}));
+		}
+
+		return result;
+	}
+
+	/**
+	 * Spend and tokens per interval
+	 * @param {Object} options
+	 * @param {string|Date} [options.from] - Start (default 30 days ago)
+	 * @param {string|Date} [options.to] - End (default now)
+	 * @param {string} [options.clientId] - Only this client's usage
+	 * @param {string} [options.interval] - hour, day, week or month
+	 * @returns {Promise<Object>}
+	 */
+	async getTimeseries({ from, to, clientId, interval = 'day' } = {}) {
+		if (!INTERVALS.includes(interval)) {
+			throw this._badRequest(`interval must be one of: ${INTERVALS.join(', ')}`);
+		}
+
+		const range = this._range(from, to);
+		const bucket = sequelize.fn('DATE_TRUNC', interval, sequelize.col('createdAt'));
+
+		const rows = await LlmUsage.findAll({
+			attributes: [[bucket, 'period'], ...this._aggregates()],
+			where: this._where(range, clientId),
+			group: [bucket],
+			order: [[bucket, 'ASC']],
+			raw: true
+		});
+
+		return {
+			from: range.from,
+			to: range.to,
+			clientId: clientId || null,
+			interval,
+			points: rows.map(row => ({
+				period: new Date(row.period).toISOString(),
+				...this._formatTotals(row)
+			}))
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_aggregates() {
+		return [
+			[sequelize.fn('COUNT', sequelize.col('id')), 'records'],
+			[sequelize.fn('SUM', sequelize.col('calls')), 'calls'],
+			[sequelize.fn('SUM', sequelize.col('promptTokens')), 'promptTokens'],
+			[sequelize.fn('SUM', sequelize.col('completionTokens')), 'completionTokens'],
+			[sequelize.fn('SUM', sequelize.col('totalTokens')), 'totalTokens'],
+			[sequelize.fn('SUM', sequelize.col('costUsd')), 'costUsd'],
+			[sequelize.fn('COUNT', sequelize.literal('CASE WHEN "costUsd" IS NULL THEN 1 END')), 'unpricedRecords']
+		];
+	}
+
+	/**
+	 * Aggregates come back as strings (or null) from Postgres
+	 * @private
+	 */
+	_formatTotals(row) {
+		const data = row || {};
+		const count = value => parseInt(value, 10) || 0;
+
+		return {
+			records: count(data.records),
+			calls: count(data.calls),
+			promptTokens: count(data.promptTokens),
+			completionTokens: count(data.completionTokens),
+			totalTokens: count(data.totalTokens),
+			costUsd: Math.round((parseFloat(data.costUsd) || 0) * 1000000) / 1000000,
+			unpricedRecords: count(data.unpricedRecords)
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_where(range, clientId) {
+		const where = {
+			createdAt: { [Op.gte]: range.from, [Op.lte]: range.to }
+		};
+		if (clientId) {
+			where.clientId = clientId;
+		}
+		return where;
+	}
+
+	/**
+	 * @private
+	 */
+	_range(from, to) {
+		const end = to ? new Date(to) : new Date();
+		const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+		if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+			throw this._badRequest('from and to must be valid dates');
+		}
+		if (start > end) {
+			throw this._badRequest('from must be before to');
+		}
+
+		return { from: start, to: end };
+	}
+
+	/**
+	 * @private
+	 */
+	_badRequest(message) {
+		const error = new Error(message);
+		error.statusCode = 400;
+		return error;
+	}
+}
+
+module.exports = new LlmUsageService();
@@ -0,0 +1,539 @@
+// src/services/local-llm.service.js
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_DAYS = 30;
+
+const CREDIT_ACCOUNT_TYPES = ['credit', 'credit card', 'loan', 'mortgage', 'line of credit'];
+
+const SYSTEM_PROMPT = 'You are a helpful financial assistant. Provide clear, concise insights based on the user\'s financial data. Be informative but not verbose.';
+
+/**
+ * Format a dollar amount the same way on every machine
+ * @param {number} amount
+ * @returns {string}
+ */
+function money(amount) {
+	const sign = amount < 0 ? '-' : '';
+	return `${sign}$${Math.abs(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+}
+
+/**
+ * Local LLM Service
+ * Offline provider for development, CI and demos. With LOCAL_LLM_URL set it
+ * proxies to an OpenAI-compatible server (llama.cpp, Ollama, vLLM, LM Studio);
+ * otherwise it answers from templates filled with figures computed from the
+ * user's data. Template answers are deterministic: the reporting period ends at
+ * the latest transaction, not at the current time. Implements the same
+ * generateInsights / chatWithTools contract (and their streaming variants)
+ * as the hosted providers.
+ */
+class LocalLlmService {
+	constructor() {
+		this.baseUrl = process.env.LOCAL_LLM_URL ? process.env.LOCAL_LLM_URL.replace(/\/+$/, '') : null;
+		this.apiKey = process.env.LOCAL_LLM_API_KEY || null;
+		this.model = process.env.LOCAL_LLM_MODEL || 'local-model';
+		this.timeoutMs = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS || '60000', 10);
+
+		logger.info('Local LLM service initialized', {
+			mode: this.getMode(),
+			baseUrl: this.baseUrl,
+			model: this.baseUrl ? this.model : null
+		});
+	}
+
+	/**
+	 * "proxy" when a local server is configured, otherwise "template"
+	 * @returns {string}
+	 */
+	getMode() {
+		return this.baseUrl ? 'proxy' : 'template';
+	}
+
+	/**
+	 * Generate insights
+	 * Maintains the same interface as cohereService.generateInsights
+	 * @param {Object} userData - User data including query and context
+	 * @returns {Promise<Object>} - Generated insights
+	 */
+	async generateInsights(userData) {
+		const { query, queryType, requestId } = userData;
+
+		logger.info('Generating insights with local LLM service', {
+			queryType,
+			mode: this.getMode(),
+			requestId
+		});
+
+		let insight;
+		let usage;
+		if (this.baseUrl) {
+			const { message, usage: callUsage } = await this._chatCompletion({
+				messages: [
+					{ role: 'system', content: SYSTEM_PROMPT },
+					{ role: 'user', content: this._createPrompt(userData) }
+				],
+				temperature: 0.3,
+				max_tokens: 800
+			});
+			insight = message.content || '';
+			usage = callUsage;
+		} else {
+			insight = this._renderTemplate(queryType, query, this._computeFacts(userData), userData);
+		}
+
+		return {
+			insight,
+			timestamp: new Date().toISOString(),
+			queryType,
+			source: `local-${this.getMode()}`,
+			usage
+		};
+	}
+
+	/**
+	 * Run one turn of a tool-calling conversation. In template mode the tools
+	 * are picked from keywords in the question and the answer is written from
+	 * the tool results, so the tool loop runs end to end without a model.
+	 * @param {Object} options
+	 * @param {string} options.system - System instruction
+	 * @param {Array<Object>} options.messages - Provider-neutral messages ({ role, content, toolCalls, toolCallId, name })
+	 * @param {Array<Object>} options.tools - Tool definitions ({ name, description, parameters })
+	 * @param {number} options.temperature
+	 * @param {number} options.maxTokens
+	 * @returns {Promise<{text: string, toolCalls: Array<{id: string, name: string, arguments: Object}>, usage: Object}>}
+	 */
+	async chatWithTools({ system, messages, tools = [], temperature = 0.2, maxTokens = 800 }) {
+		if (!this.baseUrl) {
+			return this._templateToolTurn(messages, tools);
+		}
+
+		const request = {
+			messages: [
+				{ role: 'system', content: system },
+				...messages.map(message => {
+					if (message.role === 'tool') {
+						return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+					}
+					if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length) {
+						return {
+							role: 'assistant',
+							content: message.content || null,
+							tool_calls: message.toolCalls.map(call => ({
+								id: call.id,
+								type: 'function',
+								function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+							}))
+						};
+					}
+					return { role: message.role, content: message.content };
+				})
+			],
+			temperature,
+			max_tokens: maxTokens
+		};
+
+		if (tools.length) {
+			request.tools = tools.map(tool => ({
+				type: 'function',
+				function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+			}));
+			request.tool_choice = 'auto';
+		}
+
+		const { message, usage } = await this._chatCompletion(request);
+
+		return {
+			text: message.content || '',
+			toolCalls: (message.tool_calls || []).map(call => ({
+				id: call.id,
+				name: call.function.name,
+				arguments: this._parseToolArguments(call.function.arguments)
+			})),
+			usage
+		};
+	}
+
+	/**
+	 * Streaming variant of generateInsights. Answers are complete before they
+	 * are emitted, so they arrive word by word rather than token by token.
+	 * @param {Object} userData - User data including query and context
+	 * @returns {AsyncGenerator<Object>} - token events, then { type: 'done', ...insights }
+	 */
+	async *streamInsights(userData) {
+		const insights = await this.generateInsights(userData);
+		yield* this._wordEvents(insights.insight);
+		yield { type: 'done', ...insights };
+	}
+
+	/**
+	 * Streaming variant of chatWithTools, emitted word by word
+	 * @param {Object} options - As chatWithTools
+	 * @returns {AsyncGenerator<Object>} - token events, then { type: 'done', text, toolCalls, usage }
+	 */
+	async *streamChat(options) {
+		const reply = await this.chatWithTools(options);
+		yield* this._wordEvents(reply.text);
+		yield { type: 'done', ...reply };
+	}
+
+	/**
+	 * @private
+	 */
+	*_wordEvents(text) {
+		for (const word of (text || '').match(/\s*\S+/g) || []) {
+			yield { type: 'token', text: word };
+		}
+	}
+
+	/**
+	 * Generate free text for a prompt (used by the Banking Command report
+	 * sections). Template mode restates the figures given in the prompt.
+	 * @param {Object} options
+	 * @param {string} options.prompt - Prompt text
+	 * @param {string} [options.system] - System instruction
+	 * @param {string} [options.title] - Section title for template output
+	 * @param {number} [options.maxTokens]
+	 * @returns {Promise<string>}
+	 */
+	async generateText({ prompt, system = SYSTEM_PROMPT, title = 'Analysis', maxTokens = 800 }) {
+		if (this.baseUrl) {
+			const { message } = await this._chatCompletion({
+				messages: [
+					{ role: 'system', content: system },
+					{ role: 'user', content: prompt }
+				],
+				temperature: 0.1,
+				max_tokens: maxTokens
+			});
+			return message.content || '';
+		}
+
+		// Lines in the prompt that carry figures are the data the section is about
+		const dataLines = prompt
+			.split('\n')
+			.map(line => line.trim().replace(/^[-*•]\s*/, ''))
+			.filter(line => /\$\s?-?[\d,]+(\.\d+)?|\d+(\.\d+)?%/.test(line) && line.length <= 200)
+			.filter((line, index, lines) => lines.indexOf(line) === index)
+			.slice(0, 8);
+
+		if (dataLines.length === 0) {
+			return `${title}: no figures were available for this section.`;
+		}
+
+		return [
+			`${title} (generated offline from the report data):`,
+			...dataLines.map(line => `- ${line}`)
+		].join('\n');
+	}
+
+	/**
+	 * POST to the local server's /chat/completions
+	 * @returns {Promise<{message: Object, usage: Object}>}
+	 * @private
+	 */
+	async _chatCompletion(body) {
+		const headers = { 'Content-Type': 'application/json' };
+		if (this.apiKey) {
+			headers.Authorization = `Bearer ${this.apiKey}`;
+		}
+
+		try {
+			const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+				model: this.model,
+				stream: false,
+				...body
+			}, { headers, timeout: this.timeoutMs });
+
+			const choice = response.data && response.data.choices && response.data.choices[0];
+			if (!choice || !choice.message) {
+				throw new Error('Response has no choices');
+			}
+			const usage = response.data.usage || {};
+
+			return {
+				message: choice.message,
+				usage: {
+					provider: 'local',
+					model: response.data.model || this.model,
+					promptTokens: usage.prompt_tokens || 0,
+					completionTokens: usage.completion_tokens || 0
+				}
+			};
+		} catch (error) {
+			logger.error('Error calling local LLM server:', {
+				baseUrl: this.baseUrl,
+				model: this.model,
+				errorMessage: error.message
+			});
+			throw new Error(`Local LLM error: ${error.message}`);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_parseToolArguments(value) {
+		if (!value || typeof value !== 'string') return value || {};
+		try {
+			return JSON.parse(value);
+		} catch (error) {
+			return value;
+		}
+	}
+
+	/**
+	 * Prompt for proxy mode: the question plus a compact summary of the data
+	 * @private
+	 */
+	_createPrompt(userData) {
+		const facts = this._computeFacts(userData);
+		const accounts = facts.accounts
+			.map(account => `- ${account.name} (${account.type}): ${money(account.balance)}`)
+			.join('\n');
+		const categories = facts.topCategories
+			.map(category => `- ${category.name}: ${money(category.total)}`)
+			.join('\n');
+
+		return `ACCOUNTS:
+${accounts || '- none'}
+
+LAST ${PERIOD_DAYS} DAYS (${facts.periodStart} to ${facts.periodEnd}):
+- Income: ${money(facts.income)}
+- Spending: ${money(facts.spending)} across ${facts.spendingCount} transactions
+${categories}
+
+QUESTION: ${userData.query}`;
+	}
+
+	/**
+	 * Figures the templates are filled with
+	 * @private
+	 */
+	_computeFacts(userData) {
+		const accounts = (userData.accounts || []).map(account => ({
+			name: account.name || account.accountId || 'Account',
+			type: account.type || account.subtype || 'Account',
+			balance: Number(account.balance) || 0
+		}));
+		const isCredit = account => CREDIT_ACCOUNT_TYPES.includes(String(account.type).toLowerCase());
+
+		const transactions = (userData.transactions || [])
+			.map(tx => ({ ...tx, amount: Number(tx.amount) || 0, date: new Date(tx.date) }))
+			.filter(tx => !isNaN(tx.date.getTime()));
+
+		const end = transactions.length
+			? new Date(Math.max(...transactions.map(tx => tx.date.getTime())))
+			: null;
+		const start = end ? new Date(end.getTime() - (PERIOD_DAYS - 1) * DAY_MS) : null;
+		const inPeriod = end
+			? transactions.filter(tx => tx.date >= start && tx.date <= end && !/transfer/i.test(tx.category || ''))
+			: [];
+
+		const spending = inPeriod.filter(tx => tx.amount < 0);
+		const income = inPeriod.filter(tx => tx.amount > 0);
+		const totalOf = items => Math.round(items.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) * 100) / 100;
+
+		const rank = (items, keyOf) => {
+			const totals = {};
+			items.forEach(tx => {
+				const key = keyOf(tx);
+				totals[key] = (totals[key] || 0) + Math.abs(tx.amount);
+			});
+			return Object.entries(totals)
+				.map(([name, total]) => ({ name, total: Math.round(total * 100) / 100 }))
+				.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+				.slice(0, 3);
+		};
+
+		const incomeTotal = totalOf(income);
+		const spendingTotal = totalOf(spending);
+
+		return {
+			accounts,
+			totalBalance: accounts.filter(account => !isCredit(account)).reduce((sum, account) => sum + account.balance, 0),
+			savingsBalance: accounts.filter(account => /saving/i.test(account.type) || /saving/i.test(account.name)).reduce((sum, account) => sum + account.balance, 0),
+			debts: accounts.filter(isCredit).map(account => ({ ...account, owed: Math.abs(account.balance) })),
+			periodStart: start ? start.toISOString().slice(0, 10) : null,
+			periodEnd: end ? end.toISOString().slice(0, 10) : null,
+			income: incomeTotal,
+			spending: spendingTotal,
+			spendingCount: spending.length,
+			net: Math.round((incomeTotal - spendingTotal) * 100) / 100,
+			savingsRate: incomeTotal > 0 ? Math.round((incomeTotal - spendingTotal) / incomeTotal * 1000) / 10 : null,
+			topCategories: rank(spending, tx => tx.category || 'Uncategorized'),
+			topMerchants: rank(spending, tx => tx.merchantName || tx.description || 'Unknown'),
+			topIncomeSources: rank(income, tx => tx.merchantName || tx.description || 'Unknown')
+		};
+	}
+
+	/**
+	 * Template answer for a query type
+	 * @private
+	 */
+	_renderTemplate(queryType, query, facts, userData) {
+		const period = facts.periodEnd
+			? `between ${facts.periodStart} and ${facts.periodEnd}`
+			: null;
+		const capitalizedPeriod = period ? period.charAt(0).toUpperCase() + period.slice(1) : null;
+		const list = items => items.map(item => `${item.name} (${money(item.total)})`).join(', ');
+
+		switch (queryType) {
+			case 'harmful':
+				return 'I cannot help with that. Please ask about legitimate financial topics, and I\'ll be happy to help.';
+
+			case 'greeting': {
+				const name = userData.userProfile && userData.userProfile.name;
+				return `Hi${name ? ` ${name}` : ''}! I can see ${facts.accounts.length} account(s) with a combined balance of ${money(facts.totalBalance)}. What would you like to know about your finances?`;
+			}
+
+			case 'joke':
+				return 'Why did the banker switch careers? They lost interest. Anything I can help you with today?';
+		}
+
+		if (!period) {
+			return `You have ${facts.accounts.length} account(s) with a combined balance of ${money(facts.totalBalance)}, but no transactions to analyze yet.`;
+		}
+
+		switch (queryType) {
+			case 'spending':
+			case 'transactions':
+				return [
+					`You spent ${money(facts.spending)} across ${facts.spendingCount} transactions ${period}.`,
+					facts.topCategories.length ? `Top categories: ${list(facts.topCategories)}.` : null,
+					facts.topMerchants.length ? `Top merchants: ${list(facts.topMerchants)}.` : null
+				].filter(Boolean).join(' ');
+
+			case 'budgeting':
+				return [
+					`${capitalizedPeriod} your income was ${money(facts.income)} and your spending was ${money(facts.spending)}.`,
+					facts.income > 0
+						? `A 50/30/20 budget on that income is ${money(facts.income * 0.5)} for needs, ${money(facts.income * 0.3)} for wants and ${money(facts.income * 0.2)} for savings.`
+						: null,
+					facts.topCategories.length ? `Your largest categories were ${list(facts.topCategories)}.` : null
+				].filter(Boolean).join(' ');
+
+			case 'saving':
+				return `You have ${money(facts.savingsBalance)} in savings. ${capitalizedPeriod} you brought in ${money(facts.income)} and spent ${money(facts.spending)}, a net of ${money(facts.net)}` +
+					(facts.savingsRate !== null ? ` (a ${facts.savingsRate}% savings rate).` : '.');
+
+			case 'debt':
+			case 'credit':
+				if (facts.debts.length === 0) {
+					return 'You have no credit or loan accounts connected.';
+				}
+				return `You owe ${money(facts.debts.reduce((sum, debt) => sum + debt.owed, 0))} across ${facts.debts.length} account(s): ${facts.debts.map(debt => `${debt.name} (${money(debt.owed)})`).join(', ')}.`;
+
+			case 'income':
+				return [
+					`You received ${money(facts.income)} ${period}.`,
+					facts.topIncomeSources.length ? `Sources: ${list(facts.topIncomeSources)}.` : null
+				].filter(Boolean).join(' ');
+
+			default:
+				return [
+					`You have ${facts.accounts.length} account(s) with a combined balance of ${money(facts.totalBalance)}.`,
+					`${capitalizedPeriod} your income was ${money(facts.income)} and your spending was ${money(facts.spending)}, a net of ${money(facts.net)}.`,
+					facts.topCategories.length ? `Most of the spending went to ${list(facts.topCategories)}.` : null
+				].filter(Boolean).join(' ');
+		}
+	}
+
+	/**
+	 * Template-mode tool turn: request tools for the question, then answer
+	 * from their results
+	 * @private
+	 */
+	_templateToolTurn(messages, tools) {
+		let lastUser = -1;
+		messages.forEach((message, index) => {
+			if (message.role === 'user') lastUser = index;
+		});
+
+		const results = messages.slice(lastUser + 1).filter(message => message.role === 'tool');
+
+		if (results.length === 0 && tools.length > 0) {
+			const content = lastUser >= 0 ? messages[lastUser].content || '' : '';
+			const question = (content.split('QUESTION:').pop() || '').toLowerCase();
+			const available = new Set(tools.map(tool => tool.name));
+			const wanted = [];
+
+			if (/recurring|subscription|bills?\b/.test(question)) wanted.push(['list_recurring_charges', {}]);
+			if (/balance/.test(question)) wanted.push(['get_balance_history', { interval: 'week' }]);
+			if (/compare|last month|previous month|\bvs\.?\b|versus/.test(question)) wanted.push(['compare_months', {}]);
+			if (wanted.length === 0) wanted.push(['sum_spending', { groupBy: 'category' }]);
+
+			return {
+				text: '',
+				toolCalls: wanted
+					.filter(([name]) => available.has(name))
+					.map(([name, args], index) => ({ id: `local_call_${lastUser + 1}_${index + 1}`, name, arguments: args }))
+			};
+		}
+
+		const sentences = results.map(message => {
+			let result;
+			try {
+				result = JSON.parse(message.content);
+			} catch (error) {
+				result = { error: 'unreadable result' };
+			}
+			return this._describeToolResult(message.name, result);
+		});
+
+		return {
+			text: sentences.length ? sentences.join(' ') : 'I could not find any figures to answer that question.',
+			toolCalls: []
+		};
+	}
+
+	/**
+	 * One or two sentences describing a financial tool result
+	 * @private
+	 */
+	_describeToolResult(name, result) {
+		if (!result || result.error) {
+			return `I could not compute ${name}: ${result ? result.error : 'no result'}.`;
+		}
+
+		switch (name) {
+			case 'sum_spending': {
+				const groups = (result.groups || []).slice(0, 3)
+					.map(group => `${group[result.groupBy]} ${money(group.total)} (${group.share}%)`);
+				return `From ${result.startDate} to ${result.endDate} you spent ${money(result.total)} across ${result.transactionCount} transactions.` +
+					(groups.length ? ` The largest were ${groups.join(', ')}.` : '');
+			}
+
+			case 'list_recurring_charges': {
+				const recurring = result.recurring || [];
+				if (recurring.length === 0) {
+					return 'I did not find any recurring charges.';
+				}
+				const monthly = recurring.reduce((sum, item) => sum + (item.monthlyAmount || 0), 0);
+				return `I found ${recurring.length} recurring charge(s) costing about ${money(monthly)} a month: ` +
+					`${recurring.slice(0, 5).map(item => `${item.merchant} (${money(item.lastAmount)} ${item.cadence})`).join(', ')}.`;
+			}
+
+			case 'get_balance_history': {
+				const points = result.points || [];
+				if (points.length === 0) {
+					return `Your current balance is ${money(result.currentBalance)}.`;
+				}
+				return `Your current balance is ${money(result.currentBalance)}. It changed by ${money(result.change)} between ${points[0].date} and ${points[points.length - 1].date}` +
+					(result.lowest ? `, with a low of ${money(result.lowest.balance)} on ${result.lowest.date}.` : '.');
+			}
+
+			case 'compare_months': {
+				const { current, previous } = result;
+				return `In ${current.month} you spent ${money(current.spending)} and earned ${money(current.income)}, compared with ${money(previous.spending)} and ${money(previous.income)} in ${previous.month}.` +
+					(result.partialMonth ? ` Note: ${result.partialMonth}.` : '');
+			}
+
+			default:
+				return `${name} returned ${JSON.stringify(result).slice(0, 200)}.`;
+		}
+	}
+}
+
+module.exports = new LocalLlmService();
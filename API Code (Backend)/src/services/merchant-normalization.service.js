@@ -0,0 +1,474 @@
+// src/services/merchant-normalization.service.js
+const { Op } = require('sequelize');
+const { Merchant, MerchantRule, Transaction } = require('../models');
+const { DEFAULT_MERCHANTS } = require('../utils/merchant-catalog');
+const { findUnsafeRegexReason } = require('../utils/safe-regex');
+const logger = require('../utils/logger');
+
+// Leading processor / channel prefixes that carry no merchant information
+const PREFIX_PATTERN = /^((POS|ACH|DEBIT|CREDIT|CHECKCARD|CHECK CARD|VISA|MC|PURCHASE|PURCH|PUR|PMT|PYMT|PAYMENT|RECURRING|AUTOPAY|BILL ?PAY|ONLINE|WEB|MOBILE|CARD|DBT|DEB|CRD|TRANSFER|XFER)\b[\s:*-]*)+/;
+const PAYMENT_FACILITATOR_PATTERN = /^(SQ|SQU|TST|PP|PAYPAL|SP|IC|PY|CKE|LS)\s?\*\s?/;
+const US_STATES = new Set(['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY']);
+const MAX_PATTERN_LENGTH = 500;
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Maps raw transaction descriptors to canonical merchants.
+ * Descriptors are cleaned (processor prefixes, store numbers, card suffixes,
+ * reference codes, locations) and matched against admin rules first, then the
+ * built-in catalog. Unmatched descriptors get a slug derived from the cleaned text.
+ */
+class MerchantNormalizationService {
+	constructor() {
+		this.cacheTTL = parseInt(process.env.MERCHANT_RULES_CACHE_TTL || '60000', 10);
+		this.builtInRules = this._compileCatalog();
+		this.adminRules = [];
+		this.merchants = new Map(DEFAULT_MERCHANTS.map(m => [m.id, { id: m.id, name: m.name, category: m.category }]));
+		this.loadedAt = 0;
+		this.loading = null;
+	}
+
+	/**
+	 * Strip everything from a descriptor that varies between charges from the same merchant
+	 * @param {string} descriptor - Raw description or merchant name
+	 * @returns {string} - Cleaned upper-case descriptor
+	 */
+	cleanDescriptor(descriptor) {
+		if (!descriptor) return '';
+
+		const cleaned = String(descriptor)
+			.toUpperCase()
+			.replace(PREFIX_PATTERN, '')
+			.replace(PAYMENT_FACILITATOR_PATTERN, '')
+			.replace(/\s(PPD|CCD|CTX|IAT)\b.*$/, '') // ACH entry class and trailing IDs
+			.replace(/\*\s?[A-Z0-9]{2,}\b.*$/, '') // reference codes after '*' (AMZN MKTP US*2K4)
+			.replace(/\b(X{2,}|\*{2,})\d{2,}\b/g, ' ') // masked card numbers
+			.replace(/\bCARD\s*#?\s*\d{2,}\b/g, ' ') // card suffixes
+			.replace(/#\s?\d+/g, ' ') // store numbers (#1234)
+			.replace(/\b(STORE|STR|LOC|UNIT|T)\s?\d+\b/g, ' ')
+			.replace(/\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b/g, ' ') // dates
+			.replace(/\b[A-Z0-9]*\d[A-Z0-9]*\b/g, ' ') // tokens containing digits
+			.replace(/\b(WWW\.|HTTPS?:\/\/)/g, '')
+			.replace(/[^A-Z0-9&.'+ -]/g, ' ')
+			.replace(/(^|\s)[-.&'+]+(?=\s|$)/g, ' ') // punctuation left behind by removed tokens
+			.replace(/\s+/g, ' ')
+			.trim();
+
+		// Card descriptors end in "CITY ST"; drop both when something is left
+		const words = cleaned.split(' ');
+		if (words.length >= 3 && US_STATES.has(words[words.length - 1])) {
+			return words.slice(0, -2).join(' ');
+		}
+
+		return cleaned;
+	}
+
+	/**
+	 * Load admin rules and merchants from the database (cached)
+	 * @param {boolean} force - Bypass the cache
+	 */
+	async loadRules(force = false) {
+		if (!force && Date.now() - this.loadedAt < this.cacheTTL) return;
+		if (this.loading) return this.loading;
+
+		this.loading = (async () => {
+			try {
+				const [rules, merchants] = await Promise.all([
+					MerchantRule.findAll({ where: { isActive: true } }),
+					Merchant.findAll({ where: { isActive: true } })
+				]);
+
+				const merchantMap = new Map(DEFAULT_MERCHANTS.map(m => [m.id, { id: m.id, name: m.name, category: m.category }]));
+				merchants.forEach(m => merchantMap.set(m.id, { id: m.id, name: m.name, category: m.category }));
+
+				this.merchants = merchantMap;
+				this.adminRules = rules
+					.map(rule => this._compileRule(rule, 'admin'))
+					.filter(Boolean)
+					.sort((a, b) => b.priority - a.priority);
+				this.loadedAt = Date.now();
+
+				logger.debug(`Loaded ${this.adminRules.length} merchant override rules and ${merchants.length} merchants`);
+			} catch (error) {
+				// Built-in catalog keeps working if the tables are unavailable
+				logger.warn(`Failed to load merchant rules, using built-in catalog only: ${error.message}`);
+				this.loadedAt = Date.now();
+			} finally {
+				this.loading = null;
+			}
+		})();
+
+		return this.loading;
+	}
+
+	/**
+	 * Normalize one transaction with the currently cached rules
+	 * @param {Object} tx - Transaction with merchantName and/or description
+	 * @param {string} clientId - Client whose overrides apply
+	 * @returns {Object} - Canonical merchant fields
+	 */
+	normalizeSync(tx, clientId = null) {
+		const candidates = [tx.merchantName, tx.description].filter(Boolean);
+
+		for (const raw of candidates) {
+			const cleaned = this.cleanDescriptor(raw);
+			const rule = this._matchRule(String(raw).toUpperCase(), cleaned, clientId);
+
+			if (rule) {
+				const merchant = this.merchants.get(rule.merchantId) || { id: rule.merchantId, name: this._titleCase(cleaned) };
+				return {
+					canonicalMerchantId: merchant.id,
+					canonicalMerchantName: merchant.name,
+					merchantCategory: merchant.category || null,
+					cleanedDescriptor: cleaned,
+					matchedRule: { id: rule.id, source: rule.source, matchType: rule.matchType }
+				};
+			}
+		}
+
+		// No rule: derive an ID from the cleaned descriptor so repeat charges still group
+		const cleaned = this.cleanDescriptor(candidates[0]);
+		if (!cleaned) {
+			return {
+				canonicalMerchantId: null,
+				canonicalMerchantName: null,
+				merchantCategory: null,
+				cleanedDescriptor: '',
+				matchedRule: null
+			};
+		}
+
+		return {
+			canonicalMerchantId: this._slugify(cleaned),
+			canonicalMerchantName: this._titleCase(cleaned),
+			merchantCategory: null,
+			cleanedDescriptor: cleaned,
+			matchedRule: null
+		};
+	}
+
+	/**
+	 * Normalize a batch of incoming transactions, adding canonicalMerchantId/Name
+	 * @param {Array} transactions - Incoming transaction objects
+	 * @param {string} clientId - Client whose overrides apply
+	 * @returns {Promise<Array>} - Transactions with canonical merchant fields
+	 */
+	async normalizeTransactions(transactions, clientId = null) {
+		await this.loadRules();
+
+		return transactions.map(tx => {
+			const result = this.normalizeSync(tx, clientId);
+			return {
+				...tx,
+				canonicalMerchantId: result.canonicalMerchantId,
+				canonicalMerchantName: result.canonicalMerchantName
+			};
+		});
+	}
+
+	/**
+	 * Re-run normalization over stored transactions (after rules change)
+	 * @param {Object} filters - clientId, bankUserId
+	 * @returns {Promise<Object>} - Counts of scanned and updated rows
+	 */
+	async reprocessStored({ clientId, bankUserId } = {}) {
+		await this.loadRules(true);
+
+		const where = {};
+		if (clientId) where.clientId = clientId;
+		if (bankUserId) where.bankUserId = bankUserId;
+
+		const batchSize = 500;
+		let lastId = null;
+		let scanned = 0;
+		let updated = 0;
+
+		// Keyset pagination keeps memory flat on large tables
+		while (true) {
+			const batch = await Transaction.findAll({
+				where: lastId ? { ...where, id: { [Op.gt]: lastId } } : where,
+				attributes: ['id', 'clientId', 'merchantName', 'description', 'canonicalMerchantId', 'canonicalMerchantName'],
+				order: [['id', 'ASC']],
+				limit: batchSize
+			});
+
+			if (batch.length === 0) break;
+
+			for (const tx of batch) {
+				const result = this.normalizeSync(tx, tx.clientId);
+				if (result.canonicalMerchantId !== tx.canonicalMerchantId ||
+					result.canonicalMerchantName !== tx.canonicalMerchantName) {
+					await Transaction.update({
+						canonicalMerchantId: result.canonicalMerchantId,
+						canonicalMerchantName: result.canonicalMerchantName
+					}, { where: { id: tx.id } });
+					updated++;
+				}
+			}
+
+			scanned += batch.length;
+			lastId = batch[batch.length - 1].id;
+		}
+
+		logger.info('Reprocessed stored transactions for merchant normalization', { clientId, bankUserId, scanned, updated });
+		return { scanned, updated };
+	}
+
+	/**
+	 * Validate and create an override rule
+	 * @param {Object} data - Rule fields
+	 * @param {string} createdBy - Admin user ID
+	 * @returns {Promise<Object>} - Created rule
+	 */
+	async createRule(data, createdBy) {
+		this._validateRule(data);
+
+		const rule = await MerchantRule.create({
+			merchantId: data.merchantId,
+			clientId: data.clientId || null,
+			matchType: data.matchType || 'alias',
+			pattern: data.pattern,
+			priority: data.priority !== undefined ? data.priority : 100,
+			isActive: data.isActive !== false,
+			notes: data.notes || null,
+			createdBy
+		});
+
+		await this.loadRules(true);
+		return rule;
+	}
+
+	/**
+	 * Update an override rule
+	 * @param {string} id - Rule ID
+	 * @param {Object} data - Fields to change
+	 * @returns {Promise<Object|null>} - Updated rule, or null when missing
+	 */
+	async updateRule(id, data) {
+		const rule = await MerchantRule.findByPk(id);
+		if (!rule) return null;
+
+		const allowed = ['merchantId', 'clientId', 'matchType', 'pattern', 'priority', 'isActive', 'notes'];
+		const changes = {};
+		allowed.forEach(field => {
+			if (data[field] !== undefined) changes[field] = data[field];
+		});
+
+		this._validateRule({ ...rule.toJSON(), ...changes });
+
+		await rule.update(changes);
+		await this.loadRules(true);
+		return rule;
+	}
+
+	/**
+	 * Delete an override rule
+	 * @param {string} id - Rule ID
+	 * @returns {Promise<boolean>} - Whether a rule was removed
+	 */
+	async deleteRule(id) {
+		const removed = await MerchantRule.destroy({ where: { id } });
+		await this.loadRules(true);
+		return removed > 0;
+	}
+
+	/**
+	 * List override rules
+	 * @param {Object} filters - merchantId, clientId
+	 * @returns {Promise<Array>}
+	 */
+	async listRules({ merchantId, clientId } = {}) {
+		const where = {};
+		if (merchantId) where.merchantId = merchantId;
+		if (clientId) where.clientId = clientId;
+
+		return MerchantRule.findAll({
+			where,
+			order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+		});
+	}
+
+	/**
+	 * Canonical merchants from the catalog merged with admin-defined ones
+	 * @returns {Promise<Array>}
+	 */
+	async listMerchants() {
+		await this.loadRules();
+
+		const adminIds = new Set((await Merchant.findAll({ attributes: ['id'], raw: true })).map(m => m.id));
+		return Array.from(this.merchants.values())
+			.map(m => ({ ...m, source: adminIds.has(m.id) ? 'admin' : 'system' }))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Look up a canonical merchant from the cached catalog
+	 * @param {string} merchantId - Canonical merchant ID
+	 * @returns {Object|null} - { id, name, category }
+	 */
+	getMerchant(merchantId) {
+		return (merchantId && this.merchants.get(merchantId)) || null;
+	}
+
+	/**
+	 * Create or update a canonical merchant (also used to rename catalog merchants)
+	 * @param {Object} data - id, name, category, website, logoUrl, isActive
+	 * @param {string} createdBy - Admin user ID
+	 * @returns {Promise<Object>} - Merchant
+	 */
+	async upsertMerchant(data, createdBy) {
+		if (!data.id || !/^[a-z0-9][a-z0-9-]{0,99}$/.test(data.id)) {
+			const error = new Error('Merchant id must be a lower-case slug (a-z, 0-9, -)');
+			error.statusCode = 400;
+			throw error;
+		}
+		if (!data.name) {
+			const error = new Error('Merchant name is required');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const [merchant] = await Merchant.upsert({
+			id: data.id,
+			name: data.name,
+			category: data.category || null,
+			website: data.website || null,
+			logoUrl: data.logoUrl || null,
+			isActive: data.isActive !== false,
+			createdBy
+		});
+
+		await this.loadRules(true);
+		return merchant;
+	}
+
+	/**
+	 * Match a descriptor against admin rules (client-specific first) then the catalog
+	 * @private
+	 */
+	_matchRule(raw, cleaned, clientId) {
+		const scoped = this.adminRules.filter(rule => rule.clientId && rule.clientId === clientId);
+		const global = this.adminRules.filter(rule => !rule.clientId);
+
+		for (const rules of [scoped, global, this.builtInRules]) {
+			const match = rules.find(rule => this._test(rule, raw, cleaned));
+			if (match) return match;
+		}
+
+		return null;
+	}
+
+	_test(rule, raw, cleaned) {
+		switch (rule.matchType) {
+			case 'exact':
+				return cleaned === rule.value;
+			case 'alias':
+				return cleaned.includes(rule.value);
+			case 'regex':
+				return rule.regex.test(raw) || rule.regex.test(cleaned);
+			default:
+				return false;
+		}
+	}
+
+	_compileCatalog() {
+		const rules = [];
+		DEFAULT_MERCHANTS.forEach(merchant => {
+			merchant.patterns.forEach((pattern, index) => {
+				rules.push(this._compileRule({
+					id: `${merchant.id}:${index}`,
+					merchantId: merchant.id,
+					matchType: 'regex',
+					pattern,
+					priority: merchant.priority
+				}, 'system'));
+			});
+		});
+		return rules.sort((a, b) => b.priority - a.priority);
+	}
+
+	_compileRule(rule, source) {
+		try {
+			const compiled = {
+				id: rule.id,
+				merchantId: rule.merchantId,
+				clientId: rule.clientId || null,
+				matchType: rule.matchType,
+				priority: rule.priority,
+				source
+			};
+
+			if (rule.matchType === 'regex') {
+				// Admin regexes run against every transaction description
+				const unsafe = source === 'admin' && this._unsafeRegexReason(rule.pattern);
+				if (unsafe) throw new Error(unsafe);
+				compiled.regex = new RegExp(rule.pattern, 'i');
+			} else {
+				compiled.value = this.cleanDescriptor(rule.pattern);
+			}
+
+			return compiled;
+		} catch (error) {
+			logger.warn(`Skipping invalid merchant rule ${rule.id}: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Why an admin regex could backtrack badly, or null when it is safe to run
+	 * @private
+	 */
+	_unsafeRegexReason(pattern) {
+		if (String(pattern).length > MAX_REGEX_LENGTH) {
+			return `regex patterns must be at most ${MAX_REGEX_LENGTH} characters`;
+		}
+		return findUnsafeRegexReason(pattern);
+	}
+
+	_validateRule(data) {
+		const fail = (message) => {
+			const error = new Error(message);
+			error.statusCode = 400;
+			throw error;
+		};
+
+		if (!data.merchantId) fail('merchantId is required');
+		if (!data.pattern || typeof data.pattern !== 'string') fail('pattern is required');
+		if (data.pattern.length > MAX_PATTERN_LENGTH) fail(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+		if (data.matchType && !['regex', 'alias', 'exact'].includes(data.matchType)) {
+			fail('matchType must be one of regex, alias, exact');
+		}
+
+		if ((data.matchType || 'alias') === 'regex') {
+			try {
+				new RegExp(data.pattern, 'i');
+			} catch (error) {
+				fail(`Invalid regex: ${error.message}`);
+			}
+
+			const unsafe = this._unsafeRegexReason(data.pattern);
+			if (unsafe) fail(`Unsafe regex: ${unsafe}`);
+		} else if (!this.cleanDescriptor(data.pattern)) {
+			fail('pattern is empty after descriptor cleanup');
+		}
+	}
+
+	_slugify(text) {
+		return text
+			.toLowerCase()
+			.replace(/'/g, '')
+			.replace(/&/g, ' and ')
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '')
+			.substring(0, 100);
+	}
+
+	_titleCase(text) {
+		return text
+			.toLowerCase()
+			.replace(/(^|[\s-])([a-z])/g, (match, lead, letter) => lead + letter.toUpperCase())
+			.replace(/\.(Com|Net|Org|Co)\b/g, m => m.toLowerCase());
+	}
+}
+
+module.exports = new MerchantNormalizationService();
@@ -39,14 +39,17 @@ class UnifiedNotificationService {
 					apiUsage: preferences.emailApiUsage,
 					apiQuotaExceeded: preferences.emailApiQuotaExceeded,
 					monthlySummary: preferences.emailMonthlySummary,
-					securityAlerts: preferences.emailSecurityAlerts
+					securityAlerts: preferences.emailSecurityAlerts,
+					// Broken bank connections follow the security alerts setting
+					bankReconnect: preferences.emailSecurityAlerts
 				},
 				push: {
 					accountApproval: preferences.pushAccountApproval,
 					accountStatus: preferences.pushAccountStatus,
 					apiUsage: preferences.pushApiUsage,
 					apiQuotaExceeded: preferences.pushApiQuotaExceeded,
-					securityAlerts: preferences.pushSecurityAlerts
+					securityAlerts: preferences.pushSecurityAlerts,
+					bankReconnect: preferences.pushSecurityAlerts
 				}
 			};
 		} catch (error) {
@@ -133,6 +136,9 @@ class UnifiedNotificationService {
 				case 'monthlySummary':
 					return await this.emailService.sendMonthlyUsageSummary(user, data);
 
+				case 'bankReconnect':
+					return await this.emailService.sendBankReconnectNotification(user, data);
+
 				default:
 					logger.warn(`Unknown email notification type: ${type}`);
 					return { success: false, message: 'Unknown notification type' };
@@ -202,6 +208,18 @@ class UnifiedNotificationService {
 					};
 					break;
 
+				case 'bankReconnect':
+					notification = {
+						title: 'Reconnect your bank',
+						body: `Your connection to ${data.institutionName || 'your bank'} needs you to sign in again to keep your data up to date.`,
+						data: {
+							type: 'bank_reconnect',
+							itemId: data.itemId,
+							reason: data.reason
+						}
+					};
+					break;
+
 				default:
 					// Registration notifications are email-only, so we skip push for this type
 					if (type !== 'registration' && type !== 'monthlySummary') {
@@ -288,6 +306,16 @@ class UnifiedNotificationService {
 	async sendMonthlyUsageSummary(user, usageData) {
 		return this.sendNotification(user.id, 'monthlySummary', usageData);
 	}
+
+	/**
+	 * Ask a user to re-authenticate a bank connection
+	 * @param {string} userId - User ID
+	 * @param {Object} data - itemId, institutionName, reason and consentExpiresAt
+	 * @returns {Promise<Object>} - Notification results
+	 */
+	async sendBankReconnectNotification(userId, data) {
+		return this.sendNotification(userId, 'bankReconnect', data);
+	}
 }
 
 module.exports = new UnifiedNotificationService();
\ No newline at end of file
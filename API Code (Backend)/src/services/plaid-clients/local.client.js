@@ -0,0 +1,705 @@
+// src/services/plaid-clients/local.client.js
+const crypto = require('crypto');
+const { LOCAL_INSTITUTIONS, LOCAL_ERRORS } = require('../../utils/plaid-local-fixtures');
+const logger = require('../../utils/logger');
+
+const LINK_TOKEN_TTL_MS = 4 * 60 * 60 * 1000;
+// Relative dates in product fixtures: 'today', 'today-3d', 'today+16d'
+const RELATIVE_DATE = /^today(?:([+-]\d+)d)?$/;
+
+/**
+ * In-process stand-in for the Plaid API, used when PLAID_ENV=local.
+ * Implements the PlaidApi methods plaid.service calls, with the same request
+ * and response shapes ({ data } on success, an error carrying
+ * response.data.error_code on failure), plus Plaid's sandbox endpoints.
+ * Items are seeded from the local fixtures, webhooks are signed with a key
+ * served by webhookVerificationKeyGet, so the webhook endpoint verifies them
+ * exactly like real ones. Everything is held in memory and lost on restart.
+ *
+ * Plaid Link itself can't run offline; completeLink() plays the part of the
+ * user finishing Link for a link token.
+ */
+class LocalPlaidClient {
+	constructor(options = {}) {
+		this.name = 'local';
+		this.institutions = options.institutions || LOCAL_INSTITUTIONS;
+		this.linkTokens = new Map();
+		this.publicTokens = new Map();
+		this.items = new Map();
+		this.accessTokens = new Map(); // access token -> item ID
+		this.webhookHandler = options.webhookHandler || null;
+
+		const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+		this.signingKey = privateKey;
+		this.verificationKey = {
+			...publicKey.export({ format: 'jwk' }),
+			kid: `local-${crypto.randomBytes(8).toString('hex')}`,
+			alg: 'ES256',
+			use: 'sig',
+			created_at: Math.floor(Date.now() / 1000),
+			expired_at: null
+		};
+	}
+
+	/**
+	 * Send webhooks to a function instead of POSTing them to the item's webhook URL
+	 * @param {Function|null} handler - async ({ url, body, headers, payload }) => any
+	 */
+	setWebhookHandler(handler) {
+		this.webhookHandler = handler;
+	}
+
+	// Plaid API
+
+	async linkTokenCreate(request) {
+		if (!request.user || !request.user.client_user_id) {
+			throw this._error('INVALID_FIELD', 'INVALID_REQUEST', 400, 'user.client_user_id must be provided');
+		}
+
+		let itemId = null;
+		if (request.access_token) {
+			// Update mode: Link re-authenticates this item instead of creating one
+			itemId = this._getItem(request.access_token, { ignoreItemError: true }).itemId;
+		} else if (!Array.isArray(request.products) || request.products.length === 0) {
+			throw this._error('INVALID_FIELD', 'INVALID_REQUEST', 400, 'products must be provided unless access_token is set');
+		}
+
+		const linkToken = `link-local-${this._id()}`;
+		const expiration = new Date(Date.now() + LINK_TOKEN_TTL_MS).toISOString();
+		this.linkTokens.set(linkToken, {
+			userId: request.user.client_user_id,
+			products: request.products || [],
+			webhook: request.webhook || null,
+			itemId,
+			expiration
+		});
+
+		return this._response({ link_token: linkToken, expiration });
+	}
+
+	async itemPublicTokenExchange(request) {
+		const pending = this.publicTokens.get(request.public_token);
+		if (!pending) {
+			throw this._error('INVALID_PUBLIC_TOKEN', 'INVALID_INPUT', 400, 'provided public token is in an invalid format or has expired');
+		}
+		// Public tokens are single use
+		this.publicTokens.delete(request.public_token);
+
+		const item = this._createItem(pending);
+		return this._response({ access_token: item.accessToken, item_id: item.itemId });
+	}
+
+	async itemGet(request) {
+		const item = this._getItem(request.access_token, { ignoreItemError: true });
+		return this._response({ item: this._itemSummary(item) });
+	}
+
+	async itemRemove(request) {
+		const item = this._getItem(request.access_token, { ignoreItemError: true });
+		this.items.delete(item.itemId);
+		this.accessTokens.delete(item.accessToken);
+		return this._response({});
+	}
+
+	async accountsGet(request) {
+		const item = this._getItem(request.access_token);
+		return this._response({ accounts: item.accounts, item: this._itemSummary(item) });
+	}
+
+	async transactionsGet(request) {
+		const item = this._getItem(request.access_token);
+		const { start_date: startDate, end_date: endDate } = request;
+		const { count = 100, offset = 0 } = request.options || {};
+
+		const transactions = [...item.transactions.values()]
+			.filter(tx => tx.date >= startDate && tx.date <= endDate)
+			.sort((a, b) => b.date.localeCompare(a.date));
+
+		return this._response({
+			accounts: item.accounts,
+			transactions: transactions.slice(offset, offset + count),
+			total_transactions: transactions.length,
+			item: this._itemSummary(item)
+		});
+	}
+
+	async transactionsSync(request) {
+		const item = this._getItem(request.access_token);
+		const count = Math.min(request.count || 100, 500);
+
+		let position = 0;
+		if (request.cursor) {
+			const [cursorItemId, cursorPosition] = Buffer.from(request.cursor, 'base64url').toString().split(':');
+			position = parseInt(cursorPosition, 10);
+			if (cursorItemId !== item.itemId || !Number.isInteger(position) || position > item.changes.length) {
+				throw this._error('INVALID_FIELD', 'INVALID_REQUEST', 400, 'cursor is not valid for this item');
+			}
+		}
+
+		const page = item.changes.slice(position, position + count);
+		const nextPosition = position + page.length;
+
+		return this._response({
+			added: page.filter(change => change.type === 'added').map(change => change.transaction),
+			modified: page.filter(change => change.type === 'modified').map(change => change.transaction),
+			removed: page.filter(change => change.type === 'removed').map(change => ({ transaction_id: change.transactionId })),
+			next_cursor: Buffer.from(`${item.itemId}:${nextPosition}`).toString('base64url'),
+			has_more: nextPosition < item.changes.length
+		});
+	}
+
+	async liabilitiesGet(request) {
+		const item = this._getItem(request.access_token);
+		if (!item.liabilities) {
+			throw this._productError('NO_LIABILITY_ACCOUNTS');
+		}
+
+		const accountIds = request.options && request.options.account_ids;
+		const liabilities = {};
+		for (const [type, entries] of Object.entries(item.liabilities)) {
+			liabilities[type] = accountIds
+				? entries.filter(entry => accountIds.includes(entry.account_id))
+				: entries;
+		}
+
+		return this._response({ accounts: item.accounts, liabilities, item: this._itemSummary(item) });
+	}
+
+	async investmentsHoldingsGet(request) {
+		const item = this._getItem(request.access_token);
+		if (!item.holdings) {
+			throw this._productError('NO_INVESTMENT_ACCOUNTS');
+		}
+
+		return this._response({
+			accounts: item.accounts.filter(account => account.type === 'investment'),
+			holdings: item.holdings,
+			securities: item.securities,
+			item: this._itemSummary(item)
+		});
+	}
+
+	async investmentsTransactionsGet(request) {
+		const item = this._getItem(request.access_token);
+		if (!item.investmentTransactions) {
+			throw this._productError('NO_INVESTMENT_ACCOUNTS');
+		}
+
+		const { start_date: startDate, end_date: endDate } = request;
+		const { count = 100, offset = 0 } = request.options || {};
+		const transactions = item.investmentTransactions
+			.filter(tx => tx.date >= startDate && tx.date <= endDate)
+			.sort((a, b) => b.date.localeCompare(a.date));
+
+		return this._response({
+			accounts: item.accounts.filter(account => account.type === 'investment'),
+			investment_transactions: transactions.slice(offset, offset + count),
+			securities: item.securities,
+			total_investment_transactions: transactions.length,
+			item: this._itemSummary(item)
+		});
+	}
+
+	async identityGet(request) {
+		const item = this._getItem(request.access_token);
+		if (!item.owners) {
+			throw this._productError('PRODUCTS_NOT_SUPPORTED');
+		}
+
+		return this._response({
+			accounts: item.accounts.map(account => ({
+				...account,
+				owners: item.owners
+					.filter(owner => owner.accounts.includes(account.account_id))
+					.map(({ accounts, ...owner }) => owner)
+			})),
+			item: this._itemSummary(item)
+		});
+	}
+
+	async webhookVerificationKeyGet(request) {
+		if (request.key_id !== this.verificationKey.kid) {
+			throw this._error('INVALID_FIELD', 'INVALID_REQUEST', 400, `key_id ${request.key_id} is not a known webhook verification key`);
+		}
+		return this._response({ key: this.verificationKey });
+	}
+
+	// Plaid sandbox endpoints
+
+	async sandboxPublicTokenCreate(request) {
+		const institution = this._getInstitution(request.institution_id);
+		const publicToken = this._issuePublicToken({
+			institutionId: institution.institution_id,
+			products: request.initial_products || ['transactions'],
+			webhook: request.options && request.options.webhook ? request.options.webhook : null
+		});
+		return this._response({ public_token: publicToken });
+	}
+
+	async sandboxItemFireWebhook(request) {
+		const item = this._getItem(request.access_token, { ignoreItemError: true });
+		await this.fireWebhook(item.itemId, request.webhook_type || 'TRANSACTIONS', request.webhook_code);
+		return this._response({ webhook_fired: true });
+	}
+
+	async sandboxItemResetLogin(request) {
+		const item = this._getItem(request.access_token, { ignoreItemError: true });
+		await this.simulateError(item.itemId, 'ITEM_LOGIN_REQUIRED');
+		return this._response({ reset_login: true });
+	}
+
+	// Offline helpers
+
+	/**
+	 * Act as the user finishing Plaid Link for a link token
+	 * @param {string} linkToken - From linkTokenCreate
+	 * @param {Object} [options]
+	 * @param {string} [options.institutionId] - Institution the user picks (new items only)
+	 * @returns {Promise<Object>} - { public_token, metadata } as Link's onSuccess receives them;
+	 *   public_token is null in update mode, where the existing item is repaired instead
+	 */
+	async completeLink(linkToken, { institutionId = this.institutions[0].institution_id } = {}) {
+		const link = this.linkTokens.get(linkToken);
+		if (!link || new Date(link.expiration) < new Date()) {
+			throw this._error('INVALID_LINK_TOKEN', 'INVALID_INPUT', 400, 'provided link token is in an invalid format or has expired');
+		}
+		this.linkTokens.delete(linkToken);
+
+		if (link.itemId) {
+			const item = this.items.get(link.itemId);
+			item.error = null;
+			item.consentExpirationTime = null;
+			return { public_token: null, metadata: this._linkMetadata(item.institution, item.accounts) };
+		}
+
+		const institution = this._getInstitution(institutionId);
+		const publicToken = this._issuePublicToken({
+			institutionId: institution.institution_id,
+			products: link.products,
+			webhook: link.webhook
+		});
+
+		return {
+			public_token: publicToken,
+			metadata: this._linkMetadata(institution, this._buildAccounts(institution))
+		};
+	}
+
+	/**
+	 * Post new transactions to an item and announce them with SYNC_UPDATES_AVAILABLE
+	 * @param {string} itemId - Plaid item ID
+	 * @param {Array} transactions - { account, name, amount, daysAgo, ... } like the fixtures
+	 * @returns {Promise<Array>} - The transactions in Plaid's format
+	 */
+	async addTransactions(itemId, transactions) {
+		const item = this._getItemById(itemId);
+		const added = transactions.map(tx => this._buildTransaction(item, tx));
+
+		for (const transaction of added) {
+			item.transactions.set(transaction.transaction_id, transaction);
+			item.changes.push({ type: 'added', transaction });
+		}
+
+		await this.fireWebhook(itemId, 'TRANSACTIONS', 'SYNC_UPDATES_AVAILABLE');
+		return added;
+	}
+
+	/**
+	 * Remove transactions from an item (as when a pending transaction posts)
+	 * and announce it with SYNC_UPDATES_AVAILABLE
+	 * @param {string} itemId - Plaid item ID
+	 * @param {Array<string>} transactionIds - Transaction IDs to remove
+	 */
+	async removeTransactions(itemId, transactionIds) {
+		const item = this._getItemById(itemId);
+
+		for (const transactionId of transactionIds) {
+			if (item.transactions.delete(transactionId)) {
+				item.changes.push({ type: 'removed', transactionId });
+			}
+		}
+
+		await this.fireWebhook(itemId, 'TRANSACTIONS', 'SYNC_UPDATES_AVAILABLE');
+	}
+
+	/**
+	 * Put an item into a Plaid error state; API calls for it fail with that
+	 * error until clearError() or update mode, and Plaid's matching webhook is sent
+	 * @param {string} itemId - Plaid item ID
+	 * @param {string} errorCode - One of LOCAL_ERRORS
+	 * @param {Object} [options]
+	 * @param {boolean} [options.webhook=true] - Send the ITEM webhook Plaid sends for this error
+	 */
+	async simulateError(itemId, errorCode, { webhook = true } = {}) {
+		const item = this._getItemById(itemId);
+		const definition = LOCAL_ERRORS[errorCode];
+		if (!definition) {
+			throw new Error(`Unknown Plaid error code ${errorCode}. Use one of: ${Object.keys(LOCAL_ERRORS).join(', ')}`);
+		}
+
+		if (errorCode === 'PENDING_EXPIRATION') {
+			// The item keeps working until consent expires
+			item.consentExpirationTime = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+			if (webhook) {
+				await this.fireWebhook(itemId, 'ITEM', 'PENDING_EXPIRATION', {
+					consent_expiration_time: item.consentExpirationTime
+				});
+			}
+			return;
+		}
+
+		item.error = this._errorBody(errorCode);
+		logger.info(`Local Plaid item ${itemId} now fails with ${errorCode}`);
+
+		if (webhook && definition.error_type === 'ITEM_ERROR') {
+			await this.fireWebhook(itemId, 'ITEM', 'ERROR', { error: item.error });
+		}
+	}
+
+	/**
+	 * Clear a simulated error
+	 * @param {string} itemId - Plaid item ID
+	 */
+	clearError(itemId) {
+		const item = this._getItemById(itemId);
+		item.error = null;
+		item.consentExpirationTime = null;
+	}
+
+	/**
+	 * Build a signed webhook and deliver it to the handler, or to the item's webhook URL
+	 * @param {string} itemId - Plaid item ID
+	 * @param {string} webhookType - e.g. TRANSACTIONS, ITEM
+	 * @param {string} webhookCode - e.g. SYNC_UPDATES_AVAILABLE, ERROR
+	 * @param {Object} [fields] - Extra body fields
+	 * @returns {Promise<*>} - Whatever the delivery returned
+	 */
+	async fireWebhook(itemId, webhookType, webhookCode, fields = {}) {
+		const item = this._getItemById(itemId);
+		const webhook = this.createWebhook({
+			webhook_type: webhookType,
+			webhook_code: webhookCode,
+			item_id: itemId,
+			...this._defaultWebhookFields(webhookType, webhookCode),
+			...fields,
+			environment: 'sandbox'
+		});
+
+		if (this.webhookHandler) {
+			return this.webhookHandler({ url: item.webhook, ...webhook });
+		}
+
+		if (!item.webhook) {
+			logger.warn(`Local Plaid item ${itemId} has no webhook URL; dropping ${webhookType}/${webhookCode}`);
+			return null;
+		}
+
+		// Required lazily so tests that use a handler never need an HTTP client
+		const axios = require('axios');
+		return axios.post(item.webhook, webhook.body, { headers: webhook.headers });
+	}
+
+	/**
+	 * Sign a webhook payload the way Plaid does (ES256 JWT in Plaid-Verification)
+	 * @param {Object} payload - Webhook body
+	 * @returns {Object} - { payload, body (exact JSON sent), headers }
+	 */
+	createWebhook(payload) {
+		const body = JSON.stringify(payload);
+		const header = Buffer.from(JSON.stringify({ alg: 'ES256', kid: this.verificationKey.kid, typ: 'JWT' })).toString('base64url');
+		const claims = Buffer.from(JSON.stringify({
+			iat: Math.floor(Date.now() / 1000),
+			request_body_sha256: crypto.createHash('sha256').update(body).digest('hex')
+		})).toString('base64url');
+		const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+			key: this.signingKey,
+			dsaEncoding: 'ieee-p1363'
+		}).toString('base64url');
+
+		return {
+			payload,
+			body,
+			headers: {
+				'Content-Type': 'application/json',
+				'Plaid-Verification': `${header}.${claims}.${signature}`
+			}
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_createItem({ institutionId, products, webhook }) {
+		const institution = this._getInstitution(institutionId);
+		const id = this._id();
+		const item = {
+			itemId: `item-local-${id}`,
+			accessToken: `access-local-${id}`,
+			institution,
+			products,
+			webhook,
+			error: null,
+			consentExpirationTime: null,
+			accounts: this._buildAccounts(institution),
+			transactions: new Map(),
+			// Ordered log that sync cursors point into
+			changes: []
+		};
+
+		for (const fixture of institution.transactions) {
+			const transaction = this._buildTransaction(item, fixture);
+			item.transactions.set(transaction.transaction_id, transaction);
+			item.changes.push({ type: 'added', transaction });
+		}
+
+		Object.assign(item, this._buildProductData(item));
+
+		this.items.set(item.itemId, item);
+		this.accessTokens.set(item.accessToken, item.itemId);
+		logger.info(`Created local Plaid item ${item.itemId} at ${institution.name}`);
+		return item;
+	}
+
+	/**
+	 * @private
+	 */
+	_buildAccounts(institution) {
+		return institution.accounts.map(({ key, ...account }) => ({
+			...account,
+			account_id: `${institution.institution_id}-${key}`,
+			balances: { ...account.balances, iso_currency_code: 'USD', unofficial_currency_code: null }
+		}));
+	}
+
+	/**
+	 * @private
+	 */
+	_buildTransaction(item, { account = 'checking', daysAgo = 0, date, amount, name, merchant_name = null, category = null, personal_finance_category = null, pending = false }) {
+		const accountId = `${item.institution.institution_id}-${account}`;
+		if (!item.accounts.some(a => a.account_id === accountId)) {
+			throw new Error(`${item.institution.name} has no ${account} account`);
+		}
+
+		const day = new Date();
+		day.setUTCDate(day.getUTCDate() - daysAgo);
+		const transactionDate = date || day.toISOString().split('T')[0];
+
+		return {
+			transaction_id: `${item.itemId}-tx-${this._id()}`,
+			account_id: accountId,
+			amount,
+			iso_currency_code: 'USD',
+			unofficial_currency_code: null,
+			date: transactionDate,
+			authorized_date: transactionDate,
+			name,
+			merchant_name,
+			category,
+			category_id: null,
+			personal_finance_category,
+			pending,
+			payment_channel: 'in store',
+			location: { city: null, region: null, country: null }
+		};
+	}
+
+	/**
+	 * Liabilities, investments and identity for an item; null where the
+	 * institution doesn't offer the product
+	 * @private
+	 */
+	_buildProductData(item) {
+		const { institution } = item;
+		const accountId = (key) => `${institution.institution_id}-${key}`;
+		const withAccountId = ({ account, ...entry }) => ({ ...entry, account_id: accountId(account) });
+
+		let liabilities = null;
+		if (institution.liabilities) {
+			liabilities = { credit: [], student: [], mortgage: [] };
+			for (const [type, entries] of Object.entries(institution.liabilities)) {
+				liabilities[type] = entries.map(withAccountId);
+			}
+		}
+
+		return this._resolveDates({
+			liabilities,
+			securities: institution.securities || null,
+			holdings: institution.holdings ? institution.holdings.map(withAccountId) : null,
+			investmentTransactions: institution.investment_transactions
+				? institution.investment_transactions.map(tx => ({
+					...withAccountId(tx),
+					investment_transaction_id: `${item.itemId}-inv-${this._id()}`
+				}))
+				: null,
+			owners: institution.owners
+				? institution.owners.map(owner => ({ ...owner, accounts: owner.accounts.map(accountId) }))
+				: null
+		});
+	}
+
+	/**
+	 * Replace 'today±Nd' strings with ISO dates, recursively
+	 * @private
+	 */
+	_resolveDates(value) {
+		if (Array.isArray(value)) return value.map(entry => this._resolveDates(entry));
+		if (value && typeof value === 'object') {
+			return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this._resolveDates(entry)]));
+		}
+		if (typeof value === 'string') {
+			const match = value.match(RELATIVE_DATE);
+			if (match) {
+				const day = new Date();
+				day.setUTCDate(day.getUTCDate() + parseInt(match[1] || '0', 10));
+				return day.toISOString().split('T')[0];
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * @private
+	 */
+	_defaultWebhookFields(webhookType, webhookCode) {
+		if (webhookType === 'TRANSACTIONS' && webhookCode === 'SYNC_UPDATES_AVAILABLE') {
+			return { initial_update_complete: true, historical_update_complete: true };
+		}
+		return {};
+	}
+
+	/**
+	 * @private
+	 */
+	_getItem(accessToken, { ignoreItemError = false } = {}) {
+		const itemId = this.accessTokens.get(accessToken);
+		if (!itemId) {
+			throw this._error('INVALID_ACCESS_TOKEN', 'INVALID_INPUT', 400, 'provided access token is in an invalid format or has been revoked');
+		}
+
+		const item = this.items.get(itemId);
+		if (item.error && !ignoreItemError) {
+			const definition = LOCAL_ERRORS[item.error.error_code];
+			throw this._error(item.error.error_code, item.error.error_type, definition.status, item.error.error_message);
+		}
+
+		return item;
+	}
+
+	/**
+	 * @private
+	 */
+	_getItemById(itemId) {
+		const item = this.items.get(itemId);
+		if (!item) {
+			throw new Error(`Local Plaid item ${itemId} not found`);
+		}
+		return item;
+	}
+
+	/**
+	 * @private
+	 */
+	_getInstitution(institutionId) {
+		const institution = this.institutions.find(i => i.institution_id === institutionId);
+		if (!institution) {
+			throw this._error('INVALID_INSTITUTION', 'INVALID_INPUT', 400, `institution ${institutionId} is not available locally`);
+		}
+		return institution;
+	}
+
+	/**
+	 * @private
+	 */
+	_issuePublicToken(pending) {
+		const publicToken = `public-local-${this._id()}`;
+		this.publicTokens.set(publicToken, pending);
+		return publicToken;
+	}
+
+	/**
+	 * @private
+	 */
+	_itemSummary(item) {
+		return {
+			item_id: item.itemId,
+			institution_id: item.institution.institution_id,
+			webhook: item.webhook,
+			error: item.error,
+			available_products: [],
+			billed_products: item.products,
+			consent_expiration_time: item.consentExpirationTime
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_linkMetadata(institution, accounts) {
+		return {
+			institution: { institution_id: institution.institution_id, name: institution.name },
+			accounts: accounts.map(account => ({
+				id: account.account_id,
+				name: account.name,
+				mask: account.mask,
+				type: account.type,
+				subtype: account.subtype
+			}))
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_errorBody(errorCode) {
+		const { error_type, error_message } = LOCAL_ERRORS[errorCode];
+		return {
+			error_type,
+			error_code: errorCode,
+			error_message,
+			display_message: null
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_productError(errorCode) {
+		const { error_type, status, error_message } = LOCAL_ERRORS[errorCode];
+		return this._error(errorCode, error_type, status, error_message);
+	}
+
+	/**
+	 * Errors look like the axios errors the Plaid SDK throws
+	 * @private
+	 */
+	_error(errorCode, errorType, status, message) {
+		const error = new Error(`Request failed with status code ${status}`);
+		error.response = {
+			status,
+			data: {
+				error_type: errorType,
+				error_code: errorCode,
+				error_message: message,
+				display_message: null,
+				request_id: this._id()
+			}
+		};
+		return error;
+	}
+
+	/**
+	 * @private
+	 */
+	_response(data) {
+		return { data: { ...data, request_id: this._id() } };
+	}
+
+	/**
+	 * @private
+	 */
+	_id() {
+		return crypto.randomBytes(8).toString('hex');
+	}
+}
+
+module.exports = LocalPlaidClient;
@@ -0,0 +1,477 @@
+// src/services/plaid-products.service.js
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+	PlaidItem,
+	PlaidLiability,
+	PlaidSecurity,
+	PlaidHolding,
+	PlaidInvestmentTransaction,
+	PlaidIdentity
+} = require('../models');
+const plaidService = require('./plaid.service');
+const plaidReauth = require('./plaid-reauth.service');
+const { plaidDataAdapter } = require('./plaidDataAdapter.service');
+const reportCache = require('../utils/report-cache');
+const logger = require('../utils/logger');
+
+const PRODUCTS = ['liabilities', 'investments', 'identity'];
+
+// Errors meaning the institution or item doesn't offer the product, not that something broke
+const UNAVAILABLE_ERROR_CODES = [
+	'PRODUCTS_NOT_SUPPORTED',
+	'PRODUCT_NOT_ENABLED',
+	'INVALID_PRODUCT',
+	'NO_LIABILITY_ACCOUNTS',
+	'NO_INVESTMENT_ACCOUNTS',
+	'NO_INVESTMENT_AUTH_ACCOUNTS',
+	'ADDITIONAL_CONSENT_REQUIRED'
+];
+
+const INVESTMENT_HISTORY_DAYS = 365;
+const RECENT_INVESTMENT_TRANSACTIONS = 25;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Plaid Products Service
+ * Stores liabilities, investments and identity for each Plaid item next to the
+ * transactions plaid-sync keeps. Link requests these as optional products, so
+ * an item may have any of them; what each item offers is tracked in
+ * PlaidItem.productStatus. Every sync replaces the item's rows for a product,
+ * since these endpoints return a full snapshot rather than deltas.
+ */
+class PlaidProductsService {
+	constructor() {
+		// One sync per item and product set at a time
+		this.inFlight = new Map();
+	}
+
+	/**
+	 * Fetch and store products for one item. A failing product doesn't stop the others.
+	 * @param {Object|string} item - PlaidItem instance or Plaid item ID
+	 * @param {Object} [options]
+	 * @param {Array<string>} [options.products] - Subset of liabilities, investments, identity
+	 * @param {boolean} [options.skipUnavailable=false] - Skip products the item is known not to offer
+	 * @returns {Promise<Object>} - { itemId, products: { [product]: { status, count, error } } }
+	 */
+	async syncItem(item, { products = PRODUCTS, skipUnavailable = false } = {}) {
+		const plaidItem = typeof item === 'string'
+			? await PlaidItem.findOne({ where: { itemId: item } })
+			: item;
+
+		if (!plaidItem) {
+			const error = new Error(`Plaid item ${item} not found`);
+			error.statusCode = 404;
+			throw error;
+		}
+
+		this._validateProducts(products);
+
+		const selected = skipUnavailable
+			? products.filter(product => this._productStatus(plaidItem, product).status !== 'unavailable')
+			: products;
+
+		const key = `${plaidItem.itemId}:${selected.join(',')}`;
+		if (!this.inFlight.has(key)) {
+			const run = this._sync(plaidItem, selected).finally(() => this.inFlight.delete(key));
+			this.inFlight.set(key, run);
+		}
+
+		return this.inFlight.get(key);
+	}
+
+	/**
+	 * Sync products for every active item of a user
+	 * @param {string} userId - User ID
+	 * @param {Object} [options] - As for syncItem
+	 * @returns {Promise<Array>} - Per-item results ({ itemId, error } for failures)
+	 */
+	async syncUser(userId, options = {}) {
+		if (options.products) {
+			this._validateProducts(options.products);
+		}
+
+		const items = await PlaidItem.findAll({ where: { userId, status: 'active' } });
+		return this._syncEach(items, options);
+	}
+
+	/**
+	 * Sync products for every active item (scheduled job), skipping products
+	 * an item doesn't offer
+	 * @returns {Promise<Object>} - Counts of synced and failed items
+	 */
+	async syncAll() {
+		const items = await PlaidItem.findAll({ where: { status: 'active' } });
+		const results = await this._syncEach(items, { skipUnavailable: true });
+		const failed = results.filter(result => result.error).length;
+
+		logger.info(`Plaid product sync finished: ${results.length - failed} synced, ${failed} failed`);
+		return { synced: results.length - failed, failed };
+	}
+
+	/**
+	 * A user's stored liabilities and investments, plus an identity summary, in
+	 * the shape insights and reports use. Identity is reduced to owner counts so
+	 * no personal details reach prompts or cached reports.
+	 * @param {string} userId - User ID
+	 * @returns {Promise<Object>} - { liabilities, investments, identity, products }
+	 */
+	async getUserProductData(userId) {
+		const items = await PlaidItem.findAll({
+			where: { userId, status: { [Op.ne]: 'disconnected' } }
+		});
+		const itemIds = items.map(item => item.itemId);
+		const institutions = new Map(items.map(item => [item.itemId, item.institutionName || null]));
+		const where = { userId, itemId: { [Op.in]: itemIds } };
+
+		if (itemIds.length === 0) {
+			return this._emptyProductData();
+		}
+
+		const [liabilityRows, securityRows, holdingRows, transactionRows, identityRows] = await Promise.all([
+			PlaidLiability.findAll({ where, order: [['liabilityType', 'ASC']] }),
+			PlaidSecurity.findAll({ where }),
+			PlaidHolding.findAll({ where }),
+			PlaidInvestmentTransaction.findAll({
+				where,
+				order: [['date', 'DESC']],
+				limit: RECENT_INVESTMENT_TRANSACTIONS
+			}),
+			PlaidIdentity.findAll({ where })
+		]);
+
+		const liabilities = liabilityRows.map(row => ({
+			itemId: row.itemId,
+			institutionName: institutions.get(row.itemId),
+			accountId: row.accountId,
+			liabilityType: row.liabilityType,
+			currentBalance: toNumber(row.currentBalance),
+			interestRate: toNumber(row.interestRate),
+			minimumPaymentAmount: toNumber(row.minimumPaymentAmount),
+			nextPaymentDueDate: row.nextPaymentDueDate || null,
+			lastPaymentAmount: toNumber(row.lastPaymentAmount),
+			lastPaymentDate: row.lastPaymentDate || null,
+			isOverdue: Boolean(row.isOverdue),
+			details: row.details || {}
+		}));
+
+		return {
+			liabilities,
+			investments: this._summarizeInvestments(securityRows, holdingRows, transactionRows),
+			identity: this._summarizeIdentity(identityRows),
+			products: Object.fromEntries(items.map(item => [item.itemId, item.productStatus || {}]))
+		};
+	}
+
+	/**
+	 * Full account owner details for the user they belong to
+	 * @param {string} userId - User ID
+	 * @returns {Promise<Array>} - { itemId, institutionName, accountId, owners }
+	 */
+	async getUserIdentity(userId) {
+		const items = await PlaidItem.findAll({
+			where: { userId, status: { [Op.ne]: 'disconnected' } }
+		});
+		const institutions = new Map(items.map(item => [item.itemId, item.institutionName || null]));
+
+		const rows = await PlaidIdentity.findAll({
+			where: { userId, itemId: { [Op.in]: items.map(item => item.itemId) } }
+		});
+
+		return rows.map(row => ({
+			itemId: row.itemId,
+			institutionName: institutions.get(row.itemId),
+			accountId: row.accountId,
+			owners: row.owners || []
+		}));
+	}
+
+	/**
+	 * Delete all product data of an item (disconnect retention cleanup)
+	 * @param {string} itemId - Plaid item ID
+	 * @param {Object} [options] - { transaction }
+	 * @returns {Promise<number>} - Rows deleted
+	 */
+	async deleteItemData(itemId, { transaction } = {}) {
+		return this._deleteWhere({ itemId }, transaction);
+	}
+
+	/**
+	 * Delete all product data of a user (account deletion)
+	 * @param {string} userId - User ID
+	 * @param {Object} [options] - { transaction }
+	 * @returns {Promise<number>} - Rows deleted
+	 */
+	async deleteUserData(userId, { transaction } = {}) {
+		return this._deleteWhere({ userId }, transaction);
+	}
+
+	/**
+	 * @private
+	 */
+	async _sync(plaidItem, products) {
+		const results = {};
+		let stored = 0;
+
+		for (const product of products) {
+			try {
+				const count = await this._syncProduct(plaidItem, product);
+				results[product] = { status: 'available', count };
+				stored += count;
+			} catch (error) {
+				results[product] = await this._recordError(plaidItem, product, error);
+			}
+		}
+
+		plaidItem.productStatus = {
+			...(plaidItem.productStatus || {}),
+			...Object.fromEntries(Object.entries(results).map(([product, result]) => [product, {
+				status: result.status,
+				syncedAt: result.status === 'available'
+					? new Date().toISOString()
+					: this._productStatus(plaidItem, product).syncedAt || null,
+				error: result.error || null
+			}]))
+		};
+		await plaidItem.save();
+
+		if (stored > 0) {
+			try {
+				await reportCache.invalidateUser(plaidItem.userId);
+			} catch (error) {
+				// Stale cache entries expire on their own; never fail the sync
+				logger.warn(`Failed to invalidate report cache for user ${plaidItem.userId}: ${error.message}`);
+			}
+		}
+
+		logger.info(`Synced Plaid products for item ${plaidItem.itemId}`, results);
+		return { itemId: plaidItem.itemId, products: results };
+	}
+
+	/**
+	 * Fetch one product and replace the item's stored rows
+	 * @private
+	 * @returns {Promise<number>} - Rows stored
+	 */
+	async _syncProduct(plaidItem, product) {
+		const owner = { userId: plaidItem.userId, itemId: plaidItem.itemId };
+
+		if (product === 'liabilities') {
+			const liabilities = await plaidService.getLiabilities(plaidItem.accessToken);
+			return this._replace([[PlaidLiability, liabilities]], owner);
+		}
+
+		if (product === 'investments') {
+			const endDate = new Date();
+			const startDate = new Date(endDate.getTime() - INVESTMENT_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+			const { holdings, securities } = await plaidService.getInvestmentHoldings(plaidItem.accessToken);
+			const history = await plaidService.getInvestmentTransactions(plaidItem.accessToken, startDate, endDate);
+
+			// Securities referenced only by past transactions aren't in the holdings response
+			const allSecurities = new Map();
+			[...securities, ...history.securities].forEach(security => allSecurities.set(security.securityId, security));
+
+			return this._replace([
+				[PlaidSecurity, [...allSecurities.values()]],
+				[PlaidHolding, holdings],
+				[PlaidInvestmentTransaction, history.transactions]
+			], owner);
+		}
+
+		const identity = await plaidService.getIdentity(plaidItem.accessToken);
+		return this._replace([[PlaidIdentity, identity]], owner);
+	}
+
+	/**
+	 * Replace an item's rows in the given models in one database transaction
+	 * @private
+	 */
+	async _replace(entries, owner) {
+		const transaction = await sequelize.transaction();
+		try {
+			let count = 0;
+			for (const [model, records] of entries) {
+				await model.destroy({ where: { itemId: owner.itemId }, transaction });
+				if (records.length > 0) {
+					await model.bulkCreate(records.map(record => ({ ...record, ...owner })), { transaction });
+				}
+				count += records.length;
+			}
+
+			await transaction.commit();
+			return count;
+		} catch (error) {
+			await transaction.rollback();
+			logger.error(`Error storing Plaid products for item ${owner.itemId}:`, error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Classify a product failure and flag the item when the user has to reconnect
+	 * @private
+	 */
+	async _recordError(plaidItem, product, error) {
+		const code = error.plaidErrorCode || null;
+
+		if (UNAVAILABLE_ERROR_CODES.includes(code)) {
+			return { status: 'unavailable', count: 0, error: code };
+		}
+
+		logger.error(`Plaid ${product} sync failed for item ${plaidItem.itemId}: ${error.message}`);
+
+		if (plaidReauth.requiresReauth(code)) {
+			try {
+				await plaidReauth.markReauthRequired(plaidItem, { reason: code });
+			} catch (reauthError) {
+				logger.error(`Failed to flag item ${plaidItem.itemId} for re-authentication:`, reauthError);
+			}
+		}
+
+		return { status: 'error', count: 0, error: code || error.message };
+	}
+
+	/**
+	 * @private
+	 */
+	_validateProducts(products) {
+		const unknown = products.filter(product => !PRODUCTS.includes(product));
+		if (unknown.length > 0) {
+			const error = new Error(`Unknown Plaid products: ${unknown.join(', ')}. Use ${PRODUCTS.join(', ')}`);
+			error.statusCode = 400;
+			throw error;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _syncEach(items, options) {
+		const results = [];
+		for (const item of items) {
+			try {
+				results.push(await this.syncItem(item, options));
+			} catch (error) {
+				logger.error(`Plaid product sync failed for item ${item.itemId}: ${error.message}`);
+				results.push({ itemId: item.itemId, error: error.message });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * @private
+	 */
+	async _deleteWhere(where, transaction) {
+		let deleted = 0;
+		for (const model of [PlaidLiability, PlaidSecurity, PlaidHolding, PlaidInvestmentTransaction, PlaidIdentity]) {
+			deleted += await model.destroy({ where, transaction });
+		}
+		return deleted;
+	}
+
+	/**
+	 * Holdings joined with their securities, total value and allocation by asset class
+	 * @private
+	 */
+	_summarizeInvestments(securityRows, holdingRows, transactionRows) {
+		const securities = new Map(securityRows.map(row => [`${row.itemId}:${row.securityId}`, row]));
+		const securityFor = (row) => securities.get(`${row.itemId}:${row.securityId}`) || null;
+
+		const holdings = holdingRows.map(row => {
+			const security = securityFor(row);
+			const value = toNumber(row.institutionValue) ??
+				(toNumber(row.quantity) || 0) * (toNumber(row.institutionPrice) || 0);
+
+			return {
+				itemId: row.itemId,
+				accountId: row.accountId,
+				securityId: row.securityId,
+				name: security ? security.name : null,
+				tickerSymbol: security ? security.tickerSymbol : null,
+				type: security ? security.type : null,
+				assetClass: plaidDataAdapter.assetClass(security),
+				quantity: toNumber(row.quantity),
+				price: toNumber(row.institutionPrice),
+				value: round(value),
+				costBasis: toNumber(row.costBasis)
+			};
+		}).sort((a, b) => b.value - a.value);
+
+		const totalValue = round(holdings.reduce((sum, holding) => sum + holding.value, 0));
+		const costBasis = round(holdings.reduce((sum, holding) => sum + (holding.costBasis || 0), 0));
+
+		const byClass = new Map();
+		holdings.forEach(holding => byClass.set(holding.assetClass, (byClass.get(holding.assetClass) || 0) + holding.value));
+		const allocation = [...byClass.entries()]
+			.map(([assetClass, value]) => ({
+				assetClass,
+				value: round(value),
+				percentage: totalValue > 0 ? Math.round((value / totalValue) * 1000) / 10 : 0
+			}))
+			.sort((a, b) => b.value - a.value);
+
+		const transactions = transactionRows.map(row => {
+			const security = securityFor(row);
+			return {
+				itemId: row.itemId,
+				accountId: row.accountId,
+				date: row.date,
+				name: row.name,
+				type: row.type,
+				subtype: row.subtype,
+				tickerSymbol: security ? security.tickerSymbol : null,
+				quantity: toNumber(row.quantity),
+				price: toNumber(row.price),
+				amount: toNumber(row.amount),
+				fees: toNumber(row.fees)
+			};
+		});
+
+		return { totalValue, costBasis, allocation, holdings, transactions };
+	}
+
+	/**
+	 * @private
+	 */
+	_summarizeIdentity(identityRows) {
+		const accounts = identityRows.map(row => {
+			const owners = row.owners || [];
+			return {
+				accountId: row.accountId,
+				ownerCount: owners.length,
+				jointAccount: owners.length > 1
+			};
+		});
+
+		return {
+			verifiedAccounts: accounts.length,
+			jointAccounts: accounts.filter(account => account.jointAccount).length,
+			accounts
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_emptyProductData() {
+		return {
+			liabilities: [],
+			investments: { totalValue: 0, costBasis: 0, allocation: [], holdings: [], transactions: [] },
+			identity: { verifiedAccounts: 0, jointAccounts: 0, accounts: [] },
+			products: {}
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_productStatus(plaidItem, product) {
+		return (plaidItem.productStatus && plaidItem.productStatus[product]) || {};
+	}
+}
+
+module.exports = new PlaidProductsService();
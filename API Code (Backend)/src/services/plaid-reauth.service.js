@@ -0,0 +1,242 @@
+// src/services/plaid-reauth.service.js
+const { PlaidItem } = require('../models');
+const plaidService = require('./plaid.service');
+const notificationService = require('./notification.service.unified');
+const logger = require('../utils/logger');
+
+// Plaid error codes that only the user can fix by logging in again through Link
+const REAUTH_ERROR_CODES = ['ITEM_LOGIN_REQUIRED', 'PENDING_EXPIRATION', 'PENDING_DISCONNECT'];
+
+/**
+ * Plaid Re-authentication Service
+ * Tracks items whose bank login has broken or is about to expire and restores
+ * them through Plaid Link update mode. Update mode keeps the same item and
+ * access token, so a reconnected bank never shows up as a second connection.
+ */
+class PlaidReauthService {
+	constructor() {
+		// Minimum time between reminders for the same item
+		this.notifyIntervalMs = parseInt(process.env.PLAID_REAUTH_NOTIFY_INTERVAL_MS || String(24 * 60 * 60 * 1000), 10);
+	}
+
+	/**
+	 * Whether a Plaid error code means the user has to re-authenticate
+	 * @param {string} errorCode - Plaid error code
+	 * @returns {boolean}
+	 */
+	requiresReauth(errorCode) {
+		return REAUTH_ERROR_CODES.includes(errorCode);
+	}
+
+	/**
+	 * Flag an item for re-authentication and tell the user
+	 * @param {Object} plaidItem - PlaidItem instance
+	 * @param {Object} details
+	 * @param {string} details.reason - Plaid error code or webhook code
+	 * @param {Date} [details.consentExpiresAt] - When access ends (pending expiration only)
+	 * @returns {Promise<Object>} - Updated item
+	 */
+	async markReauthRequired(plaidItem, { reason, consentExpiresAt = null }) {
+		const update = {
+			reauthRequired: true,
+			reauthReason: reason
+		};
+
+		// A broken login stops every Plaid call; an expiring consent still works until it lapses
+		if (reason === 'ITEM_LOGIN_REQUIRED') {
+			update.status = 'error';
+		}
+		if (consentExpiresAt) {
+			update.consentExpiresAt = consentExpiresAt;
+		}
+
+		const shouldNotify = !plaidItem.reauthRequired ||
+			plaidItem.reauthReason !== reason ||
+			!plaidItem.reauthNotifiedAt ||
+			Date.now() - new Date(plaidItem.reauthNotifiedAt).getTime() > this.notifyIntervalMs;
+
+		await plaidItem.update(update);
+		logger.warn(`Plaid item ${plaidItem.itemId} needs re-authentication`, { userId: plaidItem.userId, reason });
+
+		if (shouldNotify) {
+			const result = await notificationService.sendBankReconnectNotification(plaidItem.userId, {
+				itemId: plaidItem.itemId,
+				institutionName: plaidItem.institutionName,
+				reason,
+				consentExpiresAt
+			});
+
+			if (result.success) {
+				await plaidItem.update({ reauthNotifiedAt: new Date() });
+			}
+		}
+
+		return plaidItem;
+	}
+
+	/**
+	 * Create a Link token that opens update mode for one of the user's items
+	 * @param {string} userId - User ID
+	 * @param {string} itemId - Plaid item ID
+	 * @returns {Promise<Object>} - { link_token, expiration }
+	 */
+	async createUpdateLinkToken(userId, itemId) {
+		const plaidItem = await this._findUserItem(userId, itemId);
+
+		if (plaidItem.status === 'disconnected') {
+			const error = new Error('This bank connection was removed; connect it again instead');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		logger.info(`Creating update-mode link token for user ${userId}, item ${itemId}`);
+		const linkToken = await plaidService.createLinkToken(userId, [], { accessToken: plaidItem.accessToken });
+
+		return {
+			link_token: linkToken.link_token,
+			expiration: linkToken.expiration
+		};
+	}
+
+	/**
+	 * Mark an item as restored after the user finished update mode (or Plaid sent LOGIN_REPAIRED)
+	 * @param {Object} plaidItem - PlaidItem instance
+	 * @param {Object} [details]
+	 * @param {Date} [details.consentExpiresAt] - Consent expiry Plaid reports after the repair
+	 * @returns {Promise<Object>} - Updated item
+	 */
+	async markRestored(plaidItem, { consentExpiresAt } = {}) {
+		const update = {
+			status: 'active',
+			reauthRequired: false,
+			reauthReason: null,
+			reauthNotifiedAt: null,
+			error: null
+		};
+		if (consentExpiresAt !== undefined) {
+			update.consentExpiresAt = consentExpiresAt;
+		}
+
+		await plaidItem.update(update);
+
+		logger.info(`Plaid item ${plaidItem.itemId} re-authenticated`, { userId: plaidItem.userId });
+		return plaidItem;
+	}
+
+	/**
+	 * Complete update mode for one of the user's items. The client only says
+	 * Link closed successfully, so the item is checked with Plaid (/item/get)
+	 * before its re-authentication flag is cleared.
+	 * @param {string} userId - User ID
+	 * @param {string} itemId - Plaid item ID
+	 * @returns {Promise<Object>} - Updated item
+	 */
+	async completeReauth(userId, itemId) {
+		const plaidItem = await this._findUserItem(userId, itemId);
+
+		if (plaidItem.status === 'disconnected') {
+			const error = new Error('This bank connection was removed; connect it again instead');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		let item;
+		try {
+			item = await plaidService.getItem(plaidItem.accessToken);
+		} catch (error) {
+			if (!this.requiresReauth(error.plaidErrorCode)) {
+				const plaidError = new Error('Could not confirm the bank connection with Plaid, please try again');
+				plaidError.statusCode = 502;
+				throw plaidError;
+			}
+			item = { error: { error_code: error.plaidErrorCode } };
+		}
+
+		const errorCode = item.error ? item.error.error_code : null;
+		// Update mode pushes the consent expiry out; an unchanged one was not renewed
+		const consentNotRenewed = ['PENDING_EXPIRATION', 'PENDING_DISCONNECT'].includes(plaidItem.reauthReason) &&
+			item.consentExpiresAt && plaidItem.consentExpiresAt &&
+			new Date(item.consentExpiresAt).getTime() <= new Date(plaidItem.consentExpiresAt).getTime();
+
+		if (this.requiresReauth(errorCode) || consentNotRenewed) {
+			logger.warn(`Plaid item ${plaidItem.itemId} still needs re-authentication after update mode`, {
+				userId,
+				reason: errorCode || plaidItem.reauthReason
+			});
+
+			const error = new Error('Your bank still needs you to log in again. Please retry the reconnection.');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		return this.markRestored(plaidItem, { consentExpiresAt: item.consentExpiresAt });
+	}
+
+	/**
+	 * Update-mode Link tokens for the user's connections that need re-authentication
+	 * @param {string} userId - User ID
+	 * @param {string} [itemId] - Only this item (whether or not it is flagged)
+	 * @returns {Promise<Array>} - { itemId, institutionName, reauthReason, link_token, expiration }
+	 */
+	async createReconnectLinkTokens(userId, itemId = null) {
+		const items = itemId
+			? [await this._findUserItem(userId, itemId)]
+			: (await PlaidItem.findAll({ where: { userId, reauthRequired: true } }))
+				.filter(item => item.status !== 'disconnected');
+
+		const tokens = [];
+		for (const item of items) {
+			const linkToken = await this.createUpdateLinkToken(userId, item.itemId);
+			tokens.push({
+				itemId: item.itemId,
+				institutionName: item.institutionName,
+				reauthReason: item.reauthReason || null,
+				...linkToken
+			});
+		}
+
+		return tokens;
+	}
+
+	/**
+	 * List a user's bank connections with their re-authentication state
+	 * @param {string} userId - User ID
+	 * @returns {Promise<Array>}
+	 */
+	async listItems(userId) {
+		const items = await PlaidItem.findAll({
+			where: { userId },
+			order: [['createdAt', 'ASC']]
+		});
+
+		return items
+			.filter(item => item.status !== 'disconnected')
+			.map(item => ({
+				itemId: item.itemId,
+				institutionName: item.institutionName,
+				status: item.status,
+				reauthRequired: item.reauthRequired,
+				reauthReason: item.reauthReason,
+				consentExpiresAt: item.consentExpiresAt,
+				lastSyncedAt: item.lastSyncedAt,
+				products: item.productStatus || {}
+			}));
+	}
+
+	/**
+	 * @private
+	 */
+	async _findUserItem(userId, itemId) {
+		const plaidItem = await PlaidItem.findOne({ where: { userId, itemId } });
+
+		if (!plaidItem) {
+			const error = new Error('Bank connection not found');
+			error.statusCode = 404;
+			throw error;
+		}
+
+		return plaidItem;
+	}
+}
+
+module.exports = new PlaidReauthService();
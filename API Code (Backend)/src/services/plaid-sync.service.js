@@ -0,0 +1,309 @@
+// src/services/plaid-sync.service.js
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Client, PlaidItem, Transaction } = require('../models');
+const plaidService = require('./plaid.service');
+const plaidReauth = require('./plaid-reauth.service');
+const reportCache = require('../utils/report-cache');
+const logger = require('../utils/logger');
+
+// Unique key of a stored transaction
+const CONFLICT_ATTRIBUTES = ['clientId', 'bankUserId', 'transactionId'];
+
+/**
+ * Plaid Sync Service
+ * Keeps a local copy of each Plaid item's transactions using /transactions/sync.
+ * The cursor Plaid returns is stored on the PlaidItem, so every sync only
+ * fetches what was added, modified or removed since the previous one. Syncs
+ * run on SYNC_UPDATES_AVAILABLE webhooks, on a schedule and, for items that
+ * were never synced, on first read.
+ */
+class PlaidSyncService {
+	constructor() {
+		this.enabled = process.env.PLAID_SYNC_ENABLED !== 'false';
+		// One sync per item at a time; a webhook and the schedule can overlap
+		this.inFlight = new Map();
+	}
+
+	/**
+	 * Sync one item, joining a sync already running for it
+	 * @param {Object|string} item - PlaidItem instance or Plaid item ID
+	 * @returns {Promise<Object>} - { itemId, added, modified, removed }
+	 */
+	async syncItem(item) {
+		const plaidItem = typeof item === 'string'
+			? await PlaidItem.findOne({ where: { itemId: item } })
+			: item;
+
+		if (!plaidItem) {
+			const error = new Error(`Plaid item ${item} not found`);
+			error.statusCode = 404;
+			throw error;
+		}
+
+		if (!this.inFlight.has(plaidItem.itemId)) {
+			const run = this._sync(plaidItem).finally(() => this.inFlight.delete(plaidItem.itemId));
+			this.inFlight.set(plaidItem.itemId, run);
+		}
+
+		return this.inFlight.get(plaidItem.itemId);
+	}
+
+	/**
+	 * Sync every active item of a user
+	 * @param {string} userId - User ID
+	 * @returns {Promise<Array>} - Per-item results ({ itemId, error } for failures)
+	 */
+	async syncUser(userId) {
+		const items = await PlaidItem.findAll({ where: { userId, status: 'active' } });
+		return this._syncEach(items);
+	}
+
+	/**
+	 * Sync every active item (scheduled job)
+	 * @returns {Promise<Object>} - Counts of synced and failed items
+	 */
+	async syncAll() {
+		if (!this.enabled) {
+			logger.info('Plaid transaction sync is disabled');
+			return { synced: 0, failed: 0 };
+		}
+
+		const items = await PlaidItem.findAll({ where: { status: 'active' } });
+		const results = await this._syncEach(items);
+		const failed = results.filter(result => result.error).length;
+
+		logger.info(`Plaid transaction sync finished: ${results.length - failed} synced, ${failed} failed`);
+		return { synced: results.length - failed, failed };
+	}
+
+	/**
+	 * Read a user's synced transactions from the local store. Items that were
+	 * never synced are synced first.
+	 * @param {string} userId - User ID
+	 * @param {Array} items - The user's active PlaidItem instances
+	 * @param {Object} range - { startDate, endDate }
+	 * @returns {Promise<Array>} - Transactions in the format plaidService.getTransactions returns
+	 */
+	async getTransactions(userId, items, { startDate, endDate }) {
+		const unsynced = items.filter(item => !item.transactionsCursor);
+		if (unsynced.length > 0) {
+			const results = await this._syncEach(unsynced);
+			const failed = results.find(result => result.error);
+			if (failed) {
+				throw new Error(`Initial sync failed for item ${failed.itemId}: ${failed.error}`);
+			}
+		}
+
+		const clientId = await this._resolveClientId(userId);
+		const rows = await Transaction.findAll({
+			where: {
+				clientId,
+				bankUserId: userId,
+				date: { [Op.between]: [startDate, endDate] },
+				metadata: {
+					source: 'plaid',
+					plaidItemId: { [Op.in]: items.map(item => item.itemId) }
+				}
+			},
+			order: [['date', 'DESC']]
+		});
+
+		return rows.map(row => this._fromRow(row));
+	}
+
+	/**
+	 * Fetch the deltas since the stored cursor and apply them in one database transaction
+	 * @private
+	 */
+	async _sync(plaidItem) {
+		const clientId = await this._resolveClientId(plaidItem.userId);
+
+		let delta;
+		try {
+			delta = await plaidService.syncTransactions(plaidItem.accessToken, plaidItem.transactionsCursor, clientId);
+		} catch (error) {
+			await this._recordError(plaidItem, error);
+			throw error;
+		}
+
+		const transaction = await sequelize.transaction();
+		try {
+			const rows = [...delta.added, ...delta.modified]
+				.map(tx => this._toRow(clientId, plaidItem, tx));
+
+			if (rows.length > 0) {
+				await Transaction.bulkCreate(rows, {
+					updateOnDuplicate: Object.keys(rows[0])
+						.filter(key => !CONFLICT_ATTRIBUTES.includes(key))
+						.concat('updatedAt'),
+					conflictAttributes: CONFLICT_ATTRIBUTES,
+					transaction
+				});
+			}
+
+			if (delta.removed.length > 0) {
+				await Transaction.destroy({
+					where: {
+						clientId,
+						bankUserId: plaidItem.userId,
+						transactionId: { [Op.in]: delta.removed }
+					},
+					transaction
+				});
+			}
+
+			plaidItem.transactionsCursor = delta.nextCursor;
+			plaidItem.lastSyncedAt = new Date();
+			plaidItem.error = null;
+			await plaidItem.save({ transaction });
+
+			await transaction.commit();
+		} catch (error) {
+			await transaction.rollback();
+			logger.error(`Error applying Plaid sync for item ${plaidItem.itemId}:`, error);
+			throw error;
+		}
+
+		const changed = delta.added.length + delta.modified.length + delta.removed.length;
+		if (changed > 0) {
+			try {
+				await reportCache.invalidateUser(plaidItem.userId);
+			} catch (error) {
+				// Stale cache entries expire on their own; never fail the sync
+				logger.warn(`Failed to invalidate report cache for user ${plaidItem.userId}: ${error.message}`);
+			}
+		}
+
+		logger.info(`Synced Plaid item ${plaidItem.itemId}`, {
+			added: delta.added.length,
+			modified: delta.modified.length,
+			removed: delta.removed.length
+		});
+
+		return {
+			itemId: plaidItem.itemId,
+			added: delta.added.length,
+			modified: delta.modified.length,
+			removed: delta.removed.length
+		};
+	}
+
+	/**
+	 * Sync items one after another so a failing item does not stop the rest
+	 * @private
+	 */
+	async _syncEach(items) {
+		const results = [];
+		for (const item of items) {
+			try {
+				results.push(await this.syncItem(item));
+			} catch (error) {
+				logger.error(`Plaid sync failed for item ${item.itemId}: ${error.message}`);
+				results.push({ itemId: item.itemId, error: error.message });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Keep the Plaid error on the item and flag it when the user has to reconnect
+	 * @private
+	 */
+	async _recordError(plaidItem, error) {
+		try {
+			plaidItem.error = {
+				code: error.plaidErrorCode || null,
+				message: error.message,
+				occurredAt: new Date().toISOString()
+			};
+			await plaidItem.save();
+
+			if (plaidReauth.requiresReauth(error.plaidErrorCode)) {
+				await plaidReauth.markReauthRequired(plaidItem, { reason: error.plaidErrorCode });
+			}
+		} catch (saveError) {
+			logger.error(`Failed to record sync error for item ${plaidItem.itemId}:`, saveError);
+		}
+	}
+
+	/**
+	 * Transactions are stored under the client that owns the Plaid user's API access
+	 * @private
+	 */
+	async _resolveClientId(userId) {
+		const clients = await Client.findAll({
+			where: { userId },
+			attributes: ['clientId', 'status'],
+			order: [['createdAt', 'ASC']]
+		});
+		const client = clients.find(c => c.status === 'active') || clients[0];
+
+		if (!client) {
+			const error = new Error(`User ${userId} has no API client to store Plaid transactions under`);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		return client.clientId;
+	}
+
+	/**
+	 * @private
+	 */
+	_toRow(clientId, plaidItem, tx) {
+		return {
+			clientId,
+			bankUserId: plaidItem.userId,
+			accountId: tx.accountId,
+			transactionId: tx.transactionId,
+			date: tx.date,
+			description: tx.description || 'Unknown Transaction',
+			amount: tx.amount,
+			category: tx.category,
+			categoryId: tx.categoryId,
+			sourceCategory: tx.sourceCategory,
+			categoryRuleId: tx.categoryRuleId,
+			type: tx.type,
+			pending: tx.pending || false,
+			merchantName: tx.merchantName || null,
+			canonicalMerchantId: tx.canonicalMerchantId,
+			canonicalMerchantName: tx.canonicalMerchantName,
+			metadata: {
+				source: 'plaid',
+				plaidItemId: plaidItem.itemId,
+				subCategory: tx.subCategory,
+				categoryDetail: tx.categoryDetail,
+				location: tx.location
+			}
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_fromRow(row) {
+		const metadata = row.metadata || {};
+		return {
+			transactionId: row.transactionId,
+			accountId: row.accountId,
+			date: new Date(row.date).toISOString().split('T')[0],
+			description: row.description,
+			amount: parseFloat(row.amount),
+			category: row.category,
+			categoryId: row.categoryId,
+			sourceCategory: row.sourceCategory,
+			categoryRuleId: row.categoryRuleId,
+			subCategory: metadata.subCategory || null,
+			type: row.type,
+			merchantName: row.merchantName,
+			canonicalMerchantId: row.canonicalMerchantId,
+			canonicalMerchantName: row.canonicalMerchantName,
+			location: metadata.location || null,
+			pending: row.pending,
+			categoryDetail: metadata.categoryDetail || []
+		};
+	}
+}
+
+module.exports = new PlaidSyncService();
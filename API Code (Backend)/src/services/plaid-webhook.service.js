@@ -0,0 +1,681 @@
+// src/services/plaid-webhook.service.js
+const crypto = require('crypto');
+const os = require('os');
+const { Op } = require('sequelize');
+const { PlaidItem, PlaidWebhookEvent } = require('../models');
+const plaidService = require('./plaid.service');
+const plaidSync = require('./plaid-sync.service');
+const plaidProducts = require('./plaid-products.service');
+const plaidReauth = require('./plaid-reauth.service');
+const logger = require('../utils/logger');
+
+// Delay before each retry, indexed by the number of attempts already made
+const DEFAULT_RETRY_SCHEDULE = [
+	30 * 1000, // 30 seconds
+	2 * 60 * 1000, // 2 minutes
+	10 * 60 * 1000, // 10 minutes
+	60 * 60 * 1000, // 1 hour
+	6 * 60 * 60 * 1000 // 6 hours
+];
+
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'ignored', 'failed'];
+
+// Re-fetch cached verification keys daily so a key Plaid expires stops being accepted
+const KEY_CACHE_MS = 24 * 60 * 60 * 1000;
+// Anyone can post a made-up kid, so unknown keys are remembered for a while and
+// lookups of keys not yet cached are capped instead of each reaching Plaid
+const FAILED_KEY_CACHE_MS = 10 * 60 * 1000;
+const KEY_LOOKUP_WINDOW_MS = 60 * 1000;
+const MAX_KEY_LOOKUPS_PER_WINDOW = 10;
+
+/**
+ * Inbound Plaid webhooks.
+ * Every webhook is checked against its Plaid-Verification JWT, persisted
+ * before it is acknowledged and processed from the stored copy, so failed
+ * processing is retried and admins can replay events after a restart.
+ * Plaid re-sends a webhook it did not see acknowledged; a repeat that arrives
+ * while the first copy still waits to be processed shares its body hash and is
+ * recorded as a duplicate. Once the first copy was handled, an identical body
+ * is a new notification (every SYNC_UPDATES_AVAILABLE for an item looks the same).
+ * A worker processing an event sends heartbeats; an event whose worker died
+ * mid-dispatch is counted as a failed attempt and goes back on the retry schedule.
+ */
+class PlaidWebhookService {
+	constructor() {
+		this.initialized = false;
+		this.verificationEnabled = process.env.PLAID_WEBHOOK_VERIFICATION !== 'false';
+		// Plaid recommends rejecting webhooks signed more than 5 minutes ago
+		this.maxAgeSeconds = parseInt(process.env.PLAID_WEBHOOK_MAX_AGE_SECONDS || '300', 10);
+		this.dedupeWindowMs = parseInt(process.env.PLAID_WEBHOOK_DEDUPE_WINDOW_MS || String(24 * 60 * 60 * 1000), 10);
+		this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+		this.staleAfter = parseInt(process.env.PLAID_WEBHOOK_STALE_AFTER || '300000', 10); // 5 minutes without heartbeat
+		this.heartbeatInterval = 30000;
+		this.pollInterval = parseInt(process.env.PLAID_WEBHOOK_POLL_INTERVAL || '15000', 10);
+		this.retrySchedule = process.env.PLAID_WEBHOOK_RETRY_SCHEDULE
+			? process.env.PLAID_WEBHOOK_RETRY_SCHEDULE.split(',').map(ms => parseInt(ms, 10))
+			: DEFAULT_RETRY_SCHEDULE;
+		// Verification keys by kid, including kids Plaid did not return a key for
+		this.keys = new Map();
+		// Start times of recent lookups for kids not in the cache
+		this.keyLookups = [];
+		this.pollTimer = null;
+		this.processing = false;
+	}
+
+	/**
+	 * Recover events left processing by an earlier run, then start the retry loop
+	 */
+	async initialize() {
+		if (this.initialized) {
+			logger.info('Plaid webhook service already initialized');
+			return;
+		}
+
+		try {
+			await this.recoverStaleEvents();
+		} catch (error) {
+			// The retry loop recovers them later
+			logger.error('Error recovering interrupted Plaid webhook events:', error);
+		}
+
+		this.pollTimer = setInterval(() => this.processDueEvents(), this.pollInterval);
+		this.initialized = true;
+		logger.info('Plaid webhook service initialized', {
+			verificationEnabled: this.verificationEnabled,
+			retrySchedule: this.retrySchedule
+		});
+	}
+
+	/**
+	 * Stop the retry loop
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		this.initialized = false;
+	}
+
+	/**
+	 * Verify the Plaid-Verification JWT of a webhook
+	 * @param {string} rawBody - Request body exactly as received
+	 * @param {string} token - Plaid-Verification header
+	 * @returns {Promise<string>} - SHA-256 of the body, used as the event key
+	 */
+	async verify(rawBody, token) {
+		const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+
+		if (!this.verificationEnabled) {
+			return bodyHash;
+		}
+
+		const parts = (token || '').split('.');
+		if (parts.length !== 3) {
+			throw this._verificationError('Missing or malformed Plaid-Verification header');
+		}
+
+		let header;
+		let claims;
+		try {
+			header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+			claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+		} catch (error) {
+			throw this._verificationError('Plaid-Verification header is not a valid JWT');
+		}
+
+		if (header.alg !== 'ES256' || !header.kid) {
+			throw this._verificationError(`Unexpected JWT algorithm ${header.alg}`);
+		}
+
+		const key = await this._getKey(header.kid);
+		const signatureValid = crypto.verify(
+			'sha256',
+			Buffer.from(`${parts[0]}.${parts[1]}`),
+			{ key, dsaEncoding: 'ieee-p1363' },
+			Buffer.from(parts[2], 'base64url')
+		);
+		if (!signatureValid) {
+			throw this._verificationError('Webhook signature does not match');
+		}
+
+		const age = Math.floor(Date.now() / 1000) - claims.iat;
+		if (!Number.isFinite(age) || age > this.maxAgeSeconds) {
+			throw this._verificationError('Webhook signature is too old');
+		}
+
+		const expected = Buffer.from(bodyHash);
+		const claimed = Buffer.from(String(claims.request_body_sha256 || ''));
+		if (expected.length !== claimed.length || !crypto.timingSafeEqual(expected, claimed)) {
+			throw this._verificationError('Webhook body does not match its signature');
+		}
+
+		return bodyHash;
+	}
+
+	/**
+	 * Persist a verified webhook, or record a repeat delivery of one already stored
+	 * @param {Object} payload - Parsed webhook body
+	 * @param {string} eventKey - From verify()
+	 * @returns {Promise<Object>} - { event, duplicate }
+	 */
+	async record(payload, eventKey) {
+		// A copy stuck processing after a crash is no longer being handled, so it does not count
+		const existing = await PlaidWebhookEvent.findOne({
+			where: {
+				eventKey,
+				createdAt: { [Op.gte]: new Date(Date.now() - this.dedupeWindowMs) },
+				[Op.or]: [
+					{ status: 'pending' },
+					{ status: 'processing', lockedAt: { [Op.gte]: new Date(Date.now() - this.staleAfter) } }
+				]
+			},
+			order: [['createdAt', 'DESC']]
+		});
+
+		if (existing) {
+			await existing.increment('duplicateCount');
+			logger.info('Duplicate Plaid webhook acknowledged', { eventId: existing.id, status: existing.status });
+			return { event: existing, duplicate: true };
+		}
+
+		const event = await PlaidWebhookEvent.create({
+			eventKey,
+			webhookType: payload.webhook_type || 'UNKNOWN',
+			webhookCode: payload.webhook_code || 'UNKNOWN',
+			itemId: payload.item_id || null,
+			payload,
+			verified: this.verificationEnabled,
+			status: 'pending',
+			maxAttempts: this.retrySchedule.length + 1,
+			nextAttemptAt: new Date(),
+			attemptLog: []
+		});
+
+		logger.info('Plaid webhook recorded', {
+			eventId: event.id,
+			type: event.webhookType,
+			code: event.webhookCode,
+			itemId: event.itemId
+		});
+
+		return { event, duplicate: false };
+	}
+
+	/**
+	 * Process a stored event and record the outcome
+	 * @param {Object} event - PlaidWebhookEvent instance
+	 * @param {Object} [options]
+	 * @param {string} [options.replayedBy] - Admin user who replayed the event
+	 * @returns {Promise<Object>} - Updated event
+	 */
+	async process(event, { replayedBy = null } = {}) {
+		const startedAt = Date.now();
+		const wasPending = event.status === 'pending';
+		await event.update({ status: 'processing', lockedBy: this.workerId, lockedAt: new Date() });
+
+		const heartbeat = setInterval(() => {
+			PlaidWebhookEvent.update({ lockedAt: new Date() }, { where: { id: event.id, status: 'processing' } }).catch(error => {
+				logger.warn(`Plaid webhook event heartbeat failed for ${event.id}: ${error.message}`);
+			});
+		}, this.heartbeatInterval);
+
+		try {
+			const result = await this._dispatch(event.payload);
+			return await this._recordAttempt(event, { result, duration: Date.now() - startedAt, replayedBy });
+		} catch (error) {
+			return await this._recordAttempt(event, {
+				error: error.message,
+				duration: Date.now() - startedAt,
+				replayedBy,
+				// Replaying a finished event is a single attempt; it does not restart the retry schedule
+				final: Boolean(replayedBy) && !wasPending
+			});
+		} finally {
+			clearInterval(heartbeat);
+		}
+	}
+
+	/**
+	 * Put events whose worker stopped sending heartbeats back on the retry
+	 * schedule. The interrupted run counts as a failed attempt, so an event
+	 * that crashes its worker every time still ends up failed.
+	 * @returns {Promise<number>} - Number of events recovered
+	 */
+	async recoverStaleEvents() {
+		const conditions = [
+			{ lockedAt: { [Op.lt]: new Date(Date.now() - this.staleAfter) } },
+			{ lockedAt: null }
+		];
+
+		const stale = await PlaidWebhookEvent.findAll({
+			where: { status: 'processing', [Op.or]: conditions },
+			limit: 100
+		});
+
+		let recovered = 0;
+		for (const event of stale) {
+			if (event.lockedBy !== this.workerId && await this._recover(event)) {
+				recovered++;
+			}
+		}
+
+		if (recovered > 0) {
+			logger.warn(`Recovered ${recovered} interrupted Plaid webhook events`);
+		}
+
+		return recovered;
+	}
+
+	/**
+	 * Retry every pending event whose next attempt is due
+	 */
+	async processDueEvents() {
+		if (this.processing) return;
+		this.processing = true;
+
+		try {
+			await this.recoverStaleEvents();
+
+			const due = await PlaidWebhookEvent.findAll({
+				where: {
+					status: 'pending',
+					nextAttemptAt: { [Op.lte]: new Date() }
+				},
+				order: [['nextAttemptAt', 'ASC']],
+				limit: 25
+			});
+
+			for (const event of due) {
+				if (await this._claim(event)) {
+					await this.process(event);
+				}
+			}
+		} catch (error) {
+			logger.error('Error processing Plaid webhook events:', error);
+		} finally {
+			this.processing = false;
+		}
+	}
+
+	/**
+	 * Process a newly recorded event right away; failures fall through to the retry loop
+	 * @param {Object} event - PlaidWebhookEvent instance
+	 */
+	processSoon(event) {
+		setImmediate(async () => {
+			try {
+				if (await this._claim(event)) {
+					await this.process(event);
+				}
+			} catch (error) {
+				logger.error(`Plaid webhook event ${event.id} processing crashed: ${error.message}`);
+			}
+		});
+	}
+
+	/**
+	 * List events for the admin log
+	 * @param {Object} filters - status, webhookType, webhookCode, itemId, page, limit
+	 * @returns {Promise<Object>} - Paginated events
+	 */
+	async listEvents({ status, webhookType, webhookCode, itemId, page = 1, limit = 20 } = {}) {
+		if (status && !EVENT_STATUSES.includes(status)) {
+			const error = new Error(`Invalid status. Use one of: ${EVENT_STATUSES.join(', ')}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const where = {};
+		if (status) where.status = status;
+		if (webhookType) where.webhookType = webhookType;
+		if (webhookCode) where.webhookCode = webhookCode;
+		if (itemId) where.itemId = itemId;
+
+		const { count, rows } = await PlaidWebhookEvent.findAndCountAll({
+			where,
+			order: [['createdAt', 'DESC']],
+			limit,
+			offset: (page - 1) * limit
+		});
+
+		return {
+			events: rows,
+			pagination: {
+				total: count,
+				page,
+				limit,
+				pages: Math.ceil(count / limit)
+			}
+		};
+	}
+
+	/**
+	 * Get one event
+	 * @param {string} id - Event ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getEvent(id) {
+		return PlaidWebhookEvent.findByPk(id);
+	}
+
+	/**
+	 * Process an event again from its stored payload
+	 * @param {string} id - Event ID
+	 * @param {string} adminId - Admin user replaying it
+	 * @returns {Promise<Object|null>} - Updated event, or null when it does not exist
+	 */
+	async replay(id, adminId) {
+		const event = await PlaidWebhookEvent.findByPk(id);
+		if (!event) return null;
+
+		// An event whose worker died is recovered first, so the replay keeps its retry schedule
+		if (event.status === 'processing' && !(this._isStale(event) && await this._recover(event))) {
+			const error = new Error('Event is being processed right now');
+			error.statusCode = 409;
+			throw error;
+		}
+
+		logger.info('Replaying Plaid webhook event', { eventId: id, adminId });
+		return this.process(event, { replayedBy: adminId });
+	}
+
+	/**
+	 * Route a payload to its handler
+	 * @private
+	 * @returns {Promise<Object|null>} - What changed, or null when the event needs no action
+	 */
+	async _dispatch(payload) {
+		const { webhook_type, webhook_code, item_id } = payload;
+
+		switch (webhook_type) {
+			case 'TRANSACTIONS':
+				return this._handleTransactions(webhook_code, await this._findItem(item_id));
+			case 'ITEM':
+				return this._handleItem(webhook_code, payload, await this._findItem(item_id));
+			case 'HOLDINGS':
+			case 'INVESTMENTS_TRANSACTIONS':
+				return this._handleProductUpdate('investments', webhook_code, await this._findItem(item_id));
+			case 'LIABILITIES':
+				return this._handleProductUpdate('liabilities', webhook_code, await this._findItem(item_id));
+			case 'AUTH':
+				logger.info(`Plaid auth webhook ${webhook_code} for item ${item_id}`);
+				return null;
+			default:
+				logger.info(`Unhandled Plaid webhook type: ${webhook_type}/${webhook_code}`);
+				return null;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _handleTransactions(code, plaidItem) {
+		switch (code) {
+			case 'SYNC_UPDATES_AVAILABLE':
+				if (!plaidSync.enabled) {
+					logger.info('Plaid transaction sync is disabled, ignoring SYNC_UPDATES_AVAILABLE');
+					return null;
+				}
+				return { action: 'synced', ...(await plaidSync.syncItem(plaidItem)) };
+
+			// Legacy transactions webhooks; SYNC_UPDATES_AVAILABLE carries the same changes
+			case 'INITIAL_UPDATE':
+			case 'HISTORICAL_UPDATE':
+			case 'DEFAULT_UPDATE':
+			case 'TRANSACTIONS_REMOVED':
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Re-fetch a product Plaid reports as changed. Product failures are recorded
+	 * on the item rather than thrown; the scheduled sync picks them up again.
+	 * @private
+	 */
+	async _handleProductUpdate(product, code, plaidItem) {
+		if (code !== 'DEFAULT_UPDATE' && code !== 'HISTORICAL_UPDATE') {
+			logger.info(`Unhandled Plaid ${product} webhook code: ${code}`);
+			return null;
+		}
+
+		const result = await plaidProducts.syncItem(plaidItem, { products: [product] });
+		return { action: 'products_synced', ...result };
+	}
+
+	/**
+	 * @private
+	 */
+	async _handleItem(code, payload, plaidItem) {
+		switch (code) {
+			case 'ERROR': {
+				const plaidError = payload.error || {};
+				logger.error(`Plaid item error for item ${plaidItem.itemId}: ${plaidError.error_code} - ${plaidError.error_message}`);
+
+				await plaidItem.update({
+					status: 'error',
+					error: {
+						code: plaidError.error_code || null,
+						message: plaidError.error_message || null,
+						occurredAt: new Date().toISOString()
+					}
+				});
+
+				if (plaidReauth.requiresReauth(plaidError.error_code)) {
+					await plaidReauth.markReauthRequired(plaidItem, { reason: plaidError.error_code });
+					return { action: 'reauth_required', errorCode: plaidError.error_code };
+				}
+				return { action: 'item_error', errorCode: plaidError.error_code || null };
+			}
+
+			case 'PENDING_EXPIRATION':
+			case 'PENDING_DISCONNECT': {
+				const consentExpiresAt = payload.consent_expiration_time
+					? new Date(payload.consent_expiration_time)
+					: null;
+				logger.warn(`Plaid item ${plaidItem.itemId} consent expiring`, { consentExpiresAt });
+
+				await plaidReauth.markReauthRequired(plaidItem, { reason: code, consentExpiresAt });
+				return { action: 'reauth_required', consentExpiresAt };
+			}
+
+			case 'LOGIN_REPAIRED':
+				// The user re-authenticated this item somewhere else (e.g. another app using Plaid)
+				await plaidReauth.markRestored(plaidItem);
+				return { action: 'restored' };
+
+			case 'USER_PERMISSION_REVOKED':
+			case 'USER_ACCOUNT_REVOKED':
+				logger.warn(`User permission revoked for Plaid item ${plaidItem.itemId}`);
+				await plaidItem.update({ status: 'disconnected', disconnectedAt: new Date() });
+				return { action: 'disconnected' };
+
+			default:
+				logger.info(`Unhandled Plaid item webhook code: ${code}`);
+				return null;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _findItem(itemId) {
+		const plaidItem = itemId ? await PlaidItem.findOne({ where: { itemId } }) : null;
+		if (!plaidItem) {
+			// The item can be stored a moment after Plaid starts sending webhooks for it; retry
+			throw new Error(`Plaid item ${itemId} not found`);
+		}
+		return plaidItem;
+	}
+
+	/**
+	 * Push the next attempt out first so a concurrent poller skips the event
+	 * @private
+	 * @returns {Promise<boolean>} - Whether this worker owns the attempt
+	 */
+	async _claim(event) {
+		const [claimed] = await PlaidWebhookEvent.update(
+			{ nextAttemptAt: new Date(Date.now() + this.pollInterval * 4) },
+			{ where: { id: event.id, status: 'pending', nextAttemptAt: event.nextAttemptAt } }
+		);
+		return claimed > 0;
+	}
+
+	/**
+	 * Whether the worker processing an event has stopped sending heartbeats
+	 * @private
+	 */
+	_isStale(event) {
+		return !event.lockedAt || Date.now() - new Date(event.lockedAt).getTime() > this.staleAfter;
+	}
+
+	/**
+	 * Take over an interrupted event and record the interruption as a failed attempt
+	 * @private
+	 * @returns {Promise<boolean>} - Whether this worker recovered it
+	 */
+	async _recover(event) {
+		const [claimed] = await PlaidWebhookEvent.update(
+			{ lockedBy: this.workerId, lockedAt: new Date() },
+			{ where: { id: event.id, status: 'processing', lockedAt: event.lockedAt || null } }
+		);
+		if (!claimed) return false;
+
+		logger.warn('Plaid webhook event was interrupted while processing', { eventId: event.id, lockedBy: event.lockedBy });
+		await this._recordAttempt(event, { error: 'Processing was interrupted before it finished' });
+		return true;
+	}
+
+	/**
+	 * Store the result of an attempt and schedule the next retry if needed
+	 * @private
+	 */
+	async _recordAttempt(event, { result = null, error = null, duration = null, replayedBy = null, final = false }) {
+		const attempts = event.attempts + 1;
+		const now = new Date();
+		const outcome = error ? 'error' : (result ? 'processed' : 'ignored');
+		const attemptLog = [...(event.attemptLog || []), {
+			attempt: attempts,
+			at: now.toISOString(),
+			outcome,
+			duration,
+			error,
+			replayedBy
+		}];
+
+		const update = { attempts, attemptLog, lastError: error, lockedBy: null, lockedAt: null };
+
+		if (!error) {
+			Object.assign(update, { status: outcome, result, processedAt: now, nextAttemptAt: null });
+			logger.info('Plaid webhook event processed', { eventId: event.id, outcome, attempts });
+		} else if (final || attempts >= event.maxAttempts) {
+			Object.assign(update, { status: 'failed', nextAttemptAt: null });
+			logger.error('Plaid webhook event failed permanently', { eventId: event.id, attempts, error });
+		} else {
+			const delay = this.retrySchedule[Math.min(attempts - 1, this.retrySchedule.length - 1)];
+			Object.assign(update, { status: 'pending', nextAttemptAt: new Date(now.getTime() + delay) });
+			logger.warn('Plaid webhook event failed, retry scheduled', {
+				eventId: event.id,
+				attempts,
+				retryInMs: delay,
+				error
+			});
+		}
+
+		return event.update(update);
+	}
+
+	/**
+	 * Fetch a verification key and cache it. Failed lookups are cached too
+	 * and, like too many lookups of new keys, reject the webhook with a 401.
+	 * @private
+	 */
+	async _getKey(keyId) {
+		let cached = this.keys.get(keyId);
+
+		if (cached && cached.failed && Date.now() - cached.fetchedAt <= FAILED_KEY_CACHE_MS) {
+			throw this._verificationError(`Verification key ${keyId} is unknown`);
+		}
+
+		if (!cached || cached.failed || Date.now() - cached.fetchedAt > KEY_CACHE_MS) {
+			if (!cached || cached.failed) this._countKeyLookup();
+
+			try {
+				const jwk = await plaidService.getWebhookVerificationKey(keyId);
+				cached = {
+					fetchedAt: Date.now(),
+					expiredAt: jwk.expired_at,
+					key: crypto.createPublicKey({
+						key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+						format: 'jwk'
+					})
+				};
+			} catch (error) {
+				if (cached && !cached.failed) {
+					// Keep a key we already have through a failed daily refresh, and retry later
+					logger.warn(`Failed to refresh Plaid verification key ${keyId}, keeping the cached key: ${error.message}`);
+					cached.fetchedAt = Date.now() - KEY_CACHE_MS + FAILED_KEY_CACHE_MS;
+					return this._usableKey(keyId, cached);
+				}
+
+				this._pruneFailedKeys();
+				this.keys.set(keyId, { fetchedAt: Date.now(), failed: true });
+				throw this._verificationError(`Verification key ${keyId} is unknown`);
+			}
+			this.keys.set(keyId, cached);
+		}
+
+		return this._usableKey(keyId, cached);
+	}
+
+	/**
+	 * @private
+	 */
+	_usableKey(keyId, cached) {
+		if (cached.expiredAt) {
+			throw this._verificationError(`Verification key ${keyId} has expired`);
+		}
+
+		return cached.key;
+	}
+
+	/**
+	 * Count a lookup of a key that is not cached, refusing once the window's
+	 * limit is reached
+	 * @private
+	 */
+	_countKeyLookup() {
+		const now = Date.now();
+		this.keyLookups = this.keyLookups.filter(startedAt => now - startedAt < KEY_LOOKUP_WINDOW_MS);
+
+		if (this.keyLookups.length >= MAX_KEY_LOOKUPS_PER_WINDOW) {
+			throw this._verificationError('Too many lookups of unknown verification keys, try again later');
+		}
+		this.keyLookups.push(now);
+	}
+
+	/**
+	 * Forget failed lookups that no longer block their kid
+	 * @private
+	 */
+	_pruneFailedKeys() {
+		const now = Date.now();
+		for (const [keyId, cached] of this.keys) {
+			if (cached.failed && now - cached.fetchedAt > FAILED_KEY_CACHE_MS) {
+				this.keys.delete(keyId);
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_verificationError(message) {
+		const error = new Error(message);
+		error.statusCode = 401;
+		return error;
+	}
+}
+
+module.exports = new PlaidWebhookService();
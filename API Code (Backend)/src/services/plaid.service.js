@@ -2,9 +2,15 @@
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const dotenv = require('dotenv');
 const logger = require('../utils/logger');
+const merchantNormalization = require('./merchant-normalization.service');
+const categorization = require('./categorization.service');
+const { plaidDataAdapter } = require('./plaidDataAdapter.service');
 
 dotenv.config();
 
+// Products requested when the institution supports them; Link still succeeds without them
+const DEFAULT_OPTIONAL_PRODUCTS = ['liabilities', 'investments', 'identity'];
+
 class PlaidService {
   constructor() {
     // Check for required environment variables
@@ -27,11 +33,20 @@ class PlaidService {
 
   /**
    * Initialize client with specific environment
-   * @param {string} environment - 'sandbox', 'development', or 'production'
+   * @param {string} environment - 'sandbox', 'development', 'production', or 'local'
+   *   (in-process stand-in with fixture data, see plaid-clients/local.client)
    */
   initializeClient(environment) {
     this.environment = environment;
 
+    if (environment === 'local') {
+      // Required lazily so the real client never loads the fixtures
+      const LocalPlaidClient = require('./plaid-clients/local.client');
+      this.client = new LocalPlaidClient();
+      logger.info('Plaid client using the local stand-in (no Plaid API calls)');
+      return;
+    }
+
     // Configure Plaid client based on environment
     const configuration = new Configuration({
       basePath: this._getPlaidEnvironment(environment),
@@ -48,6 +63,18 @@ class PlaidService {
     logger.info(`Plaid client reconfigured to use ${environment} environment`);
   }
 
+  /**
+   * Replace the Plaid client. Any object implementing the PlaidApi methods this
+   * service calls (linkTokenCreate, itemPublicTokenExchange, accountsGet,
+   * transactionsGet, transactionsSync, webhookVerificationKeyGet) will do.
+   * @param {Object} client - Plaid client
+   * @param {string} [environment] - Environment the client's tokens belong to
+   */
+  setClient(client, environment = this.environment) {
+    this.client = client;
+    this.environment = environment;
+  }
+
   /**
    * Determine environment based on existing tokens in database
    */
@@ -103,21 +130,35 @@ class PlaidService {
    * Create a link token for a user
    * @param {string} userId - User ID
    * @param {Array} products - Array of Plaid products to use (e.g., ['transactions', 'auth'])
+   * @param {Object} [options]
+   * @param {string} [options.accessToken] - Open Link in update mode for this existing item
    * @returns {Object} - Link token response
    */
-  async createLinkToken(userId, products = ['transactions']) {
+  async createLinkToken(userId, products = ['transactions'], options = {}) {
     try {
       const request = {
         user: {
           client_user_id: userId
         },
         client_name: 'Banking Intelligence App',
-        products: products,
         language: 'en',
         country_codes: ['US'],
         webhook: process.env.PLAID_WEBHOOK_URL
       };
 
+      if (options.accessToken) {
+        // Update mode re-authenticates the existing item; Plaid rejects products here
+        this._validateTokenEnvironment(options.accessToken);
+        request.access_token = options.accessToken;
+      } else {
+        request.products = products;
+
+        const optionalProducts = this._optionalProducts(products);
+        if (optionalProducts.length > 0) {
+          request.optional_products = optionalProducts;
+        }
+      }
+
       const response = await this.client.linkTokenCreate(request);
       logger.info(`Link token created for user: ${userId}`);
 
@@ -152,6 +193,29 @@ class PlaidService {
     }
   }
 
+  /**
+   * Get an item's current state from Plaid, including any error it is in
+   * @param {string} accessToken - Plaid access token
+   * @returns {Object} - { itemId, institutionId, error, consentExpiresAt }
+   */
+  async getItem(accessToken) {
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      const response = await this.client.itemGet({ access_token: accessToken });
+      const { item } = response.data;
+
+      return {
+        itemId: item.item_id,
+        institutionId: item.institution_id || null,
+        error: item.error || null,
+        consentExpiresAt: item.consent_expiration_time ? new Date(item.consent_expiration_time) : null
+      };
+    } catch (error) {
+      throw this._productError('item', error);
+    }
+  }
+
   /**
    * Get bank account information for a user
    * @param {string} accessToken - Plaid access token
@@ -240,72 +304,295 @@ class PlaidService {
 
       logger.info(`Retrieved ${allTransactions.length} transactions`);
 
-      // Enhanced transaction mapping with better category handling
-      return allTransactions.map(transaction => {
-        // Improved category handling logic
-        let category = 'Uncategorized';
-        let subCategory = null;
-        let categoryDetail = null;
-
-        // Try Plaid's category array first
-        if (transaction.category && Array.isArray(transaction.category) && transaction.category.length > 0) {
-          category = transaction.category[0];
-          if (transaction.category.length > 1) {
-            subCategory = transaction.category[1];
-          }
-          categoryDetail = [...transaction.category]; // Store full category array
-        }
-        // Try personal_finance_category as fallback
-        else if (transaction.personal_finance_category && transaction.personal_finance_category.primary) {
-          category = transaction.personal_finance_category.primary;
-          subCategory = transaction.personal_finance_category.detailed || null;
-          categoryDetail = [category, subCategory].filter(Boolean);
-        }
-        // If still no category, infer from merchant or transaction properties
-        else {
-          const merchantName = (transaction.merchant_name || transaction.name || '').toLowerCase();
+      return await this._mapTransactions(allTransactions);
+    } catch (error) {
+      logger.error('Error getting transactions:', error);
+      throw new Error(`Failed to get transactions: ${error.message}`);
+    }
+  }
 
-          // Map common merchants to categories
-          if (merchantName.includes('uber') && !merchantName.includes('eats')) {
-            category = 'Transportation';
-          }
-          else if (merchantName.includes('uber eats') || merchantName.includes('doordash')) {
-            category = 'Food and Drink';
-          }
-          else if (merchantName.includes('amazon') || merchantName.includes('shop')) {
-            category = 'Shopping';
-          }
-          else if (merchantName.includes('netflix') || merchantName.includes('spotify')) {
-            category = 'Entertainment';
+  /**
+   * Get the changes to an item's transactions since a sync cursor
+   * @param {string} accessToken - Plaid access token
+   * @param {string|null} cursor - Cursor from the previous sync (null for a full history)
+   * @param {string} [clientId] - Client whose taxonomy and merchant rules apply
+   * @returns {Object} - { added, modified, removed (transaction IDs), nextCursor }
+   */
+  async syncTransactions(accessToken, cursor = null, clientId = null) {
+    // Plaid asks to restart from the original cursor if the data changes mid-pagination
+    const maxRestarts = 3;
+
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      for (let attempt = 0; attempt <= maxRestarts; attempt++) {
+        const added = [];
+        const modified = [];
+        const removed = [];
+        let nextCursor = cursor;
+        let hasMore = true;
+
+        try {
+          while (hasMore) {
+            const request = {
+              access_token: accessToken,
+              count: 500,
+              options: {
+                include_personal_finance_category: true
+              }
+            };
+            if (nextCursor) {
+              request.cursor = nextCursor;
+            }
+
+            const response = await this.client.transactionsSync(request);
+
+            added.push(...response.data.added);
+            modified.push(...response.data.modified);
+            removed.push(...response.data.removed.map(transaction => transaction.transaction_id));
+
+            hasMore = response.data.has_more;
+            nextCursor = response.data.next_cursor;
           }
-          else if (merchantName.includes('airbnb') || merchantName.includes('hotel')) {
-            category = 'Travel';
+        } catch (error) {
+          const errorCode = error.response?.data?.error_code;
+          if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempt < maxRestarts) {
+            logger.warn('Transactions changed during sync pagination, restarting from the previous cursor');
+            continue;
           }
-
-          categoryDetail = [category];
+          throw error;
         }
 
+        logger.info(`Synced transactions: ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+
         return {
-          transactionId: transaction.transaction_id,
-          accountId: transaction.account_id,
-          date: transaction.date,
-          description: transaction.name,
-          amount: -transaction.amount, // Plaid uses positive for withdrawals, we use negative
-          category: category,
-          subCategory: subCategory,
-          type: this._mapTransactionType(transaction),
-          merchantName: transaction.merchant_name || transaction.name,
-          location: transaction.location && transaction.location.city ?
-            `${transaction.location.city}${transaction.location.region ? ', ' + transaction.location.region : ''}` :
-            null,
-          pending: transaction.pending,
-          categoryDetail: categoryDetail
+          added: await this._mapTransactions(added, clientId),
+          modified: await this._mapTransactions(modified, clientId),
+          removed,
+          nextCursor
         };
-      });
+      }
+
+      throw new Error('Transactions kept changing during pagination');
     } catch (error) {
-      logger.error('Error getting transactions:', error);
-      throw new Error(`Failed to get transactions: ${error.message}`);
+      logger.error('Error syncing transactions:', error);
+      const syncError = new Error(`Failed to sync transactions: ${error.message}`);
+      syncError.plaidErrorCode = error.response?.data?.error_code;
+      throw syncError;
+    }
+  }
+
+  /**
+   * Map raw Plaid transactions to our transaction format, then attach canonical
+   * merchants and categories
+   * @param {Array} plaidTransactions - Transactions as returned by Plaid
+   * @param {string} [clientId] - Client whose taxonomy and merchant rules apply
+   * @returns {Promise<Array>} - Mapped transactions
+   */
+  async _mapTransactions(plaidTransactions, clientId = null) {
+    if (plaidTransactions.length === 0) {
+      return [];
     }
+
+    // Keep Plaid's category as the source; the categorization engine assigns the final one
+    const mappedTransactions = plaidTransactions.map(transaction => {
+      let category = null;
+      let subCategory = null;
+      let categoryDetail = [];
+
+      // Try Plaid's category array first
+      if (transaction.category && Array.isArray(transaction.category) && transaction.category.length > 0) {
+        category = transaction.category[0];
+        if (transaction.category.length > 1) {
+          subCategory = transaction.category[1];
+        }
+        categoryDetail = [...transaction.category]; // Store full category array
+      }
+      // Try personal_finance_category as fallback
+      else if (transaction.personal_finance_category && transaction.personal_finance_category.primary) {
+        category = transaction.personal_finance_category.primary;
+        subCategory = transaction.personal_finance_category.detailed || null;
+        categoryDetail = [category, subCategory].filter(Boolean);
+      }
+
+      return {
+        transactionId: transaction.transaction_id,
+        accountId: transaction.account_id,
+        date: transaction.date,
+        description: transaction.name,
+        amount: -transaction.amount, // Plaid uses positive for withdrawals, we use negative
+        category: category,
+        subCategory: subCategory,
+        type: this._mapTransactionType(transaction),
+        merchantName: transaction.merchant_name || transaction.name,
+        location: transaction.location && transaction.location.city ?
+          `${transaction.location.city}${transaction.location.region ? ', ' + transaction.location.region : ''}` :
+          null,
+        pending: transaction.pending,
+        categoryDetail: categoryDetail
+      };
+    });
+
+    // Attach canonical merchants (Plaid's merchant_name still varies by descriptor)
+    // and map categories onto the client's taxonomy
+    return await categorization.categorizeTransactions(
+      await merchantNormalization.normalizeTransactions(mappedTransactions, clientId),
+      clientId
+    );
+  }
+
+  /**
+   * Get credit card, student loan and mortgage details for an item
+   * @param {string} accessToken - Plaid access token
+   * @returns {Array} - Liabilities (see plaidDataAdapter.transformLiabilities)
+   */
+  async getLiabilities(accessToken) {
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      const response = await this.client.liabilitiesGet({ access_token: accessToken });
+      const liabilities = plaidDataAdapter.transformLiabilities(response.data.liabilities || {}, response.data.accounts);
+      logger.info(`Retrieved ${liabilities.length} liabilities`);
+
+      return liabilities;
+    } catch (error) {
+      throw this._productError('liabilities', error);
+    }
+  }
+
+  /**
+   * Get an item's investment holdings and the securities they hold
+   * @param {string} accessToken - Plaid access token
+   * @returns {Object} - { holdings, securities }
+   */
+  async getInvestmentHoldings(accessToken) {
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      const response = await this.client.investmentsHoldingsGet({ access_token: accessToken });
+      logger.info(`Retrieved ${response.data.holdings.length} investment holdings`);
+
+      return {
+        holdings: plaidDataAdapter.transformHoldings(response.data.holdings),
+        securities: plaidDataAdapter.transformSecurities(response.data.securities)
+      };
+    } catch (error) {
+      throw this._productError('investment holdings', error);
+    }
+  }
+
+  /**
+   * Get an item's investment transactions (buys, sells, dividends, fees)
+   * @param {string} accessToken - Plaid access token
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Object} - { transactions, securities }
+   */
+  async getInvestmentTransactions(accessToken, startDate, endDate) {
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      const request = {
+        access_token: accessToken,
+        start_date: startDate.toISOString().split('T')[0],
+        end_date: endDate.toISOString().split('T')[0],
+        options: {
+          count: 500,
+          offset: 0
+        }
+      };
+
+      const transactions = [];
+      const securities = new Map();
+      let hasMore = true;
+
+      while (hasMore) {
+        request.options.offset = transactions.length;
+        const response = await this.client.investmentsTransactionsGet(request);
+
+        transactions.push(...response.data.investment_transactions);
+        response.data.securities.forEach(security => securities.set(security.security_id, security));
+
+        hasMore = response.data.investment_transactions.length > 0 &&
+          response.data.total_investment_transactions > transactions.length;
+      }
+
+      logger.info(`Retrieved ${transactions.length} investment transactions`);
+
+      return {
+        transactions: plaidDataAdapter.transformInvestmentTransactions(transactions),
+        securities: plaidDataAdapter.transformSecurities([...securities.values()])
+      };
+    } catch (error) {
+      throw this._productError('investment transactions', error);
+    }
+  }
+
+  /**
+   * Get the account holders' names, emails, phone numbers and addresses
+   * @param {string} accessToken - Plaid access token
+   * @returns {Array} - { accountId, owners } per account
+   */
+  async getIdentity(accessToken) {
+    try {
+      this._validateTokenEnvironment(accessToken);
+
+      const response = await this.client.identityGet({ access_token: accessToken });
+      logger.info(`Retrieved identity for ${response.data.accounts.length} accounts`);
+
+      return plaidDataAdapter.transformIdentity(response.data.accounts);
+    } catch (error) {
+      throw this._productError('identity', error);
+    }
+  }
+
+  /**
+   * Get the public key Plaid signed a webhook with
+   * @param {string} keyId - `kid` from the Plaid-Verification JWT header
+   * @returns {Object} - JWK with created_at and expired_at
+   */
+  async getWebhookVerificationKey(keyId) {
+    try {
+      const response = await this.client.webhookVerificationKeyGet({ key_id: keyId });
+      return response.data.key;
+    } catch (error) {
+      logger.error(`Error getting webhook verification key ${keyId}:`, error);
+      throw new Error(`Failed to get webhook verification key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Optional Link products from PLAID_OPTIONAL_PRODUCTS (comma separated, empty
+   * to request none), minus those already required
+   * @param {Array} products - Required products
+   * @returns {Array} - Optional products
+   */
+  _optionalProducts(products) {
+    const configured = process.env.PLAID_OPTIONAL_PRODUCTS === undefined
+      ? DEFAULT_OPTIONAL_PRODUCTS
+      : process.env.PLAID_OPTIONAL_PRODUCTS.split(',').map(product => product.trim()).filter(Boolean);
+
+    return configured.filter(product => !products.includes(product));
+  }
+
+  /**
+   * Wrap a product request failure, keeping Plaid's error code
+   * @param {string} product - What was requested, for the message
+   * @param {Error} error - Error from the Plaid client
+   * @returns {Error}
+   */
+  _productError(product, error) {
+    const errorCode = error.response?.data?.error_code;
+    // Unsupported products are expected for many institutions
+    if (errorCode) {
+      logger.warn(`Plaid ${product} request failed with ${errorCode}`);
+    } else {
+      logger.error(`Error getting ${product}:`, error);
+    }
+
+    const productError = new Error(`Failed to get ${product}: ${error.message}`);
+    productError.plaidErrorCode = errorCode;
+    return productError;
   }
 
   /**
@@ -313,7 +600,8 @@ class PlaidService {
    * @param {string} accessToken - Plaid access token
    */
   _validateTokenEnvironment(accessToken) {
-    if (!accessToken) return;
+    // The local client holds its own items; switching would discard them
+    if (!accessToken || this.environment === 'local') return;
 
     // Extract environment from token
     const parts = accessToken.split('-');
@@ -1,5 +1,18 @@
 // plaidDataAdapter.service.js
-export const plaidDataAdapter = {
+
+// Plaid security types grouped into the asset classes reports show
+const ASSET_CLASSES = {
+  'equity': 'Stocks',
+  'etf': 'Stocks',
+  'mutual fund': 'Stocks',
+  'fixed income': 'Bonds',
+  'cash': 'Cash',
+  'cryptocurrency': 'Crypto'
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const plaidDataAdapter = {
   transformAccounts(plaidAccounts) {
     return plaidAccounts.map(account => ({
       accountId: account.account_id,
@@ -40,5 +53,185 @@ export const plaidDataAdapter = {
         categoryDetail: Array.isArray(transaction.category) ? transaction.category : [category]
       };
     });
+  },
+
+  /**
+   * Flatten /liabilities/get into one entry per liability account. Rate, minimum
+   * payment and due date sit under different names for each type; the rest of
+   * the type-specific fields go into details. Account and reference numbers
+   * are left out.
+   * @param {Object} liabilities - response.data.liabilities ({ credit, student, mortgage })
+   * @param {Array} [accounts] - response.data.accounts, for current balances
+   * @returns {Array} - Liabilities
+   */
+  transformLiabilities(liabilities, accounts = []) {
+    const balances = new Map(accounts.map(account => [account.account_id, account.balances]));
+    const common = (entry, liabilityType) => {
+      const balance = balances.get(entry.account_id) || {};
+      return {
+        accountId: entry.account_id,
+        liabilityType,
+        currentBalance: toNumber(balance.current),
+        currency: balance.iso_currency_code || 'USD',
+        lastPaymentAmount: toNumber(entry.last_payment_amount),
+        lastPaymentDate: entry.last_payment_date || null,
+        nextPaymentDueDate: entry.next_payment_due_date || null
+      };
+    };
+
+    const credit = (liabilities.credit || []).map(card => {
+      const aprs = card.aprs || [];
+      const purchaseApr = aprs.find(apr => apr.apr_type === 'purchase_apr') || aprs[0];
+      return {
+        ...common(card, 'credit'),
+        interestRate: purchaseApr ? toNumber(purchaseApr.apr_percentage) : null,
+        minimumPaymentAmount: toNumber(card.minimum_payment_amount),
+        isOverdue: Boolean(card.is_overdue),
+        details: {
+          aprs: aprs.map(apr => ({
+            type: apr.apr_type,
+            percentage: toNumber(apr.apr_percentage),
+            balanceSubjectToApr: toNumber(apr.balance_subject_to_apr),
+            interestChargeAmount: toNumber(apr.interest_charge_amount)
+          })),
+          lastStatementBalance: toNumber(card.last_statement_balance),
+          lastStatementIssueDate: card.last_statement_issue_date || null
+        }
+      };
+    });
+
+    const student = (liabilities.student || []).map(loan => ({
+      ...common(loan, 'student'),
+      interestRate: toNumber(loan.interest_rate_percentage),
+      minimumPaymentAmount: toNumber(loan.minimum_payment_amount),
+      isOverdue: Boolean(loan.is_overdue),
+      details: {
+        loanName: loan.loan_name || null,
+        loanStatus: loan.loan_status ? loan.loan_status.type : null,
+        repaymentPlan: loan.repayment_plan ? loan.repayment_plan.description || loan.repayment_plan.type : null,
+        expectedPayoffDate: loan.expected_payoff_date || null,
+        originationDate: loan.origination_date || null,
+        originationPrincipalAmount: toNumber(loan.origination_principal_amount),
+        outstandingInterestAmount: toNumber(loan.outstanding_interest_amount),
+        ytdInterestPaid: toNumber(loan.ytd_interest_paid),
+        ytdPrincipalPaid: toNumber(loan.ytd_principal_paid)
+      }
+    }));
+
+    const mortgage = (liabilities.mortgage || []).map(loan => ({
+      ...common(loan, 'mortgage'),
+      interestRate: loan.interest_rate ? toNumber(loan.interest_rate.percentage) : null,
+      minimumPaymentAmount: toNumber(loan.next_monthly_payment),
+      isOverdue: Number(loan.past_due_amount) > 0,
+      details: {
+        interestRateType: loan.interest_rate ? loan.interest_rate.type : null,
+        loanTerm: loan.loan_term || null,
+        loanTypeDescription: loan.loan_type_description || null,
+        maturityDate: loan.maturity_date || null,
+        originationDate: loan.origination_date || null,
+        originationPrincipalAmount: toNumber(loan.origination_principal_amount),
+        escrowBalance: toNumber(loan.escrow_balance),
+        hasPmi: loan.has_pmi === undefined ? null : loan.has_pmi,
+        pastDueAmount: toNumber(loan.past_due_amount),
+        ytdInterestPaid: toNumber(loan.ytd_interest_paid),
+        ytdPrincipalPaid: toNumber(loan.ytd_principal_paid)
+      }
+    }));
+
+    return [...credit, ...student, ...mortgage];
+  },
+
+  transformSecurities(plaidSecurities) {
+    return plaidSecurities.map(security => ({
+      securityId: security.security_id,
+      name: security.name,
+      tickerSymbol: security.ticker_symbol || null,
+      type: security.type || null,
+      closePrice: toNumber(security.close_price),
+      closePriceAsOf: security.close_price_as_of || null,
+      isCashEquivalent: Boolean(security.is_cash_equivalent),
+      currency: security.iso_currency_code || 'USD'
+    }));
+  },
+
+  transformHoldings(plaidHoldings) {
+    return plaidHoldings.map(holding => ({
+      accountId: holding.account_id,
+      securityId: holding.security_id,
+      quantity: toNumber(holding.quantity),
+      institutionPrice: toNumber(holding.institution_price),
+      institutionPriceAsOf: holding.institution_price_as_of || null,
+      institutionValue: toNumber(holding.institution_value),
+      costBasis: toNumber(holding.cost_basis),
+      currency: holding.iso_currency_code || 'USD'
+    }));
+  },
+
+  /**
+   * Plaid investment amounts are positive when cash leaves the account (a buy);
+   * they are negated to match our transactions, where spending is negative.
+   */
+  transformInvestmentTransactions(plaidTransactions) {
+    return plaidTransactions.map(transaction => ({
+      investmentTransactionId: transaction.investment_transaction_id,
+      accountId: transaction.account_id,
+      securityId: transaction.security_id || null,
+      date: transaction.date,
+      name: transaction.name,
+      type: transaction.type,
+      subtype: transaction.subtype || null,
+      quantity: toNumber(transaction.quantity),
+      price: toNumber(transaction.price),
+      amount: transaction.amount === null || transaction.amount === undefined ? null : -Number(transaction.amount),
+      fees: toNumber(transaction.fees),
+      currency: transaction.iso_currency_code || 'USD'
+    }));
+  },
+
+  /**
+   * Owners per account from /identity/get
+   * @param {Array} plaidAccounts - response.data.accounts (each with owners)
+   * @returns {Array} - { accountId, owners: [{ names, emails, phoneNumbers, addresses }] }
+   */
+  transformIdentity(plaidAccounts) {
+    return plaidAccounts.map(account => ({
+      accountId: account.account_id,
+      owners: (account.owners || []).map(owner => ({
+        names: owner.names || [],
+        emails: (owner.emails || []).map(email => ({
+          address: email.data,
+          primary: Boolean(email.primary),
+          type: email.type || null
+        })),
+        phoneNumbers: (owner.phone_numbers || []).map(phone => ({
+          number: phone.data,
+          primary: Boolean(phone.primary),
+          type: phone.type || null
+        })),
+        addresses: (owner.addresses || []).map(address => ({
+          street: address.data ? address.data.street : null,
+          city: address.data ? address.data.city : null,
+          region: address.data ? address.data.region : null,
+          postalCode: address.data ? address.data.postal_code : null,
+          country: address.data ? address.data.country : null,
+          primary: Boolean(address.primary)
+        }))
+      }))
+    }));
+  },
+
+  /**
+   * Asset class of a security for allocation breakdowns
+   * @param {Object} security - Transformed security
+   * @returns {string} - Stocks, Bonds, Cash, Crypto or Other
+   */
+  assetClass(security) {
+    if (!security) return 'Other';
+    if (security.isCashEquivalent) return 'Cash';
+    return ASSET_CLASSES[security.type] || 'Other';
   }
-};
\ No newline at end of file
+};
+
+module.exports = {
+  plaidDataAdapter
+};
@@ -0,0 +1,724 @@
+// src/services/prompt-registry.service.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize, PromptTemplate, PromptExperiment, InsightMetrics, LlmUsage } = require('../models');
+const logger = require('../utils/logger');
+
+// Version label for the prompt hardcoded in the calling service
+const BUILTIN_VERSION = 'builtin';
+
+/**
+ * Prompts that can be replaced from the registry and the variables each
+ * caller supplies. A template may only reference its prompt's variables.
+ */
+const PROMPT_DEFINITIONS = {
+	insights: {
+		description: 'Answer to an insights question (Cohere, Groq and Gemini)',
+		variables: ['query', 'queryType', 'userName', 'financialContext']
+	},
+	'insights.tools': {
+		description: 'Tool-calling answer grounded in computed figures',
+		variables: ['query', 'queryType', 'today', 'accounts', 'liabilitiesAndInvestments', 'transactionCoverage']
+	},
+	'banking_command.account_summary': {
+		description: 'Banking Command: Account Summary section',
+		variables: ['totalBalance', 'income', 'expenses', 'netChange', 'daysInPeriod', 'averageDailySpend']
+	},
+	'banking_command.behavior_preferences': {
+		description: 'Banking Command: Behavior & Preferences section',
+		variables: ['transactions', 'categories']
+	},
+	'banking_command.merchant_analysis': {
+		description: 'Banking Command: Merchant Concentration section',
+		variables: ['transactions', 'merchants']
+	},
+	'banking_command.risk_compliance': {
+		description: 'Banking Command: Risk, Churn & Compliance section',
+		variables: ['totalBalance', 'averageDailySpend', 'daysOfRunway', 'risks']
+	},
+	'banking_command.cadence_routines': {
+		description: 'Banking Command: Cadence & Routines section',
+		variables: ['cadence', 'weekdayPercent', 'weekendPercent', 'morningPercent', 'afternoonPercent', 'eveningPercent']
+	},
+	'banking_command.recurring_subscriptions': {
+		description: 'Banking Command: Recurring & Subscriptions section',
+		variables: ['subscriptions', 'recurringIncome', 'monthlyOutflow', 'merchantCount', 'priceIncreases', 'missedCharges', 'techMerchants']
+	},
+	'banking_command.cash_flow_forecast': {
+		description: 'Banking Command: Cash-Flow Forecast section',
+		variables: ['horizonDays', 'accounts', 'startingBalance', 'endingBalance', 'lowBalance', 'projectedOverdraftDate', 'recurringIncome', 'recurringBills']
+	},
+	'banking_command.travel_events': {
+		description: 'Banking Command: Travel & Events section',
+		variables: ['travel']
+	},
+	'banking_command.backend_rules': {
+		description: 'Banking Command: Backend Rules, Triggers & Scoring appendix',
+		variables: ['rules', 'actions', 'metrics', 'ruleCount', 'daysInPeriod']
+	}
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const TEMPLATE_STATUSES = ['draft', 'active', 'archived'];
+const EXPERIMENT_STATUSES = ['running', 'paused', 'completed'];
+const MAX_TEMPLATE_LENGTH = 20000;
+
+/**
+ * Prompt Registry Service
+ * Versioned prompt templates that replace the prompts hardcoded in the LLM
+ * services, and experiments that split traffic between versions. Callers
+ * pass their built-in prompt to select(); it is used whenever no active
+ * template or experiment variant applies, so an empty registry changes nothing.
+ */
+class PromptRegistryService {
+	constructor() {
+		this.cacheTTL = parseInt(process.env.PROMPT_REGISTRY_CACHE_TTL || '60000', 10);
+		this.templates = [];
+		this.experiments = [];
+		this.loadedAt = 0;
+		this.loading = null;
+	}
+
+	/**
+	 * Prompt names that accept templates, with their variables
+	 * @returns {Array<Object>}
+	 */
+	listDefinitions() {
+		return Object.entries(PROMPT_DEFINITIONS).map(([name, definition]) => ({ name, ...definition }));
+	}
+
+	/**
+	 * Load templates and running experiments (cached). Archived templates
+	 * are kept so experiments that still reference them resolve.
+	 * @param {boolean} force - Bypass the cache
+	 */
+	async load(force = false) {
+		if (!force && Date.now() - this.loadedAt < this.cacheTTL) return;
+		if (this.loading) return this.loading;
+
+		this.loading = (async () => {
+			try {
+				const [templates, experiments] = await Promise.all([
+					PromptTemplate.findAll(),
+					PromptExperiment.findAll({ where: { status: 'running' } })
+				]);
+
+				this.templates = templates.map(template => template.get({ plain: true }));
+				this.experiments = experiments.map(experiment => experiment.get({ plain: true }));
+				this.loadedAt = Date.now();
+
+				logger.debug(`Loaded ${this.templates.length} prompt templates and ${this.experiments.length} running prompt experiments`);
+			} catch (error) {
+				// Built-in prompts keep working if the tables are unavailable
+				logger.warn(`Failed to load prompt registry, using built-in prompts: ${error.message}`);
+				this.loadedAt = Date.now();
+			} finally {
+				this.loading = null;
+			}
+		})();
+
+		return this.loading;
+	}
+
+	/**
+	 * Pick the template for a request: a running experiment's assigned
+	 * variant first, then the active template. Templates scoped to the query
+	 * type win over ones that apply to every query type.
+	 * @param {string} name - Prompt name
+	 * @param {Object} options
+	 * @param {string} [options.queryType] - Query type of the request
+	 * @param {string} [options.assignmentKey] - Stable key (user ID) so a user keeps the same variant
+	 * @returns {Promise<{template: Object|null, name: string, version: number|string, experimentId: string|null}>}
+	 */
+	async resolve(name, { queryType, assignmentKey } = {}) {
+		await this.load();
+
+		const experiment = this._mostSpecific(
+			this.experiments.filter(candidate => candidate.promptName === name),
+			queryType
+		);
+
+		if (experiment) {
+			const variant = this._assignVariant(experiment, assignmentKey);
+			const template = variant.version === BUILTIN_VERSION
+				? null
+				: this.templates.find(candidate => candidate.name === name && candidate.version === variant.version) || null;
+
+			if (template || variant.version === BUILTIN_VERSION) {
+				return { template, name, version: variant.version, experimentId: experiment.id };
+			}
+
+			logger.warn(`Prompt experiment ${experiment.id} references missing ${name} v${variant.version}, using the built-in prompt`);
+			return { template: null, name, version: BUILTIN_VERSION, experimentId: experiment.id };
+		}
+
+		const template = this._mostSpecific(
+			this.templates.filter(candidate => candidate.name === name && candidate.status === 'active'),
+			queryType
+		);
+
+		return {
+			template: template || null,
+			name,
+			version: template ? template.version : BUILTIN_VERSION,
+			experimentId: null
+		};
+	}
+
+	/**
+	 * Resolve a prompt and render it, falling back to the caller's built-in
+	 * prompt and settings for anything the template leaves unset. Never
+	 * throws: registry problems fall back to the built-in prompt.
+	 * @param {string} name - Prompt name
+	 * @param {Object} options
+	 * @param {string} [options.queryType] - Query type of the request
+	 * @param {string} [options.assignmentKey] - Stable key for experiment assignment
+	 * @param {Object} [options.variables] - Values for the template's {{variables}}
+	 * @param {Object} options.builtin - { prompt, system, temperature, maxTokens }
+	 * @returns {Promise<{prompt: string, system: string, temperature: number, maxTokens: number, info: Object}>}
+	 */
+	async select(name, { queryType, assignmentKey, variables = {}, builtin }) {
+		let resolved;
+		try {
+			resolved = await this.resolve(name, { queryType, assignmentKey });
+		} catch (error) {
+			logger.warn(`Prompt resolution failed for ${name}, using the built-in prompt: ${error.message}`);
+			resolved = { template: null, name, version: BUILTIN_VERSION, experimentId: null };
+		}
+
+		const { template } = resolved;
+		const info = { name, version: resolved.version, experimentId: resolved.experimentId };
+
+		if (!template) {
+			return { ...builtin, info };
+		}
+
+		return {
+			prompt: this.render(template.template, variables),
+			system: template.system ? this.render(template.system, variables) : builtin.system,
+			temperature: template.temperature !== null && template.temperature !== undefined ? template.temperature : builtin.temperature,
+			maxTokens: template.maxTokens || builtin.maxTokens,
+			info
+		};
+	}
+
+	/**
+	 * Substitute {{variables}}; missing values render as an empty string
+	 * @param {string} text - Template text
+	 * @param {Object} variables - Variable values
+	 * @returns {string}
+	 */
+	render(text, variables = {}) {
+		return String(text).replace(VARIABLE_PATTERN, (match, variable) => {
+			const value = variables[variable];
+			if (value === undefined || value === null) return '';
+			return typeof value === 'object' ? JSON.stringify(value) : String(value);
+		});
+	}
+
+	/**
+	 * List templates
+	 * @param {Object} filters - name, status
+	 * @returns {Promise<Array>}
+	 */
+	async listTemplates(filters = {}) {
+		const where = {};
+		if (filters.name) where.name = filters.name;
+		if (filters.status) where.status = filters.status;
+
+		return PromptTemplate.findAll({
+			where,
+			order: [['name', 'ASC'], ['version', 'DESC']]
+		});
+	}
+
+	/**
+	 * Get one template
+	 * @param {string} id - Template ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getTemplate(id) {
+		return PromptTemplate.findByPk(id);
+	}
+
+	/**
+	 * Validate and create the next version of a prompt. Templates are
+	 * immutable; changing a prompt means creating a new version.
+	 * @param {Object} data - name, template, system, queryTypes, temperature, maxTokens, status, description
+	 * @param {string} createdBy - User ID
+	 * @returns {Promise<Object>} - Created template
+	 */
+	async createTemplate(data, createdBy) {
+		const template = this._validateTemplate(data);
+
+		const created = await sequelize.transaction(async (transaction) => {
+			const latest = await PromptTemplate.max('version', { where: { name: template.name }, transaction });
+
+			const record = await PromptTemplate.create({
+				...template,
+				version: (latest || 0) + 1,
+				status: 'draft',
+				createdBy
+			}, { transaction });
+
+			if (template.status === 'active') {
+				await this._activate(record, transaction);
+			}
+			return record;
+		});
+
+		await this.load(true);
+		return created;
+	}
+
+	/**
+	 * Change a template's status or description. Activating a version
+	 * archives the active version with the same query type scope.
+	 * @param {string} id - Template ID
+	 * @param {Object} data - status, description
+	 * @returns {Promise<Object|null>} - Updated template, or null when missing
+	 */
+	async updateTemplate(id, data) {
+		const template = await PromptTemplate.findByPk(id);
+		if (!template) return null;
+
+		const editable = ['status', 'description'];
+		const immutable = Object.keys(data).filter(key => !editable.includes(key));
+		if (immutable.length > 0) {
+			throw this._badRequest(`Templates are versioned; create a new version to change ${immutable.join(', ')}`);
+		}
+
+		if (data.status !== undefined && !TEMPLATE_STATUSES.includes(data.status)) {
+			throw this._badRequest(`status must be one of: ${TEMPLATE_STATUSES.join(', ')}`);
+		}
+
+		if (data.status === 'archived' && await this._usedByRunningExperiment(template)) {
+			const conflict = new Error(`Version ${template.version} of ${template.name} is in a running experiment`);
+			conflict.statusCode = 409;
+			throw conflict;
+		}
+
+		await sequelize.transaction(async (transaction) => {
+			if (data.description !== undefined) template.description = data.description || null;
+
+			if (data.status === 'active') {
+				await this._activate(template, transaction);
+			} else if (data.status !== undefined) {
+				template.status = data.status;
+			}
+			await template.save({ transaction });
+		});
+
+		await this.load(true);
+		return template;
+	}
+
+	/**
+	 * List experiments
+	 * @param {Object} filters - promptName, status
+	 * @returns {Promise<Array>}
+	 */
+	async listExperiments(filters = {}) {
+		const where = {};
+		if (filters.promptName) where.promptName = filters.promptName;
+		if (filters.status) where.status = filters.status;
+
+		return PromptExperiment.findAll({
+			where,
+			order: [['createdAt', 'DESC']]
+		});
+	}
+
+	/**
+	 * Get one experiment
+	 * @param {string} id - Experiment ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getExperiment(id) {
+		return PromptExperiment.findByPk(id);
+	}
+
+	/**
+	 * Validate and create an experiment. It starts running unless status is
+	 * "paused"; only one experiment may run per prompt and query type.
+	 * @param {Object} data - name, promptName, queryTypes, variants, status, description
+	 * @param {string} createdBy - User ID
+	 * @returns {Promise<Object>} - Created experiment
+	 */
+	async createExperiment(data, createdBy) {
+		if (!data.name || typeof data.name !== 'string') {
+			throw this._badRequest('name is required');
+		}
+		this._assertPromptName(data.promptName);
+
+		const status = data.status || 'running';
+		if (!['running', 'paused'].includes(status)) {
+			throw this._badRequest('status must be running or paused');
+		}
+
+		const queryTypes = this._validateQueryTypes(data.queryTypes);
+		const variants = await this._validateVariants(data.promptName, data.variants);
+
+		if (status === 'running') {
+			await this._assertNoOverlap({ promptName: data.promptName, queryTypes });
+		}
+
+		const experiment = await PromptExperiment.create({
+			name: data.name.trim(),
+			promptName: data.promptName,
+			queryTypes,
+			variants,
+			status,
+			description: data.description || null,
+			startedAt: status === 'running' ? new Date() : null,
+			createdBy
+		});
+
+		await this.load(true);
+		return experiment;
+	}
+
+	/**
+	 * Pause, resume or complete an experiment, or change its weights while
+	 * it is not running. Completed experiments cannot be restarted.
+	 * @param {string} id - Experiment ID
+	 * @param {Object} data - status, variants, description
+	 * @returns {Promise<Object|null>} - Updated experiment, or null when missing
+	 */
+	async updateExperiment(id, data) {
+		const experiment = await PromptExperiment.findByPk(id);
+		if (!experiment) return null;
+
+		if (experiment.status === 'completed') {
+			throw this._badRequest('Completed experiments cannot be changed');
+		}
+
+		if (data.status !== undefined && !EXPERIMENT_STATUSES.includes(data.status)) {
+			throw this._badRequest(`status must be one of: ${EXPERIMENT_STATUSES.join(', ')}`);
+		}
+
+		const status = data.status || experiment.status;
+
+		if (data.variants !== undefined) {
+			if (status === 'running') {
+				throw this._badRequest('Pause the experiment before changing its variants');
+			}
+			experiment.variants = await this._validateVariants(experiment.promptName, data.variants);
+		}
+
+		if (status === 'running' && experiment.status !== 'running') {
+			await this._assertNoOverlap(experiment);
+			if (!experiment.startedAt) experiment.startedAt = new Date();
+		}
+		if (status === 'completed') {
+			experiment.endedAt = new Date();
+		}
+
+		experiment.status = status;
+		if (data.description !== undefined) experiment.description = data.description || null;
+
+		await experiment.save();
+		await this.load(true);
+		return experiment;
+	}
+
+	/**
+	 * Outcomes per variant: insight success rate and response time from
+	 * InsightMetrics, tokens and cost from the LLM usage ledger
+	 * @param {string} id - Experiment ID
+	 * @returns {Promise<Object|null>} - Results, or null when the experiment is missing
+	 */
+	async getExperimentResults(id) {
+		const experiment = await PromptExperiment.findByPk(id);
+		if (!experiment) return null;
+
+		const [metrics, usage] = await Promise.all([
+			InsightMetrics.findAll({
+				attributes: [
+					'promptVersion',
+					[sequelize.fn('COUNT', sequelize.col('id')), 'requests'],
+					[sequelize.fn('COUNT', sequelize.literal('CASE WHEN success = true THEN 1 END')), 'successful'],
+					[sequelize.fn('AVG', sequelize.col('responseTime')), 'avgResponseTime']
+				],
+				where: { experimentId: id },
+				group: ['promptVersion'],
+				raw: true
+			}),
+			LlmUsage.findAll({
+				attributes: [
+					'promptVersion',
+					[sequelize.fn('SUM', sequelize.col('calls')), 'calls'],
+					[sequelize.fn('SUM', sequelize.col('totalTokens')), 'totalTokens'],
+					[sequelize.fn('SUM', sequelize.col('costUsd')), 'costUsd'],
+					[sequelize.fn('COUNT', sequelize.col('id')), 'records']
+				],
+				where: { experimentId: id },
+				group: ['promptVersion'],
+				raw: true
+			})
+		]);
+
+		const count = value => parseInt(value, 10) || 0;
+
+		const variants = experiment.variants.map(variant => {
+			const version = String(variant.version);
+			const metric = metrics.find(row => row.promptVersion === version) || {};
+			const spend = usage.find(row => row.promptVersion === version) || {};
+			const requests = count(metric.requests);
+			const successful = count(metric.successful);
+			const records = count(spend.records);
+			const costUsd = Math.round((parseFloat(spend.costUsd) || 0) * 1000000) / 1000000;
+
+			return {
+				version: variant.version,
+				weight: variant.weight,
+				requests,
+				successful,
+				failed: requests - successful,
+				successRate: requests > 0 ? Math.round((successful / requests) * 1000) / 10 : null,
+				avgResponseTime: metric.avgResponseTime ? Math.round(parseFloat(metric.avgResponseTime)) : null,
+				llmCalls: count(spend.calls),
+				totalTokens: count(spend.totalTokens),
+				costUsd,
+				avgCostUsd: records > 0 ? Math.round((costUsd / records) * 1000000) / 1000000 : null
+			};
+		});
+
+		return { experiment, variants };
+	}
+
+	/**
+	 * Make a template the active one for its name and query type scope
+	 * @private
+	 */
+	async _activate(template, transaction) {
+		const active = await PromptTemplate.findAll({
+			where: { name: template.name, status: 'active', id: { [Op.ne]: template.id } },
+			transaction
+		});
+
+		const sameScope = active.filter(other => this._sameScope(other.queryTypes, template.queryTypes));
+		for (const other of sameScope) {
+			await other.update({ status: 'archived' }, { transaction });
+		}
+
+		template.status = 'active';
+		await template.save({ transaction });
+	}
+
+	/**
+	 * Deterministic weighted bucket: the same key always lands on the same variant
+	 * @private
+	 */
+	_assignVariant(experiment, assignmentKey) {
+		const variants = experiment.variants;
+		const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+		const key = assignmentKey ? String(assignmentKey) : crypto.randomBytes(8).toString('hex');
+		const hash = crypto.createHash('md5').update(`${experiment.id}:${key}`).digest();
+		const bucket = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+		let cumulative = 0;
+		for (const variant of variants) {
+			cumulative += variant.weight;
+			if (bucket < cumulative) return variant;
+		}
+		return variants[variants.length - 1];
+	}
+
+	/**
+	 * Candidate covering the query type, preferring query-type-scoped ones,
+	 * then the highest version / latest start
+	 * @private
+	 */
+	_mostSpecific(candidates, queryType) {
+		const covering = candidates.filter(candidate =>
+			!candidate.queryTypes || (queryType && candidate.queryTypes.includes(queryType))
+		);
+
+		return covering.sort((a, b) => {
+			const scoped = (b.queryTypes ? 1 : 0) - (a.queryTypes ? 1 : 0);
+			if (scoped !== 0) return scoped;
+			return (b.version || 0) - (a.version || 0) || new Date(b.startedAt || 0) - new Date(a.startedAt || 0);
+		})[0] || null;
+	}
+
+	/**
+	 * @private
+	 */
+	_sameScope(a, b) {
+		if (!a || !b) return !a && !b;
+		return a.length === b.length && a.every(type => b.includes(type));
+	}
+
+	/**
+	 * @private
+	 */
+	_overlaps(a, b) {
+		return !a || !b || a.some(type => b.includes(type));
+	}
+
+	/**
+	 * @private
+	 */
+	async _assertNoOverlap(experiment) {
+		const running = await PromptExperiment.findAll({
+			where: {
+				promptName: experiment.promptName,
+				status: 'running',
+				...(experiment.id ? { id: { [Op.ne]: experiment.id } } : {})
+			}
+		});
+
+		const overlapping = running.find(other => this._overlaps(other.queryTypes, experiment.queryTypes));
+		if (overlapping) {
+			const conflict = new Error(`Experiment "${overlapping.name}" is already running for ${experiment.promptName} on overlapping query types`);
+			conflict.statusCode = 409;
+			throw conflict;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _usedByRunningExperiment(template) {
+		const running = await PromptExperiment.findAll({
+			where: { promptName: template.name, status: 'running' }
+		});
+		return running.some(experiment => experiment.variants.some(variant => variant.version === template.version));
+	}
+
+	/**
+	 * @private
+	 */
+	_validateTemplate(data) {
+		this._assertPromptName(data.name);
+
+		if (!data.template || typeof data.template !== 'string' || !data.template.trim()) {
+			throw this._badRequest('template is required');
+		}
+		if (data.template.length > MAX_TEMPLATE_LENGTH || (data.system && data.system.length > MAX_TEMPLATE_LENGTH)) {
+			throw this._badRequest(`template and system must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+		}
+		if (data.system !== undefined && data.system !== null && typeof data.system !== 'string') {
+			throw this._badRequest('system must be a string');
+		}
+
+		const allowed = PROMPT_DEFINITIONS[data.name].variables;
+		const referenced = this._referencedVariables(`${data.system || ''}\n${data.template}`);
+		const unknown = referenced.filter(variable => !allowed.includes(variable));
+		if (unknown.length > 0) {
+			throw this._badRequest(`Unknown variable(s) ${unknown.join(', ')} for ${data.name}. Available: ${allowed.join(', ')}`);
+		}
+
+		const temperature = data.temperature === undefined || data.temperature === null ? null : Number(data.temperature);
+		if (temperature !== null && (!Number.isFinite(temperature) || temperature < 0 || temperature > 2)) {
+			throw this._badRequest('temperature must be between 0 and 2');
+		}
+
+		const maxTokens = data.maxTokens === undefined || data.maxTokens === null ? null : Number(data.maxTokens);
+		if (maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 8192)) {
+			throw this._badRequest('maxTokens must be an integer between 1 and 8192');
+		}
+
+		if (data.status !== undefined && !['draft', 'active'].includes(data.status)) {
+			throw this._badRequest('status must be draft or active');
+		}
+
+		return {
+			name: data.name,
+			template: data.template,
+			system: data.system || null,
+			queryTypes: this._validateQueryTypes(data.queryTypes),
+			variables: referenced,
+			temperature,
+			maxTokens,
+			status: data.status || 'draft',
+			description: data.description || null
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	async _validateVariants(promptName, variants) {
+		if (!Array.isArray(variants) || variants.length < 2) {
+			throw this._badRequest('variants must list at least two { version, weight } entries');
+		}
+
+		const normalized = variants.map(variant => ({
+			version: variant && variant.version === BUILTIN_VERSION ? BUILTIN_VERSION : Number(variant && variant.version),
+			weight: variant && variant.weight !== undefined ? Number(variant.weight) : 1
+		}));
+
+		normalized.forEach(variant => {
+			if (variant.version !== BUILTIN_VERSION && !Number.isInteger(variant.version)) {
+				throw this._badRequest(`variant version must be a template version number or "${BUILTIN_VERSION}"`);
+			}
+			if (!Number.isFinite(variant.weight) || variant.weight <= 0) {
+				throw this._badRequest('variant weight must be a positive number');
+			}
+		});
+
+		const versions = normalized.map(variant => variant.version);
+		if (new Set(versions).size !== versions.length) {
+			throw this._badRequest('variant versions must be distinct');
+		}
+
+		const numbered = versions.filter(version => version !== BUILTIN_VERSION);
+		const templates = await PromptTemplate.findAll({
+			where: { name: promptName, version: numbered, status: { [Op.ne]: 'archived' } }
+		});
+		const missing = numbered.filter(version => !templates.some(template => template.version === version));
+		if (missing.length > 0) {
+			throw this._badRequest(`No draft or active ${promptName} template with version ${missing.join(', ')}`);
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * @private
+	 */
+	_validateQueryTypes(queryTypes) {
+		if (queryTypes === undefined || queryTypes === null) return null;
+
+		if (!Array.isArray(queryTypes) || queryTypes.length === 0 ||
+			queryTypes.some(type => typeof type !== 'string' || !type.trim())) {
+			throw this._badRequest('queryTypes must be a non-empty array of query types, or null for all');
+		}
+		return [...new Set(queryTypes.map(type => type.trim()))];
+	}
+
+	/**
+	 * @private
+	 */
+	_assertPromptName(name) {
+		if (!PROMPT_DEFINITIONS[name]) {
+			throw this._badRequest(`Unknown prompt name "${name}". Available: ${Object.keys(PROMPT_DEFINITIONS).join(', ')}`);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_referencedVariables(text) {
+		const variables = new Set();
+		let match;
+		const pattern = new RegExp(VARIABLE_PATTERN.source, 'g');
+		while ((match = pattern.exec(text)) !== null) {
+			variables.add(match[1]);
+		}
+		return [...variables];
+	}
+
+	/**
+	 * @private
+	 */
+	_badRequest(message) {
+		const error = new Error(message);
+		error.statusCode = 400;
+		return error;
+	}
+}
+
+module.exports = new PromptRegistryService();
@@ -0,0 +1,318 @@
+// src/services/provider-health.service.js
+const logger = require('../utils/logger');
+
+const CIRCUIT_STATES = {
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'half_open'
+};
+
+const PROVIDER_MODES = ['auto', 'drained', 'forced'];
+
+/**
+ * Value at a percentile of an ascending list
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+	if (sorted.length === 0) return null;
+	const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+	return sorted[Math.max(index, 0)];
+}
+
+/**
+ * Provider Health Service
+ * Tracks a rolling window of outcomes per LLM provider and runs a circuit
+ * breaker over it, so the LLM factory can skip providers that are failing
+ * instead of paying their timeout on every request. Also holds the runtime
+ * overrides set by admins: a drained provider is never tried, and a forced
+ * provider is the only one tried. State is per process.
+ */
+class ProviderHealthService {
+	constructor() {
+		this.windowMs = parseInt(process.env.LLM_HEALTH_WINDOW_MS || String(5 * 60 * 1000), 10);
+		this.windowSize = parseInt(process.env.LLM_HEALTH_WINDOW_SIZE || '100', 10);
+		this.minRequests = parseInt(process.env.LLM_BREAKER_MIN_REQUESTS || '5', 10);
+		this.errorThreshold = parseFloat(process.env.LLM_BREAKER_ERROR_THRESHOLD || '0.5');
+		this.consecutiveFailureLimit = parseInt(process.env.LLM_BREAKER_CONSECUTIVE_FAILURES || '3', 10);
+		this.cooldownMs = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '30000', 10);
+
+		this.providers = new Map();
+		this.forcedProvider = null;
+	}
+
+	/**
+	 * Get (or create) the state for a provider
+	 * @private
+	 */
+	_state(name) {
+		if (!this.providers.has(name)) {
+			this.providers.set(name, {
+				outcomes: [],
+				circuit: CIRCUIT_STATES.CLOSED,
+				openedAt: null,
+				probeInFlight: false,
+				consecutiveFailures: 0,
+				drained: false,
+				lastError: null,
+				lastSuccessAt: null,
+				lastFailureAt: null,
+				totalRequests: 0,
+				totalFailures: 0
+			});
+		}
+		return this.providers.get(name);
+	}
+
+	/**
+	 * Drop outcomes that are outside the window
+	 * @private
+	 */
+	_prune(state, now = Date.now()) {
+		const cutoff = now - this.windowMs;
+		while (state.outcomes.length > 0 &&
+			(state.outcomes[0].at < cutoff || state.outcomes.length > this.windowSize)) {
+			state.outcomes.shift();
+		}
+	}
+
+	/**
+	 * Whether a request may be sent to the provider now. An open circuit
+	 * becomes half-open after the cooldown and lets a single probe through.
+	 * @param {string} name - Provider name
+	 * @returns {boolean}
+	 */
+	canAttempt(name) {
+		const state = this._state(name);
+
+		if (state.circuit === CIRCUIT_STATES.CLOSED) {
+			return true;
+		}
+
+		if (state.circuit === CIRCUIT_STATES.OPEN) {
+			if (Date.now() - state.openedAt < this.cooldownMs) {
+				return false;
+			}
+			state.circuit = CIRCUIT_STATES.HALF_OPEN;
+			state.probeInFlight = false;
+			logger.info(`LLM provider ${name} circuit half-open, sending a probe request`);
+		}
+
+		// Half-open: one probe at a time
+		if (state.probeInFlight) {
+			return false;
+		}
+		state.probeInFlight = true;
+		return true;
+	}
+
+	/**
+	 * Record a successful request
+	 * @param {string} name - Provider name
+	 * @param {number} latencyMs - Request duration
+	 */
+	recordSuccess(name, latencyMs) {
+		const state = this._state(name);
+		const now = Date.now();
+
+		state.outcomes.push({ at: now, ok: true, latencyMs });
+		state.totalRequests++;
+		state.consecutiveFailures = 0;
+		state.lastSuccessAt = new Date(now);
+		this._prune(state, now);
+
+		if (state.circuit !== CIRCUIT_STATES.CLOSED) {
+			// Failures from before the outage would re-trip the breaker straight away
+			state.outcomes = state.outcomes.slice(-1);
+			state.circuit = CIRCUIT_STATES.CLOSED;
+			state.openedAt = null;
+			state.probeInFlight = false;
+			logger.info(`LLM provider ${name} circuit closed after a successful probe`);
+		}
+	}
+
+	/**
+	 * Record a failed request and trip the breaker when the provider is unhealthy
+	 * @param {string} name - Provider name
+	 * @param {number} latencyMs - Request duration
+	 * @param {Error} error - The failure
+	 */
+	recordFailure(name, latencyMs, error) {
+		const state = this._state(name);
+		const now = Date.now();
+
+		state.outcomes.push({ at: now, ok: false, latencyMs });
+		state.totalRequests++;
+		state.totalFailures++;
+		state.consecutiveFailures++;
+		state.lastFailureAt = new Date(now);
+		state.lastError = error ? error.message : null;
+		this._prune(state, now);
+
+		if (state.circuit === CIRCUIT_STATES.HALF_OPEN) {
+			this._open(name, state, 'probe request failed');
+			return;
+		}
+
+		if (state.circuit !== CIRCUIT_STATES.CLOSED) {
+			return;
+		}
+
+		const failures = state.outcomes.filter(outcome => !outcome.ok).length;
+		const errorRate = failures / state.outcomes.length;
+
+		if (state.consecutiveFailures >= this.consecutiveFailureLimit) {
+			this._open(name, state, `${state.consecutiveFailures} consecutive failures`);
+		} else if (state.outcomes.length >= this.minRequests && errorRate >= this.errorThreshold) {
+			this._open(name, state, `error rate ${Math.round(errorRate * 100)}% over ${state.outcomes.length} requests`);
+		}
+	}
+
+	/**
+	 * Free the half-open probe slot for a request that ended without an
+	 * outcome (it was cancelled), so the next request can probe instead.
+	 * Records nothing in the window.
+	 * @param {string} name - Provider name
+	 */
+	releaseProbe(name) {
+		const state = this._state(name);
+
+		if (state.circuit === CIRCUIT_STATES.HALF_OPEN && state.probeInFlight) {
+			state.probeInFlight = false;
+			logger.info(`LLM provider ${name} probe request cancelled, next request will probe`);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_open(name, state, reason) {
+		state.circuit = CIRCUIT_STATES.OPEN;
+		state.openedAt = Date.now();
+		state.probeInFlight = false;
+		logger.warn(`LLM provider ${name} circuit opened: ${reason}`, {
+			provider: name,
+			cooldownMs: this.cooldownMs,
+			lastError: state.lastError
+		});
+	}
+
+	/**
+	 * Whether an admin has drained the provider
+	 * @param {string} name - Provider name
+	 * @returns {boolean}
+	 */
+	isDrained(name) {
+		return this._state(name).drained;
+	}
+
+	/**
+	 * Provider forced at runtime by an admin, if any
+	 * @returns {string|null}
+	 */
+	getForcedProvider() {
+		return this.forcedProvider;
+	}
+
+	/**
+	 * Set a provider's runtime mode. "drained" takes it out of the fallback
+	 * chain, "forced" sends every request to it (clearing any other forced
+	 * provider) and "auto" clears both.
+	 * @param {string} name - Provider name
+	 * @param {string} mode - auto, drained or forced
+	 */
+	setMode(name, mode) {
+		if (!PROVIDER_MODES.includes(mode)) {
+			const error = new Error(`mode must be one of: ${PROVIDER_MODES.join(', ')}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const state = this._state(name);
+
+		state.drained = mode === 'drained';
+		if (mode === 'forced') {
+			this.forcedProvider = name;
+		} else if (this.forcedProvider === name) {
+			this.forcedProvider = null;
+		}
+
+		logger.info(`LLM provider ${name} set to ${mode}`, { provider: name, mode });
+	}
+
+	/**
+	 * Close the provider's circuit and clear its window
+	 * @param {string} name - Provider name
+	 */
+	reset(name) {
+		const state = this._state(name);
+
+		state.outcomes = [];
+		state.circuit = CIRCUIT_STATES.CLOSED;
+		state.openedAt = null;
+		state.probeInFlight = false;
+		state.consecutiveFailures = 0;
+	}
+
+	/**
+	 * Health snapshot for a provider
+	 * @param {string} name - Provider name
+	 * @returns {Object}
+	 */
+	getHealth(name) {
+		const state = this._state(name);
+		this._prune(state);
+
+		const failures = state.outcomes.filter(outcome => !outcome.ok).length;
+		const latencies = state.outcomes
+			.filter(outcome => outcome.ok)
+			.map(outcome => outcome.latencyMs)
+			.sort((a, b) => a - b);
+
+		let mode = 'auto';
+		if (this.forcedProvider === name) mode = 'forced';
+		else if (state.drained) mode = 'drained';
+
+		return {
+			provider: name,
+			mode,
+			circuit: state.circuit,
+			circuitOpenedAt: state.openedAt ? new Date(state.openedAt) : null,
+			retryAt: state.circuit === CIRCUIT_STATES.OPEN ? new Date(state.openedAt + this.cooldownMs) : null,
+			window: {
+				requests: state.outcomes.length,
+				failures,
+				errorRate: state.outcomes.length > 0 ? Math.round((failures / state.outcomes.length) * 1000) / 1000 : 0,
+				latencyMs: {
+					p50: percentile(latencies, 50),
+					p95: percentile(latencies, 95),
+					p99: percentile(latencies, 99)
+				}
+			},
+			consecutiveFailures: state.consecutiveFailures,
+			totalRequests: state.totalRequests,
+			totalFailures: state.totalFailures,
+			lastSuccessAt: state.lastSuccessAt,
+			lastFailureAt: state.lastFailureAt,
+			lastError: state.lastError
+		};
+	}
+
+	/**
+	 * Breaker settings, for the admin view
+	 * @returns {Object}
+	 */
+	getSettings() {
+		return {
+			windowMs: this.windowMs,
+			windowSize: this.windowSize,
+			minRequests: this.minRequests,
+			errorThreshold: this.errorThreshold,
+			consecutiveFailureLimit: this.consecutiveFailureLimit,
+			cooldownMs: this.cooldownMs
+		};
+	}
+}
+
+module.exports = new ProviderHealthService();
@@ -0,0 +1,418 @@
+// src/services/recurrence-detector.service.js
+const { Op } = require('sequelize');
+const { Transaction, BankUser } = require('../models');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported cadences with their nominal period and allowed date jitter (days)
+const CADENCES = [
+	{ name: 'weekly', days: 7, tolerance: 2, months: 0, minOccurrences: 4 },
+	{ name: 'biweekly', days: 14, tolerance: 3, months: 0, minOccurrences: 3 },
+	{ name: 'monthly', days: 30.44, tolerance: 5, months: 1, minOccurrences: 3 },
+	{ name: 'quarterly', days: 91.31, tolerance: 12, months: 3, minOccurrences: 2 },
+	{ name: 'annual', days: 365.25, tolerance: 25, months: 12, minOccurrences: 2 }
+];
+
+/**
+ * Detects recurring charges and income (subscriptions, bills, payroll) from
+ * transaction history by inferring a cadence from inter-arrival intervals.
+ */
+class RecurrenceDetectorService {
+	constructor() {
+		this.defaultLookbackDays = parseInt(process.env.RECURRENCE_LOOKBACK_DAYS || '400', 10);
+		this.minConfidence = 0.5;
+		this.priceChangeThreshold = 0.05; // 5% above the previous typical amount
+	}
+
+	/**
+	 * Detect recurring series for a stored bank user
+	 * @param {string} clientId - Client ID (bank)
+	 * @param {string} bankUserId - Bank user ID
+	 * @param {Object} options - lookbackDays, asOf, includeInactive
+	 * @returns {Promise<Object>} - Detected series and summary
+	 */
+	async getRecurringForUser(clientId, bankUserId, options = {}) {
+		const asOf = options.asOf ? new Date(options.asOf) : new Date();
+		const lookbackDays = options.lookbackDays || this.defaultLookbackDays;
+
+		const bankUser = await BankUser.findOne({ where: { clientId, bankUserId } });
+		if (!bankUser) {
+			const error = new Error(`Bank user ${bankUserId} not found for client ${clientId}`);
+			error.statusCode = 404;
+			throw error;
+		}
+
+		const transactions = await Transaction.findAll({
+			where: {
+				clientId,
+				bankUserId,
+				date: {
+					[Op.between]: [new Date(asOf.getTime() - lookbackDays * DAY_MS), asOf]
+				}
+			},
+			order: [['date', 'ASC']]
+		});
+
+		logger.info(`Running recurrence detection for bank user ${bankUserId} over ${transactions.length} transactions`, {
+			clientId,
+			lookbackDays
+		});
+
+		return this.detect(transactions, { ...options, asOf });
+	}
+
+	/**
+	 * Latest posted transaction date, capped at today (today when there is none).
+	 * Uploaded statements can end months ago, so this is their "as of" date.
+	 * @param {Array} transactions - Transactions (model instances or plain objects)
+	 * @returns {Date}
+	 */
+	latestTransactionDate(transactions = []) {
+		const now = Date.now();
+		const latest = transactions.reduce((max, tx) => {
+			const time = new Date(tx.date).getTime();
+			return tx.pending || isNaN(time) || time <= max ? max : time;
+		}, -Infinity);
+
+		return new Date(latest === -Infinity ? now : Math.min(latest, now));
+	}
+
+	/**
+	 * Detect recurring series in a list of transactions
+	 * @param {Array} transactions - Transactions (model instances or plain objects)
+	 * @param {Object} options - asOf, includeInactive
+	 * @returns {Object} - { recurring, summary, asOf }
+	 */
+	detect(transactions = [], options = {}) {
+		const asOf = options.asOf ? new Date(options.asOf) : new Date();
+		const groups = new Map();
+
+		transactions.forEach(tx => {
+			if (tx.pending) return;
+
+			const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
+			const date = new Date(tx.date);
+			if (!amount || isNaN(date.getTime())) return;
+
+			const merchant = this._merchantLabel(tx);
+			const key = this.seriesKey(tx);
+			if (!key) return;
+
+			if (!groups.has(key)) {
+				groups.set(key, { merchant, direction: amount < 0 ? 'outflow' : 'inflow', items: [] });
+			}
+
+			groups.get(key).items.push({
+				date,
+				amount: Math.abs(amount),
+				accountId: tx.accountId,
+				category: tx.category
+			});
+		});
+
+		const recurring = [];
+		groups.forEach((group, key) => {
+			const series = this._analyzeSeries(group, key, asOf);
+			if (series && (options.includeInactive || series.status !== 'inactive')) {
+				recurring.push(series);
+			}
+		});
+
+		recurring.sort((a, b) => b.monthlyAmount - a.monthlyAmount);
+
+		return {
+			asOf: asOf.toISOString(),
+			recurring,
+			summary: this._summarize(recurring)
+		};
+	}
+
+	/**
+	 * Key identifying the series a transaction belongs to (direction + merchant)
+	 * @param {Object} tx - Transaction
+	 * @returns {string|null} - Series key, or null when the merchant cannot be identified
+	 */
+	seriesKey(tx) {
+		const amount = typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0);
+		const merchantKey = tx.canonicalMerchantId || this._merchantKey(this._merchantLabel(tx));
+		if (!amount || !merchantKey) return null;
+
+		return `${amount < 0 ? 'outflow' : 'inflow'}:${merchantKey}`;
+	}
+
+	/**
+	 * Expected charge dates for a detected series up to a cut-off date
+	 * @param {Object} series - Series returned by detect()
+	 * @param {Date} until - Last date to project to
+	 * @param {Date} from - Only return dates after this one (defaults to the series' last charge)
+	 * @returns {Array<Date>} - Projected dates
+	 */
+	projectOccurrences(series, until, from = null) {
+		const cadence = CADENCES.find(c => c.name === series.cadence);
+		if (!cadence) return [];
+
+		const dates = [];
+		let next = new Date(series.nextExpectedDate);
+
+		// An overdue bill is assumed to still arrive at the start of the projection;
+		// overdue income is not counted on
+		if (from && next <= from) {
+			while (next <= from) {
+				next = this._addPeriod(next, cadence);
+			}
+			if (series.status === 'missed' && series.direction === 'outflow') {
+				dates.push(new Date(from.getTime() + DAY_MS));
+			}
+		}
+
+		while (next <= until) {
+			dates.push(next);
+			next = this._addPeriod(next, cadence);
+		}
+
+		return dates;
+	}
+
+	/**
+	 * Fit a cadence to one merchant's transactions
+	 * @private
+	 */
+	_analyzeSeries(group, key, asOf) {
+		const items = this._collapseSameDay(group.items.sort((a, b) => a.date - b.date));
+		if (items.length < 2) return null;
+
+		const intervals = [];
+		for (let i = 1; i < items.length; i++) {
+			intervals.push((items[i].date - items[i - 1].date) / DAY_MS);
+		}
+
+		const cadence = this._inferCadence(intervals, items.length);
+		if (!cadence) return null;
+
+		// Classify each interval as on-cadence, on-cadence with skipped charges, or irregular
+		let regular = 0;
+		let missedCharges = 0;
+		intervals.forEach(interval => {
+			const multiple = Math.max(1, Math.round(interval / cadence.days));
+			if (Math.abs(interval - multiple * cadence.days) <= cadence.tolerance * multiple) {
+				regular++;
+				missedCharges += multiple - 1;
+			}
+		});
+
+		const regularity = regular / intervals.length;
+		const amounts = items.map(item => item.amount);
+		const medianAmount = this._median(amounts);
+		const variation = this._coefficientOfVariation(amounts);
+
+		// Tolerate price drift but not wildly varying amounts
+		const amountScore = Math.max(0, 1 - variation / 0.5);
+		const volumeScore = Math.min(1, items.length / (cadence.minOccurrences + 3));
+		const confidence = Number((0.5 * regularity + 0.3 * amountScore + 0.2 * volumeScore).toFixed(2));
+
+		if (regularity < 0.6 || confidence < this.minConfidence) return null;
+
+		const last = items[items.length - 1];
+		const nextExpectedDate = this._addPeriod(last.date, cadence);
+		const overdueDays = (asOf - nextExpectedDate) / DAY_MS;
+
+		let status = 'active';
+		let periodsMissed = 0;
+		if (overdueDays > cadence.tolerance) {
+			periodsMissed = Math.floor(overdueDays / cadence.days) + 1;
+			status = periodsMissed >= 3 ? 'inactive' : 'missed';
+		}
+
+		// After a price change the new price is the best predictor of the next charge
+		const priceChange = this._detectPriceChange(items);
+		const nextExpectedAmount = priceChange
+			? priceChange.currentAmount
+			: this._median(amounts.slice(-3));
+
+		// A fixed-price subscription stays fixed apart from explicit price changes
+		const currentPriceAmounts = priceChange
+			? items.filter(item => item.date >= new Date(priceChange.since)).map(item => item.amount)
+			: amounts;
+		const isFixedPrice = this._coefficientOfVariation(currentPriceAmounts) <= 0.02;
+
+		return {
+			merchant: group.merchant,
+			merchantKey: key,
+			direction: group.direction,
+			type: group.direction === 'inflow'
+				? 'income'
+				: (isFixedPrice ? 'subscription' : 'bill'),
+			cadence: cadence.name,
+			intervalDays: Number(this._median(intervals).toFixed(1)),
+			occurrences: items.length,
+			averageAmount: Number((amounts.reduce((sum, a) => sum + a, 0) / amounts.length).toFixed(2)),
+			medianAmount: Number(medianAmount.toFixed(2)),
+			lastAmount: Number(last.amount.toFixed(2)),
+			amountVariation: Number(variation.toFixed(3)),
+			monthlyAmount: Number((nextExpectedAmount * (30.44 / cadence.days)).toFixed(2)),
+			firstDate: items[0].date.toISOString(),
+			lastDate: last.date.toISOString(),
+			nextExpectedDate: nextExpectedDate.toISOString(),
+			nextExpectedAmount: Number(nextExpectedAmount.toFixed(2)),
+			status,
+			missedCharges: missedCharges + periodsMissed,
+			priceChange,
+			confidence,
+			accountId: this._mostCommon(items.map(item => item.accountId)),
+			category: this._mostCommon(items.map(item => item.category))
+		};
+	}
+
+	/**
+	 * Pick the cadence whose period best matches the median interval
+	 * @private
+	 */
+	_inferCadence(intervals, occurrences) {
+		const median = this._median(intervals);
+
+		return CADENCES.find(cadence =>
+			occurrences >= cadence.minOccurrences &&
+			Math.abs(median - cadence.days) <= cadence.tolerance
+		) || null;
+	}
+
+	/**
+	 * Flag a price increase when the latest charge is above the previous typical amount
+	 * @private
+	 */
+	_detectPriceChange(items) {
+		if (items.length < 3) return null;
+
+		const previous = this._median(items.slice(0, -1).map(item => item.amount));
+		const current = items[items.length - 1].amount;
+		const change = previous > 0 ? (current - previous) / previous : 0;
+
+		if (change > this.priceChangeThreshold && current - previous >= 0.5) {
+			// Find the first charge at the new price
+			let since = items[items.length - 1].date;
+			for (let i = items.length - 2; i >= 0; i--) {
+				if (Math.abs(items[i].amount - current) / current > 0.01) break;
+				since = items[i].date;
+			}
+
+			return {
+				direction: 'increase',
+				previousAmount: Number(previous.toFixed(2)),
+				currentAmount: Number(current.toFixed(2)),
+				changePercent: Number((change * 100).toFixed(1)),
+				since: since.toISOString()
+			};
+		}
+
+		return null;
+	}
+
+	/**
+	 * Totals across all detected series
+	 * @private
+	 */
+	_summarize(recurring) {
+		const active = recurring.filter(series => series.status !== 'inactive');
+		const sum = (list) => Number(list.reduce((total, series) => total + series.monthlyAmount, 0).toFixed(2));
+
+		return {
+			total: recurring.length,
+			subscriptions: active.filter(series => series.type === 'subscription').length,
+			bills: active.filter(series => series.type === 'bill').length,
+			incomeStreams: active.filter(series => series.type === 'income').length,
+			monthlyOutflow: sum(active.filter(series => series.direction === 'outflow')),
+			monthlyInflow: sum(active.filter(series => series.direction === 'inflow')),
+			priceIncreases: recurring.filter(series => series.priceChange).length,
+			missed: recurring.filter(series => series.status === 'missed').length
+		};
+	}
+
+	/**
+	 * Merge same-day charges from one merchant (split authorizations, retries)
+	 * @private
+	 */
+	_collapseSameDay(items) {
+		const collapsed = [];
+		items.forEach(item => {
+			const previous = collapsed[collapsed.length - 1];
+			if (previous && previous.date.toDateString() === item.date.toDateString()) {
+				previous.amount += item.amount;
+			} else {
+				collapsed.push({ ...item });
+			}
+		});
+		return collapsed;
+	}
+
+	/**
+	 * Advance a date by one cadence period, keeping the day of month for monthly cadences
+	 * @private
+	 */
+	_addPeriod(date, cadence) {
+		if (!cadence.months) {
+			return new Date(date.getTime() + cadence.days * DAY_MS);
+		}
+
+		const next = new Date(date);
+		const day = next.getUTCDate();
+		next.setUTCDate(1);
+		next.setUTCMonth(next.getUTCMonth() + cadence.months);
+		const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+		next.setUTCDate(Math.min(day, daysInMonth));
+		return next;
+	}
+
+	/**
+	 * Display name for a transaction's merchant
+	 * @private
+	 */
+	_merchantLabel(tx) {
+		if (tx.canonicalMerchantName) return tx.canonicalMerchantName;
+		if (tx.merchantName) return tx.merchantName;
+		if (!tx.description) return 'Unknown';
+
+		return tx.description
+			.replace(/^(POS |ACH |DEBIT |CREDIT |PMT |PYMT |PUR |PURCH |PURCHASE |CHK |DEB |CRED |ONLINE |WEB |BILL |PAYMENT |AUTOPAY )/i, '')
+			.trim() || 'Unknown';
+	}
+
+	/**
+	 * Grouping key that ignores reference numbers, dates and punctuation
+	 * @private
+	 */
+	_merchantKey(merchant) {
+		return merchant
+			.toLowerCase()
+			.replace(/\d+/g, ' ')
+			.replace(/[^a-z ]/g, ' ')
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+
+	_median(values) {
+		if (values.length === 0) return 0;
+		const sorted = [...values].sort((a, b) => a - b);
+		const mid = Math.floor(sorted.length / 2);
+		return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+	}
+
+	_coefficientOfVariation(values) {
+		const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+		if (!mean) return 0;
+		const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+		return Math.sqrt(variance) / mean;
+	}
+
+	_mostCommon(values) {
+		const counts = new Map();
+		values.filter(v => v).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+		let best = null;
+		counts.forEach((count, value) => {
+			if (!best || count > counts.get(best)) best = value;
+		});
+		return best;
+	}
+}
+
+module.exports = new RecurrenceDetectorService();
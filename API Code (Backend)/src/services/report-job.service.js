@@ -0,0 +1,561 @@
+// src/services/report-job.service.js
+const os = require('os');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ReportJob } = require('../models');
+const logger = require('../utils/logger');
+const reportCache = require('../utils/report-cache');
+const webhookDeliveryService = require('./webhook-delivery.service');
+
+/**
+ * Database-backed queue for asynchronous Banking Command reports.
+ * Jobs survive restarts: anything left pending or orphaned in processing
+ * is picked up again by the next worker tick.
+ */
+class ReportJobService {
+	constructor() {
+		this.initialized = false;
+		// Unique per boot, so a restarted process never mistakes a dead predecessor's
+		// locks for its own, even when it gets the same hostname and pid
+		this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+		this.pollInterval = parseInt(process.env.REPORT_JOB_POLL_INTERVAL || '5000', 10);
+		this.maxConcurrent = parseInt(process.env.REPORT_JOB_CONCURRENCY || '3', 10);
+		this.maxPerClient = parseInt(process.env.REPORT_JOB_MAX_PER_CLIENT || '2', 10);
+		this.maxAttempts = parseInt(process.env.REPORT_JOB_MAX_ATTEMPTS || '3', 10);
+		this.retryBaseDelay = parseInt(process.env.REPORT_JOB_RETRY_DELAY || '30000', 10); // 30 seconds
+		this.staleAfter = parseInt(process.env.REPORT_JOB_STALE_AFTER || '180000', 10); // 3 minutes without heartbeat
+		this.retentionHours = parseInt(process.env.REPORT_JOB_RETENTION_HOURS || '24', 10);
+		this.heartbeatInterval = 30000;
+
+		this.running = new Map(); // jobId -> { clientId, heartbeat }
+		this.pollTimer = null;
+		this.ticking = false;
+		this.lastCleanupAt = 0;
+	}
+
+	/**
+	 * Start the worker loop and resume unfinished jobs
+	 */
+	async initialize() {
+		if (this.initialized) {
+			logger.info('Report job service already initialized');
+			return;
+		}
+
+		logger.info('Initializing report job service', {
+			workerId: this.workerId,
+			maxConcurrent: this.maxConcurrent,
+			maxPerClient: this.maxPerClient
+		});
+
+		try {
+			const resumed = await this.recoverStaleJobs();
+			const pending = await ReportJob.count({ where: { status: 'pending' } });
+
+			logger.info(`Report job service resuming ${pending} pending jobs (${resumed} recovered from interrupted workers)`);
+
+			this.pollTimer = setInterval(() => this.tick(), this.pollInterval);
+			this.initialized = true;
+
+			// Kick off the first pass without waiting for the interval
+			setImmediate(() => this.tick());
+		} catch (error) {
+			logger.error('Error initializing report job service:', error);
+			throw error;
+		}
+	}
+
+	/**
+	 * Stop polling for new jobs (running jobs are left to finish or be recovered)
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+
+		for (const { heartbeat } of this.running.values()) {
+			clearInterval(heartbeat);
+		}
+
+		this.initialized = false;
+		logger.info('Report job service stopped', { runningJobs: this.running.size });
+	}
+
+	/**
+	 * Queue a new report job
+	 * @param {Object} params - Report parameters from the request body
+	 * @param {Object} context - Request context
+	 * @param {string} context.clientId - Client ID of the caller
+	 * @param {string} context.requestedBy - Authenticated user ID
+	 * @returns {Promise<Object>} - Created job
+	 */
+	async enqueue(params, context = {}) {
+		const { userId, timeframe, includeDetailed, format, statementData, callbackUrl } = params;
+		const jobId = this._newJobId();
+
+		const job = await ReportJob.create({
+			jobId,
+			clientId: context.clientId || null,
+			requestedBy: context.requestedBy || null,
+			userId,
+			callbackUrl: callbackUrl || null,
+			status: 'pending',
+			parameters: { userId, timeframe, includeDetailed, format, statementData },
+			progress: 0,
+			progressMessage: 'Queued for processing',
+			maxAttempts: this.maxAttempts,
+			nextRunAt: new Date(),
+			requestedAt: new Date()
+		});
+
+		logger.info('Report job queued', { jobId, userId, clientId: context.clientId });
+
+		// Try to start it right away rather than waiting for the next poll
+		if (this.initialized) {
+			setImmediate(() => this.tick());
+		}
+
+		return job;
+	}
+
+	/**
+	 * Store a job that was answered from the report cache, so its jobId can be
+	 * looked up like any other, and send its report.completed callback
+	 * @param {Object} params - Report parameters from the request body
+	 * @param {Object} report - Cached report
+	 * @param {Object} context - Request context, as for enqueue
+	 * @returns {Promise<Object>} - Completed job
+	 */
+	async recordCompleted(params, report, context = {}) {
+		const { userId, timeframe, includeDetailed, format, statementData, callbackUrl } = params;
+		const now = new Date();
+
+		const job = await ReportJob.create({
+			jobId: this._newJobId(),
+			clientId: context.clientId || null,
+			requestedBy: context.requestedBy || null,
+			userId,
+			callbackUrl: callbackUrl || null,
+			status: 'completed',
+			parameters: { userId, timeframe, includeDetailed, format, statementData },
+			result: report,
+			progress: 100,
+			progressMessage: 'Report served from cache',
+			fromCache: true,
+			maxAttempts: this.maxAttempts,
+			nextRunAt: now,
+			requestedAt: now,
+			startedAt: now,
+			completedAt: now
+		});
+
+		logger.info('Report job answered from cache', { jobId: job.jobId, userId, clientId: context.clientId });
+
+		// Callers may rely on the callback rather than the immediate response
+		await webhookDeliveryService.notifyReportJob(job);
+		return job;
+	}
+
+	/**
+	 * Find a job visible to the caller
+	 * @param {string} jobId - Public job ID
+	 * @param {Object} auth - req.auth of the caller
+	 * @returns {Promise<Object|null>} - Job or null when missing or not owned
+	 */
+	async getJob(jobId, auth = {}) {
+		const job = await ReportJob.findOne({ where: { jobId } });
+
+		if (!job) return null;
+
+		if (auth.role !== 'admin' && job.requestedBy && job.requestedBy !== auth.userId) {
+			return null;
+		}
+
+		return job;
+	}
+
+	/**
+	 * Cancel a pending or processing job
+	 * @param {string} jobId - Public job ID
+	 * @param {Object} auth - req.auth of the caller
+	 * @returns {Promise<Object|null>} - Updated job, or null when not found
+	 */
+	async cancelJob(jobId, auth = {}) {
+		const job = await this.getJob(jobId, auth);
+
+		if (!job) return null;
+
+		if (job.isFinished()) {
+			const error = new Error(`Report job is already ${job.status}`);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		const [updated] = await ReportJob.update({
+			status: 'cancelled',
+			cancelledAt: new Date(),
+			progressMessage: 'Cancelled by request',
+			lockedBy: null,
+			lockedAt: null
+		}, {
+			where: {
+				id: job.id,
+				status: { [Op.in]: ['pending', 'processing'] }
+			}
+		});
+
+		if (!updated) {
+			// The worker finished it between our read and the update
+			await job.reload();
+			const error = new Error(`Report job is already ${job.status}`);
+			error.statusCode = 409;
+			throw error;
+		}
+
+		logger.info('Report job cancelled', { jobId, cancelledBy: auth.userId });
+		return job.reload();
+	}
+
+	/**
+	 * Put jobs whose worker stopped sending heartbeats back on the queue
+	 * @returns {Promise<number>} - Number of jobs recovered
+	 */
+	async recoverStaleJobs() {
+		const staleBefore = new Date(Date.now() - this.staleAfter);
+		const conditions = [
+			{ lockedAt: { [Op.lt]: staleBefore } },
+			{ lockedAt: null }
+		];
+
+		const [recovered] = await ReportJob.update({
+			status: 'pending',
+			lockedBy: null,
+			lockedAt: null,
+			nextRunAt: new Date(),
+			progressMessage: 'Requeued after worker interruption'
+		}, {
+			where: {
+				status: 'processing',
+				lockedBy: { [Op.ne]: this.workerId },
+				[Op.or]: conditions
+			}
+		});
+
+		if (recovered > 0) {
+			logger.warn(`Recovered ${recovered} interrupted report jobs`);
+		}
+
+		return recovered;
+	}
+
+	/**
+	 * One pass of the worker loop: recover, clean up and claim due jobs
+	 */
+	async tick() {
+		if (this.ticking) return;
+		this.ticking = true;
+
+		try {
+			await this.recoverStaleJobs();
+			await this._cleanupOldJobs();
+
+			const freeSlots = this.maxConcurrent - this.running.size;
+			if (freeSlots <= 0) return;
+
+			const candidates = await ReportJob.findAll({
+				where: {
+					status: 'pending',
+					nextRunAt: { [Op.lte]: new Date() }
+				},
+				order: [['nextRunAt', 'ASC'], ['requestedAt', 'ASC']],
+				limit: freeSlots * 4
+			});
+
+			const activeByClient = await this._countActiveByClient(candidates);
+			let started = 0;
+
+			for (const candidate of candidates) {
+				if (started >= freeSlots) break;
+
+				const clientKey = candidate.clientId || '__none__';
+				if ((activeByClient[clientKey] || 0) >= this.maxPerClient) {
+					continue;
+				}
+
+				const claimed = await this._claim(candidate);
+				if (!claimed) continue;
+
+				activeByClient[clientKey] = (activeByClient[clientKey] || 0) + 1;
+				started++;
+
+				// Run without awaiting so other jobs can start in this tick
+				this._run(claimed);
+			}
+		} catch (error) {
+			logger.error('Report job worker tick failed:', error);
+		} finally {
+			this.ticking = false;
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_newJobId() {
+		return `job-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+	}
+
+	/**
+	 * Count processing jobs per client across all workers
+	 * @private
+	 */
+	async _countActiveByClient(candidates) {
+		const clientIds = [...new Set(candidates.map(job => job.clientId).filter(Boolean))];
+		const counts = {};
+
+		if (clientIds.length === 0) {
+			counts.__none__ = [...this.running.values()].filter(r => !r.clientId).length;
+			return counts;
+		}
+
+		const active = await ReportJob.findAll({
+			attributes: ['clientId'],
+			where: {
+				status: 'processing',
+				clientId: { [Op.in]: clientIds }
+			},
+			raw: true
+		});
+
+		active.forEach(({ clientId }) => {
+			counts[clientId] = (counts[clientId] || 0) + 1;
+		});
+		counts.__none__ = [...this.running.values()].filter(r => !r.clientId).length;
+
+		return counts;
+	}
+
+	/**
+	 * Atomically move a pending job to processing for this worker
+	 * @private
+	 */
+	async _claim(job) {
+		const now = new Date();
+		const [claimed] = await ReportJob.update({
+			status: 'processing',
+			lockedBy: this.workerId,
+			lockedAt: now,
+			startedAt: job.startedAt || now,
+			attempts: job.attempts + 1,
+			progress: 10,
+			progressMessage: 'Checking cache...'
+		}, {
+			where: { id: job.id, status: 'pending' }
+		});
+
+		if (!claimed) return null;
+		return job.reload();
+	}
+
+	/**
+	 * Generate the report for a claimed job
+	 * @private
+	 */
+	async _run(job) {
+		const { jobId } = job;
+		const heartbeat = setInterval(() => {
+			this._update(job, { lockedAt: new Date() }).catch(error => {
+				logger.warn(`Report job heartbeat failed for ${jobId}: ${error.message}`);
+			});
+		}, this.heartbeatInterval);
+
+		this.running.set(jobId, { clientId: job.clientId, heartbeat });
+
+		try {
+			const cacheParams = {
+				userId: job.parameters.userId,
+				timeframe: job.parameters.timeframe,
+				includeDetailed: job.parameters.includeDetailed,
+				statementData: job.parameters.statementData
+			};
+
+			const cacheKey = await reportCache.resolveKey(cacheParams).catch(() => null);
+			let report = await reportCache.get(cacheParams);
+			let fromCache = true;
+
+			if (!report) {
+				fromCache = false;
+				await this._update(job, { progress: 20, progressMessage: 'Generating new report...' });
+
+				const bankingCommandService = require('./banking-command.service');
+
+				report = await bankingCommandService.generateReport({
+					...job.parameters,
+					clientId: job.clientId,
+					requestId: jobId,
+					format: 'json', // Always generate JSON for caching
+					onProgress: (progress, message) => {
+						const bounded = Math.max(20, Math.min(90, progress)); // Keep within 20-90 range
+						this._update(job, { progress: bounded, progressMessage: message }).catch(() => { });
+						logger.debug(`Job ${jobId} progress: ${bounded}% - ${message}`);
+					}
+				});
+
+				await reportCache.set(cacheParams, report, null, cacheKey);
+			}
+
+			const saved = await this._update(job, {
+				status: 'completed',
+				result: report,
+				error: null,
+				completedAt: new Date(),
+				progress: 100,
+				progressMessage: fromCache ? 'Report served from cache' : 'Report generation completed',
+				fromCache,
+				lockedBy: null,
+				lockedAt: null
+			});
+
+			if (saved) {
+				logger.info('Async report job completed', {
+					jobId,
+					userId: job.userId,
+					fromCache,
+					attempts: job.attempts,
+					duration: Date.now() - new Date(job.requestedAt).getTime()
+				});
+
+				await job.reload();
+				await webhookDeliveryService.notifyReportJob(job);
+			}
+		} catch (error) {
+			await this._handleFailure(job, error);
+		} finally {
+			clearInterval(heartbeat);
+			this.running.delete(jobId);
+		}
+	}
+
+	/**
+	 * Schedule a retry with exponential backoff or mark the job failed
+	 * @private
+	 */
+	async _handleFailure(job, error) {
+		const canRetry = job.attempts < job.maxAttempts;
+
+		if (canRetry) {
+			const delay = this.retryBaseDelay * Math.pow(2, job.attempts - 1);
+			await this._update(job, {
+				status: 'pending',
+				error: error.message,
+				nextRunAt: new Date(Date.now() + delay),
+				progress: 0,
+				progressMessage: `Attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s`,
+				lockedBy: null,
+				lockedAt: null
+			});
+
+			logger.warn('Async report job failed, retry scheduled', {
+				jobId: job.jobId,
+				attempt: job.attempts,
+				maxAttempts: job.maxAttempts,
+				retryInMs: delay,
+				error: error.message
+			});
+			return;
+		}
+
+		const saved = await this._update(job, {
+			status: 'failed',
+			error: error.message,
+			progress: 0,
+			progressMessage: `Failed: ${error.message}`,
+			completedAt: new Date(),
+			lockedBy: null,
+			lockedAt: null
+		});
+
+		logger.error('Async report job failed', {
+			jobId: job.jobId,
+			userId: job.userId,
+			attempts: job.attempts,
+			error: error.message
+		});
+
+		if (saved) {
+			await job.reload();
+			await webhookDeliveryService.notifyReportJob(job);
+		}
+	}
+
+	/**
+	 * Update a job this worker owns. Updates are dropped once the job has been
+	 * cancelled or taken over by another worker.
+	 * @private
+	 * @returns {Promise<boolean>} - Whether the row was updated
+	 */
+	async _update(job, fields) {
+		const [updated] = await ReportJob.update(fields, {
+			where: {
+				id: job.id,
+				status: 'processing',
+				lockedBy: this.workerId
+			}
+		});
+
+		if (!updated) {
+			logger.info(`Report job ${job.jobId} is no longer owned by this worker, dropping update`);
+		}
+
+		return updated > 0;
+	}
+
+	/**
+	 * Remove finished jobs older than the retention window (at most hourly)
+	 * @private
+	 */
+	async _cleanupOldJobs() {
+		if (Date.now() - this.lastCleanupAt < 60 * 60 * 1000) return;
+		this.lastCleanupAt = Date.now();
+
+		const cutoff = new Date(Date.now() - this.retentionHours * 60 * 60 * 1000);
+		const removed = await ReportJob.destroy({
+			where: {
+				status: { [Op.in]: ['completed', 'failed', 'cancelled'] },
+				updatedAt: { [Op.lt]: cutoff }
+			}
+		});
+
+		if (removed > 0) {
+			logger.info(`Cleaned up ${removed} old report jobs`);
+		}
+	}
+
+	/**
+	 * Queue statistics for health checks
+	 * @returns {Promise<Object>}
+	 */
+	async getStats() {
+		const rows = await ReportJob.findAll({
+			attributes: ['status', [ReportJob.sequelize.fn('COUNT', ReportJob.sequelize.col('id')), 'count']],
+			group: ['status'],
+			raw: true
+		});
+
+		const byStatus = {};
+		rows.forEach(row => {
+			byStatus[row.status] = parseInt(row.count, 10);
+		});
+
+		return {
+			workerId: this.workerId,
+			running: this.running.size,
+			maxConcurrent: this.maxConcurrent,
+			maxPerClient: this.maxPerClient,
+			byStatus
+		};
+	}
+}
+
+module.exports = new ReportJobService();
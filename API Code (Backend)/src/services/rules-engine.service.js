@@ -0,0 +1,644 @@
+// src/services/rules-engine.service.js
+const { Op, UniqueConstraintError } = require('sequelize');
+const { BankingRule, RuleEvaluation, BankUser, Account, Transaction } = require('../models');
+const ruleExpression = require('../utils/rule-expression');
+const recurrenceDetector = require('./recurrence-detector.service');
+const cashFlowForecast = require('./cash-flow-forecast.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RULE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,99}$/;
+const ACTION_PATTERN = /^[A-Za-z0-9_:@.,\-[\]]{1,100}$/;
+const MAX_ACTIONS = 20;
+
+// Keyword sets behind the *_freq metrics (matched against merchant name and description)
+const KEYWORD_PATTERNS = {
+	coffee: /\b(COFFEE|CAFE|STARBUCKS|DUNKIN|PEETS|ESPRESSO)\b/,
+	transit: /\b(TRANSIT|METRO|MTA|BART|SUBWAY|TRAIN|AMTRAK|CLIPPER|PARKING|TOLL)\b/,
+	rideshare: /\b(UBER|LYFT)\b/,
+	gambling: /\b(CASINO|POKER|BETTING|GAMBLE|DRAFTKINGS|FANDUEL)\b/
+};
+
+/**
+ * Metrics available to rule conditions. Map metrics are keyed by category ID
+ * (or merchant ID) and are read with member access: category_spend.groceries.
+ */
+const METRICS = {
+	end_balance: { type: 'number', description: 'Current balance across cash accounts (checking, savings)' },
+	total_balance: { type: 'number', description: 'Current balance across all accounts' },
+	credit_balance: { type: 'number', description: 'Outstanding balance on credit accounts' },
+	credit_limit: { type: 'number', description: 'Combined credit limit' },
+	credit_utilization: { type: 'number', description: 'credit_balance / credit_limit (null without limits)' },
+	has_credit_card: { type: 'boolean', description: 'User has a credit account' },
+	has_loan: { type: 'boolean', description: 'User has a loan or mortgage account' },
+	days_in_period: { type: 'number', description: 'Length of the evaluation window in days' },
+	total_inflows: { type: 'number', description: 'Sum of credits in the window' },
+	total_outflows: { type: 'number', description: 'Sum of debits in the window (positive)' },
+	net_flow: { type: 'number', description: 'total_inflows - total_outflows' },
+	transaction_count: { type: 'number', description: 'Transactions in the window' },
+	avg_daily_spend: { type: 'number', description: 'total_outflows / days_in_period' },
+	liquidity_floor: { type: 'number', description: '2 x avg_daily_spend' },
+	days_of_runway: { type: 'number', description: 'end_balance / avg_daily_spend (null without spend)' },
+	coffee_freq: { type: 'number', description: 'Coffee shop transactions in the window' },
+	transit_freq: { type: 'number', description: 'Transit and commuting transactions in the window' },
+	rideshare_freq: { type: 'number', description: 'Rideshare transactions in the window' },
+	restaurants_freq: { type: 'number', description: 'Dining transactions in the window' },
+	gambling_freq: { type: 'number', description: 'Gambling transactions in the window' },
+	gambling_total: { type: 'number', description: 'Gambling debits in the window' },
+	gambling_ratio: { type: 'number', description: 'gambling_total / total_outflows' },
+	category_spend: { type: 'map', description: 'Debits per category ID in the window' },
+	category_count: { type: 'map', description: 'Debit count per category ID in the window' },
+	merchant_spend: { type: 'map', description: 'Debits per canonical merchant ID in the window' },
+	subscription_count: { type: 'number', description: 'Active recurring subscriptions' },
+	monthly_recurring_outflow: { type: 'number', description: 'Monthly cost of active recurring bills and subscriptions' },
+	monthly_recurring_income: { type: 'number', description: 'Monthly recurring income' },
+	price_increases: { type: 'number', description: 'Recurring charges whose price went up' },
+	missed_recurring: { type: 'number', description: 'Recurring series that missed their expected date' },
+	projected_min_balance_30d: { type: 'number', description: 'Lowest expected combined cash balance over the next 30 days' },
+	days_to_overdraft: { type: 'number', description: 'Days until the expected balance goes negative (null if not within 30 days)' }
+};
+
+// Applied when a client has not defined any rules (mirrors the original report examples)
+const DEFAULT_RULES = [
+	{
+		key: 'liquidity_guardrail',
+		description: 'Balance is close to running out relative to daily spend',
+		condition: 'end_balance < 1.5 * avg_daily_spend',
+		actions: ['enable_overdraft_grace', 'offer_loc_1500'],
+		priority: 100
+	},
+	{
+		key: 'gambling_cap',
+		description: 'Gambling is a large share of spending',
+		condition: 'gambling_ratio > 0.15',
+		actions: ['set_betting_cap', 'alerts@[50,75,100]'],
+		priority: 90
+	},
+	{
+		key: 'coffee_rewards',
+		description: 'Frequent coffee purchases',
+		condition: 'coffee_freq >= 5',
+		actions: ['activate_5pct_cafe_cashback', 'boost_favorite_brands_8pct_90d'],
+		priority: 50
+	},
+	{
+		key: 'transit_bundle',
+		description: 'Regular transit and rideshare use',
+		condition: 'transit_freq + rideshare_freq >= 5',
+		actions: ['activate_transit_rewards', 'offer_commuter_benefits'],
+		priority: 40
+	}
+];
+
+/**
+ * Evaluates client-defined banking rules (condition expression + actions)
+ * against metrics computed from a bank user's accounts and transactions,
+ * and keeps a log of which rules fired for which users.
+ */
+class RulesEngineService {
+	constructor() {
+		this.periodDays = parseInt(process.env.RULES_METRIC_PERIOD_DAYS || '30', 10);
+		this.historyDays = parseInt(process.env.RECURRENCE_LOOKBACK_DAYS || '400', 10);
+	}
+
+	/**
+	 * Metric names and descriptions usable in conditions
+	 * @returns {Array<Object>}
+	 */
+	get metricCatalog() {
+		return Object.entries(METRICS).map(([name, meta]) => ({ name, ...meta }));
+	}
+
+	/**
+	 * Functions usable in conditions
+	 * @returns {Array<string>}
+	 */
+	get functionCatalog() {
+		return ruleExpression.functions;
+	}
+
+	/**
+	 * Built-in rules used when a client has none
+	 * @returns {Array<Object>}
+	 */
+	get defaultRules() {
+		return DEFAULT_RULES;
+	}
+
+	/**
+	 * Compute rule metrics from in-memory data
+	 * @param {Object} input
+	 * @param {Array} input.accounts - Accounts with balances
+	 * @param {Array} input.transactions - Transaction history (older history improves recurring metrics)
+	 * @param {Date} input.asOf - End of the evaluation window
+	 * @param {number} input.periodDays - Length of the evaluation window
+	 * @returns {Object} - Metric name -> value
+	 */
+	computeMetrics({ accounts = [], transactions = [], asOf = new Date(), periodDays = this.periodDays }) {
+		const end = new Date(asOf);
+		const start = new Date(end.getTime() - periodDays * DAY_MS);
+		const plainAccounts = accounts.map(account => account.dataValues ? account.dataValues : account);
+		const plainTransactions = transactions.map(tx => tx.dataValues ? tx.dataValues : tx);
+
+		const windowTransactions = plainTransactions.filter(tx => {
+			const date = new Date(tx.date);
+			return date >= start && date <= end;
+		});
+
+		// Balances
+		const balanceOf = (account) => Number(account.balance || 0);
+		const isType = (account, types) => types.includes((account.type || '').toLowerCase()) ||
+			types.includes((account.subtype || '').toLowerCase());
+		const creditAccounts = plainAccounts.filter(account => isType(account, ['credit', 'credit card']));
+		const loanAccounts = plainAccounts.filter(account => isType(account, ['loan', 'mortgage', 'student', 'auto']));
+		const creditBalance = creditAccounts.reduce((sum, account) => sum + Math.abs(balanceOf(account)), 0);
+		const creditLimit = creditAccounts.reduce((sum, account) => sum + Number(account.creditLimit || 0), 0);
+
+		// Flows in the window
+		let totalInflows = 0;
+		let totalOutflows = 0;
+		const categorySpend = {};
+		const categoryCount = {};
+		const merchantSpend = {};
+		const frequency = { coffee: 0, transit: 0, rideshare: 0, restaurants: 0, gambling: 0 };
+		let gamblingTotal = 0;
+
+		windowTransactions.forEach(tx => {
+			const amount = Number(tx.amount || 0);
+			if (amount >= 0) {
+				totalInflows += amount;
+				return;
+			}
+
+			const spend = Math.abs(amount);
+			totalOutflows += spend;
+
+			const categoryKey = this._categoryKey(tx);
+			categorySpend[categoryKey] = (categorySpend[categoryKey] || 0) + spend;
+			categoryCount[categoryKey] = (categoryCount[categoryKey] || 0) + 1;
+
+			if (tx.canonicalMerchantId) {
+				merchantSpend[tx.canonicalMerchantId] = (merchantSpend[tx.canonicalMerchantId] || 0) + spend;
+			}
+
+			const text = `${tx.merchantName || ''} ${tx.description || ''}`.toUpperCase();
+			const matches = (set) => KEYWORD_PATTERNS[set].test(text);
+			const isRideshare = ['uber', 'lyft'].includes(tx.canonicalMerchantId) || (matches('rideshare') && !/EATS/.test(text));
+
+			if (matches('coffee')) frequency.coffee++;
+			if (isRideshare) frequency.rideshare++;
+			else if (categoryKey === 'transportation' || matches('transit')) frequency.transit++;
+			if (categoryKey === 'dining' || categoryKey === 'food-and-drink') frequency.restaurants++;
+			if (categoryKey === 'gambling' || matches('gambling')) {
+				frequency.gambling++;
+				gamblingTotal += spend;
+			}
+		});
+
+		const avgDailySpend = periodDays > 0 ? totalOutflows / periodDays : 0;
+
+		// Recurring and forecast metrics use the full history
+		const { summary } = recurrenceDetector.detect(plainTransactions, { asOf: end });
+		const forecast = cashFlowForecast.forecast({ accounts: plainAccounts, transactions: plainTransactions, horizonDays: 30, asOf: end });
+		const endBalance = forecast.accounts.length > 0
+			? forecast.combined.startingBalance
+			: plainAccounts.reduce((sum, account) => sum + balanceOf(account), 0);
+		const overdraftDate = forecast.combined.projectedOverdraftDate;
+
+		return {
+			end_balance: this._round(endBalance),
+			total_balance: this._round(plainAccounts.reduce((sum, account) => sum + balanceOf(account), 0)),
+			credit_balance: this._round(creditBalance),
+			credit_limit: this._round(creditLimit),
+			credit_utilization: creditLimit > 0 ? this._round(creditBalance / creditLimit, 4) : null,
+			has_credit_card: creditAccounts.length > 0,
+			has_loan: loanAccounts.length > 0,
+			days_in_period: periodDays,
+			total_inflows: this._round(totalInflows),
+			total_outflows: this._round(totalOutflows),
+			net_flow: this._round(totalInflows - totalOutflows),
+			transaction_count: windowTransactions.length,
+			avg_daily_spend: this._round(avgDailySpend),
+			liquidity_floor: this._round(2 * avgDailySpend),
+			days_of_runway: avgDailySpend > 0 ? this._round(endBalance / avgDailySpend, 1) : null,
+			coffee_freq: frequency.coffee,
+			transit_freq: frequency.transit,
+			rideshare_freq: frequency.rideshare,
+			restaurants_freq: frequency.restaurants,
+			gambling_freq: frequency.gambling,
+			gambling_total: this._round(gamblingTotal),
+			gambling_ratio: totalOutflows > 0 ? this._round(gamblingTotal / totalOutflows, 4) : 0,
+			category_spend: this._roundMap(categorySpend),
+			category_count: categoryCount,
+			merchant_spend: this._roundMap(merchantSpend),
+			subscription_count: summary.subscriptions,
+			monthly_recurring_outflow: summary.monthlyOutflow,
+			monthly_recurring_income: summary.monthlyInflow,
+			price_increases: summary.priceIncreases,
+			missed_recurring: summary.missed,
+			projected_min_balance_30d: forecast.combined.minBalance ? forecast.combined.minBalance.amount : null,
+			days_to_overdraft: overdraftDate
+				? Math.max(0, Math.round((new Date(overdraftDate) - new Date(forecast.asOf)) / DAY_MS))
+				: null
+		};
+	}
+
+	/**
+	 * Evaluate rules against computed metrics
+	 * @param {Array} rules - Rules with key, condition, actions, priority
+	 * @param {Object} metrics - Result of computeMetrics()
+	 * @returns {Array<Object>} - One result per rule, highest priority first
+	 */
+	evaluate(rules, metrics) {
+		return [...rules]
+			.sort((a, b) => (b.priority || 0) - (a.priority || 0))
+			.map(rule => {
+				const result = {
+					ruleId: rule.id || null,
+					key: rule.key,
+					description: rule.description || null,
+					condition: rule.condition,
+					priority: rule.priority || 0,
+					fired: false,
+					actions: [],
+					metrics: {},
+					error: null
+				};
+
+				try {
+					const compiled = this.compileCondition(rule.condition);
+					compiled.identifiers.forEach(name => {
+						result.metrics[name] = metrics[name];
+					});
+
+					result.fired = ruleExpression.evaluate(compiled, metrics) === true;
+					if (result.fired) result.actions = rule.actions || [];
+				} catch (error) {
+					// A broken rule must not stop the others from running
+					result.error = error.message;
+				}
+
+				return result;
+			});
+	}
+
+	/**
+	 * Parse a condition and check that it only references known metrics
+	 * @param {string} condition - Rule condition
+	 * @returns {Object} - Compiled expression
+	 */
+	compileCondition(condition) {
+		const compiled = ruleExpression.compile(condition);
+		const unknown = compiled.identifiers.filter(name => !Object.prototype.hasOwnProperty.call(METRICS, name));
+
+		if (unknown.length > 0) {
+			const error = new Error(`Unknown metric(s): ${unknown.join(', ')}`);
+			error.statusCode = 400;
+			throw error;
+		}
+
+		return compiled;
+	}
+
+	/**
+	 * Active rules for a client, falling back to the built-in defaults
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<Array>}
+	 */
+	async getActiveRules(clientId) {
+		const rules = await BankingRule.findAll({
+			where: { clientId, isActive: true },
+			order: [['priority', 'DESC'], ['key', 'ASC']]
+		});
+
+		return rules.length > 0 ? rules.map(rule => rule.toJSON()) : DEFAULT_RULES;
+	}
+
+	/**
+	 * Evaluate rules for a stored bank user
+	 * @param {string} clientId - Client ID (bank)
+	 * @param {string} bankUserId - Bank user ID
+	 * @param {Object} options
+	 * @param {boolean} options.dryRun - Do not write to the evaluation log
+	 * @param {Array} options.rules - Ad-hoc rule definitions to test instead of the saved rules (dry run only)
+	 * @param {Array} options.ruleKeys - Limit evaluation to these saved rules
+	 * @param {Date} options.asOf - End of the evaluation window
+	 * @param {number} options.periodDays - Length of the evaluation window
+	 * @returns {Promise<Object>} - Metrics, per-rule results and fired actions
+	 */
+	async evaluateForUser(clientId, bankUserId, options = {}) {
+		const asOf = options.asOf ? new Date(options.asOf) : new Date();
+		const periodDays = options.periodDays || this.periodDays;
+
+		if (options.rules && !options.dryRun) {
+			const error = new Error('Ad-hoc rules can only be evaluated as a dry run');
+			error.statusCode = 400;
+			throw error;
+		}
+
+		const bankUser = await BankUser.findOne({ where: { clientId, bankUserId } });
+		if (!bankUser) {
+			const error = new Error(`Bank user ${bankUserId} not found for client ${clientId}`);
+			error.statusCode = 404;
+			throw error;
+		}
+
+		let rules;
+		if (options.rules) {
+			rules = options.rules.map(rule => this._validateRule(rule, { partial: false }));
+		} else {
+			rules = await this.getActiveRules(clientId);
+			if (options.ruleKeys && options.ruleKeys.length > 0) {
+				rules = rules.filter(rule => options.ruleKeys.includes(rule.key));
+			}
+		}
+
+		const historyStart = new Date(asOf.getTime() - Math.max(this.historyDays, periodDays) * DAY_MS);
+		const [accounts, transactions] = await Promise.all([
+			Account.findAll({ where: { clientId, bankUserId, isActive: true } }),
+			Transaction.findAll({
+				where: { clientId, bankUserId, date: { [Op.between]: [historyStart, asOf] } },
+				order: [['date', 'ASC']]
+			})
+		]);
+
+		const metrics = this.computeMetrics({ accounts, transactions, asOf, periodDays });
+		const results = this.evaluate(rules, metrics);
+
+		if (!options.dryRun) {
+			await this._record(clientId, bankUserId, results, 'api');
+		}
+
+		logger.info(`Evaluated ${results.length} rules for bank user ${bankUserId}`, {
+			clientId,
+			dryRun: !!options.dryRun,
+			fired: results.filter(result => result.fired).length
+		});
+
+		return this._summarize(asOf, periodDays, !!options.dryRun, metrics, results);
+	}
+
+	/**
+	 * Evaluate a client's rules against data already loaded (Banking Command reports)
+	 * @param {Object} data - accounts, transactions, dateRange, user
+	 * @param {Object} options - trigger
+	 * @returns {Promise<Object>} - Same shape as evaluateForUser
+	 */
+	async evaluateData(data, options = {}) {
+		const clientId = data.user && data.user.clientId;
+		const bankUserId = data.user && data.user.bankUserId;
+		const asOf = data.dateRange && data.dateRange.endDate ? new Date(data.dateRange.endDate) : new Date();
+		const periodDays = data.dateRange && data.dateRange.startDate
+			? Math.max(1, Math.ceil((asOf - new Date(data.dateRange.startDate)) / DAY_MS))
+			: this.periodDays;
+
+		let rules = DEFAULT_RULES;
+		if (clientId) {
+			try {
+				rules = await this.getActiveRules(clientId);
+			} catch (error) {
+				logger.warn(`Failed to load banking rules for client ${clientId}, using defaults: ${error.message}`);
+			}
+		}
+
+		const metrics = this.computeMetrics({
+			accounts: data.accounts || [],
+			transactions: data.transactions || [],
+			asOf,
+			periodDays
+		});
+		const results = this.evaluate(rules, metrics);
+
+		if (clientId && bankUserId) {
+			try {
+				await this._record(clientId, bankUserId, results, options.trigger || 'report');
+			} catch (error) {
+				logger.warn(`Failed to record rule evaluations for ${bankUserId}: ${error.message}`);
+			}
+		}
+
+		return this._summarize(asOf, periodDays, false, metrics, results);
+	}
+
+	/**
+	 * List a client's rules
+	 * @param {string} clientId - Client ID
+	 * @returns {Promise<Array>}
+	 */
+	async listRules(clientId) {
+		return BankingRule.findAll({
+			where: { clientId },
+			order: [['priority', 'DESC'], ['key', 'ASC']]
+		});
+	}
+
+	/**
+	 * Get one rule
+	 * @param {string} clientId - Client ID
+	 * @param {string} id - Rule ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getRule(clientId, id) {
+		return BankingRule.findOne({ where: { id, clientId } });
+	}
+
+	/**
+	 * Validate and create a rule
+	 * @param {string} clientId - Client ID
+	 * @param {Object} data - key, description, condition, actions, priority, isActive
+	 * @param {string} createdBy - User ID
+	 * @returns {Promise<Object>} - Created rule
+	 */
+	async createRule(clientId, data, createdBy) {
+		const rule = this._validateRule(data, { partial: false });
+
+		try {
+			return await BankingRule.create({
+				clientId,
+				key: rule.key,
+				description: rule.description || null,
+				condition: rule.condition,
+				actions: rule.actions,
+				priority: rule.priority,
+				isActive: data.isActive !== false,
+				createdBy
+			});
+		} catch (error) {
+			throw this._mapUniqueError(error, rule.key);
+		}
+	}
+
+	/**
+	 * Update a rule
+	 * @param {string} clientId - Client ID
+	 * @param {string} id - Rule ID
+	 * @param {Object} data - Fields to change
+	 * @returns {Promise<Object|null>} - Updated rule, or null when missing
+	 */
+	async updateRule(clientId, id, data) {
+		const rule = await BankingRule.findOne({ where: { id, clientId } });
+		if (!rule) return null;
+
+		const changes = this._validateRule(data, { partial: true });
+		if (data.isActive !== undefined) changes.isActive = data.isActive !== false;
+
+		try {
+			return await rule.update(changes);
+		} catch (error) {
+			throw this._mapUniqueError(error, changes.key);
+		}
+	}
+
+	/**
+	 * Delete a rule (its evaluation log is kept)
+	 * @param {string} clientId - Client ID
+	 * @param {string} id - Rule ID
+	 * @returns {Promise<boolean>} - Whether a rule was removed
+	 */
+	async deleteRule(clientId, id) {
+		const removed = await BankingRule.destroy({ where: { id, clientId } });
+		return removed > 0;
+	}
+
+	/**
+	 * Query the evaluation log
+	 * @param {string} clientId - Client ID
+	 * @param {Object} filters - bankUserId, ruleKey, fired, since, limit, offset
+	 * @returns {Promise<Object>} - total and evaluations
+	 */
+	async listEvaluations(clientId, filters = {}) {
+		const where = { clientId };
+		if (filters.bankUserId) where.bankUserId = filters.bankUserId;
+		if (filters.ruleKey) where.ruleKey = filters.ruleKey;
+		if (filters.fired !== undefined) where.fired = filters.fired;
+		if (filters.since) where.createdAt = { [Op.gte]: filters.since };
+
+		const { count, rows } = await RuleEvaluation.findAndCountAll({
+			where,
+			order: [['createdAt', 'DESC']],
+			limit: Math.min(filters.limit || 50, 500),
+			offset: filters.offset || 0
+		});
+
+		return { total: count, evaluations: rows };
+	}
+
+	/**
+	 * Write results to the evaluation log
+	 * @private
+	 */
+	async _record(clientId, bankUserId, results, trigger) {
+		if (results.length === 0) return;
+
+		await RuleEvaluation.bulkCreate(results.map(result => ({
+			clientId,
+			bankUserId,
+			ruleId: result.ruleId,
+			ruleKey: result.key,
+			condition: result.condition,
+			fired: result.fired,
+			actions: result.actions,
+			metrics: result.metrics,
+			error: result.error,
+			trigger
+		})));
+	}
+
+	_summarize(asOf, periodDays, dryRun, metrics, results) {
+		const fired = results.filter(result => result.fired);
+		const actions = [];
+		fired.forEach(result => result.actions.forEach(action => {
+			if (!actions.includes(action)) actions.push(action);
+		}));
+
+		return {
+			asOf: asOf.toISOString(),
+			periodDays,
+			dryRun,
+			metrics,
+			results,
+			fired: fired.map(result => result.key),
+			actions
+		};
+	}
+
+	_validateRule(data, { partial }) {
+		const fail = (message) => {
+			const error = new Error(message);
+			error.statusCode = 400;
+			throw error;
+		};
+
+		if (!data || typeof data !== 'object') fail('Rule definition is required');
+
+		const rule = {};
+		const present = (field) => data[field] !== undefined;
+
+		if (!partial || present('key')) {
+			if (typeof data.key !== 'string' || !RULE_KEY_PATTERN.test(data.key)) {
+				fail('key must be snake_case (a-z, 0-9, _) and start with a letter');
+			}
+			rule.key = data.key;
+		}
+
+		if (!partial || present('condition')) {
+			if (typeof data.condition !== 'string') fail('condition is required');
+			this.compileCondition(data.condition);
+			rule.condition = data.condition;
+		}
+
+		if (!partial || present('actions')) {
+			const actions = data.actions || [];
+			if (!Array.isArray(actions) || actions.length === 0) fail('actions must be a non-empty array');
+			if (actions.length > MAX_ACTIONS) fail(`A rule can have at most ${MAX_ACTIONS} actions`);
+			actions.forEach(action => {
+				if (typeof action !== 'string' || !ACTION_PATTERN.test(action)) {
+					fail(`Invalid action "${action}"; use action codes such as offer_loc_1500`);
+				}
+			});
+			rule.actions = actions;
+		}
+
+		if (!partial || present('priority')) {
+			const priority = data.priority !== undefined ? data.priority : 100;
+			if (!Number.isInteger(priority)) fail('priority must be an integer');
+			rule.priority = priority;
+		}
+
+		if (present('description')) {
+			if (data.description !== null && typeof data.description !== 'string') fail('description must be a string');
+			rule.description = data.description;
+		}
+
+		return rule;
+	}
+
+	_mapUniqueError(error, key) {
+		if (error instanceof UniqueConstraintError) {
+			const conflict = new Error(`A rule with key "${key}" already exists`);
+			conflict.statusCode = 409;
+			return conflict;
+		}
+		return error;
+	}
+
+	_categoryKey(tx) {
+		if (tx.categoryId) return tx.categoryId;
+		return String(tx.category || 'uncategorized')
+			.toLowerCase()
+			.replace(/&/g, ' and ')
+			.replace(/[^a-z0-9]+/g, '-')
+			.replace(/^-+|-+$/g, '') || 'uncategorized';
+	}
+
+	_round(value, digits = 2) {
+		const factor = Math.pow(10, digits);
+		return Math.round(value * factor) / factor;
+	}
+
+	_roundMap(map) {
+		return Object.fromEntries(Object.entries(map).map(([key, value]) => [key, this._round(value)]));
+	}
+}
+
+module.exports = new RulesEngineService();
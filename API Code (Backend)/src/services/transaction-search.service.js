@@ -0,0 +1,424 @@
+// src/services/transaction-search.service.js
+const intentClassifier = require('./intent-classifier.service');
+const { DEFAULT_MERCHANTS } = require('../utils/merchant-catalog');
+const { DEFAULT_TAXONOMY } = require('../utils/category-taxonomy');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DIRECTIONS = ['outflow', 'inflow', 'any'];
+const SORTS = ['date_desc', 'date_asc', 'amount_desc', 'amount_asc'];
+const TRANSFER_PATTERN = /transfer/i;
+const MAX_LIMIT = 200;
+const GROUP_LIMIT = 10;
+
+// Words that say which way the money moved
+const OUTFLOW_PATTERN = /\b(spend|spent|spending|paid|pay|purchases?|bought|charges?|charged|expenses?|cost|costs)\b/i;
+const INFLOW_PATTERN = /\b(income|deposits?|deposited|received|receive|refunds?|refunded|earned|earn|paychecks?|salary|credited)\b/i;
+const ACCOUNT_TYPE_PATTERN = /\b(?:on|from|in|with|my|using)\s+(?:my\s+)?(checking|savings|credit card|credit|debit card)\b/i;
+const ACCOUNT_MASK_PATTERN = /\bending\s+(?:in\s+)?(\d{4})\b/i;
+// Capitalized name after "at"/"from" that isn't in the merchant catalog ("at Joe's Pizza")
+const FREEFORM_MERCHANT_PATTERN = /\b(?:at|from)\s+((?:[A-Z][\w&'.-]*)(?:\s+[A-Z][\w&'.-]*){0,3})/;
+
+/**
+ * Transaction Search Service
+ * Turns a natural-language question ("how much did I spend at Costco in
+ * March?") into a structured filter and runs it over the user's transactions.
+ * The filter is returned alongside the results so clients can show it, let
+ * the user edit it, and send the edited filter back instead of the question.
+ */
+class TransactionSearchService {
+	constructor() {
+		this.catalog = new Map(DEFAULT_MERCHANTS.map(merchant => [merchant.id, {
+			name: merchant.name,
+			patterns: merchant.patterns.map(pattern => new RegExp(pattern, 'i'))
+		}]));
+		this.categoryNames = new Map(DEFAULT_TAXONOMY.categories.map(category => [category.id, category.name]));
+	}
+
+	/**
+	 * Parse a question into a filter
+	 * @param {string} question - Natural-language question
+	 * @param {Object} [options]
+	 * @param {Array} [options.accounts] - The user's accounts, for account references
+	 * @param {Date} [options.now] - Reference date for relative periods
+	 * @returns {Object} - { merchants, categories, dateRange, amountRange, accounts, direction }
+	 */
+	parseQuestion(question, { accounts = [], now = new Date() } = {}) {
+		const text = (question || '').toString();
+		const entities = intentClassifier.extractEntities(text, { now });
+
+		const merchants = entities.merchants.map(merchant => ({ id: merchant.id, name: merchant.name }));
+		if (merchants.length === 0) {
+			const freeform = text.match(FREEFORM_MERCHANT_PATTERN);
+			if (freeform && !entities.categories.some(category => freeform[1].toLowerCase().includes(category.text.toLowerCase()))) {
+				merchants.push({ id: null, name: freeform[1].replace(/[.?!,]+$/, '') });
+			}
+		}
+
+		let direction = 'any';
+		if (INFLOW_PATTERN.test(text) || entities.categories.some(category => category.id === 'income')) {
+			direction = 'inflow';
+		} else if (OUTFLOW_PATTERN.test(text)) {
+			direction = 'outflow';
+		}
+
+		return {
+			merchants,
+			categories: entities.categories
+				.filter(category => category.id !== 'income')
+				.map(category => ({ id: category.id, name: category.name })),
+			dateRange: entities.timePeriod
+				? { start: entities.timePeriod.start, end: entities.timePeriod.end }
+				: null,
+			amountRange: this._amountRange(text, entities.amounts),
+			accounts: this._matchAccounts(text, accounts),
+			direction
+		};
+	}
+
+	/**
+	 * Search transactions
+	 * @param {Object} params
+	 * @param {string} [params.question] - Natural-language question
+	 * @param {Object} [params.filter] - Filter fields that replace the parsed ones
+	 * @param {Array} params.transactions - The user's transactions
+	 * @param {Array} [params.accounts] - The user's accounts
+	 * @param {number} [params.limit] - Page size (max 200)
+	 * @param {number} [params.offset] - Page offset
+	 * @param {string} [params.sort] - date_desc, date_asc, amount_desc or amount_asc
+	 * @param {Date} [params.now] - Reference date for relative periods
+	 * @returns {Object} - { filter, summary, transactions, pagination }
+	 */
+	search({ question, filter: overrides = {}, transactions = [], accounts = [], limit = 50, offset = 0, sort = 'date_desc', now = new Date() }) {
+		if (!SORTS.includes(sort)) {
+			throw this._badRequest(`sort must be one of: ${SORTS.join(', ')}`);
+		}
+
+		const filter = this.resolveFilter(question, overrides, { accounts, now });
+		const matching = transactions
+			.map(tx => ({ ...tx, amount: typeof tx.amount === 'number' ? tx.amount : Number(tx.amount || 0) }))
+			.filter(tx => !isNaN(tx.amount) && this._matches(tx, filter));
+
+		const sorted = this._sort(matching, sort);
+		const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_LIMIT);
+		const start = Math.max(parseInt(offset) || 0, 0);
+
+		return {
+			filter,
+			summary: this._summarize(matching),
+			transactions: sorted.slice(start, start + pageSize),
+			pagination: {
+				total: matching.length,
+				limit: pageSize,
+				offset: start,
+				hasMore: start + pageSize < matching.length
+			}
+		};
+	}
+
+	/**
+	 * Parsed question with client-supplied filter fields applied on top
+	 * @param {string} question - Natural-language question (optional)
+	 * @param {Object} overrides - Filter fields to replace
+	 * @param {Object} options - { accounts, now }
+	 * @returns {Object} - Validated filter, including the question it came from
+	 */
+	resolveFilter(question, overrides = {}, options = {}) {
+		if (!question && Object.keys(overrides || {}).length === 0) {
+			throw this._badRequest('A question or a filter is required');
+		}
+		if (overrides && typeof overrides !== 'object') {
+			throw this._badRequest('filter must be an object');
+		}
+
+		const parsed = question
+			? this.parseQuestion(question, options)
+			: { merchants: [], categories: [], dateRange: null, amountRange: null, accounts: [], direction: 'any' };
+
+		const filter = { question: question || null, ...parsed };
+		['merchants', 'categories', 'dateRange', 'amountRange', 'accounts', 'direction'].forEach(field => {
+			if (overrides && overrides[field] !== undefined) {
+				filter[field] = overrides[field];
+			}
+		});
+
+		return this._validateFilter(filter);
+	}
+
+	/**
+	 * @private
+	 */
+	_validateFilter(filter) {
+		const toList = (value, field) => {
+			if (value === null) return [];
+			if (!Array.isArray(value)) throw this._badRequest(`filter.${field} must be an array`);
+			return value;
+		};
+
+		filter.merchants = toList(filter.merchants, 'merchants').map(merchant => {
+			if (typeof merchant === 'string') {
+				return this.catalog.has(merchant)
+					? { id: merchant, name: this.catalog.get(merchant).name }
+					: { id: null, name: merchant };
+			}
+			if (!merchant || (!merchant.id && !merchant.name)) {
+				throw this._badRequest('Each merchant needs an id or a name');
+			}
+			return { id: merchant.id || null, name: merchant.name || (this.catalog.get(merchant.id) || {}).name || merchant.id };
+		});
+
+		filter.categories = toList(filter.categories, 'categories').map(category => {
+			const id = typeof category === 'string' ? category : category && category.id;
+			if (!id) throw this._badRequest('Each category needs an id');
+			return { id, name: (category && category.name) || this.categoryNames.get(id) || id };
+		});
+
+		filter.accounts = toList(filter.accounts, 'accounts').map(account => {
+			const accountId = typeof account === 'string' ? account : account && account.accountId;
+			if (!accountId) throw this._badRequest('Each account needs an accountId');
+			return { accountId, name: (account && account.name) || null };
+		});
+
+		if (filter.dateRange) {
+			const { start, end } = filter.dateRange;
+			if ((start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+				throw this._badRequest('filter.dateRange start and end must be YYYY-MM-DD');
+			}
+			if (start && end && start > end) {
+				throw this._badRequest('filter.dateRange start must not be after end');
+			}
+			filter.dateRange = { start: start || null, end: end || null };
+		}
+
+		if (filter.amountRange) {
+			const min = filter.amountRange.min === undefined || filter.amountRange.min === null ? null : Number(filter.amountRange.min);
+			const max = filter.amountRange.max === undefined || filter.amountRange.max === null ? null : Number(filter.amountRange.max);
+			if ((min !== null && (isNaN(min) || min < 0)) || (max !== null && (isNaN(max) || max < 0))) {
+				throw this._badRequest('filter.amountRange min and max must be non-negative numbers');
+			}
+			if (min !== null && max !== null && min > max) {
+				throw this._badRequest('filter.amountRange min must not be above max');
+			}
+			filter.amountRange = { min, max };
+		}
+
+		if (!DIRECTIONS.includes(filter.direction)) {
+			throw this._badRequest(`filter.direction must be one of: ${DIRECTIONS.join(', ')}`);
+		}
+
+		return filter;
+	}
+
+	/**
+	 * Amount bounds from "over $100", "under 50 dollars", "around $20" or "between $10 and $40"
+	 * @private
+	 */
+	_amountRange(text, amounts) {
+		if (amounts.length === 0) return null;
+
+		if (amounts.length >= 2 && /\bbetween\b/i.test(text)) {
+			const [low, high] = [amounts[0].value, amounts[1].value].sort((a, b) => a - b);
+			return { min: low, max: high };
+		}
+
+		const amount = amounts[0];
+		switch (amount.comparator) {
+			case 'gt':
+			case 'gte':
+				return { min: amount.value, max: null };
+			case 'lt':
+			case 'lte':
+				return { min: null, max: amount.value };
+			case 'approx':
+				return { min: Math.round(amount.value * 90) / 100, max: Math.round(amount.value * 110) / 100 };
+			case 'eq':
+				return { min: amount.value, max: amount.value };
+			default:
+				// A bare amount ("find the $42.17 charge") means that amount
+				return /\b(charge|payment|transaction|purchase)s?\b/i.test(text)
+					? { min: amount.value, max: amount.value }
+					: null;
+		}
+	}
+
+	/**
+	 * Accounts referred to by name, "ending in 1234" or type ("on my credit card")
+	 * @private
+	 */
+	_matchAccounts(text, accounts) {
+		const lower = text.toLowerCase();
+		const describe = account => ({ accountId: account.accountId, name: account.name || null });
+
+		const byName = accounts.filter(account => account.name && lower.includes(account.name.toLowerCase()));
+		if (byName.length > 0) return byName.map(describe);
+
+		const mask = text.match(ACCOUNT_MASK_PATTERN);
+		if (mask) {
+			return accounts
+				.filter(account => account.mask === mask[1] || String(account.accountId || '').endsWith(mask[1]))
+				.map(describe);
+		}
+
+		const type = text.match(ACCOUNT_TYPE_PATTERN);
+		if (type) {
+			const wanted = type[1].toLowerCase().startsWith('credit') ? 'credit' : type[1].toLowerCase().split(' ')[0];
+			return accounts
+				.filter(account => `${account.type || ''} ${account.subtype || ''}`.toLowerCase().includes(wanted === 'debit' ? 'checking' : wanted))
+				.map(describe);
+		}
+
+		return [];
+	}
+
+	/**
+	 * @private
+	 */
+	_matches(tx, filter) {
+		const date = (tx.date instanceof Date ? tx.date.toISOString() : String(tx.date || '')).slice(0, 10);
+		const absolute = Math.abs(tx.amount);
+
+		if (filter.dateRange) {
+			if (filter.dateRange.start && date < filter.dateRange.start) return false;
+			if (filter.dateRange.end && date > filter.dateRange.end) return false;
+		}
+
+		if (filter.direction === 'outflow' && (tx.amount >= 0 || TRANSFER_PATTERN.test(tx.category || ''))) return false;
+		if (filter.direction === 'inflow' && tx.amount <= 0) return false;
+
+		if (filter.amountRange) {
+			if (filter.amountRange.min !== null && absolute < filter.amountRange.min) return false;
+			if (filter.amountRange.max !== null && absolute > filter.amountRange.max) return false;
+		}
+
+		if (filter.accounts.length > 0 && !filter.accounts.some(account => account.accountId === tx.accountId)) {
+			return false;
+		}
+
+		if (filter.merchants.length > 0 && !filter.merchants.some(merchant => this._matchesMerchant(tx, merchant))) {
+			return false;
+		}
+
+		if (filter.categories.length > 0 && !filter.categories.some(category => this._matchesCategory(tx, category))) {
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * @private
+	 */
+	_matchesMerchant(tx, merchant) {
+		if (merchant.id && tx.canonicalMerchantId) {
+			return tx.canonicalMerchantId === merchant.id;
+		}
+
+		const label = `${tx.merchantName || tx.merchant || ''} ${tx.description || ''}`;
+		const catalogEntry = merchant.id && this.catalog.get(merchant.id);
+		if (catalogEntry && catalogEntry.patterns.some(pattern => pattern.test(label))) {
+			return true;
+		}
+		return Boolean(merchant.name) && label.toLowerCase().includes(merchant.name.toLowerCase());
+	}
+
+	/**
+	 * @private
+	 */
+	_matchesCategory(tx, category) {
+		if (tx.categoryId) {
+			return tx.categoryId === category.id;
+		}
+
+		const txCategory = (tx.category || '').toLowerCase();
+		return txCategory === category.id || txCategory === category.name.toLowerCase();
+	}
+
+	/**
+	 * @private
+	 */
+	_sort(transactions, sort) {
+		const dateOf = tx => new Date(tx.date).getTime() || 0;
+		const comparators = {
+			date_desc: (a, b) => dateOf(b) - dateOf(a),
+			date_asc: (a, b) => dateOf(a) - dateOf(b),
+			amount_desc: (a, b) => Math.abs(b.amount) - Math.abs(a.amount),
+			amount_asc: (a, b) => Math.abs(a.amount) - Math.abs(b.amount)
+		};
+		return [...transactions].sort(comparators[sort]);
+	}
+
+	/**
+	 * Totals over every match (not just the returned page)
+	 * @private
+	 */
+	_summarize(transactions) {
+		const outflows = transactions.filter(tx => tx.amount < 0);
+		const inflows = transactions.filter(tx => tx.amount > 0);
+		const totalOutflow = outflows.reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+		const totalInflow = inflows.reduce((sum, tx) => sum + tx.amount, 0);
+
+		const group = keyOf => {
+			const groups = new Map();
+			transactions.forEach(tx => {
+				const key = keyOf(tx);
+				const entry = groups.get(key) || { key, total: 0, count: 0 };
+				entry.total += Math.abs(tx.amount);
+				entry.count++;
+				groups.set(key, entry);
+			});
+			return Array.from(groups.values())
+				.map(entry => ({ ...entry, total: this._round(entry.total) }))
+				.sort((a, b) => b.total - a.total);
+		};
+
+		const dates = transactions
+			.map(tx => (tx.date instanceof Date ? tx.date.toISOString() : String(tx.date || '')).slice(0, 10))
+			.filter(Boolean)
+			.sort();
+		const largest = transactions.reduce((max, tx) => (!max || Math.abs(tx.amount) > Math.abs(max.amount) ? tx : max), null);
+
+		return {
+			count: transactions.length,
+			totalOutflow: this._round(totalOutflow),
+			totalInflow: this._round(totalInflow),
+			net: this._round(totalInflow - totalOutflow),
+			averageAmount: transactions.length
+				? this._round(transactions.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / transactions.length)
+				: 0,
+			largest: largest ? {
+				transactionId: largest.transactionId || largest.id || null,
+				date: largest.date,
+				description: largest.description || largest.merchantName || null,
+				amount: largest.amount
+			} : null,
+			firstDate: dates[0] || null,
+			lastDate: dates[dates.length - 1] || null,
+			byMerchant: group(tx => tx.canonicalMerchantName || tx.merchantName || tx.description || 'Unknown')
+				.slice(0, GROUP_LIMIT)
+				.map(({ key, ...totals }) => ({ merchant: key, ...totals })),
+			byCategory: group(tx => tx.category || 'Uncategorized')
+				.slice(0, GROUP_LIMIT)
+				.map(({ key, ...totals }) => ({ category: key, ...totals })),
+			byMonth: group(tx => (tx.date instanceof Date ? tx.date.toISOString() : String(tx.date || '')).slice(0, 7))
+				.sort((a, b) => a.key.localeCompare(b.key))
+				.map(({ key, ...totals }) => ({ month: key, ...totals }))
+		};
+	}
+
+	/**
+	 * @private
+	 */
+	_round(value) {
+		return Math.round(value * 100) / 100;
+	}
+
+	/**
+	 * @private
+	 */
+	_badRequest(message) {
+		const error = new Error(message);
+		error.statusCode = 400;
+		return error;
+	}
+}
+
+module.exports = new TransactionSearchService();
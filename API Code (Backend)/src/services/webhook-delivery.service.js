@@ -0,0 +1,364 @@
+// src/services/webhook-delivery.service.js
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { WebhookDelivery, Client } = require('../models');
+const logger = require('../utils/logger');
+const { isPublicHost, publicOnlyLookup } = require('../utils/validation');
+
+// Delay before each retry, indexed by the number of attempts already made
+const DEFAULT_RETRY_SCHEDULE = [
+	60 * 1000, // 1 minute
+	5 * 60 * 1000, // 5 minutes
+	30 * 60 * 1000, // 30 minutes
+	2 * 60 * 60 * 1000, // 2 hours
+	12 * 60 * 60 * 1000 // 12 hours
+];
+
+/**
+ * Signed outbound webhooks for clients.
+ * Each delivery is persisted before it is sent so retries and admin replays
+ * survive restarts. Payloads are signed with HMAC-SHA256 over
+ * `${timestamp}.${body}` using the client secret.
+ */
+class WebhookDeliveryService {
+	constructor() {
+		this.initialized = false;
+		this.pollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL || '15000', 10);
+		this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10);
+		this.retrySchedule = process.env.WEBHOOK_RETRY_SCHEDULE
+			? process.env.WEBHOOK_RETRY_SCHEDULE.split(',').map(ms => parseInt(ms, 10))
+			: DEFAULT_RETRY_SCHEDULE;
+		this.pollTimer = null;
+		this.processing = false;
+
+		// In production callbacks may only reach public addresses, checked again on every connect
+		this.publicOnly = process.env.NODE_ENV === 'production';
+		this.agents = this.publicOnly
+			? {
+				httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+				httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+			}
+			: {};
+	}
+
+	/**
+	 * Start the retry loop
+	 */
+	async initialize() {
+		if (this.initialized) {
+			logger.info('Webhook delivery service already initialized');
+			return;
+		}
+
+		this.pollTimer = setInterval(() => this.processDueDeliveries(), this.pollInterval);
+		this.initialized = true;
+		logger.info('Webhook delivery service initialized', {
+			retrySchedule: this.retrySchedule
+		});
+	}
+
+	/**
+	 * Stop the retry loop
+	 */
+	stop() {
+		if (this.pollTimer) {
+			clearInterval(this.pollTimer);
+			this.pollTimer = null;
+		}
+		this.initialized = false;
+	}
+
+	/**
+	 * Compute the signature header value for a payload
+	 * @param {string} secret - Client secret
+	 * @param {number} timestamp - Unix timestamp in seconds
+	 * @param {string} body - Serialized request body
+	 * @returns {string} - Hex HMAC digest
+	 */
+	sign(secret, timestamp, body) {
+		return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+	}
+
+	/**
+	 * Queue the completion/failure webhook for a finished report job
+	 * @param {Object} job - ReportJob instance
+	 * @returns {Promise<Object|null>} - Delivery, or null when no callback is configured
+	 */
+	async notifyReportJob(job) {
+		try {
+			if (!['completed', 'failed'].includes(job.status)) return null;
+
+			let url = job.callbackUrl;
+			if (!url && job.clientId) {
+				const client = await Client.findOne({ where: { clientId: job.clientId } });
+				url = client?.webhookUrl;
+			}
+
+			if (!url || !job.clientId) return null;
+
+			const event = job.status === 'completed' ? 'report.completed' : 'report.failed';
+			const data = {
+				jobId: job.jobId,
+				status: job.status,
+				userId: job.userId,
+				requestedAt: job.requestedAt,
+				completedAt: job.completedAt,
+				attempts: job.attempts
+			};
+
+			if (job.status === 'completed') {
+				data.resultUrl = `/api/banking-command/report-result/${job.jobId}`;
+				data.fromCache = job.fromCache || false;
+			} else {
+				data.error = job.error;
+			}
+
+			return await this.enqueue({ clientId: job.clientId, event, jobId: job.jobId, url, data });
+		} catch (error) {
+			// Webhooks are best-effort; the job result itself is already stored
+			logger.error(`Failed to queue webhook for report job ${job.jobId}: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Persist a delivery and attempt it immediately
+	 * @param {Object} options
+	 * @returns {Promise<Object>} - Delivery record
+	 */
+	async enqueue({ clientId, event, jobId = null, url, data, replayOf = null }) {
+		const delivery = await WebhookDelivery.create({
+			clientId,
+			event,
+			jobId,
+			url,
+			payload: {
+				event,
+				createdAt: new Date().toISOString(),
+				data
+			},
+			status: 'pending',
+			maxAttempts: this.retrySchedule.length + 1,
+			// Held back from the retry loop while the immediate attempt below runs
+			nextAttemptAt: this._claimUntil(),
+			attemptLog: [],
+			replayOf
+		});
+
+		logger.info('Webhook delivery queued', { deliveryId: delivery.id, clientId, event, jobId });
+
+		// Send right away; failures fall through to the retry loop
+		setImmediate(() => this.attempt(delivery).catch(error => {
+			logger.error(`Webhook delivery ${delivery.id} attempt crashed: ${error.message}`);
+		}));
+
+		return delivery;
+	}
+
+	/**
+	 * Send one delivery attempt and record the outcome
+	 * @param {Object} delivery - WebhookDelivery instance
+	 * @returns {Promise<Object>} - Updated delivery
+	 */
+	async attempt(delivery) {
+		const client = await Client.findOne({ where: { clientId: delivery.clientId } });
+
+		if (!client) {
+			return this._recordAttempt(delivery, { error: 'Client no longer exists', final: true });
+		}
+
+		if (this.publicOnly && !(await isPublicHost(new URL(delivery.url).hostname))) {
+			return this._recordAttempt(delivery, { error: 'Callback host does not resolve to a public address' });
+		}
+
+		const timestamp = Math.floor(Date.now() / 1000);
+		const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id });
+		const signature = this.sign(client.clientSecret, timestamp, body);
+		const startedAt = Date.now();
+
+		try {
+			const response = await axios.post(delivery.url, body, {
+				...this.agents,
+				timeout: this.requestTimeout,
+				maxRedirects: 0,
+				validateStatus: () => true,
+				headers: {
+					'Content-Type': 'application/json',
+					'User-Agent': 'BankingIntelligenceAPI-Webhooks/1.0',
+					'X-Webhook-Id': delivery.id,
+					'X-Webhook-Event': delivery.event,
+					'X-Webhook-Timestamp': String(timestamp),
+					'X-Webhook-Signature': `sha256=${signature}`
+				}
+			});
+
+			const responseBody = typeof response.data === 'string'
+				? response.data
+				: JSON.stringify(response.data ?? '');
+
+			return this._recordAttempt(delivery, {
+				statusCode: response.status,
+				responseBody,
+				duration: Date.now() - startedAt,
+				success: response.status >= 200 && response.status < 300,
+				error: response.status >= 300 ? `Endpoint responded with HTTP ${response.status}` : null
+			});
+		} catch (error) {
+			return this._recordAttempt(delivery, {
+				duration: Date.now() - startedAt,
+				error: error.code ? `${error.code}: ${error.message}` : error.message
+			});
+		}
+	}
+
+	/**
+	 * Store the result of an attempt and schedule the next retry if needed
+	 * @private
+	 */
+	async _recordAttempt(delivery, { statusCode = null, responseBody = null, duration = null, success = false, error = null, final = false }) {
+		const attempts = delivery.attempts + 1;
+		const now = new Date();
+		const attemptLog = [...(delivery.attemptLog || []), {
+			attempt: attempts,
+			at: now.toISOString(),
+			statusCode,
+			duration,
+			error
+		}];
+
+		const update = {
+			attempts,
+			lastAttemptAt: now,
+			responseStatus: statusCode,
+			responseBody: responseBody ? responseBody.substring(0, 2048) : null,
+			lastError: error,
+			attemptLog
+		};
+
+		if (success) {
+			Object.assign(update, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+			logger.info('Webhook delivered', { deliveryId: delivery.id, statusCode, attempts });
+		} else if (final || attempts >= delivery.maxAttempts) {
+			Object.assign(update, { status: 'failed', nextAttemptAt: null });
+			logger.error('Webhook delivery failed permanently', { deliveryId: delivery.id, attempts, error });
+		} else {
+			const delay = this.retrySchedule[Math.min(attempts - 1, this.retrySchedule.length - 1)];
+			Object.assign(update, { status: 'pending', nextAttemptAt: new Date(now.getTime() + delay) });
+			logger.warn('Webhook delivery failed, retry scheduled', {
+				deliveryId: delivery.id,
+				attempts,
+				retryInMs: delay,
+				error
+			});
+		}
+
+		return delivery.update(update);
+	}
+
+	/**
+	 * Retry every pending delivery whose next attempt is due
+	 */
+	async processDueDeliveries() {
+		if (this.processing) return;
+		this.processing = true;
+
+		try {
+			const due = await WebhookDelivery.findAll({
+				where: {
+					status: 'pending',
+					nextAttemptAt: { [Op.lte]: new Date() }
+				},
+				order: [['nextAttemptAt', 'ASC']],
+				limit: 25
+			});
+
+			for (const delivery of due) {
+				// Push the next attempt out first so a concurrent poller skips it
+				const [claimed] = await WebhookDelivery.update(
+					{ nextAttemptAt: this._claimUntil() },
+					{ where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt } }
+				);
+				if (!claimed) continue;
+
+				await this.attempt(delivery);
+			}
+		} catch (error) {
+			logger.error('Error processing webhook deliveries:', error);
+		} finally {
+			this.processing = false;
+		}
+	}
+
+	/**
+	 * Next-attempt time that keeps other pollers off a delivery being sent now
+	 * @private
+	 */
+	_claimUntil() {
+		return new Date(Date.now() + this.requestTimeout * 2);
+	}
+
+	/**
+	 * List deliveries for the admin log
+	 * @param {Object} filters - clientId, status, jobId, event, page, limit
+	 * @returns {Promise<Object>} - Paginated deliveries
+	 */
+	async listDeliveries({ clientId, status, jobId, event, page = 1, limit = 20 } = {}) {
+		const where = {};
+		if (clientId) where.clientId = clientId;
+		if (status) where.status = status;
+		if (jobId) where.jobId = jobId;
+		if (event) where.event = event;
+
+		const { count, rows } = await WebhookDelivery.findAndCountAll({
+			where,
+			order: [['createdAt', 'DESC']],
+			limit,
+			offset: (page - 1) * limit
+		});
+
+		return {
+			deliveries: rows,
+			pagination: {
+				total: count,
+				page,
+				limit,
+				pages: Math.ceil(count / limit)
+			}
+		};
+	}
+
+	/**
+	 * Get one delivery
+	 * @param {string} id - Delivery ID
+	 * @returns {Promise<Object|null>}
+	 */
+	async getDelivery(id) {
+		return WebhookDelivery.findByPk(id);
+	}
+
+	/**
+	 * Send a delivery again as a new, freshly signed delivery
+	 * @param {string} id - Delivery ID to replay
+	 * @returns {Promise<Object|null>} - New delivery, or null when the original is missing
+	 */
+	async replay(id) {
+		const original = await WebhookDelivery.findByPk(id);
+		if (!original) return null;
+
+		logger.info('Replaying webhook delivery', { deliveryId: id });
+
+		return this.enqueue({
+			clientId: original.clientId,
+			event: original.event,
+			jobId: original.jobId,
+			url: original.url,
+			data: original.payload?.data,
+			replayOf: original.id
+		});
+	}
+}
+
+module.exports = new WebhookDeliveryService();
@@ -0,0 +1,67 @@
+// Banking Command report data helpers; no LLM provider is ever called.
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return { Client: defineModel('Client') };
+});
+jest.mock('../config/database', () => ({ sequelize: {} }));
+jest.mock('../services/plaid-products.service', () => ({ getUserProductData: jest.fn() }));
+jest.mock('../services/local-llm.service', () => ({}));
+
+const { Client } = require('../models');
+const plaidProducts = require('../services/plaid-products.service');
+const bankingCommand = require('../services/banking-command.service');
+
+const monthly = (description, amount, dates) => dates.map(date => ({ description, amount, date, accountId: 'acc-1' }));
+
+describe('Banking Command', () => {
+  describe('recurring payments from statement data', () => {
+    test('dates a statement that ended months ago by its own transactions', async () => {
+      const transactions = [
+        ...monthly('NETFLIX.COM', -15.99, ['2025-11-05', '2025-12-05', '2026-01-05', '2026-02-05']),
+        ...monthly('CITY POWER & LIGHT', -82.1, ['2025-11-20', '2025-12-19', '2026-01-21', '2026-02-20'])
+      ];
+
+      const result = await bankingCommand._detectRecurring({ transactions, user: null });
+
+      expect(result.asOf.slice(0, 10)).toBe('2026-02-20');
+      expect(result.recurring.map(series => [series.merchant, series.status])).toEqual(expect.arrayContaining([
+        ['NETFLIX.COM', 'active'],
+        ['CITY POWER & LIGHT', 'active']
+      ]));
+      expect(result.recurring).toHaveLength(2);
+    });
+  });
+
+  describe('Plaid liabilities and investments', () => {
+    const platformUserId = '6f1c2a4e-8b3d-4c5f-9a7e-1d2b3c4d5e6f';
+    const productData = {
+      liabilities: [{ accountId: 'loan-1', type: 'student', balance: 18250 }],
+      investments: { totalValue: 42000, holdings: [] }
+    };
+
+    beforeEach(async () => {
+      Client.reset();
+      plaidProducts.getUserProductData.mockReset().mockResolvedValue(productData);
+      await Client.create({ clientId: 'client-own', userId: platformUserId, status: 'active' });
+      await Client.create({ clientId: 'client-other', userId: '0a9b8c7d-6e5f-4a3b-8c2d-1e0f9a8b7c6d', status: 'active' });
+    });
+
+    test('attaches them to the bank user a platform user\'s Plaid data is synced into', async () => {
+      await expect(bankingCommand._collectPlaidProducts({ bankUserId: platformUserId, clientId: 'client-own' }))
+        .resolves.toEqual(productData);
+      expect(plaidProducts.getUserProductData).toHaveBeenCalledWith(platformUserId);
+    });
+
+    test('gives nothing to another client\'s bank user that reuses the platform user\'s ID', async () => {
+      await expect(bankingCommand._collectPlaidProducts({ bankUserId: platformUserId, clientId: 'client-other' }))
+        .resolves.toEqual({ liabilities: [], investments: null });
+      expect(plaidProducts.getUserProductData).not.toHaveBeenCalled();
+    });
+
+    test('gives nothing to bank users whose ID is not a platform user ID', async () => {
+      await expect(bankingCommand._collectPlaidProducts({ bankUserId: 'cust-1001', clientId: 'client-own' }))
+        .resolves.toEqual({ liabilities: [], investments: null });
+      expect(plaidProducts.getUserProductData).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// Bulk ingestion: upload deduplication, row validation and worker recovery, with models kept in memory.
+const { UniqueConstraintError } = require('sequelize');
+
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return {
+    IngestionJob: defineModel('IngestionJob', { defaults: { attempts: 0 } }),
+    BankUser: defineModel('BankUser'),
+    Account: defineModel('Account'),
+    Transaction: defineModel('Transaction')
+  };
+});
+
+// Merchant and category rules are covered elsewhere
+jest.mock('../services/merchant-normalization.service', () => ({
+  normalizeTransactions: jest.fn(async transactions => transactions)
+}));
+jest.mock('../services/categorization.service', () => ({
+  categorizeTransactions: jest.fn(async transactions => transactions)
+}));
+jest.mock('../utils/report-cache', () => ({ invalidateUser: jest.fn().mockResolvedValue() }));
+
+const { IngestionJob, BankUser, Account, Transaction } = require('../models');
+const reportCache = require('../utils/report-cache');
+const bulkIngestion = require('../services/bulk-ingestion.service');
+
+const CLIENT_ID = 'client-1';
+
+const ndjson = records => records.map(record => JSON.stringify(record)).join('\n');
+const upload = (payload, idempotencyKey) => bulkIngestion.enqueue({
+  clientId: CLIENT_ID,
+  requestedBy: 'admin-1',
+  format: 'ndjson',
+  payload,
+  idempotencyKey
+});
+
+const payload = ndjson([
+  { record_type: 'user', bank_user_id: 'u-1', name: 'Dana Reyes', email: 'dana@example.com' },
+  { record_type: 'account', bank_user_id: 'u-1', account_id: 'chk-1', type: 'depository', balance: 1200 },
+  { record_type: 'transaction', bank_user_id: 'u-1', account_id: 'chk-1', transaction_id: 't-1', date: '2026-09-01', amount: -42.5, description: 'CORNER MARKET' }
+]);
+
+// A job as the worker sees it right after claiming it
+const claimedJob = (jobPayload, values = {}) => IngestionJob.create({
+  jobId: `ingest-${Math.random().toString(36).substring(2, 10)}`,
+  clientId: CLIENT_ID,
+  format: 'ndjson',
+  payload: jobPayload,
+  status: 'processing',
+  attempts: 1,
+  maxAttempts: 3,
+  lockedBy: bulkIngestion.workerId,
+  lockedAt: new Date(),
+  ...values
+});
+
+describe('bulk ingestion', () => {
+  beforeEach(() => {
+    [IngestionJob, BankUser, Account, Transaction].forEach(model => model.reset());
+    jest.restoreAllMocks();
+  });
+
+  describe('queueing uploads', () => {
+    test('returns the existing job when an Idempotency-Key is repeated', async () => {
+      const first = await upload(payload, 'upload-42');
+      const again = await upload(payload, 'upload-42');
+
+      expect(first.duplicate).toBe(false);
+      expect(again).toMatchObject({ duplicate: true, job: { jobId: first.job.jobId } });
+      expect(await IngestionJob.count()).toBe(1);
+
+      await expect(upload(`${payload}\n`, 'upload-42')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('re-queues a failed job when its upload is repeated with the same key', async () => {
+      const { job } = await upload(payload, 'upload-43');
+      await job.update({ status: 'failed', attempts: 3, payload: null, error: 'db down' });
+
+      const again = await upload(payload, 'upload-43');
+
+      expect(again).toMatchObject({ duplicate: false, job: { jobId: job.jobId, status: 'pending', attempts: 0, payload } });
+    });
+
+    test('returns an earlier upload with the same content unless it failed', async () => {
+      const first = await upload(payload);
+      const again = await upload(payload);
+      expect(again).toMatchObject({ duplicate: true, job: { jobId: first.job.jobId } });
+
+      await first.job.update({ status: 'failed' });
+      const retried = await upload(payload);
+      expect(retried.duplicate).toBe(false);
+      expect(retried.job.jobId).not.toBe(first.job.jobId);
+    });
+
+    test('returns the winning job when a concurrent upload inserts the same key first', async () => {
+      const create = IngestionJob.create.bind(IngestionJob);
+      let winner;
+      jest.spyOn(IngestionJob, 'create').mockImplementationOnce(async values => {
+        winner = await create({ ...values, jobId: 'ingest-winner' });
+        throw new UniqueConstraintError({ message: 'Validation error' });
+      });
+
+      const result = await upload(payload, 'upload-44');
+
+      expect(result).toMatchObject({ duplicate: true, job: { jobId: 'ingest-winner' } });
+      expect(result.job.id).toBe(winner.id);
+      expect(await IngestionJob.count()).toBe(1);
+    });
+
+    test('rethrows a unique constraint error without an Idempotency-Key', async () => {
+      jest.spyOn(IngestionJob, 'create').mockRejectedValueOnce(new UniqueConstraintError({ message: 'Validation error' }));
+
+      await expect(upload(payload)).rejects.toBeInstanceOf(UniqueConstraintError);
+    });
+
+    test('rejects CSV uploads without a record type column', async () => {
+      await expect(bulkIngestion.enqueue({ clientId: CLIENT_ID, format: 'csv', payload: 'bank_user_id,name\nu-1,Dana' }))
+        .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/record_type/) });
+    });
+  });
+
+  describe('processing uploads', () => {
+    test('upserts users, accounts and transactions and invalidates cached reports', async () => {
+      const job = await claimedJob(payload);
+
+      const outcome = await bulkIngestion.process(job);
+
+      expect(outcome).toMatchObject({
+        totals: { rows: 3, users: 1, accounts: 1, transactions: 1 },
+        results: { users: 1, accounts: 1, transactions: 1, duplicateRows: 0 },
+        errorCount: 0
+      });
+      expect(await Transaction.findOne({ where: { transactionId: 't-1' } })).toMatchObject({ clientId: CLIENT_ID, amount: -42.5, type: 'expense' });
+      expect(reportCache.invalidateUser).toHaveBeenCalledWith('u-1');
+    });
+
+    test('keeps the last row for a repeated record', async () => {
+      const job = await claimedJob(ndjson([
+        { record_type: 'user', bank_user_id: 'u-1', name: 'Dana Reyes' },
+        { record_type: 'user', bank_user_id: 'u-1', name: 'Dana Reyes-Park' },
+        { record_type: 'account', bank_user_id: 'u-1', account_id: 'chk-1', balance: 100 },
+        { record_type: 'account', bank_user_id: 'u-1', account_id: 'chk-1', balance: 250 }
+      ]));
+
+      const outcome = await bulkIngestion.process(job);
+
+      expect(outcome.results).toMatchObject({ users: 1, accounts: 1, duplicateRows: 2 });
+      expect(await BankUser.findOne({ where: { bankUserId: 'u-1' } })).toMatchObject({ name: 'Dana Reyes-Park' });
+      expect(await Account.findOne({ where: { accountId: 'chk-1' } })).toMatchObject({ balance: 250 });
+      expect(await Account.count()).toBe(1);
+    });
+
+    test('reports rows for unknown users and accounts, and invalid rows, by line', async () => {
+      await BankUser.create({ clientId: CLIENT_ID, bankUserId: 'u-stored' });
+      const job = await claimedJob(ndjson([
+        { record_type: 'account', bank_user_id: 'u-missing', account_id: 'chk-9' },
+        { record_type: 'account', bank_user_id: 'u-stored', account_id: 'sav-1' },
+        { record_type: 'transaction', bank_user_id: 'u-stored', account_id: 'chk-9', transaction_id: 't-9', date: '2026-09-02', amount: -5 },
+        { record_type: 'transaction', bank_user_id: 'u-stored', account_id: 'sav-1', transaction_id: 't-10', date: 'not a date', amount: -5 },
+        { record_type: 'budget', bank_user_id: 'u-stored' }
+      ]) + '\n{not json');
+
+      const outcome = await bulkIngestion.process(job);
+
+      expect(outcome.results).toMatchObject({ accounts: 1, transactions: 0 });
+      expect(outcome.errorCount).toBe(5);
+      expect(outcome.rowErrors).toEqual([
+        { line: 1, type: 'account', id: 'chk-9', errors: ['Unknown bankUserId u-missing'] },
+        { line: 3, type: 'transaction', id: 't-9', errors: ['Unknown accountId chk-9 for bankUserId u-stored'] },
+        { line: 4, type: 'transaction', id: 't-10', errors: ['date is invalid'] },
+        { line: 5, type: 'budget', id: null, errors: ['recordType must be one of user, account, transaction'] },
+        { line: 6, type: null, id: null, errors: [expect.stringMatching(/^Invalid JSON/)] }
+      ]);
+    });
+
+    test('fails an upload over the row limit without retrying', async () => {
+      const { maxRows } = bulkIngestion;
+      bulkIngestion.maxRows = 2;
+      try {
+        const job = await claimedJob(payload);
+
+        await expect(bulkIngestion.process(job)).rejects.toMatchObject({ statusCode: 400, message: 'Upload has 3 rows; the limit is 2' });
+
+        await bulkIngestion._run(job);
+        expect(job).toMatchObject({ status: 'failed', payload: null, lockedBy: null, error: 'Upload has 3 rows; the limit is 2' });
+        expect(await BankUser.count()).toBe(0);
+      } finally {
+        bulkIngestion.maxRows = maxRows;
+      }
+    });
+  });
+
+  describe('worker recovery', () => {
+    const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+    test('requeues jobs whose worker stopped sending heartbeats', async () => {
+      const stale = await claimedJob(payload, { lockedBy: 'crashed-host-1-a1b2c3d4', lockedAt: minutesAgo(10) });
+      const active = await claimedJob(payload, { lockedBy: 'busy-host-2-e5f6a7b8', lockedAt: minutesAgo(1) });
+      const own = await claimedJob(payload, { lockedAt: minutesAgo(10) });
+
+      await expect(bulkIngestion.recoverStaleJobs()).resolves.toBe(1);
+
+      expect(stale).toMatchObject({ status: 'pending', lockedBy: null, lockedAt: null, progressMessage: 'Requeued after worker interruption' });
+      expect(active).toMatchObject({ status: 'processing', lockedBy: 'busy-host-2-e5f6a7b8' });
+      expect(own.status).toBe('processing');
+    });
+
+    test('drops updates for a job another worker has since taken over', async () => {
+      const job = await claimedJob(payload, { lockedBy: 'other-host-3-c9d0e1f2' });
+
+      await expect(bulkIngestion._update(job, { progress: 50 })).resolves.toBe(false);
+      expect(job.progress).toBeUndefined();
+    });
+  });
+});
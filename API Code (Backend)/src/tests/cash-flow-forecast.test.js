@@ -0,0 +1,107 @@
+// Cash-flow forecasting on plain account and transaction lists; the database is never touched.
+jest.mock('../models', () => ({ Transaction: {}, Account: {}, BankUser: {} }));
+
+const cashFlowForecast = require('../services/cash-flow-forecast.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDay = time => new Date(time).toISOString().slice(0, 10);
+
+const checking = { accountId: 'chk-1', name: 'Everyday Checking', type: 'depository', subtype: 'checking', balance: 2000 };
+
+// Payroll on the 1st and rent on the 3rd of every month from November to February
+const recurringHistory = () => ['2025-11', '2025-12', '2026-01', '2026-02'].flatMap(month => [
+  { description: 'ACME PAYROLL', amount: 3000, date: `${month}-01`, accountId: 'chk-1' },
+  { description: 'OAKWOOD APARTMENTS', amount: -1500, date: `${month}-03`, accountId: 'chk-1' }
+]);
+
+// One discretionary purchase a day, `amountFor` picks its size
+const dailySpend = (from, to, amountFor) => {
+  const transactions = [];
+  for (let time = Date.parse(`${from}T00:00:00Z`); time <= Date.parse(`${to}T00:00:00Z`); time += DAY_MS) {
+    const date = isoDay(time);
+    transactions.push({ description: 'CORNER MARKET', amount: -amountFor(date), date, accountId: 'chk-1' });
+  }
+  return transactions;
+};
+
+const dayOf = (forecast, date) => forecast.accounts[0].days.find(day => day.date === date);
+
+describe('cash-flow forecast', () => {
+  test('starts from the latest transaction of a statement that ended months ago', () => {
+    const forecast = cashFlowForecast.forecast({ accounts: [checking], transactions: recurringHistory() });
+
+    expect(forecast.asOf).toBe('2026-02-03T00:00:00.000Z');
+    expect(forecast.accounts[0].days[0].date).toBe('2026-02-04');
+    expect(forecast.assumptions).toMatchObject({ recurringSeries: 2, recurringIncomeMonthly: 3000, recurringBillsMonthly: 1500 });
+  });
+
+  test('places the next payroll and rent on their expected days', () => {
+    const forecast = cashFlowForecast.forecast({ accounts: [checking], transactions: recurringHistory(), horizonDays: 30 });
+    const account = forecast.accounts[0];
+
+    expect(dayOf(forecast, '2026-03-01').events).toEqual([{ merchant: 'ACME PAYROLL', type: expect.any(String), amount: 3000 }]);
+    expect(dayOf(forecast, '2026-03-03').events).toEqual([{ merchant: 'OAKWOOD APARTMENTS', type: expect.any(String), amount: -1500 }]);
+    expect(dayOf(forecast, '2026-02-28').expected).toBe(2000);
+    expect(account.endingBalance).toBe(3500);
+    expect(forecast.combined).toMatchObject({ startingBalance: 2000, endingBalance: 3500, projectedOverdraftDate: null });
+  });
+
+  test('honours an explicit asOf over the latest transaction', () => {
+    const forecast = cashFlowForecast.forecast({
+      accounts: [checking],
+      transactions: recurringHistory(),
+      asOf: new Date('2026-02-15T10:00:00Z')
+    });
+
+    expect(forecast.asOf).toBe('2026-02-15T00:00:00.000Z');
+  });
+
+  test('scales discretionary spend by month of year once a full year is available', () => {
+    const transactions = dailySpend('2025-09-01', '2026-09-30', date => (date.slice(5, 7) === '12' ? 60 : 20));
+    const forecast = cashFlowForecast.forecast({ accounts: [checking], transactions, horizonDays: 90 });
+
+    expect(forecast.asOf).toBe('2026-09-30T00:00:00.000Z');
+    expect(forecast.assumptions.seasonality).toBe('month-of-year');
+    // December spend is three times the usual month, capped at twice the average
+    const { seasonalIndex } = forecast.assumptions;
+    expect(seasonalIndex[11]).toBe(2);
+    expect(seasonalIndex[10]).toBeLessThan(1);
+
+    const drop = (from, to) => dayOf(forecast, from).expected - dayOf(forecast, to).expected;
+    const novemberWeek = drop('2026-11-10', '2026-11-17');
+    const decemberWeek = drop('2026-12-10', '2026-12-17');
+    expect(novemberWeek).toBeGreaterThan(0);
+    expect(decemberWeek / novemberWeek).toBeCloseTo(seasonalIndex[11] / seasonalIndex[10], 1);
+  });
+
+  test('keeps a flat profile with less than a year of history', () => {
+    const transactions = dailySpend('2026-05-01', '2026-09-30', () => 20);
+    const forecast = cashFlowForecast.forecast({ accounts: [checking], transactions });
+
+    expect(forecast.assumptions).toMatchObject({ seasonality: 'none', seasonalIndex: null });
+    expect(forecast.accounts[0].discretionaryDailyAverage).toBe(-20);
+  });
+
+  test('widens the confidence band over the horizon', () => {
+    const transactions = dailySpend('2026-05-01', '2026-09-30', date => [5, 45, 15, 80, 10][Number(date.slice(8)) % 5]);
+    const { accounts: [account], combined } = cashFlowForecast.forecast({ accounts: [checking], transactions, horizonDays: 60 });
+
+    const widths = account.days.map(day => day.high - day.low);
+    widths.slice(1).forEach((width, index) => expect(width).toBeGreaterThanOrEqual(widths[index]));
+    expect(widths[59]).toBeGreaterThan(widths[0] * 5);
+    account.days.forEach(day => {
+      expect(day.low95).toBeLessThanOrEqual(day.low);
+      expect(day.high95).toBeGreaterThanOrEqual(day.high);
+    });
+    expect(combined.days[59].low).toBeCloseTo(account.days[59].low, 1);
+    expect(combined.days[59].high).toBeCloseTo(account.days[59].high, 1);
+  });
+
+  test('leaves credit accounts out of the projection', () => {
+    const card = { accountId: 'cc-1', name: 'Rewards Visa', type: 'credit', balance: -640 };
+    const forecast = cashFlowForecast.forecast({ accounts: [checking, card], transactions: recurringHistory() });
+
+    expect(forecast.accounts.map(account => account.accountId)).toEqual(['chk-1']);
+    expect(forecast.assumptions.excludedAccounts).toBe(1);
+  });
+});
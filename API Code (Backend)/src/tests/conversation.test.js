@@ -0,0 +1,178 @@
+// Persistent conversation store: lookup order, ownership, summarization and retention, with models kept in memory.
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return {
+    sequelize: { transaction: async work => work({ LOCK: { UPDATE: 'UPDATE' } }) },
+    Conversation: defineModel('Conversation', { defaults: { turnCount: 0, summarizedTurns: 0, summary: null, title: null, topics: [] } }),
+    ConversationTurn: defineModel('ConversationTurn')
+  };
+});
+
+const { Conversation, ConversationTurn } = require('../models');
+const conversations = require('../services/conversation.service');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+const conversation = (values = {}) => Conversation.create({
+  userId: 'user-1',
+  subUserId: null,
+  sessionKey: null,
+  lastActivityAt: new Date(),
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  ...values
+});
+
+describe('conversation store', () => {
+  beforeEach(() => {
+    Conversation.reset();
+    ConversationTurn.reset();
+  });
+
+  describe('resolveConversation', () => {
+    test('prefers the conversation ID, then the session key', async () => {
+      const byId = await conversation({ lastActivityAt: minutesAgo(60) });
+      const bySession = await conversation({ sessionKey: 'session-a' });
+
+      await expect(conversations.resolveConversation({ userId: 'user-1', conversationId: byId.id, sessionKey: 'session-a' }))
+        .resolves.toBe(byId);
+      await expect(conversations.resolveConversation({ userId: 'user-1', conversationId: 'not-a-uuid', sessionKey: 'session-a' }))
+        .resolves.toBe(bySession);
+    });
+
+    test('resumes a bank user\'s recent conversation only inside the resume window', async () => {
+      const recent = await conversation({ subUserId: 'bank-user-1', lastActivityAt: minutesAgo(10) });
+      await expect(conversations.resolveConversation({ userId: 'user-1', subUserId: 'bank-user-1' })).resolves.toBe(recent);
+
+      await recent.update({ lastActivityAt: minutesAgo(45) });
+      const started = await conversations.resolveConversation({ userId: 'user-1', subUserId: 'bank-user-1' });
+
+      expect(started.id).not.toBe(recent.id);
+      expect(started).toMatchObject({ userId: 'user-1', subUserId: 'bank-user-1', turnCount: 0 });
+    });
+
+    test('starts a new conversation instead of resuming by time for platform users or an unknown ID', async () => {
+      const recent = await conversation({ lastActivityAt: minutesAgo(1) });
+      const bankRecent = await conversation({ subUserId: 'bank-user-1', lastActivityAt: minutesAgo(1) });
+
+      const platform = await conversations.resolveConversation({ userId: 'user-1' });
+      const unknown = await conversations.resolveConversation({
+        userId: 'user-1',
+        subUserId: 'bank-user-1',
+        conversationId: '00000000-0000-4000-8000-000000000000'
+      });
+
+      expect([recent.id, bankRecent.id]).not.toContain(platform.id);
+      expect([recent.id, bankRecent.id]).not.toContain(unknown.id);
+    });
+
+    test('never resumes an expired conversation', async () => {
+      const expired = await conversation({ sessionKey: 'session-a', expiresAt: minutesAgo(1) });
+
+      const resolved = await conversations.resolveConversation({ userId: 'user-1', conversationId: expired.id, sessionKey: 'session-a' });
+
+      expect(resolved.id).not.toBe(expired.id);
+    });
+
+    test('does not hand one owner\'s conversation to another', async () => {
+      const mine = await conversation({ subUserId: 'bank-user-1', sessionKey: 'session-a' });
+
+      for (const scope of [{ userId: 'user-2', subUserId: 'bank-user-1' }, { userId: 'user-1', subUserId: 'bank-user-2' }, { userId: 'user-1' }]) {
+        const resolved = await conversations.resolveConversation({ ...scope, conversationId: mine.id, sessionKey: 'session-a' });
+        expect(resolved.id).not.toBe(mine.id);
+      }
+    });
+  });
+
+  describe('ownership', () => {
+    test('reports another user\'s or bank user\'s conversation as not found', async () => {
+      const mine = await conversation({ subUserId: 'bank-user-1' });
+
+      await expect(conversations._findOwned('user-1', mine.id, 'bank-user-1')).resolves.toBe(mine);
+      await expect(conversations.deleteConversation('user-2', mine.id, { subUserId: 'bank-user-1' })).rejects.toMatchObject({ statusCode: 404 });
+      await expect(conversations.deleteConversation('user-1', mine.id, { subUserId: 'bank-user-2' })).rejects.toMatchObject({ statusCode: 404 });
+      await expect(conversations.deleteConversation('user-1', mine.id)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(conversations._findOwned('user-1', 'not-a-uuid', 'bank-user-1')).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(await Conversation.count()).toBe(1);
+    });
+  });
+
+  describe('history', () => {
+    const record = async (target, count) => {
+      for (let i = 1; i <= count; i++) {
+        await conversations.recordTurn(target, {
+          query: `Question ${i}?`,
+          response: `Answer ${i}. More detail follows here.`,
+          queryType: 'spending',
+          topics: [`topic-${i}`]
+        });
+      }
+    };
+
+    test('folds all but the most recent turns into a one-line-per-turn summary', async () => {
+      const target = await conversation();
+
+      await record(target, 11);
+
+      expect(target).toMatchObject({ turnCount: 11, summarizedTurns: 5, title: 'Question 1?' });
+      expect(target.summary.split('\n')).toEqual([1, 2, 3, 4, 5].map(i =>
+        `- [spending] User asked "Question ${i}?"; answer: Answer ${i}.`
+      ));
+      expect(target.topics).toHaveLength(10);
+      expect(target.topics[0]).toBe('topic-11');
+
+      const context = await conversations.getContext(target);
+      expect(context.turns.map(turn => turn.sequence)).toEqual([6, 7, 8, 9, 10, 11]);
+      expect(context.conversationHistory.recentQueries[0].query).toBe('Question 11?');
+    });
+
+    test('drops the oldest summary lines once the summary is too long', async () => {
+      const { maxSummaryLength } = conversations;
+      conversations.maxSummaryLength = 120;
+      try {
+        const target = await conversation();
+        await record(target, 11);
+
+        const lines = target.summary.split('\n');
+        expect(lines[0]).toBe('- (earlier turns omitted)');
+        expect(lines[lines.length - 1]).toMatch(/Question 5\?/);
+        expect(lines.slice(1).join('\n').length).toBeLessThanOrEqual(120);
+      } finally {
+        conversations.maxSummaryLength = maxSummaryLength;
+      }
+    });
+  });
+
+  describe('cleanup', () => {
+    test('deletes expired conversations and their turns and keeps active ones', async () => {
+      const expired = await conversation({ expiresAt: minutesAgo(1) });
+      const active = await conversation();
+      await ConversationTurn.create({ conversationId: expired.id, sequence: 1, query: 'old' });
+      await ConversationTurn.create({ conversationId: active.id, sequence: 1, query: 'new' });
+
+      await expect(conversations.cleanup()).resolves.toBe(1);
+
+      expect(await Conversation.findByPk(expired.id)).toBeNull();
+      expect(await Conversation.findByPk(active.id)).toBe(active);
+      expect((await ConversationTurn.findAll()).map(turn => turn.query)).toEqual(['new']);
+    });
+
+    test('keeps only the most recently active conversations per scope', async () => {
+      const { maxPerUser } = conversations;
+      conversations.maxPerUser = 2;
+      try {
+        const oldest = await conversation({ lastActivityAt: minutesAgo(30) });
+        await conversation({ lastActivityAt: minutesAgo(20) });
+        const otherScope = await conversation({ subUserId: 'bank-user-1', lastActivityAt: minutesAgo(90) });
+
+        await conversations.startConversation({ userId: 'user-1' });
+
+        expect(await Conversation.findByPk(oldest.id)).toBeNull();
+        expect(await Conversation.findByPk(otherScope.id)).toBe(otherScope);
+        expect(await Conversation.count({ where: { userId: 'user-1', subUserId: null } })).toBe(2);
+      } finally {
+        conversations.maxPerUser = maxPerUser;
+      }
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// Deterministic financial tools the LLM calls: totals, balance history and month comparisons.
+jest.mock('../models', () => ({ Transaction: {}, BankUser: {} }));
+
+const financialTools = require('../services/financial-tools.service');
+
+const accounts = [
+  { accountId: 'chk', name: 'Everyday Checking', type: 'depository', balance: 1000 },
+  { accountId: 'sav', name: 'Savings', type: 'depository', balance: '5000.00' }
+];
+
+const transactions = [
+  { transactionId: 't1', accountId: 'chk', date: '2026-09-05', amount: -100, category: 'Groceries', description: 'WHOLEFDS MKT 10234', merchantName: 'Whole Foods' },
+  { transactionId: 't2', accountId: 'chk', date: '2026-09-20', amount: -50, category: 'Dining', description: 'CHIPOTLE 0815' },
+  { transactionId: 't3', accountId: 'chk', date: '2026-09-25', amount: 2000, category: 'Income', description: 'ACME PAYROLL' },
+  { transactionId: 't4', accountId: 'chk', date: '2026-09-28', amount: -500, category: 'Transfer', description: 'ONLINE TRANSFER TO SAV' },
+  { transactionId: 't5', accountId: 'sav', date: '2026-09-28', amount: 500, category: 'Transfer', description: 'ONLINE TRANSFER FROM CHK' },
+  { transactionId: 't6', accountId: 'chk', date: '2026-10-03', amount: '-150.00', category: 'Groceries', description: 'WHOLEFDS MKT 10234', merchantName: 'Whole Foods' },
+  { id: 't7', accountId: 'chk', date: '2026-10-10', amount: -30, category: 'Dining', description: 'CHIPOTLE 0815' }
+];
+
+const context = { accounts, transactions, asOf: '2026-10-15T12:00:00Z' };
+const run = (name, args) => financialTools.execute(name, args, context);
+
+describe('financial tools', () => {
+  describe('sum_spending', () => {
+    test('totals the last 30 days of outflows, leaving out transfers and inflows', () => {
+      const { result, sources, error } = run('sum_spending', {});
+
+      expect(error).toBeNull();
+      expect(result).toMatchObject({
+        startDate: '2026-09-16',
+        endDate: '2026-10-15',
+        total: 230,
+        transactionCount: 3,
+        excludes: 'transfers and inflows'
+      });
+      expect(result.groups).toBeUndefined();
+      expect(sources).toEqual(['t2', 't6', 't7']);
+    });
+
+    test('groups by category largest first, with shares of the total', () => {
+      const { result, sources } = run('sum_spending', { startDate: '2026-09-01', endDate: '2026-10-15', groupBy: 'category' });
+
+      expect(result.total).toBe(330);
+      expect(result.groups).toEqual([
+        { category: 'Groceries', total: 250, transactionCount: 2, share: 75.76 },
+        { category: 'Dining', total: 80, transactionCount: 2, share: 24.24 }
+      ]);
+      expect(result.groupsOmitted).toBe(0);
+      expect(sources).toEqual(['t1', 't2', 't6', 't7']);
+    });
+
+    test('groups by month in calendar order and by merchant up to the limit', () => {
+      const range = { startDate: '2026-09-01', endDate: '2026-10-15' };
+
+      expect(run('sum_spending', { ...range, groupBy: 'month' }).result.groups).toEqual([
+        { month: '2026-09', total: 150, transactionCount: 2, share: 45.45 },
+        { month: '2026-10', total: 180, transactionCount: 2, share: 54.55 }
+      ]);
+
+      const { result } = run('sum_spending', { ...range, groupBy: 'merchant', limit: 1 });
+      expect(result.groups).toEqual([{ merchant: 'Whole Foods', total: 250, transactionCount: 2, share: 75.76 }]);
+      expect(result.groupsOmitted).toBe(1);
+    });
+
+    test('filters by category, merchant or description text, and account', () => {
+      const range = { startDate: '2026-09-01', endDate: '2026-10-15' };
+
+      expect(run('sum_spending', { ...range, category: 'dining' }).result).toMatchObject({ total: 80, transactionCount: 2 });
+      expect(run('sum_spending', { ...range, merchant: 'whole' }).result).toMatchObject({ total: 250, filters: { merchant: 'whole' } });
+      expect(run('sum_spending', { ...range, merchant: 'chipotle' }).sources).toEqual(['t2', 't7']);
+      expect(run('sum_spending', { ...range, accountId: 'sav' }).result).toMatchObject({ total: 0, transactionCount: 0 });
+    });
+
+    test('accepts arguments as a JSON string', () => {
+      expect(run('sum_spending', '{"startDate":"2026-10-01","endDate":"2026-10-31"}').result.total).toBe(180);
+    });
+  });
+
+  describe('get_balance_history', () => {
+    test('walks one account back from its current balance day by day', () => {
+      const { result, sources } = run('get_balance_history', { accountId: 'chk', startDate: '2026-10-08', endDate: '2026-10-11', interval: 'day' });
+
+      expect(result.points).toEqual([
+        { date: '2026-10-08', balance: 1030 },
+        { date: '2026-10-09', balance: 1030 },
+        { date: '2026-10-10', balance: 1000 },
+        { date: '2026-10-11', balance: 1000 }
+      ]);
+      expect(result).toMatchObject({
+        accountId: 'chk',
+        currentBalance: 1000,
+        change: -30,
+        lowest: { date: '2026-10-10', balance: 1000 },
+        highest: { date: '2026-10-08', balance: 1030 },
+        historyStart: '2026-09-05'
+      });
+      expect(sources).toEqual(['t7']);
+    });
+
+    test('combines all accounts, where transfers between them cancel out', () => {
+      const { result } = run('get_balance_history', { startDate: '2026-08-01', endDate: '2026-10-15', interval: 'month' });
+
+      expect(result.currentBalance).toBe(6000);
+      expect(result.points).toEqual([
+        { date: '2026-08-31', balance: 4330 },
+        { date: '2026-09-30', balance: 6180 },
+        { date: '2026-10-15', balance: 6000 }
+      ]);
+      expect(result.accounts.map(account => account.accountId)).toEqual(['chk', 'sav']);
+    });
+
+    test('ends weekly points on the last requested day', () => {
+      const { result } = run('get_balance_history', { accountId: 'chk', startDate: '2026-09-30', endDate: '2026-10-15' });
+
+      expect(result.interval).toBe('week');
+      expect(result.points.map(point => point.date)).toEqual(['2026-10-06', '2026-10-13', '2026-10-15']);
+    });
+  });
+
+  describe('compare_months', () => {
+    test('compares the current month with the one before by default', () => {
+      const { result, sources } = run('compare_months', {});
+
+      expect(result.current).toEqual({ month: '2026-10', income: 0, spending: 180, net: -180, transactionCount: 2 });
+      expect(result.previous).toEqual({ month: '2026-09', income: 2000, spending: 150, net: 1850, transactionCount: 3 });
+      expect(result.spending).toEqual({ change: 30, changePercent: 20 });
+      expect(result.income).toEqual({ change: -2000, changePercent: -100 });
+      expect(result.categoryChanges).toEqual([
+        { category: 'Groceries', '2026-10': 150, '2026-09': 100, change: 50, changePercent: 50 },
+        { category: 'Dining', '2026-10': 30, '2026-09': 50, change: -20, changePercent: -40 }
+      ]);
+      expect(result.partialMonth).toBe('2026-10 is in progress (data up to 2026-10-15)');
+      expect(sources).toEqual(['t6', 't7', 't1', 't2', 't3']);
+    });
+
+    test('compares a past month with the one before it, across a year boundary', () => {
+      const { result } = financialTools.execute('compare_months', { month: '2026-01' }, context);
+
+      expect(result.previous.month).toBe('2025-12');
+      expect(result.partialMonth).toBeNull();
+      expect(result.spending).toEqual({ change: 0, changePercent: null });
+    });
+  });
+
+  describe('invalid calls', () => {
+    test.each([
+      ['sum_spending', { groupBy: 'weekday' }, 'groupBy must be one of none, category, merchant, month'],
+      ['sum_spending', { startDate: '10/01/2026' }, 'startDate must be formatted YYYY-MM-DD'],
+      ['sum_spending', { startDate: '2026-10-10', endDate: '2026-10-01' }, 'startDate must be on or before endDate'],
+      ['sum_spending', '{"groupBy":', 'Arguments must be valid JSON'],
+      ['sum_spending', ['category'], 'Arguments must be an object'],
+      ['get_balance_history', { interval: 'year' }, 'interval must be one of day, week, month'],
+      ['get_balance_history', { accountId: 'brokerage' }, 'Unknown accountId "brokerage". Known accounts: chk, sav'],
+      ['compare_months', { month: '2026-13' }, 'month must be formatted YYYY-MM'],
+      ['compare_months', { compareTo: 'last month' }, 'compareTo must be formatted YYYY-MM'],
+      ['project_savings', {}, 'Unknown tool "project_savings"']
+    ])('%s with %j reports an error instead of throwing', (name, args, message) => {
+      expect(run(name, args)).toEqual({ result: { error: message }, sources: [], error: message });
+    });
+  });
+
+  test('caps source IDs at 200', () => {
+    const many = Array.from({ length: 250 }, (_, index) => ({
+      transactionId: `bulk-${index}`, accountId: 'chk', date: '2026-10-01', amount: -1, category: 'Shopping'
+    }));
+
+    const { result, sources } = financialTools.execute('sum_spending', {}, { ...context, transactions: many });
+
+    expect(result.transactionCount).toBe(250);
+    expect(sources).toHaveLength(200);
+  });
+});
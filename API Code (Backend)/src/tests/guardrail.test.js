@@ -0,0 +1,147 @@
+// LLM output guardrails: PII scrubbing, investment advice removal, number checks and streaming.
+jest.mock('../models', () => ({ GuardrailVerdict: { create: jest.fn() } }));
+
+const { GuardrailVerdict } = require('../models');
+const guardrails = require('../services/guardrail.service');
+const { INVESTMENT_ADVICE_DISCLAIMER } = require('../utils/guardrail-rules');
+
+const context = {
+  accounts: [{ accountId: 'chk', type: 'depository', balance: 2450.75, accountNumber: '998877665544' }],
+  transactions: [
+    { date: '2026-09-03', amount: -120.5, category: 'groceries', merchantName: 'Whole Foods' },
+    { date: '2026-09-10', amount: -79.5, category: 'dining', merchantName: 'Chipotle' },
+    { date: '2026-09-15', amount: 3000, category: 'income' }
+  ],
+  userProfile: { email: 'pat@example.com' }
+};
+
+const check = (name, verdict) => verdict.checks.find(entry => entry.name === name);
+
+describe('guardrail pipeline', () => {
+  afterEach(() => {
+    guardrails.numberMode = 'flag';
+  });
+
+  test('passes a response whose figures all come from the data', () => {
+    const { text, verdict } = guardrails.check(
+      'You spent $200.00 in September, 60% of it on groceries, and your balance is $2,450.75.',
+      context
+    );
+
+    expect(verdict.action).toBe('pass');
+    expect(text).toMatch(/^You spent \$200\.00/);
+    expect(check('numbers', verdict).findings).toEqual([]);
+  });
+
+  test('redacts profile values and generic PII but leaves amounts alone', () => {
+    const { text, verdict } = guardrails.check(
+      'Email pat@example.com about account 998877665544, card 4111 1111 1111 1111 or SSN 123-45-6789. You hold $12345678.90 in total.',
+      {}
+    );
+
+    expect(text).not.toMatch(/pat@example|998877665544|4111|123-45/);
+    expect(text).toContain('[card number removed]');
+    expect(text).toContain('$12345678.90');
+    expect(verdict.action).toBe('modified');
+    expect(check('pii', verdict).findings).toEqual(expect.arrayContaining([
+      { type: 'email', count: 1 },
+      { type: 'card_number', count: 1 },
+      { type: 'ssn', count: 1 },
+      { type: 'account_number', count: 1 }
+    ]));
+  });
+
+  test('leaves compact dates and short reference numbers alone', () => {
+    const { text } = guardrails.check('Statement 20260131 covers order 1234567.', {});
+
+    expect(text).toBe('Statement 20260131 covers order 1234567.');
+  });
+
+  test('removes investment advice and appends the disclaimer', () => {
+    const { text, verdict } = guardrails.check(
+      'Your grocery spending was steady this month at $120.50 overall. You should buy shares of ACME before earnings.',
+      context
+    );
+
+    expect(text).not.toMatch(/ACME/);
+    expect(text).toMatch(/steady this month/);
+    expect(text.endsWith(INVESTMENT_ADVICE_DISCLAIMER)).toBe(true);
+    expect(verdict.action).toBe('modified');
+  });
+
+  test('blocks a response that is nothing but investment advice', () => {
+    const { text, verdict } = guardrails.check('Now is the perfect time to buy bitcoin.', context);
+
+    expect(text).toBe(INVESTMENT_ADVICE_DISCLAIMER);
+    expect(verdict.action).toBe('blocked');
+  });
+
+  test('flags figures that match nothing but allows approximations and guidance', () => {
+    const { verdict } = guardrails.check(
+      'You spent $310.00 on dining. That is about $205 in total. Experts recommend saving 20% of income. You saved 42% this month.',
+      context
+    );
+
+    expect(verdict.action).toBe('flagged');
+    expect(check('numbers', verdict).findings).toEqual([
+      expect.objectContaining({ type: 'unverified_amount', value: 310 }),
+      expect.objectContaining({ type: 'unverified_percentage', value: 42 })
+    ]);
+  });
+
+  test('corrects near-miss amounts in rewrite mode', () => {
+    guardrails.numberMode = 'rewrite';
+
+    const { text, verdict } = guardrails.check('Groceries cost you $125.00 in September.', context);
+
+    expect(text).toBe('Groceries cost you $120.50 in September.');
+    expect(check('numbers', verdict).findings).toEqual([
+      expect.objectContaining({ type: 'corrected_amount', value: 125, correctedTo: 120.5 })
+    ]);
+  });
+
+  test('skips number checks without data and counts tool results as known', () => {
+    expect(check('numbers', guardrails.check('You spent $999.', {}).verdict).status).toBe('skipped');
+    expect(guardrails.check('Your runway is $4,321.', { toolCalls: [{ result: { runway: 4321 } }] }).verdict.action).toBe('pass');
+  });
+
+  test('reports a failing step as skipped instead of throwing', () => {
+    const step = guardrails.steps[2];
+    guardrails.steps[2] = { name: 'numbers', run: () => { throw new Error('boom'); } };
+    try {
+      const { verdict } = guardrails.check('You spent $1.', context);
+      expect(check('numbers', verdict)).toEqual({ name: 'numbers', status: 'skipped', findings: [{ type: 'error', message: 'boom' }] });
+      expect(verdict.action).toBe('pass');
+    } finally {
+      guardrails.steps[2] = step;
+    }
+  });
+
+  test('streams whole sentences only, scrubbing values split across chunks', () => {
+    const stream = guardrails.createStream(context);
+
+    expect(stream.push('Write to pat@exa')).toBe('');
+    expect(stream.push('mple.com for details. You should buy ')).toBe('Write to [email removed] for details.');
+    expect(stream.push('stock of ACME now. Groceries were $120.50.')).toBe('');
+    expect(stream.flush()).toBe(' Groceries were $120.50.');
+
+    const final = stream.finish();
+    expect(final.text).toMatch(/\[email removed\]/);
+    expect(final.text).not.toMatch(/ACME/);
+    expect(final.verdict.action).toBe('modified');
+  });
+
+  test('records verdicts and swallows storage errors', async () => {
+    const { verdict } = guardrails.check('You spent $310.', context);
+    GuardrailVerdict.create.mockResolvedValueOnce({ id: 'v1' });
+
+    await expect(guardrails.record(verdict, { userId: 42, requestId: 'r1' })).resolves.toEqual({ id: 'v1' });
+    expect(GuardrailVerdict.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'flagged', findingCount: 1, operation: 'insights', userId: '42', requestId: 'r1'
+    }));
+
+    GuardrailVerdict.create.mockRejectedValueOnce(new Error('db down'));
+    await expect(guardrails.record(verdict)).resolves.toBeNull();
+    await expect(guardrails.record(null)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,213 @@
+// src/tests/helpers/memory-models.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+/**
+ * In-memory stand-ins for the Sequelize models, covering the query subset the
+ * Plaid services use: equality, Op.in/ne/gt/gte/lt/lte/between, Op.or/and
+ * clauses, nested where on JSON columns, order, limit/offset and bulkCreate upserts.
+ * Lets route tests run with jest.mock('../models') and no database.
+ */
+
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return new Date(value).getTime();
+  return value;
+};
+
+const OPERATORS = {
+  [Op.eq]: (value, expected) => toComparable(value) === toComparable(expected),
+  [Op.ne]: (value, expected) => toComparable(value) !== toComparable(expected),
+  [Op.in]: (value, expected) => expected.includes(value),
+  [Op.notIn]: (value, expected) => !expected.includes(value),
+  [Op.gt]: (value, expected) => toComparable(value) > toComparable(expected),
+  [Op.gte]: (value, expected) => toComparable(value) >= toComparable(expected),
+  [Op.lt]: (value, expected) => toComparable(value) < toComparable(expected),
+  [Op.lte]: (value, expected) => toComparable(value) <= toComparable(expected),
+  [Op.between]: (value, [from, to]) =>
+    toComparable(value) >= toComparable(from) && toComparable(value) <= toComparable(to)
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const matchesCondition = (value, condition) => {
+  // Shorthand for Op.in
+  if (Array.isArray(condition)) {
+    return OPERATORS[Op.in](value, condition);
+  }
+
+  if (!isPlainObject(condition)) {
+    return toComparable(value) === toComparable(condition) ||
+      (value === undefined && condition === null);
+  }
+
+  const operators = Object.getOwnPropertySymbols(condition);
+  if (operators.length > 0) {
+    return operators.every(op => {
+      if (!OPERATORS[op]) throw new Error(`Operator ${String(op)} is not supported by memory models`);
+      return OPERATORS[op](value, condition[op]);
+    });
+  }
+
+  // Nested where on a JSON column
+  return matchesWhere(value || {}, condition);
+};
+
+const CLAUSES = {
+  [Op.or]: (record, clauses) => clauses.some(clause => matchesWhere(record, clause)),
+  [Op.and]: (record, clauses) => clauses.every(clause => matchesWhere(record, clause))
+};
+
+const matchesWhere = (record, where = {}) =>
+  Object.keys(where).every(key => matchesCondition(record[key], where[key])) &&
+  Object.getOwnPropertySymbols(where).every(op => {
+    if (!CLAUSES[op]) throw new Error(`Clause ${String(op)} is not supported by memory models`);
+    return CLAUSES[op](record, where[op]);
+  });
+
+const sortRecords = (records, order = []) => [...records].sort((a, b) => {
+  for (const [field, direction = 'ASC'] of order) {
+    const left = toComparable(a[field]);
+    const right = toComparable(b[field]);
+    if (left === right) continue;
+    const result = left > right ? 1 : -1;
+    return direction.toUpperCase() === 'DESC' ? -result : result;
+  }
+  return 0;
+});
+
+/**
+ * Define an in-memory model
+ * @param {string} name - Model name
+ * @param {Object} [options]
+ * @param {string} [options.primaryKey='id'] - Primary key attribute
+ * @param {Object} [options.defaults] - Attribute defaults for new records
+ * @returns {Object} - Model with the Sequelize static methods the services use
+ */
+const defineModel = (name, { primaryKey = 'id', defaults = {} } = {}) => {
+  const rows = new Map();
+
+  const instance = (data) => {
+    const record = Object.create({
+      async save() {
+        record.updatedAt = new Date();
+        rows.set(record[primaryKey], record);
+        return record;
+      },
+      async update(values) {
+        Object.assign(record, values);
+        return record.save();
+      },
+      async increment(field, { by = 1 } = {}) {
+        record[field] = (record[field] || 0) + by;
+        return record.save();
+      },
+      async destroy() {
+        rows.delete(record[primaryKey]);
+      },
+      // Static updates change the stored record in place, so it is always current
+      async reload() {
+        return record;
+      },
+      get() {
+        return record.toJSON();
+      },
+      toJSON() {
+        return { ...record };
+      }
+    });
+    return Object.assign(record, data);
+  };
+
+  const build = (values) => {
+    const now = new Date();
+    return instance({
+      [primaryKey]: crypto.randomUUID(),
+      ...JSON.parse(JSON.stringify(defaults)),
+      createdAt: now,
+      updatedAt: now,
+      ...values
+    });
+  };
+
+  const select = ({ where, order, offset = 0, limit } = {}) => {
+    const matched = sortRecords([...rows.values()].filter(record => matchesWhere(record, where)), order);
+    return matched.slice(offset, limit === undefined ? undefined : offset + limit);
+  };
+
+  return {
+    name,
+    rows,
+
+    async create(values) {
+      const record = build(values);
+      rows.set(record[primaryKey], record);
+      return record;
+    },
+
+    async bulkCreate(records, { updateOnDuplicate, conflictAttributes } = {}) {
+      const created = [];
+      for (const values of records) {
+        const existing = conflictAttributes &&
+          [...rows.values()].find(record => conflictAttributes.every(key => record[key] === values[key]));
+
+        if (existing && updateOnDuplicate) {
+          updateOnDuplicate.forEach(key => {
+            if (key in values) existing[key] = values[key];
+          });
+          existing.updatedAt = new Date();
+          created.push(existing);
+        } else {
+          created.push(await this.create(values));
+        }
+      }
+      return created;
+    },
+
+    async findByPk(id) {
+      return rows.get(id) || null;
+    },
+
+    async findOne(options = {}) {
+      return select({ ...options, limit: 1 })[0] || null;
+    },
+
+    async findAll(options = {}) {
+      return select(options);
+    },
+
+    async findAndCountAll(options = {}) {
+      return {
+        count: select({ where: options.where }).length,
+        rows: select(options)
+      };
+    },
+
+    async count({ where } = {}) {
+      return select({ where }).length;
+    },
+
+    async update(values, { where }) {
+      const matched = select({ where });
+      for (const record of matched) {
+        Object.assign(record, values, { updatedAt: new Date() });
+      }
+      return [matched.length];
+    },
+
+    async destroy({ where }) {
+      const matched = select({ where });
+      matched.forEach(record => rows.delete(record[primaryKey]));
+      return matched.length;
+    },
+
+    reset() {
+      rows.clear();
+    }
+  };
+};
+
+module.exports = {
+  defineModel
+};
@@ -0,0 +1,98 @@
+// Intent classification and entity extraction, including the labeled eval fixture.
+const fixture = require('./fixtures/intent-eval.json');
+const intentClassifier = require('../services/intent-classifier.service');
+
+const now = new Date(fixture.now);
+const classify = query => intentClassifier.classify(query, { now });
+
+describe('intent classifier', () => {
+  test('reaches the required top-intent accuracy on the eval fixture', () => {
+    const correct = fixture.cases.filter(testCase => testCase.labels.includes(classify(testCase.query).intent));
+
+    expect(correct.length / fixture.cases.length).toBeGreaterThanOrEqual(0.85);
+  });
+
+  test('classifies every harmful fixture query as harmful', () => {
+    fixture.cases
+      .filter(testCase => testCase.labels.includes('harmful'))
+      .forEach(testCase => {
+        expect({ query: testCase.query, ...classify(testCase.query) }).toMatchObject({
+          query: testCase.query,
+          intent: 'harmful',
+          harmful: true
+        });
+      });
+  });
+
+  test.each([
+    'how do I buy drugs',
+    'how can I buy illegal drugs with my credit card',
+    'who is the best drug dealer in town',
+    'selling drugs for extra income'
+  ])('blocks "%s" regardless of the model score', query => {
+    expect(classify(query)).toMatchObject({ intent: 'harmful', harmful: true, confidence: 1 });
+  });
+
+  test('keeps drugstore and pharmacy spending benign', () => {
+    const result = classify('how much did I spend at the drugstore last month');
+
+    expect(result.harmful).toBe(false);
+    expect(result.intent).toBe('spending');
+    expect(result.entities.categories.map(category => category.id)).toContain('health');
+  });
+
+  test('routes to a conversational intent only when the fixture expects one', () => {
+    fixture.cases
+      .filter(testCase => !testCase.labels.some(label => ['greeting', 'joke'].includes(label)))
+      .forEach(testCase => {
+        expect({ query: testCase.query, intent: classify(testCase.query).intent }).toEqual({
+          query: testCase.query,
+          intent: expect.not.stringMatching(/^(greeting|joke)$/)
+        });
+      });
+  });
+
+  test('falls back to general for a greeting without a clear lead', () => {
+    expect(classify('good morning').intent).toBe('greeting');
+
+    const { conversationalConfidence, conversationalMargin } = intentClassifier;
+    intentClassifier.conversationalConfidence = 1.01;
+    intentClassifier.conversationalMargin = 1.01;
+    try {
+      expect(classify('good morning')).toMatchObject({ intent: 'general', intents: [], harmful: false });
+      expect(classify('hi').intent).toBe('general');
+    } finally {
+      intentClassifier.conversationalConfidence = conversationalConfidence;
+      intentClassifier.conversationalMargin = conversationalMargin;
+    }
+  });
+
+  test('lists no intents when falling back to general', () => {
+    const { minConfidence } = intentClassifier;
+    intentClassifier.minConfidence = 1.01;
+    try {
+      const result = classify('how do I hack my neighbor\'s bank account');
+
+      expect(result).toMatchObject({ intent: 'general', intents: [], confidence: 0, harmful: false });
+    } finally {
+      intentClassifier.minConfidence = minConfidence;
+    }
+  });
+
+  test('only lists harmful among the intents when it is also the result', () => {
+    ['how do I hack my neighbor\'s bank account', 'pay off my credit card debt', 'give me some insights']
+      .map(classify)
+      .forEach(result => {
+        const listsHarmful = result.intents.some(intent => intent.label === 'harmful');
+        expect(listsHarmful).toBe(result.harmful);
+        expect(result.harmful).toBe(result.intent === 'harmful');
+      });
+  });
+
+  test('extracts merchants and relative time periods', () => {
+    const { entities } = classify('how much did I spend at Starbucks last month');
+
+    expect(entities.merchants.map(merchant => merchant.id)).toEqual(['starbucks']);
+    expect(entities.timePeriod).toMatchObject({ start: '2026-09-01', end: '2026-09-30' });
+  });
+});
@@ -0,0 +1,177 @@
+// LLM usage ledger: cost calculation, combining tool rounds, attribution and summaries.
+jest.mock('../models', () => ({
+  sequelize: {
+    fn: (name, ...args) => ({ fn: name, args }),
+    col: name => ({ col: name }),
+    literal: sql => ({ literal: sql })
+  },
+  LlmUsage: { create: jest.fn(), findOne: jest.fn(), findAll: jest.fn() }
+}));
+
+const { LlmUsage } = require('../models');
+
+const loadWithPriceTable = priceTable => {
+  let service;
+  const previous = process.env.LLM_PRICE_TABLE;
+  process.env.LLM_PRICE_TABLE = priceTable;
+  try {
+    jest.isolateModules(() => {
+      service = require('../services/llm-usage.service');
+    });
+  } finally {
+    if (previous === undefined) delete process.env.LLM_PRICE_TABLE;
+    else process.env.LLM_PRICE_TABLE = previous;
+  }
+  return service;
+};
+
+const llmUsage = require('../services/llm-usage.service');
+
+describe('LLM usage', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateCost', () => {
+    test('prices prompt and completion tokens per million, to the micro-dollar', () => {
+      expect(llmUsage.calculateCost('gemini-2.5-flash', 1000000, 1000000)).toBe(2.8);
+      expect(llmUsage.calculateCost('llama-3.1-8b-instant', 1234, 567)).toBe(0.000107);
+      expect(llmUsage.calculateCost('gemini-2.5-flash', 0, 0)).toBe(0);
+    });
+
+    test('returns null for a model without a price', () => {
+      expect(llmUsage.calculateCost('my-fine-tune', 1000, 1000)).toBeNull();
+    });
+
+    test('applies LLM_PRICE_TABLE overrides and additions', () => {
+      const service = loadWithPriceTable(JSON.stringify({
+        'gemini-2.5-flash': { input: 1, output: 1 },
+        'my-fine-tune': { input: 4, output: 8 }
+      }));
+
+      expect(service.calculateCost('gemini-2.5-flash', 500000, 500000)).toBe(1);
+      expect(service.calculateCost('my-fine-tune', 250000, 125000)).toBe(2);
+      expect(service.calculateCost('gemini-2.5-pro', 1000000, 0)).toBe(1.25);
+    });
+
+    test('keeps the default prices when LLM_PRICE_TABLE is not valid JSON', () => {
+      const service = loadWithPriceTable('{"gemini-2.5-flash": ');
+
+      expect(service.calculateCost('gemini-2.5-flash', 1000000, 0)).toBe(0.3);
+    });
+  });
+
+  describe('combine', () => {
+    test('adds up the rounds of a tool-calling request', () => {
+      const rounds = [
+        { provider: 'groq', model: 'llama-3.3-70b-versatile', promptTokens: 1200, completionTokens: 80 },
+        null,
+        { provider: 'groq', model: 'llama-3.3-70b-versatile', promptTokens: 1500, completionTokens: 40, calls: 1 },
+        { provider: 'groq', model: 'llama-3.3-70b-versatile', promptTokens: 1700, completionTokens: 300, calls: 2 }
+      ];
+
+      expect(rounds.reduce((total, usage) => llmUsage.combine(total, usage), null)).toEqual({
+        provider: 'groq',
+        model: 'llama-3.3-70b-versatile',
+        promptTokens: 4400,
+        completionTokens: 420,
+        calls: 4
+      });
+    });
+
+    test('treats missing token counts as zero and leaves an empty total alone', () => {
+      expect(llmUsage.combine(null, null)).toBeNull();
+      expect(llmUsage.combine({ model: 'm', promptTokens: 10, completionTokens: 5, calls: 1 }, { model: 'm' }))
+        .toEqual({ model: 'm', promptTokens: 10, completionTokens: 5, calls: 2 });
+    });
+  });
+
+  describe('record', () => {
+    test('stores the cost with attribution from the enclosing context', async () => {
+      LlmUsage.create.mockImplementation(async values => values);
+
+      const stored = await llmUsage.runWithContext({ clientId: 'client-1', requestId: 'req-1', reportSection: 'summary' }, () =>
+        llmUsage.runWithContext({ bankUserId: 42 }, () => llmUsage.record(
+          { provider: 'gemini', model: 'gemini-2.5-flash', promptTokens: 1000.4, completionTokens: -5 },
+          { operation: 'report', reportSection: 'risk', userId: null }
+        ))
+      );
+
+      expect(stored).toMatchObject({
+        provider: 'gemini',
+        operation: 'report',
+        calls: 1,
+        promptTokens: 1000,
+        completionTokens: 0,
+        totalTokens: 1000,
+        costUsd: 0.0003,
+        clientId: 'client-1',
+        bankUserId: '42',
+        requestId: 'req-1',
+        reportSection: 'risk',
+        userId: null
+      });
+    });
+
+    test('skips usage without a model and swallows storage errors', async () => {
+      await expect(llmUsage.record(null)).resolves.toBeNull();
+      await expect(llmUsage.record({ provider: 'local' })).resolves.toBeNull();
+
+      LlmUsage.create.mockRejectedValueOnce(new Error('db down'));
+      await expect(llmUsage.record({ model: 'gemini-2.5-flash', promptTokens: 1 })).resolves.toBeNull();
+    });
+  });
+
+  describe('getSummary', () => {
+    test('rejects an unknown groupBy with a 400', async () => {
+      LlmUsage.findOne.mockResolvedValue({});
+
+      await expect(llmUsage.getSummary({ groupBy: 'country' })).rejects.toMatchObject({
+        statusCode: 400,
+        message: expect.stringMatching(/^groupBy must be one of: client, bankUser, user, queryType/)
+      });
+      expect(LlmUsage.findAll).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid and reversed date ranges', async () => {
+      await expect(llmUsage.getSummary({ from: 'yesterday' })).rejects.toMatchObject({ statusCode: 400, message: 'from and to must be valid dates' });
+      await expect(llmUsage.getSummary({ from: '2026-10-02', to: '2026-10-01' })).rejects.toMatchObject({ statusCode: 400, message: 'from must be before to' });
+    });
+
+    test('parses totals and groups by every column of the dimension', async () => {
+      LlmUsage.findOne.mockResolvedValue({
+        records: '3', calls: '4', promptTokens: '5000', completionTokens: '700', totalTokens: '5700', costUsd: '0.0042000', unpricedRecords: '1'
+      });
+      LlmUsage.findAll.mockResolvedValue([
+        { promptName: 'insights', promptVersion: '3', records: '2', calls: '3', promptTokens: '4000', completionTokens: '600', totalTokens: '4600', costUsd: '0.0042', unpricedRecords: '0' },
+        { promptName: 'insights', promptVersion: '4', records: '1', calls: '1', promptTokens: '1000', completionTokens: '100', totalTokens: '1100', costUsd: null, unpricedRecords: '1' }
+      ]);
+
+      const summary = await llmUsage.getSummary({ from: '2026-10-01', to: '2026-10-19', clientId: 'client-1', groupBy: 'prompt', limit: 5 });
+
+      expect(summary.totals).toEqual({ records: 3, calls: 4, promptTokens: 5000, completionTokens: 700, totalTokens: 5700, costUsd: 0.0042, unpricedRecords: 1 });
+      expect(summary.groups).toEqual([
+        { promptName: 'insights', promptVersion: '3', records: 2, calls: 3, promptTokens: 4000, completionTokens: 600, totalTokens: 4600, costUsd: 0.0042, unpricedRecords: 0 },
+        { promptName: 'insights', promptVersion: '4', records: 1, calls: 1, promptTokens: 1000, completionTokens: 100, totalTokens: 1100, costUsd: 0, unpricedRecords: 1 }
+      ]);
+
+      const query = LlmUsage.findAll.mock.calls[0][0];
+      expect(query).toMatchObject({ group: ['promptName', 'promptVersion'], limit: 5, where: { clientId: 'client-1' } });
+      expect(query.attributes.slice(0, 2)).toEqual(['promptName', 'promptVersion']);
+    });
+
+    test('reports zero totals for an empty period', async () => {
+      LlmUsage.findOne.mockResolvedValue(null);
+
+      const summary = await llmUsage.getSummary();
+
+      expect(summary.totals).toEqual({ records: 0, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedRecords: 0 });
+      expect(summary.to - summary.from).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(summary.groups).toBeUndefined();
+    });
+  });
+
+  test('rejects an unknown timeseries interval', async () => {
+    await expect(llmUsage.getTimeseries({ interval: 'minute' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,476 @@
+// End-to-end Plaid flow against the local Plaid client (PLAID_ENV=local):
+// connect a bank, sync transactions and optional products, read insights, and
+// recover from errors, all offline. Models are kept in memory and the LLM services are never called.
+process.env.PLAID_ENV = 'local';
+process.env.PLAID_SYNC_ENABLED = 'true';
+process.env.PLAID_WEBHOOK_VERIFICATION = 'true';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return {
+    Client: defineModel('Client', { primaryKey: 'clientId' }),
+    PlaidItem: defineModel('PlaidItem', { defaults: { status: 'active', error: null, reauthRequired: false } }),
+    PlaidWebhookEvent: defineModel('PlaidWebhookEvent', { defaults: { attempts: 0, duplicateCount: 0 } }),
+    PlaidLiability: defineModel('PlaidLiability'),
+    PlaidSecurity: defineModel('PlaidSecurity'),
+    PlaidHolding: defineModel('PlaidHolding'),
+    PlaidInvestmentTransaction: defineModel('PlaidInvestmentTransaction'),
+    PlaidIdentity: defineModel('PlaidIdentity'),
+    Transaction: defineModel('Transaction')
+  };
+});
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: jest.fn().mockResolvedValue({ commit: jest.fn(), rollback: jest.fn() })
+  }
+}));
+
+// Token = user ID, so tests can act as any user
+jest.mock('../middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    const userId = (req.headers.authorization || '').replace('Bearer ', '');
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Access denied. No token provided.' });
+    }
+    req.auth = { userId, role: 'user' };
+    next();
+  },
+  authorize: () => (req, res, next) => next()
+}));
+
+jest.mock('../services/notification.service.unified', () => ({
+  sendBankReconnectNotification: jest.fn().mockResolvedValue({ success: true })
+}));
+
+// Merchant and category rules are covered elsewhere; keep Plaid's mapping as is
+jest.mock('../services/merchant-normalization.service', () => ({
+  normalizeTransactions: jest.fn(async transactions => transactions)
+}));
+jest.mock('../services/categorization.service', () => ({
+  categorizeTransactions: jest.fn(async transactions => transactions)
+}));
+
+jest.mock('../services/cohere.service', () => ({}));
+jest.mock('../services/groq.service', () => ({}));
+jest.mock('../services/llm-factory.service', () => ({}));
+jest.mock('../services/local-llm.service', () => ({}));
+jest.mock('../services/intent-classifier.service', () => ({}));
+jest.mock('../services/transaction-search.service', () => ({}));
+
+const { Client, PlaidItem, PlaidWebhookEvent, Transaction } = require('../models');
+const notificationService = require('../services/notification.service.unified');
+const plaidService = require('../services/plaid.service');
+const plaidWebhookService = require('../services/plaid-webhook.service');
+const plaidProducts = require('../services/plaid-products.service');
+const { formatProductContext } = require('../utils/plaid-product-context');
+const { LOCAL_INSTITUTIONS } = require('../utils/plaid-local-fixtures');
+const plaidRoutes = require('../routes/plaid.routes');
+const plaidWebhookRoutes = require('../routes/plaid.webhook.routes');
+const insightsController = require('../controllers/insights.controller');
+const { authMiddleware } = require('../middleware/auth');
+
+const USER_ID = 'user-local-1';
+const auth = `Bearer ${USER_ID}`;
+const institution = LOCAL_INSTITUTIONS[0];
+
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
+app.use('/api/plaid', plaidRoutes);
+app.use('/api/webhooks', plaidWebhookRoutes);
+app.get('/api/insights/summary', authMiddleware, insightsController.getFinancialSummary);
+
+const plaidClient = plaidService.client;
+
+// Webhooks from the local client go straight to the webhook endpoint
+const deliveries = [];
+plaidClient.setWebhookHandler(async ({ payload, body, headers }) => {
+  const response = await request(app).post('/api/webhooks/plaid').set(headers).send(body);
+  deliveries.push({ payload, body, headers, response });
+  return response;
+});
+
+const waitForEvent = async (eventId) => {
+  for (let i = 0; i < 100; i++) {
+    const event = await PlaidWebhookEvent.findByPk(eventId);
+    if (event && !['pending', 'processing'].includes(event.status)) {
+      return event;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Webhook event ${eventId} was not processed`);
+};
+
+const lastDelivery = () => deliveries[deliveries.length - 1];
+
+const connectBank = async (institutionId = institution.institution_id) => {
+  const linkResponse = await request(app)
+    .post('/api/plaid/create-link-token')
+    .set('Authorization', auth)
+    .send({ products: ['transactions'] })
+    .expect(200);
+
+  const { public_token, metadata } = await plaidClient.completeLink(linkResponse.body.data.link_token, { institutionId });
+
+  const exchangeResponse = await request(app)
+    .post('/api/plaid/exchange-public-token')
+    .set('Authorization', auth)
+    .send({ publicToken: public_token, metadata })
+    .expect(200);
+
+  return exchangeResponse.body.data.itemId;
+};
+
+// Fixture transactions inside the default 30-day window
+const recentFixtureCount = (fixture) => fixture.transactions.filter(tx => tx.daysAgo < 30).length;
+
+afterAll(() => {
+  plaidWebhookService.stop();
+});
+
+describe('Local Plaid client', () => {
+  it('is selected by PLAID_ENV=local', () => {
+    expect(plaidService.environment).toBe('local');
+    expect(plaidClient.name).toBe('local');
+  });
+
+  it('rejects unknown tokens with Plaid error codes', async () => {
+    await expect(plaidClient.accountsGet({ access_token: 'access-local-unknown' }))
+      .rejects.toMatchObject({ response: { data: { error_code: 'INVALID_ACCESS_TOKEN' } } });
+    await expect(plaidClient.itemPublicTokenExchange({ public_token: 'public-local-unknown' }))
+      .rejects.toMatchObject({ response: { data: { error_code: 'INVALID_PUBLIC_TOKEN' } } });
+  });
+
+  it('pages /transactions/sync with cursors', async () => {
+    const { data: { public_token } } = await plaidClient.sandboxPublicTokenCreate({
+      institution_id: institution.institution_id,
+      initial_products: ['transactions']
+    });
+    const { data: { access_token } } = await plaidClient.itemPublicTokenExchange({ public_token });
+
+    const first = await plaidClient.transactionsSync({ access_token, count: 10 });
+    expect(first.data.added).toHaveLength(10);
+    expect(first.data.has_more).toBe(true);
+
+    const rest = await plaidClient.transactionsSync({ access_token, cursor: first.data.next_cursor, count: 10 });
+    expect(rest.data.added).toHaveLength(institution.transactions.length - 10);
+    expect(rest.data.has_more).toBe(false);
+
+    const empty = await plaidClient.transactionsSync({ access_token, cursor: rest.data.next_cursor });
+    expect(empty.data.added).toHaveLength(0);
+  });
+});
+
+describe('Plaid connect, sync and insight flow', () => {
+  let itemId;
+
+  beforeAll(async () => {
+    await Client.create({ clientId: 'client-local-1', userId: USER_ID, status: 'active' });
+  });
+
+  it('connects a bank through link token and public token exchange', async () => {
+    itemId = await connectBank();
+
+    const item = await PlaidItem.findOne({ where: { itemId } });
+    expect(item.userId).toBe(USER_ID);
+    expect(item.institutionName).toBe(institution.name);
+    expect(item.accessToken).toMatch(/^access-local-/);
+
+    const status = await request(app).get('/api/plaid/status').set('Authorization', auth).expect(200);
+    expect(status.body.data.connected).toBe(true);
+    expect(status.body.data.institution).toBe(institution.name);
+  });
+
+  it('syncs the item into the local store on first read', async () => {
+    const response = await request(app).get('/api/plaid/transactions').set('Authorization', auth).expect(200);
+
+    expect(response.body.data).toHaveLength(recentFixtureCount(institution));
+    expect(response.body.data.find(tx => tx.description === 'ACME CORP PAYROLL').amount).toBe(2350);
+
+    const item = await PlaidItem.findOne({ where: { itemId } });
+    expect(item.transactionsCursor).toBeTruthy();
+    expect(Transaction.rows.size).toBe(institution.transactions.length);
+  });
+
+  it('returns balances from Plaid', async () => {
+    const response = await request(app).get('/api/plaid/accounts').set('Authorization', auth).expect(200);
+
+    expect(response.body.data.map(account => account.name)).toEqual(institution.accounts.map(account => account.name));
+    // Credit card balances are stored as liabilities
+    expect(response.body.data.find(account => account.type === 'Credit Card').balance).toBe(-812.47);
+  });
+
+  it('syncs new transactions when Plaid sends SYNC_UPDATES_AVAILABLE', async () => {
+    const [added] = await plaidClient.addTransactions(itemId, [
+      { account: 'checking', daysAgo: 0, name: 'BLUE BOTTLE COFFEE', merchant_name: 'Blue Bottle Coffee', amount: 5.5, category: ['Food and Drink', 'Restaurants', 'Coffee Shop'] }
+    ]);
+
+    const delivery = lastDelivery();
+    expect(delivery.payload).toMatchObject({ webhook_type: 'TRANSACTIONS', webhook_code: 'SYNC_UPDATES_AVAILABLE', item_id: itemId });
+    expect(delivery.response.status).toBe(200);
+
+    const event = await waitForEvent(delivery.response.body.eventId);
+    expect(event.status).toBe('processed');
+    expect(event.verified).toBe(true);
+    expect(event.result).toMatchObject({ added: 1, modified: 0, removed: 0 });
+
+    const response = await request(app).get('/api/plaid/transactions').set('Authorization', auth).expect(200);
+    expect(response.body.data.find(tx => tx.transactionId === added.transaction_id)).toMatchObject({
+      description: 'BLUE BOTTLE COFFEE',
+      amount: -5.5
+    });
+  });
+
+  it('removes transactions Plaid removed', async () => {
+    const [added] = await plaidClient.addTransactions(itemId, [
+      { account: 'credit', daysAgo: 0, name: 'PENDING HOLD', amount: 1, pending: true }
+    ]);
+    await waitForEvent(lastDelivery().response.body.eventId);
+
+    await plaidClient.removeTransactions(itemId, [added.transaction_id]);
+    const event = await waitForEvent(lastDelivery().response.body.eventId);
+    expect(event.result).toMatchObject({ removed: 1 });
+
+    const response = await request(app).get('/api/plaid/transactions').set('Authorization', auth).expect(200);
+    expect(response.body.data.find(tx => tx.transactionId === added.transaction_id)).toBeUndefined();
+  });
+
+  it('builds the insight summary from the synced data', async () => {
+    const response = await request(app).get('/api/insights/summary').set('Authorization', auth).expect(200);
+
+    expect(response.body.data.accountCount).toBe(institution.accounts.length);
+    expect(response.body.data.recentTransactions[0].description).toBe('BLUE BOTTLE COFFEE');
+  });
+
+  it('acknowledges a repeat delivery without processing it again', async () => {
+    // Hold processing so the repeat arrives while the first copy is pending
+    const processSoon = jest.spyOn(plaidWebhookService, 'processSoon').mockImplementation(() => {});
+    const { body, headers } = plaidClient.createWebhook({
+      webhook_type: 'TRANSACTIONS',
+      webhook_code: 'SYNC_UPDATES_AVAILABLE',
+      item_id: itemId
+    });
+
+    const first = await request(app).post('/api/webhooks/plaid').set(headers).send(body).expect(200);
+    const repeat = await request(app).post('/api/webhooks/plaid').set(headers).send(body).expect(200);
+    processSoon.mockRestore();
+
+    expect(repeat.body.message).toBe('Webhook already received');
+    expect(repeat.body.eventId).toBe(first.body.eventId);
+    expect((await PlaidWebhookEvent.findByPk(first.body.eventId)).duplicateCount).toBe(1);
+
+    await plaidWebhookService.processDueEvents();
+    expect((await PlaidWebhookEvent.findByPk(first.body.eventId)).status).toBe('processed');
+  });
+
+  it('processes an identical webhook again once the first was handled', async () => {
+    const { body, headers } = lastDelivery();
+
+    const response = await request(app).post('/api/webhooks/plaid').set(headers).send(body).expect(200);
+
+    expect(response.body.message).toBe('Webhook received');
+    expect((await waitForEvent(response.body.eventId)).status).toBe('processed');
+  });
+
+  it('rejects webhooks whose body does not match the signature', async () => {
+    const { body, headers } = lastDelivery();
+    const tampered = body.replace(itemId, 'item-local-someone-else');
+
+    await request(app).post('/api/webhooks/plaid').set(headers).send(tampered).expect(401);
+    await request(app).post('/api/webhooks/plaid').set('Content-Type', 'application/json').send(body).expect(401);
+  });
+});
+
+describe('Plaid login errors and update mode', () => {
+  let itemId;
+
+  beforeAll(async () => {
+    itemId = await connectBank(LOCAL_INSTITUTIONS[1].institution_id);
+    await request(app).get('/api/plaid/transactions').set('Authorization', auth).expect(200);
+  });
+
+  it('flags the item and notifies the user on ITEM_LOGIN_REQUIRED', async () => {
+    const item = await PlaidItem.findOne({ where: { itemId } });
+    await plaidClient.sandboxItemResetLogin({ access_token: item.accessToken });
+
+    const delivery = lastDelivery();
+    expect(delivery.payload).toMatchObject({ webhook_type: 'ITEM', webhook_code: 'ERROR', error: { error_code: 'ITEM_LOGIN_REQUIRED' } });
+    await waitForEvent(delivery.response.body.eventId);
+
+    expect(item.status).toBe('error');
+    expect(item.reauthRequired).toBe(true);
+    expect(notificationService.sendBankReconnectNotification).toHaveBeenCalledWith(USER_ID, expect.objectContaining({
+      itemId,
+      reason: 'ITEM_LOGIN_REQUIRED'
+    }));
+
+    const status = await request(app).get('/api/plaid/status').set('Authorization', auth).expect(200);
+    expect(status.body.data.reauthRequired).toBe(true);
+    expect(status.body.data.reauthItems).toEqual([{ itemId, institutionName: LOCAL_INSTITUTIONS[1].name }]);
+  });
+
+  it('fails sync with the Plaid error while the login is broken', async () => {
+    const plaidSync = require('../services/plaid-sync.service');
+    const item = await PlaidItem.findOne({ where: { itemId } });
+
+    await expect(plaidSync.syncItem(item)).rejects.toMatchObject({ plaidErrorCode: 'ITEM_LOGIN_REQUIRED' });
+    expect(item.error.code).toBe('ITEM_LOGIN_REQUIRED');
+  });
+
+  it('keeps the item flagged when Plaid still reports the login error', async () => {
+    await request(app)
+      .post(`/api/plaid/items/${itemId}/reauth-complete`)
+      .set('Authorization', auth)
+      .send({})
+      .expect(409);
+
+    const item = await PlaidItem.findOne({ where: { itemId } });
+    expect(item.reauthRequired).toBe(true);
+    expect(item.status).toBe('error');
+  });
+
+  it('hands out update-mode tokens from the reconnect endpoint', async () => {
+    const response = await request(app)
+      .post('/api/plaid/reconnect')
+      .set('Authorization', auth)
+      .send({})
+      .expect(200);
+
+    expect(response.body.data.items).toEqual([expect.objectContaining({
+      itemId,
+      institutionName: LOCAL_INSTITUTIONS[1].name,
+      reauthReason: 'ITEM_LOGIN_REQUIRED',
+      link_token: expect.any(String)
+    })]);
+    expect(await PlaidItem.count({ where: { userId: USER_ID, status: 'disconnected' } })).toBe(0);
+  });
+
+  it('repairs the same item through Link update mode', async () => {
+    const linkResponse = await request(app)
+      .post(`/api/plaid/items/${itemId}/link-token`)
+      .set('Authorization', auth)
+      .send({})
+      .expect(200);
+
+    const { public_token } = await plaidClient.completeLink(linkResponse.body.data.link_token);
+    expect(public_token).toBeNull();
+
+    await request(app)
+      .post(`/api/plaid/items/${itemId}/reauth-complete`)
+      .set('Authorization', auth)
+      .send({})
+      .expect(200);
+
+    const item = await PlaidItem.findOne({ where: { itemId } });
+    expect(item.status).toBe('active');
+    expect(item.reauthRequired).toBe(false);
+    expect(await PlaidItem.count({ where: { userId: USER_ID } })).toBe(2);
+
+    const accounts = await plaidClient.accountsGet({ access_token: item.accessToken });
+    expect(accounts.data.item.error).toBeNull();
+  });
+
+  it('does not open update mode for another user\'s item', async () => {
+    await request(app)
+      .post(`/api/plaid/items/${itemId}/link-token`)
+      .set('Authorization', 'Bearer someone-else')
+      .send({})
+      .expect(404);
+  });
+});
+
+describe('Plaid liabilities, investments and identity', () => {
+  const brokerage = LOCAL_INSTITUTIONS[2];
+  let itemId;
+
+  beforeAll(async () => {
+    itemId = await connectBank(brokerage.institution_id);
+    // Joins the sync the exchange started, then refreshes the banks linked above
+    await plaidProducts.syncItem(itemId);
+    await plaidProducts.syncUser(USER_ID);
+  });
+
+  it('requests liabilities, investments and identity as optional products', async () => {
+    const linkTokenCreate = jest.spyOn(plaidClient, 'linkTokenCreate');
+    await request(app).post('/api/plaid/create-link-token').set('Authorization', auth).send({ products: ['transactions'] }).expect(200);
+
+    expect(linkTokenCreate).toHaveBeenCalledWith(expect.objectContaining({
+      products: ['transactions'],
+      optional_products: ['liabilities', 'investments', 'identity']
+    }));
+    linkTokenCreate.mockRestore();
+  });
+
+  it('stores holdings with their securities and reports the allocation', async () => {
+    const response = await request(app).get('/api/plaid/products').set('Authorization', auth).expect(200);
+    const { investments, products } = response.body.data;
+
+    const fixtureValue = brokerage.holdings.reduce((sum, holding) => sum + holding.institution_value, 0);
+    expect(investments.totalValue).toBeCloseTo(fixtureValue, 2);
+    expect(investments.allocation.map(entry => entry.assetClass)).toEqual(['Stocks', 'Bonds', 'Cash']);
+    expect(investments.holdings[0]).toMatchObject({ tickerSymbol: 'VTIAX', assetClass: 'Stocks' });
+    // Buys take cash out of the account, like spending
+    expect(investments.transactions.find(tx => tx.tickerSymbol === 'VTI' && tx.type === 'buy').amount).toBe(-1399);
+
+    expect(products[itemId]).toMatchObject({
+      investments: { status: 'available' },
+      identity: { status: 'available' },
+      liabilities: { status: 'unavailable', error: 'NO_LIABILITY_ACCOUNTS' }
+    });
+  });
+
+  it('stores credit card APRs, student loans and mortgages', async () => {
+    const response = await request(app).get('/api/plaid/products').set('Authorization', auth).expect(200);
+    const byType = Object.fromEntries(response.body.data.liabilities.map(liability => [liability.liabilityType, liability]));
+
+    expect(byType.credit).toMatchObject({ institutionName: LOCAL_INSTITUTIONS[0].name, interestRate: 24.99, currentBalance: 812.47, minimumPaymentAmount: 35 });
+    expect(byType.credit.details.aprs).toHaveLength(2);
+    expect(byType.student).toMatchObject({ interestRate: 5.28, details: { loanStatus: 'repayment' } });
+    expect(byType.mortgage).toMatchObject({ interestRate: 3.875, minimumPaymentAmount: 1486.22, details: { interestRateType: 'fixed' } });
+  });
+
+  it('keeps account holder details out of product data and returns them only to their owner', async () => {
+    const products = await request(app).get('/api/plaid/products').set('Authorization', auth).expect(200);
+    expect(JSON.stringify(products.body.data)).not.toMatch(/Alex Local|example\.com/);
+    expect(products.body.data.identity.jointAccounts).toBe(2);
+
+    const identity = await request(app).get('/api/plaid/identity').set('Authorization', auth).expect(200);
+    const mortgageOwners = identity.body.data.find(entry => entry.accountId === 'ins_local_2-mortgage').owners;
+    expect(mortgageOwners.map(owner => owner.names[0])).toEqual(['Alex Local', 'Jordan Local']);
+
+    const other = await request(app).get('/api/plaid/identity').set('Authorization', 'Bearer someone-else').expect(200);
+    expect(other.body.data).toEqual([]);
+  });
+
+  it('re-fetches liabilities when Plaid sends LIABILITIES DEFAULT_UPDATE', async () => {
+    const cardItem = (await PlaidItem.findAll({ where: { userId: USER_ID, institutionId: LOCAL_INSTITUTIONS[0].institution_id } }))[0];
+    plaidClient.items.get(cardItem.itemId).liabilities.credit[0].minimum_payment_amount = 50;
+
+    await plaidClient.fireWebhook(cardItem.itemId, 'LIABILITIES', 'DEFAULT_UPDATE');
+    const event = await waitForEvent(lastDelivery().response.body.eventId);
+    expect(event.status).toBe('processed');
+    expect(event.result).toMatchObject({ action: 'products_synced', products: { liabilities: { status: 'available', count: 1 } } });
+
+    const response = await request(app).get('/api/plaid/products').set('Authorization', auth).expect(200);
+    expect(response.body.data.liabilities.find(liability => liability.liabilityType === 'credit').minimumPaymentAmount).toBe(50);
+  });
+
+  it('adds liabilities and investments to the insight data and prompt context', async () => {
+    const summary = await request(app).get('/api/insights/summary').set('Authorization', auth).expect(200);
+    expect(summary.body.data.totalLiabilities).toBeCloseTo(812.47 + 18250.40 + 214380.77, 2);
+    expect(summary.body.data.investments.allocation[0].assetClass).toBe('Stocks');
+
+    const context = formatProductContext(await plaidProducts.getUserProductData(USER_ID));
+    expect(context).toContain('Credit card (First Local Bank): balance $812.47, APR 24.99%');
+    expect(context).toContain('Mortgage (Local Credit Union): balance $214380.77, rate 3.875% fixed');
+    expect(context).toMatch(/Allocation: Stocks \d+(\.\d)?%, Bonds/);
+    expect(context).not.toMatch(/Alex Local|example\.com/);
+  });
+});
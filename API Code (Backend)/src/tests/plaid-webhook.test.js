@@ -0,0 +1,206 @@
+// Plaid webhook signature verification and recovery of events whose worker died mid-dispatch.
+const crypto = require('crypto');
+const os = require('os');
+
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return {
+    PlaidItem: defineModel('PlaidItem'),
+    PlaidWebhookEvent: defineModel('PlaidWebhookEvent', { defaults: { attempts: 0, duplicateCount: 0, attemptLog: [] } })
+  };
+});
+jest.mock('../services/plaid.service', () => ({ getWebhookVerificationKey: jest.fn() }));
+jest.mock('../services/plaid-sync.service', () => ({}));
+jest.mock('../services/plaid-products.service', () => ({}));
+jest.mock('../services/plaid-reauth.service', () => ({}));
+
+const { PlaidWebhookEvent } = require('../models');
+const plaidService = require('../services/plaid.service');
+const plaidWebhookService = require('../services/plaid-webhook.service');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwk = publicKey.export({ format: 'jwk' });
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const sha256 = body => crypto.createHash('sha256').update(body).digest('hex');
+
+const sign = (body, { kid = 'key-1', alg = 'ES256', iat = Math.floor(Date.now() / 1000), bodyHash = sha256(body) } = {}) => {
+  const signingInput = `${encode({ alg, kid, typ: 'JWT' })}.${encode({ iat, request_body_sha256: bodyHash })}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+const body = JSON.stringify({ webhook_type: 'AUTH', webhook_code: 'AUTOMATICALLY_VERIFIED', item_id: 'item-1' });
+
+describe('Plaid webhook verification', () => {
+  beforeEach(() => {
+    plaidWebhookService.keys.clear();
+    plaidWebhookService.keyLookups = [];
+    plaidWebhookService.verificationEnabled = true;
+    plaidService.getWebhookVerificationKey.mockReset().mockResolvedValue({ ...jwk, expired_at: null });
+  });
+
+  test('accepts a fresh signature over the exact body and caches the key', async () => {
+    await expect(plaidWebhookService.verify(body, sign(body))).resolves.toBe(sha256(body));
+    await expect(plaidWebhookService.verify(body, sign(body))).resolves.toBe(sha256(body));
+
+    expect(plaidService.getWebhookVerificationKey).toHaveBeenCalledTimes(1);
+    expect(plaidService.getWebhookVerificationKey).toHaveBeenCalledWith('key-1');
+  });
+
+  test.each([
+    ['a missing header', () => undefined, /Missing or malformed/],
+    ['a header that is not a JWT', () => 'a.b.c', /not a valid JWT/],
+    ['an unexpected algorithm', () => sign(body, { alg: 'HS256' }), /Unexpected JWT algorithm HS256/],
+    ['a signature over other claims', () => {
+      const [header, , signature] = sign(body).split('.');
+      return `${header}.${encode({ iat: Math.floor(Date.now() / 1000), request_body_sha256: sha256('{}') })}.${signature}`;
+    }, /signature does not match/],
+    ['an old signature', () => sign(body, { iat: Math.floor(Date.now() / 1000) - 301 }), /too old/],
+    ['a different body', () => sign('{"webhook_type":"ITEM"}'), /body does not match/]
+  ])('rejects %s with a 401', async (name, token, message) => {
+    await expect(plaidWebhookService.verify(body, token())).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(message)
+    });
+  });
+
+  test('rejects keys Plaid has expired', async () => {
+    plaidService.getWebhookVerificationKey.mockResolvedValue({ ...jwk, expired_at: 1760000000 });
+
+    await expect(plaidWebhookService.verify(body, sign(body))).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Verification key key-1 has expired'
+    });
+  });
+
+  test('rejects a key Plaid cannot find with a 401 and does not ask again right away', async () => {
+    plaidService.getWebhookVerificationKey.mockRejectedValue(new Error('Failed to get webhook verification key: INVALID_INPUT'));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(plaidWebhookService.verify(body, sign(body, { kid: 'made-up' }))).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'Verification key made-up is unknown'
+      });
+    }
+    expect(plaidService.getWebhookVerificationKey).toHaveBeenCalledTimes(1);
+  });
+
+  test('limits how many unknown keys are looked up per minute', async () => {
+    plaidService.getWebhookVerificationKey.mockRejectedValue(new Error('Failed to get webhook verification key: INVALID_INPUT'));
+
+    for (let i = 0; i < 10; i++) {
+      await expect(plaidWebhookService.verify(body, sign(body, { kid: `made-up-${i}` }))).rejects.toMatchObject({ statusCode: 401 });
+    }
+    await expect(plaidWebhookService.verify(body, sign(body, { kid: 'made-up-10' }))).rejects.toMatchObject({
+      statusCode: 401,
+      message: expect.stringMatching(/^Too many lookups/)
+    });
+    expect(plaidService.getWebhookVerificationKey).toHaveBeenCalledTimes(10);
+  });
+
+  test('keeps using a cached key when its daily refresh fails', async () => {
+    await plaidWebhookService.verify(body, sign(body));
+    plaidWebhookService.keys.get('key-1').fetchedAt -= 25 * 60 * 60 * 1000;
+    plaidService.getWebhookVerificationKey.mockRejectedValue(new Error('Failed to get webhook verification key: timeout'));
+
+    await expect(plaidWebhookService.verify(body, sign(body))).resolves.toBe(sha256(body));
+    await expect(plaidWebhookService.verify(body, sign(body))).resolves.toBe(sha256(body));
+    expect(plaidService.getWebhookVerificationKey).toHaveBeenCalledTimes(2);
+  });
+
+  test('only hashes the body when verification is disabled', async () => {
+    plaidWebhookService.verificationEnabled = false;
+
+    await expect(plaidWebhookService.verify(body, undefined)).resolves.toBe(sha256(body));
+    expect(plaidService.getWebhookVerificationKey).not.toHaveBeenCalled();
+  });
+});
+
+describe('Plaid webhook events interrupted mid-dispatch', () => {
+  const payload = JSON.parse(body);
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+  const stuckEvent = (values = {}) => PlaidWebhookEvent.create({
+    eventKey: sha256(body),
+    webhookType: payload.webhook_type,
+    webhookCode: payload.webhook_code,
+    itemId: payload.item_id,
+    payload,
+    status: 'processing',
+    maxAttempts: 6,
+    nextAttemptAt: minutesAgo(10),
+    lockedBy: 'crashed-host-123',
+    lockedAt: minutesAgo(10),
+    ...values
+  });
+
+  beforeEach(() => {
+    PlaidWebhookEvent.reset();
+    plaidWebhookService.verificationEnabled = true;
+  });
+
+  test('puts a stale event back on the retry schedule, counting the lost attempt', async () => {
+    const event = await stuckEvent();
+    const active = await stuckEvent({ lockedBy: 'busy-host-1', lockedAt: new Date() });
+
+    await plaidWebhookService.processDueEvents();
+
+    expect(event).toMatchObject({ status: 'pending', attempts: 1, lockedBy: null, lockedAt: null });
+    expect(event.attemptLog).toEqual([expect.objectContaining({ attempt: 1, outcome: 'error', error: 'Processing was interrupted before it finished' })]);
+    expect(event.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(active).toMatchObject({ status: 'processing', attempts: 0, lockedBy: 'busy-host-1' });
+
+    event.nextAttemptAt = new Date();
+    await plaidWebhookService.processDueEvents();
+    expect(event).toMatchObject({ status: 'ignored', attempts: 2, lockedBy: null });
+  });
+
+  test('leaves events a sibling process on the same host is still running alone at startup', async () => {
+    const sibling = await stuckEvent({ lockedBy: `${os.hostname()}-${process.pid + 1}-a1b2c3d4`, lockedAt: new Date() });
+    const crashed = await stuckEvent();
+
+    try {
+      await plaidWebhookService.initialize();
+    } finally {
+      clearInterval(plaidWebhookService.pollTimer);
+      plaidWebhookService.initialized = false;
+    }
+
+    expect(sibling).toMatchObject({ status: 'processing', attempts: 0 });
+    expect(crashed).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(plaidWebhookService.workerId).not.toBe(`${os.hostname()}-${process.pid}`);
+  });
+
+  test('fails an event whose last attempt was interrupted', async () => {
+    const event = await stuckEvent({ attempts: 5 });
+
+    await plaidWebhookService.recoverStaleEvents();
+
+    expect(event).toMatchObject({ status: 'failed', attempts: 6, nextAttemptAt: null });
+  });
+
+  test('does not treat a stale copy as the original of a repeat delivery', async () => {
+    const stale = await stuckEvent();
+    const repeat = await plaidWebhookService.record(payload, sha256(body));
+    expect(repeat.duplicate).toBe(false);
+    expect(repeat.event.id).not.toBe(stale.id);
+
+    const again = await plaidWebhookService.record(payload, sha256(body));
+    expect(again).toMatchObject({ duplicate: true, event: { id: repeat.event.id } });
+  });
+
+  test('replays a stale event but not one that is still being processed', async () => {
+    const active = await stuckEvent({ lockedAt: new Date() });
+    await expect(plaidWebhookService.replay(active.id, 'admin-1')).rejects.toMatchObject({ statusCode: 409 });
+
+    const stale = await stuckEvent();
+    const replayed = await plaidWebhookService.replay(stale.id, 'admin-1');
+
+    expect(replayed).toMatchObject({ status: 'ignored', attempts: 2 });
+    expect(replayed.attemptLog.map(entry => [entry.outcome, entry.replayedBy])).toEqual([
+      ['error', null],
+      ['ignored', 'admin-1']
+    ]);
+  });
+});
@@ -0,0 +1,182 @@
+// Prompt experiments: weighted variant assignment, overlap checks and per-variant results, with models kept in memory.
+jest.mock('../models', () => {
+  const { defineModel } = require('./helpers/memory-models');
+  return {
+    sequelize: {
+      transaction: async work => work({}),
+      fn: (name, ...args) => ({ fn: name, args }),
+      col: name => ({ col: name }),
+      literal: sql => ({ literal: sql })
+    },
+    PromptTemplate: defineModel('PromptTemplate'),
+    PromptExperiment: defineModel('PromptExperiment'),
+    InsightMetrics: { findAll: jest.fn() },
+    LlmUsage: { findAll: jest.fn() }
+  };
+});
+
+const { PromptTemplate, PromptExperiment, InsightMetrics, LlmUsage } = require('../models');
+const promptRegistry = require('../services/prompt-registry.service');
+
+const template = (version, values = {}) => PromptTemplate.create({
+  name: 'insights',
+  version,
+  template: `Version ${version}: {{query}}`,
+  queryTypes: null,
+  status: 'draft',
+  ...values
+});
+
+const experiment = (values = {}) => promptRegistry.createExperiment({
+  name: 'Shorter answers',
+  promptName: 'insights',
+  variants: [{ version: 1, weight: 3 }, { version: 'builtin', weight: 1 }],
+  ...values
+}, 'admin-1');
+
+describe('prompt registry', () => {
+  beforeEach(async () => {
+    PromptTemplate.reset();
+    PromptExperiment.reset();
+    jest.clearAllMocks();
+    await template(1);
+    await template(2);
+  });
+
+  describe('variant assignment', () => {
+    test('keeps a user on the same variant', async () => {
+      const running = await experiment();
+
+      for (const key of ['user-1', 'user-2', 'user-3', 42]) {
+        const first = promptRegistry._assignVariant(running, key);
+        for (let i = 0; i < 5; i++) {
+          expect(promptRegistry._assignVariant(running, key)).toBe(first);
+        }
+
+        const resolved = await promptRegistry.resolve('insights', { assignmentKey: key });
+        expect(resolved).toMatchObject({ version: first.version, experimentId: running.id });
+        expect(resolved.template ? resolved.template.version : 'builtin').toBe(first.version);
+      }
+    });
+
+    test('splits users in proportion to the variant weights', async () => {
+      const running = await experiment();
+
+      const assigned = Array.from({ length: 4000 }, (_, index) => promptRegistry._assignVariant(running, `user-${index}`).version);
+      const share = assigned.filter(version => version === 1).length / assigned.length;
+
+      expect(share).toBeGreaterThan(0.72);
+      expect(share).toBeLessThan(0.78);
+    });
+
+    test('buckets the same user independently in each experiment', async () => {
+      const variants = [{ version: 1, weight: 1 }, { version: 2, weight: 1 }];
+      const first = await experiment({ variants, queryTypes: ['spending'] });
+      const second = await experiment({ variants, queryTypes: ['budgeting'] });
+
+      const keys = Array.from({ length: 200 }, (_, index) => `user-${index}`);
+      const differing = keys.filter(key =>
+        promptRegistry._assignVariant(first, key).version !== promptRegistry._assignVariant(second, key).version
+      );
+
+      expect(differing.length).toBeGreaterThan(50);
+      expect(differing.length).toBeLessThan(150);
+    });
+  });
+
+  describe('overlapping experiments', () => {
+    test('rejects a second running experiment on overlapping query types', async () => {
+      await experiment({ queryTypes: ['spending', 'budgeting'] });
+
+      await expect(experiment({ name: 'Budget tone', queryTypes: ['budgeting'] })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Experiment "Shorter answers" is already running for insights on overlapping query types'
+      });
+      await expect(experiment({ name: 'Everything' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(await PromptExperiment.count()).toBe(1);
+    });
+
+    test('treats an experiment for every query type as overlapping all others', async () => {
+      await experiment();
+
+      await expect(experiment({ name: 'Debt tone', queryTypes: ['debt'] })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('allows disjoint query types and paused experiments', async () => {
+      await experiment({ queryTypes: ['spending'] });
+
+      await expect(experiment({ name: 'Debt tone', queryTypes: ['debt'] })).resolves.toMatchObject({ status: 'running' });
+      await expect(experiment({ name: 'Later', status: 'paused' })).resolves.toMatchObject({ status: 'paused', startedAt: null });
+    });
+
+    test('refuses to resume a paused experiment that now overlaps a running one', async () => {
+      const paused = await experiment({ status: 'paused' });
+      await experiment({ name: 'Debt tone', queryTypes: ['debt'] });
+
+      await expect(promptRegistry.updateExperiment(paused.id, { status: 'running' })).rejects.toMatchObject({ statusCode: 409 });
+      expect((await PromptExperiment.findByPk(paused.id)).status).toBe('paused');
+    });
+  });
+
+  describe('getExperimentResults', () => {
+    test('combines insight outcomes and LLM spend per variant', async () => {
+      const running = await experiment();
+      InsightMetrics.findAll.mockResolvedValue([
+        { promptVersion: '1', requests: '40', successful: '38', avgResponseTime: '812.6' },
+        { promptVersion: 'builtin', requests: '10', successful: '7', avgResponseTime: '1040.2' }
+      ]);
+      LlmUsage.findAll.mockResolvedValue([
+        { promptVersion: '1', calls: '52', totalTokens: '61000', costUsd: '0.0183000', records: '40' }
+      ]);
+
+      const results = await promptRegistry.getExperimentResults(running.id);
+
+      expect(results.experiment).toBe(running);
+      expect(results.variants).toEqual([
+        {
+          version: 1,
+          weight: 3,
+          requests: 40,
+          successful: 38,
+          failed: 2,
+          successRate: 95,
+          avgResponseTime: 813,
+          llmCalls: 52,
+          totalTokens: 61000,
+          costUsd: 0.0183,
+          avgCostUsd: 0.000458
+        },
+        {
+          version: 'builtin',
+          weight: 1,
+          requests: 10,
+          successful: 7,
+          failed: 3,
+          successRate: 70,
+          avgResponseTime: 1040,
+          llmCalls: 0,
+          totalTokens: 0,
+          costUsd: 0,
+          avgCostUsd: null
+        }
+      ]);
+      expect(InsightMetrics.findAll.mock.calls[0][0]).toMatchObject({ where: { experimentId: running.id }, group: ['promptVersion'] });
+      expect(LlmUsage.findAll.mock.calls[0][0]).toMatchObject({ where: { experimentId: running.id }, group: ['promptVersion'] });
+    });
+
+    test('reports no rates for a variant without traffic', async () => {
+      const running = await experiment();
+      InsightMetrics.findAll.mockResolvedValue([]);
+      LlmUsage.findAll.mockResolvedValue([]);
+
+      const { variants } = await promptRegistry.getExperimentResults(running.id);
+
+      expect(variants[0]).toMatchObject({ requests: 0, successRate: null, avgResponseTime: null, avgCostUsd: null });
+    });
+
+    test('returns null for an unknown experiment', async () => {
+      await expect(promptRegistry.getExperimentResults('missing')).resolves.toBeNull();
+      expect(InsightMetrics.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
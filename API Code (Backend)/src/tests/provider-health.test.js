@@ -0,0 +1,106 @@
+// LLM provider circuit breaker, including half-open probes that are cancelled mid-stream.
+jest.mock('../models', () => ({}));
+
+const providerHealth = require('../services/provider-health.service');
+const llmFactory = require('../services/llm-factory.service');
+
+const PROVIDER = 'cohere';
+
+const tripCircuit = () => {
+  for (let i = 0; i < providerHealth.consecutiveFailureLimit; i++) {
+    providerHealth.recordFailure(PROVIDER, 10, new Error('upstream 503'));
+  }
+};
+
+const collect = async generator => {
+  const events = [];
+  for await (const event of generator) events.push(event);
+  return events;
+};
+
+describe('provider health', () => {
+  const { cooldownMs } = providerHealth;
+
+  beforeEach(() => {
+    providerHealth.reset(PROVIDER);
+    providerHealth.cooldownMs = 0;
+    jest.spyOn(llmFactory, '_recordUsage').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    providerHealth.cooldownMs = cooldownMs;
+    jest.restoreAllMocks();
+  });
+
+  test('opens after consecutive failures and lets one probe through after the cooldown', () => {
+    tripCircuit();
+    expect(providerHealth.getHealth(PROVIDER).circuit).toBe('open');
+
+    expect(providerHealth.canAttempt(PROVIDER)).toBe(true);
+    expect(providerHealth.getHealth(PROVIDER).circuit).toBe('half_open');
+    expect(providerHealth.canAttempt(PROVIDER)).toBe(false);
+
+    providerHealth.recordSuccess(PROVIDER, 20);
+    expect(providerHealth.getHealth(PROVIDER)).toMatchObject({ circuit: 'closed', window: { requests: 1, failures: 0 } });
+  });
+
+  test('releasing a probe frees the slot without recording an outcome', () => {
+    tripCircuit();
+    providerHealth.canAttempt(PROVIDER);
+    const before = providerHealth.getHealth(PROVIDER);
+
+    providerHealth.releaseProbe(PROVIDER);
+
+    expect(providerHealth.getHealth(PROVIDER)).toEqual(before);
+    expect(providerHealth.canAttempt(PROVIDER)).toBe(true);
+  });
+
+  describe('streamed probes', () => {
+    const halfOpen = () => {
+      tripCircuit();
+      jest.spyOn(llmFactory, '_resolveProviderChain').mockReturnValue({ chain: [PROVIDER], allowFallback: false, bypassCircuit: false });
+    };
+
+    test('an aborted probe does not leave the provider blocked', async () => {
+      halfOpen();
+      const controller = new AbortController();
+      jest.spyOn(llmFactory, '_streamWithProvider').mockImplementation(async function* () {
+        controller.abort();
+        throw new Error('aborted');
+      });
+
+      const { totalRequests } = providerHealth.getHealth(PROVIDER);
+
+      await expect(collect(llmFactory.streamInsights({ query: 'hi' }, null, { signal: controller.signal }))).rejects.toThrow('aborted');
+
+      expect(providerHealth.getHealth(PROVIDER)).toMatchObject({ circuit: 'half_open', totalRequests });
+      expect(providerHealth.canAttempt(PROVIDER)).toBe(true);
+    });
+
+    test('a probe whose consumer stops reading does not leave the provider blocked', async () => {
+      halfOpen();
+      jest.spyOn(llmFactory, '_streamWithProvider').mockImplementation(async function* () {
+        yield { type: 'token', text: 'Your spending is up. ' };
+        yield { type: 'done', insight: 'Your spending is up.' };
+      });
+
+      for await (const event of llmFactory.streamInsights({ query: 'hi' })) {
+        if (event.type === 'token') break;
+      }
+
+      expect(providerHealth.canAttempt(PROVIDER)).toBe(true);
+    });
+
+    test('a completed probe closes the circuit', async () => {
+      halfOpen();
+      jest.spyOn(llmFactory, '_streamWithProvider').mockImplementation(async function* () {
+        yield { type: 'done', insight: 'All good.' };
+      });
+
+      const events = await collect(llmFactory.streamInsights({ query: 'hi' }));
+
+      expect(events.map(event => event.type)).toEqual(['provider', 'token', 'done']);
+      expect(providerHealth.getHealth(PROVIDER).circuit).toBe('closed');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// Recurrence detection on plain transaction lists; the database is never touched.
+jest.mock('../models', () => ({ Transaction: {}, BankUser: {} }));
+
+const recurrenceDetector = require('../services/recurrence-detector.service');
+
+const monthly = (merchant, amounts, start = '2026-01-15') => amounts.map((amount, index) => {
+  const date = new Date(`${start}T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + index);
+  return { description: merchant, amount, date: date.toISOString().slice(0, 10), accountId: 'acc-1' };
+});
+
+describe('recurrence detector', () => {
+  test('detects a fixed-price monthly subscription and predicts the next charge', () => {
+    const { recurring, summary } = recurrenceDetector.detect(
+      monthly('NETFLIX.COM', [-15.99, -15.99, -15.99, -15.99]),
+      { asOf: '2026-04-20' }
+    );
+
+    expect(recurring).toHaveLength(1);
+    expect(recurring[0]).toMatchObject({
+      merchant: 'NETFLIX.COM',
+      type: 'subscription',
+      cadence: 'monthly',
+      status: 'active',
+      nextExpectedAmount: 15.99,
+      priceChange: null
+    });
+    expect(recurring[0].nextExpectedDate.slice(0, 10)).toBe('2026-05-15');
+    expect(summary).toMatchObject({ subscriptions: 1, monthlyOutflow: 15.99 });
+  });
+
+  test('keeps the day of month when the next month is shorter', () => {
+    const transactions = ['2025-10-31', '2025-12-31', '2026-01-31'].map(date => ({
+      description: 'RENT PAYMENT', amount: -1200, date
+    }));
+    transactions.splice(1, 0, { description: 'RENT PAYMENT', amount: -1200, date: '2025-11-30' });
+
+    const { recurring } = recurrenceDetector.detect(transactions, { asOf: '2026-02-01' });
+
+    expect(recurring[0].nextExpectedDate.slice(0, 10)).toBe('2026-02-28');
+  });
+
+  test('flags a price increase and predicts the new price', () => {
+    const { recurring } = recurrenceDetector.detect(
+      monthly('SPOTIFY', [-9.99, -9.99, -9.99, -11.99]),
+      { asOf: '2026-04-20' }
+    );
+
+    expect(recurring[0].priceChange).toMatchObject({
+      direction: 'increase',
+      previousAmount: 9.99,
+      currentAmount: 11.99
+    });
+    expect(recurring[0].nextExpectedAmount).toBe(11.99);
+    expect(recurring[0].type).toBe('subscription');
+  });
+
+  test('marks overdue series as missed and long-stopped ones as inactive', () => {
+    const transactions = monthly('GYM MEMBERSHIP', [-40, -40, -40]);
+
+    const missed = recurrenceDetector.detect(transactions, { asOf: '2026-04-25' });
+    expect(missed.recurring[0]).toMatchObject({ status: 'missed', missedCharges: 1 });
+
+    const stopped = recurrenceDetector.detect(transactions, { asOf: '2026-08-01' });
+    expect(stopped.recurring).toHaveLength(0);
+
+    const withInactive = recurrenceDetector.detect(transactions, { asOf: '2026-08-01', includeInactive: true });
+    expect(withInactive.recurring[0].status).toBe('inactive');
+  });
+
+  test('reports income and varying bills by type', () => {
+    const payroll = ['2026-03-06', '2026-03-20', '2026-04-03', '2026-04-17'].map(date => ({
+      description: 'ACH ACME CORP PAYROLL', amount: 2500, date
+    }));
+    const power = monthly('CITY POWER', [-82.1, -95.4, -88, -71.3]);
+
+    const { recurring } = recurrenceDetector.detect([...payroll, ...power], { asOf: '2026-04-20' });
+    const byMerchant = Object.fromEntries(recurring.map(series => [series.merchant, series]));
+
+    expect(byMerchant['ACME CORP PAYROLL']).toMatchObject({ type: 'income', cadence: 'biweekly', direction: 'inflow' });
+    expect(byMerchant['CITY POWER']).toMatchObject({ type: 'bill', cadence: 'monthly' });
+  });
+
+  test('ignores irregular purchases and pending transactions', () => {
+    const irregular = ['2026-01-02', '2026-01-05', '2026-02-19', '2026-04-01'].map((date, index) => ({
+      description: 'CORNER CAFE', amount: -(4 + index * 3), date
+    }));
+    const pending = monthly('HULU', [-7.99, -7.99, -7.99]).map(tx => ({ ...tx, pending: true }));
+
+    expect(recurrenceDetector.detect([...irregular, ...pending], { asOf: '2026-04-05' }).recurring).toHaveLength(0);
+  });
+
+  test('groups descriptors that differ only by reference numbers', () => {
+    const transactions = monthly('AMZN PRIME', [-14.99, -14.99, -14.99])
+      .map((tx, index) => ({ ...tx, description: `AMZN PRIME*${1000 + index}` }));
+
+    const { recurring } = recurrenceDetector.detect(transactions, { asOf: '2026-03-20' });
+
+    expect(recurring).toHaveLength(1);
+    expect(recurring[0].occurrences).toBe(3);
+  });
+
+  test('projects future occurrences and counts an overdue bill once at the start', () => {
+    const { recurring } = recurrenceDetector.detect(
+      monthly('INSURANCE CO', [-120, -120, -120]),
+      { asOf: '2026-04-25' }
+    );
+    const from = new Date('2026-04-25T00:00:00Z');
+    const dates = recurrenceDetector.projectOccurrences(recurring[0], new Date('2026-07-01T00:00:00Z'), from)
+      .map(date => date.toISOString().slice(0, 10));
+
+    expect(dates).toEqual(['2026-04-26', '2026-05-15', '2026-06-15']);
+  });
+});
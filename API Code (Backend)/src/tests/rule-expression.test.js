@@ -0,0 +1,90 @@
+// Banking rule expressions: parsing, evaluation semantics and the sandbox guarantees.
+const { compile, evaluate } = require('../utils/rule-expression');
+
+const run = (source, scope = {}) => evaluate(compile(source), scope);
+
+describe('rule expressions', () => {
+  test('evaluates the documented examples', () => {
+    const scope = {
+      end_balance: 120,
+      avg_daily_spend: 100,
+      has_loan: false,
+      category_spend: { 'home-improvement': 650 },
+      merchant_spend: { netflix: 15.99 },
+      gambling_ratio: 0.2,
+      days_of_runway: 12
+    };
+
+    expect(run('end_balance < 1.5 * avg_daily_spend and not has_loan', scope)).toBe(true);
+    expect(run("category_spend['home-improvement'] > 500 or merchant_spend.netflix >= 20", scope)).toBe(true);
+    expect(run('gambling_ratio > 0.15 && between(days_of_runway, 0, 30)', scope)).toBe(true);
+  });
+
+  test('follows operator precedence and parentheses', () => {
+    expect(run('1 + 2 * 3')).toBe(7);
+    expect(run('(1 + 2) * 3')).toBe(9);
+    expect(run('-2 * -3 + 10 % 4')).toBe(8);
+    expect(run('true or false and false')).toBe(true);
+    expect(run('not 1 > 2')).toBe(true);
+  });
+
+  test('treats null as missing data', () => {
+    const scope = { income: null, spend: 50 };
+
+    expect(run('income + spend', scope)).toBeNull();
+    expect(run('income > 0', scope)).toBe(false);
+    expect(run('income < 0', scope)).toBe(false);
+    expect(run('income == null', scope)).toBe(true);
+    expect(run('spend / 0', scope)).toBeNull();
+    expect(run('coalesce(income, spend)', scope)).toBe(50);
+    expect(run('merchant.unknown', { merchant: {} })).toBeNull();
+  });
+
+  test('compares strings case-insensitively and supports in', () => {
+    const scope = { segment: 'Premium', city: 'New York' };
+
+    expect(run("segment == 'premium'", scope)).toBe(true);
+    expect(run("segment in ['basic', 'PREMIUM']", scope)).toBe(true);
+    expect(run("'york' in city", scope)).toBe(true);
+    expect(run("segment != \"Premium\"", scope)).toBe(false);
+  });
+
+  test('reports the metrics an expression uses', () => {
+    expect(compile('round(a / b, 2) > max(c, 1) and d.x').identifiers.sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test.each([
+    ['balance = 5', /Use == for comparison at position 8/],
+    ['1 < 2 < 3', /cannot be chained/],
+    ['eval(1)', /Unknown function "eval"/],
+    ['round()', /round\(\) takes 1-2 argument/],
+    ["'open", /Unterminated string/],
+    ['(1 + 2', /Expected "\)"/],
+    ['1 +', /Unexpected end of expression/],
+    ['a ; b', /Unexpected character ";"/],
+    ['', /Expression is required/]
+  ])('rejects %s', (source, message) => {
+    expect(() => compile(source)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: expect.stringMatching(message)
+    }));
+  });
+
+  test('limits length and nesting', () => {
+    expect(() => compile(`${'1 + '.repeat(300)}1`)).toThrow(/at most 1000 characters|too long/);
+    expect(() => compile(`${'('.repeat(50)}1${')'.repeat(50)}`)).toThrow(/nested too deeply/);
+  });
+
+  test('cannot reach anything outside the scope', () => {
+    expect(() => run('constructor', {})).toThrow(/Unknown metric "constructor"/);
+    expect(() => run('__proto__', {})).toThrow(/Unknown metric/);
+    expect(run('data.constructor', { data: {} })).toBeNull();
+    expect(run("data['__proto__']", { data: {} })).toBeNull();
+    expect(() => compile('(1).toString')).toThrow(/Only metrics support property access/);
+  });
+
+  test('fails on unknown metrics at evaluation time', () => {
+    const compiled = compile('missing_metric > 1');
+    expect(() => evaluate(compiled, {})).toThrow(/Unknown metric "missing_metric"/);
+  });
+});
@@ -0,0 +1,65 @@
+// Client category and admin merchant regex rules are checked before they run on every ingested transaction.
+jest.mock('../models', () => ({ CategoryRule: {}, CategoryTaxonomy: {}, Transaction: {}, MerchantRule: {}, Merchant: {} }));
+
+const { findUnsafeRegexReason } = require('../utils/safe-regex');
+const categorization = require('../services/categorization.service');
+const merchantNormalization = require('../services/merchant-normalization.service');
+
+describe('findUnsafeRegexReason', () => {
+  test.each([
+    '^(uber|lyft)\\b.*trip',
+    '^amzn\\s+mktp',
+    '(?:whole ?foods|trader joe)',
+    'coffee(house)?',
+    '[(+*]+ref',
+    'ab{1,3}c'
+  ])('accepts %s', pattern => {
+    expect(findUnsafeRegexReason(pattern)).toBeNull();
+  });
+
+  test.each([
+    ['(a+)+$', /nested quantifiers/],
+    ['(\\w+\\s?)+$', /nested quantifiers/],
+    ['(a?){25}b', /nested quantifiers/],
+    ['(a|ab)*c', /repeated alternations/],
+    ['([a-z]+)\\1', /backreferences/],
+    ['.*a.*b.*c.*d', /unbounded quantifiers/]
+  ])('rejects %s', (pattern, reason) => {
+    expect(findUnsafeRegexReason(pattern)).toMatch(reason);
+  });
+});
+
+describe('categorization regex rules', () => {
+  test('rejects unsafe and overlong client regexes with a 400', () => {
+    const attempt = pattern => () => categorization._validateRule('client-1', {
+      categoryId: 'groceries',
+      matchType: 'regex',
+      pattern
+    });
+
+    expect(attempt('^(kroger|safeway)\\b')).not.toThrow();
+    expect(attempt('(a+)+$')).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/^Unsafe regex/) }));
+    expect(attempt(`^${'a'.repeat(250)}`)).toThrow(/at most 200 characters/);
+  });
+
+  test('skips unsafe client regexes already stored', () => {
+    expect(categorization._compileRule({ id: 'r1', categoryId: 'groceries', matchType: 'regex', pattern: '(x+)+y' }, 'client')).toBeNull();
+    expect(categorization._compileRule({ id: 'r2', categoryId: 'groceries', matchType: 'regex', pattern: 'kroger' }, 'client')).not.toBeNull();
+  });
+});
+
+describe('merchant override regex rules', () => {
+  test('rejects unsafe and overlong admin regexes with a 400', () => {
+    const attempt = pattern => () => merchantNormalization._validateRule({ merchantId: 'costco', matchType: 'regex', pattern });
+
+    expect(attempt('^costco\\s+(whse|gas)')).not.toThrow();
+    expect(attempt('^(\\w+\\s?)+$')).toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/^Unsafe regex/) }));
+    expect(attempt(`^${'a'.repeat(250)}`)).toThrow(/at most 200 characters/);
+  });
+
+  test('skips unsafe admin regexes already stored but keeps the built-in catalog', () => {
+    expect(merchantNormalization._compileRule({ id: 'm1', merchantId: 'costco', matchType: 'regex', pattern: '(x+)+y' }, 'admin')).toBeNull();
+    expect(merchantNormalization._compileRule({ id: 'm2', merchantId: 'costco', matchType: 'regex', pattern: 'costco' }, 'admin')).not.toBeNull();
+    expect(merchantNormalization.builtInRules.every(Boolean)).toBe(true);
+  });
+});
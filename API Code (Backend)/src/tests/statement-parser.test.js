@@ -0,0 +1,139 @@
+// Statement file parsing (OFX, CSV, CAMT.053) into report accounts and transactions.
+const { parseStatement, detectFormat, parseAmount } = require('../utils/statement-parser');
+
+const day = date => date.toISOString().slice(0, 10);
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>USD
+<BANKACCTFROM><BANKID>123456789<ACCTID>000123456789<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20260901<DTEND>20260930
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260903120000[-5:EST]<TRNAMT>-42.17<FITID>A1<NAME>WHOLE FOODS<MEMO>Groceries</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260915<TRNAMT>2500.00<FITID>A2<NAME>ACME PAYROLL</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>bad<TRNAMT>-5<FITID>A3<NAME>BROKEN</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>3120.55<DTASOF>20260930</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-1</Id>
+      <Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+      <Ntry>
+        <Amt Ccy="EUR">89.90</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2026-09-04</Dt></BookgDt>
+        <AcctSvcrRef>REF-1</AcctSvcrRef>
+        <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>Stadtwerke</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Strom September</Ustrd></RmtInf></TxDtls></NtryDtls>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+describe('statement parser', () => {
+  test('detects the format from the file name or content', () => {
+    expect(detectFormat('anything', 'export.QFX')).toBe('ofx');
+    expect(detectFormat(OFX)).toBe('ofx');
+    expect(detectFormat(CAMT)).toBe('camt053');
+    expect(detectFormat('Date,Amount\n2026-01-01,1')).toBe('csv');
+    expect(() => detectFormat('<html></html>')).toThrow(/Unsupported XML statement/);
+  });
+
+  test('parses amounts in the common bank notations', () => {
+    expect(parseAmount('$1,234.56')).toBe(1234.56);
+    expect(parseAmount('(12.00)')).toBe(-12);
+    expect(parseAmount('12.00-')).toBe(-12);
+    expect(parseAmount('12.00 DR')).toBe(-12);
+    expect(parseAmount('1.234,56', true)).toBe(1234.56);
+    expect(parseAmount('abc')).toBeNull();
+  });
+
+  test('parses an SGML OFX statement and reports the bad transaction', () => {
+    const result = parseStatement(OFX);
+
+    expect(result.format).toBe('ofx');
+    expect(result.accounts[0]).toMatchObject({ accountId: '000123456789', type: 'depository', balance: 3120.55 });
+    expect(result.transactions.map(tx => [day(tx.date), tx.amount])).toEqual([
+      ['2026-09-15', 2500],
+      ['2026-09-03', -42.17]
+    ]);
+    expect(result.transactions[1].description).toBe('WHOLE FOODS Groceries');
+    expect(result.parseErrors).toEqual([expect.objectContaining({ id: 'A3', message: expect.stringMatching(/DTPOSTED/) })]);
+    expect(day(result.dateRange.startDate)).toBe('2026-09-01');
+  });
+
+  test('parses a CAMT.053 statement with debit entries as negative amounts', () => {
+    const result = parseStatement(CAMT);
+
+    expect(result.accounts[0]).toMatchObject({ accountId: 'DE89370400440532013000', currency: 'EUR', balance: 1500 });
+    expect(result.transactions[0]).toMatchObject({ amount: -89.9, merchantName: 'Stadtwerke' });
+    expect(result.transactions[0].description).toBe('Stadtwerke Strom September');
+  });
+
+  test('parses a CSV with debit/credit columns, decimal commas and a preamble', () => {
+    const csv = [
+      'Account;DE123',
+      '',
+      'Booking Date;Description;Debit;Credit;Balance',
+      '03.09.2026;REWE;12,50;;987,50',
+      '01.09.2026;Gehalt;;1.000,00;1.000,00'
+    ].join('\n');
+
+    const result = parseStatement(csv, { filename: 'export.csv' });
+
+    expect(result.transactions.map(tx => [day(tx.date), tx.amount])).toEqual([
+      ['2026-09-03', -12.5],
+      ['2026-09-01', 1000]
+    ]);
+    expect(result.accounts[0].balance).toBe(987.5);
+  });
+
+  test('reads slash dates month-first when a day above 12 proves it, ignoring invalid rows', () => {
+    const csv = [
+      'Date,Description,Amount',
+      '01/05/2026,Coffee,-4.50',
+      '01/15/2026,Payroll,2000.00',
+      '13/40/2026,Broken row,-1.00'
+    ].join('\n');
+
+    const result = parseStatement(csv);
+
+    expect(result.transactions.map(tx => day(tx.date)).sort()).toEqual(['2026-01-05', '2026-01-15']);
+    expect(result.parseErrors).toEqual([{ line: 4, message: 'Skipped row: invalid date "13/40/2026"' }]);
+  });
+
+  test('reads slash dates day-first when a value only fits that order', () => {
+    const result = parseStatement('Date,Description,Amount\n02/03/2026,A,-1\n25/03/2026,B,-2\n');
+
+    expect(result.transactions.map(tx => day(tx.date)).sort()).toEqual(['2026-03-02', '2026-03-25']);
+  });
+
+  test('rejects files whose dates only fit conflicting orders', () => {
+    const csv = 'Date,Description,Amount\n01/15/2026,A,-1\n15/01/2026,B,-2\n';
+
+    expect(() => parseStatement(csv)).toThrow(expect.objectContaining({
+      statusCode: 422,
+      message: expect.stringMatching(/mixes date formats/)
+    }));
+  });
+
+  test('infers columns when there is no header row', () => {
+    const result = parseStatement('2026-09-01,STARBUCKS 1234,-5.25\n2026-09-02,PAYROLL ACME,1500\n');
+
+    expect(result.warnings).toContain('CSV has no recognizable header row; columns were inferred from the data');
+    expect(result.transactions).toHaveLength(2);
+  });
+
+  test('fails when nothing can be parsed', () => {
+    expect(() => parseStatement('')).toThrow(/empty/);
+    expect(() => parseStatement('Date,Description,Amount\nnot a date,A,x\n')).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+});
@@ -0,0 +1,110 @@
+// Natural-language transaction search: question parsing, filter overrides and result summaries.
+const transactionSearch = require('../services/transaction-search.service');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const accounts = [
+  { accountId: 'chk-1111', name: 'Everyday Checking', type: 'depository', subtype: 'checking', mask: '1111' },
+  { accountId: 'cc-4242', name: 'Rewards Visa', type: 'credit', subtype: 'credit card', mask: '4242' }
+];
+
+const transactions = [
+  { transactionId: 't1', accountId: 'cc-4242', date: '2026-03-04', description: 'COSTCO WHSE #0123', amount: -182.4, category: 'groceries' },
+  { transactionId: 't2', accountId: 'cc-4242', date: '2026-03-18', description: 'COSTCO WHSE #0123', amount: -64.1, category: 'groceries' },
+  { transactionId: 't3', accountId: 'chk-1111', date: '2026-03-20', description: 'JOE\'S PIZZA', merchantName: 'Joe\'s Pizza', amount: -23.5, category: 'dining' },
+  { transactionId: 't4', accountId: 'chk-1111', date: '2026-03-31', description: 'ACME PAYROLL', amount: 2500, category: 'income' },
+  { transactionId: 't5', accountId: 'chk-1111', date: '2026-04-02', description: 'COSTCO REFUND', amount: 40, category: 'groceries' },
+  { transactionId: 't6', accountId: 'chk-1111', date: '2026-03-22', description: 'ONLINE TRANSFER TO SAVINGS', amount: -500, category: 'transfer' }
+];
+
+const search = params => transactionSearch.search({ transactions, accounts, now, ...params });
+
+describe('transaction search', () => {
+  test('parses merchant, period and direction from a question', () => {
+    const filter = transactionSearch.parseQuestion('how much did I spend at Costco in March?', { accounts, now });
+
+    expect(filter).toMatchObject({
+      merchants: [{ id: 'costco' }],
+      dateRange: { start: '2026-03-01', end: '2026-03-31' },
+      direction: 'outflow',
+      amountRange: null,
+      accounts: []
+    });
+  });
+
+  test('answers the question over matching outflows only', () => {
+    const result = search({ question: 'how much did I spend at Costco in March?' });
+
+    expect(result.transactions.map(tx => tx.transactionId)).toEqual(['t2', 't1']);
+    expect(result.summary).toMatchObject({ count: 2, totalOutflow: 246.5, totalInflow: 0, firstDate: '2026-03-04', lastDate: '2026-03-18' });
+    expect(result.summary.largest.transactionId).toBe('t1');
+  });
+
+  test('falls back to a capitalized name for merchants outside the catalog', () => {
+    const result = search({ question: 'what did I pay at Joe\'s Pizza' });
+
+    expect(result.filter.merchants).toEqual([{ id: null, name: 'Joe\'s Pizza' }]);
+    expect(result.transactions.map(tx => tx.transactionId)).toEqual(['t3']);
+  });
+
+  test('reads amount bounds and account references', () => {
+    expect(transactionSearch.parseQuestion('purchases over $100 on my credit card', { accounts, now })).toMatchObject({
+      amountRange: { min: 100, max: null },
+      accounts: [{ accountId: 'cc-4242' }]
+    });
+    expect(transactionSearch.parseQuestion('charges between $20 and $70 on the card ending in 4242', { accounts, now })).toMatchObject({
+      amountRange: { min: 20, max: 70 },
+      accounts: [{ accountId: 'cc-4242' }]
+    });
+    expect(transactionSearch.parseQuestion('everything from Everyday Checking', { accounts, now }).accounts)
+      .toEqual([{ accountId: 'chk-1111', name: 'Everyday Checking' }]);
+  });
+
+  test('treats income words as inflows and leaves transfers out of spending', () => {
+    const income = search({ question: 'how much income did I receive in March' });
+    expect(income.filter.direction).toBe('inflow');
+    expect(income.transactions.map(tx => tx.transactionId)).toEqual(['t4']);
+
+    const spending = search({ question: 'what did I spend in March', sort: 'amount_desc' });
+    expect(spending.transactions.map(tx => tx.transactionId)).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('applies client filter fields on top of the parsed question', () => {
+    const result = search({
+      question: 'how much did I spend at Costco in March?',
+      filter: { dateRange: null, direction: 'any', merchants: ['costco'] }
+    });
+
+    expect(result.filter).toMatchObject({ question: 'how much did I spend at Costco in March?', dateRange: null, direction: 'any' });
+    expect(result.filter.merchants[0]).toMatchObject({ id: 'costco', name: expect.stringMatching(/Costco/) });
+    expect(result.transactions.map(tx => tx.transactionId)).toEqual(['t5', 't2', 't1']);
+    expect(result.summary.net).toBe(-206.5);
+  });
+
+  test('searches with a filter alone and pages through the results', () => {
+    const result = search({ filter: { categories: ['groceries'] }, limit: 2, offset: 1, sort: 'date_asc' });
+
+    expect(result.transactions.map(tx => tx.transactionId)).toEqual(['t2', 't5']);
+    expect(result.pagination).toEqual({ total: 3, limit: 2, offset: 1, hasMore: false });
+    expect(result.summary.byMonth).toEqual([
+      { month: '2026-03', total: 246.5, count: 2 },
+      { month: '2026-04', total: 40, count: 1 }
+    ]);
+  });
+
+  test.each([
+    ['an empty request', {}, /question or a filter is required/],
+    ['a non-array merchant list', { filter: { merchants: 'costco' } }, /filter.merchants must be an array/],
+    ['a non-ISO date', { filter: { dateRange: { start: '03/01/2026' } } }, /YYYY-MM-DD/],
+    ['a reversed date range', { filter: { dateRange: { start: '2026-04-01', end: '2026-03-01' } } }, /start must not be after end/],
+    ['a reversed amount range', { filter: { amountRange: { min: 50, max: 10 } } }, /min must not be above max/],
+    ['a negative amount', { filter: { amountRange: { min: -5 } } }, /non-negative/],
+    ['an unknown direction', { filter: { direction: 'sideways' } }, /filter.direction must be one of/],
+    ['an unknown sort', { question: 'costco', sort: 'random' }, /sort must be one of/]
+  ])('rejects %s', (name, params, message) => {
+    expect(() => search(params)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: expect.stringMatching(message)
+    }));
+  });
+});
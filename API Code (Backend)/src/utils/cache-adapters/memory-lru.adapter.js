@@ -0,0 +1,109 @@
+// src/utils/cache-adapters/memory-lru.adapter.js
+
+/**
+ * In-process LRU storage for ReportCache.
+ * Only suitable for a single API instance; use the SQL adapter to share
+ * cached reports between instances.
+ */
+class MemoryLRUAdapter {
+	constructor(options = {}) {
+		this.name = 'memory';
+		this.maxSize = options.maxSize || 100;
+		this.entries = new Map(); // Map iteration order doubles as recency order
+		this.versions = new Map();
+	}
+
+	async get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return null;
+
+		// Move to the most recently used position
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry;
+	}
+
+	async set(key, entry) {
+		if (this.entries.has(key)) {
+			this.entries.delete(key);
+		}
+
+		let evicted = null;
+		if (this.entries.size >= this.maxSize) {
+			evicted = this.entries.keys().next().value;
+			this.entries.delete(evicted);
+		}
+
+		this.entries.set(key, entry);
+		return { evicted };
+	}
+
+	async touch(key, fields) {
+		const entry = this.entries.get(key);
+		if (entry) Object.assign(entry, fields);
+	}
+
+	async delete(key) {
+		return this.entries.delete(key);
+	}
+
+	async deleteByUser(userId) {
+		let removed = 0;
+		for (const [key, entry] of this.entries.entries()) {
+			if (entry.userId === userId) {
+				this.entries.delete(key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	async deleteExpired(now) {
+		let removed = 0;
+		for (const [key, entry] of this.entries.entries()) {
+			if (now > entry.expiresAt) {
+				this.entries.delete(key);
+				removed++;
+			}
+		}
+		return removed;
+	}
+
+	async clear() {
+		const size = this.entries.size;
+		this.entries.clear();
+		return size;
+	}
+
+	async getDataVersion(userId) {
+		return this.versions.get(userId) || 0;
+	}
+
+	async bumpDataVersion(userId) {
+		const version = (this.versions.get(userId) || 0) + 1;
+		this.versions.set(userId, version);
+		return version;
+	}
+
+	async getStats() {
+		let totalAccess = 0;
+		let oldestEntry = Date.now();
+		let newestEntry = 0;
+
+		for (const entry of this.entries.values()) {
+			totalAccess += entry.accessCount;
+			if (entry.createdAt < oldestEntry) oldestEntry = entry.createdAt;
+			if (entry.createdAt > newestEntry) newestEntry = entry.createdAt;
+		}
+
+		return {
+			size: this.entries.size,
+			maxSize: this.maxSize,
+			totalAccess,
+			oldestEntryAge: this.entries.size > 0 ? Date.now() - oldestEntry : 0,
+			newestEntryAge: this.entries.size > 0 ? Date.now() - newestEntry : 0
+		};
+	}
+}
+
+module.exports = MemoryLRUAdapter;
@@ -0,0 +1,128 @@
+// src/utils/cache-adapters/sql.adapter.js
+const { Op } = require('sequelize');
+
+/**
+ * Shared ReportCache storage backed by the application database, so every
+ * API instance sees the same cached reports and data versions.
+ */
+class SQLAdapter {
+	constructor(options = {}) {
+		// Required lazily so the in-memory backend never touches the models
+		const { ReportCacheEntry, ReportCacheVersion, sequelize } = require('../../models');
+
+		if (!ReportCacheEntry || !ReportCacheVersion) {
+			throw new Error('ReportCacheEntry/ReportCacheVersion models are not available');
+		}
+
+		this.name = 'sql';
+		this.maxSize = options.maxSize || 1000;
+		this.Entry = ReportCacheEntry;
+		this.Version = ReportCacheVersion;
+		this.sequelize = sequelize;
+	}
+
+	_toEntry(row) {
+		return {
+			userId: row.userId,
+			report: row.report,
+			createdAt: new Date(row.createdAt).getTime(),
+			expiresAt: new Date(row.expiresAt).getTime(),
+			lastAccessedAt: row.lastAccessedAt ? new Date(row.lastAccessedAt).getTime() : null,
+			accessCount: row.accessCount
+		};
+	}
+
+	async get(key) {
+		const row = await this.Entry.findOne({ where: { cacheKey: key } });
+		return row ? this._toEntry(row) : null;
+	}
+
+	async set(key, entry) {
+		await this.Entry.upsert({
+			cacheKey: key,
+			userId: entry.userId,
+			report: entry.report,
+			expiresAt: new Date(entry.expiresAt),
+			accessCount: entry.accessCount,
+			lastAccessedAt: new Date(entry.createdAt)
+		});
+
+		// Evict least recently used rows above the size limit
+		let evicted = null;
+		const count = await this.Entry.count();
+		if (count > this.maxSize) {
+			const stale = await this.Entry.findAll({
+				attributes: ['cacheKey'],
+				order: [['lastAccessedAt', 'ASC']],
+				limit: count - this.maxSize,
+				raw: true
+			});
+			const keys = stale.map(row => row.cacheKey);
+			await this.Entry.destroy({ where: { cacheKey: { [Op.in]: keys } } });
+			evicted = keys.join(', ');
+		}
+
+		return { evicted };
+	}
+
+	async touch(key, fields) {
+		const update = {};
+		if (fields.accessCount !== undefined) update.accessCount = fields.accessCount;
+		if (fields.lastAccessedAt !== undefined) update.lastAccessedAt = new Date(fields.lastAccessedAt);
+		await this.Entry.update(update, { where: { cacheKey: key } });
+	}
+
+	async delete(key) {
+		const removed = await this.Entry.destroy({ where: { cacheKey: key } });
+		return removed > 0;
+	}
+
+	async deleteByUser(userId) {
+		return this.Entry.destroy({ where: { userId } });
+	}
+
+	async deleteExpired(now) {
+		return this.Entry.destroy({ where: { expiresAt: { [Op.lt]: new Date(now) } } });
+	}
+
+	async clear() {
+		return this.Entry.destroy({ where: {} });
+	}
+
+	async getDataVersion(userId) {
+		const row = await this.Version.findByPk(userId);
+		return row ? row.version : 0;
+	}
+
+	async bumpDataVersion(userId) {
+		const [row, created] = await this.Version.findOrCreate({
+			where: { userId },
+			defaults: { version: 1 }
+		});
+
+		if (created) return 1;
+
+		await row.increment('version');
+		await row.reload();
+		return row.version;
+	}
+
+	async getStats() {
+		const [size, totalAccess, oldest, newest] = await Promise.all([
+			this.Entry.count(),
+			this.Entry.sum('accessCount'),
+			this.Entry.min('createdAt'),
+			this.Entry.max('createdAt')
+		]);
+
+		return {
+			size,
+			maxSize: this.maxSize,
+			totalAccess: totalAccess || 0,
+			oldestEntryAge: oldest ? Date.now() - new Date(oldest).getTime() : 0,
+			newestEntryAge: newest ? Date.now() - new Date(newest).getTime() : 0
+		};
+	}
+}
+
+module.exports = SQLAdapter;
@@ -0,0 +1,124 @@
+// src/utils/category-taxonomy.js
+
+/**
+ * Default transaction taxonomy. Client taxonomies map onto these IDs through
+ * each category's `mapsFrom` list, so the built-in rules below keep working
+ * for clients that rename, merge or split categories.
+ */
+const DEFAULT_TAXONOMY = {
+	name: 'Default',
+	categories: [
+		{ id: 'income', name: 'Income' },
+		{ id: 'transfer', name: 'Transfer' },
+		{ id: 'housing', name: 'Housing' },
+		{ id: 'utilities', name: 'Utilities' },
+		{ id: 'groceries', name: 'Groceries' },
+		{ id: 'dining', name: 'Food and Drink' },
+		{ id: 'transportation', name: 'Transportation' },
+		{ id: 'gas', name: 'Gas' },
+		{ id: 'travel', name: 'Travel' },
+		{ id: 'shopping', name: 'Shopping' },
+		{ id: 'entertainment', name: 'Entertainment' },
+		{ id: 'software', name: 'Software & Cloud' },
+		{ id: 'health', name: 'Health' },
+		{ id: 'home-improvement', name: 'Home Improvement' },
+		{ id: 'fees', name: 'Bank Fees' },
+		{ id: 'cash', name: 'Cash Withdrawal' },
+		{ id: 'loan-payment', name: 'Loan Payment' },
+		{ id: 'gambling', name: 'Gambling' },
+		{ id: 'education', name: 'Education' },
+		{ id: 'personal-care', name: 'Personal Care' },
+		{ id: 'uncategorized', name: 'Uncategorized' }
+	]
+};
+
+/**
+ * Built-in rules. Higher priority wins when several match.
+ * - mcc: comma-separated codes or "start-end" ranges
+ * - source_category: case-insensitive equality with any level of the category supplied by the bank or Plaid
+ * - merchant: canonical merchant ID or merchant catalog category name
+ * - keyword: whole-word match on the description / merchant name
+ * Alternatives within a pattern are separated by "|".
+ */
+const DEFAULT_CATEGORY_RULES = [
+	// Merchant category codes
+	{ matchType: 'mcc', pattern: '5411', categoryId: 'groceries', priority: 90 },
+	{ matchType: 'mcc', pattern: '5422-5499', categoryId: 'groceries', priority: 90 },
+	{ matchType: 'mcc', pattern: '5811-5814', categoryId: 'dining', priority: 90 },
+	{ matchType: 'mcc', pattern: '5541-5542', categoryId: 'gas', priority: 90 },
+	{ matchType: 'mcc', pattern: '3000-3299', categoryId: 'travel', priority: 90 },
+	{ matchType: 'mcc', pattern: '3501-3999', categoryId: 'travel', priority: 90 },
+	{ matchType: 'mcc', pattern: '4511', categoryId: 'travel', priority: 90 },
+	{ matchType: 'mcc', pattern: '7011', categoryId: 'travel', priority: 90 },
+	{ matchType: 'mcc', pattern: '4111-4131', categoryId: 'transportation', priority: 90 },
+	{ matchType: 'mcc', pattern: '4121', categoryId: 'transportation', priority: 91 },
+	{ matchType: 'mcc', pattern: '4900', categoryId: 'utilities', priority: 90 },
+	{ matchType: 'mcc', pattern: '4812-4816', categoryId: 'utilities', priority: 90 },
+	{ matchType: 'mcc', pattern: '4899', categoryId: 'entertainment', priority: 90 },
+	{ matchType: 'mcc', pattern: '5912', categoryId: 'health', priority: 90 },
+	{ matchType: 'mcc', pattern: '8011-8099', categoryId: 'health', priority: 90 },
+	{ matchType: 'mcc', pattern: '5200-5251', categoryId: 'home-improvement', priority: 90 },
+	{ matchType: 'mcc', pattern: '5300-5399', categoryId: 'shopping', priority: 90 },
+	{ matchType: 'mcc', pattern: '5600-5699', categoryId: 'shopping', priority: 90 },
+	{ matchType: 'mcc', pattern: '5732-5735', categoryId: 'shopping', priority: 90 },
+	{ matchType: 'mcc', pattern: '5815-5818', categoryId: 'software', priority: 90 },
+	{ matchType: 'mcc', pattern: '7372', categoryId: 'software', priority: 90 },
+	{ matchType: 'mcc', pattern: '7832-7841', categoryId: 'entertainment', priority: 90 },
+	{ matchType: 'mcc', pattern: '7995', categoryId: 'gambling', priority: 95 },
+	{ matchType: 'mcc', pattern: '6010-6011', categoryId: 'cash', priority: 90 },
+	{ matchType: 'mcc', pattern: '8211-8299', categoryId: 'education', priority: 90 },
+	{ matchType: 'mcc', pattern: '7230', categoryId: 'personal-care', priority: 90 },
+
+	// Merchant catalog categories (see merchant-catalog.js)
+	{ matchType: 'merchant', pattern: 'Groceries', categoryId: 'groceries', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Food and Drink', categoryId: 'dining', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Transportation', categoryId: 'transportation', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Gas', categoryId: 'gas', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Travel', categoryId: 'travel', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Shopping', categoryId: 'shopping', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Entertainment', categoryId: 'entertainment', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Software & Cloud', categoryId: 'software', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Health', categoryId: 'health', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Home Improvement', categoryId: 'home-improvement', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Utilities', categoryId: 'utilities', priority: 80 },
+	{ matchType: 'merchant', pattern: 'Transfer', categoryId: 'transfer', priority: 80 },
+
+	// Source categories (Plaid legacy hierarchy and personal_finance_category primaries)
+	{ matchType: 'source_category', pattern: 'INCOME|Payroll|Deposit', categoryId: 'income', priority: 71 },
+	{ matchType: 'source_category', pattern: 'TRANSFER_IN|TRANSFER_OUT|Transfer', categoryId: 'transfer', priority: 70 },
+	{ matchType: 'source_category', pattern: 'LOAN_PAYMENTS|Loan|Mortgage|Credit Card', categoryId: 'loan-payment', priority: 70 },
+	{ matchType: 'source_category', pattern: 'RENT_AND_UTILITIES|Rent|Housing', categoryId: 'housing', priority: 70 },
+	{ matchType: 'source_category', pattern: 'Utilities|Telecommunication Services|Cable|RENT_AND_UTILITIES_GAS_AND_ELECTRICITY|RENT_AND_UTILITIES_INTERNET_AND_CABLE|RENT_AND_UTILITIES_TELEPHONE|RENT_AND_UTILITIES_WATER', categoryId: 'utilities', priority: 71 },
+	{ matchType: 'source_category', pattern: 'Groceries|Supermarkets and Groceries|FOOD_AND_DRINK_GROCERIES', categoryId: 'groceries', priority: 71 },
+	{ matchType: 'source_category', pattern: 'FOOD_AND_DRINK|Food and Drink|Restaurants|Dining', categoryId: 'dining', priority: 70 },
+	{ matchType: 'source_category', pattern: 'TRANSPORTATION|Taxi|Public Transportation', categoryId: 'transportation', priority: 70 },
+	{ matchType: 'source_category', pattern: 'Gas Stations|Gas|Fuel|TRANSPORTATION_GAS', categoryId: 'gas', priority: 71 },
+	{ matchType: 'source_category', pattern: 'TRAVEL|Travel|Airlines and Aviation Services|Lodging', categoryId: 'travel', priority: 70 },
+	{ matchType: 'source_category', pattern: 'GENERAL_MERCHANDISE|Shops|Shopping', categoryId: 'shopping', priority: 70 },
+	{ matchType: 'source_category', pattern: 'ENTERTAINMENT|Recreation|Entertainment', categoryId: 'entertainment', priority: 70 },
+	{ matchType: 'source_category', pattern: 'MEDICAL|Healthcare|Health', categoryId: 'health', priority: 70 },
+	{ matchType: 'source_category', pattern: 'HOME_IMPROVEMENT|Home Improvement', categoryId: 'home-improvement', priority: 70 },
+	{ matchType: 'source_category', pattern: 'BANK_FEES|Bank Fees', categoryId: 'fees', priority: 70 },
+	{ matchType: 'source_category', pattern: 'PERSONAL_CARE|Personal Care', categoryId: 'personal-care', priority: 70 },
+	{ matchType: 'source_category', pattern: 'Education', categoryId: 'education', priority: 70 },
+
+	// Description keywords
+	{ matchType: 'keyword', pattern: 'PAYROLL|DIRECT DEP|SALARY', categoryId: 'income', priority: 65 },
+	{ matchType: 'keyword', pattern: 'CASINO|POKER|BETTING|DRAFTKINGS|FANDUEL', categoryId: 'gambling', priority: 66 },
+	{ matchType: 'keyword', pattern: 'ATM WITHDRAWAL|ATM|CASH WITHDRAWAL', categoryId: 'cash', priority: 60 },
+	{ matchType: 'keyword', pattern: 'OVERDRAFT|NSF|MAINTENANCE FEE|SERVICE FEE|WIRE FEE', categoryId: 'fees', priority: 60 },
+	{ matchType: 'keyword', pattern: 'RENT|MORTGAGE|PROPERTY MANAGEMENT|HOA', categoryId: 'housing', priority: 60 },
+	{ matchType: 'keyword', pattern: 'ELECTRIC|POWER|WATER|GAS CO|INTERNET|UTILITY', categoryId: 'utilities', priority: 59 },
+	{ matchType: 'keyword', pattern: 'TRANSFER|ZELLE|VENMO', categoryId: 'transfer', priority: 55 },
+	{ matchType: 'keyword', pattern: 'LOAN|AUTOPAY CARD|CREDIT CARD PAYMENT', categoryId: 'loan-payment', priority: 55 },
+	{ matchType: 'keyword', pattern: 'PHARMACY|CLINIC|DENTAL|HOSPITAL', categoryId: 'health', priority: 55 },
+	{ matchType: 'keyword', pattern: 'RESTAURANT|CAFE|COFFEE|PIZZA|GRILL|BAR', categoryId: 'dining', priority: 50 },
+	{ matchType: 'keyword', pattern: 'MARKET|GROCERY|FOODS', categoryId: 'groceries', priority: 50 },
+	{ matchType: 'keyword', pattern: 'HOTEL|AIRLINE|AIRWAYS|MOTEL|INN', categoryId: 'travel', priority: 50 },
+	{ matchType: 'keyword', pattern: 'TUITION|SCHOOL|UNIVERSITY', categoryId: 'education', priority: 50 }
+];
+
+module.exports = {
+	DEFAULT_TAXONOMY,
+	DEFAULT_CATEGORY_RULES
+};
@@ -0,0 +1,134 @@
+// src/utils/csv-parser.js
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes (""),
+ * delimiters and line breaks inside quotes, CRLF or LF line endings.
+ */
+
+/**
+ * Split CSV text into rows of raw values
+ * @param {string} text - CSV content
+ * @param {Object} options
+ * @param {string} options.delimiter - Field delimiter (default ",")
+ * @returns {Array<{line: number, values: string[]}>} - Rows with the line number they start on
+ */
+function parseRows(text, { delimiter = ',' } = {}) {
+	const rows = [];
+	const input = String(text || '').replace(/^\uFEFF/, '');
+	let values = [];
+	let field = '';
+	let inQuotes = false;
+	let line = 1;
+	let rowLine = 1;
+
+	const endRow = () => {
+		values.push(field);
+		// Skip blank lines entirely
+		if (values.length > 1 || values[0].trim() !== '') {
+			rows.push({ line: rowLine, values });
+		}
+		values = [];
+		field = '';
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+
+		if (inQuotes) {
+			if (char === '"') {
+				if (input[i + 1] === '"') {
+					field += '"';
+					i++;
+				} else {
+					inQuotes = false;
+				}
+			} else {
+				if (char === '\n') line++;
+				field += char;
+			}
+			continue;
+		}
+
+		if (char === '"' && field === '') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			values.push(field);
+			field = '';
+		} else if (char === '\r' || char === '\n') {
+			if (char === '\r' && input[i + 1] === '\n') i++;
+			endRow();
+			line++;
+			rowLine = line;
+		} else {
+			field += char;
+		}
+	}
+
+	if (inQuotes) {
+		const error = new Error(`Unterminated quoted field starting on line ${rowLine}`);
+		error.statusCode = 400;
+		error.line = rowLine;
+		throw error;
+	}
+
+	if (field !== '' || values.length > 0) {
+		endRow();
+	}
+
+	return rows;
+}
+
+/**
+ * Parse CSV with a header row into records keyed by header name
+ * @param {string} text - CSV content
+ * @param {Object} options
+ * @param {string} options.delimiter - Field delimiter (default ",")
+ * @param {Function} options.transformHeader - Maps each header (default: trim)
+ * @returns {{headers: string[], records: Array<{line: number, record: Object}>}}
+ */
+function parse(text, { delimiter = ',', transformHeader = header => header.trim() } = {}) {
+	const rows = parseRows(text, { delimiter });
+
+	if (rows.length === 0) {
+		return { headers: [], records: [] };
+	}
+
+	const headers = rows[0].values.map(transformHeader);
+	const records = rows.slice(1).map(({ line, values }) => {
+		const record = {};
+		headers.forEach((header, index) => {
+			if (header) record[header] = values[index] !== undefined ? values[index] : '';
+		});
+		return { line, record };
+	});
+
+	return { headers, records };
+}
+
+/**
+ * Guess the delimiter of a CSV file from its first line
+ * @param {string} text - CSV content
+ * @returns {string} - "," ";" "\t" or "|"
+ */
+function detectDelimiter(text) {
+	const firstLine = String(text || '').split(/\r?\n/, 1)[0];
+	const candidates = [',', ';', '\t', '|'];
+	let best = ',';
+	let bestCount = 0;
+
+	for (const candidate of candidates) {
+		const count = firstLine.split(candidate).length - 1;
+		if (count > bestCount) {
+			best = candidate;
+			bestCount = count;
+		}
+	}
+
+	return best;
+}
+
+module.exports = {
+	parse,
+	parseRows,
+	detectDelimiter
+};
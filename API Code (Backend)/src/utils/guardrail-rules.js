@@ -0,0 +1,85 @@
+// src/utils/guardrail-rules.js
+
+/**
+ * Personal data that must not reach a user through an LLM response. Patterns
+ * run in order; card numbers are matched before the generic account number
+ * pattern so they are reported as cards. `validate` rejects false positives.
+ */
+const PII_PATTERNS = [
+	{
+		type: 'email',
+		pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+		replacement: '[email removed]'
+	},
+	{
+		type: 'ssn',
+		pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+		replacement: '[SSN removed]'
+	},
+	{
+		type: 'card_number',
+		pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+		replacement: '[card number removed]',
+		validate: match => luhnValid(match.replace(/\D/g, ''))
+	},
+	{
+		type: 'account_number',
+		pattern: /\b\d{8,17}\b/g,
+		replacement: '[account number removed]',
+		// Compact dates (20260131) are not account numbers
+		validate: match => !/^(19|20)\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/.test(match)
+	},
+	{
+		type: 'phone',
+		pattern: /(?:\+?1[ .-]?)?\(?\b\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g,
+		replacement: '[phone number removed]'
+	}
+];
+
+/**
+ * Phrasing compliance treats as personalized investment advice. Sentences
+ * that match are removed and INVESTMENT_ADVICE_DISCLAIMER is appended.
+ */
+const INVESTMENT_ADVICE_PATTERNS = [
+	/\byou should (?:definitely |probably )?(?:buy|sell|short|invest in|purchase|dump|load up on)\b/i,
+	/\bI (?:would |strongly )?(?:recommend|suggest|advise)(?: that you)? (?:buying|selling|shorting|investing in|purchasing)\b/i,
+	/\b(?:buy|sell|short) (?:shares|stock|options) (?:of|in)\b/i,
+	/\b(?:allocate|put|move|invest) (?:all|most|half|\d+(?:\.\d+)?%) of your (?:savings|money|portfolio|401\(?k\)?|ira|retirement(?: savings)?) (?:in|into|to)\b/i,
+	/\b(?:guaranteed|risk[- ]free) (?:returns?|profits?|gains?)\b/i,
+	/\b(?:is|are) (?:sure|guaranteed|certain) to (?:go up|rise|double|outperform|beat the market)\b/i,
+	/\bnow is (?:the|a) (?:perfect|best|great) time to (?:buy|sell)\b/i
+];
+
+const INVESTMENT_ADVICE_DISCLAIMER = 'I can\'t recommend specific investments or trades. For advice on what to buy or sell, please speak with a licensed financial advisor.';
+
+// Words that make a figure an approximation ("about $1,200")
+const APPROXIMATION_PATTERN = /\b(?:about|around|roughly|approximately|approx\.?|nearly|almost|close to|over|under|more than|less than)\s*~?\s*$|~\s*$/i;
+
+// Sentences giving general guidance or examples ("aim to save 20%") rather than describing the user's data
+const GUIDANCE_PATTERN = /\b(?:rule|recommend(?:ed|s)?|aim|target|goal|typically|generally|experts?|guideline|should|consider|try to|at least|no more than|for example)\b|\be\.g\./i;
+
+/**
+ * Luhn checksum, so only plausible card numbers are redacted
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function luhnValid(digits) {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let digit = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			digit *= 2;
+			if (digit > 9) digit -= 9;
+		}
+		sum += digit;
+	}
+	return digits.length >= 13 && sum % 10 === 0;
+}
+
+module.exports = {
+	PII_PATTERNS,
+	INVESTMENT_ADVICE_PATTERNS,
+	INVESTMENT_ADVICE_DISCLAIMER,
+	APPROXIMATION_PATTERN,
+	GUIDANCE_PATTERN
+};
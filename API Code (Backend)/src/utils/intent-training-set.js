@@ -0,0 +1,263 @@
+// src/utils/intent-training-set.js
+
+/**
+ * Labeled queries the intent classifier is trained on. A query may carry
+ * several labels ("did I stay within my grocery budget" is both budgeting and
+ * spending). Merchants, amounts and time periods are replaced with
+ * placeholders before training, so examples don't need every variant of them.
+ * Keep src/tests/fixtures/intent-eval.json free of these exact queries so the
+ * evaluation measures generalization, and re-run `npm run eval:intents` after
+ * editing this file.
+ */
+const INTENT_TRAINING_SET = [
+	// Greetings
+	{ text: 'hi', labels: ['greeting'] },
+	{ text: 'hello', labels: ['greeting'] },
+	{ text: 'hey there', labels: ['greeting'] },
+	{ text: 'hello clau', labels: ['greeting'] },
+	{ text: 'good morning', labels: ['greeting'] },
+	{ text: 'good evening clau', labels: ['greeting'] },
+	{ text: "what's up", labels: ['greeting'] },
+	{ text: 'howdy', labels: ['greeting'] },
+	{ text: 'hi, how are you today?', labels: ['greeting'] },
+	{ text: 'good day to you', labels: ['greeting'] },
+	{ text: 'good afternoon to you', labels: ['greeting'] },
+
+	// Jokes
+	{ text: 'tell me a joke', labels: ['joke'] },
+	{ text: 'tell me a money joke', labels: ['joke'] },
+	{ text: 'make me laugh', labels: ['joke'] },
+	{ text: 'say something funny', labels: ['joke'] },
+	{ text: 'got any jokes about banks?', labels: ['joke'] },
+	{ text: 'know any funny finance jokes', labels: ['joke'] },
+
+	// Budgeting
+	{ text: 'help me create a monthly budget', labels: ['budgeting'] },
+	{ text: 'how do I make a budget', labels: ['budgeting'] },
+	{ text: 'am I staying within my budget', labels: ['budgeting'] },
+	{ text: 'set up a budget plan for me', labels: ['budgeting'] },
+	{ text: 'what is the 50/30/20 budgeting rule', labels: ['budgeting', 'education'] },
+	{ text: 'how should I allocate my paycheck across categories', labels: ['budgeting', 'income'] },
+	{ text: 'did I go over my dining budget period', labels: ['budgeting', 'spending'] },
+	{ text: 'how much is left in my grocery budget', labels: ['budgeting', 'spending'] },
+	{ text: 'suggest budget limits based on my spending', labels: ['budgeting', 'spending'] },
+	{ text: 'manage my budget better', labels: ['budgeting'] },
+
+	// Spending
+	{ text: 'how much did I spend period', labels: ['spending'] },
+	{ text: 'where is my money going', labels: ['spending'] },
+	{ text: 'what are my biggest expenses', labels: ['spending'] },
+	{ text: 'how much did I spend at merchant', labels: ['spending'] },
+	{ text: 'how much have I spent on groceries period', labels: ['spending'] },
+	{ text: 'show my spending by category', labels: ['spending'] },
+	{ text: 'break down my expenses for period', labels: ['spending'] },
+	{ text: 'what did I spend on restaurants', labels: ['spending'] },
+	{ text: 'how much do I spend on coffee', labels: ['spending'] },
+	{ text: 'how much did I spend at the drug store', labels: ['spending'] },
+	{ text: 'total pharmacy and drugstore spending', labels: ['spending'] },
+	{ text: 'am I spending more than last month', labels: ['spending'] },
+	{ text: 'compare my spending period to period', labels: ['spending'] },
+	{ text: 'which category costs me the most', labels: ['spending'] },
+	{ text: 'how can I cut my spending on takeout', labels: ['spending', 'saving'] },
+	{ text: 'kill my subscription costs', labels: ['spending', 'saving'] },
+
+	// Saving
+	{ text: 'how can I save more money', labels: ['saving'] },
+	{ text: 'tips to save money each month', labels: ['saving'] },
+	{ text: 'how much should I have in an emergency fund', labels: ['saving'] },
+	{ text: 'help me build a rainy day fund', labels: ['saving'] },
+	{ text: 'how long until I save amount', labels: ['saving'] },
+	{ text: 'increase my savings rate', labels: ['saving'] },
+	{ text: 'life hacks to save on groceries', labels: ['saving'] },
+	{ text: 'how much did I save period', labels: ['saving'] },
+	{ text: 'where can I cut back to put more aside', labels: ['saving', 'spending'] },
+	{ text: 'I want to save for a vacation', labels: ['saving'] },
+
+	// Investing
+	{ text: 'should I invest in index funds', labels: ['investing'] },
+	{ text: 'how do I start investing', labels: ['investing'] },
+	{ text: 'is my portfolio diversified', labels: ['investing'] },
+	{ text: 'should I buy stocks or bonds', labels: ['investing'] },
+	{ text: 'how are my investments performing', labels: ['investing'] },
+	{ text: 'what ETFs are good for beginners', labels: ['investing'] },
+	{ text: 'how much should I put in mutual funds', labels: ['investing'] },
+	{ text: 'rebalance my brokerage account', labels: ['investing'] },
+	{ text: 'dividend stocks versus growth stocks', labels: ['investing'] },
+
+	// Debt
+	{ text: 'how do I pay off my debt faster', labels: ['debt'] },
+	{ text: 'should I use the avalanche or snowball method', labels: ['debt'] },
+	{ text: 'help me pay down my student loans', labels: ['debt'] },
+	{ text: 'what is my total loan balance', labels: ['debt'] },
+	{ text: 'should I refinance my car loan', labels: ['debt'] },
+	{ text: 'is debt consolidation a good idea', labels: ['debt'] },
+	{ text: 'how much interest am I paying on my credit cards', labels: ['debt'] },
+	{ text: 'pay off credit card balance', labels: ['debt'] },
+	{ text: 'when will my personal loan be paid off', labels: ['debt'] },
+
+	// Tax
+	{ text: 'how do I file my taxes', labels: ['tax'] },
+	{ text: 'what tax deductions can I take', labels: ['tax'] },
+	{ text: 'when will I get my tax refund', labels: ['tax'] },
+	{ text: 'which tax bracket am I in', labels: ['tax'] },
+	{ text: 'do I owe the IRS money', labels: ['tax'] },
+	{ text: 'is my home office tax deductible', labels: ['tax'] },
+	{ text: 'estimate my quarterly taxes', labels: ['tax'] },
+	{ text: 'what tax credits am I eligible for', labels: ['tax'] },
+
+	// Insurance
+	{ text: 'do I need life insurance', labels: ['insurance'] },
+	{ text: 'how much car insurance coverage do I need', labels: ['insurance'] },
+	{ text: 'is my health insurance premium too high', labels: ['insurance'] },
+	{ text: 'should I raise my deductible', labels: ['insurance'] },
+	{ text: 'what does renters insurance cover', labels: ['insurance'] },
+	{ text: 'compare insurance policies', labels: ['insurance'] },
+	{ text: 'how much am I paying for insurance', labels: ['insurance', 'spending'] },
+
+	// Retirement
+	{ text: 'am I saving enough for retirement', labels: ['retirement', 'saving'] },
+	{ text: 'how much should I contribute to my 401k', labels: ['retirement'] },
+	{ text: 'roth ira or traditional ira', labels: ['retirement', 'investing'] },
+	{ text: 'when can I retire', labels: ['retirement'] },
+	{ text: 'how does social security work', labels: ['retirement', 'education'] },
+	{ text: 'plan for early retirement', labels: ['retirement', 'planning'] },
+	{ text: 'will my pension be enough', labels: ['retirement'] },
+	{ text: 'how big should my nest egg be to retire', labels: ['retirement'] },
+
+	// Banking
+	{ text: 'what is my checking account balance', labels: ['banking'] },
+	{ text: 'how do I set up direct deposit', labels: ['banking'] },
+	{ text: 'why was I charged an overdraft fee', labels: ['banking'] },
+	{ text: 'transfer money to my savings account', labels: ['banking'] },
+	{ text: 'how much cash did I withdraw from the atm', labels: ['banking'] },
+	{ text: 'how much money do I have in my accounts', labels: ['banking'] },
+	{ text: 'show me my current balances', labels: ['banking'] },
+	{ text: 'how do I avoid bank fees', labels: ['banking'] },
+	{ text: 'open a high yield savings account', labels: ['banking', 'saving'] },
+	{ text: 'when did my last deposit clear', labels: ['banking'] },
+
+	// Credit
+	{ text: 'how can I improve my credit score', labels: ['credit'] },
+	{ text: 'what is my fico score', labels: ['credit'] },
+	{ text: 'how do I check my credit report', labels: ['credit'] },
+	{ text: 'will closing a card hurt my credit', labels: ['credit'] },
+	{ text: 'how do I fix bad credit', labels: ['credit'] },
+	{ text: 'what is a good credit utilization ratio', labels: ['credit', 'education'] },
+	{ text: 'how long do late payments stay on my credit history', labels: ['credit'] },
+
+	// Financial planning
+	{ text: 'help me set financial goals', labels: ['planning'] },
+	{ text: 'create a financial plan for the next five years', labels: ['planning'] },
+	{ text: 'should I hire a financial advisor', labels: ['planning'] },
+	{ text: 'how do I plan for a baby financially', labels: ['planning'] },
+	{ text: 'do I need a will or a trust', labels: ['planning'] },
+	{ text: 'am I on track with my goals', labels: ['planning'] },
+	{ text: 'estate planning basics', labels: ['planning', 'education'] },
+
+	// Real estate
+	{ text: 'can I afford to buy a house', labels: ['real_estate'] },
+	{ text: 'how much should I save for a down payment', labels: ['real_estate', 'saving'] },
+	{ text: 'should I rent or buy a home', labels: ['real_estate'] },
+	{ text: 'what are closing costs', labels: ['real_estate', 'education'] },
+	{ text: 'how much house can I afford', labels: ['real_estate'] },
+	{ text: 'should I refinance my mortgage', labels: ['real_estate', 'debt'] },
+	{ text: 'is a home equity line of credit a good idea', labels: ['real_estate', 'debt'] },
+	{ text: 'is buying a rental property a good investment', labels: ['real_estate', 'investing'] },
+
+	// Crypto
+	{ text: 'should I buy bitcoin', labels: ['crypto'] },
+	{ text: 'is ethereum a good investment', labels: ['crypto', 'investing'] },
+	{ text: 'how do crypto wallets work', labels: ['crypto', 'education'] },
+	{ text: 'how much crypto should I own', labels: ['crypto'] },
+	{ text: 'are NFTs worth it', labels: ['crypto'] },
+	{ text: 'how are cryptocurrency gains taxed', labels: ['crypto', 'tax'] },
+
+	// Market analysis
+	{ text: 'is the stock market going to crash', labels: ['market_analysis'] },
+	{ text: 'are we heading into a recession', labels: ['market_analysis'] },
+	{ text: 'how does inflation affect me', labels: ['market_analysis'] },
+	{ text: 'what is the economic outlook', labels: ['market_analysis'] },
+	{ text: 'is this a bear market or a bull market', labels: ['market_analysis'] },
+	{ text: 'what will interest rates do next year', labels: ['market_analysis'] },
+
+	// Education
+	{ text: 'explain compound interest', labels: ['education'] },
+	{ text: 'what does APR mean', labels: ['education'] },
+	{ text: 'teach me the basics of personal finance', labels: ['education'] },
+	{ text: 'what is the difference between a debit and credit card', labels: ['education'] },
+	{ text: 'define net worth', labels: ['education'] },
+	{ text: 'explain the meaning of net worth', labels: ['education'] },
+	{ text: 'how does a certificate of deposit work', labels: ['education', 'banking'] },
+	{ text: 'what is an index fund', labels: ['education', 'investing'] },
+	{ text: 'help me understand amortization', labels: ['education', 'debt'] },
+
+	// Income
+	{ text: 'what is my monthly income', labels: ['income'] },
+	{ text: 'how much did I earn period', labels: ['income'] },
+	{ text: 'when is my next paycheck', labels: ['income'] },
+	{ text: 'ideas for a side hustle', labels: ['income'] },
+	{ text: 'how can I build passive income', labels: ['income'] },
+	{ text: 'should I ask for a raise', labels: ['income'] },
+	{ text: 'did my salary go up', labels: ['income'] },
+	{ text: 'how much money comes in each month', labels: ['income'] },
+
+	// Transactions
+	{ text: 'show my recent transactions', labels: ['transactions'] },
+	{ text: 'list my purchases at merchant', labels: ['transactions'] },
+	{ text: 'find the charge for amount', labels: ['transactions'] },
+	{ text: 'what was that payment to merchant', labels: ['transactions'] },
+	{ text: 'did I get a refund from merchant', labels: ['transactions'] },
+	{ text: 'show transactions over amount', labels: ['transactions'] },
+	{ text: 'what bills are due soon', labels: ['transactions'] },
+	{ text: 'what recurring payments do I have', labels: ['transactions'] },
+	{ text: 'which subscriptions am I paying for', labels: ['transactions', 'spending'] },
+	{ text: 'show my statement for period', labels: ['transactions'] },
+
+	// Security
+	{ text: 'I think my card was stolen', labels: ['security'] },
+	{ text: 'there is an unauthorized charge on my account', labels: ['security', 'transactions'] },
+	{ text: 'how do I spot a scam', labels: ['security'] },
+	{ text: 'my account got hacked, what do I do', labels: ['security'] },
+	{ text: 'how do I protect myself from identity theft', labels: ['security'] },
+	{ text: 'is this email a phishing attempt', labels: ['security'] },
+	{ text: 'set up a fraud alert', labels: ['security'] },
+	{ text: 'I see suspicious activity on my card', labels: ['security'] },
+
+	// Foreign exchange
+	{ text: 'what is the exchange rate for euros', labels: ['forex'] },
+	{ text: 'convert dollars to yen', labels: ['forex'] },
+	{ text: 'cheapest way to send money abroad', labels: ['forex'] },
+	{ text: 'how much are foreign transaction fees', labels: ['forex', 'banking'] },
+	{ text: 'is the pound getting stronger against the dollar', labels: ['forex'] },
+
+	// Harmful
+	{ text: 'how do I launder money', labels: ['harmful'] },
+	{ text: 'where can I buy cocaine', labels: ['harmful'] },
+	{ text: 'how do I hack into someone else\'s bank account', labels: ['harmful'] },
+	{ text: 'how to hack a bank account', labels: ['harmful'] },
+	{ text: 'break into another person\'s online banking without them knowing', labels: ['harmful'] },
+	{ text: 'help me steal a credit card number', labels: ['harmful'] },
+	{ text: 'how to make a fake id', labels: ['harmful'] },
+	{ text: 'how to hide money from the IRS illegally', labels: ['harmful'] },
+	{ text: 'how to sell drugs without getting caught', labels: ['harmful'] },
+	{ text: 'how to commit credit card fraud', labels: ['harmful'] },
+	{ text: 'how can I steal someone\'s identity', labels: ['harmful'] },
+	{ text: 'write a phishing email to get bank logins', labels: ['harmful'] },
+	{ text: 'how much does it cost to hire a hitman', labels: ['harmful'] },
+	{ text: 'how to fund a terrorist group', labels: ['harmful'] },
+
+	// General
+	{ text: 'give me an overview of my finances', labels: ['general'] },
+	{ text: 'how am I doing financially', labels: ['general'] },
+	{ text: 'what can you help me with', labels: ['general'] },
+	{ text: 'any insights for me', labels: ['general'] },
+	{ text: 'summarize my financial health', labels: ['general'] },
+	{ text: 'how much am I worth after my debts', labels: ['general'] },
+	{ text: 'tell me my net worth', labels: ['general'] },
+	{ text: 'how has my net worth changed', labels: ['general'] },
+	{ text: 'what should I focus on', labels: ['general'] }
+];
+
+module.exports = {
+	INTENT_TRAINING_SET
+};
@@ -0,0 +1,61 @@
+// src/utils/merchant-catalog.js
+
+/**
+ * Built-in canonical merchants and the descriptor patterns that map to them.
+ * Admin-defined MerchantRule rows take precedence over these. Higher priority
+ * wins, so more specific merchants (Whole Foods, AWS, Uber Eats) sit above the
+ * brands their descriptors also mention.
+ */
+const DEFAULT_MERCHANTS = [
+	{ id: 'amazon-web-services', name: 'Amazon Web Services', category: 'Software & Cloud', priority: 90, patterns: ['\\bAWS\\b', 'AMAZON WEB SERVICES'] },
+	{ id: 'whole-foods', name: 'Whole Foods Market', category: 'Groceries', priority: 90, patterns: ['WHOLE ?FOODS', 'WHOLEFDS', '\\bWFM\\b'] },
+	{ id: 'amazon-prime-video', name: 'Amazon Prime Video', category: 'Entertainment', priority: 85, patterns: ['PRIME ?VIDEO'] },
+	{ id: 'amazon', name: 'Amazon', category: 'Shopping', priority: 50, patterns: ['\\bAMZN\\b', 'AMAZON', '\\bAMZ\\b'] },
+	{ id: 'uber-eats', name: 'Uber Eats', category: 'Food and Drink', priority: 90, patterns: ['UBER ?\\*? ?EATS'] },
+	{ id: 'uber', name: 'Uber', category: 'Transportation', priority: 50, patterns: ['\\bUBER\\b'] },
+	{ id: 'lyft', name: 'Lyft', category: 'Transportation', priority: 50, patterns: ['\\bLYFT\\b'] },
+	{ id: 'doordash', name: 'DoorDash', category: 'Food and Drink', priority: 50, patterns: ['DOORDASH', '\\bDD \\*?DOORDASH'] },
+	{ id: 'grubhub', name: 'Grubhub', category: 'Food and Drink', priority: 50, patterns: ['GRUBHUB'] },
+	{ id: 'netflix', name: 'Netflix', category: 'Entertainment', priority: 50, patterns: ['NETFLIX'] },
+	{ id: 'spotify', name: 'Spotify', category: 'Entertainment', priority: 50, patterns: ['SPOTIFY'] },
+	{ id: 'hulu', name: 'Hulu', category: 'Entertainment', priority: 50, patterns: ['\\bHULU\\b'] },
+	{ id: 'disney-plus', name: 'Disney+', category: 'Entertainment', priority: 50, patterns: ['DISNEY ?PLUS', 'DISNEY\\+'] },
+	{ id: 'hbo-max', name: 'Max (HBO)', category: 'Entertainment', priority: 50, patterns: ['HBO ?MAX', '\\bHBO\\b'] },
+	{ id: 'youtube', name: 'YouTube', category: 'Entertainment', priority: 60, patterns: ['YOUTUBE'] },
+	{ id: 'apple', name: 'Apple', category: 'Software & Cloud', priority: 50, patterns: ['APPLE\\.COM', '\\bITUNES\\b', '\\bAPPLE\\b'] },
+	{ id: 'google', name: 'Google', category: 'Software & Cloud', priority: 40, patterns: ['\\bGOOGLE\\b', '\\bGOOGLE \\*'] },
+	{ id: 'microsoft', name: 'Microsoft', category: 'Software & Cloud', priority: 50, patterns: ['MICROSOFT', '\\bMSFT\\b', '\\bXBOX\\b'] },
+	{ id: 'adobe', name: 'Adobe', category: 'Software & Cloud', priority: 50, patterns: ['\\bADOBE\\b'] },
+	{ id: 'github', name: 'GitHub', category: 'Software & Cloud', priority: 50, patterns: ['GITHUB'] },
+	{ id: 'godaddy', name: 'GoDaddy', category: 'Software & Cloud', priority: 50, patterns: ['GODADDY', 'GO DADDY'] },
+	{ id: 'paypal', name: 'PayPal', category: 'Transfer', priority: 20, patterns: ['\\bPAYPAL\\b'] },
+	{ id: 'venmo', name: 'Venmo', category: 'Transfer', priority: 30, patterns: ['\\bVENMO\\b'] },
+	{ id: 'zelle', name: 'Zelle', category: 'Transfer', priority: 30, patterns: ['\\bZELLE\\b'] },
+	{ id: 'starbucks', name: 'Starbucks', category: 'Food and Drink', priority: 50, patterns: ['STARBUCKS', '\\bSBUX\\b'] },
+	{ id: 'mcdonalds', name: "McDonald's", category: 'Food and Drink', priority: 50, patterns: ['MC ?DONALD\'?S'] },
+	{ id: 'chipotle', name: 'Chipotle', category: 'Food and Drink', priority: 50, patterns: ['CHIPOTLE'] },
+	{ id: 'walmart', name: 'Walmart', category: 'Shopping', priority: 50, patterns: ['WAL-?MART', '\\bWM SUPERCENTER\\b'] },
+	{ id: 'target', name: 'Target', category: 'Shopping', priority: 50, patterns: ['\\bTARGET\\b'] },
+	{ id: 'costco', name: 'Costco', category: 'Groceries', priority: 50, patterns: ['COSTCO'] },
+	{ id: 'kroger', name: 'Kroger', category: 'Groceries', priority: 50, patterns: ['KROGER'] },
+	{ id: 'trader-joes', name: "Trader Joe's", category: 'Groceries', priority: 50, patterns: ['TRADER JOE'] },
+	{ id: 'home-depot', name: 'The Home Depot', category: 'Home Improvement', priority: 50, patterns: ['HOME ?DEPOT'] },
+	{ id: 'lowes', name: "Lowe's", category: 'Home Improvement', priority: 50, patterns: ['\\bLOWE\'?S\\b'] },
+	{ id: 'cvs', name: 'CVS Pharmacy', category: 'Health', priority: 50, patterns: ['\\bCVS\\b'] },
+	{ id: 'walgreens', name: 'Walgreens', category: 'Health', priority: 50, patterns: ['WALGREENS'] },
+	{ id: 'shell', name: 'Shell', category: 'Gas', priority: 50, patterns: ['\\bSHELL (OIL|SERVICE)\\b', '^SHELL\\b'] },
+	{ id: 'exxonmobil', name: 'ExxonMobil', category: 'Gas', priority: 50, patterns: ['EXXON', '\\bMOBIL\\b'] },
+	{ id: 'chevron', name: 'Chevron', category: 'Gas', priority: 50, patterns: ['CHEVRON'] },
+	{ id: 'airbnb', name: 'Airbnb', category: 'Travel', priority: 50, patterns: ['AIRBNB'] },
+	{ id: 'delta', name: 'Delta Air Lines', category: 'Travel', priority: 50, patterns: ['DELTA AIR', '^DELTA\\b'] },
+	{ id: 'united-airlines', name: 'United Airlines', category: 'Travel', priority: 50, patterns: ['UNITED AIR', '^UNITED \\d'] },
+	{ id: 'southwest', name: 'Southwest Airlines', category: 'Travel', priority: 50, patterns: ['SOUTHWEST AIR', '^SOUTHWES'] },
+	{ id: 'comcast', name: 'Comcast Xfinity', category: 'Utilities', priority: 50, patterns: ['COMCAST', 'XFINITY'] },
+	{ id: 'verizon', name: 'Verizon', category: 'Utilities', priority: 50, patterns: ['VERIZON', '\\bVZW\\b'] },
+	{ id: 'att', name: 'AT&T', category: 'Utilities', priority: 50, patterns: ['\\bAT ?& ?T\\b', '\\bATT\\*'] },
+	{ id: 't-mobile', name: 'T-Mobile', category: 'Utilities', priority: 50, patterns: ['T-?MOBILE'] }
+];
+
+module.exports = {
+	DEFAULT_MERCHANTS
+};
@@ -0,0 +1,173 @@
+// src/utils/plaid-local-fixtures.js
+
+/**
+ * Institutions served by the local Plaid client (PLAID_ENV=local).
+ * Accounts, transactions and product data use Plaid's response format, with
+ * `account` naming one of the institution's accounts instead of account_id.
+ * Transaction amounts follow Plaid's sign (positive is money leaving the
+ * account) and dates are given as days before the item is created, or as
+ * 'today+Nd' / 'today-Nd' inside product data, so the data is always recent.
+ * Only institutions with liabilities, investments or owners support those products.
+ */
+const LOCAL_INSTITUTIONS = [
+	{
+		institution_id: 'ins_local_1',
+		name: 'First Local Bank',
+		accounts: [
+			{ key: 'checking', name: 'Local Checking', official_name: 'First Local Everyday Checking', type: 'depository', subtype: 'checking', mask: '0000', balances: { current: 2450.32, available: 2400.32, limit: null } },
+			{ key: 'savings', name: 'Local Savings', official_name: 'First Local High Yield Savings', type: 'depository', subtype: 'savings', mask: '1111', balances: { current: 12600.00, available: 12600.00, limit: null } },
+			{ key: 'credit', name: 'Local Rewards Card', official_name: 'First Local Rewards Visa', type: 'credit', subtype: 'credit card', mask: '3333', balances: { current: 812.47, available: 4187.53, limit: 5000 } }
+		],
+		transactions: [
+			{ account: 'checking', daysAgo: 1, name: 'STARBUCKS STORE 1458', merchant_name: 'Starbucks', amount: 6.45, category: ['Food and Drink', 'Restaurants', 'Coffee Shop'], personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_COFFEE' } },
+			{ account: 'credit', daysAgo: 2, name: 'WHOLE FOODS MARKET #102', merchant_name: 'Whole Foods', amount: 84.19, category: ['Shops', 'Supermarkets and Groceries'], personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_GROCERIES' } },
+			{ account: 'checking', daysAgo: 3, name: 'UBER *TRIP', merchant_name: 'Uber', amount: 18.72, category: ['Travel', 'Taxi'], personal_finance_category: { primary: 'TRANSPORTATION', detailed: 'TRANSPORTATION_TAXIS_AND_RIDE_SHARES' } },
+			{ account: 'checking', daysAgo: 5, name: 'ACME CORP PAYROLL', merchant_name: null, amount: -2350.00, category: ['Transfer', 'Payroll'], personal_finance_category: { primary: 'INCOME', detailed: 'INCOME_WAGES' } },
+			{ account: 'credit', daysAgo: 6, name: 'NETFLIX.COM', merchant_name: 'Netflix', amount: 15.49, category: ['Service', 'Subscription'], personal_finance_category: { primary: 'ENTERTAINMENT', detailed: 'ENTERTAINMENT_TV_AND_MOVIES' } },
+			{ account: 'checking', daysAgo: 8, name: 'CITY POWER & LIGHT', merchant_name: 'City Power & Light', amount: 96.30, category: ['Service', 'Utilities', 'Electric'], personal_finance_category: { primary: 'RENT_AND_UTILITIES', detailed: 'RENT_AND_UTILITIES_GAS_AND_ELECTRICITY' } },
+			{ account: 'checking', daysAgo: 10, name: 'ONLINE TRANSFER TO SAVINGS', merchant_name: null, amount: 500.00, category: ['Transfer', 'Debit'], personal_finance_category: { primary: 'TRANSFER_OUT', detailed: 'TRANSFER_OUT_SAVINGS' } },
+			{ account: 'savings', daysAgo: 10, name: 'ONLINE TRANSFER FROM CHECKING', merchant_name: null, amount: -500.00, category: ['Transfer', 'Credit'], personal_finance_category: { primary: 'TRANSFER_IN', detailed: 'TRANSFER_IN_SAVINGS' } },
+			{ account: 'credit', daysAgo: 14, name: 'AMAZON MKTPLACE PMTS', merchant_name: 'Amazon', amount: 42.98, category: ['Shops', 'Digital Purchase'], personal_finance_category: { primary: 'GENERAL_MERCHANDISE', detailed: 'GENERAL_MERCHANDISE_ONLINE_MARKETPLACES' } },
+			{ account: 'checking', daysAgo: 15, name: 'GREENVIEW APARTMENTS RENT', merchant_name: 'Greenview Apartments', amount: 1650.00, category: ['Payment', 'Rent'], personal_finance_category: { primary: 'RENT_AND_UTILITIES', detailed: 'RENT_AND_UTILITIES_RENT' } },
+			{ account: 'checking', daysAgo: 19, name: 'ACME CORP PAYROLL', merchant_name: null, amount: -2350.00, category: ['Transfer', 'Payroll'], personal_finance_category: { primary: 'INCOME', detailed: 'INCOME_WAGES' } },
+			{ account: 'credit', daysAgo: 22, name: 'SHELL OIL 5744', merchant_name: 'Shell', amount: 48.10, category: ['Travel', 'Gas Stations'], personal_finance_category: { primary: 'TRANSPORTATION', detailed: 'TRANSPORTATION_GAS' } },
+			{ account: 'savings', daysAgo: 28, name: 'INTEREST PAYMENT', merchant_name: null, amount: -21.04, category: ['Transfer', 'Deposit'], personal_finance_category: { primary: 'INCOME', detailed: 'INCOME_INTEREST_EARNED' } },
+			{ account: 'checking', daysAgo: 45, name: 'SPOTIFY USA', merchant_name: 'Spotify', amount: 10.99, category: ['Service', 'Subscription'], personal_finance_category: { primary: 'ENTERTAINMENT', detailed: 'ENTERTAINMENT_MUSIC_AND_AUDIO' } }
+		],
+		liabilities: {
+			credit: [
+				{
+					account: 'credit',
+					aprs: [
+						{ apr_percentage: 24.99, apr_type: 'purchase_apr', balance_subject_to_apr: 812.47, interest_charge_amount: 16.92 },
+						{ apr_percentage: 29.99, apr_type: 'cash_apr', balance_subject_to_apr: 0, interest_charge_amount: 0 }
+					],
+					is_overdue: false,
+					last_payment_amount: 150,
+					last_payment_date: 'today-18d',
+					last_statement_balance: 790.12,
+					last_statement_issue_date: 'today-9d',
+					minimum_payment_amount: 35,
+					next_payment_due_date: 'today+16d'
+				}
+			]
+		},
+		owners: [
+			{ accounts: ['checking', 'savings', 'credit'], names: ['Alex Local'], emails: [{ data: 'alex.local@example.com', primary: true, type: 'primary' }], phone_numbers: [{ data: '5550100', primary: true, type: 'mobile' }], addresses: [{ data: { street: '100 Main St', city: 'Springfield', region: 'IL', postal_code: '62701', country: 'US' }, primary: true }] }
+		]
+	},
+	{
+		institution_id: 'ins_local_2',
+		name: 'Local Credit Union',
+		accounts: [
+			{ key: 'checking', name: 'Share Draft', official_name: 'Local Credit Union Share Draft', type: 'depository', subtype: 'checking', mask: '4444', balances: { current: 880.15, available: 880.15, limit: null } },
+			{ key: 'student', name: 'Student Loan', official_name: 'Local Credit Union Graduate Loan', type: 'loan', subtype: 'student', mask: '5555', balances: { current: 18250.40, available: null, limit: null } },
+			{ key: 'mortgage', name: 'Home Mortgage', official_name: 'Local Credit Union 30 Year Fixed', type: 'loan', subtype: 'mortgage', mask: '6666', balances: { current: 214380.77, available: null, limit: null } }
+		],
+		transactions: [
+			{ account: 'checking', daysAgo: 2, name: 'TRADER JOES #552', merchant_name: "Trader Joe's", amount: 56.23, category: ['Shops', 'Supermarkets and Groceries'], personal_finance_category: { primary: 'FOOD_AND_DRINK', detailed: 'FOOD_AND_DRINK_GROCERIES' } },
+			{ account: 'checking', daysAgo: 9, name: 'VENMO CASHOUT', merchant_name: 'Venmo', amount: -120.00, category: ['Transfer', 'Third Party', 'Venmo'], personal_finance_category: { primary: 'TRANSFER_IN', detailed: 'TRANSFER_IN_ACCOUNT_TRANSFER' } },
+			{ account: 'checking', daysAgo: 16, name: 'PLANET FITNESS', merchant_name: 'Planet Fitness', amount: 24.99, category: ['Recreation', 'Gyms and Fitness Centers'], personal_finance_category: { primary: 'PERSONAL_CARE', detailed: 'PERSONAL_CARE_GYMS_AND_FITNESS_CENTERS' } }
+		],
+		liabilities: {
+			student: [
+				{
+					account: 'student',
+					expected_payoff_date: '2034-05-31',
+					interest_rate_percentage: 5.28,
+					is_overdue: false,
+					last_payment_amount: 212.60,
+					last_payment_date: 'today-12d',
+					last_statement_balance: 18340.10,
+					last_statement_issue_date: 'today-20d',
+					loan_name: 'Direct Unsubsidized Graduate',
+					loan_status: { type: 'repayment', end_date: '2034-05-31' },
+					minimum_payment_amount: 212.60,
+					next_payment_due_date: 'today+18d',
+					origination_date: '2019-08-15',
+					origination_principal_amount: 26000,
+					outstanding_interest_amount: 80.33,
+					repayment_plan: { type: 'standard', description: 'Standard Repayment' },
+					ytd_interest_paid: 812.44,
+					ytd_principal_paid: 1313.56
+				}
+			],
+			mortgage: [
+				{
+					account: 'mortgage',
+					current_late_fee: 0,
+					escrow_balance: 2140.18,
+					has_pmi: false,
+					has_prepayment_penalty: false,
+					interest_rate: { percentage: 3.875, type: 'fixed' },
+					last_payment_amount: 1486.22,
+					last_payment_date: 'today-25d',
+					loan_term: '30 year',
+					loan_type_description: 'conventional',
+					maturity_date: '2051-03-01',
+					next_monthly_payment: 1486.22,
+					next_payment_due_date: 'today+5d',
+					origination_date: '2021-02-12',
+					origination_principal_amount: 240000,
+					past_due_amount: 0,
+					ytd_interest_paid: 6920.47,
+					ytd_principal_paid: 4455.51
+				}
+			]
+		},
+		owners: [
+			{ accounts: ['checking', 'student', 'mortgage'], names: ['Alex Local'], emails: [{ data: 'alex.local@example.com', primary: true, type: 'primary' }], phone_numbers: [{ data: '5550100', primary: true, type: 'mobile' }], addresses: [{ data: { street: '100 Main St', city: 'Springfield', region: 'IL', postal_code: '62701', country: 'US' }, primary: true }] },
+			{ accounts: ['checking', 'mortgage'], names: ['Jordan Local'], emails: [{ data: 'jordan.local@example.com', primary: true, type: 'primary' }], phone_numbers: [], addresses: [{ data: { street: '100 Main St', city: 'Springfield', region: 'IL', postal_code: '62701', country: 'US' }, primary: true }] }
+		]
+	},
+	{
+		institution_id: 'ins_local_3',
+		name: 'Local Brokerage',
+		accounts: [
+			{ key: 'brokerage', name: 'Individual Brokerage', official_name: 'Local Brokerage Individual Account', type: 'investment', subtype: 'brokerage', mask: '7777', balances: { current: 31412.60, available: 1250.00, limit: null } },
+			{ key: 'retirement', name: '401(k)', official_name: 'Local Brokerage Retirement Plan', type: 'investment', subtype: '401k', mask: '8888', balances: { current: 58906.88, available: null, limit: null } }
+		],
+		transactions: [],
+		securities: [
+			{ security_id: 'sec_local_aapl', name: 'Apple Inc.', ticker_symbol: 'AAPL', type: 'equity', close_price: 228.40, close_price_as_of: 'today-1d', iso_currency_code: 'USD', is_cash_equivalent: false },
+			{ security_id: 'sec_local_vti', name: 'Vanguard Total Stock Market ETF', ticker_symbol: 'VTI', type: 'etf', close_price: 281.15, close_price_as_of: 'today-1d', iso_currency_code: 'USD', is_cash_equivalent: false },
+			{ security_id: 'sec_local_vtiax', name: 'Vanguard Total International Stock Index Fund', ticker_symbol: 'VTIAX', type: 'mutual fund', close_price: 35.62, close_price_as_of: 'today-1d', iso_currency_code: 'USD', is_cash_equivalent: false },
+			{ security_id: 'sec_local_ust', name: 'US Treasury Note 4.25% 2029', ticker_symbol: null, type: 'fixed income', close_price: 99.12, close_price_as_of: 'today-1d', iso_currency_code: 'USD', is_cash_equivalent: false },
+			{ security_id: 'sec_local_mmf', name: 'Local Brokerage Money Market', ticker_symbol: 'LBXX', type: 'cash', close_price: 1, close_price_as_of: 'today-1d', iso_currency_code: 'USD', is_cash_equivalent: true }
+		],
+		holdings: [
+			{ account: 'brokerage', security_id: 'sec_local_aapl', quantity: 40, institution_price: 228.40, institution_price_as_of: 'today-1d', institution_value: 9136.00, cost_basis: 6120.00, iso_currency_code: 'USD' },
+			{ account: 'brokerage', security_id: 'sec_local_vti', quantity: 75, institution_price: 281.15, institution_price_as_of: 'today-1d', institution_value: 21086.25, cost_basis: 16875.00, iso_currency_code: 'USD' },
+			{ account: 'brokerage', security_id: 'sec_local_mmf', quantity: 1190.35, institution_price: 1, institution_price_as_of: 'today-1d', institution_value: 1190.35, cost_basis: 1190.35, iso_currency_code: 'USD' },
+			{ account: 'retirement', security_id: 'sec_local_vtiax', quantity: 1100, institution_price: 35.62, institution_price_as_of: 'today-1d', institution_value: 39182.00, cost_basis: 33550.00, iso_currency_code: 'USD' },
+			{ account: 'retirement', security_id: 'sec_local_ust', quantity: 199, institution_price: 99.12, institution_price_as_of: 'today-1d', institution_value: 19724.88, cost_basis: 19800.00, iso_currency_code: 'USD' }
+		],
+		investment_transactions: [
+			{ account: 'brokerage', security_id: 'sec_local_vti', date: 'today-4d', name: 'BUY VTI', type: 'buy', subtype: 'buy', quantity: 5, price: 279.80, amount: 1399.00, fees: 0, iso_currency_code: 'USD' },
+			{ account: 'brokerage', security_id: 'sec_local_aapl', date: 'today-11d', name: 'DIVIDEND AAPL', type: 'cash', subtype: 'dividend', quantity: 0, price: 0, amount: -10.00, fees: 0, iso_currency_code: 'USD' },
+			{ account: 'retirement', security_id: 'sec_local_vtiax', date: 'today-14d', name: 'CONTRIBUTION VTIAX', type: 'buy', subtype: 'contribution', quantity: 14.2, price: 35.21, amount: 500.00, fees: 0, iso_currency_code: 'USD' },
+			{ account: 'brokerage', security_id: null, date: 'today-30d', name: 'ACCOUNT FEE', type: 'fee', subtype: 'account fee', quantity: 0, price: 0, amount: 4.95, fees: 4.95, iso_currency_code: 'USD' }
+		],
+		owners: [
+			{ accounts: ['brokerage', 'retirement'], names: ['Alex Local'], emails: [{ data: 'alex.local@example.com', primary: true, type: 'primary' }], phone_numbers: [], addresses: [] }
+		]
+	}
+];
+
+// Plaid errors the local client can simulate, by error code
+const LOCAL_ERRORS = {
+	ITEM_LOGIN_REQUIRED: { error_type: 'ITEM_ERROR', status: 400, error_message: 'the login details of this item have changed (credentials, MFA, or required user action) and a user login is required to update this information. use Link\'s update mode to restore the item to a good state' },
+	PENDING_EXPIRATION: { error_type: 'ITEM_ERROR', status: 400, error_message: 'the user\'s access consent for this item is about to expire' },
+	INSTITUTION_DOWN: { error_type: 'INSTITUTION_ERROR', status: 400, error_message: 'this institution is not currently responding to this request. please try again soon' },
+	PRODUCT_NOT_READY: { error_type: 'ITEM_ERROR', status: 400, error_message: 'the requested product is not yet ready. please provide a webhook or try the request again later' },
+	PRODUCTS_NOT_SUPPORTED: { error_type: 'ITEM_ERROR', status: 400, error_message: 'this item does not support the requested product' },
+	NO_LIABILITY_ACCOUNTS: { error_type: 'ITEM_ERROR', status: 400, error_message: 'the item does not contain any accounts supported by the liabilities product' },
+	NO_INVESTMENT_ACCOUNTS: { error_type: 'ITEM_ERROR', status: 400, error_message: 'the item does not contain any investment accounts' },
+	RATE_LIMIT_EXCEEDED: { error_type: 'RATE_LIMIT_EXCEEDED', status: 429, error_message: 'rate limit exceeded for this item' },
+	INTERNAL_SERVER_ERROR: { error_type: 'API_ERROR', status: 500, error_message: 'an unexpected error occurred' }
+};
+
+module.exports = {
+	LOCAL_INSTITUTIONS,
+	LOCAL_ERRORS
+};
@@ -0,0 +1,96 @@
+// src/utils/plaid-product-context.js
+
+// Keep prompts short; the full lists are in the report data
+const MAX_HOLDINGS = 5;
+const MAX_INVESTMENT_TRANSACTIONS = 5;
+
+const LIABILITY_LABELS = {
+	credit: 'Credit card',
+	student: 'Student loan',
+	mortgage: 'Mortgage'
+};
+
+const money = (value) => `$${Math.abs(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * One line per liability: balance, rate, payment and due date
+ * @param {Array} liabilities - From plaid-products getUserProductData
+ * @returns {Array<string>}
+ */
+const formatLiabilities = (liabilities = []) => liabilities.map(liability => {
+	const label = LIABILITY_LABELS[liability.liabilityType] || 'Loan';
+	const parts = [`balance ${money(liability.currentBalance)}`];
+
+	if (liability.interestRate !== null && liability.interestRate !== undefined) {
+		const rateType = liability.details && liability.details.interestRateType ? ` ${liability.details.interestRateType}` : '';
+		parts.push(`${liability.liabilityType === 'credit' ? 'APR' : 'rate'} ${liability.interestRate}%${rateType}`);
+	}
+	if (liability.minimumPaymentAmount !== null && liability.minimumPaymentAmount !== undefined) {
+		const due = liability.nextPaymentDueDate ? ` due ${liability.nextPaymentDueDate}` : '';
+		parts.push(`${liability.liabilityType === 'mortgage' ? 'monthly payment' : 'minimum payment'} ${money(liability.minimumPaymentAmount)}${due}`);
+	}
+	if (liability.isOverdue) {
+		parts.push('OVERDUE');
+	}
+
+	const institution = liability.institutionName ? ` (${liability.institutionName})` : '';
+	return `- ${label}${institution}: ${parts.join(', ')}`;
+});
+
+/**
+ * Total value, allocation, largest holdings and recent activity
+ * @param {Object} investments - From plaid-products getUserProductData
+ * @returns {Array<string>}
+ */
+const formatInvestments = (investments) => {
+	if (!investments || !investments.holdings || investments.holdings.length === 0) {
+		return [];
+	}
+
+	const lines = [
+		`Total value: ${money(investments.totalValue)} (cost basis ${money(investments.costBasis)})`,
+		`Allocation: ${investments.allocation.map(entry => `${entry.assetClass} ${entry.percentage}%`).join(', ')}`,
+		'Largest holdings:',
+		...investments.holdings.slice(0, MAX_HOLDINGS).map(holding =>
+			`- ${holding.tickerSymbol || holding.name || holding.securityId}: ${money(holding.value)} (${holding.assetClass})`
+		)
+	];
+
+	const activity = (investments.transactions || []).slice(0, MAX_INVESTMENT_TRANSACTIONS);
+	if (activity.length > 0) {
+		lines.push('Recent investment activity:');
+		lines.push(...activity.map(tx =>
+			`- ${tx.date}: ${tx.subtype || tx.type}${tx.tickerSymbol ? ` ${tx.tickerSymbol}` : ''} ${money(tx.amount)}`
+		));
+	}
+
+	return lines;
+};
+
+/**
+ * Liabilities and investments as prompt text, in the format of the other
+ * financial context sections. Identity details are never included.
+ * @param {Object} data - Object with liabilities and investments (user data or report data)
+ * @returns {string} - Sections each wrapped in newlines, or '' when there is nothing to add
+ */
+const formatProductContext = (data = {}) => {
+	const sections = [];
+
+	const liabilities = formatLiabilities(data.liabilities);
+	if (liabilities.length > 0) {
+		sections.push(`LIABILITIES:\n${liabilities.join('\n')}`);
+	}
+
+	const investments = formatInvestments(data.investments);
+	if (investments.length > 0) {
+		sections.push(`INVESTMENTS:\n${investments.join('\n')}`);
+	}
+
+	return sections.map(section => `\n${section}\n`).join('');
+};
+
+module.exports = {
+	formatProductContext,
+	formatLiabilities,
+	formatInvestments
+};
@@ -1,16 +1,53 @@
 // src/utils/report-cache.js
+const crypto = require('crypto');
 const logger = require('./logger');
+const MemoryLRUAdapter = require('./cache-adapters/memory-lru.adapter');
 
 /**
- * In-memory cache for banking intelligence reports
- * In production, consider using Redis for distributed caching
+ * Serialize a value with object keys sorted so equal data always hashes the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Deterministic JSON
+ */
+const stableStringify = (value) => {
+	if (value === null || typeof value !== 'object') {
+		return JSON.stringify(value === undefined ? null : value);
+	}
+
+	if (value instanceof Date) {
+		return JSON.stringify(value.toISOString());
+	}
+
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(',')}]`;
+	}
+
+	const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+	return `{${Object.keys(plain).sort()
+		.filter(key => plain[key] !== undefined)
+		.map(key => `${JSON.stringify(key)}:${stableStringify(plain[key])}`)
+		.join(',')}}`;
+};
+
+/**
+ * Hash arbitrary input data for use in cache keys
+ * @param {*} data - Data to hash
+ * @returns {string} - Hex digest
+ */
+const hashData = (data) => crypto.createHash('sha256').update(stableStringify(data)).digest('hex');
+
+/**
+ * Cache for banking intelligence reports.
+ * Keys combine the report parameters, a hash of any uploaded statement data
+ * and the user's data version, so new uploads never return a stale report.
+ * Storage is delegated to an adapter (in-memory LRU or SQL table).
  */
 class ReportCache {
 	constructor(options = {}) {
-		this.cache = new Map();
 		this.defaultTTL = options.ttl || 300000; // 5 minutes default
 		this.maxSize = options.maxSize || 100; // Maximum cache entries
 		this.cleanupInterval = options.cleanupInterval || 60000; // 1 minute cleanup
+		this.adapter = options.adapter || new MemoryLRUAdapter({ maxSize: this.maxSize });
+		this.cleanupTimer = null;
 
 		// Start cleanup interval
 		this.startCleanup();
@@ -18,114 +55,149 @@ class ReportCache {
 
 	/**
 	 * Generate cache key from report parameters
+	 * @param {Object} params - Report parameters
+	 * @param {number} dataVersion - Current data version for the user
+	 * @returns {string} - Cache key
 	 */
-	generateKey(params) {
-		const { userId, timeframe, includeDetailed, statementData } = params;
-		const hasStatementData = !!statementData;
-		return `${userId}-${timeframe}-${includeDetailed}-${hasStatementData}`;
+	generateKey(params, dataVersion = 0) {
+		const { userId, timeframe = '30d', includeDetailed, statementData } = params;
+		const digest = hashData({
+			timeframe,
+			includeDetailed: includeDetailed !== false,
+			statementHash: statementData ? hashData(statementData) : null,
+			dataVersion
+		});
+
+		return `${userId}:${digest}`;
+	}
+
+	/**
+	 * Resolve the key for a set of parameters using the stored data version.
+	 * Resolve it before generating a report and pass it to set(): if the
+	 * user's data changes during generation, the report is then stored under
+	 * the old version and never served.
+	 * @param {Object} params - Report parameters
+	 * @returns {Promise<string>} - Cache key
+	 */
+	async resolveKey(params) {
+		const dataVersion = await this.adapter.getDataVersion(String(params.userId));
+		return this.generateKey(params, dataVersion);
 	}
 
 	/**
 	 * Store report in cache
+	 * @param {Object} params - Report parameters
+	 * @param {Object} report - Generated report
+	 * @param {number} [customTTL] - TTL in ms instead of the default
+	 * @param {string} [key] - Key from resolveKey() taken before generation
 	 */
-	set(params, report, customTTL = null) {
-		const key = this.generateKey(params);
-		const ttl = customTTL || this.defaultTTL;
-		const expiresAt = Date.now() + ttl;
-
-		// Check cache size limit
-		if (this.cache.size >= this.maxSize) {
-			// Remove oldest entry
-			const oldestKey = this.cache.keys().next().value;
-			this.cache.delete(oldestKey);
-			logger.debug(`Cache size limit reached, removed oldest entry: ${oldestKey}`);
-		}
+	async set(params, report, customTTL = null, key = null) {
+		try {
+			key = key || await this.resolveKey(params);
+			const ttl = customTTL || this.defaultTTL;
+			const now = Date.now();
 
-		this.cache.set(key, {
-			report,
-			createdAt: Date.now(),
-			expiresAt,
-			accessCount: 0
-		});
+			const { evicted } = await this.adapter.set(key, {
+				userId: String(params.userId),
+				report,
+				createdAt: now,
+				expiresAt: now + ttl,
+				accessCount: 0
+			});
+
+			if (evicted) {
+				logger.debug(`Cache size limit reached, removed least recently used entry: ${evicted}`);
+			}
 
-		logger.debug(`Report cached with key: ${key}, expires in ${ttl}ms`);
+			logger.debug(`Report cached with key: ${key}, expires in ${ttl}ms`);
+		} catch (error) {
+			// A cache write failure must never fail the report request
+			logger.warn(`Failed to cache report: ${error.message}`);
+		}
 	}
 
 	/**
 	 * Get report from cache
 	 */
-	get(params) {
-		const key = this.generateKey(params);
-		const entry = this.cache.get(key);
+	async get(params) {
+		try {
+			const key = await this.resolveKey(params);
+			const entry = await this.adapter.get(key);
 
-		if (!entry) {
-			logger.debug(`Cache miss for key: ${key}`);
-			return null;
-		}
+			if (!entry) {
+				logger.debug(`Cache miss for key: ${key}`);
+				return null;
+			}
 
-		// Check expiration
-		if (Date.now() > entry.expiresAt) {
-			this.cache.delete(key);
-			logger.debug(`Cache entry expired and removed: ${key}`);
-			return null;
-		}
+			// Check expiration
+			if (Date.now() > entry.expiresAt) {
+				await this.adapter.delete(key);
+				logger.debug(`Cache entry expired and removed: ${key}`);
+				return null;
+			}
 
-		// Update access count
-		entry.accessCount++;
-		entry.lastAccessedAt = Date.now();
+			// Update access count
+			const accessCount = entry.accessCount + 1;
+			await this.adapter.touch(key, { accessCount, lastAccessedAt: Date.now() });
 
-		logger.debug(`Cache hit for key: ${key} (accessed ${entry.accessCount} times)`);
-		return entry.report;
+			logger.debug(`Cache hit for key: ${key} (accessed ${accessCount} times)`);
+			return entry.report;
+		} catch (error) {
+			logger.warn(`Failed to read report cache: ${error.message}`);
+			return null;
+		}
 	}
 
 	/**
 	 * Check if report exists in cache
 	 */
-	has(params) {
-		return this.get(params) !== null;
+	async has(params) {
+		return (await this.get(params)) !== null;
 	}
 
 	/**
 	 * Remove specific report from cache
 	 */
-	delete(params) {
-		const key = this.generateKey(params);
-		const deleted = this.cache.delete(key);
+	async delete(params) {
+		const key = await this.resolveKey(params);
+		const deleted = await this.adapter.delete(key);
 		if (deleted) {
 			logger.debug(`Manually removed cache entry: ${key}`);
 		}
 		return deleted;
 	}
 
+	/**
+	 * Invalidate every cached report for a user after their data changed
+	 * @param {string} userId - Bank user ID
+	 * @returns {Promise<Object>} - New data version and number of entries removed
+	 */
+	async invalidateUser(userId) {
+		const id = String(userId);
+		const version = await this.adapter.bumpDataVersion(id);
+		const removed = await this.adapter.deleteByUser(id);
+
+		logger.info(`Invalidated report cache for user ${id}`, { dataVersion: version, removed });
+		return { dataVersion: version, removed };
+	}
+
 	/**
 	 * Clear all cache entries
 	 */
-	clear() {
-		const size = this.cache.size;
-		this.cache.clear();
+	async clear() {
+		const size = await this.adapter.clear();
 		logger.info(`Cleared ${size} cache entries`);
+		return size;
 	}
 
 	/**
 	 * Get cache statistics
 	 */
-	getStats() {
-		let totalAccess = 0;
-		let oldestEntry = Date.now();
-		let newestEntry = 0;
-
-		for (const entry of this.cache.values()) {
-			totalAccess += entry.accessCount;
-			if (entry.createdAt < oldestEntry) oldestEntry = entry.createdAt;
-			if (entry.createdAt > newestEntry) newestEntry = entry.createdAt;
-		}
-
+	async getStats() {
+		const stats = await this.adapter.getStats();
 		return {
-			size: this.cache.size,
-			maxSize: this.maxSize,
-			totalAccess,
-			oldestEntryAge: this.cache.size > 0 ? Date.now() - oldestEntry : 0,
-			newestEntryAge: this.cache.size > 0 ? Date.now() - newestEntry : 0
+			backend: this.adapter.name,
+			...stats
 		};
 	}
 
@@ -133,46 +205,74 @@ class ReportCache {
 	 * Start periodic cleanup of expired entries
 	 */
 	startCleanup() {
-		setInterval(() => {
+		this.cleanupTimer = setInterval(() => {
 			this.cleanup();
 		}, this.cleanupInterval);
+
+		// Don't keep the process alive just for cache housekeeping
+		if (this.cleanupTimer.unref) {
+			this.cleanupTimer.unref();
+		}
 	}
 
 	/**
 	 * Remove expired entries
 	 */
-	cleanup() {
-		const now = Date.now();
-		let removedCount = 0;
-
-		for (const [key, entry] of this.cache.entries()) {
-			if (now > entry.expiresAt) {
-				this.cache.delete(key);
-				removedCount++;
-			}
-		}
+	async cleanup() {
+		try {
+			const removedCount = await this.adapter.deleteExpired(Date.now());
 
-		if (removedCount > 0) {
-			logger.debug(`Cleaned up ${removedCount} expired cache entries`);
+			if (removedCount > 0) {
+				logger.debug(`Cleaned up ${removedCount} expired cache entries`);
+			}
+		} catch (error) {
+			logger.warn(`Report cache cleanup failed: ${error.message}`);
 		}
 	}
 
 	/**
 	 * Stop cleanup interval (for graceful shutdown)
 	 */
-	destroy() {
+	async destroy() {
 		if (this.cleanupTimer) {
 			clearInterval(this.cleanupTimer);
+			this.cleanupTimer = null;
 		}
-		this.clear();
+		await this.clear();
 	}
 }
 
+/**
+ * Build the storage adapter selected by REPORT_CACHE_BACKEND (memory | sql)
+ * @param {Object} options - Adapter options
+ * @returns {Object} - Storage adapter
+ */
+const createAdapter = (options) => {
+	const backend = (process.env.REPORT_CACHE_BACKEND || 'memory').toLowerCase();
+
+	if (backend === 'sql') {
+		try {
+			const SQLAdapter = require('./cache-adapters/sql.adapter');
+			logger.info('Report cache using SQL backend');
+			return new SQLAdapter(options);
+		} catch (error) {
+			logger.error(`Failed to initialize SQL report cache backend, falling back to memory: ${error.message}`);
+		}
+	}
+
+	return new MemoryLRUAdapter(options);
+};
+
 // Create singleton instance
 const reportCache = new ReportCache({
 	ttl: 300000, // 5 minutes
 	maxSize: 50,  // 50 reports max
-	cleanupInterval: 60000 // 1 minute cleanup
+	cleanupInterval: 60000, // 1 minute cleanup
+	adapter: createAdapter({
+		maxSize: parseInt(process.env.REPORT_CACHE_MAX_SIZE || '50', 10)
+	})
 });
 
-module.exports = reportCache;
\ No newline at end of file
+module.exports = reportCache;
+module.exports.ReportCache = ReportCache;
+module.exports.hashData = hashData;
@@ -0,0 +1,465 @@
+// src/utils/rule-expression.js
+
+/**
+ * Small, side-effect free expression language for banking rules.
+ *
+ *   end_balance < 1.5 * avg_daily_spend and not has_loan
+ *   category_spend['home-improvement'] > 500 or merchant_spend.netflix >= 20
+ *   gambling_ratio > 0.15 && between(days_of_runway, 0, 30)
+ *
+ * Expressions are parsed into an AST once and evaluated by walking it; there is
+ * no eval/Function and no access to anything outside the scope object, so
+ * client-authored rules cannot reach process state. Arithmetic with null yields
+ * null, ordering comparisons with null are false, and division by zero is null.
+ */
+
+const MAX_LENGTH = 1000;
+const MAX_TOKENS = 500;
+const MAX_DEPTH = 40;
+
+const KEYWORDS = {
+	and: '&&',
+	or: '||',
+	not: '!',
+	in: 'in'
+};
+
+const FUNCTIONS = {
+	min: { arity: [1, 20], fn: (...args) => args.some(isNull) ? null : Math.min(...args) },
+	max: { arity: [1, 20], fn: (...args) => args.some(isNull) ? null : Math.max(...args) },
+	abs: { arity: [1, 1], fn: (x) => isNull(x) ? null : Math.abs(x) },
+	floor: { arity: [1, 1], fn: (x) => isNull(x) ? null : Math.floor(x) },
+	ceil: { arity: [1, 1], fn: (x) => isNull(x) ? null : Math.ceil(x) },
+	round: {
+		arity: [1, 2],
+		fn: (x, digits = 0) => {
+			if (isNull(x)) return null;
+			const factor = Math.pow(10, Math.max(0, Math.min(10, digits)));
+			return Math.round(x * factor) / factor;
+		}
+	},
+	sigmoid: { arity: [1, 1], fn: (x) => isNull(x) ? null : 1 / (1 + Math.exp(-x)) },
+	clamp: { arity: [3, 3], fn: (x, lo, hi) => [x, lo, hi].some(isNull) ? null : Math.min(Math.max(x, lo), hi) },
+	between: { arity: [3, 3], fn: (x, lo, hi) => ![x, lo, hi].some(isNull) && x >= lo && x <= hi },
+	coalesce: { arity: [1, 20], fn: (...args) => { const value = args.find(arg => !isNull(arg)); return value === undefined ? null : value; } }
+};
+
+function hasOwn(object, key) {
+	return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isNull(value) {
+	return value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value));
+}
+
+function fail(message, position) {
+	const error = new Error(position !== undefined ? `${message} at position ${position}` : message);
+	error.statusCode = 400;
+	error.position = position;
+	throw error;
+}
+
+/**
+ * Split source into tokens
+ * @private
+ */
+function tokenize(source) {
+	const tokens = [];
+	let i = 0;
+
+	while (i < source.length) {
+		const char = source[i];
+
+		if (/\s/.test(char)) {
+			i++;
+			continue;
+		}
+
+		const start = i;
+
+		if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+			const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+			tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+			i += match[0].length;
+		} else if (/[A-Za-z_]/.test(char)) {
+			const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+			const word = match[0];
+			const lower = word.toLowerCase();
+
+			if (hasOwn(KEYWORDS, lower)) {
+				tokens.push({ type: 'op', value: KEYWORDS[lower], position: start });
+			} else if (lower === 'true' || lower === 'false') {
+				tokens.push({ type: 'literal', value: lower === 'true', position: start });
+			} else if (lower === 'null') {
+				tokens.push({ type: 'literal', value: null, position: start });
+			} else {
+				tokens.push({ type: 'identifier', value: word, position: start });
+			}
+			i += word.length;
+		} else if (char === '"' || char === '\'') {
+			let value = '';
+			i++;
+			while (i < source.length && source[i] !== char) {
+				if (source[i] === '\\' && i + 1 < source.length) i++;
+				value += source[i];
+				i++;
+			}
+			if (i >= source.length) fail('Unterminated string', start);
+			i++;
+			tokens.push({ type: 'literal', value, position: start });
+		} else {
+			const two = source.slice(i, i + 2);
+			if (['<=', '>=', '==', '!=', '&&', '||'].includes(two)) {
+				tokens.push({ type: 'op', value: two, position: start });
+				i += 2;
+			} else if ('+-*/%<>!(),.[]'.includes(char)) {
+				tokens.push({ type: 'op', value: char, position: start });
+				i++;
+			} else if (char === '=') {
+				fail('Use == for comparison', start);
+			} else {
+				fail(`Unexpected character "${char}"`, start);
+			}
+		}
+
+		if (tokens.length > MAX_TOKENS) fail(`Expression is too long (more than ${MAX_TOKENS} tokens)`);
+	}
+
+	tokens.push({ type: 'eof', position: source.length });
+	return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a plain-object AST
+ * @private
+ */
+class Parser {
+	constructor(tokens) {
+		this.tokens = tokens;
+		this.index = 0;
+		this.depth = 0;
+		this.identifiers = new Set();
+	}
+
+	parse() {
+		const ast = this.parseOr();
+		if (this.peek().type !== 'eof') fail(`Unexpected "${this.peek().value}"`, this.peek().position);
+		return ast;
+	}
+
+	peek() {
+		return this.tokens[this.index];
+	}
+
+	next() {
+		return this.tokens[this.index++];
+	}
+
+	isOp(value) {
+		const token = this.peek();
+		return token.type === 'op' && token.value === value;
+	}
+
+	expect(value) {
+		if (!this.isOp(value)) fail(`Expected "${value}"`, this.peek().position);
+		return this.next();
+	}
+
+	nested(parse) {
+		this.depth++;
+		if (this.depth > MAX_DEPTH) fail(`Expression is nested too deeply (max ${MAX_DEPTH})`, this.peek().position);
+		const node = parse();
+		this.depth--;
+		return node;
+	}
+
+	parseBinary(operators, parseOperand) {
+		let left = parseOperand();
+		while (operators.some(op => this.isOp(op))) {
+			const op = this.next().value;
+			const right = parseOperand();
+			left = { type: 'binary', op, left, right };
+		}
+		return left;
+	}
+
+	parseOr() {
+		return this.parseBinary(['||'], () => this.parseAnd());
+	}
+
+	parseAnd() {
+		return this.parseBinary(['&&'], () => this.parseNot());
+	}
+
+	parseNot() {
+		if (this.isOp('!')) {
+			this.next();
+			return this.nested(() => ({ type: 'unary', op: '!', argument: this.parseNot() }));
+		}
+		return this.parseComparison();
+	}
+
+	parseComparison() {
+		const left = this.parseAdditive();
+		const operators = ['<', '<=', '>', '>=', '==', '!=', 'in'];
+		if (operators.some(op => this.isOp(op))) {
+			const op = this.next().value;
+			const right = this.parseAdditive();
+			// Chained comparisons (a < b < c) are almost always a mistake
+			if (operators.some(candidate => this.isOp(candidate))) {
+				fail('Comparisons cannot be chained; use "and"', this.peek().position);
+			}
+			return { type: 'binary', op, left, right };
+		}
+		return left;
+	}
+
+	parseAdditive() {
+		return this.parseBinary(['+', '-'], () => this.parseMultiplicative());
+	}
+
+	parseMultiplicative() {
+		return this.parseBinary(['*', '/', '%'], () => this.parseUnary());
+	}
+
+	parseUnary() {
+		if (this.isOp('-')) {
+			this.next();
+			return this.nested(() => ({ type: 'unary', op: '-', argument: this.parseUnary() }));
+		}
+		return this.parsePostfix();
+	}
+
+	parsePostfix() {
+		let node = this.parsePrimary();
+
+		while (this.isOp('.') || this.isOp('[')) {
+			if (node.type !== 'identifier' && node.type !== 'member') {
+				fail('Only metrics support property access', this.peek().position);
+			}
+
+			if (this.next().value === '.') {
+				const token = this.next();
+				if (token.type !== 'identifier' && token.type !== 'number') fail('Expected property name', token.position);
+				node = { type: 'member', object: node, property: String(token.value) };
+			} else {
+				const token = this.next();
+				if (token.type !== 'literal' || typeof token.value !== 'string') fail('Expected quoted property name', token.position);
+				this.expect(']');
+				node = { type: 'member', object: node, property: token.value };
+			}
+		}
+
+		return node;
+	}
+
+	parsePrimary() {
+		const token = this.next();
+
+		switch (token.type) {
+			case 'number':
+			case 'literal':
+				return { type: 'literal', value: token.value };
+			case 'identifier': {
+				if (this.isOp('(')) {
+					return this.nested(() => this.parseCall(token));
+				}
+				this.identifiers.add(token.value);
+				return { type: 'identifier', name: token.value };
+			}
+			case 'op':
+				if (token.value === '(') {
+					const node = this.nested(() => this.parseOr());
+					this.expect(')');
+					return node;
+				}
+				if (token.value === '[') {
+					return this.nested(() => this.parseList());
+				}
+				break;
+			default:
+				break;
+		}
+
+		fail(token.type === 'eof' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`, token.position);
+	}
+
+	parseCall(token) {
+		const name = token.value.toLowerCase();
+		const definition = hasOwn(FUNCTIONS, name) ? FUNCTIONS[name] : null;
+		if (!definition) fail(`Unknown function "${token.value}"`, token.position);
+
+		this.expect('(');
+		const args = [];
+		if (!this.isOp(')')) {
+			do {
+				args.push(this.parseOr());
+			} while (this.isOp(',') && this.next());
+		}
+		this.expect(')');
+
+		const [minArgs, maxArgs] = definition.arity;
+		if (args.length < minArgs || args.length > maxArgs) {
+			fail(`${name}() takes ${minArgs === maxArgs ? minArgs : `${minArgs}-${maxArgs}`} argument(s)`, token.position);
+		}
+
+		return { type: 'call', name, args };
+	}
+
+	parseList() {
+		const items = [];
+		if (!this.isOp(']')) {
+			do {
+				items.push(this.parseOr());
+			} while (this.isOp(',') && this.next());
+		}
+		this.expect(']');
+		return { type: 'list', items };
+	}
+}
+
+/**
+ * Parse an expression
+ * @param {string} source - Expression text
+ * @returns {Object} - { source, ast, identifiers } where identifiers are the top-level metric names used
+ * @throws {Error} - With statusCode 400 and position on syntax errors
+ */
+function compile(source) {
+	if (typeof source !== 'string' || !source.trim()) fail('Expression is required');
+	if (source.length > MAX_LENGTH) fail(`Expression must be at most ${MAX_LENGTH} characters`);
+
+	const parser = new Parser(tokenize(source));
+	const ast = parser.parse();
+
+	return {
+		source,
+		ast,
+		identifiers: Array.from(parser.identifiers)
+	};
+}
+
+/**
+ * Evaluate a compiled expression against a scope of metric values
+ * @param {Object} compiled - Result of compile()
+ * @param {Object} scope - Metric name -> value (numbers, booleans, strings, plain objects)
+ * @returns {*} - Expression value
+ */
+function evaluate(compiled, scope) {
+	return evaluateNode(compiled.ast, scope);
+}
+
+function evaluateNode(node, scope) {
+	switch (node.type) {
+		case 'literal':
+			return node.value;
+
+		case 'identifier':
+			if (!hasOwn(scope, node.name)) {
+				fail(`Unknown metric "${node.name}"`);
+			}
+			return normalize(scope[node.name]);
+
+		case 'member': {
+			const object = evaluateNode(node.object, scope);
+			if (!object || typeof object !== 'object' || Array.isArray(object)) return null;
+			return hasOwn(object, node.property)
+				? normalize(object[node.property])
+				: null;
+		}
+
+		case 'list':
+			return node.items.map(item => evaluateNode(item, scope));
+
+		case 'call':
+			return FUNCTIONS[node.name].fn(...node.args.map(arg => {
+				const value = evaluateNode(arg, scope);
+				return typeof value === 'boolean' ? Number(value) : value;
+			}));
+
+		case 'unary': {
+			const value = evaluateNode(node.argument, scope);
+			if (node.op === '!') return !truthy(value);
+			return isNull(value) ? null : -toNumber(value);
+		}
+
+		case 'binary':
+			return evaluateBinary(node, scope);
+
+		default:
+			fail(`Unsupported expression node ${node.type}`);
+	}
+}
+
+function evaluateBinary(node, scope) {
+	// Short-circuit logical operators
+	if (node.op === '&&') return truthy(evaluateNode(node.left, scope)) && truthy(evaluateNode(node.right, scope));
+	if (node.op === '||') return truthy(evaluateNode(node.left, scope)) || truthy(evaluateNode(node.right, scope));
+
+	const left = evaluateNode(node.left, scope);
+	const right = evaluateNode(node.right, scope);
+
+	switch (node.op) {
+		case '==':
+			return equals(left, right);
+		case '!=':
+			return !equals(left, right);
+		case 'in':
+			if (Array.isArray(right)) return right.some(item => equals(left, item));
+			if (typeof right === 'string' && typeof left === 'string') return right.toLowerCase().includes(left.toLowerCase());
+			return false;
+		case '<':
+		case '<=':
+		case '>':
+		case '>=': {
+			if (isNull(left) || isNull(right)) return false;
+			const a = typeof left === 'string' && typeof right === 'string' ? left : toNumber(left);
+			const b = typeof left === 'string' && typeof right === 'string' ? right : toNumber(right);
+			if (node.op === '<') return a < b;
+			if (node.op === '<=') return a <= b;
+			if (node.op === '>') return a > b;
+			return a >= b;
+		}
+		default: {
+			if (isNull(left) || isNull(right)) return null;
+			const a = toNumber(left);
+			const b = toNumber(right);
+			if (node.op === '+') return a + b;
+			if (node.op === '-') return a - b;
+			if (node.op === '*') return a * b;
+			if (b === 0) return null;
+			return node.op === '/' ? a / b : a % b;
+		}
+	}
+}
+
+function normalize(value) {
+	if (value === undefined) return null;
+	if (value instanceof Date) return value.getTime();
+	return value;
+}
+
+function toNumber(value) {
+	if (typeof value === 'number') return value;
+	if (typeof value === 'boolean') return value ? 1 : 0;
+	const number = Number(value);
+	if (Number.isNaN(number)) fail(`Cannot use ${JSON.stringify(value)} as a number`);
+	return number;
+}
+
+function truthy(value) {
+	if (isNull(value)) return false;
+	return Boolean(value);
+}
+
+function equals(a, b) {
+	if (isNull(a) || isNull(b)) return isNull(a) && isNull(b);
+	if (typeof a === 'string' && typeof b === 'string') return a.toLowerCase() === b.toLowerCase();
+	if (typeof a === 'string' || typeof b === 'string') return String(a).toLowerCase() === String(b).toLowerCase();
+	return toNumber(a) === toNumber(b);
+}
+
+module.exports = {
+	compile,
+	evaluate,
+	functions: Object.keys(FUNCTIONS)
+};
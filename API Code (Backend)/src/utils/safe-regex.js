@@ -0,0 +1,108 @@
+// src/utils/safe-regex.js
+
+// Adjacent unbounded quantifiers backtrack polynomially; keep their number small
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+
+/**
+ * Check a client-supplied regular expression for constructs that can
+ * backtrack catastrophically: a repeated group that itself contains a
+ * quantifier or an alternation ((a+)+, (a|ab)*), backreferences, and more than
+ * a few unbounded quantifiers. The check is conservative; some harmless
+ * patterns are rejected too. Syntax errors are left to `new RegExp`.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} - Why the pattern is unsafe, or null when it is safe
+ */
+const findUnsafeRegexReason = (pattern) => {
+	const source = String(pattern);
+	const stack = [{ hasQuantifier: false, hasAlternation: false }];
+	let lastGroup = null;
+	let unbounded = 0;
+	let i = 0;
+
+	while (i < source.length) {
+		const char = source[i];
+
+		if (char === '\\') {
+			if (/[1-9k]/.test(source[i + 1] || '')) {
+				return 'backreferences are not allowed';
+			}
+			i += 2;
+			lastGroup = null;
+			continue;
+		}
+
+		if (char === '[') {
+			// Skip the character class; a ']' right after '[' or '[^' is literal
+			i++;
+			if (source[i] === '^') i++;
+			if (source[i] === ']') i++;
+			while (i < source.length && source[i] !== ']') {
+				i += source[i] === '\\' ? 2 : 1;
+			}
+			i++;
+			lastGroup = null;
+			continue;
+		}
+
+		if (char === '(') {
+			stack.push({ hasQuantifier: false, hasAlternation: false });
+			const modifier = source.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+			i += 1 + (modifier ? modifier[0].length : 0);
+			lastGroup = null;
+			continue;
+		}
+
+		if (char === ')') {
+			lastGroup = stack.length > 1 ? stack.pop() : null;
+			i++;
+			continue;
+		}
+
+		if (char === '|') {
+			stack[stack.length - 1].hasAlternation = true;
+			lastGroup = null;
+			i++;
+			continue;
+		}
+
+		const quantifier = source.slice(i).match(QUANTIFIER_PATTERN);
+		if (quantifier) {
+			let max = 1;
+			if (quantifier[0] === '*' || quantifier[0] === '+') {
+				max = Infinity;
+			} else if (quantifier[1] !== undefined) {
+				max = quantifier[2] === undefined
+					? Number(quantifier[1])
+					: (quantifier[3] === '' ? Infinity : Number(quantifier[3]));
+			}
+
+			if (max > 1 && lastGroup && lastGroup.hasQuantifier) {
+				return 'nested quantifiers such as (a+)+ are not allowed';
+			}
+			if (max > 1 && lastGroup && lastGroup.hasAlternation) {
+				return 'repeated alternations such as (a|b)+ are not allowed';
+			}
+			stack.forEach(frame => { frame.hasQuantifier = true; });
+
+			if (max === Infinity && ++unbounded > MAX_UNBOUNDED_QUANTIFIERS) {
+				return `at most ${MAX_UNBOUNDED_QUANTIFIERS} unbounded quantifiers (*, +, {n,}) are allowed`;
+			}
+
+			i += quantifier[0].length;
+			if (source[i] === '?') i++; // lazy modifier
+			lastGroup = null;
+			continue;
+		}
+
+		lastGroup = null;
+		i++;
+	}
+
+	return null;
+};
+
+module.exports = {
+	findUnsafeRegexReason
+};
@@ -0,0 +1,923 @@
+// src/utils/statement-parser.js
+const csvParser = require('./csv-parser');
+
+/**
+ * Converts raw bank statement files into the { accounts, transactions } shape
+ * used by the report pipeline. Supported formats:
+ * - OFX / QFX (SGML 1.x and XML 2.x)
+ * - CSV exports, with column auto-detection
+ * - ISO 20022 CAMT.053 bank-to-customer statements
+ *
+ * Amounts follow the rest of the API: negative for money leaving the account.
+ * Rows that cannot be parsed are skipped and reported in `parseErrors`.
+ */
+
+const FORMAT_ALIASES = {
+	ofx: 'ofx',
+	qfx: 'ofx',
+	csv: 'csv',
+	camt: 'camt053',
+	camt053: 'camt053',
+	'camt.053': 'camt053'
+};
+
+const MAX_PARSE_ERRORS = 200;
+
+// Header names (normalized to lower-case words) recognized for each CSV column
+const CSV_COLUMNS = {
+	date: ['date', 'transaction date', 'trans date', 'posted date', 'posting date', 'post date', 'date posted', 'booking date', 'value date', 'effective date', 'txn date'],
+	description: ['description', 'transaction description', 'original description', 'payee', 'merchant', 'merchant name', 'name', 'details', 'narrative', 'particulars', 'transaction details', 'memo'],
+	amount: ['amount', 'transaction amount', 'amount usd', 'amt', 'net amount', 'value'],
+	debit: ['debit', 'debits', 'debit amount', 'withdrawal', 'withdrawals', 'withdrawal amount', 'money out', 'paid out', 'outflow'],
+	credit: ['credit', 'credits', 'credit amount', 'deposit', 'deposits', 'deposit amount', 'money in', 'paid in', 'inflow'],
+	balance: ['balance', 'running balance', 'running bal', 'ledger balance', 'available balance', 'closing balance'],
+	category: ['category', 'transaction category'],
+	indicator: ['type', 'transaction type', 'dr cr', 'cr dr', 'debit credit', 'credit debit', 'debit credit indicator'],
+	account: ['account', 'account number', 'account name', 'account id', 'acct'],
+	currency: ['currency', 'currency code', 'ccy'],
+	reference: ['transaction id', 'reference', 'reference number', 'ref', 'fitid', 'id', 'check number']
+};
+
+const DEBIT_TOKENS = ['debit', 'dr', 'd', 'withdrawal', 'dbit', 'out'];
+const CREDIT_TOKENS = ['credit', 'cr', 'c', 'deposit', 'crdt', 'in'];
+
+/**
+ * Build an error with an HTTP status and optional row details
+ * @private
+ */
+function statementError(message, statusCode = 400, details = null) {
+	const error = new Error(message);
+	error.statusCode = statusCode;
+	if (details) error.details = details;
+	return error;
+}
+
+/**
+ * Whether statement input is a raw file rather than pre-structured JSON
+ * @param {string|Object} input - statementData as received
+ * @returns {boolean}
+ */
+function isRawStatement(input) {
+	return typeof input === 'string' || (!!input && typeof input === 'object' && typeof input.content === 'string');
+}
+
+/**
+ * Work out the statement format from the file name or its content
+ * @param {string} content - File content
+ * @param {string} filename - Original file name, if known
+ * @returns {string} - 'ofx', 'csv' or 'camt053'
+ */
+function detectFormat(content, filename = '') {
+	const extension = String(filename).toLowerCase().split('.').pop();
+	if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+
+	const head = content.slice(0, 4096);
+	if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+	if (/camt\.053|<(\w+:)?BkToCstmrStmt[\s>]/.test(content.slice(0, 65536))) return 'camt053';
+
+	if (/^\s*</.test(head)) {
+		throw statementError('Unsupported XML statement; expected OFX or CAMT.053');
+	}
+	if (/^\s*[[{]/.test(head)) {
+		throw statementError('JSON statements must be sent as structured statementData, not as a file');
+	}
+
+	return 'csv';
+}
+
+/**
+ * Parse a raw statement file
+ * @param {string} content - File content
+ * @param {Object} options
+ * @param {string} options.format - 'ofx', 'qfx', 'csv' or 'camt053' (detected when omitted)
+ * @param {string} options.filename - Original file name, used for format detection
+ * @returns {Object} - { format, accounts, transactions, dateRange, timeframe, parseErrors, warnings }
+ */
+function parseStatement(content, { format, filename } = {}) {
+	if (typeof content !== 'string' || content.trim() === '') {
+		throw statementError('Statement file is empty');
+	}
+
+	const text = content.replace(/^\uFEFF/, '');
+	let resolved;
+	if (format) {
+		resolved = FORMAT_ALIASES[String(format).toLowerCase()];
+		if (!resolved) {
+			throw statementError(`Unsupported statement format "${format}"; use ofx, qfx, csv or camt053`);
+		}
+	} else {
+		resolved = detectFormat(text, filename);
+	}
+
+	const errors = [];
+	const warnings = [];
+	const addError = (entry) => {
+		if (errors.length < MAX_PARSE_ERRORS) errors.push(entry);
+	};
+
+	let parsed;
+	if (resolved === 'ofx') {
+		parsed = parseOfx(text, addError, warnings);
+	} else if (resolved === 'camt053') {
+		parsed = parseCamt053(text, addError, warnings);
+	} else {
+		parsed = parseCsv(text, addError, warnings);
+	}
+
+	if (parsed.transactions.length === 0) {
+		throw statementError(
+			errors.length > 0 ? 'No transactions could be parsed from the statement' : 'Statement contains no transactions',
+			422,
+			errors
+		);
+	}
+
+	parsed.transactions.sort((a, b) => b.date - a.date);
+
+	const dates = parsed.transactions.map(tx => tx.date.getTime());
+	const startDate = parsed.period && parsed.period.startDate ? parsed.period.startDate : new Date(Math.min(...dates));
+	const endDate = parsed.period && parsed.period.endDate ? parsed.period.endDate : new Date(Math.max(...dates));
+	const days = Math.max(1, Math.ceil((endDate - startDate) / (24 * 60 * 60 * 1000)));
+
+	return {
+		format: resolved,
+		accounts: parsed.accounts,
+		transactions: parsed.transactions,
+		dateRange: { startDate, endDate },
+		timeframe: `${days}d`,
+		parseErrors: errors,
+		warnings
+	};
+}
+
+// ---------------------------------------------------------------------------
+// Markup (OFX SGML/XML and CAMT XML)
+// ---------------------------------------------------------------------------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00A0' };
+
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+		if (entity[0] === '#') {
+			const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+			return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+		}
+		return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+	});
+}
+
+/**
+ * Build an element tree from XML or OFX SGML. SGML leaf elements
+ * (`<TRNAMT>-12.00` without a closing tag) are closed when the next tag opens.
+ * Namespace prefixes are dropped.
+ * @private
+ */
+function parseMarkup(text) {
+	const root = { name: '#root', attrs: {}, children: [], text: '', line: 1 };
+	const stack = [root];
+	const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+	let line = 1;
+	let lastIndex = 0;
+	let match;
+
+	const appendText = (value) => {
+		const top = stack[stack.length - 1];
+		top.text += value;
+	};
+
+	while ((match = pattern.exec(text)) !== null) {
+		const between = text.slice(lastIndex, match.index);
+		appendText(decodeEntities(between));
+		line += countLines(between);
+		lastIndex = pattern.lastIndex;
+
+		const [raw, cdata, closing, rawName, rawAttrs, selfClosing] = match;
+		const tagLine = line;
+		line += countLines(raw);
+
+		if (cdata !== undefined) {
+			appendText(cdata);
+			continue;
+		}
+		if (!rawName) continue; // comment, processing instruction or doctype
+
+		const name = rawName.includes(':') ? rawName.split(':').pop() : rawName;
+
+		if (closing) {
+			const index = findOpen(stack, name);
+			if (index > 0) stack.length = index;
+			continue;
+		}
+
+		// An SGML leaf with data never has children: close it before opening a sibling
+		const top = stack[stack.length - 1];
+		if (top !== root && top.children.length === 0 && top.text.trim() !== '') {
+			stack.pop();
+		}
+
+		const node = { name, attrs: parseAttributes(rawAttrs), children: [], text: '', line: tagLine };
+		stack[stack.length - 1].children.push(node);
+		if (!selfClosing) stack.push(node);
+	}
+
+	return root;
+}
+
+function countLines(value) {
+	let count = 0;
+	for (let i = 0; i < value.length; i++) {
+		if (value.charCodeAt(i) === 10) count++;
+	}
+	return count;
+}
+
+function findOpen(stack, name) {
+	for (let i = stack.length - 1; i > 0; i--) {
+		if (stack[i].name === name) return i;
+	}
+	return -1;
+}
+
+function parseAttributes(raw) {
+	const attrs = {};
+	if (!raw) return attrs;
+	const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let match;
+	while ((match = pattern.exec(raw)) !== null) {
+		const name = match[1].includes(':') ? match[1].split(':').pop() : match[1];
+		attrs[name] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+	}
+	return attrs;
+}
+
+/**
+ * First descendant matching a "/"-separated path of element names
+ * @private
+ */
+function find(node, path) {
+	if (!node) return null;
+	const [head, ...rest] = path.split('/');
+	const queue = [...node.children];
+
+	while (queue.length > 0) {
+		const candidate = queue.shift();
+		if (candidate.name === head) {
+			if (rest.length === 0) return candidate;
+			const found = find(candidate, rest.join('/'));
+			if (found) return found;
+		}
+		queue.push(...candidate.children);
+	}
+	return null;
+}
+
+/**
+ * All descendants with the given element name
+ * @private
+ */
+function findAll(node, name, results = []) {
+	if (!node) return results;
+	for (const child of node.children) {
+		if (child.name === name) results.push(child);
+		findAll(child, name, results);
+	}
+	return results;
+}
+
+function textOf(node, path) {
+	const target = path ? find(node, path) : node;
+	if (!target) return null;
+	const value = target.text.trim();
+	return value === '' ? null : value;
+}
+
+// ---------------------------------------------------------------------------
+// OFX / QFX
+// ---------------------------------------------------------------------------
+
+const OFX_ACCOUNT_TYPES = {
+	CHECKING: ['depository', 'checking'],
+	SAVINGS: ['depository', 'savings'],
+	MONEYMRKT: ['depository', 'money market'],
+	CD: ['depository', 'cd'],
+	CREDITLINE: ['credit', 'line of credit']
+};
+
+/**
+ * OFX dates are YYYYMMDD[HHMMSS[.XXX]][[+-]TZ[:NAME]]; only the calendar date is kept
+ * @private
+ */
+function parseOfxDate(value) {
+	const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+	if (!match) return null;
+	return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+}
+
+function parseOfx(text, addError, warnings) {
+	const start = text.search(/<OFX>/i);
+	if (start === -1) {
+		throw statementError('Invalid OFX file: missing <OFX> element');
+	}
+
+	// SGML OFX tags are case-insensitive; XML OFX is upper case already
+	const root = parseMarkup(text.slice(start).replace(/<(\/?)([A-Za-z][\w.]*)>/g, (m, slash, name) => `<${slash}${name.toUpperCase()}>`));
+	const lineOffset = countLines(text.slice(0, start));
+	const statements = [...findAll(root, 'STMTRS'), ...findAll(root, 'CCSTMTRS')];
+
+	if (statements.length === 0) {
+		throw statementError('OFX file contains no bank or credit card statements');
+	}
+
+	const accounts = [];
+	const transactions = [];
+	let periodStart = null;
+	let periodEnd = null;
+
+	statements.forEach((statement, index) => {
+		const isCard = statement.name === 'CCSTMTRS';
+		const accountNode = find(statement, isCard ? 'CCACCTFROM' : 'BANKACCTFROM');
+		const accountId = textOf(accountNode, 'ACCTID') || `ofx-account-${index + 1}`;
+		const ofxType = (textOf(accountNode, 'ACCTTYPE') || '').toUpperCase();
+		const [type, subtype] = isCard ? ['credit', 'credit card'] : (OFX_ACCOUNT_TYPES[ofxType] || ['depository', ofxType.toLowerCase() || null]);
+		const currency = (textOf(statement, 'CURDEF') || 'USD').toUpperCase();
+
+		// OFX reports money owed on a card as a negative balance; the API stores it as positive
+		const sign = isCard ? -1 : 1;
+		const ledger = parseAmount(textOf(statement, 'LEDGERBAL/BALAMT'));
+		const available = parseAmount(textOf(statement, 'AVAILBAL/BALAMT'));
+		if (ledger === null) {
+			warnings.push(`No ledger balance for account ${maskAccount(accountId)}; balance set to 0`);
+		}
+
+		const balance = ledger === null ? 0 : sign * ledger;
+
+		accounts.push({
+			accountId,
+			name: isCard ? `Credit Card ${maskAccount(accountId)}` : `${subtype ? capitalize(subtype) : 'Bank'} Account ${maskAccount(accountId)}`,
+			type,
+			subtype,
+			currency,
+			balance,
+			availableBalance: available === null ? balance : available,
+			metadata: { source: 'ofx', bankId: textOf(accountNode, 'BANKID') }
+		});
+
+		const list = find(statement, 'BANKTRANLIST');
+		const listStart = parseOfxDate(textOf(list, 'DTSTART'));
+		const listEnd = parseOfxDate(textOf(list, 'DTEND'));
+		if (listStart && (!periodStart || listStart < periodStart)) periodStart = listStart;
+		if (listEnd && (!periodEnd || listEnd > periodEnd)) periodEnd = listEnd;
+
+		const seen = new Map();
+		findAll(list, 'STMTTRN').forEach(node => {
+			const line = node.line + lineOffset;
+			const fitId = textOf(node, 'FITID');
+			const date = parseOfxDate(textOf(node, 'DTPOSTED') || textOf(node, 'DTUSER'));
+			const amount = parseAmount(textOf(node, 'TRNAMT'));
+			const problems = [];
+
+			if (!date) problems.push('missing or invalid DTPOSTED');
+			if (amount === null) problems.push('missing or invalid TRNAMT');
+			if (problems.length > 0) {
+				addError({ line, id: fitId, message: `Skipped transaction: ${problems.join(', ')}` });
+				return;
+			}
+
+			const name = textOf(node, 'NAME') || textOf(node, 'PAYEE/NAME');
+			const memo = textOf(node, 'MEMO');
+			const baseId = fitId || `${accountId}-${formatDate(date)}-${amount}`;
+			const occurrence = seen.get(baseId) || 0;
+			seen.set(baseId, occurrence + 1);
+
+			transactions.push(buildTransaction({
+				transactionId: occurrence > 0 ? `${baseId}-${occurrence}` : baseId,
+				accountId,
+				date,
+				amount,
+				description: [name, memo].filter(Boolean).join(' ') || textOf(node, 'TRNTYPE') || 'Unknown Transaction',
+				merchantName: name,
+				mcc: textOf(node, 'SIC'),
+				currency,
+				metadata: {
+					source: 'ofx',
+					ofxType: textOf(node, 'TRNTYPE'),
+					checkNumber: textOf(node, 'CHECKNUM')
+				}
+			}));
+		});
+	});
+
+	return {
+		accounts,
+		transactions,
+		period: periodStart && periodEnd ? { startDate: periodStart, endDate: periodEnd } : null
+	};
+}
+
+// ---------------------------------------------------------------------------
+// CAMT.053
+// ---------------------------------------------------------------------------
+
+function parseCamtDate(node) {
+	const value = textOf(node, 'Dt') || textOf(node, 'DtTm') || textOf(node);
+	const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+	return match ? utcDate(Number(match[1]), Number(match[2]), Number(match[3])) : null;
+}
+
+function camtAmount(node) {
+	const amountNode = find(node, 'Amt');
+	const amount = parseAmount(textOf(amountNode));
+	if (amount === null) return { amount: null };
+
+	const indicator = (textOf(node, 'CdtDbtInd') || '').toUpperCase();
+	return {
+		amount: indicator === 'DBIT' ? -Math.abs(amount) : Math.abs(amount),
+		currency: amountNode.attrs.Ccy || null,
+		indicator
+	};
+}
+
+function parseCamt053(text, addError, warnings) {
+	const root = parseMarkup(text);
+	const container = find(root, 'BkToCstmrStmt');
+	if (!container) {
+		throw statementError('Invalid CAMT.053 file: missing BkToCstmrStmt');
+	}
+
+	const statements = container.children.filter(child => child.name === 'Stmt');
+	if (statements.length === 0) {
+		throw statementError('CAMT.053 file contains no statements');
+	}
+
+	const accounts = [];
+	const transactions = [];
+	let periodStart = null;
+	let periodEnd = null;
+
+	statements.forEach((statement, index) => {
+		const accountNode = statement.children.find(child => child.name === 'Acct');
+		const accountId = textOf(accountNode, 'Id/IBAN') || textOf(accountNode, 'Id/Othr/Id') || textOf(statement, 'Id') || `camt-account-${index + 1}`;
+		const currency = (textOf(accountNode, 'Ccy') || 'EUR').toUpperCase();
+
+		// Prefer closing booked (CLBD) balance, then closing available (CLAV)
+		const balances = {};
+		statement.children.filter(child => child.name === 'Bal').forEach(balanceNode => {
+			const code = textOf(balanceNode, 'Tp/CdOrPrtry/Cd') || textOf(balanceNode, 'Tp/CdOrPrtry/Prtry');
+			const { amount } = camtAmount(balanceNode);
+			if (code && amount !== null) balances[code.toUpperCase()] = amount;
+		});
+
+		const balance = balances.CLBD !== undefined ? balances.CLBD : balances.ITBD;
+		if (balance === undefined) {
+			warnings.push(`No closing balance for account ${maskAccount(accountId)}; balance set to 0`);
+		}
+
+		accounts.push({
+			accountId,
+			name: textOf(accountNode, 'Nm') || `Account ${maskAccount(accountId)}`,
+			type: 'depository',
+			subtype: null,
+			currency,
+			balance: balance === undefined ? 0 : balance,
+			availableBalance: balances.CLAV !== undefined ? balances.CLAV : (balance === undefined ? 0 : balance),
+			metadata: { source: 'camt053', statementId: textOf(statement, 'Id') }
+		});
+
+		const from = find(statement, 'FrToDt');
+		if (from) {
+			const start = parseCamtDate(find(from, 'FrDtTm') || find(from, 'FrDt'));
+			const end = parseCamtDate(find(from, 'ToDtTm') || find(from, 'ToDt'));
+			if (start && (!periodStart || start < periodStart)) periodStart = start;
+			if (end && (!periodEnd || end > periodEnd)) periodEnd = end;
+		}
+
+		const seen = new Map();
+		statement.children.filter(child => child.name === 'Ntry').forEach(entry => {
+			const date = parseCamtDate(find(entry, 'BookgDt')) || parseCamtDate(find(entry, 'ValDt'));
+			const { amount, currency: entryCurrency, indicator } = camtAmount(entry);
+			const reference = textOf(entry, 'AcctSvcrRef') || textOf(entry, 'NtryRef') || textOf(entry, 'Refs/EndToEndId');
+			const problems = [];
+
+			if (!date) problems.push('missing or invalid BookgDt/ValDt');
+			if (amount === null) problems.push('missing or invalid Amt');
+			else if (!['CRDT', 'DBIT'].includes(indicator)) problems.push('missing CdtDbtInd');
+			if (problems.length > 0) {
+				addError({ line: entry.line, id: reference, message: `Skipped entry: ${problems.join(', ')}` });
+				return;
+			}
+
+			// The counterparty is the creditor for debits and the debtor for credits
+			const counterparty = indicator === 'DBIT'
+				? textOf(entry, 'RltdPties/Cdtr/Nm') || textOf(entry, 'RltdPties/Cdtr/Pty/Nm')
+				: textOf(entry, 'RltdPties/Dbtr/Nm') || textOf(entry, 'RltdPties/Dbtr/Pty/Nm');
+			const remittance = textOf(entry, 'RmtInf/Ustrd');
+			const status = (textOf(entry, 'Sts/Cd') || textOf(entry, 'Sts') || 'BOOK').toUpperCase();
+
+			const baseId = reference || `${accountId}-${formatDate(date)}-${amount}`;
+			const occurrence = seen.get(baseId) || 0;
+			seen.set(baseId, occurrence + 1);
+
+			transactions.push(buildTransaction({
+				transactionId: occurrence > 0 ? `${baseId}-${occurrence}` : baseId,
+				accountId,
+				date,
+				amount,
+				description: [counterparty, remittance].filter(Boolean).join(' ') || textOf(entry, 'AddtlNtryInf') || 'Unknown Transaction',
+				merchantName: counterparty,
+				currency: entryCurrency || currency,
+				pending: status === 'PDNG',
+				metadata: {
+					source: 'camt053',
+					bankTransactionCode: textOf(entry, 'BkTxCd/Domn/Cd') || textOf(entry, 'BkTxCd/Prtry/Cd'),
+					additionalInfo: textOf(entry, 'AddtlNtryInf')
+				}
+			}));
+		});
+	});
+
+	return {
+		accounts,
+		transactions,
+		period: periodStart && periodEnd ? { startDate: periodStart, endDate: periodEnd } : null
+	};
+}
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+function normalizeHeader(header) {
+	return String(header).toLowerCase().replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Map each known column to a header index: exact matches first, then headers containing an alias
+ * @private
+ */
+function detectColumns(headers) {
+	const normalized = headers.map(normalizeHeader);
+	const columns = {};
+	const used = new Set();
+
+	for (const pass of ['exact', 'contains']) {
+		for (const [column, aliases] of Object.entries(CSV_COLUMNS)) {
+			if (columns[column] !== undefined) continue;
+			if (pass === 'contains' && ['indicator', 'reference', 'account', 'currency', 'category'].includes(column)) continue;
+
+			for (const alias of aliases) {
+				const index = normalized.findIndex((header, i) => !used.has(i) && (
+					pass === 'exact' ? header === alias : new RegExp(`\\b${alias}\\b`).test(header)
+				));
+				if (index !== -1) {
+					columns[column] = index;
+					used.add(index);
+					break;
+				}
+			}
+		}
+	}
+
+	return columns;
+}
+
+/**
+ * Infer columns for exports without a header row from the first rows' content
+ * @private
+ */
+function inferColumns(rows) {
+	const sample = rows.slice(0, 20);
+	const width = Math.max(...sample.map(row => row.values.length));
+	const columns = {};
+
+	for (let i = 0; i < width; i++) {
+		const values = sample.map(row => (row.values[i] || '').trim()).filter(Boolean);
+		if (values.length === 0) continue;
+
+		if (columns.date === undefined && values.every(value => parseDateWithOrder(value, 'mdy') || parseDateWithOrder(value, 'dmy'))) {
+			columns.date = i;
+		} else if (columns.amount === undefined && values.every(value => parseAmount(value) !== null)) {
+			columns.amount = i;
+		}
+	}
+
+	// Description is the column with the longest non-numeric text
+	let longest = 0;
+	for (let i = 0; i < width; i++) {
+		if (i === columns.date || i === columns.amount) continue;
+		const length = sample.reduce((sum, row) => sum + ((row.values[i] || '').trim().length), 0);
+		if (length > longest && sample.some(row => /[a-z]/i.test(row.values[i] || ''))) {
+			longest = length;
+			columns.description = i;
+		}
+	}
+
+	return columns;
+}
+
+/**
+ * Decide day/month order for slash- or dot-separated dates from all values in
+ * the column. Only values that are a real date in exactly one order vote;
+ * values valid in both orders or in neither (bad rows, reported later) don't.
+ * @private
+ * @throws {Error} - 422 when some dates only fit month/day and others only day/month
+ */
+function detectDateOrder(values) {
+	const evidence = { mdy: [], dmy: [] };
+	let dotted = false;
+
+	for (const value of values) {
+		const match = /^(\d{1,2})([/.-])(\d{1,2})\2(\d{2,4})/.exec(value.trim());
+		if (!match) continue;
+		if (match[2] === '.') dotted = true;
+
+		const mdy = parseDateWithOrder(value, 'mdy') !== null;
+		const dmy = parseDateWithOrder(value, 'dmy') !== null;
+		if (mdy && !dmy) evidence.mdy.push(value);
+		else if (dmy && !mdy) evidence.dmy.push(value);
+	}
+
+	if (evidence.mdy.length > 0 && evidence.dmy.length > 0) {
+		throw statementError(
+			`CSV statement mixes date formats: "${evidence.mdy[0]}" is only valid as month/day and "${evidence.dmy[0]}" only as day/month`,
+			422
+		);
+	}
+
+	if (evidence.mdy.length > 0) return 'mdy';
+	if (evidence.dmy.length > 0) return 'dmy';
+	return dotted ? 'dmy' : 'mdy';
+}
+
+function parseDateWithOrder(value, order) {
+	const trimmed = String(value || '').trim();
+	if (!trimmed) return null;
+
+	let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/.exec(trimmed);
+	if (match) return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+	match = /^(\d{4})(\d{2})(\d{2})$/.exec(trimmed);
+	if (match) return utcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+	match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:\s.*)?$/.exec(trimmed);
+	if (match) {
+		let year = Number(match[3]);
+		if (year < 100) year += 2000;
+		const [month, day] = order === 'dmy' ? [Number(match[2]), Number(match[1])] : [Number(match[1]), Number(match[2])];
+		return utcDate(year, month, day);
+	}
+
+	// Textual dates such as "Oct 1, 2026" or "01 Oct 2026"
+	if (/[a-z]{3}/i.test(trimmed)) {
+		const parsed = new Date(`${trimmed} UTC`);
+		if (!isNaN(parsed.getTime())) {
+			return utcDate(parsed.getUTCFullYear(), parsed.getUTCMonth() + 1, parsed.getUTCDate());
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Whether a column writes decimals with a comma (1.234,56)
+ * @private
+ */
+function usesDecimalComma(values) {
+	let comma = 0;
+	let dot = 0;
+	for (const value of values) {
+		if (/,\d{1,2}\)?(\s*(CR|DR|-))?$/i.test(value.trim())) comma++;
+		else if (/\.\d{1,2}\)?(\s*(CR|DR|-))?$/i.test(value.trim())) dot++;
+	}
+	return comma > dot;
+}
+
+function parseCsv(text, addError, warnings) {
+	const delimiter = csvParser.detectDelimiter(text);
+	const rows = csvParser.parseRows(text, { delimiter });
+
+	if (rows.length === 0) {
+		throw statementError('CSV statement is empty');
+	}
+
+	// Some banks put a few lines of account information above the header row
+	let headerIndex = -1;
+	let columns = {};
+	for (let i = 0; i < Math.min(rows.length, 15); i++) {
+		const candidate = detectColumns(rows[i].values);
+		if (candidate.date !== undefined && (candidate.amount !== undefined || candidate.debit !== undefined || candidate.credit !== undefined)) {
+			headerIndex = i;
+			columns = candidate;
+			break;
+		}
+	}
+
+	let dataRows;
+	if (headerIndex === -1) {
+		columns = inferColumns(rows);
+		if (columns.date === undefined || columns.amount === undefined) {
+			throw statementError(
+				`Could not detect date and amount columns in CSV statement (first row: ${rows[0].values.slice(0, 8).join(', ')})`,
+				422
+			);
+		}
+		warnings.push('CSV has no recognizable header row; columns were inferred from the data');
+		dataRows = rows;
+	} else {
+		dataRows = rows.slice(headerIndex + 1);
+	}
+
+	const cell = (row, column) => (columns[column] !== undefined ? (row.values[columns[column]] || '').trim() : '');
+	const amountColumns = ['amount', 'debit', 'credit', 'balance'].filter(column => columns[column] !== undefined);
+	const decimalComma = {};
+	amountColumns.forEach(column => {
+		decimalComma[column] = usesDecimalComma(dataRows.map(row => cell(row, column)).filter(Boolean));
+	});
+	const dateOrder = detectDateOrder(dataRows.map(row => cell(row, 'date')).filter(Boolean));
+
+	// Only trust a type column as a debit/credit indicator when every value is one
+	let useIndicator = false;
+	if (columns.indicator !== undefined && columns.amount !== undefined) {
+		const values = dataRows.map(row => cell(row, 'indicator').toLowerCase()).filter(Boolean);
+		useIndicator = values.length > 0 && values.every(value => DEBIT_TOKENS.includes(value) || CREDIT_TOKENS.includes(value));
+	}
+
+	const accountsById = new Map();
+	const transactions = [];
+
+	dataRows.forEach(row => {
+		if (row.values.every(value => value.trim() === '')) return;
+
+		const problems = [];
+		const rawDate = cell(row, 'date');
+		const date = parseDateWithOrder(rawDate, dateOrder);
+		if (!date) problems.push(rawDate ? `invalid date "${rawDate}"` : 'missing date');
+
+		let amount = null;
+		if (columns.amount !== undefined && cell(row, 'amount') !== '') {
+			amount = parseAmount(cell(row, 'amount'), decimalComma.amount);
+			if (amount === null) problems.push(`invalid amount "${cell(row, 'amount')}"`);
+			else if (useIndicator) {
+				amount = DEBIT_TOKENS.includes(cell(row, 'indicator').toLowerCase()) ? -Math.abs(amount) : Math.abs(amount);
+			}
+		} else if (columns.debit !== undefined || columns.credit !== undefined) {
+			const debit = cell(row, 'debit') ? parseAmount(cell(row, 'debit'), decimalComma.debit) : 0;
+			const credit = cell(row, 'credit') ? parseAmount(cell(row, 'credit'), decimalComma.credit) : 0;
+			if (debit === null) problems.push(`invalid debit "${cell(row, 'debit')}"`);
+			else if (credit === null) problems.push(`invalid credit "${cell(row, 'credit')}"`);
+			else if (!cell(row, 'debit') && !cell(row, 'credit')) problems.push('missing amount');
+			else amount = Math.abs(credit) - Math.abs(debit);
+		} else {
+			problems.push('missing amount');
+		}
+
+		if (problems.length > 0) {
+			// Trailing summary lines ("Total", "Ending balance") are not transactions
+			if (!date && /total|balance|summary/i.test(row.values.join(' '))) return;
+			addError({ line: row.line, message: `Skipped row: ${problems.join(', ')}` });
+			return;
+		}
+
+		const accountId = cell(row, 'account') || 'statement-account';
+		if (!accountsById.has(accountId)) {
+			accountsById.set(accountId, { rows: [], currency: cell(row, 'currency') || 'USD' });
+		}
+		const runningBalance = cell(row, 'balance') ? parseAmount(cell(row, 'balance'), decimalComma.balance) : null;
+		accountsById.get(accountId).rows.push({ date, runningBalance, position: transactions.length });
+
+		const description = cell(row, 'description') || 'Unknown Transaction';
+		transactions.push(buildTransaction({
+			transactionId: cell(row, 'reference') || `csv-${row.line}`,
+			accountId,
+			date,
+			amount,
+			description,
+			merchantName: null,
+			category: cell(row, 'category') || null,
+			currency: (cell(row, 'currency') || accountsById.get(accountId).currency).toUpperCase(),
+			metadata: { source: 'csv', line: row.line }
+		}));
+	});
+
+	const accounts = [...accountsById.entries()].map(([accountId, info]) => {
+		// Ending balance is the running balance on the newest row (files are often newest-first)
+		const withBalance = info.rows.filter(entry => entry.runningBalance !== null);
+		let balance = 0;
+		if (withBalance.length > 0) {
+			const newest = withBalance.reduce((best, entry) => {
+				if (entry.date > best.date) return entry;
+				if (entry.date.getTime() === best.date.getTime()) {
+					const descending = info.rows[0].date > info.rows[info.rows.length - 1].date;
+					return descending ? (entry.position < best.position ? entry : best) : (entry.position > best.position ? entry : best);
+				}
+				return best;
+			});
+			balance = newest.runningBalance;
+		} else {
+			warnings.push(`No balance column for account ${accountId === 'statement-account' ? 'in statement' : maskAccount(accountId)}; balance set to 0`);
+		}
+
+		return {
+			accountId,
+			name: accountId === 'statement-account' ? 'Statement Account' : `Account ${maskAccount(accountId)}`,
+			type: 'depository',
+			subtype: null,
+			currency: info.currency.toUpperCase(),
+			balance,
+			availableBalance: balance,
+			metadata: { source: 'csv', balanceFromStatement: withBalance.length > 0 }
+		};
+	});
+
+	return { accounts, transactions, period: null };
+}
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse "$1,234.56", "(12.00)", "12.00-", "12.00 DR" or, with decimalComma, "1.234,56"
+ * @returns {number|null}
+ */
+function parseAmount(value, decimalComma = false) {
+	if (value === null || value === undefined) return null;
+	let text = String(value).trim();
+	if (text === '') return null;
+
+	let negative = false;
+	if (/^\(.*\)$/.test(text)) {
+		negative = true;
+		text = text.slice(1, -1);
+	}
+	const suffix = /\s*(CR|DR)$/i.exec(text);
+	if (suffix) {
+		negative = suffix[1].toUpperCase() === 'DR';
+		text = text.slice(0, suffix.index);
+	}
+	if (/-$/.test(text)) {
+		negative = true;
+		text = text.slice(0, -1);
+	}
+	if (/^[-\u2212]/.test(text.replace(/^[^\d\-\u2212+]+/, ''))) {
+		negative = !negative;
+	}
+
+	text = text.replace(/[^\d.,]/g, '');
+	if (decimalComma) {
+		text = text.replace(/\./g, '').replace(',', '.');
+	} else {
+		text = text.replace(/,/g, '');
+	}
+
+	if (!/^\d+(\.\d+)?$|^\.\d+$/.test(text)) return null;
+	const amount = Number(text);
+	return negative ? -amount : amount;
+}
+
+function buildTransaction({ transactionId, accountId, date, amount, description, merchantName, mcc, category = null, currency, pending = false, metadata }) {
+	const cleanMetadata = {};
+	Object.entries(metadata || {}).forEach(([key, value]) => {
+		if (value !== null && value !== undefined) cleanMetadata[key] = value;
+	});
+
+	return {
+		transactionId,
+		accountId,
+		date,
+		amount: Math.round(amount * 100) / 100,
+		description,
+		merchantName: merchantName || null,
+		category,
+		mcc: mcc && /^\d{4}$/.test(mcc) ? mcc : undefined,
+		currency,
+		type: amount >= 0 ? 'income' : 'expense',
+		pending,
+		metadata: cleanMetadata
+	};
+}
+
+function utcDate(year, month, day) {
+	if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+	const date = new Date(Date.UTC(year, month - 1, day));
+	return date.getUTCMonth() === month - 1 ? date : null;
+}
+
+function formatDate(date) {
+	return date.toISOString().slice(0, 10);
+}
+
+function maskAccount(accountId) {
+	const value = String(accountId);
+	return value.length > 4 ? `****${value.slice(-4)}` : value;
+}
+
+function capitalize(value) {
+	return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+module.exports = {
+	parseStatement,
+	detectFormat,
+	isRawStatement,
+	parseAmount
+};
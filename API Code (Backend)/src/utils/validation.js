@@ -1,7 +1,20 @@
 // src/utils/validation.js
+const dns = require('dns');
+const net = require('net');
 const validator = require('validator');
 const xss = require('xss');
 
+// Loopback, private, link-local and reserved ranges webhooks must never reach
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+	['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+	['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+	['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+	['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
 /**
  * Validate email address format
  * @param {string} email - Email to validate
@@ -214,8 +227,102 @@ const checkRateLimit = async (ip, cache, limit = 5, windowMs = 15 * 60 * 1000) =
 	};
 };
 
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on
+ * the public internet (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} address - IP address
+ * @returns {boolean}
+ */
+const isNonPublicAddress = (address) => {
+	const family = net.isIP(address);
+	if (family === 0) return true;
+	return NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a host name or IP literal resolves only to public addresses.
+ * Every resolved address must be public; a host that doesn't resolve is rejected.
+ * @param {string} hostname - Host from a URL (IPv6 literals may keep their brackets)
+ * @returns {Promise<boolean>}
+ */
+const isPublicHost = async (hostname) => {
+	const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+
+	if (!host || host === 'localhost' || host.endsWith('.localhost')) {
+		return false;
+	}
+
+	if (net.isIP(host)) {
+		return !isNonPublicAddress(host);
+	}
+
+	try {
+		const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+		return addresses.length > 0 && addresses.every(({ address }) => !isNonPublicAddress(address));
+	} catch (error) {
+		return false;
+	}
+};
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses non-public addresses,
+ * so a host can't be re-pointed at our network between validation and sending
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+	dns.lookup(hostname, options, (error, address, family) => {
+		if (error) return callback(error);
+
+		const addresses = Array.isArray(address) ? address : [{ address, family }];
+		const blocked = addresses.find(entry => isNonPublicAddress(entry.address));
+
+		if (blocked) {
+			const lookupError = new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+			lookupError.code = 'ENONPUBLICADDRESS';
+			return callback(lookupError);
+		}
+
+		callback(null, address, family);
+	});
+};
+
+/**
+ * Validate a client-supplied webhook callback URL. In production the host
+ * must resolve to public addresses only.
+ * @param {string} url - Callback URL
+ * @returns {Promise<boolean>} - Whether the URL may receive webhook deliveries
+ */
+const validateCallbackUrl = async (url) => {
+	if (!url || typeof url !== 'string' || url.length > 2048) {
+		return false;
+	}
+
+	const isProduction = process.env.NODE_ENV === 'production';
+
+	if (!validator.isURL(url, {
+		protocols: isProduction ? ['https'] : ['http', 'https'],
+		require_protocol: true,
+		require_tld: isProduction
+	})) {
+		return false;
+	}
+
+	// Never let a client point deliveries at our own network in production
+	if (isProduction) {
+		return isPublicHost(new URL(url).hostname);
+	}
+
+	return true;
+};
+
 module.exports = {
 	validateEmail,
+	validateCallbackUrl,
+	isNonPublicAddress,
+	isPublicHost,
+	publicOnlyLookup,
 	sanitizeInput,
 	validateContactForm,
 	processContactFormData,
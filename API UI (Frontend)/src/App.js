@@ -18,6 +18,7 @@ import Dashboard from './components/Dashboard/Dashboard';
 import HomePage from './components/HomePage';
 import APITokenManagement from './components/APITokenManagement';
 import Documentation from './components/Documentation/Documentation';
+import ConnectAccounts from './components/ConnectAccounts';
 import SecuritySettings from './components/Account/SecuritySettings';
 import DataRetention from './components/Account/DataRetention';
 
@@ -63,6 +64,7 @@ const App = () => {
           {/* Protected routes */}
           <Route element={<PrivateRoute />}>
             <Route path="/dashboard" element={<Layout><Dashboard /></Layout>} />
+            <Route path="/connect-accounts" element={<Layout><ConnectAccounts /></Layout>} />
             <Route path="/accounts" element={<Layout><div>Accounts Page</div></Layout>} />
             <Route path="/transactions" element={<Layout><div>Transactions Page</div></Layout>} />
             <Route path="/insights" element={<Layout><div>Insights Page</div></Layout>} />
@@ -9,6 +9,7 @@ import InsightMetricsPanel from './InsightMetricsPanel';
 import AiInsightsTab from './AiInsightsTab';
 import DataRetentionTab from './DataRetentionTab';
 import EmailMonitoringTab from './EmailMonitoringTab';
+import LlmUsageTab from './LlmUsageTab';
 import logger from '../../utils/logger';
 import './AdminDashboard.css';
 
@@ -450,6 +451,10 @@ const AdminDashboard = () => {
     <EmailMonitoringTab />
   );
 
+  const renderLlmUsage = () => (
+    <LlmUsageTab />
+  );
+
   return (
     <Container fluid className="py-4 px-md-4 admin-dashboard-container">
       <h1 className="mb-4 text-white">Admin Dashboard</h1>
@@ -478,6 +483,9 @@ const AdminDashboard = () => {
         <Tab eventKey="email-monitoring" title="Email Monitoring">
           {renderEmailMonitoring()}
         </Tab>
+        <Tab eventKey="llm-usage" title="LLM Usage">
+          {renderLlmUsage()}
+        </Tab>
         <Tab eventKey="data-retention" title="Data Retention">
           {renderDataRetention()}
         </Tab>
@@ -0,0 +1,212 @@
+// src/components/Admin/LlmUsageTab.js
+import React, { useState, useEffect } from 'react';
+import { Row, Col, Card, Table, Alert, Form, Spinner } from 'react-bootstrap';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { adminService } from '../../services/admin';
+import logger from '../../utils/logger';
+
+// Breakdowns shown as "top consumer" tables
+const BREAKDOWNS = [
+	{ groupBy: 'client', title: 'Top Clients', columns: [{ key: 'clientId', label: 'Client' }] },
+	{ groupBy: 'bankUser', title: 'Top Bank Users', columns: [{ key: 'clientId', label: 'Client' }, { key: 'bankUserId', label: 'Bank User' }] },
+	{ groupBy: 'queryType', title: 'By Query Type', columns: [{ key: 'queryType', label: 'Query Type' }] },
+	{ groupBy: 'reportSection', title: 'By Report Section', columns: [{ key: 'reportSection', label: 'Section' }] }
+];
+
+const formatCost = (value) => `$${(value || 0).toFixed(value >= 1 ? 2 : 4)}`;
+const formatTokens = (value) => (value || 0).toLocaleString();
+
+const LlmUsageTab = () => {
+	const [days, setDays] = useState(30);
+	const [totals, setTotals] = useState(null);
+	const [points, setPoints] = useState([]);
+	const [breakdowns, setBreakdowns] = useState({});
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	useEffect(() => {
+		fetchUsage();
+	}, [days]);
+
+	const fetchUsage = async () => {
+		try {
+			setLoading(true);
+			setError(null);
+
+			const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+			const interval = days <= 2 ? 'hour' : 'day';
+
+			const [summary, timeseries, ...groups] = await Promise.all([
+				adminService.getLlmUsage({ from }),
+				adminService.getLlmUsageTimeseries({ from, interval }),
+				...BREAKDOWNS.map(breakdown => adminService.getLlmUsage({ from, groupBy: breakdown.groupBy, limit: 10 }))
+			]);
+
+			setTotals(summary.totals);
+			setPoints(timeseries.points.map(point => ({
+				...point,
+				label: interval === 'hour'
+					? new Date(point.period).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+					: new Date(point.period).toLocaleDateString()
+			})));
+			setBreakdowns(BREAKDOWNS.reduce((result, breakdown, index) => ({
+				...result,
+				[breakdown.groupBy]: groups[index].groups || []
+			}), {}));
+		} catch (err) {
+			logger.error('Error fetching LLM usage:', err);
+			setError(err.message || 'Failed to load LLM usage');
+		} finally {
+			setLoading(false);
+		}
+	};
+
+	if (loading) {
+		return (
+			<div className="text-center p-5">
+				<Spinner animation="border" variant="success" />
+				<p className="mt-3 text-white">Loading LLM usage...</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className="llm-usage-tab">
+			{error && (
+				<Alert variant="danger">
+					<i className="bi bi-exclamation-triangle-fill me-2"></i>
+					{error}
+				</Alert>
+			)}
+
+			<div className="d-flex justify-content-end mb-3">
+				<Form.Select
+					size="sm"
+					style={{ width: 'auto' }}
+					value={days}
+					onChange={(e) => setDays(parseInt(e.target.value))}
+				>
+					<option value={1}>Last 24 hours</option>
+					<option value={7}>Last 7 days</option>
+					<option value={30}>Last 30 days</option>
+					<option value={90}>Last 90 days</option>
+				</Form.Select>
+			</div>
+
+			{totals && (
+				<Row className="mb-4">
+					<Col md={3}>
+						<Card className="bg-dark text-white border-success">
+							<Card.Body className="text-center">
+								<h6 className="text-muted">Spend</h6>
+								<h3 className="text-success">{formatCost(totals.costUsd)}</h3>
+							</Card.Body>
+						</Card>
+					</Col>
+					<Col md={3}>
+						<Card className="bg-dark text-white border-secondary">
+							<Card.Body className="text-center">
+								<h6 className="text-muted">LLM Calls</h6>
+								<h3>{formatTokens(totals.calls)}</h3>
+							</Card.Body>
+						</Card>
+					</Col>
+					<Col md={3}>
+						<Card className="bg-dark text-white border-secondary">
+							<Card.Body className="text-center">
+								<h6 className="text-muted">Prompt Tokens</h6>
+								<h3>{formatTokens(totals.promptTokens)}</h3>
+							</Card.Body>
+						</Card>
+					</Col>
+					<Col md={3}>
+						<Card className="bg-dark text-white border-secondary">
+							<Card.Body className="text-center">
+								<h6 className="text-muted">Completion Tokens</h6>
+								<h3>{formatTokens(totals.completionTokens)}</h3>
+							</Card.Body>
+						</Card>
+					</Col>
+				</Row>
+			)}
+
+			{totals && totals.unpricedRecords > 0 && (
+				<Alert variant="warning">
+					{totals.unpricedRecords} call(s) used a model with no configured price and are not included in spend.
+				</Alert>
+			)}
+
+			<Row className="mb-4">
+				<Col>
+					<Card className="bg-dark text-white border-success">
+						<Card.Header>
+							<h5 className="mb-0 text-success">Spend Over Time</h5>
+						</Card.Header>
+						<Card.Body>
+							<ResponsiveContainer width="100%" height={300}>
+								<LineChart data={points}>
+									<CartesianGrid strokeDasharray="3 3" stroke="#ccc" />
+									<XAxis dataKey="label" stroke="#000000" />
+									<YAxis yAxisId="cost" stroke="#000000" tickFormatter={(value) => `$${value}`} />
+									<YAxis yAxisId="tokens" orientation="right" stroke="#000000" />
+									<Tooltip
+										contentStyle={{ backgroundColor: '#fff', border: '1px solid #ccc', color: '#000' }}
+										labelStyle={{ color: '#000000' }}
+										formatter={(value, name) => (name === 'Spend' ? formatCost(value) : formatTokens(value))}
+									/>
+									<Legend wrapperStyle={{ color: '#000000' }} />
+									<Line yAxisId="cost" type="monotone" dataKey="costUsd" stroke="#28a745" name="Spend" />
+									<Line yAxisId="tokens" type="monotone" dataKey="totalTokens" stroke="#17a2b8" name="Tokens" />
+								</LineChart>
+							</ResponsiveContainer>
+						</Card.Body>
+					</Card>
+				</Col>
+			</Row>
+
+			<Row>
+				{BREAKDOWNS.map(breakdown => (
+					<Col lg={6} className="mb-4" key={breakdown.groupBy}>
+						<Card className="bg-dark text-white border-secondary h-100">
+							<Card.Header>
+								<h5 className="mb-0">{breakdown.title}</h5>
+							</Card.Header>
+							<Card.Body>
+								{(breakdowns[breakdown.groupBy] || []).length === 0 ? (
+									<p className="text-muted mb-0">No usage in this period</p>
+								) : (
+									<Table striped bordered hover variant="dark" responsive className="mb-0">
+										<thead>
+											<tr>
+												{breakdown.columns.map(column => (
+													<th key={column.key}>{column.label}</th>
+												))}
+												<th>Calls</th>
+												<th>Tokens</th>
+												<th>Spend</th>
+											</tr>
+										</thead>
+										<tbody>
+											{breakdowns[breakdown.groupBy].map((row, index) => (
+												<tr key={index}>
+													{breakdown.columns.map(column => (
+														<td key={column.key}>{row[column.key] || <span className="text-muted">—</span>}</td>
+													))}
+													<td>{formatTokens(row.calls)}</td>
+													<td>{formatTokens(row.totalTokens)}</td>
+													<td>{formatCost(row.costUsd)}</td>
+												</tr>
+											))}
+										</tbody>
+									</Table>
+								)}
+							</Card.Body>
+						</Card>
+					</Col>
+				))}
+			</Row>
+		</div>
+	);
+};
+
+export default LlmUsageTab;
@@ -141,12 +141,25 @@ const processFinancialData = (financialData, concept) => {
 					a.name?.toLowerCase().includes('401k') ||
 					a.name?.toLowerCase().includes('ira')
 				);
+				// Holdings from Plaid Investments, when the user's brokerage offers them
+				const investmentAllocation = financialData.investments?.allocation || [];
 
-				if (investmentAccounts.length > 0) {
+				if (investmentAllocation.length > 0) {
+					processedData.assetAllocation = investmentAllocation.map((entry, i) => ({
+						name: entry.assetClass,
+						value: Math.round(entry.value),
+						fill: COLORS[i % COLORS.length]
+					}));
+
+					processedData.compoundInterest = Array.from({ length: 30 }, (_, i) => ({
+						year: i + 1,
+						value: Math.round(financialData.investments.totalValue * Math.pow(1.07, i))
+					}));
+				} else if (investmentAccounts.length > 0) {
 					// Extract investment balances
 					const totalInvestments = investmentAccounts.reduce((sum, a) => sum + (a.balance || 0), 0);
 
-					// Create estimated asset allocation based on account types
+					// Without holdings, estimate the asset allocation from the balances
 					const assetAllocation = [
 						{ name: 'Stocks', value: Math.round(totalInvestments * 0.6), fill: '#28a745' },
 						{ name: 'Bonds', value: Math.round(totalInvestments * 0.25), fill: '#20c997' },
@@ -174,18 +187,30 @@ const processFinancialData = (financialData, concept) => {
 					a.balance < 0
 				);
 
-				if (debtAccounts.length > 0) {
+				// Balances and rates from Plaid Liabilities, when the user's banks offer them
+				const liabilities = financialData.liabilities || [];
+				const liabilityLabels = { credit: 'Credit Card', student: 'Student Loan', mortgage: 'Mortgage' };
+
+				if (liabilities.length > 0 || debtAccounts.length > 0) {
 					// Create debt breakdown by type
-					const debtTypes = debtAccounts.map((account, i) => ({
-						name: account.name || `Debt ${i + 1}`,
-						value: Math.abs(account.balance),
-						fill: COLORS[i % COLORS.length]
-					}));
+					const debtTypes = liabilities.length > 0
+						? liabilities.map((liability, i) => ({
+							name: liability.interestRate !== null && liability.interestRate !== undefined
+								? `${liabilityLabels[liability.liabilityType] || 'Loan'} (${liability.interestRate}%)`
+								: liabilityLabels[liability.liabilityType] || 'Loan',
+							value: Math.abs(liability.currentBalance || 0),
+							fill: COLORS[i % COLORS.length]
+						}))
+						: debtAccounts.map((account, i) => ({
+							name: account.name || `Debt ${i + 1}`,
+							value: Math.abs(account.balance),
+							fill: COLORS[i % COLORS.length]
+						}));
 
 					processedData.debtTypes = debtTypes;
 
 					// Calculate total debt for payoff projections
-					const totalDebt = debtAccounts.reduce((sum, a) => sum + Math.abs(a.balance), 0);
+					const totalDebt = debtTypes.reduce((sum, debt) => sum + debt.value, 0);
 
 					// Create debt payoff strategies comparison
 					const payoffStrategies = Array.from({ length: 7 }, (_, i) => {
@@ -1,26 +1,54 @@
 // src/components/ConnectAccounts.js
-import React, { useState } from 'react';
-import { Container, Card, Alert, Button, Row, Col } from 'react-bootstrap';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Alert, Button, Row, Col, ListGroup } from 'react-bootstrap';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import PlaidLinkButton from './Plaid/PlaidLinkButton';
+import api from '../services/api';
 import logger from '../utils/logger';
 
 const ConnectAccounts = () => {
   const [connected, setConnected] = useState(false);
+  const [reconnected, setReconnected] = useState(false);
   const [error, setError] = useState('');
   const [institution, setInstitution] = useState('');
+  const [reauthItems, setReauthItems] = useState([]);
+  const [searchParams] = useSearchParams();
   const navigate = useNavigate();
+
+  // Item to reconnect when arriving from a "Reconnect your bank" notification
+  const reconnectItemId = searchParams.get('reconnect');
+
+  const loadReauthItems = useCallback(async () => {
+    try {
+      const response = await api.get('/plaid/items');
+
+      if (response.data && response.data.success) {
+        const items = response.data.data.filter(item =>
+          item.reauthRequired || item.itemId === reconnectItemId
+        );
+        setReauthItems(items);
+      }
+    } catch (err) {
+      logger.logError('Bank Connections Error', err);
+    }
+  }, [reconnectItemId]);
+
+  useEffect(() => {
+    loadReauthItems();
+  }, [loadReauthItems]);
   
-  const handlePlaidSuccess = ({ itemId, metadata }) => {
+  const handlePlaidSuccess = ({ itemId, metadata, reconnected: wasReconnected }) => {
     try {
       // Save institution name for display
       setInstitution(metadata.institution.name);
       
       // Mark as connected
       setConnected(true);
+      setReconnected(!!wasReconnected);
+      setReauthItems(items => items.filter(item => item.itemId !== itemId));
       
       // Log success
-      logger.info('Bank account connected successfully', {
+      logger.info(wasReconnected ? 'Bank account reconnected successfully' : 'Bank account connected successfully', {
         institution: metadata.institution.name,
         accounts: metadata.accounts.length
       });
@@ -62,10 +90,12 @@ const ConnectAccounts = () => {
                     <i className="bi bi-check-circle-fill text-success fs-1"></i>
                   </div>
                   
-                  <h5 className="mb-3">Account Connected Successfully!</h5>
+                  <h5 className="mb-3">
+                    {reconnected ? 'Account Reconnected Successfully!' : 'Account Connected Successfully!'}
+                  </h5>
                   
                   <p className="mb-4">
-                    Your accounts from <strong>{institution}</strong> have been successfully connected.
+                    Your accounts from <strong>{institution}</strong> have been successfully {reconnected ? 'reconnected' : 'connected'}.
                     You can now view your financial data in the dashboard.
                   </p>
                   
@@ -79,6 +109,34 @@ const ConnectAccounts = () => {
                 </div>
               ) : (
                 <>
+                  {reauthItems.length > 0 && (
+                    <Alert variant="warning" className="mb-4">
+                      <h6 className="alert-heading">Reconnect your bank</h6>
+                      <p className="small">
+                        These connections need you to sign in again. Reconnecting restores the
+                        existing connection, so your accounts won't be added twice.
+                      </p>
+                      <ListGroup>
+                        {reauthItems.map(item => (
+                          <ListGroup.Item
+                            key={item.itemId}
+                            className="d-flex justify-content-between align-items-center"
+                          >
+                            <span>{item.institutionName || 'Bank connection'}</span>
+                            <PlaidLinkButton
+                              itemId={item.itemId}
+                              onSuccess={handlePlaidSuccess}
+                              onExit={handlePlaidExit}
+                              buttonText="Reconnect"
+                              variant="warning"
+                              className="btn-sm"
+                            />
+                          </ListGroup.Item>
+                        ))}
+                      </ListGroup>
+                    </Alert>
+                  )}
+
                   <p className="mb-4">
                     Connect your bank accounts to get started with our financial insights platform.
                     We use Plaid to securely connect to your financial institutions.
@@ -79,10 +79,13 @@ const Dashboard = () => {
   const [insightLoading, setInsightLoading] = useState(false);
   const [insightError, setInsightError] = useState(null);
   const [insightsData, setInsightsData] = useState(null);
+  const [streamingRequestId, setStreamingRequestId] = useState(null);
 
   // Add a ref to track the latest request ID
   const latestRequestIdRef = useRef(null);
   const chatEndRef = useRef(null);
+  // EventSource and request ID of the answer being streamed
+  const activeStreamRef = useRef(null);
 
   // Add Plaid connection state
   const [connected, setConnected] = useState(false);
@@ -97,6 +100,8 @@ const Dashboard = () => {
   // Add state for tracking Plaid connection status
   const [plaidStatus, setPlaidStatus] = useState('ready');
   const [plaidError, setPlaidError] = useState(null);
+  // Connections whose bank login broke; they are restored through Link update mode
+  const [reauthItems, setReauthItems] = useState([]);
 
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
@@ -300,10 +305,21 @@ const Dashboard = () => {
       // Fetch transactions data with user validation
       const transactionsResponse = await api.get(`/plaid/transactions?_t=${timestamp}`);
 
+      // Liabilities and investments only exist for banks that offer them; never block on them
+      let products = null;
+      try {
+        const productsResponse = await api.get(`/plaid/products?_t=${timestamp}`);
+        products = productsResponse.data.success ? productsResponse.data.data : null;
+      } catch (productsError) {
+        logger.warn(`Could not fetch liabilities and investments for user ${user.id}: ${productsError.message}`);
+      }
+
       if (accountsResponse.data.success && transactionsResponse.data.success) {
         const combinedData = {
           accounts: accountsResponse.data.data || [],
           transactions: transactionsResponse.data.data || [],
+          liabilities: products?.liabilities || [],
+          investments: products?.investments || null,
           institution: institution,
           lastUpdated: new Date().toISOString(),
           userId: user.id // Store user ID with the data for validation
@@ -338,6 +354,7 @@ const Dashboard = () => {
       logger.info(`Checking existing Plaid connections for user ${user.id}`);
       // Check if we already have accounts for THIS user
       const response = await api.get('/plaid/status');
+      setReauthItems(response.data.data?.reauthItems || []);
 
       if (response.data.success && response.data.data.connected) {
         // We have existing accounts for this user, set the connected state
@@ -363,6 +380,7 @@ const Dashboard = () => {
     } catch (error) {
       // No connected accounts or error fetching
       logger.error(`Error checking existing connections for user ${user.id}:`, error);
+      setReauthItems([]);
       setConnected(false);
       setShowDataSidebar(false);
       setFinancialData(null);
@@ -423,6 +441,17 @@ const Dashboard = () => {
 
       // Clear any in-progress requests
       latestRequestIdRef.current = null;
+
+      // Stop the answer being streamed, upstream too
+      if (activeStreamRef.current) {
+        activeStreamRef.current.eventSource.close();
+        fetch(`/api/insights/stream/${activeStreamRef.current.requestId}`, {
+          method: 'DELETE',
+          headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+          keepalive: true
+        }).catch(() => { });
+        activeStreamRef.current = null;
+      }
     };
   }, []);
 
@@ -680,81 +709,116 @@ const Dashboard = () => {
         throw new Error(errorData.message || 'Failed to prepare streaming request');
       }
 
-      // Create event source for streaming
+      // Create event source for streaming. On a dropped connection the
+      // polyfill reconnects with Last-Event-ID and the server replays what was missed.
       const eventSource = new EventSourcePolyfill(`/api/insights/stream?requestId=${requestId}`, {
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`,
         }
       });
+      activeStreamRef.current = { eventSource, requestId };
+      setStreamingRequestId(requestId);
+
+      let receivedEvents = false;
+      let failedReconnects = 0;
+
+      const updateMessage = (update) => {
+        setChatMessages(prev => prev.map(msg =>
+          msg.id === tempMessageId
+            ? { ...msg, ...(typeof update === 'function' ? update(msg) : update) }
+            : msg
+        ));
+      };
 
-      // Handle incoming chunks
+      const closeStream = () => {
+        eventSource.close();
+        if (activeStreamRef.current && activeStreamRef.current.requestId === requestId) {
+          activeStreamRef.current = null;
+          setStreamingRequestId(null);
+        }
+      };
+
+      // Handle incoming events
       eventSource.onmessage = (event) => {
+        receivedEvents = true;
+        failedReconnects = 0;
+
         try {
           const data = JSON.parse(event.data);
 
-          if (data.error) {
-            // Handle error in stream
-            setChatMessages(prev => prev.map(msg =>
-              msg.id === tempMessageId
-                ? { ...msg, content: data.message, isStreaming: false }
-                : msg
-            ));
-            eventSource.close();
-            return;
-          }
-
-          // Special handling for the real-data marker
-          if (data.chunk === '<using-real-data>') {
-            // IMPORTANT: Only set the real data flag if we're actually in Plaid mode and connected
-            if (integrationMode === 'plaid' && connected) {
-              setChatMessages(prev => prev.map(msg =>
-                msg.id === tempMessageId
-                  ? { ...msg, usingRealData: true }
-                  : msg
-              ));
-            }
-            return; // Skip this chunk
-          }
-
-          // Update message with new content
-          setChatMessages(prev => prev.map(msg =>
-            msg.id === tempMessageId
-              ? { ...msg, content: (msg.content || '') + data.chunk }
-              : msg
-          ));
-
-          // Auto-scroll
-          chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-
-          // Close connection if complete
-          if (data.isComplete) {
-            eventSource.close();
-
-            // Mark streaming as complete
-            setChatMessages(prev => prev.map(msg =>
-              msg.id === tempMessageId
-                ? {
-                  ...msg,
-                  isStreaming: false,
-                  // CRITICAL FIX: Set data source badge based on current mode, not on API response
-                  usingRealData: integrationMode === 'plaid' && connected,
-                  usingSimulatedData: integrationMode === 'direct'
-                }
-                : msg
-            ));
+          switch (data.type) {
+            case 'data_source':
+              // IMPORTANT: Only set the real data flag if we're actually in Plaid mode and connected
+              if (data.usingRealData && integrationMode === 'plaid' && connected) {
+                updateMessage({ usingRealData: true });
+              }
+              break;
+
+            case 'token':
+              updateMessage(msg => ({ content: (msg.content || '') + data.text }));
+              chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+              break;
+
+            case 'tool_call':
+              // Text before a tool call was the model working, not the answer
+              updateMessage(msg => ({
+                content: '',
+                toolCallCount: (msg.toolCallCount || 0) + 1
+              }));
+              break;
+
+            case 'done':
+              closeStream();
+              updateMessage({
+                // The final text has passed every guardrail and replaces what was streamed
+                content: data.insight || '',
+                isStreaming: false,
+                toolCalls: data.toolCalls || [],
+                guardrails: data.guardrails || null,
+                // CRITICAL FIX: Set data source badge based on current mode, not on API response
+                usingRealData: integrationMode === 'plaid' && connected,
+                usingSimulatedData: integrationMode === 'direct'
+              });
+              break;
+
+            case 'error':
+              closeStream();
+              updateMessage({ content: data.message, isStreaming: false });
+              break;
+
+            case 'cancelled':
+              closeStream();
+              updateMessage(msg => ({
+                content: msg.content ? `${msg.content}\n\n(Stopped)` : 'Stopped.',
+                isStreaming: false
+              }));
+              break;
+
+            default:
+              break;
           }
         } catch (err) {
           console.error('Error parsing SSE message:', err, event.data);
         }
       };
 
-      // Handle connection errors
+      // Dropped connections are retried by the polyfill; give up after a few failures
       eventSource.onerror = (err) => {
         console.error('EventSource error:', err);
-        eventSource.close();
+        failedReconnects += 1;
 
-        // Fallback to non-streaming approach if SSE fails
-        fallbackToStandardRequest(inputQuery, requestId, tempMessageId);
+        if (failedReconnects < 3 && eventSource.readyState !== EventSourcePolyfill.CLOSED) {
+          return;
+        }
+
+        closeStream();
+
+        if (!receivedEvents) {
+          // Fallback to non-streaming approach if SSE never worked
+          fallbackToStandardRequest(inputQuery, requestId, tempMessageId);
+        } else {
+          updateMessage({ content: 'The connection was lost. Please try again.', isStreaming: false });
+        }
       };
     } catch (error) {
       console.error('Error setting up streaming:', error);
@@ -766,6 +830,24 @@ const Dashboard = () => {
     }
   };
 
+  // Stop the answer being streamed; the server aborts the upstream LLM call
+  const cancelStream = async () => {
+    if (!activeStreamRef.current) return;
+
+    const { requestId } = activeStreamRef.current;
+
+    try {
+      await fetch(`/api/insights/stream/${requestId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+    } catch (error) {
+      console.error('Error cancelling stream:', error);
+    }
+  };
+
   // Fallback function for when streaming fails
   const fallbackToStandardRequest = async (inputQuery, requestId, tempMessageId) => {
     try {
@@ -962,7 +1044,24 @@ const Dashboard = () => {
                   <span className="status-indicator me-1"></span>
                   {connected ? `Connected to ${institution}` : "No Accounts Connected"}
                 </Badge>
-                {!connected && (
+                {reauthItems.length > 0 && (
+                  <PlaidLinkButton
+                    itemId={reauthItems[0].itemId}
+                    onSuccess={() => {
+                      setPlaidError(null);
+                      checkExistingConnections();
+                    }}
+                    onExit={(err) => {
+                      if (err) {
+                        setPlaidError(err.message || 'Error reconnecting to bank');
+                      }
+                    }}
+                    buttonText={`Reconnect ${reauthItems[0].institutionName || 'your bank'}`}
+                    variant="warning"
+                    className="ms-2 btn-sm"
+                  />
+                )}
+                {!connected && reauthItems.length === 0 && (
                   <PlaidLinkButton
                     onSuccess={(linkData) => {
                       setPlaidStatus('success');
@@ -1199,14 +1298,25 @@ const Dashboard = () => {
                   )}
                 </Form.Group>
 
-                <Button
-                  variant="success"
-                  className="send-button"
-                  disabled={!query.trim() || loading}
-                  onClick={handleSendMessage}
-                >
-                  <i className="bi bi-send"></i>
-                </Button>
+                {streamingRequestId ? (
+                  <Button
+                    variant="outline-light"
+                    className="send-button"
+                    title="Stop generating"
+                    onClick={cancelStream}
+                  >
+                    <i className="bi bi-stop-fill"></i>
+                  </Button>
+                ) : (
+                  <Button
+                    variant="success"
+                    className="send-button"
+                    disabled={!query.trim() || loading}
+                    onClick={handleSendMessage}
+                  >
+                    <i className="bi bi-send"></i>
+                  </Button>
+                )}
               </Form>
             </div>
 
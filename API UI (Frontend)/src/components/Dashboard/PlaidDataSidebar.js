@@ -21,6 +21,12 @@ const PlaidDataSidebar = ({
 	const [dataIssueDetected, setDataIssueDetected] = useState(false);
 	const [isDuplicateData, setIsDuplicateData] = useState(false);
 	const [isReconnecting, setIsReconnecting] = useState(false);
+	// Connections still to repair, each with its update-mode link token
+	const [reconnectQueue, setReconnectQueue] = useState([]);
+	const reconnectItem = reconnectQueue[0] || null;
+	const reconnectButtonText = reconnectQueue.length > 1
+		? `Reconnect ${reconnectItem.institutionName || 'Bank'} (${reconnectQueue.length} left)`
+		: null;
 
 	useEffect(() => {
 		if (userData && userData.transactions && userData.transactions.length > 0) {
@@ -71,30 +77,40 @@ const PlaidDataSidebar = ({
 		setDataIssueDetected(hasDuplicates);
 	};
 
-	// Handle reconnection through Plaid Link
+	// Handle reconnection through Plaid Link update mode, which repairs the
+	// existing connection instead of adding a second one
 	const handleReconnect = async () => {
 		try {
 			setIsReconnecting(true);
-
-			// First, disconnect existing connections
 			logger.info(`Initiating bank reconnection process for user ${userId}`);
 
-			// Call the backend to prepare for reconnection
-			await api.post('/plaid/reconnect');
+			// Update-mode link tokens for the connections that need re-authentication
+			const response = await api.post('/plaid/reconnect');
+			const items = response.data?.data?.items || [];
 
-			logger.info(`Reconnection preparation successful for user ${userId}, ready for Plaid Link`);
+			if (items.length === 0) {
+				logger.info(`No bank connections need reconnecting for user ${userId}, refreshing data`);
+				setIsReconnecting(false);
+				if (onRefresh) onRefresh();
+				return;
+			}
 
-			// Now PlaidLinkButton will handle the actual reconnection
-			// The state remains true until PlaidLinkButton is clicked
+			// PlaidLinkButton repairs one connection per click, using the token from this response
+			setReconnectQueue(items);
+			logger.info(`Reconnection ready for ${items.length} item(s), waiting for Plaid Link`);
 		} catch (error) {
 			logger.error(`Error preparing for reconnection for user ${userId}:`, error);
 			setIsReconnecting(false);
 		}
 	};
 
-	// Handle successful reconnection
+	// Handle successful reconnection, moving on to the next broken connection
 	const handleReconnectSuccess = (linkData) => {
-		setIsReconnecting(false);
+		const remaining = reconnectQueue.slice(1);
+		setReconnectQueue(remaining);
+		if (remaining.length === 0) {
+			setIsReconnecting(false);
+		}
 
 		// Call the parent's success handler
 		if (onPlaidSuccess) {
@@ -105,6 +121,7 @@ const PlaidDataSidebar = ({
 	// Handle exit from reconnection flow
 	const handleReconnectExit = (err) => {
 		setIsReconnecting(false);
+		setReconnectQueue([]);
 		if (err) {
 			logger.error(`Error during reconnection for user ${userId}:`, err);
 		}
@@ -237,11 +254,14 @@ const PlaidDataSidebar = ({
 							{isDuplicateData ? 'Duplicate account data detected.' : 'Issues detected with your financial data.'}
 						</div>
 
-						{isReconnecting ? (
+						{isReconnecting && reconnectItem ? (
 							<PlaidLinkButton
+								key={reconnectItem.itemId}
+								itemId={reconnectItem.itemId}
+								linkToken={reconnectItem.link_token}
 								onSuccess={handleReconnectSuccess}
 								onExit={handleReconnectExit}
-								buttonText="Reconnect Bank"
+								buttonText={reconnectButtonText || 'Reconnect Bank'}
 								className="btn-sm btn-warning"
 							/>
 						) : (
@@ -401,7 +421,7 @@ const PlaidDataSidebar = ({
 				</Button>
 
 				{/* Reconnect Button - Always visible as an option */}
-				{!isReconnecting ? (
+				{!(isReconnecting && reconnectItem) ? (
 					<Button
 						variant="outline-warning"
 						size="sm"
@@ -412,9 +432,12 @@ const PlaidDataSidebar = ({
 					</Button>
 				) : (
 					<PlaidLinkButton
+						key={reconnectItem.itemId}
+						itemId={reconnectItem.itemId}
+						linkToken={reconnectItem.link_token}
 						onSuccess={handleReconnectSuccess}
 						onExit={handleReconnectExit}
-						buttonText="Complete Reconnection"
+						buttonText={reconnectButtonText || 'Complete Reconnection'}
 						className="btn-sm btn-warning w-100"
 					/>
 				)}
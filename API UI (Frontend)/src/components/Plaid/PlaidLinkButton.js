@@ -5,13 +5,21 @@ import { usePlaidLink } from 'react-plaid-link';
 import api from '../../services/api';
 import logger from '../../utils/logger';
 
+/**
+ * Opens Plaid Link. With an itemId it opens Link in update mode, which
+ * re-authenticates that existing connection instead of creating a new one.
+ * A linkToken the caller already has is used instead of requesting one.
+ */
 const PlaidLinkButton = ({
   onSuccess,
   onExit,
+  itemId = null,
+  linkToken: initialLinkToken = null,
   buttonText = 'Connect your bank account',
+  variant = 'primary',
   className = ''
 }) => {
-  const [linkToken, setLinkToken] = useState(null);
+  const [linkToken, setLinkToken] = useState(initialLinkToken);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -21,9 +29,11 @@ const PlaidLinkButton = ({
       setLoading(true);
       setError('');
 
-      logger.info('Requesting Plaid link token');
+      logger.info(itemId ? `Requesting update-mode link token for item ${itemId}` : 'Requesting Plaid link token');
 
-      const response = await api.post('/plaid/create-link-token');
+      const response = itemId
+        ? await api.post(`/plaid/items/${encodeURIComponent(itemId)}/link-token`)
+        : await api.post('/plaid/create-link-token');
 
       logger.info('Plaid link token API response received', {
         status: response.status,
@@ -44,12 +54,16 @@ const PlaidLinkButton = ({
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [itemId]);
 
   // Get link token on component mount
   useEffect(() => {
+    if (initialLinkToken) {
+      setLinkToken(initialLinkToken);
+      return;
+    }
     getLinkToken();
-  }, [getLinkToken]);
+  }, [getLinkToken, initialLinkToken]);
 
   // Handle successful link
   const handleSuccess = useCallback(async (publicToken, metadata) => {
@@ -58,9 +72,22 @@ const PlaidLinkButton = ({
 
       logger.info('Plaid Link success', {
         institution: metadata.institution?.name,
-        accounts: metadata.accounts?.length
+        accounts: metadata.accounts?.length,
+        updateMode: !!itemId
       });
 
+      // Update mode keeps the existing access token; there is nothing to exchange
+      if (itemId) {
+        const response = await api.post(`/plaid/items/${encodeURIComponent(itemId)}/reauth-complete`);
+
+        if (response.data && response.data.success) {
+          onSuccess && onSuccess({ itemId, metadata, reconnected: true });
+        } else {
+          throw new Error(response.data?.message || 'Reconnection failed');
+        }
+        return;
+      }
+
       // Exchange public token
       const response = await api.post('/plaid/exchange-public-token', {
         publicToken,
@@ -78,11 +105,11 @@ const PlaidLinkButton = ({
       }
     } catch (err) {
       logger.logError('Public Token Exchange Error', err);
-      setError('Failed to connect bank account');
+      setError(itemId ? 'Failed to reconnect bank account' : 'Failed to connect bank account');
     } finally {
       setLoading(false);
     }
-  }, [onSuccess]);
+  }, [onSuccess, itemId]);
 
   // Handle exit from Plaid Link
   const handleExit = useCallback((err, metadata) => {
@@ -105,7 +132,7 @@ const PlaidLinkButton = ({
   return (
     <>
       <Button
-        variant="primary"
+        variant={variant}
         disabled={!ready || loading || !linkToken}
         onClick={() => open()}
         className={className || "d-flex align-items-center justify-content-center"}
@@ -534,6 +534,66 @@ export const adminService = {
         throw new Error('Error setting up contact form statistics request');
       }
     }
+  },
+
+  // Get LLM usage
+  getLlmUsage: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/llm/usage', { params });
+
+      if (!response.data.success) {
+        throw new Error(response.data.message || 'Failed to fetch LLM usage');
+      }
+
+      logger.info('LLM usage retrieved successfully', params);
+
+      return response.data.data;
+    } catch (error) {
+      logger.logError('Get LLM Usage Error', error);
+
+      if (error.response) {
+        if (error.response.status === 403) {
+          throw new Error('You do not have permission to view LLM usage');
+        }
+
+        const errorMessage = error.response.data?.message || 'Failed to fetch LLM usage';
+        throw new Error(errorMessage);
+      } else if (error.request) {
+        throw new Error('No response from server. Please check your network connection.');
+      } else {
+        throw new Error('Error setting up LLM usage request');
+      }
+    }
+  },
+
+  // Get LLM usage timeseries
+  getLlmUsageTimeseries: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/llm/usage/timeseries', { params });
+
+      if (!response.data.success) {
+        throw new Error(response.data.message || 'Failed to fetch LLM usage timeseries');
+      }
+
+      logger.info('LLM usage timeseries retrieved successfully', params);
+
+      return response.data.data;
+    } catch (error) {
+      logger.logError('Get LLM Usage Timeseries Error', error);
+
+      if (error.response) {
+        if (error.response.status === 403) {
+          throw new Error('You do not have permission to view LLM usage');
+        }
+
+        const errorMessage = error.response.data?.message || 'Failed to fetch LLM usage timeseries';
+        throw new Error(errorMessage);
+      } else if (error.request) {
+        throw new Error('No response from server. Please check your network connection.');
+      } else {
+        throw new Error('Error setting up LLM usage timeseries request');
+      }
+    }
   }
 };
 
@@ -234,6 +234,17 @@ export const bankingCommandApi = {
 			console.error(`Error retrieving result for report job ${jobId}:`, error);
 			throw error;
 		}
+	},
+
+	// Cancel a pending or in-progress asynchronous report
+	cancelReport: async (jobId) => {
+		try {
+			const response = await apiClient.post(`/banking-command/report-cancel/${jobId}`);
+			return response.data;
+		} catch (error) {
+			console.error(`Error cancelling report job ${jobId}:`, error);
+			throw error;
+		}
 	}
 };
 